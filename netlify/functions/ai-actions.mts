@@ -0,0 +1,106 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import { applyAction, proposeAction } from './lib/ai-tools';
+
+/**
+ * AI ACTIONS
+ *
+ * Applies an action the AI assistant proposed, once the user confirms its
+ * card.
+ *
+ * POST /.netlify/functions/ai-actions
+ *   { organizationId, tool, args }
+ *   → { success, summary, result } - result is the deal endpoint's response
+ *
+ * tool/args are the `tool` and `args` of a proposed action returned by
+ * ai-assistant (`proposedActions`). They are validated again here (deal in
+ * the organization, role allowed to edit deals, assignee is a member) and
+ * applied through update-deal, assign-deals or deal-activities as the user.
+ *
+ * Used by:
+ * - AIActionCard (AIMessageRenderer) in AIAssistant and CustomQueryView
+ */
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const PROPOSAL_ERROR_STATUS = { FORBIDDEN: 403, NOT_FOUND: 404, INVALID_INPUT: 400 };
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'POST, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (req.method !== "POST") {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+
+    let body: any;
+    try {
+      body = await req.json();
+    } catch {
+      return json(400, { success: false, error: "Invalid JSON body", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { organizationId, tool, args } = body || {};
+    if (!organizationId || !UUID_REGEX.test(organizationId)) {
+      return json(400, { success: false, error: "Valid organizationId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+    if (typeof tool !== 'string' || !args || typeof args !== 'object') {
+      return json(400, { success: false, error: "tool and args are required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { data: membership } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", user.id)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (!membership) {
+      return json(403, { success: false, error: "Not authorized for this organization", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    const toolContext = { supabase, organizationId, userId: user.id, role: membership.role, request: req };
+
+    const proposal = await proposeAction(tool, args, toolContext);
+    if ('error' in proposal) {
+      return json(PROPOSAL_ERROR_STATUS[proposal.code], { success: false, error: proposal.error, code: proposal.code }, corsHeaders);
+    }
+
+    const result = await applyAction(proposal.action, toolContext);
+    if (!result.ok) {
+      return json(result.status >= 500 ? 502 : result.status, {
+        success: false,
+        error: result.error,
+        code: "ACTION_FAILED"
+      }, corsHeaders);
+    }
+
+    return json(200, { success: true, summary: proposal.action.summary, result: result.payload }, corsHeaders);
+  } catch (error: any) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[ai-actions] Error:", error);
+    return json(500, { success: false, error: "Failed to apply the action", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
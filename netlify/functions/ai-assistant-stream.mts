@@ -1,5 +1,5 @@
 import { createClient } from '@supabase/supabase-js';
-import { withTimeout, TIMEOUTS, TimeoutError } from './lib/timeout-wrapper';
+import { TimeoutError } from './lib/timeout-wrapper';
 import { decrypt, isLegacyEncryption, decryptLegacy } from './lib/encryption';
 import { shouldUseNewAuth } from './lib/feature-flags';
 import { requireAuth, requireOrgAccess, createAuthErrorResponse } from './lib/auth-middleware';
@@ -104,6 +104,9 @@ import { buildCorsHeaders } from './lib/cors';
 import { classifyAIError } from './lib/ai-spine';
 // REVENUE AGENT 2025-12-10: Detailed AI usage logging
 import { logAIUsage, AIRequestType } from './lib/ai-usage-logger';
+import { loadThread, loadThreadHistory, appendThreadExchange, type AIThread } from './lib/ai-threads';
+import { loadDealContext } from './lib/ai-deal-context';
+import { getProviderAdapter, providerConfig, toChatMessages, type ProviderAdapter, type ProviderConfig } from './lib/ai-provider-adapters';
 
 const supabase = createClient(
   process.env.VITE_SUPABASE_URL!,
@@ -134,10 +137,10 @@ function getModelTier(modelName: string | null): number {
 
 // PHASE 3: Task-specific model preferences (mirrors ai-assistant.mts)
 const TASK_MODEL_AFFINITY: { [taskType: string]: { [providerType: string]: number } } = {
-  'chart_insight': { 'openai': 3, 'anthropic': 3, 'google': 2 },
-  'coaching': { 'anthropic': 3, 'openai': 2, 'google': 2 },
-  'text_analysis': { 'openai': 2, 'anthropic': 2, 'google': 2 },
-  'image_suitable': { 'openai': 2, 'anthropic': 2, 'google': 3 }
+  'chart_insight': { 'openai': 3, 'anthropic': 3, 'google': 2, 'custom': 2 },
+  'coaching': { 'anthropic': 3, 'openai': 2, 'google': 2, 'custom': 2 },
+  'text_analysis': { 'openai': 2, 'anthropic': 2, 'google': 2, 'custom': 2 },
+  'image_suitable': { 'openai': 2, 'anthropic': 2, 'google': 3, 'custom': 1 }
 };
 
 // PHASE 3 / QA FIX: Provider selection now uses unified selectProvider from lib/select-provider.ts
@@ -170,139 +173,15 @@ function analyzeDealsPipeline(deals: any[]): string {
   return `Total Deals: ${totalDeals}, Total Value: $${totalValue.toLocaleString()}, Win Rate: ${winRate}%`;
 }
 
-// CRITICAL FIX: Timeout-protected stream reader
-// Prevents infinite hanging if AI provider stops sending data
-async function readStreamWithTimeout(reader: ReadableStreamDefaultReader<Uint8Array>): Promise<ReadableStreamReadResult<Uint8Array>> {
-  return withTimeout(
-    reader.read(),
-    STREAM_CHUNK_TIMEOUT,
-    'AI stream chunk read'
-  );
-}
-
-// Stream from OpenAI
-// PHASE 5.1: Updated to Advisor persona with StageFlow philosophy
-// PHASE 19 FIX: Return accumulated text for structured response parsing
-// P1 FIX 2025-12-09: Added AbortController for connection timeout protection
-async function streamOpenAI(apiKey: string, message: string, context: string, model: string, conversationHistory: any[], controller: ReadableStreamDefaultController): Promise<string> {
-  const encoder = new TextEncoder();
-  let accumulatedText = '';
-
-  // P1 FIX: AbortController prevents hanging if provider doesn't respond
-  const abortController = new AbortController();
-  const connectionTimeoutId = setTimeout(() => {
-    abortController.abort();
-    console.error('[OpenAI] Connection timeout - aborting fetch');
-  }, STREAM_CONNECTION_TIMEOUT);
-
-  const messages = [
-    {
-      role: 'system',
-      content: `You are a professional sales advisor for StageFlow - an AI-powered partnership and pipeline management platform. ${context}.
-
-YOUR CORE VALUES: Partnership over transaction. Professionalism over pressure. Momentum over manipulation. Relationship development over pure follow-up.
-
-FORBIDDEN: Never use money-hungry phrases, hard-selling verbs (push, hammer, pressure, force), shaming tactics, or salesy framing.
-
-Be SPECIFIC, SUPPORTIVE, and CONCISE (max 4-5 sentences). CRITICAL: Output clean text with NO markdown syntax (##, ***, ---). Use plain text for emphasis. Suggest constructive next steps, not demands.`
-    }
-  ];
-
-  conversationHistory.forEach((msg: any) => {
-    if (msg.role && msg.content) {
-      messages.push({ role: msg.role, content: msg.content });
-    }
-  });
-
-  messages.push({ role: 'user', content: message });
-
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${apiKey}`
-    },
-    body: JSON.stringify({
-      model: model || 'gpt-4o',
-      messages: messages,
-      temperature: 0.7,
-      max_tokens: 500,
-      stream: true
-    }),
-    signal: abortController.signal
-  });
-
-  // P1 FIX: Clear connection timeout once response starts
-  clearTimeout(connectionTimeoutId);
-
-  if (!response.ok) {
-    throw new Error(`OpenAI API error: ${response.status}`);
-  }
-
-  const reader = response.body!.getReader();
-  const decoder = new TextDecoder();
-
-  try {
-    while (true) {
-      // CRITICAL FIX: Timeout protection on each chunk read
-      const { done, value } = await readStreamWithTimeout(reader);
-      if (done) break;
-
-      const chunk = decoder.decode(value);
-      const lines = chunk.split('\n').filter(line => line.trim() !== '');
-
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6);
-          if (data === '[DONE]') continue;
-
-          try {
-            const parsed = JSON.parse(data);
-            const content = parsed.choices[0]?.delta?.content;
-
-            if (content) {
-              accumulatedText += content; // PHASE 19 FIX: Accumulate for structured parsing
-              controller.enqueue(encoder.encode(`data: ${JSON.stringify({ content, provider: 'ChatGPT' })}\n\n`));
-            }
-          } catch (e) {
-            console.error('Parse error:', e);
-          }
-        }
-      }
-    }
-  } catch (error: any) {
-    // CRITICAL FIX: Handle timeout and abort errors gracefully
-    if (error.name === 'TimeoutError') {
-      const errorEncoder = new TextEncoder();
-      controller.enqueue(errorEncoder.encode(`data: ${JSON.stringify({ error: 'AI response timed out. Please try again.' })}\n\n`));
-    } else if (error.name === 'AbortError') {
-      // P1 FIX: Handle connection timeout abort
-      const errorEncoder = new TextEncoder();
-      controller.enqueue(errorEncoder.encode(`data: ${JSON.stringify({ error: 'Connection to AI provider timed out. Please try again.' })}\n\n`));
-    } else {
-      throw error;
-    }
-  } finally {
-    reader.releaseLock();
-  }
-  return accumulatedText; // PHASE 19 FIX: Return accumulated text
-}
-
-// Stream from Anthropic
-// PHASE 5.1: Updated to Advisor persona with StageFlow philosophy
+// Stream from any provider through its adapter
+// PHASE 5.1: Advisor persona with StageFlow philosophy
 // PHASE 19 FIX: Return accumulated text for structured response parsing
-// P1 FIX 2025-12-09: Added AbortController for connection timeout protection
-async function streamAnthropic(apiKey: string, message: string, context: string, model: string, conversationHistory: any[], controller: ReadableStreamDefaultController): Promise<string> {
+// Connection (STREAM_CONNECTION_TIMEOUT) and per-chunk (STREAM_CHUNK_TIMEOUT) timeouts
+// end the stream with an error event instead of hanging
+async function streamProvider(adapter: ProviderAdapter, config: ProviderConfig, message: string, context: string, conversationHistory: any[], controller: ReadableStreamDefaultController): Promise<string> {
   const encoder = new TextEncoder();
   let accumulatedText = '';
 
-  // P1 FIX: AbortController prevents hanging if provider doesn't respond
-  const abortController = new AbortController();
-  const connectionTimeoutId = setTimeout(() => {
-    abortController.abort();
-    console.error('[Anthropic] Connection timeout - aborting fetch');
-  }, STREAM_CONNECTION_TIMEOUT);
-
   const systemPrompt = `You are a professional sales advisor for StageFlow - an AI-powered partnership and pipeline management platform. ${context}.
 
 YOUR CORE VALUES: Partnership over transaction. Professionalism over pressure. Momentum over manipulation. Relationship development over pure follow-up.
@@ -311,85 +190,33 @@ FORBIDDEN: Never use money-hungry phrases, hard-selling verbs (push, hammer, pre
 
 Be SPECIFIC, SUPPORTIVE, and CONCISE (max 4-5 sentences). CRITICAL: Output clean text with NO markdown syntax (##, ***, ---). Use plain text for emphasis. Suggest constructive next steps, not demands.`;
 
-  const messages: any[] = [];
-  if (conversationHistory.length === 0) {
-    messages.push({ role: 'user', content: message });
-  } else {
-    conversationHistory.forEach((msg: any) => {
-      if (msg.role && msg.content) {
-        messages.push({ role: msg.role, content: msg.content });
-      }
-    });
-    messages.push({ role: 'user', content: message });
-  }
-
-  const response = await fetch('https://api.anthropic.com/v1/messages', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'x-api-key': apiKey,
-      'anthropic-version': '2024-01-01'
-    },
-    body: JSON.stringify({
-      model: model || 'claude-3-5-sonnet-20241022',
-      max_tokens: 500,
-      system: systemPrompt,
-      messages: messages,
-      stream: true
-    }),
-    signal: abortController.signal
-  });
-
-  // P1 FIX: Clear connection timeout once response starts
-  clearTimeout(connectionTimeoutId);
-
-  if (!response.ok) {
-    throw new Error(`Anthropic API error: ${response.status}`);
-  }
-
-  const reader = response.body!.getReader();
-  const decoder = new TextDecoder();
-
   try {
-    while (true) {
-      // CRITICAL FIX: Timeout protection on each chunk read
-      const { done, value } = await readStreamWithTimeout(reader);
-      if (done) break;
-
-      const chunk = decoder.decode(value);
-      const lines = chunk.split('\n').filter(line => line.trim() !== '');
-
-      for (const line of lines) {
-        if (line.startsWith('data: ')) {
-          const data = line.slice(6);
-
-          try {
-            const parsed = JSON.parse(data);
-
-            if (parsed.type === 'content_block_delta' && parsed.delta?.text) {
-              accumulatedText += parsed.delta.text; // PHASE 19 FIX: Accumulate for structured parsing
-              controller.enqueue(encoder.encode(`data: ${JSON.stringify({ content: parsed.delta.text, provider: 'Claude' })}\n\n`));
-            }
-          } catch (e) {
-            console.error('Parse error:', e);
-          }
-        }
+    await adapter.stream(
+      config,
+      {
+        system: systemPrompt,
+        messages: toChatMessages(conversationHistory, message),
+        temperature: 0.7,
+        maxTokens: 500,
+        connectTimeoutMs: STREAM_CONNECTION_TIMEOUT,
+        chunkTimeoutMs: STREAM_CHUNK_TIMEOUT
+      },
+      (content) => {
+        accumulatedText += content; // PHASE 19 FIX: Accumulate for structured parsing
+        controller.enqueue(encoder.encode(`data: ${JSON.stringify({ content, provider: adapter.displayName })}\n\n`));
       }
-    }
+    );
   } catch (error: any) {
     // CRITICAL FIX: Handle timeout and abort errors gracefully
-    if (error.name === 'TimeoutError') {
-      const errorEncoder = new TextEncoder();
-      controller.enqueue(errorEncoder.encode(`data: ${JSON.stringify({ error: 'AI response timed out. Please try again.' })}\n\n`));
-    } else if (error.name === 'AbortError') {
+    if (error instanceof TimeoutError) {
+      controller.enqueue(encoder.encode(`data: ${JSON.stringify({ error: 'AI response timed out. Please try again.' })}\n\n`));
+    } else if (error?.name === 'AbortError') {
       // P1 FIX: Handle connection timeout abort
-      const errorEncoder = new TextEncoder();
-      controller.enqueue(errorEncoder.encode(`data: ${JSON.stringify({ error: 'Connection to AI provider timed out. Please try again.' })}\n\n`));
+      console.error(`[${adapter.apiName}] Connection timeout - aborting fetch`);
+      controller.enqueue(encoder.encode(`data: ${JSON.stringify({ error: 'Connection to AI provider timed out. Please try again.' })}\n\n`));
     } else {
       throw error;
     }
-  } finally {
-    reader.releaseLock();
   }
   return accumulatedText; // PHASE 19 FIX: Return accumulated text
 }
@@ -437,7 +264,10 @@ export default async (req: Request, context: any) => {
     }
 
     const body = await req.json() as any;
-    const { message, deals = [], conversationHistory = [], aiSignals = [] } = body;
+    // Deals are loaded below under the caller's org and role - never taken from the body
+    const { message, aiSignals = [], threadId, displayMessage } = body;
+    // History only ever comes from a stored thread - turns sent by the client could be fabricated
+    let conversationHistory: any[] = [];
 
     if (!message) {
       return new Response(JSON.stringify({ error: 'Message is required' }), {
@@ -450,6 +280,7 @@ export default async (req: Request, context: any) => {
     // Phase 4 Batch 3: Centralize authentication (inline -> middleware)
     let user: any;
     let organizationId: string;
+    let memberRole: string;
 
     // MEDIUM-04 FIX: Wrap feature flag check in try-catch with fallback to legacy auth
     let useNewAuth = false;
@@ -468,7 +299,7 @@ export default async (req: Request, context: any) => {
         // Instead, query team_members directly like the legacy path does
         const { data: membership } = await supabase
           .from('team_members')
-          .select('organization_id')
+          .select('organization_id, role')
           .eq('user_id', user.id)
           .single();
 
@@ -480,6 +311,7 @@ export default async (req: Request, context: any) => {
         }
 
         organizationId = membership.organization_id;
+        memberRole = membership.role;
       } catch (authError) {
         return createAuthErrorResponse(authError);
       }
@@ -521,7 +353,7 @@ export default async (req: Request, context: any) => {
       // MIGRATION FIX: Changed from user_workspaces to team_members (v1.7.22)
       const { data: membership } = await supabase
         .from('team_members')
-        .select('organization_id')
+        .select('organization_id, role')
         .eq('user_id', user.id)
         .single();
 
@@ -533,6 +365,21 @@ export default async (req: Request, context: any) => {
       }
 
       organizationId = membership.organization_id;
+      memberRole = membership.role;
+    }
+
+    // Persisted thread: history comes from the stored messages, not the client
+    let thread: AIThread | null = null;
+    if (threadId) {
+      const access = await loadThread(supabase, String(threadId), { organizationId, userId: user.id }).catch(() => null);
+      if (!access || access.readOnly) {
+        return new Response(JSON.stringify({ error: 'Conversation not found', code: 'NOT_FOUND' }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+      thread = access.thread;
+      conversationHistory = await loadThreadHistory(supabase, thread.id);
     }
 
     // =========================================================================
@@ -675,9 +522,9 @@ export default async (req: Request, context: any) => {
       });
     }
 
-    // FIX 2025-12-04: Only allow 3 providers (OpenAI, Anthropic, Google)
+    // Only providers with an adapter can be called
     const runtimeProviders = providers.filter(
-      (p: any) => ['openai', 'anthropic', 'google'].includes(p.provider_type)
+      (p: any) => getProviderAdapter(p.provider_type) !== null
     );
 
     // FIX 2025-12-02: Return 422 (Unprocessable Entity) for NO_PROVIDERS
@@ -701,13 +548,23 @@ export default async (req: Request, context: any) => {
     const bestProvider = selectBestProvider(runtimeProviders, taskType);
     const sortedProviders = sortProvidersForFallback(runtimeProviders, bestProvider?.provider_type, taskType);
 
+    // Deals, stage moves and targets the user can read, trimmed to what's relevant to the question
+    const dealContext = await loadDealContext(supabase, {
+      organizationId,
+      userId: user.id,
+      role: memberRole,
+      question: message
+    });
+    const deals = dealContext.deals;
+
     // Analyze pipeline (simplified for streaming)
     const pipelineContext = analyzeDealsPipeline(deals);
 
     // PHASE 3: Add visual spec instructions based on task type
     const visualInstructions = buildVisualSpecInstructions(taskType);
     // PHASE 5.3: Include adaptation snippet in context
-    const enrichedContext = pipelineContext + visualInstructions + (adaptationSnippet ? '\n' + adaptationSnippet : '');
+    const enrichedContext = pipelineContext + visualInstructions + (adaptationSnippet ? '\n' + adaptationSnippet : '')
+      + (dealContext.prompt ? '\n\n' + dealContext.prompt : '');
 
     // CHART PARITY: Detect chart type BEFORE streaming (same logic as non-streaming)
     const { chartType, chartTitle } = detectChartType(message);
@@ -748,14 +605,13 @@ export default async (req: Request, context: any) => {
         for (const currentProvider of sortedProviders) {
           const providerType = currentProvider.provider_type as ProviderType;
 
-          // Decrypt API key for this provider
-          let apiKey: string;
+          // Decrypt API key (and custom endpoint headers) for this provider
+          let config: ProviderConfig;
           try {
-            if (isLegacyEncryption(currentProvider.api_key_encrypted)) {
-              apiKey = decryptLegacy(currentProvider.api_key_encrypted);
-            } else {
-              apiKey = decrypt(currentProvider.api_key_encrypted);
-            }
+            const apiKey = isLegacyEncryption(currentProvider.api_key_encrypted)
+              ? decryptLegacy(currentProvider.api_key_encrypted)
+              : decrypt(currentProvider.api_key_encrypted);
+            config = providerConfig(currentProvider, apiKey);
           } catch (decryptError: any) {
             logProviderAttempt('streaming', providerType, 'failed', 'KEY_DECRYPT_FAILED');
             providerErrors.push({ provider: providerType, errorType: 'KEY_DECRYPT_FAILED', message: 'Failed to decrypt API key' });
@@ -765,125 +621,25 @@ export default async (req: Request, context: any) => {
           logProviderAttempt('streaming', providerType, 'attempting');
 
           try {
-            // Stream based on provider type (using enrichedContext with visual instructions)
-            if (currentProvider.provider_type === 'openai') {
-              accumulatedResponse = await streamOpenAI(apiKey, message, enrichedContext, currentProvider.model || 'gpt-4o-mini', conversationHistory, controller);
-              // FIX 2025-12-04: Check streaming response for soft failures too
-              const { isSoftFailure: oaiSoftFailure } = detectSoftFailure(accumulatedResponse);
-              const oaiIsLast = sortedProviders.indexOf(currentProvider) === sortedProviders.length - 1;
-              if (oaiSoftFailure && !oaiIsLast) {
-                console.warn(`[ai-stream-fallback] OpenAI returned soft failure, trying next...`);
-                providerErrors.push({ provider: providerType, errorType: 'SOFT_FAILURE', message: accumulatedResponse.substring(0, 200) });
-                continue;
-              }
-              textStreamCompleted = true;
-              successfulProvider = providerType;
-              successfulProviderModel = currentProvider.model || 'gpt-4o-mini';
-              logProviderAttempt('streaming', providerType, oaiSoftFailure ? 'soft_failure' : 'success');
-              break; // Success! Exit the loop
-            } else if (currentProvider.provider_type === 'anthropic') {
-              accumulatedResponse = await streamAnthropic(apiKey, message, enrichedContext, currentProvider.model || 'claude-3-5-sonnet-20241022', conversationHistory, controller);
-              // FIX 2025-12-04: Check streaming response for soft failures too
-              const { isSoftFailure: claudeSoftFailure } = detectSoftFailure(accumulatedResponse);
-              const claudeIsLast = sortedProviders.indexOf(currentProvider) === sortedProviders.length - 1;
-              if (claudeSoftFailure && !claudeIsLast) {
-                console.warn(`[ai-stream-fallback] Anthropic returned soft failure, trying next...`);
-                providerErrors.push({ provider: providerType, errorType: 'SOFT_FAILURE', message: accumulatedResponse.substring(0, 200) });
-                continue;
-              }
-              textStreamCompleted = true;
-              successfulProvider = providerType;
-              successfulProviderModel = currentProvider.model || 'claude-3-5-sonnet-20241022';
-              logProviderAttempt('streaming', providerType, claudeSoftFailure ? 'soft_failure' : 'success');
-              break; // Success! Exit the loop
-            } else if (currentProvider.provider_type === 'google') {
-              // CRITICAL-02 FIX: For Gemini, use non-streaming fallback
-              const systemPrompt = `You are a professional sales advisor for StageFlow - an AI-powered partnership and pipeline management platform. ${enrichedContext}.
-
-YOUR CORE VALUES: Partnership over transaction. Professionalism over pressure. Momentum over manipulation. Relationship development over pure follow-up.
-
-FORBIDDEN: Never use money-hungry phrases, hard-selling verbs (push, hammer, pressure, force), shaming tactics, or salesy framing.
-
-Be SPECIFIC, SUPPORTIVE, and CONCISE (max 4-5 sentences). CRITICAL: Output clean text with NO markdown syntax (##, ***, ---). Use plain text for emphasis. Suggest constructive next steps, not demands.`;
-
-              let providerName = PROVIDER_NAMES[providerType] || 'AI';
-              let responseText = '';
-
-              // Gemini non-streaming fallback
-              const geminiResponse = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${currentProvider.model || 'gemini-1.5-pro'}:generateContent?key=${apiKey}`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                  contents: [
-                    { role: 'user', parts: [{ text: systemPrompt + '\n\nUser: ' + message }] }
-                  ],
-                  generationConfig: { temperature: 0.7, maxOutputTokens: 500 }
-                })
-              });
-              if (!geminiResponse.ok) {
-                // FIX 2025-12-03: Better error classification for Google
-                const { errorType } = classifyError({ message: `Gemini API error: ${geminiResponse.status}` }, geminiResponse.status);
-                throw { message: `Gemini API error: ${geminiResponse.status}`, status: geminiResponse.status, errorType };
-              }
-              const geminiData = await geminiResponse.json() as { candidates?: { content?: { parts?: { text?: string }[] } }[] };
-
-              // P0 FIX: Validate Gemini response structure before accessing nested properties
-              if (!geminiData.candidates || geminiData.candidates.length === 0) {
-                console.error('[ai-stream] Gemini returned empty candidates array:', JSON.stringify(geminiData).substring(0, 500));
-                throw { message: 'Gemini returned no candidates', status: 500, errorType: 'PROVIDER_ERROR' };
-              }
-
-              const candidate = geminiData.candidates[0];
-              if (!candidate.content || !candidate.content.parts || candidate.content.parts.length === 0) {
-                console.error('[ai-stream] Gemini candidate missing content/parts:', JSON.stringify(candidate).substring(0, 500));
-                throw { message: 'Gemini response missing content', status: 500, errorType: 'PROVIDER_ERROR' };
-              }
-
-              responseText = candidate.content.parts[0]?.text || '';
-              if (!responseText) {
-                console.warn('[ai-stream] Gemini returned empty text content');
-                responseText = 'Unable to generate response. Please try again.';
-              }
-
-              // FIX 2025-12-04: Streaming soft-failure handling for last provider (match non-stream behavior)
-              // Check if the response content indicates a soft failure (200 OK but error message)
-              const { isSoftFailure: responseIsSoftFailure, pattern: softFailurePattern } = detectSoftFailure(responseText);
-              const isLastProvider = sortedProviders.indexOf(currentProvider) === sortedProviders.length - 1;
-
-              if (responseIsSoftFailure) {
-                if (isLastProvider) {
-                  // Last provider returned a soft failure - show their message with warning flag
-                  // instead of ALL_PROVIDERS_FAILED (matches non-streaming behavior from ai-fallback.js:288-315)
-                  console.warn(`[ai-stream-fallback] Last provider ${providerType} returned soft failure: "${softFailurePattern}"`);
-                  safeEnqueue(encoder.encode(`data: ${JSON.stringify({
-                    content: responseText,
-                    provider: providerName,
-                    isSoftFailure: true,
-                    softFailureMessage: `${providerName} returned an error. Check your API key or try again.`
-                  })}\n\n`));
-                  textStreamCompleted = true;
-                  successfulProvider = providerType;
-                  successfulProviderModel = currentProvider.model || 'gemini-1.5-pro';
-                  accumulatedResponse = responseText;
-                  logProviderAttempt('streaming', providerType, 'soft_failure');
-                  break; // Exit loop - we've handled this gracefully
-                } else {
-                  // Not last provider - try next one (treat as error for fallback purposes)
-                  console.warn(`[ai-stream-fallback] Provider ${providerType} returned soft failure, trying next...`);
-                  providerErrors.push({ provider: providerType, errorType: 'SOFT_FAILURE', message: responseText.substring(0, 200) });
-                  continue; // Try next provider
-                }
-              }
-
-              // No soft failure - send the complete response as a single SSE event
-              safeEnqueue(encoder.encode(`data: ${JSON.stringify({ content: responseText, provider: providerName })}\n\n`));
-              textStreamCompleted = true;
-              successfulProvider = providerType;
-              successfulProviderModel = currentProvider.model || 'gemini-1.5-pro';
-              accumulatedResponse = responseText;
-              logProviderAttempt('streaming', providerType, 'success');
-              break; // Success! Exit the loop
+            const adapter = getProviderAdapter(providerType)!;
+            const model = currentProvider.model || adapter.defaultModel;
+
+            // Stream through the provider's adapter (using enrichedContext with visual instructions)
+            accumulatedResponse = await streamProvider(adapter, { ...config, model }, message, enrichedContext, conversationHistory, controller);
+
+            // FIX 2025-12-04: Check streaming response for soft failures too
+            const { isSoftFailure } = detectSoftFailure(accumulatedResponse);
+            const isLastProvider = sortedProviders.indexOf(currentProvider) === sortedProviders.length - 1;
+            if (isSoftFailure && !isLastProvider) {
+              console.warn(`[ai-stream-fallback] ${adapter.apiName} returned soft failure, trying next...`);
+              providerErrors.push({ provider: providerType, errorType: 'SOFT_FAILURE', message: accumulatedResponse.substring(0, 200) });
+              continue;
             }
+            textStreamCompleted = true;
+            successfulProvider = providerType;
+            successfulProviderModel = model;
+            logProviderAttempt('streaming', providerType, isSoftFailure ? 'soft_failure' : 'success');
+            break; // Success! Exit the loop
           } catch (providerError: any) {
             // FIX 2025-12-03: Classify the error and decide whether to fallback
             const statusCode = providerError?.status || providerError?.statusCode;
@@ -976,10 +732,13 @@ Be SPECIFIC, SUPPORTIVE, and CONCISE (max 4-5 sentences). CRITICAL: Output clean
 
         // CHART PARITY: Send chart data as final SSE event AFTER text stream completes
         // STREAM-02 FIX: Only send chart if text streaming completed successfully
+        // Chart and Plan My Day payloads are stored with the answer in its thread
+        const threadMetadata: Record<string, unknown> = {};
         if (textStreamCompleted && chartType && deals.length > 0) {
           try {
             const chartData = await calculateChartData(chartType, deals, organizationId, supabase);
             if (chartData && chartData.length > 0) {
+              Object.assign(threadMetadata, { chartType, chartTitle, chartData });
               // Send chart event with type, title, and data
               safeEnqueue(encoder.encode(`event: chart\ndata: ${JSON.stringify({
                 chartType,
@@ -998,6 +757,7 @@ Be SPECIFIC, SUPPORTIVE, and CONCISE (max 4-5 sentences). CRITICAL: Output clean
         if (textStreamCompleted && isPlanMyDay && accumulatedResponse) {
           try {
             const structuredResponse = buildPlanMyDayResponse(accumulatedResponse, deals);
+            threadMetadata.structuredResponse = structuredResponse;
             safeEnqueue(encoder.encode(`event: structured\ndata: ${JSON.stringify(structuredResponse)}\n\n`));
           } catch (structuredError) {
             console.error('Structured response error:', structuredError);
@@ -1005,6 +765,15 @@ Be SPECIFIC, SUPPORTIVE, and CONCISE (max 4-5 sentences). CRITICAL: Output clean
           }
         }
 
+        if (thread) {
+          await appendThreadExchange(supabase, thread, {
+            question: displayMessage || message,
+            answer: accumulatedResponse,
+            provider: successfulProvider ? PROVIDER_NAMES[successfulProvider] || successfulProvider : null,
+            metadata: threadMetadata
+          });
+        }
+
         // Increment AI usage after stream completes
         // FIX 2025-12-03: Use direct UPDATE instead of RPC (RPC may not exist in all environments)
         try {
@@ -1,5 +1,4 @@
 import { createClient } from '@supabase/supabase-js';
-import { withTimeout, TIMEOUTS } from './lib/timeout-wrapper';
 import { decrypt, isLegacyEncryption, decryptLegacy } from './lib/encryption';
 import { shouldUseNewAuth } from './lib/feature-flags';
 import { requireAuth, requireOrgAccess, createAuthErrorResponse } from './lib/auth-middleware';
@@ -66,7 +65,8 @@ if (process.env.ENCRYPTION_KEY && !_encryptionKeyFormatValid) {
   console.error("[StageFlow][AI][CONFIG] ENCRYPTION_KEY is present but invalid format (expected 64 hex chars, got " + _encryptionKeyForDiagnostics.length + " chars)");
 }
 // CENTRALIZED CONFIG: Import thresholds from single source of truth
-import { STAGNATION_THRESHOLDS } from '../../src/config/pipelineConfig';
+import { getStagnationThreshold } from '../../src/config/pipelineConfig';
+import { loadStageDefinitions, type StageDefinitionMap } from './lib/stage-definitions';
 // PHASE 3: Task-aware model selection
 import { determineTaskType, TaskType } from './lib/ai-analytics';
 // PHASE 5.3: Adaptive AI User Profile
@@ -105,6 +105,10 @@ import {
 } from './lib/invariant-validator';
 // REVENUE AGENT 2025-12-10: Detailed AI usage logging
 import { logAIUsage, AIRequestType } from './lib/ai-usage-logger';
+import { loadThread, loadThreadHistory, appendThreadExchange, type AIThread } from './lib/ai-threads';
+import { runToolLoop, type ToolContext } from './lib/ai-tools';
+import { loadDealContext } from './lib/ai-deal-context';
+import { getProviderAdapter, providerConfig, toChatMessages, ProviderAPIError, type ProviderConfig } from './lib/ai-provider-adapters';
 
 const supabase = createClient(
   process.env.VITE_SUPABASE_URL!,
@@ -253,7 +257,7 @@ async function getActiveProviders(organizationId: string): Promise<any[]> {
 }
 
 // Analyze deals and create RICH context for AI
-function analyzeDealsPipeline(deals: any[]): any {
+function analyzeDealsPipeline(deals: any[], stageDefinitions: StageDefinitionMap = {}): any {
   const now = new Date();
   const totalDeals = deals.length;
   const totalValue = deals.reduce((sum: number, d: any) => sum + Number(d.value || 0), 0);
@@ -278,13 +282,13 @@ function analyzeDealsPipeline(deals: any[]): any {
 
   const avgDealValue = totalDeals > 0 ? totalValue / totalDeals : 0;
 
-  // STAGNATION DETECTION - Using centralized thresholds from pipelineConfig
+  // STAGNATION DETECTION - Org stage definitions, then centralized thresholds from pipelineConfig
   const stagnantDeals = deals.filter((d: any) => {
     if (!d || d.status !== 'active' || !d.created && !d.created_at) return false;
     const created = new Date(d.created || d.created_at);
     if (isNaN(created.getTime())) return false; // Invalid date
     const daysSinceCreated = Math.floor((now.getTime() - created.getTime()) / (1000 * 60 * 60 * 24));
-    const threshold = STAGNATION_THRESHOLDS[d.stage as keyof typeof STAGNATION_THRESHOLDS] || STAGNATION_THRESHOLDS.default;
+    const threshold = getStagnationThreshold(d.stage, stageDefinitions);
     return daysSinceCreated > threshold;
   });
 
@@ -644,7 +648,7 @@ async function calculateGoalProgress(deals: any[], organizationId: string, supab
 }
 
 // ANALYTICS: Calculate at-risk deals by severity
-function calculateAtRiskDeals(deals: any[]): any[] {
+function calculateAtRiskDeals(deals: any[], stageDefinitions: StageDefinitionMap = {}): any[] {
   // CRITICAL FIX: Handle empty deals array (new users with 0 deals)
   if (!deals || deals.length === 0) {
     return [];
@@ -658,7 +662,7 @@ function calculateAtRiskDeals(deals: any[]): any[] {
   const atRisk = activeDeals.map(d => {
     const created = new Date(d.created || d.created_at);
     const daysSinceCreated = Math.floor((now.getTime() - created.getTime()) / (1000 * 60 * 60 * 24));
-    const threshold = STAGNATION_THRESHOLDS[d.stage as keyof typeof STAGNATION_THRESHOLDS] || STAGNATION_THRESHOLDS.default;
+    const threshold = getStagnationThreshold(d.stage, stageDefinitions);
     const daysOverdue = daysSinceCreated - threshold;
 
     return {
@@ -692,14 +696,84 @@ function calculateAtRiskDeals(deals: any[]): any[] {
   ];
 }
 
+// Pipeline context for the system prompts. dealContext (lib/ai-deal-context.ts)
+// is rendered as plain text below it, so it is left out of the JSON.
+function pipelineContextJson(context: any): string {
+  return JSON.stringify({ ...context, dealContext: undefined }, null, 2);
+}
+
+// Ask the provider through its adapter, running tool calls when toolContext is set.
+// The call functions below only differ in their prompts.
+async function completeWithTools(
+  providerType: string,
+  options: { config: ProviderConfig; systemPrompt: string; messages: any[]; toolContext?: ToolContext }
+): Promise<any> {
+  const adapter = getProviderAdapter(providerType);
+  if (!adapter) {
+    throw new Error(`Unsupported provider: ${providerType}`);
+  }
+  const config = { ...options.config, model: options.config.model || adapter.defaultModel };
+
+  // ============================================================================
+  // [StageFlow][AI][PROVIDER_CALL] Pre-call diagnostic
+  // ============================================================================
+  console.log("[StageFlow][AI][PROVIDER_CALL]", {
+    provider: providerType,
+    model: config.model,
+    apiKeyLength: config.apiKey?.length ?? 0,
+    messageCount: options.messages.length,
+    phase: 'CALLING'
+  });
+
+  // One provider round trip; runToolLoop repeats it after running the model's tool calls
+  let text = '';
+  const send = async (requestMessages: any[], toolFields: Record<string, unknown> = {}) => {
+    try {
+      const result = await adapter.complete(config, {
+        system: options.systemPrompt,
+        messages: requestMessages,
+        maxTokens: 500,
+        extra: toolFields,
+        allowEmptyText: true
+      });
+      text = result.text;
+      return result.raw;
+    } catch (error) {
+      if (error instanceof ProviderAPIError) {
+        console.error("[StageFlow][AI][PROVIDER_CALL][ERROR]", {
+          provider: providerType,
+          httpStatus: error.status,
+          errorBody: error.details?.substring(0, 200)
+        });
+      }
+      throw error;
+    }
+  };
+
+  let proposedActions: any[] = [];
+  if (options.toolContext) {
+    ({ proposedActions } = await runToolLoop({ providerType, messages: options.messages, send, context: options.toolContext }));
+  } else {
+    await send(options.messages);
+  }
+
+  // NULL CHECK: Validate response structure
+  if (!text) {
+    throw new Error(`${adapter.apiName} returned invalid response structure`);
+  }
+
+  return {
+    response: text,
+    provider: adapter.displayName,
+    proposedActions
+  };
+}
+
 // Call OpenAI/GPT
-async function callOpenAI(apiKey: string, message: string, context: any, modelName?: string, conversationHistory: any[] = []): Promise<any> {
-  // Build messages array with system prompt, conversation history, then current message
+// Also the prompt for providers without one of their own (providerType)
+async function callOpenAI(config: ProviderConfig, message: string, context: any, conversationHistory: any[] = [], toolContext?: ToolContext, providerType = 'openai'): Promise<any> {
   // PHASE 5.1: Updated to Advisor persona with StageFlow philosophy
-  const messages = [
-    {
-      role: 'system',
-      content: `You are a professional sales advisor for StageFlow - an AI-powered partnership and pipeline management platform. You provide clear, supportive guidance focused on building relationships and maintaining healthy deal momentum.
+  const systemPrompt = `You are a professional sales advisor for StageFlow - an AI-powered partnership and pipeline management platform. You provide clear, supportive guidance focused on building relationships and maintaining healthy deal momentum.
 
 **YOUR CORE VALUES:**
 - Partnership over transaction
@@ -717,7 +791,7 @@ async function callOpenAI(apiKey: string, message: string, context: any, modelNa
 - Salesy framing or manipulation tactics
 
 **Current Pipeline Context:**
-${JSON.stringify(context, null, 2)}
+${pipelineContextJson(context)}
 
 **Your Expertise:**
 - Momentum Detection: Deals naturally have rhythms - help maintain healthy progression
@@ -752,7 +826,9 @@ ${context.historicalPerformance ? `
 ${context.stagnantDeals > 0 ? `${context.stagnantDeals} deals may benefit from attention:\n${context.stagnantDealsList.map((d: any) => `• ${d.client}: $${(d.value || 0).toLocaleString()} in ${d.stage} (${d.age} days)`).join('\n')}` : '✓ Pipeline momentum looks healthy'}
 
 ${context.highValueAtRisk > 0 ? `\nHigh-value opportunities to nurture:\n${context.highValueAtRiskList.map((d: any) => `• ${d.client}: $${(d.value || 0).toLocaleString()} in ${d.stage}`).join('\n')}` : ''}
+${context.dealContext ? `\n${context.dealContext}\n` : ''}
 ${context.visualInstructions || ''}
+${context.toolInstructions || ''}
 ${context.adaptationSnippet || ''}
 ${context.taskMode === 'planning' ? `
 **PLAN MY DAY MODE - FOLLOW THESE INSTRUCTIONS EXACTLY:**
@@ -772,94 +848,17 @@ Share ONE brief insight about the user's work patterns based on their deal histo
 
 End each section with a helpful question like "Want help with the next step?"
 ` : ''}
-Focus on sustainable momentum and genuine relationship development.`
-    }
-  ];
-
-  // Add conversation history (exclude provider metadata, only role and content)
-  conversationHistory.forEach((msg: any) => {
-    if (msg.role && msg.content) {
-      messages.push({
-        role: msg.role,
-        content: msg.content
-      });
-    }
-  });
-
-  // Add current user message
-  messages.push({
-    role: 'user',
-    content: message
-  });
-
-  // ============================================================================
-  // [StageFlow][AI][PROVIDER_CALL] Pre-call diagnostic
-  // ============================================================================
-  console.log("[StageFlow][AI][PROVIDER_CALL]", {
-    provider: 'openai',
-    model: modelName || 'gpt-4o',
-    endpoint: 'https://api.openai.com/v1/chat/completions',
-    apiKeyLength: apiKey?.length ?? 0,
-    apiKeyPrefix: apiKey?.substring(0, 7) + '***', // "sk-proj" or "sk-..." prefix
-    messageCount: messages.length,
-    phase: 'CALLING'
-  });
-
-  const response = await withTimeout(
-    fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: modelName || 'gpt-4o', // Use database model, fallback to gpt-4o
-        messages: messages,
-        temperature: 0.7,
-        max_tokens: 500
-      })
-    }),
-    TIMEOUTS.AI_PROVIDER,
-    'OpenAI API call'
-  );
-
-  // ============================================================================
-  // [StageFlow][AI][PROVIDER_CALL] Post-call diagnostic
-  // ============================================================================
-  console.log("[StageFlow][AI][PROVIDER_CALL]", {
-    provider: 'openai',
-    model: modelName || 'gpt-4o',
-    httpStatus: response.status,
-    httpOk: response.ok,
-    phase: 'RESPONSE_RECEIVED'
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error("[StageFlow][AI][PROVIDER_CALL][ERROR]", {
-      provider: 'openai',
-      httpStatus: response.status,
-      errorBody: errorText?.substring(0, 200)
-    });
-    throw new Error(`OpenAI API error: ${response.status} - ${errorText}`);
-  }
-
-  const data = await response.json() as any;
+Focus on sustainable momentum and genuine relationship development.`;
 
-  // NULL CHECK: Validate response structure
-  if (!data?.choices?.[0]?.message?.content) {
-    throw new Error('OpenAI returned invalid response structure');
-  }
+  // Conversation history (only role and content), then the current message
+  const messages = toChatMessages(conversationHistory, message);
 
-  return {
-    response: data.choices[0].message.content,
-    provider: 'ChatGPT'
-  };
+  return completeWithTools(providerType, { config, systemPrompt, messages, toolContext });
 }
 
 // Call Anthropic/Claude
 // PHASE 5.1: Updated to Advisor persona with StageFlow philosophy
-async function callAnthropic(apiKey: string, message: string, context: any, modelName?: string, conversationHistory: any[] = []): Promise<any> {
+async function callAnthropic(config: ProviderConfig, message: string, context: any, conversationHistory: any[] = [], toolContext?: ToolContext): Promise<any> {
   const systemPrompt = `You are a professional sales advisor for StageFlow - an AI-powered partnership and pipeline management platform. You provide clear, supportive guidance focused on building relationships and maintaining healthy deal momentum.
 
 **YOUR CORE VALUES:**
@@ -878,7 +877,7 @@ async function callAnthropic(apiKey: string, message: string, context: any, mode
 - Salesy framing or manipulation tactics
 
 **Current Pipeline Context:**
-${JSON.stringify(context, null, 2)}
+${pipelineContextJson(context)}
 
 **Your Expertise:**
 - Momentum Detection: Deals naturally have rhythms - help maintain healthy progression
@@ -913,107 +912,20 @@ ${context.historicalPerformance ? `
 ${context.stagnantDeals > 0 ? `${context.stagnantDeals} deals may benefit from attention:\n${context.stagnantDealsList.map((d: any) => `• ${d.client}: $${(d.value || 0).toLocaleString()} in ${d.stage} (${d.age} days)`).join('\n')}` : '✓ Pipeline momentum looks healthy'}
 
 ${context.highValueAtRisk > 0 ? `\nHigh-value opportunities to nurture:\n${context.highValueAtRiskList.map((d: any) => `• ${d.client}: $${(d.value || 0).toLocaleString()} in ${d.stage}`).join('\n')}` : ''}
+${context.dealContext ? `\n${context.dealContext}\n` : ''}
 ${context.visualInstructions || ''}
+${context.toolInstructions || ''}
 ${context.adaptationSnippet || ''}
 Focus on sustainable momentum and genuine relationship development.`;
 
-  // Build messages array with conversation history
-  const messages: any[] = [];
+  const messages = toChatMessages(conversationHistory, message);
 
-  // If no conversation history, start with user message that includes context
-  if (conversationHistory.length === 0) {
-    messages.push({
-      role: 'user',
-      content: message
-    });
-  } else {
-    // Add conversation history
-    conversationHistory.forEach((msg: any) => {
-      if (msg.role && msg.content) {
-        messages.push({
-          role: msg.role,
-          content: msg.content
-        });
-      }
-    });
-
-    // Add current user message
-    messages.push({
-      role: 'user',
-      content: message
-    });
-  }
-
-  // ============================================================================
-  // [StageFlow][AI][PROVIDER_CALL] Pre-call diagnostic
-  // ============================================================================
-  console.log("[StageFlow][AI][PROVIDER_CALL]", {
-    provider: 'anthropic',
-    model: modelName || 'claude-3-5-sonnet-20241022',
-    endpoint: 'https://api.anthropic.com/v1/messages',
-    apiKeyLength: apiKey?.length ?? 0,
-    apiKeyPrefix: apiKey?.substring(0, 7) + '***', // "sk-ant-" prefix
-    messageCount: messages.length,
-    phase: 'CALLING'
-  });
-
-  const response = await withTimeout(
-    fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2024-01-01'
-      },
-      body: JSON.stringify({
-        model: modelName || 'claude-3-5-sonnet-20241022', // Use database model, fallback to sonnet
-        max_tokens: 500,
-        system: systemPrompt,
-        messages: messages
-      })
-    }),
-    TIMEOUTS.AI_PROVIDER,
-    'Anthropic API call'
-  );
-
-  // ============================================================================
-  // [StageFlow][AI][PROVIDER_CALL] Post-call diagnostic
-  // ============================================================================
-  console.log("[StageFlow][AI][PROVIDER_CALL]", {
-    provider: 'anthropic',
-    model: modelName || 'claude-3-5-sonnet-20241022',
-    httpStatus: response.status,
-    httpOk: response.ok,
-    phase: 'RESPONSE_RECEIVED'
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error("[StageFlow][AI][PROVIDER_CALL][ERROR]", {
-      provider: 'anthropic',
-      httpStatus: response.status,
-      errorBody: errorText?.substring(0, 200)
-    });
-    throw new Error(`Anthropic API error: ${response.status} - ${errorText}`);
-  }
-
-  const data = await response.json() as any;
-
-  // NULL CHECK: Validate response structure
-  if (!data?.content?.[0]?.text) {
-    throw new Error('Anthropic returned invalid response structure');
-  }
-
-  return {
-    response: data.content[0].text,
-    provider: 'Claude'
-  };
+  return completeWithTools('anthropic', { config, systemPrompt, messages, toolContext });
 }
 
 // Call Google Gemini
 // PHASE 5.1: Updated to Advisor persona with StageFlow philosophy
-async function callGemini(apiKey: string, message: string, context: any, modelName?: string, conversationHistory: any[] = []): Promise<any> {
-  const model = modelName || 'gemini-1.5-pro'; // Use database model, fallback to gemini-1.5-pro
+async function callGemini(config: ProviderConfig, message: string, context: any, conversationHistory: any[] = [], toolContext?: ToolContext): Promise<any> {
 
   const systemPrompt = `You are a professional sales advisor for StageFlow - an AI-powered partnership and pipeline management platform.
 
@@ -1025,7 +937,7 @@ async function callGemini(apiKey: string, message: string, context: any, modelNa
 
 **FORBIDDEN LANGUAGE:** Never use money-hungry phrases, hard-selling verbs (push, hammer, pressure), shaming tactics, or salesy framing.
 
-**Pipeline Context:** ${JSON.stringify(context, null, 2)}
+**Pipeline Context:** ${pipelineContextJson(context)}
 
 **Stage Benchmarks (Natural Rhythms):**
 - Early stages: 7-10 days typical
@@ -1041,103 +953,16 @@ async function callGemini(apiKey: string, message: string, context: any, modelNa
 
 **Momentum Awareness:**
 ${context.stagnantDeals > 0 ? `${context.stagnantDeals} deals may benefit from attention:\n${context.stagnantDealsList.map((d: any) => `${d.client}: $${(d.value || 0).toLocaleString()} (${d.age}d in ${d.stage})`).join('\n')}` : '✓ Healthy momentum'}
+${context.dealContext ? `\n${context.dealContext}\n` : ''}
 ${context.visualInstructions || ''}
+${context.toolInstructions || ''}
 ${context.adaptationSnippet || ''}
 **Your Role:** Provide supportive, specific guidance. Name deals and values. Keep it brief - charts show data. Suggest constructive next steps.`;
 
-  // Build contents array for Gemini API
-  const contents: any[] = [];
-
-  // If no conversation history, combine system prompt with user message
-  if (conversationHistory.length === 0) {
-    contents.push({
-      parts: [{
-        text: `${systemPrompt}\n\nUser asks: ${message}`
-      }]
-    });
-  } else {
-    // Add system prompt as first user message
-    contents.push({
-      role: 'user',
-      parts: [{ text: systemPrompt }]
-    });
-
-    // Add conversation history (convert role format)
-    conversationHistory.forEach((msg: any) => {
-      if (msg.role && msg.content) {
-        contents.push({
-          role: msg.role === 'assistant' ? 'model' : 'user',
-          parts: [{ text: msg.content }]
-        });
-      }
-    });
-
-    // Add current user message
-    contents.push({
-      role: 'user',
-      parts: [{ text: message }]
-    });
-  }
-
-  // ============================================================================
-  // [StageFlow][AI][PROVIDER_CALL] Pre-call diagnostic
-  // ============================================================================
-  console.log("[StageFlow][AI][PROVIDER_CALL]", {
-    provider: 'google',
-    model: model,
-    endpoint: `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`,
-    apiKeyLength: apiKey?.length ?? 0,
-    apiKeyPrefix: apiKey?.substring(0, 4) + '***', // "AIza" prefix
-    contentsCount: contents.length,
-    phase: 'CALLING'
-  });
-
-  const response = await withTimeout(
-    fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        contents: contents
-      })
-    }),
-    TIMEOUTS.AI_PROVIDER,
-    'Gemini API call'
-  );
-
-  // ============================================================================
-  // [StageFlow][AI][PROVIDER_CALL] Post-call diagnostic
-  // ============================================================================
-  console.log("[StageFlow][AI][PROVIDER_CALL]", {
-    provider: 'google',
-    model: model,
-    httpStatus: response.status,
-    httpOk: response.ok,
-    phase: 'RESPONSE_RECEIVED'
-  });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    console.error("[StageFlow][AI][PROVIDER_CALL][ERROR]", {
-      provider: 'google',
-      httpStatus: response.status,
-      errorBody: errorText?.substring(0, 200)
-    });
-    throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
-  }
-
-  const data = await response.json() as any;
-
-  // NULL CHECK: Validate response structure
-  if (!data?.candidates?.[0]?.content?.parts?.[0]?.text) {
-    throw new Error('Gemini returned invalid response structure');
-  }
+  // Gemini gets the prompt as systemInstruction from the adapter
+  const messages = toChatMessages(conversationHistory, message);
 
-  return {
-    response: data.candidates[0].content.parts[0].text,
-    provider: 'Gemini'
-  };
+  return completeWithTools('google', { config, systemPrompt, messages, toolContext });
 }
 
 
@@ -1173,37 +998,43 @@ const TASK_MODEL_AFFINITY: { [taskType: string]: { [providerType: string]: numbe
   'chart_insight': {
     'openai': 4,      // GPT excels at structured data analysis - PRIMARY
     'google': 3,      // Gemini strong for analytics
-    'anthropic': 2    // Claude is capable
+    'anthropic': 2,   // Claude is capable
+    'custom': 3       // Org's own gateway - model unknown, ranked mid-pack
   },
   // Coaching needs long-form reasoning and empathy - Claude is BEST
   'coaching': {
     'anthropic': 5,   // Claude excels at nuanced, helpful responses - PRIMARY
     'openai': 3,      // GPT is good but more clinical
-    'google': 2       // Gemini is capable
+    'google': 2,      // Gemini is capable
+    'custom': 3
   },
   // Text analysis / RevOps - ChatGPT is the best all-arounder
   'text_analysis': {
     'openai': 4,      // GPT best for structured RevOps analysis - PRIMARY
     'anthropic': 3,   // Claude strong second
-    'google': 2
+    'google': 2,
+    'custom': 3
   },
   // Image suitable - Gemini excels at visual content
   'image_suitable': {
     'google': 5,      // Gemini strong for visuals - PRIMARY
     'openai': 3,      // GPT can describe visuals
-    'anthropic': 2    // Claude as text fallback
+    'anthropic': 2,   // Claude as text fallback
+    'custom': 1       // Gateways are usually text-only
   },
   // Planning tasks (Plan My Day, etc.) - ChatGPT excels
   'planning': {
     'openai': 5,      // GPT best for multi-step guidance - PRIMARY
     'anthropic': 4,   // Claude strong for planning
-    'google': 2       // Gemini capable
+    'google': 2,      // Gemini capable
+    'custom': 3
   },
   // General Q&A - ChatGPT as default brain
   'general': {
     'openai': 4,      // GPT best all-arounder - PRIMARY
     'anthropic': 3,   // Claude strong second
-    'google': 2       // Gemini capable
+    'google': 2,      // Gemini capable
+    'custom': 3
   }
 };
 
@@ -1221,6 +1052,14 @@ function selectBestProvider(providers: any[], taskType: TaskType | string = 'tex
   return unifiedSelectProvider(providers, taskType);
 }
 
+// Appended to the system prompt when deal tools are offered (lib/ai-tools.ts)
+const TOOL_INSTRUCTIONS = `
+**DEAL TOOLS:**
+- Use search_deals to find a deal's id, or deals that aren't listed above, instead of guessing
+- Use get_deal_history and get_targets when the question needs them
+- move_deal_stage, set_next_step, assign_deal and log_activity only PROPOSE a change - the user confirms it on a card below your answer. Never say a change was made; say it is ready to confirm
+- Only propose changes the user asked for or clearly agreed to`;
+
 // PHASE 3: Build visual spec instructions for image-suitable or chart tasks
 function buildVisualSpecInstructions(taskType: TaskType): string {
   if (taskType === 'image_suitable') {
@@ -1243,7 +1082,7 @@ A chart visualization will be displayed alongside your response. Keep your text
 }
 
 // Route to appropriate AI provider
-async function callAIProvider(provider: any, message: string, context: any, conversationHistory: any[] = [], taskType: TaskType = 'text_analysis'): Promise<any> {
+async function callAIProvider(provider: any, message: string, context: any, conversationHistory: any[] = [], taskType: TaskType = 'text_analysis', toolContext?: ToolContext): Promise<any> {
   // DIAGNOSTIC LOG A: Provider selection metadata (no secrets)
   const encryptedKey = provider.api_key_encrypted || '';
   console.log('[AI][ProviderSelect]', {
@@ -1276,7 +1115,8 @@ async function callAIProvider(provider: any, message: string, context: any, conv
 
     // P0 FIX: Validate decrypted API key before use
     // Empty or too-short keys indicate decryption issues or corrupted data
-    if (!apiKey || apiKey.length < 10) {
+    // (custom endpoints may have no key at all)
+    if (provider.provider_type !== 'custom' && (!apiKey || apiKey.length < 10)) {
       console.error('[AI][KeyDecrypt] API key validation failed:', {
         keyPresent: !!apiKey,
         keyLength: apiKey?.length || 0,
@@ -1312,29 +1152,39 @@ async function callAIProvider(provider: any, message: string, context: any, conv
     throw new Error('Invalid API key encryption. Please re-save your AI provider configuration.');
   }
 
-  const modelName = provider.model; // Get model from database
+  let config: ProviderConfig;
+  try {
+    config = providerConfig(provider, apiKey);
+  } catch (error: any) {
+    console.error('Failed to decrypt custom endpoint headers:', error);
+    throw new Error('Invalid custom endpoint configuration. Please re-save your AI provider configuration.');
+  }
 
   // PHASE 3: Enrich context with visual spec instructions based on task type
   const visualInstructions = buildVisualSpecInstructions(taskType);
   const enrichedContext = {
     ...context,
     visualInstructions, // Added to context for prompt building
+    toolInstructions: toolContext ? TOOL_INSTRUCTIONS : '',
     taskMode: taskType // STRUCTURAL FIX P1: Pass task mode for Plan My Day injection
   };
 
-  // FIX 2025-12-04: Only 3 providers supported (OpenAI, Anthropic, Google)
+  // Prompt per provider; every call goes through the provider's adapter
   switch (provider.provider_type) {
     case 'openai':
-      return await callOpenAI(apiKey, message, enrichedContext, modelName, conversationHistory);
+      return await callOpenAI(config, message, enrichedContext, conversationHistory, toolContext);
 
     case 'anthropic':
-      return await callAnthropic(apiKey, message, enrichedContext, modelName, conversationHistory);
+      return await callAnthropic(config, message, enrichedContext, conversationHistory, toolContext);
 
     case 'google':
-      return await callGemini(apiKey, message, enrichedContext, modelName, conversationHistory);
+      return await callGemini(config, message, enrichedContext, conversationHistory, toolContext);
 
     default:
-      throw new Error(`Unsupported AI provider: ${provider.provider_type}`);
+      if (!getProviderAdapter(provider.provider_type)) {
+        throw new Error(`Unsupported AI provider: ${provider.provider_type}`);
+      }
+      return await callOpenAI(config, message, enrichedContext, conversationHistory, toolContext, provider.provider_type);
   }
 }
 
@@ -1401,16 +1251,16 @@ export default async (req: Request, context: any) => {
     }
 
     const body = await req.json() as any;
-    const { message, deals = [], conversationHistory = [], preferredProvider, aiSignals = [], mode, healthCheckOnly } = body;
+    // Deals are loaded below under the caller's org and role - never taken from the body
+    const { message, preferredProvider, aiSignals = [], mode, healthCheckOnly, threadId, displayMessage } = body;
+    // History only ever comes from a stored thread - turns sent by the client could be fabricated
+    let conversationHistory: any[] = [];
 
     // STRUCTURAL FIX P1: Detect explicit Plan My Day mode
     // This allows injecting Plan My Day instructions into system prompt
     // FIX 2025-12-09: Changed inferTaskType → determineTaskType (inferTaskType was undefined!)
     const taskMode = body.taskMode || determineTaskType(message);
 
-    // PHASE 3: Store deals for catch block access
-    requestDeals = deals;
-
     // STRUCTURAL FIX A1: Support health check requests
     // Return configHealthy without running full AI query
     // P0 FIX 2025-12-09: Return error code when config is unhealthy so frontend shows correct message
@@ -1458,22 +1308,12 @@ export default async (req: Request, context: any) => {
       });
     }
 
-    // Validate deals array
-    if (!Array.isArray(deals)) {
-      return new Response(JSON.stringify({
-        error: 'Invalid deals data format',
-        response: 'Unable to process your request due to invalid data. Please try again.'
-      }), {
-        status: 400,
-        headers: { 'Content-Type': 'application/json', ...corsHeaders }
-      });
-    }
-
     // SECURITY: Feature-flagged authentication migration
     // Phase 4 Batch 2: Centralized auth for AI assistant
     const authHeader = req.headers.get('authorization');
     let user: any;
     let organizationId: string;
+    let memberRole: string;
 
     // PHASE 11 LOGGING: Always use new auth for ai-assistant (feature flag hardcoded)
     console.warn('[ai-assistant] Starting auth - using cookie-based auth path');
@@ -1490,7 +1330,7 @@ export default async (req: Request, context: any) => {
         console.warn('[ai-assistant] Querying team_members for org...');
         const { data: membership, error: memberError } = await supabase
           .from('team_members')
-          .select('organization_id')
+          .select('organization_id, role')
           .eq('user_id', user.id)
           .single();
 
@@ -1507,6 +1347,7 @@ export default async (req: Request, context: any) => {
         }
 
         organizationId = membership.organization_id;
+        memberRole = membership.role;
         console.warn('[ai-assistant] Auth complete - userId:', user.id, 'orgId:', organizationId);
       } catch (authError: any) {
         console.error('[ai-assistant] Auth error:', {
@@ -1536,7 +1377,7 @@ export default async (req: Request, context: any) => {
       // MIGRATION FIX: Changed from user_workspaces to team_members (v1.7.22)
       const { data: membership } = await supabase
         .from('team_members')
-        .select('organization_id')
+        .select('organization_id, role')
         .eq('user_id', user.id)
         .single();
 
@@ -1548,6 +1389,21 @@ export default async (req: Request, context: any) => {
       }
 
       organizationId = membership.organization_id;
+      memberRole = membership.role;
+    }
+
+    // Persisted thread: history comes from the stored messages, not the client
+    let thread: AIThread | null = null;
+    if (threadId) {
+      const access = await loadThread(supabase, String(threadId), { organizationId, userId: user.id }).catch(() => null);
+      if (!access || access.readOnly) {
+        return new Response(JSON.stringify({ error: 'Conversation not found', code: 'NOT_FOUND' }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json', ...corsHeaders }
+        });
+      }
+      thread = access.thread;
+      conversationHistory = await loadThreadHistory(supabase, thread.id);
     }
 
     // =========================================================================
@@ -1706,9 +1562,9 @@ export default async (req: Request, context: any) => {
       });
     }
 
-    // FIX 2025-12-04: Only allow 3 providers (OpenAI, Anthropic, Google)
+    // Only providers with an adapter can be called
     const runtimeProviders = providers.filter(
-      (p: any) => ['openai', 'anthropic', 'google'].includes(p.provider_type)
+      (p: any) => getProviderAdapter(p.provider_type) !== null
     );
 
     // PHASE 3: Build Mission Control context for both AI and fallback use
@@ -1742,17 +1598,31 @@ export default async (req: Request, context: any) => {
       console.warn('[ai-assistant] Failed to fetch monthly target (non-fatal):', targetError);
     }
 
+    // Org stage definitions (stagnation/follow-up overrides); empty map = built-in defaults
+    const stageDefinitions = await loadStageDefinitions(supabase, organizationId);
+
+    // Deals, stage moves and targets the user can read, trimmed to what's relevant to the question
+    const dealContext = await loadDealContext(supabase, {
+      organizationId,
+      userId: user.id,
+      role: memberRole,
+      question: message
+    });
+    const deals = dealContext.deals;
+    // PHASE 3: Store deals for catch block access
+    requestDeals = deals;
+
     const missionControlContext = buildMissionControlContext(deals, performanceContext ? {
       userWinRate: performanceContext.userWinRate ? parseFloat(performanceContext.userWinRate) : undefined,
       avgDaysToClose: performanceContext.orgAvgDaysToClose
-    } : null);
+    } : null, undefined, stageDefinitions);
 
     // PHASE 3: Handle basic mode - return non-AI fallback plan
     // This is used when users click "No-AI / Safe Mode" button
     if (isBasicMode) {
       console.log('[ai-assistant] Basic mode requested - returning non-AI fallback');
 
-      const basicPlan = buildBasicMissionControlPlan(missionControlContext, deals, monthlyTarget);
+      const basicPlan = buildBasicMissionControlPlan(missionControlContext, deals, monthlyTarget, stageDefinitions);
       const textResponse = formatBasicPlanAsText(basicPlan);
 
       return new Response(JSON.stringify({
@@ -1778,7 +1648,7 @@ export default async (req: Request, context: any) => {
     if (runtimeProviders.length === 0) {
       // This is the REAL "no providers configured" case (empty list, no error)
       // PHASE 3: Include basic fallback plan so users still get value
-      const basicPlan = buildBasicMissionControlPlan(missionControlContext, deals, monthlyTarget);
+      const basicPlan = buildBasicMissionControlPlan(missionControlContext, deals, monthlyTarget, stageDefinitions);
 
       return new Response(JSON.stringify({
         ok: false,
@@ -1810,7 +1680,7 @@ export default async (req: Request, context: any) => {
 
     // Analyze pipeline with caching for performance (2-3x faster for repeat queries)
     const cachedAnalysis = getCachedPipelineAnalysis(organizationId, deals);
-    const pipelineAnalysis = cachedAnalysis || analyzeDealsPipeline(deals);
+    const pipelineAnalysis = cachedAnalysis || analyzeDealsPipeline(deals, stageDefinitions);
     if (!cachedAnalysis) {
       setCachedPipelineAnalysis(organizationId, deals, pipelineAnalysis);
     }
@@ -1829,7 +1699,8 @@ export default async (req: Request, context: any) => {
         note: 'Real historical data from last 90 days'
       } : null,
       // PHASE 5.3: Add adaptation snippet if user profile exists
-      adaptationSnippet: userProfile ? buildAdaptationPromptSnippet(userProfile) : ''
+      adaptationSnippet: userProfile ? buildAdaptationPromptSnippet(userProfile) : '',
+      dealContext: dealContext.prompt
     };
 
     // AI FALLBACK: Use standardized fallback chain (openai → anthropic → google)
@@ -1841,7 +1712,14 @@ export default async (req: Request, context: any) => {
       async (provider) => {
         // LEARNING ENGINE: Pass enriched analysis with historical performance data
         // PHASE 3: Pass taskType for visual spec instructions
-        return await callAIProvider(provider, message, enrichedAnalysis, conversationHistory, taskType);
+        // Deal tools run as the user (role-checked, through the deal endpoints)
+        return await callAIProvider(provider, message, enrichedAnalysis, conversationHistory, taskType, {
+          supabase,
+          organizationId,
+          userId: user.id,
+          role: memberRole,
+          request: req
+        });
       },
       preferredProvider, // Use user's preferred provider first if specified
       taskType // FIX 2025-12-04: Task-aware fallback ordering
@@ -1957,7 +1835,7 @@ export default async (req: Request, context: any) => {
     } else if (messageLower.includes('at risk') || messageLower.includes('stagnant') || messageLower.includes('stuck')) {
       chartType = 'at_risk_deals';
       chartTitle = 'At-Risk Deals';
-      chartData = calculateAtRiskDeals(deals);
+      chartData = calculateAtRiskDeals(deals, stageDefinitions);
     } else if (messageLower.includes('forecast') && messageLower.includes('revenue')) {
       chartType = 'revenue_forecast';
       chartTitle = 'Revenue Forecast';
@@ -1999,6 +1877,11 @@ export default async (req: Request, context: any) => {
       responseData.chartTitle = chartTitle;
     }
 
+    // Write-tool proposals, rendered as confirmation cards (applied via ai-actions)
+    if (aiResponse.proposedActions?.length > 0) {
+      responseData.proposedActions = aiResponse.proposedActions;
+    }
+
     // PHASE 3: Include performance context for frontend metrics strip
     if (performanceContext) {
       responseData.performanceContext = {
@@ -2031,6 +1914,15 @@ export default async (req: Request, context: any) => {
       });
     }
 
+    if (thread) {
+      await appendThreadExchange(supabase, thread, {
+        question: displayMessage || message,
+        answer: responseData.response,
+        provider: responseData.provider,
+        metadata: responseData.chartData ? { chartType, chartTitle, chartData } : {}
+      });
+    }
+
     // Phase 1 Telemetry: Track successful AI call
     trackAICall(
       telemetryCtx.correlationId,
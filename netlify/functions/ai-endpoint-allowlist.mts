@@ -0,0 +1,175 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import { hasPermission, PERMISSIONS, type Role } from './lib/rbac';
+import { normalizeAllowlistHost, isWhitelisted } from './lib/ssrf-protection';
+import { invalidateProviderCache } from './lib/provider-cache';
+import { logAuditEvent } from './lib/audit-log';
+
+/**
+ * AI ENDPOINT ALLOWLIST
+ *
+ * Hosts that custom AI endpoints (OpenAI-compatible gateways such as vLLM,
+ * Ollama or Azure OpenAI) may use (Settings → AI → Custom endpoint).
+ * save-ai-provider rejects a custom endpoint whose host isn't listed; a
+ * listed host also allows its subdomains.
+ *
+ * GET /.netlify/functions/ai-endpoint-allowlist?organizationId=<uuid>
+ *   → { success, hosts }
+ *
+ * PUT /.netlify/functions/ai-endpoint-allowlist
+ *   { organizationId, hosts: ['llm.example.com', ...] }
+ *   → { success, hosts, deactivatedProviders }
+ *   Entries may be URLs - only the hostname is kept. Private, internal and
+ *   IP hosts are rejected. Custom providers whose host is no longer allowed
+ *   are deactivated.
+ *
+ * GET needs VIEW_INTEGRATIONS, PUT needs MANAGE_INTEGRATIONS.
+ *
+ * Used by:
+ * - AISettings (Settings → AI)
+ */
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const MAX_HOSTS = 20;
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'GET, PUT, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (req.method !== "GET" && req.method !== "PUT") {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+
+    let params: Record<string, any>;
+    if (req.method === "GET") {
+      params = Object.fromEntries(new URL(req.url).searchParams);
+    } else {
+      try {
+        params = await req.json();
+      } catch {
+        return json(400, { success: false, error: "Invalid JSON body", code: "INVALID_INPUT" }, corsHeaders);
+      }
+    }
+
+    const { organizationId } = params || {};
+    if (!organizationId || !UUID_REGEX.test(organizationId)) {
+      return json(400, { success: false, error: "Valid organizationId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { data: membership } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", user.id)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (!membership) {
+      return json(403, { success: false, error: "Not authorized for this organization", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    const role = membership.role as Role;
+    const required = req.method === "GET" ? PERMISSIONS.VIEW_INTEGRATIONS : PERMISSIONS.MANAGE_INTEGRATIONS;
+    if (!hasPermission(role, required)) {
+      return json(403, { success: false, error: "Only owners and admins can manage AI endpoints", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    const { data: org, error: orgError } = await supabase
+      .from("organizations")
+      .select("ai_endpoint_allowlist")
+      .eq("id", organizationId)
+      .single();
+    if (orgError) throw orgError;
+    const previousHosts: string[] = org?.ai_endpoint_allowlist || [];
+
+    if (req.method === "GET") {
+      return json(200, { success: true, hosts: previousHosts }, { ...corsHeaders, "Cache-Control": "no-store" });
+    }
+
+    if (!Array.isArray(params.hosts)) {
+      return json(400, { success: false, error: "hosts must be an array", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const hosts: string[] = [];
+    for (const entry of params.hosts) {
+      const host = typeof entry === 'string' ? normalizeAllowlistHost(entry) : null;
+      if (!host) {
+        return json(400, {
+          success: false,
+          error: `Not a public hostname: ${String(entry).slice(0, 100)}`,
+          code: "INVALID_INPUT"
+        }, corsHeaders);
+      }
+      if (!hosts.includes(host)) hosts.push(host);
+    }
+    if (hosts.length > MAX_HOSTS) {
+      return json(400, { success: false, error: `At most ${MAX_HOSTS} hosts are allowed`, code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { error: updateError } = await supabase
+      .from("organizations")
+      .update({ ai_endpoint_allowlist: hosts })
+      .eq("id", organizationId);
+    if (updateError) throw updateError;
+
+    // Custom endpoints whose host was removed stop receiving traffic
+    const { data: customProviders, error: providersError } = await supabase
+      .from("ai_providers")
+      .select("id, base_url")
+      .eq("organization_id", organizationId)
+      .eq("provider_type", "custom")
+      .eq("active", true);
+    if (providersError) throw providersError;
+
+    const blocked = (customProviders || []).filter((provider: any) => !isWhitelisted(provider.base_url || '', hosts));
+    if (blocked.length > 0) {
+      const { error: deactivateError } = await supabase
+        .from("ai_providers")
+        .update({ active: false })
+        .in("id", blocked.map((provider: any) => provider.id));
+      if (deactivateError) throw deactivateError;
+    }
+    invalidateProviderCache(organizationId);
+
+    await logAuditEvent(supabase, {
+      organizationId,
+      actor: { type: 'user', id: user.id, email: user.email },
+      action: 'ai_provider.allowlist_updated',
+      summary: hosts.length > 0 ? hosts.join(', ') : 'No hosts',
+      metadata: {
+        added: hosts.filter(host => !previousHosts.includes(host)),
+        removed: previousHosts.filter(host => !hosts.includes(host)),
+        deactivatedProviders: blocked.map((provider: any) => provider.id)
+      },
+      request: req
+    });
+
+    return json(200, { success: true, hosts, deactivatedProviders: blocked.length }, corsHeaders);
+  } catch (error: any) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[ai-endpoint-allowlist] Error:", error);
+    return json(500, { success: false, error: "Failed to process AI endpoint allowlist request", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
@@ -1,14 +1,12 @@
 import type { Handler } from '@netlify/functions';
 import { createClient } from '@supabase/supabase-js';
 import { requireAuth, createAuthErrorResponse } from './lib/auth-middleware';
-import { withTimeout, TIMEOUTS } from './lib/timeout-wrapper';
 // ENGINE REBUILD Phase 5: Centralized CORS config
 import { buildCorsHeaders } from './lib/cors';
 // ENGINE REBUILD Phase 5: AI error classification spine
 import { classifyAIError, type AIErrorInfo } from './lib/ai-spine';
 import {
   runWithConnectedProviders,
-  ConnectedProvider,
   NoProvidersConnectedError,
   AllConnectedProvidersFailedError
 } from './lib/ai-orchestrator';
@@ -46,108 +44,7 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY!
 );
 
-// Call OpenAI/GPT
-async function callOpenAI(apiKey: string, prompt: string, model?: string): Promise<string> {
-  const response = await withTimeout(
-    fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      body: JSON.stringify({
-        model: model || 'gpt-4o',
-        messages: [
-          { role: 'system', content: 'You are a professional sales advisor. Provide clear, actionable insights. Be concise.' },
-          { role: 'user', content: prompt }
-        ],
-        temperature: 0.7,
-        max_tokens: 1000
-      })
-    }),
-    TIMEOUTS.AI_PROVIDER,
-    'OpenAI API'
-  );
-
-  if (!response.ok) {
-    const error = await response.text();
-    throw Object.assign(new Error(`OpenAI: ${response.status}`), { status: response.status, details: error });
-  }
-
-  const data = await response.json() as any;
-  if (!data?.choices?.[0]?.message?.content) throw new Error('OpenAI: invalid response');
-  return data.choices[0].message.content;
-}
-
-// Call Anthropic/Claude
-async function callAnthropic(apiKey: string, prompt: string, model?: string): Promise<string> {
-  const response = await withTimeout(
-    fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2024-01-01'
-      },
-      body: JSON.stringify({
-        model: model || 'claude-3-5-sonnet-20241022',
-        max_tokens: 1000,
-        system: 'You are a professional sales advisor. Provide clear, actionable insights. Be concise.',
-        messages: [{ role: 'user', content: prompt }]
-      })
-    }),
-    TIMEOUTS.AI_PROVIDER,
-    'Anthropic API'
-  );
-
-  if (!response.ok) {
-    const error = await response.text();
-    throw Object.assign(new Error(`Anthropic: ${response.status}`), { status: response.status, details: error });
-  }
-
-  const data = await response.json() as any;
-  if (!data?.content?.[0]?.text) throw new Error('Anthropic: invalid response');
-  return data.content[0].text;
-}
-
-// Call Google Gemini
-async function callGemini(apiKey: string, prompt: string, model?: string): Promise<string> {
-  const modelName = model || 'gemini-1.5-pro';
-  const response = await withTimeout(
-    fetch(`https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent?key=${apiKey}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: `You are a professional sales advisor. Provide clear, actionable insights. Be concise.\n\n${prompt}` }] }]
-      })
-    }),
-    TIMEOUTS.AI_PROVIDER,
-    'Gemini API'
-  );
-
-  if (!response.ok) {
-    const error = await response.text();
-    throw Object.assign(new Error(`Gemini: ${response.status}`), { status: response.status, details: error });
-  }
-
-  const data = await response.json() as any;
-  if (!data?.candidates?.[0]?.content?.parts?.[0]?.text) throw new Error('Gemini: invalid response');
-  return data.candidates[0].content.parts[0].text;
-}
-
-// Route to appropriate provider
-async function callProvider(provider: ConnectedProvider, apiKey: string, prompt: string): Promise<string> {
-  switch (provider.provider_type) {
-    case 'openai':
-      return callOpenAI(apiKey, prompt, provider.model || undefined);
-    case 'anthropic':
-      return callAnthropic(apiKey, prompt, provider.model || undefined);
-    case 'google':
-      return callGemini(apiKey, prompt, provider.model || undefined);
-    default:
-      throw new Error(`Unsupported provider: ${provider.provider_type}`);
-  }
-}
+const INSIGHT_SYSTEM_PROMPT = 'You are a professional sales advisor. Provide clear, actionable insights. Be concise.';
 
 export const handler: Handler = async (event) => {
   // PHASE 8 FIX 2025-12-03: Add CORS headers for Authorization support
@@ -293,7 +190,10 @@ export const handler: Handler = async (event) => {
     const result = await runWithConnectedProviders<string>(
       'deal-insights',
       organizationId,
-      async (provider, apiKey) => callProvider(provider, apiKey, prompt)
+      async (_provider, adapter, config) => {
+        const { text } = await adapter.complete(config, { system: INSIGHT_SYSTEM_PROMPT, messages: [{ role: 'user', content: prompt }] });
+        return text;
+      }
     );
 
     if (!result.success || !result.result) {
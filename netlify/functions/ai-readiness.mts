@@ -4,53 +4,29 @@ import { requireAuth } from './lib/auth-middleware';
 import { buildCorsHeaders } from './lib/cors';
 import { getConnectedProviders } from './lib/provider-registry';
 import { decryptApiKey } from './lib/ai-orchestrator';
+import { getProviderAdapter, providerConfig, ProviderAPIError } from './lib/ai-provider-adapters';
+import { TimeoutError } from './lib/timeout-wrapper';
 
 // Lightweight provider health check (first connected provider only)
 async function verifyProviderHealth(provider: any): Promise<{ ok: boolean; reason?: string; status?: number }> {
-  const timeoutMs = 4000;
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const adapter = getProviderAdapter(provider.provider_type);
+  if (!adapter) {
+    return { ok: false, reason: 'UNSUPPORTED_PROVIDER' };
+  }
 
   try {
     const apiKey = decryptApiKey(provider.api_key_encrypted);
-
-    let response: Response | null = null;
-    if (provider.provider_type === 'anthropic') {
-      response = await fetch('https://api.anthropic.com/v1/models', {
-        method: 'GET',
-        headers: {
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01'
-        },
-        signal: controller.signal
-      });
-    } else if (provider.provider_type === 'openai') {
-      response = await fetch('https://api.openai.com/v1/models', {
-        method: 'GET',
-        headers: {
-          Authorization: `Bearer ${apiKey}`
-        },
-        signal: controller.signal
-      });
-    } else if (provider.provider_type === 'google') {
-      const url = `https://generativelanguage.googleapis.com/v1/models?key=${encodeURIComponent(apiKey)}`;
-      response = await fetch(url, { method: 'GET', signal: controller.signal });
-    }
-
-    clearTimeout(timer);
-
-    if (!response) {
-      return { ok: false, reason: 'UNSUPPORTED_PROVIDER' };
+    await adapter.listModels(providerConfig(provider, apiKey), { timeoutMs: 4000 });
+    return { ok: true, status: 200 };
+  } catch (err: any) {
+    // Some custom gateways (Azure OpenAI deployments) don't serve /models - reaching them is enough
+    if (err instanceof ProviderAPIError && err.status === 404 && provider.provider_type === 'custom') {
+      return { ok: true, status: 404 };
     }
-
-    if (response.ok) {
-      return { ok: true, status: response.status };
+    if (err instanceof ProviderAPIError) {
+      return { ok: false, reason: 'HEALTH_CHECK_FAILED', status: err.status };
     }
-
-    return { ok: false, reason: 'HEALTH_CHECK_FAILED', status: response.status };
-  } catch (err: any) {
-    clearTimeout(timer);
-    return { ok: false, reason: err?.name === 'AbortError' ? 'TIMEOUT' : 'DECRYPT_OR_NETWORK' };
+    return { ok: false, reason: err instanceof TimeoutError ? 'TIMEOUT' : 'DECRYPT_OR_NETWORK' };
   }
 }
 
@@ -23,16 +23,18 @@ import { createClient } from '@supabase/supabase-js';
 // Core utilities
 import { buildCorsHeaders, createPreflightResponse, createErrorResponse, createSuccessResponse } from './lib/cors';
 import { requireAuth } from './lib/auth-middleware';
-import { withTimeout, TIMEOUTS } from './lib/timeout-wrapper';
 import { decrypt, isLegacyEncryption, decryptLegacy } from './lib/encryption';
 
 // AI infrastructure
 import { AI_ERROR_CODES, createAIErrorResponse, AIErrorCode } from './lib/ai-error-codes';
 import { runWithFallback, AllProvidersFailedError, PROVIDER_NAMES } from './lib/ai-fallback';
+import { getProviderAdapter, providerConfig, type ProviderAdapter, type ProviderConfig } from './lib/ai-provider-adapters';
 import { getProvidersWithCache, ProviderFetchError } from './lib/provider-cache';
 
 // Revenue engine (deterministic)
-import { computeRevenueProjections, summarizeProjectionForAI, RevenueProjectionResult } from './lib/revenue-engine';
+import { computeRevenueProjectionsByPipeline, summarizeProjectionForAI, RevenueProjectionResult } from './lib/revenue-engine';
+import { loadPipelines } from './lib/pipelines';
+import { loadStageDefinitions } from './lib/stage-definitions';
 
 // AI usage logging
 import { logAIUsageAndIncrement, AIRequestType } from './lib/ai-usage-logger';
@@ -81,12 +83,12 @@ function getSupabaseClient() {
 // ============================================================================
 
 /**
- * Call OpenAI for Revenue Coach interpretation
+ * Ask a provider for the Revenue Coach interpretation
  */
-async function callOpenAICoach(
-  apiKey: string,
-  projection: RevenueProjectionResult,
-  model?: string
+async function callCoach(
+  adapter: ProviderAdapter,
+  config: ProviderConfig,
+  projection: RevenueProjectionResult
 ): Promise<CoachResponse> {
   const projectionSummary = summarizeProjectionForAI(projection);
 
@@ -112,175 +114,25 @@ ALWAYS respond with valid JSON in this exact format:
   "risk_level": "low" | "medium" | "high"
 }`;
 
-  const response = await withTimeout(
-    fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`,
-      },
-      body: JSON.stringify({
-        model: model || 'gpt-4o-mini',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: `Revenue Projection Snapshot:\n\n${projectionSummary}\n\nProvide your Revenue Coach interpretation as JSON.` },
-        ],
-        temperature: 0.7,
-        max_tokens: 500,
-        response_format: { type: 'json_object' },
-      }),
-    }),
-    TIMEOUTS.AI_PROVIDER,
-    'OpenAI Revenue Coach'
-  );
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`OpenAI API error: ${response.status} - ${errorText}`);
-  }
-
-  const data = await response.json() as any;
-
-  if (!data?.choices?.[0]?.message?.content) {
-    throw new Error('OpenAI returned invalid response structure');
-  }
-
-  try {
-    return JSON.parse(data.choices[0].message.content) as CoachResponse;
-  } catch {
-    // Fallback if JSON parsing fails
-    return {
-      tone: 'neutral',
-      summary: data.choices[0].message.content,
-      top_actions: ['Review your pipeline', 'Check stagnant deals', 'Focus on high-value opportunities'],
-      risk_level: projection.risk_flags.length > 2 ? 'high' : projection.risk_flags.length > 0 ? 'medium' : 'low',
-    };
-  }
-}
-
-/**
- * Call Anthropic for Revenue Coach interpretation
- */
-async function callAnthropicCoach(
-  apiKey: string,
-  projection: RevenueProjectionResult,
-  model?: string
-): Promise<CoachResponse> {
-  const projectionSummary = summarizeProjectionForAI(projection);
-
-  const systemPrompt = `You are StageFlow's Revenue Coach - a supportive, data-driven advisor focused on sustainable revenue growth.
-
-ALWAYS respond with valid JSON in this exact format:
-{
-  "tone": "encouraging" | "urgent" | "neutral",
-  "summary": "2-4 sentence summary of their position",
-  "top_actions": ["Action 1", "Action 2", "Action 3"],
-  "risk_level": "low" | "medium" | "high"
-}
-
-Be SPECIFIC with numbers, SUPPORTIVE not pushy, focus on momentum.`;
-
-  const response = await withTimeout(
-    fetch('https://api.anthropic.com/v1/messages', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2024-01-01',
-      },
-      body: JSON.stringify({
-        model: model || 'claude-3-haiku-20240307',
-        max_tokens: 500,
-        system: systemPrompt,
-        messages: [
-          { role: 'user', content: `Revenue Projection Snapshot:\n\n${projectionSummary}\n\nProvide your Revenue Coach interpretation as JSON.` },
-        ],
-      }),
-    }),
-    TIMEOUTS.AI_PROVIDER,
-    'Anthropic Revenue Coach'
-  );
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Anthropic API error: ${response.status} - ${errorText}`);
-  }
-
-  const data = await response.json() as any;
-
-  if (!data?.content?.[0]?.text) {
-    throw new Error('Anthropic returned invalid response structure');
-  }
-
-  try {
-    return JSON.parse(data.content[0].text) as CoachResponse;
-  } catch {
-    return {
-      tone: 'neutral',
-      summary: data.content[0].text,
-      top_actions: ['Review your pipeline', 'Check stagnant deals', 'Focus on high-value opportunities'],
-      risk_level: projection.risk_flags.length > 2 ? 'high' : projection.risk_flags.length > 0 ? 'medium' : 'low',
-    };
-  }
-}
-
-/**
- * Call Gemini for Revenue Coach interpretation
- */
-async function callGeminiCoach(
-  apiKey: string,
-  projection: RevenueProjectionResult,
-  model?: string
-): Promise<CoachResponse> {
-  const projectionSummary = summarizeProjectionForAI(projection);
-
-  const prompt = `You are StageFlow's Revenue Coach. Analyze this revenue projection and respond with JSON:
-
-${projectionSummary}
-
-Respond ONLY with valid JSON in this format:
-{
-  "tone": "encouraging" | "urgent" | "neutral",
-  "summary": "2-4 sentence summary",
-  "top_actions": ["Action 1", "Action 2", "Action 3"],
-  "risk_level": "low" | "medium" | "high"
-}`;
-
-  const modelName = model || 'gemini-1.5-flash';
-
-  const response = await withTimeout(
-    fetch(`https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent?key=${apiKey}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{ parts: [{ text: prompt }] }],
-      }),
-    }),
-    TIMEOUTS.AI_PROVIDER,
-    'Gemini Revenue Coach'
-  );
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Gemini API error: ${response.status} - ${errorText}`);
-  }
-
-  const data = await response.json() as any;
-
-  if (!data?.candidates?.[0]?.content?.parts?.[0]?.text) {
-    throw new Error('Gemini returned invalid response structure');
-  }
-
-  const text = data.candidates[0].content.parts[0].text;
+  const { text } = await adapter.complete(config, {
+    system: systemPrompt,
+    messages: [
+      { role: 'user', content: `Revenue Projection Snapshot:\n\n${projectionSummary}\n\nProvide your Revenue Coach interpretation as JSON.` },
+    ],
+    temperature: 0.7,
+    maxTokens: 500,
+    json: true,
+  });
 
   try {
-    // Extract JSON from response (Gemini may wrap it in markdown)
+    // Extract JSON from response (some models wrap it in markdown)
     const jsonMatch = text.match(/\{[\s\S]*\}/);
     if (jsonMatch) {
       return JSON.parse(jsonMatch[0]) as CoachResponse;
     }
     throw new Error('No JSON found in response');
   } catch {
+    // Fallback if JSON parsing fails
     return {
       tone: 'neutral',
       summary: text.slice(0, 500),
@@ -387,7 +239,7 @@ export default async (req: Request, context: Context) => {
     // Attempt 1: minimal specific columns (expected_close_date + legacy expected_close)
     ({ data: deals, error: dealsError } = await supabase
       .from('deals')
-      .select('id, organization_id, value, stage, status, expected_close, expected_close_date, created_at, created, last_activity, confidence, assigned_to, updated')
+      .select('id, organization_id, value, stage, status, expected_close, expected_close_date, created_at, created, last_activity, confidence, assigned_to, updated, pipeline_id')
       .eq('organization_id', organization_id)
       .is('deleted_at', null));
 
@@ -396,7 +248,7 @@ export default async (req: Request, context: Context) => {
       console.warn('[ai-revenue-health] Deals fetch error (primary select) - retrying without expected_close:', dealsError.message);
       ({ data: deals, error: dealsError } = await supabase
         .from('deals')
-        .select('id, organization_id, value, stage, status, expected_close_date, created_at, created, last_activity, confidence, assigned_to, updated')
+        .select('id, organization_id, value, stage, status, expected_close_date, created_at, created, last_activity, confidence, assigned_to, updated, pipeline_id')
         .eq('organization_id', organization_id)
         .is('deleted_at', null));
     }
@@ -464,9 +316,23 @@ export default async (req: Request, context: Context) => {
       last_activity: d.last_activity,
       confidence: d.confidence,
       assigned_to: d.assigned_to,
+      pipeline_id: d.pipeline_id ?? null,
     }));
 
-    const projection = computeRevenueProjections(mappedDeals, targets, new Date());
+    // Per-pipeline breakdown is best-effort; the org-wide projection never depends on it
+    let pipelines: Array<{ id: string; name: string; is_default: boolean }> = [];
+    try {
+      pipelines = await loadPipelines(supabase, organization_id);
+    } catch (pipelinesError: any) {
+      console.warn('[ai-revenue-health] Pipelines fetch failed - skipping per-pipeline breakdown:', pipelinesError.message);
+    }
+
+    // Org stage definitions override the built-in win probabilities (fails soft to defaults)
+    const stageDefinitions = await loadStageDefinitions(supabase, organization_id);
+
+    // All pipelines roll up into one projection (goals are org/user-wide)
+    const rollup = computeRevenueProjectionsByPipeline(mappedDeals, targets, pipelines, new Date(), stageDefinitions);
+    const projection = rollup.all;
 
     console.log('[ai-revenue-health] Projection computed:', {
       month_projected: projection.month_projected,
@@ -502,26 +368,21 @@ export default async (req: Request, context: Context) => {
           providers,
           async (provider) => {
             // Decrypt API key
-            let apiKey: string;
+            let config: ProviderConfig;
             try {
-              apiKey = isLegacyEncryption(provider.api_key_encrypted)
+              const apiKey = isLegacyEncryption(provider.api_key_encrypted)
                 ? decryptLegacy(provider.api_key_encrypted)
                 : decrypt(provider.api_key_encrypted);
+              config = providerConfig(provider, apiKey);
             } catch (decryptError: any) {
               throw new Error(`Key decryption failed: ${decryptError.message}`);
             }
 
-            // Call appropriate provider
-            switch (provider.provider_type) {
-              case 'openai':
-                return await callOpenAICoach(apiKey, projection, provider.model);
-              case 'anthropic':
-                return await callAnthropicCoach(apiKey, projection, provider.model);
-              case 'google':
-                return await callGeminiCoach(apiKey, projection, provider.model);
-              default:
-                throw new Error(`Unsupported provider: ${provider.provider_type}`);
+            const adapter = getProviderAdapter(provider.provider_type);
+            if (!adapter) {
+              throw new Error(`Unsupported provider: ${provider.provider_type}`);
             }
+            return await callCoach(adapter, config, projection);
           },
           undefined,
           'coaching' // Task type for affinity-based provider selection
@@ -639,6 +500,19 @@ export default async (req: Request, context: Context) => {
           risk_flags: projection.risk_flags,
           period_info: projection.period_info,
         },
+        by_pipeline: rollup.by_pipeline.map(({ pipeline_id, name, deal_count, projection: p }) => ({
+          pipeline_id,
+          name,
+          deal_count,
+          month_projected: p.month_projected,
+          quarter_projected: p.quarter_projected,
+          year_projected: p.year_projected,
+          month_closed: p.month_closed,
+          quarter_closed: p.quarter_closed,
+          year_closed: p.year_closed,
+          quarter_pipeline: p.quarter_pipeline,
+          risk_flags: p.risk_flags,
+        })),
         coach: coachResponse || null,
         ai_available: providers.length > 0,
         ai_error: aiError || null,
@@ -0,0 +1,203 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import {
+  AI_THREAD_COLUMNS,
+  createThread,
+  listThreads,
+  loadThread,
+  loadThreadMessages,
+  searchThreads,
+  toAIThread
+} from './lib/ai-threads';
+import { AI_THREAD_LIMITS, normalizeThreadTitle } from '../../src/config/aiThreads';
+
+/**
+ * AI THREADS
+ *
+ * Mission Control conversation threads (sidebar, search, sharing).
+ *
+ * GET  /.netlify/functions/ai-threads?organizationId=<uuid>
+ *   → { success, threads, shared } - own threads (pinned first) and threads
+ *     teammates shared with the organization
+ * GET  ...&id=<uuid>
+ *   → { success, thread, messages, readOnly }
+ * GET  ...&q=<text>
+ *   → { success, results: [{ threadId, threadTitle, shared, messageId, role, snippet, createdAt }] }
+ *
+ * POST /.netlify/functions/ai-threads
+ *   { organizationId, action: 'create', title? }          → { success, thread } (201)
+ *   { organizationId, action: 'rename', id, title }       → { success, thread }
+ *   { organizationId, action: 'pin', id, pinned }         → { success, thread }
+ *   { organizationId, action: 'share', id, shared }       → { success, thread }
+ *   { organizationId, action: 'delete', id }              → { success }
+ *
+ * Messages are appended by ai-assistant / ai-assistant-stream (threadId in
+ * the request body), not here. Any member can read shared threads; only the
+ * owner can change or continue one.
+ *
+ * Used by:
+ * - CustomQueryView (Mission Control)
+ * - AIThreadSidebar
+ */
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const ACTIONS = ['create', 'rename', 'pin', 'share', 'delete'];
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'GET, POST, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+
+    let params: Record<string, any>;
+    if (req.method === "GET") {
+      params = Object.fromEntries(new URL(req.url).searchParams);
+    } else {
+      try {
+        params = await req.json();
+      } catch {
+        return json(400, { success: false, error: "Invalid JSON body", code: "INVALID_INPUT" }, corsHeaders);
+      }
+    }
+
+    const { organizationId, id } = params || {};
+    if (!organizationId || !UUID_REGEX.test(organizationId)) {
+      return json(400, { success: false, error: "Valid organizationId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+    if (id !== undefined && !UUID_REGEX.test(String(id))) {
+      return json(400, { success: false, error: "Valid id required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { data: membership } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", user.id)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (!membership) {
+      return json(403, { success: false, error: "Not authorized for this organization", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    const viewer = { organizationId, userId: user.id };
+    const noStore = { ...corsHeaders, "Cache-Control": "no-store" };
+
+    if (req.method === "GET") {
+      if (id) {
+        const access = await loadThread(supabase, id, viewer);
+        if (!access) {
+          return json(404, { success: false, error: "Conversation not found", code: "NOT_FOUND" }, corsHeaders);
+        }
+        const messages = await loadThreadMessages(supabase, id);
+        return json(200, { success: true, thread: access.thread, messages, readOnly: access.readOnly }, noStore);
+      }
+
+      if (params.q !== undefined) {
+        const q = String(params.q).trim();
+        if (q.length < AI_THREAD_LIMITS.SEARCH_MIN_QUERY_LENGTH || q.length > 200) {
+          return json(400, {
+            success: false,
+            error: `Search must be ${AI_THREAD_LIMITS.SEARCH_MIN_QUERY_LENGTH}-200 characters`,
+            code: "INVALID_INPUT"
+          }, corsHeaders);
+        }
+        return json(200, { success: true, results: await searchThreads(supabase, viewer, q) }, noStore);
+      }
+
+      const { threads, shared } = await listThreads(supabase, viewer);
+      return json(200, { success: true, threads, shared }, noStore);
+    }
+
+    const { action } = params;
+    if (!ACTIONS.includes(action)) {
+      return json(400, { success: false, error: `action must be one of: ${ACTIONS.join(', ')}`, code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    if (action === 'create') {
+      const title = params.title === undefined ? null : normalizeThreadTitle(params.title);
+      if (params.title !== undefined && !title) {
+        return json(400, { success: false, error: "title must not be empty", code: "INVALID_INPUT" }, corsHeaders);
+      }
+      const thread = await createThread(supabase, { ...viewer, title });
+      return json(201, { success: true, thread }, corsHeaders);
+    }
+
+    if (!id) {
+      return json(400, { success: false, error: "Valid id required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    // Only the owner changes a thread; a shared one reads as not found to others
+    const access = await loadThread(supabase, id, viewer);
+    if (!access || access.readOnly) {
+      return json(404, { success: false, error: "Conversation not found", code: "NOT_FOUND" }, corsHeaders);
+    }
+
+    if (action === 'delete') {
+      const { error } = await supabase
+        .from("ai_threads")
+        .delete()
+        .eq("id", id)
+        .eq("user_id", user.id);
+      if (error) throw error;
+      return json(200, { success: true }, corsHeaders);
+    }
+
+    let changes: Record<string, unknown>;
+    if (action === 'rename') {
+      const title = normalizeThreadTitle(params.title);
+      if (!title) {
+        return json(400, { success: false, error: "title must not be empty", code: "INVALID_INPUT" }, corsHeaders);
+      }
+      changes = { title, title_is_custom: true };
+    } else {
+      const key = action === 'pin' ? 'pinned' : 'shared';
+      if (typeof params[key] !== 'boolean') {
+        return json(400, { success: false, error: `${key} must be true or false`, code: "INVALID_INPUT" }, corsHeaders);
+      }
+      // Pinning is a sidebar preference; it doesn't reorder the thread by recency
+      changes = action === 'pin'
+        ? { pinned: params.pinned }
+        : { shared: params.shared, updated_at: new Date().toISOString() };
+    }
+
+    const { data: updated, error } = await supabase
+      .from("ai_threads")
+      .update(changes)
+      .eq("id", id)
+      .eq("user_id", user.id)
+      .select(AI_THREAD_COLUMNS)
+      .single();
+    if (error) throw error;
+
+    return json(200, { success: true, thread: toAIThread(updated) }, corsHeaders);
+  } catch (error: any) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[ai-threads] Error:", error);
+    return json(500, { success: false, error: "Failed to process conversation request", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
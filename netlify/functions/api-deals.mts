@@ -1,46 +1,52 @@
 import type { Context, Config } from "@netlify/functions";
-import { createHash } from "crypto";
 import { DealSchema, validate } from "./lib/validation";
 import { RATE_LIMITS } from "./lib/rate-limiter";
 import { createErrorResponse } from "./lib/error-sanitizer";
 import { getSupabaseClient } from "./lib/supabase-pool";
 import { shouldUseNewAuth } from './lib/feature-flags';
 import { requireAuth, createAuthErrorResponse } from './lib/auth-middleware';
-
-const hashApiKey = (apiKey: string): string => {
-  return createHash('sha256').update(apiKey).digest('hex');
-};
+import { PERMISSIONS } from './lib/rbac';
+import {
+  requireApiKey,
+  requirePermission,
+  enforceApiKeyRateLimit,
+  createApiKeyErrorResponse,
+  ApiKeyError,
+  type ApiKeyContext
+} from './lib/api-key-auth';
+import {
+  parseDealPath,
+  parseDealQuery,
+  parseFields,
+  isValidDealId,
+  applyDealFilters,
+  applyCursor,
+  projectFields,
+  encodeCursor,
+  buildLinkHeader,
+  DealQueryError
+} from './lib/deal-query';
+import {
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest,
+  type IdempotencyRecord
+} from './lib/idempotency';
+import { recordDealChange, DEAL_HISTORY_COLUMNS } from './lib/deal-history';
+import { loadStageDefinitions, checkStageEntry, STAGE_REQUIREMENT_DEAL_COLUMNS } from './lib/stage-definitions';
+import { STAGE_REQUIREMENTS_UNMET } from '../../src/config/stageRequirements';
+import { emitDealEvents, emitDealDeleted } from './lib/webhook-events';
+import { assignDealsByRules } from './lib/deal-assignment';
+import { logAuditEvent } from './lib/audit-log';
 
 /**
- * Route webhooks through DLQ for reliable delivery
+ * API key scope required per HTTP method
  */
-const queueWebhooks = async (supabase: any, orgId: string, event: string, dealData: any) => {
-  const { data: webhooks } = await supabase
-    .from("webhooks")
-    .select("*")
-    .eq("organization_id", orgId)
-    .eq("is_active", true)
-    .contains("events", [event]);
-
-  if (!webhooks?.length) return;
-
-  for (const webhook of webhooks) {
-    try {
-      await supabase
-        .from("webhook_dlq")
-        .insert({
-          webhook_id: webhook.id,
-          event_type: event,
-          payload: dealData,
-          attempts: 0,
-          max_attempts: 5,
-          next_retry_at: new Date().toISOString(),
-          status: 'pending'
-        });
-    } catch (error: any) {
-      console.error(`❌ Failed to queue webhook ${webhook.id}:`, error);
-    }
-  }
+const METHOD_SCOPES: Record<string, string> = {
+  GET: PERMISSIONS.READ_DEALS,
+  POST: PERMISSIONS.CREATE_DEALS,
+  PUT: PERMISSIONS.EDIT_DEALS,
+  DELETE: PERMISSIONS.DELETE_DEALS,
 };
 
 export default async (req: Request, context: Context) => {
@@ -81,44 +87,30 @@ export default async (req: Request, context: Context) => {
   // Reduces database connections from ~126 to ~1 per burst
   const supabase = getSupabaseClient();
   
-  // Verify API key
-  const apiKey = req.headers.get("authorization")?.replace("Bearer ", "");
-  if (!apiKey) {
-    return new Response(JSON.stringify({ error: "API key required" }), { 
-      status: 401,
-      headers: { "Content-Type": "application/json" }
-    });
+  // Verify API key and the scope required for this method
+  let apiKey: ApiKeyContext;
+  try {
+    apiKey = await requireApiKey(req);
+    const requiredScope = METHOD_SCOPES[req.method];
+    if (requiredScope) {
+      requirePermission(apiKey, requiredScope);
+    }
+    await enforceApiKeyRateLimit(apiKey);
+  } catch (error) {
+    if (error instanceof ApiKeyError) {
+      return createApiKeyErrorResponse(error);
+    }
+    return createErrorResponse(error, 500, 'api_deals', 'API_ERROR');
   }
 
-  const keyHash = hashApiKey(apiKey);
-  const { data: keyData } = await supabase
-    .from("api_keys")
-    .select("id, organization_id")
-    .eq("key_hash", keyHash)
-    .is("revoked_at", null)
-    .single();
-
-  if (!keyData) {
-    return new Response(JSON.stringify({ error: "Invalid API key" }), { 
-      status: 401,
-      headers: { "Content-Type": "application/json" }
-    });
-  }
+  const orgId = apiKey.orgId;
 
-  const orgId = keyData.organization_id;
-  const apiKeyId = keyData.id;
+  // v1: /api/v1/deals[/:id] - legacy: /api/deals[/:id]
+  const url = new URL(req.url);
+  const { version, dealId: pathDealId } = parseDealPath(url.pathname);
 
-  // Track API key usage (fire and forget with proper error handling)
-  (async () => {
-    try {
-      await supabase
-        .from("api_keys")
-        .update({ last_used_at: new Date().toISOString() })
-        .eq("id", apiKeyId);
-    } catch (err: any) {
-      console.error(`⚠️ Failed to track key usage:`, err.message);
-    }
-  })();
+  // Claimed Idempotency-Key row for POST/PUT (released on unexpected errors)
+  let idempotencyRecord: IdempotencyRecord | null = null;
 
   try {
     // POST - Create deal
@@ -137,22 +129,21 @@ export default async (req: Request, context: Context) => {
         });
       }
 
-      // Get a user from the organization for user_id
-      // MIGRATION FIX: Changed from user_workspaces to team_members (v1.7.22)
-      const { data: orgUser } = await supabase
-        .from("team_members")
-        .select("user_id")
-        .eq("organization_id", orgId)
-        .limit(1)
-        .single();
-      
+      const idempotency = await beginIdempotentRequest(supabase, req, {
+        scope: orgId,
+        endpoint: 'api-deals:POST',
+        body
+      });
+      if (idempotency.replay) return idempotency.replay;
+      idempotencyRecord = idempotency.record;
+
       // CRITICAL FIX #3: Use atomic function to ensure deal + stage history created together
       // This eliminates race conditions where one succeeds and the other fails
-      const { data: deal, error } = await supabase
+      const { data: createdDeal, error } = await supabase
         .rpc('create_deal_with_history', {
           p_deal_data: validation.data,
           p_organization_id: orgId,
-          p_user_id: orgUser?.user_id
+          p_user_id: apiKey.userId
         });
 
       if (error) {
@@ -160,15 +151,129 @@ export default async (req: Request, context: Context) => {
         throw new Error(`Failed to create deal: ${error.message}`);
       }
       
-      await queueWebhooks(supabase, orgId, "deal.created", deal);
+      await recordDealChange(supabase, {
+        dealId: createdDeal.id,
+        organizationId: orgId,
+        changedBy: apiKey.userId,
+        source: 'api',
+        before: null,
+        after: createdDeal
+      });
+
+      // Assignment rules may route the deal away from the key owner
+      const { deals: [deal] } = await assignDealsByRules(supabase, {
+        organizationId: orgId,
+        deals: [createdDeal],
+        source: 'api',
+        changedBy: apiKey.userId,
+        actor: { type: 'api_key', id: apiKey.userId }
+      });
+
+      // deal.created carries the owner the rules picked
+      await emitDealEvents(supabase, {
+        organizationId: orgId,
+        actor: { type: 'api_key', id: apiKey.userId },
+        before: null,
+        after: deal
+      });
+
+      await logAuditEvent(supabase, {
+        organizationId: orgId,
+        actor: { type: 'api_key', id: apiKey.userId },
+        action: 'deal.created',
+        entityId: deal.id,
+        summary: deal.client,
+        metadata: { keyId: apiKey.keyId, keyName: apiKey.keyName, stage: deal.stage, value: deal.value },
+        request: req
+      });
       
-      return new Response(JSON.stringify(deal), {
+      return completeIdempotentRequest(supabase, idempotencyRecord, new Response(JSON.stringify(deal), {
         status: 201,
         headers: { "Content-Type": "application/json" }
+      }));
+    }
+
+    // GET /deals/:id - Single deal (excludes soft-deleted)
+    if (req.method === "GET" && pathDealId) {
+      if (!isValidDealId(pathDealId)) {
+        return new Response(JSON.stringify({ error: "Invalid deal ID", code: "INVALID_DEAL_ID" }), {
+          status: 400,
+          headers: { "Content-Type": "application/json" }
+        });
+      }
+
+      const { fields, select } = parseFields(url.searchParams.get("fields"));
+      const { data: deal, error } = await supabase
+        .from("deals")
+        .select(select)
+        .eq("id", pathDealId)
+        .eq("organization_id", orgId)
+        .is("deleted_at", null)
+        .maybeSingle();
+
+      if (error) throw error;
+
+      if (!deal) {
+        return new Response(JSON.stringify({ error: "Deal not found" }), {
+          status: 404,
+          headers: { "Content-Type": "application/json" }
+        });
+      }
+
+      return new Response(JSON.stringify(projectFields([deal], fields)[0]), {
+        headers: { "Content-Type": "application/json" }
       });
     }
 
-    // GET - List deals (excludes soft-deleted)
+    // GET /v1/deals - Filtered, cursor-paginated list
+    if (req.method === "GET" && version === "v1") {
+      const query = parseDealQuery(url.searchParams);
+
+      // Fetch one extra row to know whether another page exists
+      let rowsQuery = supabase
+        .from("deals")
+        .select(query.select)
+        .eq("organization_id", orgId)
+        .is("deleted_at", null);
+      rowsQuery = applyCursor(applyDealFilters(rowsQuery, query.filters), query.cursor);
+
+      let countQuery = supabase
+        .from("deals")
+        .select("id", { count: "exact", head: true })
+        .eq("organization_id", orgId)
+        .is("deleted_at", null);
+      countQuery = applyDealFilters(countQuery, query.filters);
+
+      const [rowsResult, countResult] = await Promise.all([
+        rowsQuery
+          .order("created", { ascending: false })
+          .order("id", { ascending: false })
+          .limit(query.limit + 1),
+        countQuery
+      ]);
+
+      if (rowsResult.error) throw rowsResult.error;
+      if (countResult.error) throw countResult.error;
+
+      const rows: any[] = rowsResult.data || [];
+      const hasMore = rows.length > query.limit;
+      const page = hasMore ? rows.slice(0, query.limit) : rows;
+      const last = page[page.length - 1];
+      const nextCursor = hasMore && last ? encodeCursor({ created: last.created, id: last.id }) : null;
+
+      return new Response(JSON.stringify(projectFields(page, query.fields)), {
+        headers: {
+          "Content-Type": "application/json",
+          "Link": buildLinkHeader(req.url, nextCursor),
+          "X-Total-Count": String(countResult.count ?? 0),
+          "Access-Control-Expose-Headers": "Link, X-Total-Count",
+          "X-RateLimit-Remaining": rateCheck.remaining.toString()
+        }
+      });
+    }
+
+    // GET /deals - Legacy unpaginated list (excludes soft-deleted)
+    // Kept for existing integrations; new clients should use /api/v1/deals
     if (req.method === "GET") {
       const { data: deals, error } = await supabase
         .from("deals")
@@ -186,8 +291,7 @@ export default async (req: Request, context: Context) => {
 
     // PUT - Update deal
     if (req.method === "PUT") {
-      const url = new URL(req.url);
-      const dealId = url.pathname.split("/").pop();
+      const dealId = pathDealId;
       
       if (!dealId) {
         return new Response(JSON.stringify({ error: "Deal ID required" }), { 
@@ -210,21 +314,52 @@ export default async (req: Request, context: Context) => {
         });
       }
 
-      // Get current deal to get user_id for history
+      // Deal id is part of the fingerprint so one key can't be replayed against another deal
+      const idempotency = await beginIdempotentRequest(supabase, req, {
+        scope: orgId,
+        endpoint: 'api-deals:PUT',
+        body: { dealId, updates: body }
+      });
+      if (idempotency.replay) return idempotency.replay;
+      idempotencyRecord = idempotency.record;
+
+      // Get current deal to get user_id and the "before" snapshot for history
       const { data: currentDeal } = await supabase
         .from("deals")
-        .select("user_id")
+        .select(`user_id, ${STAGE_REQUIREMENT_DEAL_COLUMNS}, ${DEAL_HISTORY_COLUMNS}`)
         .eq("id", dealId)
         .eq("organization_id", orgId)
         .single();
       
       if (!currentDeal) {
-        return new Response(JSON.stringify({ error: "Deal not found" }), {
+        return completeIdempotentRequest(supabase, idempotencyRecord, new Response(JSON.stringify({ error: "Deal not found" }), {
           status: 404,
           headers: { "Content-Type": "application/json" }
-        });
+        }));
       }
       
+      // Stage-entry requirements apply to API moves too (checklists can only be ticked in the app)
+      const updates = validation.data as Record<string, any>;
+      if (updates.stage && updates.stage !== currentDeal.stage) {
+        const unmetRequirements = await checkStageEntry(
+          supabase,
+          orgId,
+          { ...currentDeal, ...updates },
+          updates.stage,
+          await loadStageDefinitions(supabase, orgId)
+        );
+        if (unmetRequirements) {
+          return completeIdempotentRequest(supabase, idempotencyRecord, new Response(JSON.stringify({
+            error: `Stage requirements not met for "${updates.stage}"`,
+            code: STAGE_REQUIREMENTS_UNMET,
+            requirements: unmetRequirements
+          }), {
+            status: 422,
+            headers: { "Content-Type": "application/json" }
+          }));
+        }
+      }
+
       // CRITICAL FIX #3: Use atomic function to ensure deal + stage history updated together
       const { data: deal, error } = await supabase
         .rpc('update_deal_with_history', {
@@ -239,17 +374,40 @@ export default async (req: Request, context: Context) => {
         throw new Error(`Failed to update deal: ${error.message}`);
       }
       
-      await queueWebhooks(supabase, orgId, "deal.updated", deal);
+      await recordDealChange(supabase, {
+        dealId,
+        organizationId: orgId,
+        changedBy: apiKey.userId,
+        source: 'api',
+        before: currentDeal,
+        after: deal
+      });
+
+      await emitDealEvents(supabase, {
+        organizationId: orgId,
+        actor: { type: 'api_key', id: apiKey.userId },
+        before: currentDeal,
+        after: deal
+      });
+
+      await logAuditEvent(supabase, {
+        organizationId: orgId,
+        actor: { type: 'api_key', id: apiKey.userId },
+        action: 'deal.updated',
+        entityId: dealId,
+        summary: deal.client,
+        metadata: { keyId: apiKey.keyId, keyName: apiKey.keyName, fields: Object.keys(validation.data) },
+        request: req
+      });
       
-      return new Response(JSON.stringify(deal), {
+      return completeIdempotentRequest(supabase, idempotencyRecord, new Response(JSON.stringify(deal), {
         headers: { "Content-Type": "application/json" }
-      });
+      }));
     }
 
     // DELETE - Soft delete deal (v1.7.98: preserve audit trail)
     if (req.method === "DELETE") {
-      const url = new URL(req.url);
-      const dealId = url.pathname.split("/").pop();
+      const dealId = pathDealId;
 
       if (!dealId) {
         return new Response(JSON.stringify({ error: "Deal ID required" }), {
@@ -258,20 +416,14 @@ export default async (req: Request, context: Context) => {
         });
       }
 
-      // Get API key owner for audit trail
-      const { data: keyOwner } = await supabase
-        .from("api_keys")
-        .select("created_by")
-        .eq("id", apiKeyId)
-        .single();
-
       // SOFT DELETE: Set deleted_at instead of hard delete
       // This preserves audit trail and allows recovery
       const { data: deletedDeal, error } = await supabase
         .from("deals")
         .update({
           deleted_at: new Date().toISOString(),
-          deleted_by: keyOwner?.created_by || null
+          // Attributed to the API key's creator for the audit trail
+          deleted_by: apiKey.userId
         })
         .eq("id", dealId)
         .eq("organization_id", orgId)
@@ -287,10 +439,19 @@ export default async (req: Request, context: Context) => {
         });
       }
 
-      await queueWebhooks(supabase, orgId, "deal.deleted", {
+      await emitDealDeleted(supabase, orgId, { type: 'api_key', id: apiKey.userId }, {
         id: dealId,
-        deleted_at: deletedDeal.deleted_at,
-        soft_delete: true
+        deleted_at: deletedDeal.deleted_at
+      });
+
+      await logAuditEvent(supabase, {
+        organizationId: orgId,
+        actor: { type: 'api_key', id: apiKey.userId },
+        action: 'deal.deleted',
+        entityId: dealId,
+        summary: deletedDeal.client,
+        metadata: { keyId: apiKey.keyId, keyName: apiKey.keyName },
+        request: req
       });
 
       return new Response(JSON.stringify({
@@ -305,11 +466,19 @@ export default async (req: Request, context: Context) => {
     return new Response("Method not allowed", { status: 405 });
 
   } catch (error: any) {
+    if (error instanceof DealQueryError) {
+      return new Response(JSON.stringify({ error: error.message, code: error.code }), {
+        status: error.statusCode,
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+
     console.error("API deals error:", error);
+    await releaseIdempotentRequest(supabase, idempotencyRecord);
     return createErrorResponse(error, 500, 'api_deals', 'API_ERROR');
   }
 };
 
 export const config: Config = {
-  path: "/api/deals*",
+  path: ["/api/deals*", "/api/v1/deals*"],
 };
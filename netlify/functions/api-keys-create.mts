@@ -12,10 +12,14 @@
  * POST /.netlify/functions/api-keys-create
  * {
  *   "name": "Production Mobile App",
- *   "permissions": ["read", "write"],
- *   "expiresInDays": 365 // optional, null = never expires
+ *   "permissions": ["read_deals", "create_deals"], // scopes from API_KEY_SCOPES
+ *   "expiresInDays": 365, // optional, null = never expires
+ *   "rateLimitPerHour": 1000 // optional, null = org default only
  * }
  *
+ * Legacy values read / write / admin are still accepted. A key can never
+ * be granted a scope the creating user's role does not have.
+ *
  * RESPONSE:
  * {
  *   "success": true,
@@ -23,7 +27,8 @@
  *   "keyId": "uuid",
  *   "keyPrefix": "sf_live_EXAMPLE",
  *   "name": "Production Mobile App",
- *   "permissions": ["read", "write"],
+ *   "permissions": ["read_deals", "create_deals"],
+ *   "rateLimitPerHour": 1000,
  *   "expiresAt": "2026-01-19T00:00:00.000Z",
  *   "warning": "Save this API key securely - it will not be shown again"
  * }
@@ -32,7 +37,16 @@
 import type { Handler, HandlerEvent, HandlerContext } from '@netlify/functions';
 import { createClient } from '@supabase/supabase-js';
 import { requireAuth } from './lib/auth-middleware';
-import { generateApiKey, getApiKeyPrefix } from './lib/api-key-auth';
+import {
+  generateApiKey,
+  getApiKeyPrefix,
+  expandApiKeyPermissions,
+  isValidApiKeyPermissionList,
+  API_KEY_SCOPES,
+  API_KEY_RATE_LIMIT_BOUNDS
+} from './lib/api-key-auth';
+import { hasPermission, type Role } from './lib/rbac';
+import { logAuditEvent } from './lib/audit-log';
 import { createHash } from 'crypto';
 
 export const handler: Handler = async (event: HandlerEvent, context: HandlerContext) => {
@@ -57,7 +71,7 @@ export const handler: Handler = async (event: HandlerEvent, context: HandlerCont
 
     // Parse request body
     const body = JSON.parse(event.body || '{}');
-    const { name, permissions = ['read'], expiresInDays } = body;
+    const { name, permissions = ['read_deals'], expiresInDays = null, rateLimitPerHour = null } = body;
 
     // Validate input
     if (!name || typeof name !== 'string' || name.trim().length === 0) {
@@ -71,19 +85,46 @@ export const handler: Handler = async (event: HandlerEvent, context: HandlerCont
       };
     }
 
-    // Validate permissions
-    const validPermissions = ['read', 'write', 'admin'];
-    if (!Array.isArray(permissions) || !permissions.every(p => validPermissions.includes(p))) {
+    // Validate permissions (scopes, or legacy read/write/admin)
+    if (!isValidApiKeyPermissionList(permissions)) {
       return {
         statusCode: 400,
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          error: 'Invalid permissions. Must be array of: read, write, admin',
+          error: `Invalid permissions. Must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`,
           code: 'INVALID_PERMISSIONS'
         })
       };
     }
 
+    // Validate expiry
+    if (expiresInDays !== null && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 3650)) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: 'expiresInDays must be an integer between 1 and 3650, or null for no expiry',
+          code: 'INVALID_INPUT'
+        })
+      };
+    }
+
+    // Validate per-key rate limit
+    if (rateLimitPerHour !== null && (
+      !Number.isInteger(rateLimitPerHour) ||
+      rateLimitPerHour < API_KEY_RATE_LIMIT_BOUNDS.min ||
+      rateLimitPerHour > API_KEY_RATE_LIMIT_BOUNDS.max
+    )) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: `rateLimitPerHour must be an integer between ${API_KEY_RATE_LIMIT_BOUNDS.min} and ${API_KEY_RATE_LIMIT_BOUNDS.max}, or null`,
+          code: 'INVALID_INPUT'
+        })
+      };
+    }
+
     // Get user's organization
     const supabaseUrl = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL;
     const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -97,7 +138,7 @@ export const handler: Handler = async (event: HandlerEvent, context: HandlerCont
     // Get user's organization from team_members
     const { data: membership, error: membershipError } = await supabase
       .from('team_members')
-      .select('organization_id')
+      .select('organization_id, role')
       .eq('user_id', user.id)
       .single();
 
@@ -120,6 +161,20 @@ export const handler: Handler = async (event: HandlerEvent, context: HandlerCont
       };
     }
 
+    // A key can't carry more access than the member creating it
+    const exceeded = expandApiKeyPermissions(permissions)
+      .filter(scope => !hasPermission(membership.role as Role, scope));
+    if (exceeded.length > 0) {
+      return {
+        statusCode: 403,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          error: `Your role cannot grant: ${exceeded.join(', ')}`,
+          code: 'INSUFFICIENT_PERMISSIONS'
+        })
+      };
+    }
+
     console.log('[API KEYS] Creating key for org:', {
       organizationId: membership.organization_id,
       userId: user.id,
@@ -133,7 +188,7 @@ export const handler: Handler = async (event: HandlerEvent, context: HandlerCont
 
     // Calculate expiration date
     let expiresAt: string | null = null;
-    if (expiresInDays && typeof expiresInDays === 'number' && expiresInDays > 0) {
+    if (expiresInDays !== null) {
       const expiration = new Date();
       expiration.setDate(expiration.getDate() + expiresInDays);
       expiresAt = expiration.toISOString();
@@ -150,9 +205,10 @@ export const handler: Handler = async (event: HandlerEvent, context: HandlerCont
         key_hash: keyHash,
         permissions,
         is_active: true,
-        expires_at: expiresAt
+        expires_at: expiresAt,
+        rate_limit_per_hour: rateLimitPerHour
       })
-      .select('id, name, key_prefix, permissions, expires_at, created_at')
+      .select('id, name, key_prefix, permissions, expires_at, rate_limit_per_hour, created_at')
       .single();
 
     if (insertError || !keyRecord) {
@@ -178,6 +234,16 @@ export const handler: Handler = async (event: HandlerEvent, context: HandlerCont
 
     console.log(`✅ API key created: ${keyRecord.name} (${keyRecord.id}) by ${user.email}`);
 
+    await logAuditEvent(supabase, {
+      organizationId: membership.organization_id,
+      actor: { type: 'user', id: user.id, email: user.email },
+      action: 'api_key.created',
+      entityId: keyRecord.id,
+      summary: keyRecord.name,
+      metadata: { keyPrefix: keyRecord.key_prefix, permissions: keyRecord.permissions, expiresAt: keyRecord.expires_at },
+      request: event
+    });
+
     // Return API key (ONLY TIME IT'S SHOWN)
     return {
       statusCode: 201,
@@ -189,6 +255,7 @@ export const handler: Handler = async (event: HandlerEvent, context: HandlerCont
         keyPrefix: keyRecord.key_prefix,
         name: keyRecord.name,
         permissions: keyRecord.permissions,
+        rateLimitPerHour: keyRecord.rate_limit_per_hour,
         expiresAt: keyRecord.expires_at,
         createdAt: keyRecord.created_at,
         warning: '⚠️ Save this API key securely - it will not be shown again'
@@ -20,8 +20,11 @@
  *       "id": "uuid",
  *       "name": "Production Mobile App",
  *       "keyPrefix": "sf_live_abc12345",
- *       "permissions": ["read", "write"],
+ *       "permissions": ["read_deals"],
+ *       "scopes": ["read_deals"], // permissions with legacy values expanded
+ *       "rateLimitPerHour": 1000,
  *       "isActive": true,
+ *       "isExpired": false,
  *       "lastUsedAt": "2025-01-19T12:34:56.000Z",
  *       "usageCount": 1523,
  *       "expiresAt": "2026-01-19T00:00:00.000Z",
@@ -34,7 +37,7 @@
 
 import type { Handler, HandlerEvent, HandlerContext } from '@netlify/functions';
 import { createClient } from '@supabase/supabase-js';
-import { authenticateRequest } from './lib/api-key-auth';
+import { authenticateRequest, expandApiKeyPermissions } from './lib/api-key-auth';
 
 export const handler: Handler = async (event: HandlerEvent, context: HandlerContext) => {
   // Only allow GET
@@ -77,6 +80,7 @@ export const handler: Handler = async (event: HandlerEvent, context: HandlerCont
         is_active,
         last_used_at,
         usage_count,
+        rate_limit_per_hour,
         expires_at,
         created_at,
         created_by,
@@ -114,7 +118,10 @@ export const handler: Handler = async (event: HandlerEvent, context: HandlerCont
       name: key.name,
       keyPrefix: key.key_prefix,
       permissions: key.permissions,
+      scopes: expandApiKeyPermissions(key.permissions || []),
+      rateLimitPerHour: key.rate_limit_per_hour ?? null,
       isActive: key.is_active,
+      isExpired: !!key.expires_at && new Date(key.expires_at) < new Date(),
       lastUsedAt: key.last_used_at,
       usageCount: key.usage_count || 0,
       expiresAt: key.expires_at,
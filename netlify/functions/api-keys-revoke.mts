@@ -28,6 +28,7 @@
 import type { Handler, HandlerEvent, HandlerContext } from '@netlify/functions';
 import { createClient } from '@supabase/supabase-js';
 import { authenticateRequest } from './lib/api-key-auth';
+import { logAuditEvent } from './lib/audit-log';
 
 export const handler: Handler = async (event: HandlerEvent, context: HandlerContext) => {
   // Only allow POST
@@ -142,6 +143,16 @@ export const handler: Handler = async (event: HandlerEvent, context: HandlerCont
 
     console.log(`✅ API key revoked: ${keyRecord.name} (${keyId}) by user ${auth.userId}`);
 
+    await logAuditEvent(supabase, {
+      organizationId: keyRecord.organization_id,
+      actor: { type: auth.method === 'api_key' ? 'api_key' : 'user', id: auth.userId },
+      action: 'api_key.revoked',
+      entityId: keyId,
+      summary: keyRecord.name,
+      metadata: { reason: reason || null },
+      request: event
+    });
+
     return {
       statusCode: 200,
       headers: { 'Content-Type': 'application/json' },
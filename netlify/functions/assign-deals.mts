@@ -15,6 +15,10 @@ import { requireAuth, createAuthErrorResponse } from './lib/auth-middleware';
 import { notifyUser } from './lib/notifications-service';
 // ENGINE REBUILD Phase 8: Use centralized CORS spine
 import { getCorsOrigin } from './lib/cors';
+import { recordDealChange } from './lib/deal-history';
+import { emitDealEvents, emitDealEventsBulk } from './lib/webhook-events';
+import { autoAssignDeal } from './lib/deal-assignment';
+import { logAuditEvent } from './lib/audit-log';
 
 export const handler = async (event: any) => {
   // ENGINE REBUILD Phase 8: Use centralized CORS config
@@ -60,6 +64,10 @@ export const handler = async (event: any) => {
       };
     }
 
+    // Acting user, recorded in deal_change_history and the audit log
+    let actingUserId: string | null = null;
+    let actingUserEmail: string | null = null;
+
     // PHASE 9 CRITICAL FIX: ALWAYS require authentication
     // This was a CRITICAL VULNERABILITY - anyone could assign deals without auth!
     try {
@@ -71,6 +79,8 @@ export const handler = async (event: any) => {
       console.warn('[assign-deals] Authenticating user for org:', organizationId);
       const user = await requireAuth(request);
       console.warn('[assign-deals] Auth succeeded, user:', user.id);
+      actingUserId = user.id;
+      actingUserEmail = user.email || null;
 
       // PHASE 11 FIX: Verify membership directly instead of requireOrgAccess
       // The dummy Request has no body, so requireOrgAccess would fail trying to read org_id
@@ -144,6 +154,14 @@ export const handler = async (event: any) => {
         };
       }
 
+      // Previous assignee for the change history
+      const { data: previousDeal } = await supabase
+        .from('deals')
+        .select('assigned_to')
+        .eq('id', dealId)
+        .eq('organization_id', organizationId)
+        .maybeSingle();
+
       // Assign the deal
       const { data: deal, error: assignError } = await supabase
         .from('deals')
@@ -161,6 +179,30 @@ export const handler = async (event: any) => {
         throw assignError;
       }
 
+      await recordDealChange(supabase, {
+        dealId,
+        organizationId,
+        changedBy: actingUserId,
+        source: 'assign',
+        before: previousDeal,
+        after: deal
+      });
+      await emitDealEvents(supabase, {
+        organizationId,
+        actor: { type: 'user', id: actingUserId },
+        before: previousDeal || { assigned_to: null },
+        after: deal
+      });
+      await logAuditEvent(supabase, {
+        organizationId,
+        actor: { type: 'user', id: actingUserId, email: actingUserEmail },
+        action: 'deal.assigned',
+        entityId: dealId,
+        summary: deal.client,
+        metadata: { from: previousDeal?.assigned_to ?? null, to: assignedTo, count: 1 },
+        request: event
+      });
+
       // Send notification to the assignee (non-blocking)
       // Only notify if assigning to someone else (not self-assignment)
       if (deal && assignedTo !== assignedBy) {
@@ -242,6 +284,14 @@ export const handler = async (event: any) => {
         };
       }
 
+      // Previous assignees for the change history
+      const { data: previousDeals } = await supabase
+        .from('deals')
+        .select('id, assigned_to')
+        .in('id', dealIds)
+        .eq('organization_id', organizationId);
+      const previousById = new Map((previousDeals || []).map((d: any) => [d.id, d]));
+
       // Bulk assign
       const { data: deals, error: assignError } = await supabase
         .from('deals')
@@ -258,6 +308,29 @@ export const handler = async (event: any) => {
         throw assignError;
       }
 
+      await Promise.all((deals || []).map((deal: any) => recordDealChange(supabase, {
+        dealId: deal.id,
+        organizationId,
+        changedBy: actingUserId,
+        source: 'assign',
+        before: previousById.get(deal.id) || null,
+        after: deal
+      })));
+      await emitDealEventsBulk(supabase, organizationId, { type: 'user', id: actingUserId },
+        (deals || []).map((deal: any) => ({
+          before: previousById.get(deal.id) || { assigned_to: null },
+          after: deal
+        }))
+      );
+      await logAuditEvent(supabase, {
+        organizationId,
+        actor: { type: 'user', id: actingUserId, email: actingUserEmail },
+        action: 'deal.assigned',
+        summary: `${deals?.length || 0} deals`,
+        metadata: { to: assignedTo, count: deals?.length || 0, dealIds: (deals || []).map((deal: any) => deal.id).slice(0, 100) },
+        request: event
+      });
+
       return {
         statusCode: 200,
         headers,
@@ -286,22 +359,23 @@ export const handler = async (event: any) => {
         };
       }
 
-      // Use the round-robin function
-      const { data, error } = await supabase.rpc('assign_deal_round_robin', {
-        p_deal_id: dealId,
-        p_organization_id: organizationId
+      // Use the round-robin function (shared with inbound lead capture)
+      const { assignedTo, deal } = await autoAssignDeal(supabase, {
+        dealId,
+        organizationId,
+        changedBy: actingUserId,
+        actor: { type: 'user', id: actingUserId }
       });
 
-      if (error) {
-        throw error;
-      }
-
-      // Get the updated deal
-      const { data: deal } = await supabase
-        .from('deals')
-        .select('*')
-        .eq('id', dealId)
-        .single();
+      await logAuditEvent(supabase, {
+        organizationId,
+        actor: { type: 'user', id: actingUserId, email: actingUserEmail },
+        action: 'deal.assigned',
+        entityId: dealId,
+        summary: deal?.client,
+        metadata: { to: assignedTo, count: 1, roundRobin: true },
+        request: event
+      });
 
       return {
         statusCode: 200,
@@ -309,7 +383,7 @@ export const handler = async (event: any) => {
         body: JSON.stringify({
           success: true,
           message: 'Deal auto-assigned successfully',
-          assignedTo: data,
+          assignedTo,
           deal
         })
       };
@@ -0,0 +1,348 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import { hasPermission, PERMISSIONS, type Role } from './lib/rbac';
+import { loadCustomFieldDefinitions } from './lib/custom-fields';
+import { countOpenDeals } from './lib/deal-assignment';
+import {
+  ASSIGNMENT_RULE_COLUMNS,
+  loadAssignmentRules,
+  loadDealSources,
+  toAssignmentRule,
+  toAssignmentRuleRow
+} from './lib/assignment-rules';
+import {
+  ASSIGNMENT_RULE_LIMITS,
+  runAssignmentRules,
+  validateAssignmentRule
+} from '../../src/config/assignmentRules';
+import { logAuditEvent } from './lib/audit-log';
+
+/**
+ * ASSIGNMENT RULES
+ *
+ * Org deal routing rules (Settings → Pipeline → Assignment Rules).
+ *
+ * GET  /.netlify/functions/assignment-rules?organizationId=<uuid>
+ *   → { success, rules, members: [{ id, name }] } - members who can own deals
+ *
+ * POST /.netlify/functions/assignment-rules
+ *   { organizationId, action: 'create', rule }            → { success, rule } (201)
+ *   { organizationId, action: 'update', id, rule }        → { success, rule }
+ *   { organizationId, action: 'delete', id }              → { success }
+ *   { organizationId, action: 'reorder', ids }            → { success, rules }
+ *   { organizationId, action: 'simulate', rules? }        → { success, results, summary }
+ *     Replays the most recent deals through `rules` (unsaved edits) or the
+ *     saved rules. Nothing is reassigned.
+ *
+ * rule: { name, conditions, assignees: [{ userId, weight, cap }], fallbackUserId, isActive }
+ * Changing a rule's assignees restarts its rotation.
+ *
+ * Reads need membership; writes and simulate need EDIT_SETTINGS.
+ *
+ * Used by:
+ * - AssignmentRulesManager (Settings → Pipeline)
+ */
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const ACTIONS = ['create', 'update', 'delete', 'reorder', 'simulate'];
+
+const SIMULATE_DEAL_COLUMNS = 'id, client, value, stage, status, email, custom_fields, assigned_to, import_job_id, created';
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'GET, POST, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+
+    let params: Record<string, any>;
+    if (req.method === "GET") {
+      params = Object.fromEntries(new URL(req.url).searchParams);
+    } else {
+      try {
+        params = await req.json();
+      } catch {
+        return json(400, { success: false, error: "Invalid JSON body", code: "INVALID_INPUT" }, corsHeaders);
+      }
+    }
+
+    const { organizationId } = params || {};
+    if (!organizationId || !UUID_REGEX.test(organizationId)) {
+      return json(400, { success: false, error: "Valid organizationId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { data: membership } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", user.id)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (!membership) {
+      return json(403, { success: false, error: "Not authorized for this organization", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    // Members who can own deals, for assignee pickers and name lookups
+    const loadMembers = async () => {
+      const { data: members, error } = await supabase
+        .from("team_members")
+        .select("user_id, role")
+        .eq("organization_id", organizationId);
+      if (error) throw error;
+
+      const owners = (members || []).filter((member: any) => hasPermission(member.role as Role, PERMISSIONS.EDIT_DEALS));
+      const { data: profiles } = await supabase
+        .from("user_profiles")
+        .select("id, email, full_name")
+        .in("id", owners.map((member: any) => member.user_id));
+      const profileById = new Map((profiles || []).map((profile: any) => [profile.id, profile]));
+
+      return owners.map((member: any) => {
+        const profile: any = profileById.get(member.user_id);
+        return {
+          id: member.user_id as string,
+          name: profile?.full_name || profile?.email?.split('@')[0] || 'Team Member'
+        };
+      });
+    };
+
+    if (req.method === "GET") {
+      const [rules, members] = await Promise.all([
+        loadAssignmentRules(supabase, organizationId),
+        loadMembers()
+      ]);
+      return json(200, { success: true, rules, members }, { ...corsHeaders, "Cache-Control": "no-store" });
+    }
+
+    if (!hasPermission(membership.role as Role, PERMISSIONS.EDIT_SETTINGS)) {
+      return json(403, { success: false, error: "Only admins can manage assignment rules", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    const audit = (auditAction: string, ruleId: string | null, summary?: string | null, metadata?: Record<string, unknown>) =>
+      logAuditEvent(supabase, {
+        organizationId,
+        actor: { type: 'user', id: user.id, email: user.email },
+        action: auditAction,
+        entityId: ruleId,
+        summary,
+        metadata,
+        request: req
+      });
+
+    const { action, id } = params;
+    if (!ACTIONS.includes(action)) {
+      return json(400, { success: false, error: `action must be one of: ${ACTIONS.join(', ')}`, code: "INVALID_INPUT" }, corsHeaders);
+    }
+    if ((action === 'update' || action === 'delete') && (!id || !UUID_REGEX.test(id))) {
+      return json(400, { success: false, error: "Valid id required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    // Validation errors per rule, checked against the org's custom fields
+    const getRuleErrors = async (rules: any[]) => {
+      const customFields = await loadCustomFieldDefinitions(supabase, organizationId);
+      return rules.map(rule => validateAssignmentRule(rule, customFields));
+    };
+
+    if (action === 'create' || action === 'update') {
+      const rule = params.rule;
+      const [errors] = await getRuleErrors([rule]);
+      if (errors.length > 0) {
+        return json(400, { success: false, error: errors[0], code: "INVALID_INPUT", details: errors }, corsHeaders);
+      }
+
+      if (action === 'create') {
+        const { data: existing, error: existingError } = await supabase
+          .from("assignment_rules")
+          .select("position")
+          .eq("organization_id", organizationId)
+          .order("position", { ascending: false });
+        if (existingError) throw existingError;
+        if ((existing || []).length >= ASSIGNMENT_RULE_LIMITS.MAX_RULES) {
+          return json(409, {
+            success: false,
+            error: `An organization can have at most ${ASSIGNMENT_RULE_LIMITS.MAX_RULES} assignment rules`,
+            code: "LIMIT_REACHED"
+          }, corsHeaders);
+        }
+
+        const { data: created, error } = await supabase
+          .from("assignment_rules")
+          .insert({
+            organization_id: organizationId,
+            ...toAssignmentRuleRow(rule),
+            position: (existing?.[0]?.position ?? -1) + 1,
+            created_by: user.id
+          })
+          .select(ASSIGNMENT_RULE_COLUMNS)
+          .single();
+        if (error) throw error;
+
+        await audit('assignment_rule.created', created.id, created.name);
+        return json(201, { success: true, rule: toAssignmentRule(created) }, corsHeaders);
+      }
+
+      const { data: current, error: currentError } = await supabase
+        .from("assignment_rules")
+        .select("assignees")
+        .eq("id", id)
+        .eq("organization_id", organizationId)
+        .maybeSingle();
+      if (currentError) throw currentError;
+      if (!current) {
+        return json(404, { success: false, error: "Assignment rule not found", code: "NOT_FOUND" }, corsHeaders);
+      }
+
+      const row = toAssignmentRuleRow(rule);
+      const sameAssignees = JSON.stringify((current.assignees || []).map((assignee: any) => assignee.userId).sort())
+        === JSON.stringify(rule.assignees.map((assignee: any) => assignee.userId).sort());
+
+      const { data: updated, error } = await supabase
+        .from("assignment_rules")
+        .update({
+          ...row,
+          ...(!sameAssignees && { rotation: {} }),
+          updated_at: new Date().toISOString()
+        })
+        .eq("id", id)
+        .eq("organization_id", organizationId)
+        .select(ASSIGNMENT_RULE_COLUMNS)
+        .single();
+      if (error) throw error;
+
+      await audit('assignment_rule.updated', id, updated.name, { rotationReset: !sameAssignees });
+      return json(200, { success: true, rule: toAssignmentRule(updated) }, corsHeaders);
+    }
+
+    if (action === 'delete') {
+      const { data: deleted, error } = await supabase
+        .from("assignment_rules")
+        .delete()
+        .eq("id", id)
+        .eq("organization_id", organizationId)
+        .select("id, name")
+        .maybeSingle();
+      if (error) throw error;
+      if (!deleted) {
+        return json(404, { success: false, error: "Assignment rule not found", code: "NOT_FOUND" }, corsHeaders);
+      }
+      await audit('assignment_rule.deleted', id, deleted.name);
+      return json(200, { success: true }, corsHeaders);
+    }
+
+    if (action === 'reorder') {
+      const { ids } = params;
+      const rules = await loadAssignmentRules(supabase, organizationId);
+      if (!Array.isArray(ids) || ids.length !== rules.length || !rules.every(rule => ids.includes(rule.id))) {
+        return json(400, { success: false, error: "ids must list every rule once", code: "INVALID_INPUT" }, corsHeaders);
+      }
+
+      await Promise.all(ids.map(async (ruleId: string, position: number) => {
+        const { error } = await supabase
+          .from("assignment_rules")
+          .update({ position })
+          .eq("id", ruleId)
+          .eq("organization_id", organizationId);
+        if (error) throw error;
+      }));
+
+      await audit('assignment_rule.updated', null, 'Rule order', { order: ids });
+      return json(200, { success: true, rules: await loadAssignmentRules(supabase, organizationId) }, corsHeaders);
+    }
+
+    // simulate
+    let rules;
+    if (params.rules !== undefined) {
+      if (!Array.isArray(params.rules) || params.rules.length > ASSIGNMENT_RULE_LIMITS.MAX_RULES) {
+        return json(400, { success: false, error: "rules must be a list", code: "INVALID_INPUT" }, corsHeaders);
+      }
+      const ruleErrors = await getRuleErrors(params.rules);
+      const invalid = ruleErrors.findIndex(errors => errors.length > 0);
+      if (invalid !== -1) {
+        return json(400, {
+          success: false,
+          error: `Rule ${invalid + 1}: ${ruleErrors[invalid][0]}`,
+          code: "INVALID_INPUT"
+        }, corsHeaders);
+      }
+      rules = params.rules.map((rule: any, index: number) => ({ ...rule, id: rule.id || `draft-${index}`, rotation: {} }));
+    } else {
+      rules = await loadAssignmentRules(supabase, organizationId);
+    }
+
+    const { data: recentDeals, error: dealsError } = await supabase
+      .from("deals")
+      .select(SIMULATE_DEAL_COLUMNS)
+      .eq("organization_id", organizationId)
+      .is("deleted_at", null)
+      .order("created", { ascending: false })
+      .limit(ASSIGNMENT_RULE_LIMITS.SIMULATE_DEALS);
+    if (dealsError) throw dealsError;
+
+    // Oldest first, as they arrived
+    const deals = (recentDeals || []).reverse();
+    const members = await loadMembers();
+    const memberIds = members.map(member => member.id);
+    const cappedUserIds = [...new Set<string>(rules.flatMap((rule: any) => (rule.assignees || [])
+      .filter((assignee: any) => assignee.cap !== null && assignee.cap !== undefined && memberIds.includes(assignee.userId))
+      .map((assignee: any) => assignee.userId)))];
+    const [sources, openDeals] = await Promise.all([
+      loadDealSources(supabase, organizationId, deals),
+      countOpenDeals(supabase, organizationId, cappedUserIds)
+    ]);
+
+    const { results } = runAssignmentRules(rules, deals, {
+      openDeals,
+      memberIds,
+      getSource: (deal: any) => sources[deal.id]
+    });
+
+    const dealById = new Map(deals.map((deal: any) => [deal.id, deal]));
+    const summary: Record<string, number> = {};
+    results.forEach((result: any) => {
+      if (result.assignedTo) summary[result.assignedTo] = (summary[result.assignedTo] || 0) + 1;
+    });
+
+    return json(200, {
+      success: true,
+      results: results.map((result: any) => {
+        const deal: any = dealById.get(result.dealId);
+        return {
+          ...result,
+          client: deal?.client ?? null,
+          value: deal?.value ?? null,
+          source: sources[result.dealId],
+          currentOwner: deal?.assigned_to ?? null
+        };
+      }).reverse(),
+      summary: Object.entries(summary).map(([userId, count]) => ({ userId, count }))
+    }, corsHeaders);
+  } catch (error: any) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[assignment-rules] Error:", error);
+    return json(500, { success: false, error: "Failed to process assignment rules request", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
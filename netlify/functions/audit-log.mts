@@ -0,0 +1,198 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import { hasPermission, PERMISSIONS, type Role } from './lib/rbac';
+import { getOrgPlan } from './lib/get-org-plan';
+import { logSecurityEvent, createSecurityEvent } from './lib/security-events';
+import {
+  queryAuditLog,
+  getAuditRetentionDays,
+  buildAuditLogCsv,
+  logAuditEvent,
+  type AuditLogFilters
+} from './lib/audit-log';
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, AUDIT_LOG_LIMITS } from '../../src/config/auditLog';
+
+/**
+ * AUDIT LOG
+ *
+ * Read and export the organization audit log (Settings → General → Audit Log).
+ *
+ * GET /.netlify/functions/audit-log?organizationId=<uuid>
+ *     &actorId=<uuid>&entityType=deal&entityId=...&action=deal.updated
+ *     &from=<iso>&to=<iso>&cursor=...&limit=50
+ *   → { success, entries, nextCursor, retentionDays, actors: [{ id, name }] }
+ *
+ * GET ...&format=csv
+ *   → CSV download of up to 10,000 matching entries (newest first)
+ *
+ * Only entries inside the plan's retention window are returned. Both need
+ * VIEW_AUDIT_LOG; an export is itself recorded in the audit log and as a
+ * DATA_EXPORTED security event.
+ *
+ * Used by:
+ * - AuditLog (Settings → General)
+ */
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const FORMATS = ['json', 'csv'];
+
+// Validated filters, or an error message
+const parseFilters = (params: Record<string, string>): { filters?: AuditLogFilters; error?: string } => {
+  const { actorId, entityType, entityId, action, from, to } = params;
+
+  if (actorId && !UUID_REGEX.test(actorId)) return { error: "actorId must be a user id" };
+  if (entityType && !AUDIT_ENTITY_TYPES.some(type => type.id === entityType)) return { error: "Unknown entityType" };
+  if (action && !AUDIT_ACTIONS.some(candidate => candidate.id === action)) return { error: "Unknown action" };
+  if (entityId && entityId.length > 100) return { error: "entityId is too long" };
+
+  const dates: Record<string, string | null> = {};
+  for (const [key, value] of Object.entries({ from, to })) {
+    if (!value) {
+      dates[key] = null;
+      continue;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return { error: `${key} must be a date` };
+    dates[key] = date.toISOString();
+  }
+  if (dates.from && dates.to && dates.from > dates.to) return { error: "from must be before to" };
+
+  return {
+    filters: {
+      actorId: actorId || null,
+      entityType: entityType || null,
+      entityId: entityId || null,
+      action: action || null,
+      from: dates.from,
+      to: dates.to
+    }
+  };
+};
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'GET, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (req.method !== "GET") {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+    const params = Object.fromEntries(new URL(req.url).searchParams);
+
+    const { organizationId } = params;
+    if (!organizationId || !UUID_REGEX.test(organizationId)) {
+      return json(400, { success: false, error: "Valid organizationId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { data: membership } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", user.id)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (!membership) {
+      return json(403, { success: false, error: "Not authorized for this organization", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    if (!hasPermission(membership.role as Role, PERMISSIONS.VIEW_AUDIT_LOG)) {
+      return json(403, { success: false, error: "Only owners and admins can view the audit log", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    const format = params.format || 'json';
+    if (!FORMATS.includes(format)) {
+      return json(400, { success: false, error: `format must be one of: ${FORMATS.join(', ')}`, code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { filters, error: filterError } = parseFilters(params);
+    if (!filters) {
+      return json(400, { success: false, error: filterError, code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    // Current members by name, for the actor filter and the export
+    const { data: members, error: membersError } = await supabase
+      .from("team_members")
+      .select("user_id")
+      .eq("organization_id", organizationId);
+    if (membersError) throw membersError;
+
+    const { data: profiles } = await supabase
+      .from("user_profiles")
+      .select("id, email, full_name")
+      .in("id", (members || []).map((member: any) => member.user_id));
+    const actors = (profiles || []).map((profile: any) => ({
+      id: profile.id as string,
+      name: (profile.full_name || profile.email?.split('@')[0] || 'Team Member') as string
+    }));
+
+    const retentionDays = getAuditRetentionDays(await getOrgPlan(organizationId));
+
+    if (format === 'csv') {
+      const { entries } = await queryAuditLog(supabase, organizationId, filters, {
+        retentionDays,
+        limit: AUDIT_LOG_LIMITS.MAX_EXPORT_ROWS
+      });
+
+      await logAuditEvent(supabase, {
+        organizationId,
+        actor: { type: 'user', id: user.id, email: user.email },
+        action: 'audit_log.exported',
+        metadata: { rowCount: entries.length, filters },
+        request: req
+      });
+      await logSecurityEvent(createSecurityEvent('DATA_EXPORTED', req, {
+        userId: user.id,
+        email: user.email,
+        metadata: { organizationId, resource: 'audit_log', format, rowCount: entries.length, filters }
+      }));
+
+      const actorNames = Object.fromEntries(actors.map(actor => [actor.id, actor.name]));
+      const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      return new Response(buildAuditLogCsv(entries, actorNames), {
+        status: 200,
+        headers: {
+          ...corsHeaders,
+          "Content-Type": "text/csv; charset=utf-8",
+          "Content-Disposition": `attachment; filename="${fileName}"`,
+          "Cache-Control": "no-store",
+          "X-Export-Count": String(entries.length)
+        }
+      });
+    }
+
+    const limit = Math.min(Number(params.limit) || AUDIT_LOG_LIMITS.PAGE_SIZE, AUDIT_LOG_LIMITS.MAX_PAGE_SIZE);
+    const { entries, nextCursor } = await queryAuditLog(supabase, organizationId, filters, {
+      retentionDays,
+      limit,
+      cursor: params.cursor || null
+    });
+
+    return json(200, { success: true, entries, nextCursor, retentionDays, actors }, { ...corsHeaders, "Cache-Control": "no-store" });
+  } catch (error: any) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[audit-log] Error:", error);
+    return json(500, { success: false, error: "Failed to process audit log request", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
@@ -35,6 +35,8 @@ import { setSessionCookies, clearSessionCookies } from './lib/cookie-auth';
 import { RATE_LIMITS } from './lib/rate-limiter';
 import { logSecurityEvent, createSecurityEvent } from './lib/security-events';
 import { createAuthLogContext } from './lib/log-sanitizer';
+import { logLoginAudit } from './lib/audit-log';
+import { getSupabaseClient } from './lib/supabase-pool';
 import { validateCSRFToken, createCSRFErrorResponse } from './lib/csrf-middleware';
 
 // P0 FIX 2025-12-08: Standardized CORS origins across all auth functions
@@ -345,6 +347,14 @@ export const handler: Handler = async (event: HandlerEvent, context: HandlerCont
       })
     );
 
+    // Org audit log: one entry per organization the user belongs to
+    await logLoginAudit(getSupabaseClient(), {
+      userId: data.user.id,
+      email: data.user.email,
+      request: event,
+      method: 'password'
+    });
+
     // SECURITY FIX (CRIT-SEC-3): Constant-time response to prevent timing attacks
     // Ensure all successful logins take at least MIN_RESPONSE_TIME
     const elapsed = Date.now() - requestStartTime;
@@ -1,6 +1,7 @@
 import type { Handler, HandlerEvent, HandlerContext } from "@netlify/functions";
 import { shouldUseNewAuth } from "./lib/feature-flags";
 import { requireAuth, createAuthErrorResponse } from "./lib/auth-middleware";
+import { toStageDefinitionMap } from "../../src/config/stageDefinitions";
 
 const RESEND_API_KEY = process.env.RESEND_API_KEY;
 const FROM_EMAIL = 'StageFlow Support <jeremy@startupstage.com>';
@@ -61,13 +62,33 @@ const handler: Handler = async (event: HandlerEvent, context: HandlerContext) =>
       };
     }
 
+    // Org stage definitions (stagnation_days) override the thresholds above.
+    // Best-effort: without them every org uses the defaults.
+    const definitionsByOrg = new Map<string, Record<string, any>>();
+    const orgIds = [...new Set(deals.map(deal => deal.organization_id).filter(Boolean))];
+    const { data: definitionRows, error: definitionsError } = await supabase
+      .from('stage_definitions')
+      .select('organization_id, stage_id, stagnation_days')
+      .in('organization_id', orgIds)
+      .not('stagnation_days', 'is', null);
+
+    if (definitionsError) {
+      console.warn('[check-stagnation] Stage definitions unavailable, using defaults:', definitionsError.message);
+    } else {
+      orgIds.forEach(orgId => {
+        definitionsByOrg.set(orgId, toStageDefinitionMap((definitionRows || []).filter(row => row.organization_id === orgId)));
+      });
+    }
+
     const stagnantDeals = [];
     const now = new Date();
 
     for (const deal of deals) {
       const lastActivity = new Date(deal.last_activity);
       const daysSinceActivity = Math.floor((now.getTime() - lastActivity.getTime()) / (1000 * 60 * 60 * 24));
-      const threshold = STAGNATION_THRESHOLDS[deal.stage as keyof typeof STAGNATION_THRESHOLDS] || 7;
+      const threshold = definitionsByOrg.get(deal.organization_id)?.[deal.stage]?.stagnation_days
+        || STAGNATION_THRESHOLDS[deal.stage as keyof typeof STAGNATION_THRESHOLDS]
+        || 7;
 
       if (daysSinceActivity >= threshold) {
         stagnantDeals.push({
@@ -0,0 +1,42 @@
+import type { Config } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { getAllPlanIds, getPlanConfig } from "./lib/plan-config";
+
+/**
+ * CLEANUP AUDIT LOG (scheduled, daily)
+ *
+ * Drops audit_log entries older than each organization's plan retention
+ * (auditLogRetentionDays in lib/plan-config.ts) through purge_audit_log(),
+ * the only path allowed to delete from the append-only table.
+ *
+ * Reads already hide entries past retention, so a missed run only delays
+ * the delete.
+ */
+
+export default async () => {
+  try {
+    const supabase = getSupabaseClient();
+    const retentionDays = Object.fromEntries(
+      getAllPlanIds().map(planId => [planId, getPlanConfig(planId).auditLogRetentionDays])
+    );
+
+    const { data: deleted, error } = await supabase.rpc("purge_audit_log", { p_retention_days: retentionDays });
+    if (error) throw error;
+
+    console.log("[cleanup-audit-log] Purged expired entries:", { deleted, retentionDays });
+    return new Response(JSON.stringify({ success: true, deleted }), {
+      status: 200,
+      headers: { "Content-Type": "application/json" }
+    });
+  } catch (error: any) {
+    console.error("[cleanup-audit-log] Error:", error);
+    return new Response(JSON.stringify({ success: false, error: "Audit log cleanup failed" }), {
+      status: 500,
+      headers: { "Content-Type": "application/json" }
+    });
+  }
+};
+
+export const config: Config = {
+  schedule: "30 3 * * *" // Daily at 03:30 UTC
+};
@@ -5,13 +5,15 @@
  * 1. Manually: POST to /.netlify/functions/cleanup-rate-limits
  * 2. Scheduled: Via Netlify's scheduled functions (add to netlify.toml)
  *
- * Removes entries where resetTime < now to prevent blob storage bloat
+ * Removes entries where resetTime < now to prevent blob storage bloat.
+ * Also purges expired rows from the idempotency_keys table.
  */
 
 import { getStore } from '@netlify/blobs';
 import type { Context } from '@netlify/functions';
 import { shouldUseNewAuth } from './lib/feature-flags';
 import { requireAuth, createAuthErrorResponse } from './lib/auth-middleware';
+import { getSupabaseClient } from './lib/supabase-pool';
 
 export default async (req: Request, context: Context) => {
   const headers = {
@@ -76,6 +78,17 @@ export default async (req: Request, context: Context) => {
       }
     }
 
+    // Expired idempotency keys (24h retention) - non-fatal if the table is missing
+    let idempotencyKeysDeleted = 0;
+    try {
+      const { data, error } = await getSupabaseClient().rpc('cleanup_expired_idempotency_keys');
+      if (error) throw error;
+      idempotencyKeysDeleted = data || 0;
+    } catch (error) {
+      console.error('[RateLimitCleanup] Failed to purge idempotency keys:', error);
+      errorCount++;
+    }
+
     const result = {
       success: true,
       timestamp: new Date().toISOString(),
@@ -83,7 +96,8 @@ export default async (req: Request, context: Context) => {
         total: blobs.length,
         deleted: deletedCount,
         active: skippedCount,
-        errors: errorCount
+        errors: errorCount,
+        idempotencyKeysDeleted
       }
     };
 
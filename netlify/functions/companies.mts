@@ -0,0 +1,188 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import { CompanySchema, validate } from './lib/validation';
+import {
+  COMPANY_COLUMNS,
+  CONTACT_COLUMNS,
+  findOrCreateCompany,
+  summarizeCompanyDeals,
+  toSearchPattern
+} from './lib/contacts';
+
+/**
+ * COMPANIES
+ *
+ * Search, search-or-create and the company view for org accounts.
+ *
+ * GET  /.netlify/functions/companies?organizationId=<uuid>&q=<text>
+ *   → { success, companies: [...] } matching name or domain (max 10)
+ *
+ * GET  /.netlify/functions/companies?organizationId=<uuid>&id=<uuid>
+ *   → { success, company, contacts, deals, rollup } - every deal linked to
+ *     the company (new business and renewals alike) with totals by status/stage
+ *
+ * POST /.netlify/functions/companies
+ *   { organizationId, name, domain? }
+ *   → { success, company, deduplicated } - matched on domain, then name
+ *
+ * Used by:
+ * - NewDealModal (company typeahead)
+ * - DealPartiesPanel / CompanyView (DealDetailsModal "Contacts" tab)
+ */
+
+const SEARCH_LIMIT = 10;
+const MAX_COMPANY_DEALS = 500;
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'GET, POST, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+    const params = new URL(req.url).searchParams;
+
+    let body: any = null;
+    let organizationId: string | null;
+    if (req.method === "GET") {
+      organizationId = params.get("organizationId");
+    } else {
+      try {
+        body = await req.json();
+      } catch {
+        return json(400, { success: false, error: "Invalid JSON body", code: "INVALID_INPUT" }, corsHeaders);
+      }
+      organizationId = body?.organizationId ?? null;
+    }
+
+    if (!organizationId || !UUID_REGEX.test(organizationId)) {
+      return json(400, { success: false, error: "Valid organizationId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { data: membership } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", user.id)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (!membership) {
+      return json(403, { success: false, error: "Not authorized for this organization", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    // GET ?id - company view with deal rollup
+    const companyId = req.method === "GET" ? params.get("id") : null;
+    if (companyId) {
+      if (!UUID_REGEX.test(companyId)) {
+        return json(400, { success: false, error: "Invalid company ID", code: "INVALID_INPUT" }, corsHeaders);
+      }
+
+      const { data: company } = await supabase
+        .from("companies")
+        .select(COMPANY_COLUMNS)
+        .eq("id", companyId)
+        .eq("organization_id", organizationId)
+        .maybeSingle();
+
+      if (!company) {
+        return json(404, { success: false, error: "Company not found", code: "NOT_FOUND" }, corsHeaders);
+      }
+
+      const [contactsResult, linksResult] = await Promise.all([
+        supabase
+          .from("contacts")
+          .select(CONTACT_COLUMNS)
+          .eq("company_id", companyId)
+          .order("name", { ascending: true }),
+        supabase
+          .from("deal_companies")
+          .select("deal:deals(id, client, stage, status, value, created, last_activity, last_touch_at, assigned_to, deleted_at)")
+          .eq("company_id", companyId)
+          .limit(MAX_COMPANY_DEALS),
+      ]);
+
+      if (contactsResult.error || linksResult.error) {
+        console.error("[companies] Failed to load company view:", contactsResult.error || linksResult.error);
+        return json(500, { success: false, error: "Failed to load company", code: "DATABASE_ERROR" }, corsHeaders);
+      }
+
+      const deals = (linksResult.data || [])
+        .map((link: any) => link.deal)
+        .filter((deal: any) => deal && !deal.deleted_at)
+        .sort((a: any, b: any) => ((a.created || '') < (b.created || '') ? 1 : -1));
+
+      return json(200, {
+        success: true,
+        company,
+        contacts: contactsResult.data || [],
+        deals,
+        rollup: summarizeCompanyDeals(deals),
+      }, corsHeaders);
+    }
+
+    // GET - search companies
+    if (req.method === "GET") {
+      const query = (params.get("q") || "").trim();
+      if (query.length < 2) {
+        return json(200, { success: true, companies: [] }, corsHeaders);
+      }
+
+      const pattern = toSearchPattern(query);
+      const { data: companies, error } = await supabase
+        .from("companies")
+        .select(COMPANY_COLUMNS)
+        .eq("organization_id", organizationId)
+        .or(`name.ilike.${pattern},domain.ilike.${pattern}`)
+        .order("name", { ascending: true })
+        .limit(SEARCH_LIMIT);
+
+      if (error) {
+        console.error("[companies] Search failed:", error);
+        return json(500, { success: false, error: "Failed to search companies", code: "DATABASE_ERROR" }, corsHeaders);
+      }
+
+      return json(200, { success: true, companies: companies || [] }, corsHeaders);
+    }
+
+    // POST - search-or-create
+    const validation = validate(CompanySchema, body);
+    if (!validation.success) {
+      return json(400, { success: false, error: validation.error, code: "VALIDATION_ERROR" }, corsHeaders);
+    }
+
+    const { record: company, deduplicated } = await findOrCreateCompany(supabase, organizationId, user.id, {
+      name: validation.data.name,
+      domain: validation.data.domain || null,
+    });
+
+    return json(deduplicated ? 200 : 201, { success: true, company, deduplicated }, corsHeaders);
+  } catch (error: any) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[companies] Error:", error);
+    return json(500, { success: false, error: "Failed to process company request", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
@@ -0,0 +1,143 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import { ContactSchema, validate } from './lib/validation';
+import { CONTACT_COLUMNS, findOrCreateContact, toSearchPattern } from './lib/contacts';
+
+/**
+ * CONTACTS
+ *
+ * Search and search-or-create for org contacts.
+ *
+ * GET  /.netlify/functions/contacts?organizationId=<uuid>&q=<text>
+ *   → { success, contacts: [...] } matching name or email (max 10)
+ *
+ * POST /.netlify/functions/contacts
+ *   { organizationId, name, email?, phone?, title?, companyId? }
+ *   → { success, contact, deduplicated } - an existing contact with the same
+ *     email is returned instead of creating a duplicate (200 vs 201)
+ *
+ * Used by:
+ * - NewDealModal (client name typeahead)
+ * - DealPartiesPanel (DealDetailsModal "Contacts" tab)
+ */
+
+const SEARCH_LIMIT = 10;
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'GET, POST, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+
+    let body: any = null;
+    let organizationId: string | null;
+    if (req.method === "GET") {
+      organizationId = new URL(req.url).searchParams.get("organizationId");
+    } else {
+      try {
+        body = await req.json();
+      } catch {
+        return json(400, { success: false, error: "Invalid JSON body", code: "INVALID_INPUT" }, corsHeaders);
+      }
+      organizationId = body?.organizationId ?? null;
+    }
+
+    if (!organizationId || !UUID_REGEX.test(organizationId)) {
+      return json(400, { success: false, error: "Valid organizationId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { data: membership } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", user.id)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (!membership) {
+      return json(403, { success: false, error: "Not authorized for this organization", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    // GET - search contacts
+    if (req.method === "GET") {
+      const query = (new URL(req.url).searchParams.get("q") || "").trim();
+      if (query.length < 2) {
+        return json(200, { success: true, contacts: [] }, corsHeaders);
+      }
+
+      const pattern = toSearchPattern(query);
+      const { data: contacts, error } = await supabase
+        .from("contacts")
+        .select(`${CONTACT_COLUMNS}, company:companies(id, name, domain)`)
+        .eq("organization_id", organizationId)
+        .or(`name.ilike.${pattern},email.ilike.${pattern}`)
+        .order("name", { ascending: true })
+        .limit(SEARCH_LIMIT);
+
+      if (error) {
+        console.error("[contacts] Search failed:", error);
+        return json(500, { success: false, error: "Failed to search contacts", code: "DATABASE_ERROR" }, corsHeaders);
+      }
+
+      return json(200, { success: true, contacts: contacts || [] }, corsHeaders);
+    }
+
+    // POST - search-or-create
+    const validation = validate(ContactSchema, body);
+    if (!validation.success) {
+      return json(400, { success: false, error: validation.error, code: "VALIDATION_ERROR" }, corsHeaders);
+    }
+    const input = validation.data;
+
+    if (input.companyId) {
+      const { data: company } = await supabase
+        .from("companies")
+        .select("id")
+        .eq("id", input.companyId)
+        .eq("organization_id", organizationId)
+        .maybeSingle();
+      if (!company) {
+        return json(404, { success: false, error: "Company not found", code: "NOT_FOUND" }, corsHeaders);
+      }
+    }
+
+    const { record: contact, deduplicated } = await findOrCreateContact(supabase, organizationId, user.id, {
+      name: input.name,
+      email: input.email || null,
+      phone: input.phone || null,
+      title: input.title || null,
+      companyId: input.companyId || null,
+    });
+
+    return json(deduplicated ? 200 : 201, { success: true, contact, deduplicated }, corsHeaders);
+  } catch (error: any) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[contacts] Error:", error);
+    return json(500, { success: false, error: "Failed to process contact request", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
@@ -13,6 +13,20 @@ import {
 // ENGINE REBUILD Phase 5: Centralized CORS config
 import { buildCorsHeaders, getCorsOrigin, ALLOWED_ORIGINS } from "./lib/cors";
 // PHASE E: Removed unused createErrorResponse import - using manual CORS response instead
+// Idempotency-Key support: offline queue replays and client retries must not duplicate deals
+import {
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest,
+  type IdempotencyRecord
+} from "./lib/idempotency";
+import { recordDealChange } from "./lib/deal-history";
+import { emitDealEvents } from "./lib/webhook-events";
+import { assignDealsByRules } from "./lib/deal-assignment";
+import { logAuditEvent } from "./lib/audit-log";
+import { findOrCreateCompany, findOrCreateContact, linkDealParties } from "./lib/contacts";
+import { loadCustomFieldDefinitions, validateCustomFieldValues } from "./lib/custom-fields";
+import { resolvePipelineId } from "./lib/pipelines";
 
 /**
  * CREATE DEAL ENDPOINT
@@ -22,6 +36,22 @@ import { buildCorsHeaders, getCorsOrigin, ALLOWED_ORIGINS } from "./lib/cors";
  * All direct client mutations and RPCs fail RLS. This endpoint handles deal creation
  * using HttpOnly cookie authentication.
  *
+ * Contacts/companies (search-or-create):
+ * - contactId: link an existing contact as primary, otherwise a contact is
+ *   matched on dealData.email or created from client/email/phone
+ * - companyId: link an existing company, otherwise one is matched/created from
+ *   companyName and the email domain (freemail domains are ignored)
+ *
+ * Custom fields: dealData.custom_fields is validated against the org's
+ * definitions (unknown keys rejected, template defaults applied, required
+ * fields enforced) - see lib/custom-fields.ts
+ *
+ * Pipeline: dealData.pipeline_id picks one of the org's pipelines; omitted
+ * means the default pipeline - see lib/pipelines.ts
+ *
+ * Owner: the creating user, unless one of the org's assignment rules routes
+ * the deal to someone else - see lib/deal-assignment.ts assignDealsByRules
+ *
  * Used by:
  * - NewDealModal.jsx (create new deal form)
  */
@@ -65,6 +95,9 @@ export default async (req: Request, context: Context) => {
     });
   }
 
+  // Claimed Idempotency-Key row (released in catch so a retry can be processed)
+  let idempotencyRecord: IdempotencyRecord | null = null;
+
   try {
     // STEP 1: Authenticate user via HttpOnly cookies
     // CRITICAL FIX: requireAuth returns User directly, not { user: User }
@@ -86,7 +119,7 @@ export default async (req: Request, context: Context) => {
       );
     }
 
-    const { dealData, organizationId } = body;
+    const { dealData, organizationId, contactId, companyId, companyName } = body;
 
     if (!dealData || !organizationId) {
       return new Response(
@@ -135,6 +168,16 @@ export default async (req: Request, context: Context) => {
       errors.push({ field: 'stage', code: 'INVALID_STAGE_FORMAT', message: 'Stage is required and must be lowercase snake_case' });
     }
 
+    if (contactId !== undefined && contactId !== null && (typeof contactId !== 'string' || !uuidRegex.test(contactId))) {
+      errors.push({ field: 'contactId', code: 'INVALID_CONTACT_ID', message: 'contactId must be a UUID' });
+    }
+    if (companyId !== undefined && companyId !== null && (typeof companyId !== 'string' || !uuidRegex.test(companyId))) {
+      errors.push({ field: 'companyId', code: 'INVALID_COMPANY_ID', message: 'companyId must be a UUID' });
+    }
+    if (companyName !== undefined && companyName !== null && (typeof companyName !== 'string' || companyName.trim().length > 200)) {
+      errors.push({ field: 'companyName', code: 'INVALID_COMPANY_NAME', message: 'Company name must be at most 200 chars' });
+    }
+
     if (errors.length > 0) {
       return new Response(
         JSON.stringify({
@@ -241,6 +284,32 @@ export default async (req: Request, context: Context) => {
       console.log("[create-deal] ⚠️ Custom stage detected:", sanitizedDeal.stage, "- allowing");
     }
 
+    // STEP 5a: Custom fields - validated against the org's definitions (defaults applied)
+    const customFieldDefinitions = await loadCustomFieldDefinitions(supabase, organizationId);
+    const customFields = validateCustomFieldValues(customFieldDefinitions, dealData.custom_fields, { mode: 'create' });
+    if (customFields.errors.length > 0) {
+      return new Response(
+        JSON.stringify({
+          success: false,
+          error: customFields.errors[0].message,
+          code: "CUSTOM_FIELD_INVALID",
+          details: customFields.errors
+        }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
+    sanitizedDeal.custom_fields = customFields.values;
+
+    // STEP 5b: Pipeline - dealData.pipeline_id must be one of the org's pipelines; omitted → default
+    const pipeline = await resolvePipelineId(supabase, organizationId, dealData.pipeline_id);
+    if (pipeline.error) {
+      return new Response(
+        JSON.stringify({ success: false, error: pipeline.error, code: "INVALID_PIPELINE" }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
+    sanitizedDeal.pipeline_id = pipeline.pipelineId;
+
     console.warn("[create-deal] Sanitized deal data:", {
       stage: sanitizedDeal.stage,
       status: sanitizedDeal.status,
@@ -249,6 +318,18 @@ export default async (req: Request, context: Context) => {
       hasClient: !!sanitizedDeal.client
     });
 
+    // STEP 5c: Idempotency - replay the stored response if this key was already processed
+    const idempotency = await beginIdempotentRequest(supabase, req, {
+      scope: organizationId,
+      endpoint: 'create-deal',
+      body,
+      headers: corsHeaders
+    });
+    if (idempotency.replay) {
+      return idempotency.replay;
+    }
+    idempotencyRecord = idempotency.record;
+
     // STEP 6: Insert the deal
     // PHASE 11 LOGGING: Log full deal data before insert for debugging
     console.warn("[create-deal] Inserting deal:", {
@@ -260,7 +341,7 @@ export default async (req: Request, context: Context) => {
       hasNotes: !!sanitizedDeal.notes
     });
 
-    const { data: newDeal, error: insertError } = await supabase
+    let { data: newDeal, error: insertError } = await supabase
       .from("deals")
       .insert(sanitizedDeal)
       .select()
@@ -302,7 +383,7 @@ export default async (req: Request, context: Context) => {
       const statusCode = isClientError ? 400 : 500;
       const errorCode = isClientError ? 'CREATE_VALIDATION_ERROR' : 'SERVER_ERROR';
 
-      return new Response(
+      return completeIdempotentRequest(supabase, idempotencyRecord, new Response(
         JSON.stringify({
           success: false,
           error: isClientError
@@ -313,7 +394,7 @@ export default async (req: Request, context: Context) => {
           hint: insertError.hint
         }),
         { status: statusCode, headers: corsHeaders }
-      );
+      ));
     }
 
     // STEP 7: Record initial stage history
@@ -333,6 +414,91 @@ export default async (req: Request, context: Context) => {
       }
     }
 
+    // STEP 7b: Record field-level history (non-fatal)
+    await recordDealChange(supabase, {
+      dealId: newDeal.id,
+      organizationId,
+      changedBy: userId,
+      source: 'create',
+      before: null,
+      after: newDeal
+    });
+
+    // STEP 7c: Assignment rules may route the deal to another owner (non-fatal)
+    const routed = await assignDealsByRules(supabase, {
+      organizationId,
+      deals: [newDeal],
+      source: 'manual',
+      changedBy: userId,
+      actor: { type: 'user', id: userId }
+    });
+    newDeal = routed.deals[0];
+
+    // STEP 7d: Queue webhook events once the deal has its final owner (non-fatal)
+    await emitDealEvents(supabase, {
+      organizationId,
+      actor: { type: 'user', id: userId },
+      before: null,
+      after: newDeal
+    });
+
+    await logAuditEvent(supabase, {
+      organizationId,
+      actor: { type: 'user', id: userId, email: user.email },
+      action: 'deal.created',
+      entityId: newDeal.id,
+      summary: newDeal.client,
+      metadata: { stage: newDeal.stage, value: newDeal.value },
+      request: req
+    });
+
+    // STEP 7e: Link contact + company (search-or-create, non-fatal - the deal keeps its inline copy)
+    let linkedContact: any = null;
+    let linkedCompany: any = null;
+    try {
+      if (companyId) {
+        const { data } = await supabase
+          .from("companies")
+          .select("id, name, domain")
+          .eq("id", companyId)
+          .eq("organization_id", organizationId)
+          .maybeSingle();
+        linkedCompany = data;
+      } else {
+        linkedCompany = (await findOrCreateCompany(supabase, organizationId, userId, {
+          name: typeof companyName === 'string' ? companyName : null,
+          email: newDeal.email,
+        })).record;
+      }
+
+      if (contactId) {
+        const { data } = await supabase
+          .from("contacts")
+          .select("id, name, email, phone, company_id")
+          .eq("id", contactId)
+          .eq("organization_id", organizationId)
+          .maybeSingle();
+        linkedContact = data;
+      } else {
+        linkedContact = (await findOrCreateContact(supabase, organizationId, userId, {
+          name: newDeal.client,
+          email: newDeal.email,
+          phone: newDeal.phone,
+          companyId: linkedCompany?.id || null,
+        })).record;
+      }
+
+      await linkDealParties(supabase, {
+        dealId: newDeal.id,
+        organizationId,
+        contactId: linkedContact?.id,
+        companyId: linkedCompany?.id,
+        primary: true,
+      });
+    } catch (partiesError) {
+      console.warn("[create-deal] Failed to link contact/company:", partiesError);
+    }
+
     console.warn("[create-deal] Success:", { dealId: newDeal.id, stage: newDeal.stage });
 
     // PHASE 1 2025-12-08: Backend invariant validation using centralized module
@@ -352,7 +518,7 @@ export default async (req: Request, context: Context) => {
 
       // DEAL-BUG-2 FIX 2025-12-09: Return 422 (Unprocessable Entity), not 500
       // This is a validation error after successful insert, not a server error
-      return new Response(
+      return completeIdempotentRequest(supabase, idempotencyRecord, new Response(
         JSON.stringify({
           success: false,
           error: "Deal was created but data is incomplete. Please refresh and try again.",
@@ -360,14 +526,19 @@ export default async (req: Request, context: Context) => {
           details: validationError.message
         }),
         { status: 422, headers: corsHeaders }
-      );
+      ));
     }
 
     // FIX: Include success: true in response for consistent API shape
-    return new Response(JSON.stringify({ success: true, deal: newDeal }), {
+    return completeIdempotentRequest(supabase, idempotencyRecord, new Response(JSON.stringify({
+      success: true,
+      deal: newDeal,
+      contact: linkedContact,
+      company: linkedCompany
+    }), {
       status: 200,
       headers: corsHeaders,
-    });
+    }));
 
   } catch (error: any) {
     // Enhanced error logging for debugging
@@ -379,6 +550,8 @@ export default async (req: Request, context: Context) => {
       stack: error.stack?.split('\n').slice(0, 3).join('\n') // First 3 lines of stack
     });
 
+    await releaseIdempotentRequest(getSupabaseClient(), idempotencyRecord);
+
     // P0 FIX 2025-12-09: Use instanceof AuthError FIRST (most reliable check)
     // instanceof works even when error.name is mangled by minification
     if (error instanceof AuthError) {
@@ -3,6 +3,9 @@ import { getSupabaseClient } from "./lib/supabase-pool";
 import { requireAuth } from "./lib/auth-middleware";
 // ENGINE REBUILD Phase 9: Centralized CORS spine
 import { buildCorsHeaders } from './lib/cors';
+import { logAuditEvent } from './lib/audit-log';
+import { WEBHOOK_EVENT_TYPES, WEBHOOK_TEST_EVENT } from '../../src/config/webhookEvents';
+import { generateWebhookSecret } from './lib/webhook-signature';
 
 /**
  * CREATE WEBHOOK ENDPOINT
@@ -16,20 +19,8 @@ import { buildCorsHeaders } from './lib/cors';
  * - Integrations.jsx WebhooksTab (create webhook form)
  */
 
-// Valid webhook events
-const VALID_EVENTS = [
-  "deal.created",
-  "deal.updated",
-  "deal.deleted",
-  "deal.stage_changed",
-  "deal.won",
-  "deal.lost",
-  "deal.invoice_sent",
-  "deal.payment_received",
-  "deal.onboarding_started",
-  "deal.retention_phase",
-  "webhook.test",
-];
+// Valid webhook events (catalog in src/config/webhookEvents.js)
+const VALID_EVENTS = [...WEBHOOK_EVENT_TYPES, WEBHOOK_TEST_EVENT];
 
 // Private IP patterns to block (SSRF protection)
 const PRIVATE_IP_PATTERNS = [
@@ -159,7 +150,7 @@ export default async (req: Request, context: Context) => {
     }
 
     // STEP 5: Generate secret if not provided
-    const webhookSecret = secret?.trim() || `whsec_${crypto.randomUUID().replace(/-/g, "")}`;
+    const webhookSecret = secret?.trim() || generateWebhookSecret();
 
     // STEP 6: Insert the webhook
     const { data: newWebhook, error: insertError } = await supabase
@@ -185,6 +176,17 @@ export default async (req: Request, context: Context) => {
 
     console.warn("[create-webhook] Success:", { webhookId: newWebhook.id });
 
+    // Host only - webhook paths often embed tokens
+    await logAuditEvent(supabase, {
+      organizationId,
+      actor: { type: 'user', id: userId, email: user.email },
+      action: 'webhook.created',
+      entityId: newWebhook.id,
+      summary: new URL(newWebhook.url).host,
+      metadata: { events },
+      request: req
+    });
+
     return new Response(JSON.stringify({ success: true, webhook: newWebhook }), {
       status: 200,
       headers: corsHeaders,
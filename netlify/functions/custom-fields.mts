@@ -0,0 +1,284 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import { hasPermission, PERMISSIONS, type Role } from './lib/rbac';
+import {
+  CUSTOM_FIELD_COLUMNS,
+  loadCustomFieldDefinitions,
+  toFieldDefinition,
+  validateCustomFieldDefinition,
+} from './lib/custom-fields';
+import { logAuditEvent } from './lib/audit-log';
+import { CUSTOM_FIELD_LIMITS, getTemplateCustomFields } from '../../src/config/customFieldConfig';
+
+/**
+ * CUSTOM FIELDS
+ *
+ * Org-defined deal custom field definitions.
+ *
+ * GET    /.netlify/functions/custom-fields?organizationId=<uuid>
+ *   → { success, fields: [...], templateFields: [...] }
+ *     templateFields are the defaults for the org's pipeline_template
+ *
+ * POST   /.netlify/functions/custom-fields
+ *   { organizationId, key, label, type, required?, options?, defaultValue? }
+ *   → { success, field } (201)
+ *   { organizationId, action: 'apply_template' }
+ *   → { success, fields, added } - adds template defaults not already defined
+ *
+ * PUT    /.netlify/functions/custom-fields
+ *   { organizationId, id, label?, required?, options?, defaultValue?, position? }
+ *   → { success, field } - key and type are immutable
+ *
+ * DELETE /.netlify/functions/custom-fields?organizationId=<uuid>&id=<uuid>
+ *   → { success } - archives the field; stored deal values are kept
+ *
+ * Reads need membership; writes need EDIT_PIPELINE.
+ *
+ * Used by:
+ * - useCustomFields (DealDetailsModal, NewDealModal, Dashboard filters, CSV import)
+ * - CustomFieldsManager (Settings → Pipeline)
+ */
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Row shape for inserts/updates from a validated definition
+ */
+const toRow = (definition: Record<string, any>) => {
+  const row: Record<string, unknown> = {};
+  if (definition.key !== undefined) row.key = definition.key;
+  if (definition.type !== undefined) row.type = definition.type;
+  if (definition.label !== undefined) row.label = definition.label;
+  if (definition.required !== undefined) row.required = definition.required;
+  if (definition.options !== undefined) row.options = definition.options;
+  if (definition.defaultValue !== undefined) row.default_value = definition.defaultValue;
+  if (definition.position !== undefined) row.position = definition.position;
+  return row;
+};
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'GET, POST, PUT, DELETE, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (!["GET", "POST", "PUT", "DELETE"].includes(req.method)) {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+    const params = new URL(req.url).searchParams;
+
+    let body: any = null;
+    let organizationId: string | null;
+    if (req.method === "GET" || req.method === "DELETE") {
+      organizationId = params.get("organizationId");
+    } else {
+      try {
+        body = await req.json();
+      } catch {
+        return json(400, { success: false, error: "Invalid JSON body", code: "INVALID_INPUT" }, corsHeaders);
+      }
+      organizationId = body?.organizationId ?? null;
+    }
+
+    if (!organizationId || !UUID_REGEX.test(organizationId)) {
+      return json(400, { success: false, error: "Valid organizationId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { data: membership } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", user.id)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (!membership) {
+      return json(403, { success: false, error: "Not authorized for this organization", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    // GET - active definitions plus the pipeline template defaults
+    if (req.method === "GET") {
+      const [fields, { data: org }] = await Promise.all([
+        loadCustomFieldDefinitions(supabase, organizationId),
+        supabase.from("organizations").select("pipeline_template").eq("id", organizationId).maybeSingle(),
+      ]);
+
+      return json(200, {
+        success: true,
+        fields,
+        templateFields: getTemplateCustomFields(org?.pipeline_template || 'default'),
+      }, corsHeaders);
+    }
+
+    if (!hasPermission(membership.role as Role, PERMISSIONS.EDIT_PIPELINE)) {
+      return json(403, { success: false, error: "Only admins can manage custom fields", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    const audit = (action: string, field: { id?: string; key: string; label: string }, metadata?: Record<string, unknown>) =>
+      logAuditEvent(supabase, {
+        organizationId,
+        actor: { type: 'user', id: user.id, email: user.email },
+        action,
+        entityId: field.id,
+        summary: field.label,
+        metadata: { key: field.key, ...metadata },
+        request: req
+      });
+
+    // DELETE - archive
+    if (req.method === "DELETE") {
+      const id = params.get("id");
+      if (!id || !UUID_REGEX.test(id)) {
+        return json(400, { success: false, error: "Valid id required", code: "INVALID_INPUT" }, corsHeaders);
+      }
+
+      const { data: archived, error } = await supabase
+        .from("deal_custom_fields")
+        .update({ archived_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+        .eq("id", id)
+        .eq("organization_id", organizationId)
+        .is("archived_at", null)
+        .select("id, key, label")
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!archived) {
+        return json(404, { success: false, error: "Custom field not found", code: "NOT_FOUND" }, corsHeaders);
+      }
+      await audit('custom_field.deleted', archived);
+      return json(200, { success: true }, corsHeaders);
+    }
+
+    // PUT - update label/required/options/default/position
+    if (req.method === "PUT") {
+      if (!body.id || !UUID_REGEX.test(body.id)) {
+        return json(400, { success: false, error: "Valid id required", code: "INVALID_INPUT" }, corsHeaders);
+      }
+
+      const { data: existingRow } = await supabase
+        .from("deal_custom_fields")
+        .select(CUSTOM_FIELD_COLUMNS)
+        .eq("id", body.id)
+        .eq("organization_id", organizationId)
+        .is("archived_at", null)
+        .maybeSingle();
+
+      if (!existingRow) {
+        return json(404, { success: false, error: "Custom field not found", code: "NOT_FOUND" }, corsHeaders);
+      }
+
+      if ((body.key !== undefined && body.key !== existingRow.key) || (body.type !== undefined && body.type !== existingRow.type)) {
+        return json(400, { success: false, error: "Field key and type cannot be changed", code: "IMMUTABLE_FIELD" }, corsHeaders);
+      }
+
+      const { definition, errors } = validateCustomFieldDefinition(body, toFieldDefinition(existingRow));
+      if (errors.length > 0) {
+        return json(400, { success: false, error: errors.join('; '), code: "VALIDATION_ERROR" }, corsHeaders);
+      }
+
+      const { data: updated, error } = await supabase
+        .from("deal_custom_fields")
+        .update({ ...toRow(definition), updated_at: new Date().toISOString() })
+        .eq("id", existingRow.id)
+        .select(CUSTOM_FIELD_COLUMNS)
+        .single();
+
+      if (error) throw error;
+      await audit('custom_field.updated', updated);
+      return json(200, { success: true, field: toFieldDefinition(updated) }, corsHeaders);
+    }
+
+    // POST - create a field, or seed the pipeline template defaults
+    const { data: allRows } = await supabase
+      .from("deal_custom_fields")
+      .select("key, archived_at")
+      .eq("organization_id", organizationId);
+
+    const existingKeys = new Set((allRows || []).map((row: any) => row.key));
+    const activeCount = (allRows || []).filter((row: any) => !row.archived_at).length;
+
+    if (body.action === "apply_template") {
+      const { data: org } = await supabase
+        .from("organizations")
+        .select("pipeline_template")
+        .eq("id", organizationId)
+        .maybeSingle();
+
+      const toAdd = getTemplateCustomFields(org?.pipeline_template || 'default')
+        .filter((field: any) => !existingKeys.has(field.key))
+        .slice(0, Math.max(0, CUSTOM_FIELD_LIMITS.MAX_FIELDS - activeCount));
+
+      if (toAdd.length > 0) {
+        const { error } = await supabase.from("deal_custom_fields").insert(
+          toAdd.map((field: any, index: number) => ({
+            ...toRow(field),
+            organization_id: organizationId,
+            position: activeCount + index,
+            created_by: user.id,
+          }))
+        );
+        if (error) throw error;
+        await Promise.all(toAdd.map((field: any) => audit('custom_field.created', field, { fromTemplate: true })));
+      }
+
+      const fields = await loadCustomFieldDefinitions(supabase, organizationId);
+      return json(200, { success: true, fields, added: toAdd.length }, corsHeaders);
+    }
+
+    if (activeCount >= CUSTOM_FIELD_LIMITS.MAX_FIELDS) {
+      return json(400, {
+        success: false,
+        error: `Organizations can have at most ${CUSTOM_FIELD_LIMITS.MAX_FIELDS} custom fields`,
+        code: "LIMIT_REACHED"
+      }, corsHeaders);
+    }
+
+    const { definition, errors } = validateCustomFieldDefinition(body);
+    if (errors.length > 0) {
+      return json(400, { success: false, error: errors.join('; '), code: "VALIDATION_ERROR" }, corsHeaders);
+    }
+
+    // Keys stay reserved after archiving so old deal values never change meaning
+    if (existingKeys.has(definition.key)) {
+      return json(409, { success: false, error: `A custom field with key "${definition.key}" already exists`, code: "DUPLICATE_KEY" }, corsHeaders);
+    }
+
+    const { data: created, error } = await supabase
+      .from("deal_custom_fields")
+      .insert({
+        position: activeCount,
+        ...toRow(definition),
+        organization_id: organizationId,
+        created_by: user.id,
+      })
+      .select(CUSTOM_FIELD_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    await audit('custom_field.created', created, { type: created.type });
+    return json(201, { success: true, field: toFieldDefinition(created) }, corsHeaders);
+  } catch (error: any) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[custom-fields] Error:", error);
+    return json(500, { success: false, error: "Failed to process custom fields request", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
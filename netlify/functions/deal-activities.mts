@@ -0,0 +1,205 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import { ActivitySchema, validate } from './lib/validation';
+import { isValidDealId } from './lib/deal-query';
+
+/**
+ * DEAL ACTIVITIES
+ *
+ * Log and list individual touches (calls, emails, meetings) on a deal.
+ *
+ * GET  /.netlify/functions/deal-activities?dealId=<uuid>
+ *   → { success, activities: [...] } newest first
+ *
+ * POST /.netlify/functions/deal-activities
+ *   { dealId, type, occurredAt?, durationMinutes?, outcome?, body? }
+ *   → { success, activity, deal: { id, last_activity, last_touch_at } }
+ *
+ * Logging an activity bumps the deal's last_activity and (when the touch is
+ * newer) last_touch_at, which follow-up health and stagnation checks read
+ * before falling back to last_activity.
+ *
+ * Used by:
+ * - DealActivityPanel (DealDetailsModal "Activity" tab)
+ * - LogActivityModal (ActionMicroButtonGroup "Log Activity" in CustomQueryView)
+ */
+
+const MAX_ACTIVITIES = 100;
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+/**
+ * Load a deal and verify the user belongs to its organization
+ */
+async function loadDealForMember(supabase: any, dealId: string, userId: string) {
+  const { data: deal } = await supabase
+    .from("deals")
+    .select("id, organization_id, last_touch_at")
+    .eq("id", dealId)
+    .is("deleted_at", null)
+    .maybeSingle();
+
+  if (!deal) return { deal: null, error: { status: 404, error: "Deal not found", code: "NOT_FOUND" } };
+
+  const { data: membership } = await supabase
+    .from("team_members")
+    .select("role")
+    .eq("user_id", userId)
+    .eq("organization_id", deal.organization_id)
+    .maybeSingle();
+
+  if (!membership) {
+    return { deal: null, error: { status: 403, error: "Not authorized for this organization", code: "FORBIDDEN" } };
+  }
+
+  return { deal, error: null };
+}
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'GET, POST, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+
+    // GET - list activities for a deal
+    if (req.method === "GET") {
+      const dealId = new URL(req.url).searchParams.get("dealId");
+      if (!dealId || !isValidDealId(dealId)) {
+        return json(400, { success: false, error: "Valid dealId required", code: "INVALID_INPUT" }, corsHeaders);
+      }
+
+      const { error: accessError } = await loadDealForMember(supabase, dealId, user.id);
+      if (accessError) {
+        return json(accessError.status, { success: false, error: accessError.error, code: accessError.code }, corsHeaders);
+      }
+
+      const { data: activities, error } = await supabase
+        .from("deal_activities")
+        .select("id, deal_id, user_id, type, occurred_at, duration_minutes, outcome, body, created_at")
+        .eq("deal_id", dealId)
+        .order("occurred_at", { ascending: false })
+        .limit(MAX_ACTIVITIES);
+
+      if (error) {
+        console.error("[deal-activities] Failed to list activities:", error);
+        return json(500, { success: false, error: "Failed to load activities", code: "DATABASE_ERROR" }, corsHeaders);
+      }
+
+      // Resolve author names (user_profiles view has email + full_name)
+      const authorIds = [...new Set((activities || []).map((a: any) => a.user_id).filter(Boolean))];
+      const names: Record<string, string> = {};
+      if (authorIds.length > 0) {
+        const { data: profiles } = await supabase
+          .from("user_profiles")
+          .select("id, email, full_name")
+          .in("id", authorIds);
+        for (const profile of profiles || []) {
+          names[profile.id] = profile.full_name || profile.email?.split('@')[0] || 'Team member';
+        }
+      }
+
+      return json(200, {
+        success: true,
+        activities: (activities || []).map((a: any) => ({
+          ...a,
+          user_name: a.user_id ? names[a.user_id] || null : null,
+        })),
+      }, corsHeaders);
+    }
+
+    // POST - log an activity
+    let body: any;
+    try {
+      body = await req.json();
+    } catch {
+      return json(400, { success: false, error: "Invalid JSON body", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const validation = validate(ActivitySchema, body);
+    if (!validation.success) {
+      return json(400, { success: false, error: validation.error, code: "VALIDATION_ERROR" }, corsHeaders);
+    }
+    const input = validation.data;
+
+    const occurredAt = input.occurredAt ? new Date(input.occurredAt) : new Date();
+    if (occurredAt.getTime() > Date.now() + 5 * 60 * 1000) {
+      return json(400, { success: false, error: "Activities can't be logged in the future", code: "VALIDATION_ERROR" }, corsHeaders);
+    }
+
+    const { deal, error: accessError } = await loadDealForMember(supabase, input.dealId, user.id);
+    if (accessError) {
+      return json(accessError.status, { success: false, error: accessError.error, code: accessError.code }, corsHeaders);
+    }
+
+    const { data: activity, error: insertError } = await supabase
+      .from("deal_activities")
+      .insert({
+        deal_id: deal.id,
+        organization_id: deal.organization_id,
+        user_id: user.id,
+        type: input.type,
+        occurred_at: occurredAt.toISOString(),
+        duration_minutes: input.durationMinutes ?? null,
+        outcome: input.outcome ?? null,
+        body: input.body?.trim() || null,
+      })
+      .select("id, deal_id, user_id, type, occurred_at, duration_minutes, outcome, body, created_at")
+      .single();
+
+    if (insertError || !activity) {
+      console.error("[deal-activities] Failed to log activity:", insertError);
+      return json(500, { success: false, error: "Failed to log activity", code: "DATABASE_ERROR" }, corsHeaders);
+    }
+
+    // Bump last_activity; only move last_touch_at forward (back-dated logs don't rewind it)
+    const dealUpdates: Record<string, string> = { last_activity: new Date().toISOString() };
+    if (!deal.last_touch_at || new Date(deal.last_touch_at) < occurredAt) {
+      dealUpdates.last_touch_at = occurredAt.toISOString();
+    }
+
+    const { data: updatedDeal, error: dealError } = await supabase
+      .from("deals")
+      .update(dealUpdates)
+      .eq("id", deal.id)
+      .eq("organization_id", deal.organization_id)
+      .select("id, last_activity, last_touch_at")
+      .single();
+
+    if (dealError) {
+      // Activity is saved - report the deal bump failure without failing the request
+      console.error("[deal-activities] Failed to bump deal activity timestamps:", dealError);
+    }
+
+    return json(201, {
+      success: true,
+      activity,
+      deal: updatedDeal || { id: deal.id, ...dealUpdates },
+    }, corsHeaders);
+  } catch (error: any) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[deal-activities] Error:", error);
+    return json(500, { success: false, error: "Failed to process activity request", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
@@ -0,0 +1,179 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import { DealPartyLinkSchema, validate } from './lib/validation';
+import { isValidDealId } from './lib/deal-query';
+import { getDealParties, linkDealParties } from './lib/contacts';
+
+/**
+ * DEAL PARTIES
+ *
+ * Contacts and companies linked to a deal.
+ *
+ * GET    /.netlify/functions/deal-parties?dealId=<uuid>
+ *   → { success, contacts: [...], companies: [...] } (primary contact first)
+ *
+ * POST   /.netlify/functions/deal-parties
+ *   { dealId, contactId?, companyId?, primary? }
+ *   → { success, contacts, companies }
+ *
+ * DELETE /.netlify/functions/deal-parties?dealId=<uuid>&contactId=<uuid> (or &companyId=)
+ *   → { success, contacts, companies }
+ *
+ * Used by:
+ * - DealPartiesPanel (DealDetailsModal "Contacts" tab)
+ */
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+/**
+ * Load a deal and verify the user belongs to its organization
+ */
+async function loadDealForMember(supabase: any, dealId: string, userId: string) {
+  const { data: deal } = await supabase
+    .from("deals")
+    .select("id, organization_id")
+    .eq("id", dealId)
+    .is("deleted_at", null)
+    .maybeSingle();
+
+  if (!deal) return { deal: null, error: { status: 404, error: "Deal not found", code: "NOT_FOUND" } };
+
+  const { data: membership } = await supabase
+    .from("team_members")
+    .select("role")
+    .eq("user_id", userId)
+    .eq("organization_id", deal.organization_id)
+    .maybeSingle();
+
+  if (!membership) {
+    return { deal: null, error: { status: 403, error: "Not authorized for this organization", code: "FORBIDDEN" } };
+  }
+
+  return { deal, error: null };
+}
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'GET, POST, DELETE, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (!["GET", "POST", "DELETE"].includes(req.method)) {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+    const params = new URL(req.url).searchParams;
+
+    let input: { dealId: string; contactId?: string; companyId?: string; primary?: boolean };
+    if (req.method === "POST") {
+      let body: any;
+      try {
+        body = await req.json();
+      } catch {
+        return json(400, { success: false, error: "Invalid JSON body", code: "INVALID_INPUT" }, corsHeaders);
+      }
+      const validation = validate(DealPartyLinkSchema, body);
+      if (!validation.success) {
+        return json(400, { success: false, error: validation.error, code: "VALIDATION_ERROR" }, corsHeaders);
+      }
+      input = { ...validation.data, primary: body.primary === true };
+    } else {
+      input = {
+        dealId: params.get("dealId") || "",
+        contactId: params.get("contactId") || undefined,
+        companyId: params.get("companyId") || undefined,
+      };
+      if (!isValidDealId(input.dealId)) {
+        return json(400, { success: false, error: "Valid dealId required", code: "INVALID_INPUT" }, corsHeaders);
+      }
+      if (req.method === "DELETE" && !input.contactId && !input.companyId) {
+        return json(400, { success: false, error: "contactId or companyId is required", code: "INVALID_INPUT" }, corsHeaders);
+      }
+    }
+
+    const { deal, error: accessError } = await loadDealForMember(supabase, input.dealId, user.id);
+    if (accessError) {
+      return json(accessError.status, { success: false, error: accessError.error, code: accessError.code }, corsHeaders);
+    }
+
+    if (req.method === "POST") {
+      // Both entities must belong to the deal's organization
+      if (input.contactId) {
+        const { data: contact } = await supabase
+          .from("contacts")
+          .select("id, name, email, phone")
+          .eq("id", input.contactId)
+          .eq("organization_id", deal.organization_id)
+          .maybeSingle();
+        if (!contact) {
+          return json(404, { success: false, error: "Contact not found", code: "NOT_FOUND" }, corsHeaders);
+        }
+
+        // The primary contact is mirrored into the deal's inline client/email/phone
+        if (input.primary) {
+          await supabase
+            .from("deals")
+            .update({
+              client: contact.name,
+              email: contact.email,
+              phone: contact.phone,
+              last_activity: new Date().toISOString(),
+            })
+            .eq("id", deal.id);
+        }
+      }
+      if (input.companyId) {
+        const { data: company } = await supabase
+          .from("companies")
+          .select("id")
+          .eq("id", input.companyId)
+          .eq("organization_id", deal.organization_id)
+          .maybeSingle();
+        if (!company) {
+          return json(404, { success: false, error: "Company not found", code: "NOT_FOUND" }, corsHeaders);
+        }
+      }
+
+      await linkDealParties(supabase, {
+        dealId: deal.id,
+        organizationId: deal.organization_id,
+        contactId: input.contactId,
+        companyId: input.companyId,
+        primary: input.primary,
+      });
+    }
+
+    if (req.method === "DELETE") {
+      if (input.contactId) {
+        await supabase.from("deal_contacts").delete().eq("deal_id", deal.id).eq("contact_id", input.contactId);
+      }
+      if (input.companyId) {
+        await supabase.from("deal_companies").delete().eq("deal_id", deal.id).eq("company_id", input.companyId);
+      }
+    }
+
+    const parties = await getDealParties(supabase, deal.id);
+    return json(200, { success: true, ...parties }, corsHeaders);
+  } catch (error: any) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[deal-parties] Error:", error);
+    return json(500, { success: false, error: "Failed to process deal contacts request", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
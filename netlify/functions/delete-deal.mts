@@ -4,6 +4,8 @@ import { requireAuth } from "./lib/auth-middleware";
 import { safeRequestJson } from "./lib/timeout-wrapper";
 // ENGINE REBUILD Phase 8: Use centralized CORS spine
 import { buildCorsHeaders } from './lib/cors';
+import { emitDealDeleted } from "./lib/webhook-events";
+import { logAuditEvent } from "./lib/audit-log";
 
 /**
  * DELETE DEAL ENDPOINT (Soft Delete)
@@ -129,6 +131,16 @@ export default async (req: Request, context: Context) => {
       );
     }
 
+    await emitDealDeleted(supabase, organizationId, { type: 'user', id: userId }, deletedDeal);
+    await logAuditEvent(supabase, {
+      organizationId,
+      actor: { type: 'user', id: userId, email: user.email },
+      action: 'deal.deleted',
+      entityId: dealId,
+      summary: deletedDeal.client,
+      request: req
+    });
+
     console.warn("[delete-deal] Success:", { dealId, deletedAt: deletedDeal.deleted_at });
 
     return new Response(JSON.stringify({ success: true, deal: deletedDeal }), {
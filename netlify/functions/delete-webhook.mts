@@ -3,6 +3,7 @@ import { getSupabaseClient } from "./lib/supabase-pool";
 import { requireAuth } from "./lib/auth-middleware";
 // ENGINE REBUILD Phase 9: Centralized CORS spine
 import { buildCorsHeaders } from './lib/cors';
+import { logAuditEvent } from './lib/audit-log';
 
 /**
  * DELETE WEBHOOK ENDPOINT
@@ -78,7 +79,7 @@ export default async (req: Request, context: Context) => {
     // STEP 5: Verify webhook exists and belongs to organization
     const { data: existingWebhook, error: webhookCheckError } = await supabase
       .from("webhooks")
-      .select("id, organization_id, is_active")
+      .select("id, organization_id, url, is_active")
       .eq("id", webhookId)
       .eq("organization_id", organizationId)
       .maybeSingle();
@@ -122,6 +123,15 @@ export default async (req: Request, context: Context) => {
 
     console.warn("[delete-webhook] Success:", { webhookId });
 
+    await logAuditEvent(supabase, {
+      organizationId,
+      actor: { type: 'user', id: userId, email: user.email },
+      action: 'webhook.deleted',
+      entityId: webhookId,
+      summary: new URL(existingWebhook.url).host,
+      request: req
+    });
+
     return new Response(JSON.stringify({ success: true, webhook: deletedWebhook }), {
       status: 200,
       headers: corsHeaders,
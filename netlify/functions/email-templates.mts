@@ -247,6 +247,37 @@ export const getEmailTemplate = (type: string, data: any): { subject: string; ht
         `
       };
 
+    case 'team_invitation':
+      return {
+        subject: `${data.inviterName} invited you to join ${data.organizationName} on StageFlow`,
+        html: `
+          <!DOCTYPE html>
+          <html>
+          <head>${baseStyles}</head>
+          <body>
+            <div class="container">
+              <div class="header">
+                <h1>📊 StageFlow CRM</h1>
+              </div>
+              <div class="content">
+                <h2>You're invited to ${data.organizationName}</h2>
+                <p><strong>${data.inviterName}</strong> invited you to join their team on StageFlow as <strong>${data.roleName}</strong>.</p>
+                <a href="${data.inviteUrl}" class="button">Accept Invitation</a>
+                <p style="color: #6b7280; font-size: 14px;">
+                  Sign in or create an account with <strong>${data.email}</strong> to accept.
+                  This invitation expires on ${data.expiresOn}.
+                </p>
+                <p style="color: #6b7280; font-size: 14px;">If you weren't expecting this, you can ignore this email or decline from the link above.</p>
+              </div>
+              <div class="footer">
+                <p>StageFlow CRM - Manage your pipeline with ease</p>
+              </div>
+            </div>
+          </body>
+          </html>
+        `
+      };
+
     default:
       return {
         subject: 'StageFlow Notification',
@@ -0,0 +1,170 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import { hasPermission, PERMISSIONS, type Role } from './lib/rbac';
+import { logSecurityEvent, createSecurityEvent } from './lib/security-events';
+import { logAuditEvent } from './lib/audit-log';
+import {
+  parseExportRequest,
+  buildExportContext,
+  buildExportColumns,
+  readExportPages,
+  writeExport,
+  toReadableStream,
+  exportFileName,
+  EXPORT_CONTENT_TYPES,
+} from './lib/deal-export';
+
+/**
+ * EXPORT DEALS
+ *
+ * Streams an organization's deals as CSV, XLSX or JSON with outcome fields,
+ * assignee names and stage history (see lib/deal-export.ts for the columns).
+ *
+ * POST /.netlify/functions/export-deals
+ *   {
+ *     organizationId,
+ *     format: 'csv' | 'xlsx' | 'json',
+ *     scope: 'view' | 'all',
+ *     dealIds,      - scope 'view': the deals on the filtered board, in board order
+ *     stageNames,   - optional { stageId: name } as the board shows them
+ *     filters       - optional description of the view, recorded with the export
+ *   }
+ *   → file download (Content-Disposition: attachment)
+ *
+ * Requires EXPORT_DATA. Every export is recorded as a DATA_EXPORTED
+ * security event and in the org audit log before the file starts streaming.
+ *
+ * Used by:
+ * - Dashboard.jsx → DealExportMenu
+ */
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Keep the logged view description small
+const describeFilters = (filters: unknown) => {
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) return null;
+  const text = JSON.stringify(filters);
+  return text.length <= 2000 ? filters : { truncated: text.slice(0, 2000) };
+};
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'POST, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (req.method !== "POST") {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+
+    let body: any;
+    try {
+      body = await req.json();
+    } catch {
+      return json(400, { success: false, error: "Invalid JSON body", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const organizationId = body?.organizationId;
+    if (!organizationId || !UUID_REGEX.test(organizationId)) {
+      return json(400, { success: false, error: "Valid organizationId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { data: membership } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", user.id)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (!membership) {
+      return json(403, { success: false, error: "Not authorized for this organization", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    if (!hasPermission(membership.role as Role, PERMISSIONS.EXPORT_DATA)) {
+      return json(403, { success: false, error: "You don't have permission to export data", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    const { request, error: requestError } = parseExportRequest(body);
+    if (!request) {
+      return json(400, { success: false, error: requestError, code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    let dealCount = request.dealIds.length;
+    if (request.scope === 'all') {
+      const { count, error } = await supabase
+        .from("deals")
+        .select("id", { count: "exact", head: true })
+        .eq("organization_id", organizationId)
+        .is("deleted_at", null);
+
+      if (error) throw error;
+      dealCount = count || 0;
+    }
+
+    const ctx = await buildExportContext(supabase, organizationId, request.stageNames);
+    const columns = buildExportColumns(ctx.customFields);
+    const fileName = exportFileName(request.format);
+
+    await logSecurityEvent(createSecurityEvent('DATA_EXPORTED', req, {
+      userId: user.id,
+      email: user.email,
+      metadata: {
+        organizationId,
+        resource: 'deals',
+        format: request.format,
+        scope: request.scope,
+        dealCount,
+        filters: describeFilters(body.filters),
+        fileName,
+      }
+    }));
+    await logAuditEvent(supabase, {
+      organizationId,
+      actor: { type: 'user', id: user.id, email: user.email },
+      action: 'deals.exported',
+      summary: fileName,
+      metadata: { format: request.format, scope: request.scope, dealCount, filters: describeFilters(body.filters) },
+      request: req
+    });
+
+    const stream = toReadableStream(
+      writeExport(request.format, readExportPages(ctx, request), columns),
+      error => console.error("[export-deals] Stream error:", error)
+    );
+
+    return new Response(stream, {
+      status: 200,
+      headers: {
+        ...corsHeaders,
+        "Content-Type": EXPORT_CONTENT_TYPES[request.format],
+        "Content-Disposition": `attachment; filename="${fileName}"`,
+        "Cache-Control": "no-store",
+        "X-Export-Count": String(dealCount),
+      }
+    });
+  } catch (error: any) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[export-deals] Error:", error);
+    return json(500, { success: false, error: "Failed to process export request", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
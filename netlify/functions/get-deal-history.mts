@@ -0,0 +1,176 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import { isValidDealId } from './lib/deal-query';
+
+/**
+ * GET DEAL HISTORY
+ *
+ * Returns the change timeline for one deal, newest first:
+ * GET /.netlify/functions/get-deal-history?dealId=<uuid>
+ *
+ * Sources:
+ * - deal_change_history: field-level changes (stage, value, assignee, outcome, notes)
+ * - deal_stage_history: stage moves recorded before deal_change_history existed
+ *
+ * Each event carries `previous` and `next` snapshots of the fields that
+ * changed; DealHistoryTimeline diffs them with calculateDiff().
+ *
+ * Used by:
+ * - DealDetailsModal.jsx (History tab)
+ */
+
+const MAX_EVENTS = 200;
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'GET, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (req.method !== "GET") {
+    return new Response(JSON.stringify({ error: "Method not allowed" }), {
+      status: 405,
+      headers: corsHeaders,
+    });
+  }
+
+  try {
+    const user = await requireAuth(req);
+
+    const dealId = new URL(req.url).searchParams.get("dealId");
+    if (!dealId || !isValidDealId(dealId)) {
+      return new Response(
+        JSON.stringify({ success: false, error: "Valid dealId required", code: "INVALID_INPUT" }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
+
+    const supabase = getSupabaseClient();
+
+    const { data: deal } = await supabase
+      .from("deals")
+      .select("id, organization_id")
+      .eq("id", dealId)
+      .maybeSingle();
+
+    if (!deal) {
+      return new Response(
+        JSON.stringify({ success: false, error: "Deal not found", code: "NOT_FOUND" }),
+        { status: 404, headers: corsHeaders }
+      );
+    }
+
+    // Verify user belongs to the deal's organization
+    const { data: membership } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", user.id)
+      .eq("organization_id", deal.organization_id)
+      .maybeSingle();
+
+    if (!membership) {
+      return new Response(
+        JSON.stringify({ success: false, error: "Not authorized for this organization", code: "FORBIDDEN" }),
+        { status: 403, headers: corsHeaders }
+      );
+    }
+
+    const [changesResult, stageResult] = await Promise.all([
+      supabase
+        .from("deal_change_history")
+        .select("id, changed_by, source, previous_values, new_values, changed_at")
+        .eq("deal_id", dealId)
+        .order("changed_at", { ascending: false })
+        .limit(MAX_EVENTS),
+      supabase
+        .from("deal_stage_history")
+        .select("id, previous_stage, new_stage, changed_by, changed_at")
+        .eq("deal_id", dealId)
+        .order("changed_at", { ascending: false })
+        .limit(MAX_EVENTS),
+    ]);
+
+    if (changesResult.error) {
+      // Table may not be migrated yet - fall back to stage history only
+      console.warn("[get-deal-history] deal_change_history unavailable:", changesResult.error.message);
+    }
+
+    const changes = changesResult.data || [];
+    const events = changes.map((row: any) => ({
+      id: row.id,
+      changedAt: row.changed_at,
+      changedBy: row.changed_by,
+      source: row.source,
+      previous: row.previous_values || {},
+      next: row.new_values || {},
+    }));
+
+    // Stage rows are also written alongside every change row, so only
+    // include the ones older than the first field-level record
+    const oldestChange = changes.length > 0 ? changes[changes.length - 1].changed_at : null;
+    for (const row of stageResult.data || []) {
+      if (oldestChange && row.changed_at >= oldestChange) continue;
+      events.push({
+        id: row.id,
+        changedAt: row.changed_at,
+        changedBy: row.changed_by,
+        source: row.previous_stage ? 'update' : 'create',
+        previous: row.previous_stage ? { stage: row.previous_stage } : {},
+        next: { stage: row.new_stage },
+      });
+    }
+
+    events.sort((a: any, b: any) => (a.changedAt < b.changedAt ? 1 : -1));
+    const trimmed = events.slice(0, MAX_EVENTS);
+
+    // Resolve actor names (user_profiles view has email + full_name)
+    const actorIds = [...new Set(trimmed.map((e: any) => e.changedBy).filter(Boolean))];
+    const actors: Record<string, { id: string; name: string; email: string | null }> = {};
+    if (actorIds.length > 0) {
+      const { data: profiles } = await supabase
+        .from("user_profiles")
+        .select("id, email, full_name")
+        .in("id", actorIds);
+
+      for (const profile of profiles || []) {
+        actors[profile.id] = {
+          id: profile.id,
+          name: profile.full_name || profile.email?.split('@')[0] || 'Team member',
+          email: profile.email || null,
+        };
+      }
+    }
+
+    return new Response(
+      JSON.stringify({
+        success: true,
+        dealId,
+        events: trimmed.map((event: any) => ({
+          ...event,
+          actor: event.changedBy ? actors[event.changedBy] || null : null,
+        })),
+      }),
+      { status: 200, headers: corsHeaders }
+    );
+  } catch (error: any) {
+    const isAuthError = error.statusCode === 401 || error.statusCode === 403;
+    if (isAuthError) {
+      return new Response(
+        JSON.stringify({ success: false, error: error.message || "Authentication required", code: "AUTH_REQUIRED" }),
+        { status: error.statusCode, headers: corsHeaders }
+      );
+    }
+
+    console.error("[get-deal-history] Error:", error);
+    return new Response(
+      JSON.stringify({ success: false, error: "Failed to load deal history", code: "SERVER_ERROR" }),
+      { status: 500, headers: corsHeaders }
+    );
+  }
+};
@@ -0,0 +1,124 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+import { runImportJob } from './lib/deal-import';
+import { logAuditEvent } from './lib/audit-log';
+
+/**
+ * IMPORT DEALS (BACKGROUND)
+ *
+ * Netlify background function (the -background suffix gives it a 15 minute
+ * limit and an immediate 202 response). Processes a queued import job in
+ * batches from processed_rows onwards; see lib/deal-import.ts runImportJob.
+ *
+ * POST { organizationId, jobId } - the job must be 'queued' (import-jobs
+ * action 'start'). A run that nears the time limit leaves the job 'paused';
+ * the import UI starts it again to continue.
+ *
+ * Used by:
+ * - Integrations.jsx CSVImportTab (after import-jobs start)
+ */
+
+// Stop taking new batches well before Netlify's 15 minute limit
+const RUN_BUDGET_MS = 13 * 60 * 1000;
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export default async (req: Request, context: Context) => {
+  const startedAt = Date.now();
+  if (req.method !== "POST") return;
+
+  let jobId: string | null = null;
+  const supabase = getSupabaseClient();
+
+  try {
+    const user = await requireAuth(req);
+    const body = await req.json();
+    const { organizationId } = body || {};
+    jobId = body?.jobId ?? null;
+
+    if (!organizationId || !UUID_REGEX.test(organizationId) || !jobId || !UUID_REGEX.test(jobId)) {
+      console.warn("[import-deals-background] Invalid request");
+      jobId = null;
+      return;
+    }
+
+    const { data: membership } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", user.id)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (!membership) {
+      console.warn("[import-deals-background] User not in organization:", { userId: user.id, organizationId });
+      jobId = null;
+      return;
+    }
+
+    // Claim the job - only one worker moves it from queued to running
+    const now = new Date().toISOString();
+    const { data: job, error } = await supabase
+      .from("import_jobs")
+      .update({ status: 'running', updated_at: now })
+      .eq("id", jobId)
+      .eq("organization_id", organizationId)
+      .eq("status", 'queued')
+      .select("*")
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!job) {
+      console.warn("[import-deals-background] Job not queued:", jobId);
+      jobId = null;
+      return;
+    }
+
+    if (!job.started_at) {
+      await supabase.from("import_jobs").update({ started_at: now }).eq("id", job.id);
+    }
+
+    const status = await runImportJob(supabase, job, { deadline: startedAt + RUN_BUDGET_MS });
+    console.warn("[import-deals-background] Run finished:", { jobId, status });
+
+    // One audit entry per import, with the final counts
+    if (status === 'completed') {
+      const { data: finished } = await supabase
+        .from("import_jobs")
+        .select("total_rows, created_count, updated_count, skipped_count, failed_count")
+        .eq("id", job.id)
+        .maybeSingle();
+
+      await logAuditEvent(supabase, {
+        organizationId,
+        actor: { type: 'user', id: user.id, email: user.email },
+        action: 'deal.imported',
+        entityId: job.id,
+        summary: job.file_name,
+        metadata: {
+          jobId: job.id,
+          totalRows: finished?.total_rows ?? job.total_rows,
+          created: finished?.created_count ?? 0,
+          updated: finished?.updated_count ?? 0,
+          skipped: finished?.skipped_count ?? 0,
+          failed: finished?.failed_count ?? 0
+        },
+        request: req
+      });
+    }
+  } catch (error: any) {
+    console.error("[import-deals-background] Error:", error);
+
+    if (jobId) {
+      await supabase
+        .from("import_jobs")
+        .update({
+          status: 'failed',
+          last_error: typeof error?.message === 'string' ? error.message.slice(0, 500) : 'Import failed',
+          updated_at: new Date().toISOString()
+        })
+        .eq("id", jobId)
+        .eq("status", 'running');
+    }
+  }
+};
@@ -1,8 +1,25 @@
 import type { Context } from "@netlify/functions";
 import { getSupabaseClient } from "./lib/supabase-pool";
 import { requireAuth } from "./lib/auth-middleware";
+import { logAuditEvent } from "./lib/audit-log";
 // ENGINE REBUILD Phase 9: Centralized CORS spine
 import { buildCorsHeaders } from './lib/cors';
+// Idempotency-Key support: a retried import must not insert every row twice
+import {
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest,
+  type IdempotencyRecord
+} from './lib/idempotency';
+import { hasPermission, PERMISSIONS, type Role } from './lib/rbac';
+import { resolvePipelineId } from './lib/pipelines';
+import {
+  buildImportContext,
+  evaluateImportRows,
+  applyImportRows,
+  type ImportOptions
+} from './lib/deal-import';
+import { IMPORT_LIMITS, validateImportOptions } from '../../src/config/dealImport';
 
 /**
  * IMPORT DEALS FROM CSV ENDPOINT
@@ -12,126 +29,26 @@ import { buildCorsHeaders } from './lib/cors';
  * All direct client mutations fail RLS. This endpoint handles bulk deal imports
  * using HttpOnly cookie authentication.
  *
+ * POST { organizationId, rows, options, dryRun? }
+ *   rows    - source rows keyed by column header (CSV or XLSX, parsed in the browser)
+ *   options - { mapping, stageMapping, stageIds, defaultStage, pipelineId,
+ *               duplicateStrategy: 'skip'|'update'|'create', dedupeBy: 'email'|'client' }
+ *
+ * dryRun: true → nothing is written; returns what each row would do
+ *   { dryRun, total, counts: { create, update, skip, error }, preview: [...first rows], errors }
+ * otherwise    → imports up to IMPORT_LIMITS.SYNC_MAX_ROWS rows
+ *   { success, total, successful, created, updated, skipped, failed, errors }
+ * Larger files go through import-jobs / import-deals-background.
+ *
+ * Stages are checked against options.stageIds (the target pipeline's stages)
+ * after options.stageMapping - see src/config/dealImport.js.
+ *
+ * Requires CREATE_DEALS; duplicateStrategy 'update' also needs EDIT_DEALS.
+ *
  * Used by:
- * - Integrations.jsx CSVImportTab (CSV import functionality)
+ * - Integrations.jsx CSVImportTab (preview and small imports)
  */
 
-// Allowed fields for deal creation
-const ALLOWED_FIELDS = [
-  "client", "email", "phone", "value", "stage", "status", "notes",
-  "company", "contact_name", "contact_email", "contact_phone"
-];
-
-// Valid stages and statuses
-const VALID_STAGES = ["lead", "quote", "approval", "invoice", "onboarding", "delivery", "retention"];
-const VALID_STATUSES = ["active", "won", "lost"];
-
-// Limits
-const MAX_BATCH_SIZE = 100;
-const MAX_TOTAL_ROWS = 1000;
-
-interface DealRow {
-  client?: string;
-  email?: string;
-  phone?: string;
-  value?: number | string;
-  stage?: string;
-  status?: string;
-  notes?: string;
-  [key: string]: any;
-}
-
-interface ImportResult {
-  total: number;
-  successful: number;
-  failed: number;
-  errors: Array<{ row: number; errors: string[] }>;
-}
-
-function validateDealRow(deal: DealRow, rowIndex: number): { valid: boolean; errors: string[] } {
-  const errors: string[] = [];
-
-  // Client name is required
-  if (!deal.client || typeof deal.client !== "string" || !deal.client.trim()) {
-    errors.push("Client name is required");
-  }
-
-  // Email validation (if provided)
-  if (deal.email && typeof deal.email === "string") {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
-    if (!emailRegex.test(deal.email.trim())) {
-      errors.push("Invalid email format");
-    }
-  }
-
-  // Phone validation (if provided)
-  if (deal.phone && typeof deal.phone === "string") {
-    const phoneRegex = /^[\d\s\-\+\(\)]+$/;
-    if (!phoneRegex.test(deal.phone.trim()) || deal.phone.trim().length < 7) {
-      errors.push("Invalid phone format");
-    }
-  }
-
-  // Value validation (if provided)
-  if (deal.value !== undefined && deal.value !== null && deal.value !== "") {
-    const value = typeof deal.value === "string" ? parseFloat(deal.value) : deal.value;
-    if (isNaN(value) || value < 0) {
-      errors.push("Deal value must be a positive number");
-    }
-  }
-
-  // Stage validation (if provided)
-  if (deal.stage && typeof deal.stage === "string") {
-    const stage = deal.stage.toLowerCase().trim();
-    if (!VALID_STAGES.includes(stage)) {
-      errors.push(`Invalid stage. Must be one of: ${VALID_STAGES.join(", ")}`);
-    }
-  }
-
-  // Status validation (if provided)
-  if (deal.status && typeof deal.status === "string") {
-    const status = deal.status.toLowerCase().trim();
-    if (!VALID_STATUSES.includes(status)) {
-      errors.push(`Invalid status. Must be one of: ${VALID_STATUSES.join(", ")}`);
-    }
-  }
-
-  return { valid: errors.length === 0, errors };
-}
-
-function sanitizeDeal(deal: DealRow, userId: string, organizationId: string): Record<string, any> {
-  const sanitized: Record<string, any> = {
-    organization_id: organizationId,
-    created_by: userId,
-    created: new Date().toISOString(),
-    last_activity: new Date().toISOString(),
-  };
-
-  // Only copy allowed fields
-  for (const [key, value] of Object.entries(deal)) {
-    if (ALLOWED_FIELDS.includes(key) && value !== undefined && value !== null && value !== "") {
-      if (key === "value") {
-        sanitized[key] = typeof value === "string" ? parseFloat(value) || 0 : value;
-      } else if (key === "stage") {
-        sanitized[key] = (value as string).toLowerCase().trim();
-      } else if (key === "status") {
-        sanitized[key] = (value as string).toLowerCase().trim();
-      } else if (typeof value === "string") {
-        sanitized[key] = value.trim();
-      } else {
-        sanitized[key] = value;
-      }
-    }
-  }
-
-  // Defaults
-  if (!sanitized.status) sanitized.status = "active";
-  if (!sanitized.value) sanitized.value = 0;
-  if (!sanitized.stage) sanitized.stage = "lead";
-
-  return sanitized;
-}
-
 export default async (req: Request, context: Context) => {
   // ENGINE REBUILD Phase 9: Use centralized CORS spine
   const requestOrigin = req.headers.get("origin") || '';
@@ -149,21 +66,23 @@ export default async (req: Request, context: Context) => {
     });
   }
 
+  // Claimed Idempotency-Key row (released in catch so a retry can be processed)
+  let idempotencyRecord: IdempotencyRecord | null = null;
+
   try {
     // STEP 1: Authenticate user via HttpOnly cookies
     // PHASE 9 FIX: requireAuth returns User directly, not {user: User}
     const user = await requireAuth(req);
     const userId = user.id;
 
-    console.warn("[import-deals-csv] Authenticated user:", userId);
-
     // STEP 2: Parse request body
     const body = await req.json();
-    const { deals, organizationId } = body;
+    const { rows, organizationId, dryRun = false } = body;
+    const options: ImportOptions = body.options || {};
 
-    if (!deals || !Array.isArray(deals)) {
+    if (!rows || !Array.isArray(rows)) {
       return new Response(
-        JSON.stringify({ error: "Missing required field: deals (array)" }),
+        JSON.stringify({ error: "Missing required field: rows (array)" }),
         { status: 400, headers: corsHeaders }
       );
     }
@@ -176,26 +95,38 @@ export default async (req: Request, context: Context) => {
     }
 
     // Validate row count
-    if (deals.length === 0) {
+    if (rows.length === 0) {
       return new Response(
         JSON.stringify({ error: "No deals to import" }),
         { status: 400, headers: corsHeaders }
       );
     }
 
-    if (deals.length > MAX_TOTAL_ROWS) {
+    const maxRows = dryRun ? IMPORT_LIMITS.CHUNK_ROWS : IMPORT_LIMITS.SYNC_MAX_ROWS;
+    if (rows.length > maxRows) {
+      return new Response(
+        JSON.stringify({
+          error: `Too many rows (${rows.length}). Maximum: ${maxRows} - use an import job for larger files`,
+          code: "TOO_MANY_ROWS"
+        }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
+
+    const optionErrors = validateImportOptions(options);
+    if (optionErrors.length > 0) {
       return new Response(
-        JSON.stringify({ error: `Too many rows (${deals.length}). Maximum: ${MAX_TOTAL_ROWS}` }),
+        JSON.stringify({ error: optionErrors[0], code: "INVALID_OPTIONS", details: optionErrors }),
         { status: 400, headers: corsHeaders }
       );
     }
 
-    console.warn("[import-deals-csv] Import request:", { organizationId, dealCount: deals.length });
+    console.warn("[import-deals-csv] Import request:", { organizationId, rowCount: rows.length, dryRun });
 
     // STEP 3: Get Supabase client with service role (bypasses RLS)
     const supabase = getSupabaseClient();
 
-    // STEP 4: Verify user belongs to organization
+    // STEP 4: Verify user belongs to organization and may create (and update) deals
     const { data: membership, error: membershipError } = await supabase
       .from("team_members")
       .select("role")
@@ -211,67 +142,105 @@ export default async (req: Request, context: Context) => {
       );
     }
 
-    // STEP 5: Validate and sanitize all deals
-    const validDeals: Record<string, any>[] = [];
-    const invalidRows: Array<{ row: number; errors: string[] }> = [];
-
-    deals.forEach((deal: DealRow, index: number) => {
-      const validation = validateDealRow(deal, index + 1);
-      if (validation.valid) {
-        validDeals.push(sanitizeDeal(deal, userId, organizationId));
-      } else {
-        invalidRows.push({ row: index + 1, errors: validation.errors });
-      }
+    const role = membership.role as Role;
+    if (!hasPermission(role, PERMISSIONS.CREATE_DEALS)
+      || (options.duplicateStrategy === 'update' && !hasPermission(role, PERMISSIONS.EDIT_DEALS))) {
+      return new Response(
+        JSON.stringify({ error: "You don't have permission to import deals", code: "FORBIDDEN" }),
+        { status: 403, headers: corsHeaders }
+      );
+    }
+
+    // STEP 4b: Target pipeline - omitted → org default
+    const pipeline = await resolvePipelineId(supabase, organizationId, options.pipelineId);
+    if (pipeline.error) {
+      return new Response(
+        JSON.stringify({ error: pipeline.error, code: "INVALID_PIPELINE" }),
+        { status: 400, headers: corsHeaders }
+      );
+    }
+
+    // STEP 5: Map, validate and plan every row (duplicates against existing deals and earlier rows)
+    const ctx = await buildImportContext(supabase, organizationId, userId, {
+      ...options,
+      pipelineId: pipeline.pipelineId
     });
+    const results = evaluateImportRows(
+      rows.map((data: Record<string, unknown>, index: number) => ({ row: index + 1, data: data || {} })),
+      ctx
+    );
+
+    if (dryRun) {
+      const counts = { create: 0, update: 0, skip: 0, error: 0 };
+      results.forEach(result => { counts[result.action]++; });
+
+      return new Response(JSON.stringify({
+        dryRun: true,
+        total: rows.length,
+        counts,
+        preview: results.slice(0, IMPORT_LIMITS.PREVIEW_ROWS),
+        errors: results
+          .filter(result => result.action === 'error' || result.action === 'skip')
+          .map(result => ({
+            row: result.row,
+            errors: result.errors || [result.reason],
+            skipped: result.action === 'skip' || undefined
+          }))
+      }), { status: 200, headers: corsHeaders });
+    }
 
-    // STEP 6: Insert valid deals in batches
-    const result: ImportResult = {
-      total: deals.length,
-      successful: 0,
-      failed: invalidRows.length,
-      errors: invalidRows,
-    };
-
-    if (validDeals.length > 0) {
-      for (let i = 0; i < validDeals.length; i += MAX_BATCH_SIZE) {
-        const batch = validDeals.slice(i, i + MAX_BATCH_SIZE);
-
-        const { data: insertedDeals, error: insertError } = await supabase
-          .from("deals")
-          .insert(batch)
-          .select();
-
-        if (insertError) {
-          console.error("[import-deals-csv] Batch insert failed:", insertError);
-          // Add batch to errors
-          batch.forEach((_, idx) => {
-            result.errors.push({
-              row: i + idx + 1,
-              errors: [`Database error: ${insertError.message}`],
-            });
-          });
-          result.failed += batch.length;
-        } else {
-          result.successful += insertedDeals?.length || 0;
-          console.warn("[import-deals-csv] Batch inserted:", { count: insertedDeals?.length });
-        }
-      }
+    // STEP 5b: Idempotency - replay the stored result if this import was already processed
+    const idempotency = await beginIdempotentRequest(supabase, req, {
+      scope: organizationId,
+      endpoint: 'import-deals-csv',
+      body,
+      headers: corsHeaders
+    });
+    if (idempotency.replay) {
+      return idempotency.replay;
+    }
+    idempotencyRecord = idempotency.record;
+
+    // STEP 6: Insert new deals and apply updates in batches
+    const counts = { created: 0, updated: 0, skipped: 0, failed: 0 };
+    const errors: Array<{ row: number; errors: string[]; skipped?: boolean }> = [];
+
+    for (let i = 0; i < results.length; i += IMPORT_LIMITS.BATCH_SIZE) {
+      const batch = await applyImportRows(ctx, results.slice(i, i + IMPORT_LIMITS.BATCH_SIZE));
+      counts.created += batch.counts.created;
+      counts.updated += batch.counts.updated;
+      counts.skipped += batch.counts.skipped;
+      counts.failed += batch.counts.failed;
+      errors.push(...batch.errors);
     }
 
-    console.warn("[import-deals-csv] Import complete:", {
-      total: result.total,
-      successful: result.successful,
-      failed: result.failed,
+    console.warn("[import-deals-csv] Import complete:", { total: rows.length, ...counts });
+
+    await logAuditEvent(supabase, {
+      organizationId,
+      actor: { type: 'user', id: userId, email: user.email },
+      action: 'deal.imported',
+      summary: `${rows.length} rows`,
+      metadata: { totalRows: rows.length, ...counts },
+      request: req
     });
 
-    return new Response(JSON.stringify(result), {
+    return completeIdempotentRequest(supabase, idempotencyRecord, new Response(JSON.stringify({
+      success: true,
+      total: rows.length,
+      successful: counts.created + counts.updated,
+      ...counts,
+      errors
+    }), {
       status: 200,
       headers: corsHeaders,
-    });
+    }));
 
   } catch (error: any) {
     console.error("[import-deals-csv] Error:", error);
 
+    await releaseIdempotentRequest(getSupabaseClient(), idempotencyRecord);
+
     // Handle auth errors specifically
     if (error.message?.includes("auth") || error.message?.includes("unauthorized")) {
       return new Response(
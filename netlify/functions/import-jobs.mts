@@ -0,0 +1,294 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import { hasPermission, PERMISSIONS, type Role } from './lib/rbac';
+import { resolvePipelineId } from './lib/pipelines';
+import { IMPORT_JOB_COLUMNS, IMPORT_JOB_STALE_MS } from './lib/deal-import';
+import { IMPORT_LIMITS, validateImportOptions } from '../../src/config/dealImport';
+
+/**
+ * IMPORT JOBS
+ *
+ * Background deal imports for files over IMPORT_LIMITS.SYNC_MAX_ROWS rows.
+ * The browser creates a job, uploads the parsed rows in chunks, then starts
+ * it and calls import-deals-background to process it.
+ *
+ * GET  /.netlify/functions/import-jobs?organizationId=<uuid>[&jobId=<uuid>]
+ *   → { success, jobs } (recent jobs) or { success, job } (with errors)
+ *
+ * POST /.netlify/functions/import-jobs
+ *   { organizationId, fileName, totalRows, options }
+ *   → { success, job } - status 'uploading'
+ *
+ * PUT  /.netlify/functions/import-jobs
+ *   { organizationId, jobId, action: 'upload', startRow, rows }  - rows startRow.. (1-based)
+ *   { organizationId, jobId, action: 'start' }   - uploading / paused / failed / stale → queued
+ *   { organizationId, jobId, action: 'cancel' }
+ *   → { success, job }
+ *
+ * Reads need membership; writes need CREATE_DEALS (and EDIT_DEALS for
+ * duplicateStrategy 'update').
+ *
+ * Used by:
+ * - Integrations.jsx CSVImportTab
+ */
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const RECENT_JOBS_LIMIT = 10;
+const FINISHED_STATUSES = ['completed', 'cancelled'];
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'GET, POST, PUT, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (!["GET", "POST", "PUT"].includes(req.method)) {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+    const params = new URL(req.url).searchParams;
+
+    let body: any = null;
+    let organizationId: string | null;
+    if (req.method === "GET") {
+      organizationId = params.get("organizationId");
+    } else {
+      try {
+        body = await req.json();
+      } catch {
+        return json(400, { success: false, error: "Invalid JSON body", code: "INVALID_INPUT" }, corsHeaders);
+      }
+      organizationId = body?.organizationId ?? null;
+    }
+
+    if (!organizationId || !UUID_REGEX.test(organizationId)) {
+      return json(400, { success: false, error: "Valid organizationId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { data: membership } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", user.id)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (!membership) {
+      return json(403, { success: false, error: "Not authorized for this organization", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    const role = membership.role as Role;
+
+    // GET - one job with its errors, or the recent jobs
+    if (req.method === "GET") {
+      const jobId = params.get("jobId");
+      if (jobId) {
+        if (!UUID_REGEX.test(jobId)) {
+          return json(400, { success: false, error: "Valid jobId required", code: "INVALID_INPUT" }, corsHeaders);
+        }
+        const { data: job, error } = await supabase
+          .from("import_jobs")
+          .select(`${IMPORT_JOB_COLUMNS}, errors`)
+          .eq("id", jobId)
+          .eq("organization_id", organizationId)
+          .maybeSingle();
+
+        if (error) throw error;
+        if (!job) {
+          return json(404, { success: false, error: "Import job not found", code: "NOT_FOUND" }, corsHeaders);
+        }
+        return json(200, { success: true, job }, corsHeaders);
+      }
+
+      const { data: jobs, error } = await supabase
+        .from("import_jobs")
+        .select(IMPORT_JOB_COLUMNS)
+        .eq("organization_id", organizationId)
+        .order("created_at", { ascending: false })
+        .limit(RECENT_JOBS_LIMIT);
+
+      if (error) throw error;
+      return json(200, { success: true, jobs: jobs || [] }, corsHeaders);
+    }
+
+    if (!hasPermission(role, PERMISSIONS.CREATE_DEALS)) {
+      return json(403, { success: false, error: "You don't have permission to import deals", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    // POST - create a job; rows are uploaded next
+    if (req.method === "POST") {
+      const options = body.options || {};
+      const totalRows = Number(body.totalRows);
+
+      const optionErrors = validateImportOptions(options);
+      if (optionErrors.length > 0) {
+        return json(400, { success: false, error: optionErrors[0], code: "INVALID_OPTIONS", details: optionErrors }, corsHeaders);
+      }
+      if (options.duplicateStrategy === 'update' && !hasPermission(role, PERMISSIONS.EDIT_DEALS)) {
+        return json(403, { success: false, error: "You don't have permission to update deals", code: "FORBIDDEN" }, corsHeaders);
+      }
+      if (!Number.isInteger(totalRows) || totalRows < 1 || totalRows > IMPORT_LIMITS.MAX_ROWS) {
+        return json(400, {
+          success: false,
+          error: `totalRows must be between 1 and ${IMPORT_LIMITS.MAX_ROWS}`,
+          code: "INVALID_INPUT"
+        }, corsHeaders);
+      }
+
+      const pipeline = await resolvePipelineId(supabase, organizationId, options.pipelineId);
+      if (pipeline.error) {
+        return json(400, { success: false, error: pipeline.error, code: "INVALID_PIPELINE" }, corsHeaders);
+      }
+
+      const { data: job, error } = await supabase
+        .from("import_jobs")
+        .insert({
+          organization_id: organizationId,
+          created_by: user.id,
+          status: 'uploading',
+          file_name: typeof body.fileName === 'string' ? body.fileName.slice(0, 255) : null,
+          options: {
+            mapping: options.mapping,
+            stageMapping: options.stageMapping || {},
+            stageIds: options.stageIds || [],
+            defaultStage: options.defaultStage || null,
+            pipelineId: pipeline.pipelineId,
+            duplicateStrategy: options.duplicateStrategy || 'skip',
+            dedupeBy: options.dedupeBy || 'email',
+          },
+          total_rows: totalRows,
+        })
+        .select(IMPORT_JOB_COLUMNS)
+        .single();
+
+      if (error) throw error;
+      return json(201, { success: true, job }, corsHeaders);
+    }
+
+    // PUT - upload rows, start / resume or cancel
+    const { jobId, action } = body;
+    if (!jobId || !UUID_REGEX.test(jobId)) {
+      return json(400, { success: false, error: "Valid jobId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { data: job, error: jobError } = await supabase
+      .from("import_jobs")
+      .select(IMPORT_JOB_COLUMNS)
+      .eq("id", jobId)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (jobError) throw jobError;
+    if (!job) {
+      return json(404, { success: false, error: "Import job not found", code: "NOT_FOUND" }, corsHeaders);
+    }
+
+    if (action === 'upload') {
+      const { rows, startRow } = body;
+      if (job.status !== 'uploading') {
+        return json(409, { success: false, error: "Job is no longer accepting rows", code: "INVALID_STATE" }, corsHeaders);
+      }
+      if (!Array.isArray(rows) || rows.length === 0 || rows.length > IMPORT_LIMITS.CHUNK_ROWS) {
+        return json(400, {
+          success: false,
+          error: `rows must hold 1 to ${IMPORT_LIMITS.CHUNK_ROWS} rows`,
+          code: "INVALID_INPUT"
+        }, corsHeaders);
+      }
+      if (!Number.isInteger(startRow) || startRow < 1 || startRow + rows.length - 1 > job.total_rows) {
+        return json(400, { success: false, error: "startRow is out of range", code: "INVALID_INPUT" }, corsHeaders);
+      }
+
+      // Upsert so a retried chunk doesn't fail on rows it already stored
+      const { error } = await supabase
+        .from("import_job_rows")
+        .upsert(rows.map((data: unknown, index: number) => ({
+          job_id: job.id,
+          row_number: startRow + index,
+          data: data && typeof data === 'object' ? data : {},
+        })), { onConflict: "job_id,row_number" });
+
+      if (error) throw error;
+      return json(200, { success: true, job }, corsHeaders);
+    }
+
+    if (action === 'start') {
+      const stale = job.status === 'running'
+        && Date.now() - new Date(job.updated_at).getTime() > IMPORT_JOB_STALE_MS;
+      if (!['uploading', 'paused', 'failed', 'queued'].includes(job.status) && !stale) {
+        return json(409, { success: false, error: `Job is ${job.status}`, code: "INVALID_STATE" }, corsHeaders);
+      }
+
+      if (job.status === 'uploading') {
+        const { count, error } = await supabase
+          .from("import_job_rows")
+          .select("row_number", { count: "exact", head: true })
+          .eq("job_id", job.id);
+
+        if (error) throw error;
+        if (count !== job.total_rows) {
+          return json(409, {
+            success: false,
+            error: `Upload incomplete (${count || 0} of ${job.total_rows} rows)`,
+            code: "UPLOAD_INCOMPLETE"
+          }, corsHeaders);
+        }
+      }
+
+      const { data: queued, error } = await supabase
+        .from("import_jobs")
+        .update({ status: 'queued', last_error: null, updated_at: new Date().toISOString() })
+        .eq("id", job.id)
+        .eq("status", job.status)
+        .select(IMPORT_JOB_COLUMNS)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!queued) {
+        return json(409, { success: false, error: "Job changed - refresh and try again", code: "INVALID_STATE" }, corsHeaders);
+      }
+      return json(200, { success: true, job: queued }, corsHeaders);
+    }
+
+    if (action === 'cancel') {
+      if (FINISHED_STATUSES.includes(job.status)) {
+        return json(409, { success: false, error: `Job is ${job.status}`, code: "INVALID_STATE" }, corsHeaders);
+      }
+
+      const { data: cancelled, error } = await supabase
+        .from("import_jobs")
+        .update({ status: 'cancelled', completed_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+        .eq("id", job.id)
+        .select(IMPORT_JOB_COLUMNS)
+        .single();
+
+      if (error) throw error;
+      await supabase.from("import_job_rows").delete().eq("job_id", job.id);
+      return json(200, { success: true, job: cancelled }, corsHeaders);
+    }
+
+    return json(400, { success: false, error: "action must be upload, start or cancel", code: "INVALID_INPUT" }, corsHeaders);
+  } catch (error: any) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[import-jobs] Error:", error);
+    return json(500, { success: false, error: "Failed to process import job request", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
@@ -0,0 +1,279 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import { hasPermission, PERMISSIONS, type Role } from './lib/rbac';
+import { resolvePipelineId } from './lib/pipelines';
+import {
+  generateCaptureToken,
+  LEAD_CAPTURE_ENDPOINT_COLUMNS,
+  LEAD_CAPTURE_LOG_COLUMNS,
+} from './lib/lead-capture';
+import { validateCaptureEndpoint, LEAD_CAPTURE_LIMITS, CAPTURE_STATUSES } from '../../src/config/leadCapture';
+
+/**
+ * LEAD CAPTURE ENDPOINTS
+ *
+ * Settings and capture log for inbound lead capture URLs.
+ *
+ * GET /.netlify/functions/lead-capture-endpoints?organizationId
+ *   → { endpoints }
+ * GET ...&endpointId[&status][&before=<ISO>][&limit]
+ *   → { log, hasMore }
+ *
+ * POST /.netlify/functions/lead-capture-endpoints
+ *   { organizationId, action: 'create', endpoint }
+ *   { organizationId, action: 'update', endpointId, endpoint }
+ *   { organizationId, action: 'regenerate_token', endpointId }
+ *   { organizationId, action: 'delete', endpointId }
+ *
+ *   endpoint: { name, fieldMapping, stage, pipelineId?, assignmentMode, assignTo?, isActive? }
+ *
+ * Regenerating the token invalidates the old URL immediately. Tokens are only
+ * returned to members who can manage integrations.
+ *
+ * Reading requires VIEW_INTEGRATIONS, actions require MANAGE_INTEGRATIONS.
+ *
+ * Used by:
+ * - Integrations.jsx → LeadCaptureTab
+ */
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const ACTIONS = ['create', 'update', 'regenerate_token', 'delete'];
+
+const isValidDate = (value: unknown): value is string =>
+  typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+const withoutToken = ({ token, ...endpoint }: any) => endpoint;
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'GET, POST, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+
+    let params: Record<string, any>;
+    if (req.method === "GET") {
+      params = Object.fromEntries(new URL(req.url).searchParams);
+    } else {
+      try {
+        params = await req.json();
+      } catch {
+        return json(400, { success: false, error: "Invalid JSON body", code: "INVALID_INPUT" }, corsHeaders);
+      }
+    }
+
+    const { organizationId, endpointId } = params || {};
+    if (!organizationId || !UUID_REGEX.test(organizationId)) {
+      return json(400, { success: false, error: "Valid organizationId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+    if (endpointId !== undefined && !UUID_REGEX.test(endpointId)) {
+      return json(400, { success: false, error: "Invalid endpointId", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { data: membership } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", user.id)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (!membership) {
+      return json(403, { success: false, error: "Not authorized for this organization", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    const canManage = hasPermission(membership.role as Role, PERMISSIONS.MANAGE_INTEGRATIONS);
+    const requiredPermission = req.method === "GET" ? PERMISSIONS.VIEW_INTEGRATIONS : PERMISSIONS.MANAGE_INTEGRATIONS;
+    if (!hasPermission(membership.role as Role, requiredPermission)) {
+      return json(403, { success: false, error: "You don't have permission to manage lead capture", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    let existing: any = null;
+    if (endpointId) {
+      const { data, error } = await supabase
+        .from("lead_capture_endpoints")
+        .select(LEAD_CAPTURE_ENDPOINT_COLUMNS)
+        .eq("id", endpointId)
+        .eq("organization_id", organizationId)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        return json(404, { success: false, error: "Capture endpoint not found", code: "NOT_FOUND" }, corsHeaders);
+      }
+      existing = data;
+    }
+
+    if (req.method === "GET") {
+      if (existing) {
+        const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        let query = supabase
+          .from("lead_capture_log")
+          .select(LEAD_CAPTURE_LOG_COLUMNS)
+          .eq("endpoint_id", existing.id)
+          .order("created_at", { ascending: false })
+          .limit(limit + 1);
+
+        if (CAPTURE_STATUSES.includes(params.status)) query = query.eq("status", params.status);
+        if (isValidDate(params.before)) query = query.lt("created_at", params.before);
+
+        const { data: log, error } = await query;
+        if (error) throw error;
+
+        return json(200, {
+          success: true,
+          log: (log || []).slice(0, limit),
+          hasMore: (log || []).length > limit
+        }, corsHeaders);
+      }
+
+      const { data: endpoints, error } = await supabase
+        .from("lead_capture_endpoints")
+        .select(LEAD_CAPTURE_ENDPOINT_COLUMNS)
+        .eq("organization_id", organizationId)
+        .order("created_at", { ascending: true });
+
+      if (error) throw error;
+      return json(200, {
+        success: true,
+        endpoints: canManage ? (endpoints || []) : (endpoints || []).map(withoutToken)
+      }, { ...corsHeaders, "Cache-Control": "no-store" });
+    }
+
+    const { action } = params;
+    if (!ACTIONS.includes(action)) {
+      return json(400, { success: false, error: `action must be one of: ${ACTIONS.join(', ')}`, code: "INVALID_INPUT" }, corsHeaders);
+    }
+    if (action !== 'create' && !existing) {
+      return json(400, { success: false, error: "endpointId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    if (action === 'delete') {
+      const { error } = await supabase
+        .from("lead_capture_endpoints")
+        .delete()
+        .eq("id", existing.id);
+
+      if (error) throw error;
+      return json(200, { success: true }, corsHeaders);
+    }
+
+    if (action === 'regenerate_token') {
+      const { data: endpoint, error } = await supabase
+        .from("lead_capture_endpoints")
+        .update({ token: generateCaptureToken(), updated_at: new Date().toISOString() })
+        .eq("id", existing.id)
+        .select(LEAD_CAPTURE_ENDPOINT_COLUMNS)
+        .single();
+
+      if (error) throw error;
+      return json(200, { success: true, endpoint }, { ...corsHeaders, "Cache-Control": "no-store" });
+    }
+
+    // create / update
+    const input = params.endpoint || {};
+    const errors = validateCaptureEndpoint(input);
+    if (errors.length > 0) {
+      return json(400, { success: false, error: errors[0], code: "INVALID_INPUT", details: errors }, corsHeaders);
+    }
+
+    const pipeline = await resolvePipelineId(supabase, organizationId, input.pipelineId);
+    if (pipeline.error) {
+      return json(400, { success: false, error: pipeline.error, code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    if (input.assignmentMode === 'fixed') {
+      const { data: assignee } = await supabase
+        .from("team_members")
+        .select("user_id")
+        .eq("organization_id", organizationId)
+        .eq("user_id", input.assignTo)
+        .maybeSingle();
+
+      if (!assignee) {
+        return json(400, { success: false, error: "Assignee must be a member of this organization", code: "INVALID_INPUT" }, corsHeaders);
+      }
+    }
+
+    const fields = {
+      name: input.name.trim(),
+      field_mapping: input.fieldMapping,
+      stage: input.stage,
+      pipeline_id: pipeline.pipelineId,
+      assignment_mode: input.assignmentMode,
+      assign_to: input.assignmentMode === 'fixed' ? input.assignTo : null,
+      is_active: input.isActive !== false,
+      updated_at: new Date().toISOString()
+    };
+
+    if (action === 'update') {
+      const { data: endpoint, error } = await supabase
+        .from("lead_capture_endpoints")
+        .update(fields)
+        .eq("id", existing.id)
+        .select(LEAD_CAPTURE_ENDPOINT_COLUMNS)
+        .single();
+
+      if (error) throw error;
+      return json(200, { success: true, endpoint }, corsHeaders);
+    }
+
+    const { count, error: countError } = await supabase
+      .from("lead_capture_endpoints")
+      .select("id", { count: "exact", head: true })
+      .eq("organization_id", organizationId);
+
+    if (countError) throw countError;
+    if ((count || 0) >= LEAD_CAPTURE_LIMITS.MAX_ENDPOINTS_PER_ORG) {
+      return json(409, {
+        success: false,
+        error: `Organizations can have up to ${LEAD_CAPTURE_LIMITS.MAX_ENDPOINTS_PER_ORG} capture endpoints`,
+        code: "CONFLICT"
+      }, corsHeaders);
+    }
+
+    const { data: endpoint, error } = await supabase
+      .from("lead_capture_endpoints")
+      .insert({
+        ...fields,
+        organization_id: organizationId,
+        token: generateCaptureToken(),
+        created_by: user.id
+      })
+      .select(LEAD_CAPTURE_ENDPOINT_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return json(201, { success: true, endpoint }, { ...corsHeaders, "Cache-Control": "no-store" });
+  } catch (error: any) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[lead-capture-endpoints] Error:", error);
+    return json(500, { success: false, error: "Failed to process lead capture request", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
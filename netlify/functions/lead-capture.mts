@@ -0,0 +1,141 @@
+import type { Context, Config } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { RATE_LIMITS, checkRateLimits } from "./lib/rate-limiter";
+import {
+  readCapturePayload,
+  captureLead,
+  logCapture,
+  captureThrottleBuckets,
+  getSenderIp,
+  CapturePayloadError,
+  LEAD_CAPTURE_ENDPOINT_COLUMNS,
+  type CaptureEndpoint,
+} from './lib/lead-capture';
+
+/**
+ * INBOUND LEAD CAPTURE
+ *
+ * Public endpoint that website forms and ad platforms post leads to.
+ *
+ * POST /api/v1/capture/:token
+ *   JSON, application/x-www-form-urlencoded or multipart/form-data
+ *   → 201 { success, dealId }
+ *   → 422 { success: false, errors } when the mapped lead is invalid
+ *   → 429 when throttled (per sender IP, and per endpoint)
+ *
+ * The token in the URL is the only credential; endpoints are created and
+ * rotated in Integrations → Lead Capture (lead-capture-endpoints). Every post
+ * that reaches a known endpoint is recorded in its capture log.
+ *
+ * CORS is open to any origin (no credentials) so forms on customer sites can
+ * post with fetch().
+ */
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+  "Content-Type": "application/json",
+};
+
+const TOKEN_REGEX = /^lc_[0-9a-f]{48}$/;
+
+const json = (status: number, payload: unknown, headers: Record<string, string> = CORS_HEADERS) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+export default async (req: Request, context: Context) => {
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: CORS_HEADERS });
+  }
+
+  if (req.method !== "POST") {
+    return json(405, { error: "Method not allowed" });
+  }
+
+  // Per-sender throttle before touching the database
+  const senderCheck = await RATE_LIMITS.LEAD_CAPTURE(req);
+  if (!senderCheck.allowed) {
+    const retryAfter = Math.max(1, Math.ceil((senderCheck.resetTime - Date.now()) / 1000));
+    return json(429, { success: false, error: "Too many requests", code: "RATE_LIMITED", retryAfter }, {
+      ...CORS_HEADERS,
+      "Retry-After": String(retryAfter)
+    });
+  }
+
+  const token = decodeURIComponent(new URL(req.url).pathname.replace(/^.*\/capture\/?/, '').replace(/\/+$/, ''));
+  if (!TOKEN_REGEX.test(token)) {
+    return json(404, { success: false, error: "Unknown capture endpoint", code: "NOT_FOUND" });
+  }
+
+  const supabase = getSupabaseClient();
+  let endpoint: CaptureEndpoint | null = null;
+  let payload: Record<string, unknown> | null = null;
+  const ip = getSenderIp(req);
+
+  try {
+    const { data, error } = await supabase
+      .from("lead_capture_endpoints")
+      .select(LEAD_CAPTURE_ENDPOINT_COLUMNS)
+      .eq("token", token)
+      .eq("is_active", true)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return json(404, { success: false, error: "Unknown capture endpoint", code: "NOT_FOUND" });
+    }
+    endpoint = data as CaptureEndpoint;
+
+    // Per-endpoint throttle across all senders (org-wide counters keyed by endpoint)
+    const buckets = captureThrottleBuckets(endpoint.id);
+    const endpointCheck = await checkRateLimits(
+      endpoint.id,
+      endpoint.organization_id,
+      buckets,
+      buckets.map(bucket => bucket.bucket)
+    );
+    if (!endpointCheck.allowed) {
+      await logCapture(supabase, endpoint, { status: 'throttled', ip });
+      const retryAfter = endpointCheck.exceededBucket?.retryAfterSeconds ?? 60;
+      return json(429, { success: false, error: "Too many requests", code: "RATE_LIMITED", retryAfter }, {
+        ...CORS_HEADERS,
+        "Retry-After": String(retryAfter)
+      });
+    }
+
+    try {
+      payload = await readCapturePayload(req);
+    } catch (error) {
+      if (error instanceof CapturePayloadError) {
+        await logCapture(supabase, endpoint, { status: 'rejected', errors: [error.message], ip });
+        return json(error.statusCode, { success: false, error: error.message, code: "INVALID_INPUT" });
+      }
+      throw error;
+    }
+
+    const result = await captureLead(supabase, endpoint, payload);
+    await logCapture(supabase, endpoint, {
+      status: result.status,
+      payload,
+      dealId: result.deal?.id,
+      errors: result.errors,
+      ip
+    });
+
+    if (result.status === 'rejected') {
+      return json(422, { success: false, error: "Lead rejected", code: "VALIDATION_ERROR", errors: result.errors });
+    }
+
+    return json(201, { success: true, dealId: result.deal?.id });
+  } catch (error: any) {
+    console.error("[lead-capture] Error:", error);
+    if (endpoint) {
+      await logCapture(supabase, endpoint, { status: 'error', payload, errors: [error?.message || 'Unknown error'], ip });
+    }
+    return json(500, { success: false, error: "Failed to capture lead", code: "SERVER_ERROR" });
+  }
+};
+
+export const config: Config = {
+  path: ["/api/v1/capture/*"],
+};
@@ -0,0 +1,305 @@
+/**
+ * AI Deal Context
+ *
+ * Loads the pipeline the assistant reasons about on the server, under the
+ * caller's organization and role, instead of trusting deals posted by the
+ * browser. Used by ai-assistant and ai-assistant-stream.
+ *
+ * - deals: every deal in the organization (up to MAX_DEALS) for the
+ *   aggregate analysis, Mission Control fallback and charts
+ * - prompt: a text block with the deals most relevant to the question,
+ *   recent stage moves of those deals and the user's targets, trimmed to a
+ *   token budget so large pipelines don't blow up the system prompt
+ *
+ * Relevance: deals named in the question first, then deals in a stage or
+ * status the question mentions, the user's own open deals, deals that need
+ * attention (idle, closing or next step due soon), value and recency.
+ *
+ * Targets follow user-targets-get: owners and admins see every member's
+ * targets, everyone else only their own. Roles without read_deals get an
+ * empty context.
+ *
+ * USAGE:
+ * ```typescript
+ * const dealContext = await loadDealContext(supabase, {
+ *   organizationId, userId: user.id, role: memberRole, question: message
+ * });
+ * analyzeDealsPipeline(dealContext.deals);
+ * const systemPrompt = `...${dealContext.prompt}`;
+ * ```
+ *
+ * Targets and stage history are optional - a failure there is logged and
+ * left out. A failed deals query throws.
+ */
+
+import { hasPermission, PERMISSIONS, type Role } from './rbac';
+import { loadMembers } from './ai-tools';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export interface DealContextOptions {
+  organizationId: string;
+  userId: string;
+  /** team_members.role of the user in organizationId */
+  role: string;
+  /** The user's question - drives relevance selection */
+  question: string;
+  now?: Date;
+}
+
+export interface DealContext {
+  /** All readable deals in the organization, most recently active first */
+  deals: any[];
+  /** Deals described in the prompt, most relevant first */
+  selected: any[];
+  /** Deal, stage history and target lines for the system prompt ('' when there is nothing to say) */
+  prompt: string;
+}
+
+export interface DealSelectionOptions {
+  userId: string;
+  now?: Date;
+  /** Prompt budget for the deal lines, in estimated tokens */
+  tokenBudget?: number;
+  ownerNames?: Map<string, string>;
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+// Columns the pipeline analysis, charts and deal lines read
+const CONTEXT_DEAL_COLUMNS =
+  'id, client, value, stage, status, assigned_to, created, last_activity, expected_close_date, next_step, next_step_due';
+
+const MAX_DEALS = 1000;
+const MAX_SELECTED_DEALS = 40;
+const DEAL_TOKEN_BUDGET = 1500;
+// Rough estimate that holds for English text across the providers we use
+const CHARS_PER_TOKEN = 4;
+
+const STAGE_HISTORY_DAYS = 30;
+const STAGE_HISTORY_LINES = 15;
+
+const IDLE_DAYS = 14;
+const CLOSING_SOON_DAYS = 14;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CLOSED_STATUSES = ['won', 'lost', 'disqualified'];
+
+// ============================================================================
+// RELEVANCE
+// ============================================================================
+
+const daysBetween = (from: string | null | undefined, now: Date): number | null => {
+  if (!from) return null;
+  const time = new Date(from).getTime();
+  return Number.isNaN(time) ? null : Math.floor((now.getTime() - time) / DAY_MS);
+};
+
+// Words of 4+ letters, so "the" or "of" don't match every client name
+const questionWords = (question: string): string[] =>
+  question.toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length >= 4);
+
+/**
+ * Relevance score of a deal for a question (higher = more relevant)
+ */
+export function scoreDeal(deal: any, question: string, options: { userId: string; now: Date; maxValue: number }): number {
+  const text = question.toLowerCase();
+  const client = String(deal.client || '').toLowerCase().trim();
+  const stage = String(deal.stage || '').toLowerCase();
+  const open = !CLOSED_STATUSES.includes(deal.status);
+  let score = 0;
+
+  if (client.length >= 3 && text.includes(client)) {
+    score += 100;
+  } else if (client && questionWords(question).some(word => client.includes(word))) {
+    score += 40;
+  }
+
+  if (stage && (text.includes(stage) || text.includes(stage.replace(/_/g, ' ')))) score += 20;
+  if (deal.status && text.includes(deal.status)) score += 15;
+  if (open) score += 10;
+  if (open && deal.assigned_to === options.userId) score += 10;
+
+  const idleDays = daysBetween(deal.last_activity || deal.created, options.now);
+  if (open && idleDays !== null && idleDays > IDLE_DAYS) score += 8;
+
+  const closeIn = daysBetween(deal.expected_close_date, options.now);
+  if (open && closeIn !== null && -closeIn <= CLOSING_SOON_DAYS) score += 8;
+  const nextStepIn = daysBetween(deal.next_step_due, options.now);
+  if (open && nextStepIn !== null && -nextStepIn <= 7) score += 6;
+
+  if (options.maxValue > 0) score += 10 * (Number(deal.value || 0) / options.maxValue);
+  if (idleDays !== null) score += 5 * Math.max(0, 1 - idleDays / 30);
+
+  return score;
+}
+
+/**
+ * One prompt line per deal, e.g.
+ * "- Acme | $5,000 | quote | active | owner: Sam Lee | idle 12d | closes 2026-11-02 | next: Send quote (due 2026-11-02)"
+ */
+export function formatDealLine(deal: any, now: Date, ownerNames?: Map<string, string>): string {
+  const parts = [
+    deal.client || 'Untitled deal',
+    `$${Number(deal.value || 0).toLocaleString('en-US')}`,
+    deal.stage || 'no stage',
+    deal.status || 'active'
+  ];
+  if (deal.assigned_to) parts.push(`owner: ${ownerNames?.get(deal.assigned_to) || 'Former member'}`);
+
+  const idleDays = daysBetween(deal.last_activity || deal.created, now);
+  if (idleDays !== null) parts.push(`idle ${Math.max(0, idleDays)}d`);
+  if (deal.expected_close_date) parts.push(`closes ${String(deal.expected_close_date).slice(0, 10)}`);
+  if (deal.next_step) {
+    parts.push(`next: ${deal.next_step}${deal.next_step_due ? ` (due ${deal.next_step_due})` : ''}`);
+  }
+  return `- ${parts.join(' | ')}`;
+}
+
+/**
+ * Pick the deals to describe in the prompt: highest score first, as many as
+ * fit in the token budget (and at most MAX_SELECTED_DEALS).
+ */
+export function selectRelevantDeals(
+  deals: any[],
+  question: string,
+  options: DealSelectionOptions
+): { selected: any[]; lines: string[] } {
+  const now = options.now || new Date();
+  const budgetChars = (options.tokenBudget ?? DEAL_TOKEN_BUDGET) * CHARS_PER_TOKEN;
+  const maxValue = deals.reduce((max, deal) => Math.max(max, Number(deal.value || 0)), 0);
+
+  const ranked = deals
+    .map(deal => ({ deal, score: scoreDeal(deal, question, { userId: options.userId, now, maxValue }) }))
+    .sort((a, b) => b.score - a.score || Number(b.deal.value || 0) - Number(a.deal.value || 0));
+
+  const selected: any[] = [];
+  const lines: string[] = [];
+  let used = 0;
+  for (const { deal } of ranked) {
+    if (selected.length >= MAX_SELECTED_DEALS) break;
+    const line = formatDealLine(deal, now, options.ownerNames);
+    if (used + line.length + 1 > budgetChars) break;
+    selected.push(deal);
+    lines.push(line);
+    used += line.length + 1;
+  }
+
+  return { selected, lines };
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+async function loadStageHistoryLines(supabase: any, selected: any[], now: Date): Promise<string[]> {
+  if (selected.length === 0) return [];
+  const names = new Map(selected.map(deal => [deal.id, deal.client || 'Untitled deal']));
+
+  try {
+    const { data, error } = await supabase
+      .from('deal_stage_history')
+      .select('deal_id, previous_stage, new_stage, changed_at')
+      .in('deal_id', selected.map(deal => deal.id))
+      .gte('changed_at', new Date(now.getTime() - STAGE_HISTORY_DAYS * DAY_MS).toISOString())
+      .order('changed_at', { ascending: false })
+      .limit(STAGE_HISTORY_LINES);
+    if (error) throw error;
+
+    return (data || []).map((row: any) =>
+      `- ${names.get(row.deal_id)}: ${row.previous_stage || 'new'} → ${row.new_stage} (${String(row.changed_at).slice(0, 10)})`
+    );
+  } catch (error: any) {
+    console.warn('[ai-deal-context] Stage history unavailable:', error?.message || error);
+    return [];
+  }
+}
+
+async function loadTargetLines(supabase: any, options: DealContextOptions, ownerNames: Map<string, string>): Promise<string[]> {
+  try {
+    let query = supabase
+      .from('user_targets')
+      .select('user_id, monthly_target, quarterly_target, annual_target, is_active')
+      .eq('organization_id', options.organizationId);
+    // Same rule as user-targets-get
+    if (!['owner', 'admin'].includes(options.role)) {
+      query = query.eq('user_id', options.userId);
+    }
+    const { data, error } = await query;
+    if (error) throw error;
+
+    const money = (value: unknown) => `$${Number(value || 0).toLocaleString('en-US')}`;
+    return (data || [])
+      .filter((target: any) => target.is_active !== false)
+      .map((target: any) => {
+        const who = target.user_id === options.userId ? 'You' : ownerNames.get(target.user_id) || 'Team member';
+        return `- ${who}: ${money(target.monthly_target)} monthly, ${money(target.quarterly_target)} quarterly, ${money(target.annual_target)} annual`;
+      });
+  } catch (error: any) {
+    console.warn('[ai-deal-context] Targets unavailable:', error?.message || error);
+    return [];
+  }
+}
+
+/**
+ * Load deals, stage history and targets for the assistant
+ */
+export async function loadDealContext(supabase: any, options: DealContextOptions): Promise<DealContext> {
+  if (!hasPermission(options.role as Role, PERMISSIONS.READ_DEALS)) {
+    return { deals: [], selected: [], prompt: '' };
+  }
+  const now = options.now || new Date();
+
+  const { data, error } = await supabase
+    .from('deals')
+    .select(CONTEXT_DEAL_COLUMNS)
+    .eq('organization_id', options.organizationId)
+    .is('deleted_at', null)
+    .order('last_activity', { ascending: false, nullsFirst: false })
+    .limit(MAX_DEALS);
+  if (error) throw error;
+  const deals = data || [];
+
+  const ownerNames = new Map(
+    (await loadMembers(supabase, options.organizationId)).map(member => [member.id, member.name])
+  );
+  const { selected, lines } = selectRelevantDeals(deals, options.question || '', {
+    userId: options.userId,
+    now,
+    ownerNames
+  });
+
+  const [historyLines, targetLines] = await Promise.all([
+    loadStageHistoryLines(supabase, selected, now),
+    loadTargetLines(supabase, options, ownerNames)
+  ]);
+
+  const sections: string[] = [];
+  if (lines.length > 0) {
+    const heading = selected.length < deals.length
+      ? `RELEVANT DEALS (${selected.length} of ${deals.length}, most relevant to the question first):`
+      : `DEALS (${deals.length}):`;
+    sections.push([heading, ...lines].join('\n'));
+  } else {
+    sections.push('DEALS: none yet');
+  }
+  if (historyLines.length > 0) {
+    sections.push([`STAGE MOVES (last ${STAGE_HISTORY_DAYS} days):`, ...historyLines].join('\n'));
+  }
+  if (targetLines.length > 0) {
+    sections.push(['TARGETS:', ...targetLines].join('\n'));
+  }
+
+  return { deals, selected, prompt: sections.join('\n\n') };
+}
+
+export default {
+  loadDealContext,
+  selectRelevantDeals,
+  scoreDeal,
+  formatDealLine
+};
@@ -58,7 +58,7 @@ export interface AIErrorResponse {
 
   // Optional fields
   error?: string;                                    // Legacy field for backwards compatibility
-  provider?: 'openai' | 'anthropic' | 'google';     // Which provider caused the error
+  provider?: 'openai' | 'anthropic' | 'google' | 'custom';     // Which provider caused the error
   isSoftFailure?: boolean;                          // True if provider returned 200 but error content
   used?: number;                                    // For AI_LIMIT_REACHED: requests used
   limit?: number;                                   // For AI_LIMIT_REACHED: request limit
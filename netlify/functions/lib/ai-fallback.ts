@@ -22,14 +22,15 @@ import { trackAIFallback, trackTelemetryEvent, TelemetryEvents } from './telemet
 
 // DEPRECATED: This constant is kept for backwards compatibility only.
 // New code should use buildFallbackChain from lib/select-provider.ts
-export const PROVIDER_FALLBACK_ORDER = ['openai', 'anthropic', 'google'] as const;
+export const PROVIDER_FALLBACK_ORDER = ['openai', 'anthropic', 'google', 'custom'] as const;
 export type ProviderType = typeof PROVIDER_FALLBACK_ORDER[number];
 
 // Provider display names for logging/UI
 export const PROVIDER_NAMES: Record<ProviderType, string> = {
   openai: 'ChatGPT',
   anthropic: 'Claude',
-  google: 'Gemini'
+  google: 'Gemini',
+  custom: 'Custom endpoint'
 };
 
 // Error types that should trigger fallback
@@ -99,13 +100,13 @@ export const SOFT_FAILURE_PATTERNS = [
 // For planning tasks: ChatGPT(5) → Claude(4) → Gemini(2)
 // Higher score = tried earlier in fallback chain
 export const TASK_FALLBACK_AFFINITY: Record<string, Record<ProviderType, number>> = {
-  planning: { openai: 5, anthropic: 4, google: 2 },
-  coaching: { anthropic: 5, openai: 3, google: 2 },
-  chart_insight: { openai: 4, google: 3, anthropic: 2 },
-  text_analysis: { openai: 4, anthropic: 3, google: 2 },
-  image_suitable: { google: 5, openai: 3, anthropic: 2 },
-  general: { openai: 4, anthropic: 3, google: 2 },
-  default: { openai: 3, anthropic: 3, google: 2 }
+  planning: { openai: 5, anthropic: 4, custom: 3, google: 2 },
+  coaching: { anthropic: 5, openai: 3, custom: 3, google: 2 },
+  chart_insight: { openai: 4, google: 3, custom: 3, anthropic: 2 },
+  text_analysis: { openai: 4, anthropic: 3, custom: 3, google: 2 },
+  image_suitable: { google: 5, openai: 3, anthropic: 2, custom: 1 },
+  general: { openai: 4, anthropic: 3, custom: 3, google: 2 },
+  default: { openai: 3, anthropic: 3, custom: 3, google: 2 }
 };
 
 export interface ProviderError {
@@ -13,6 +13,7 @@
 
 import { createClient, SupabaseClient } from '@supabase/supabase-js';
 import { decrypt, isLegacyEncryption, decryptLegacy } from './encryption';
+import { getProviderAdapter, providerConfig, type ProviderAdapter, type ProviderConfig } from './ai-provider-adapters';
 
 // ============================================================================
 // [StageFlow][AI][DIAGNOSTICS] COLD-START ENVIRONMENT CHECK
@@ -49,6 +50,8 @@ export interface ConnectedProvider {
   model: string | null;
   display_name: string | null;
   api_key_encrypted: string;
+  base_url?: string | null;
+  custom_headers_encrypted?: string | null;
   created_at: string; // Used for ordering (first connected = first tried)
 }
 
@@ -123,7 +126,7 @@ export async function getConnectedProvidersForOrg(orgId: string): Promise<Connec
 
   const { data, error } = await supabase
     .from('ai_providers')
-    .select('id, provider_type, model, display_name, api_key_encrypted, created_at')
+    .select('id, provider_type, model, display_name, api_key_encrypted, base_url, custom_headers_encrypted, created_at')
     .eq('organization_id', orgId)
     .eq('active', true)
     .not('api_key_encrypted', 'is', null)
@@ -254,12 +257,14 @@ function logAttempt(
  *
  * @param operation - Name of the operation (for logging)
  * @param orgId - Organization ID to fetch providers for
- * @param callProvider - Function that calls a specific provider (receives decrypted API key)
+ * @param callProvider - Function that calls a specific provider through its adapter
+ *                       (config holds the decrypted API key, the provider's model and,
+ *                       for custom endpoints, the base URL and headers)
  */
 export async function runWithConnectedProviders<T>(
   operation: string,
   orgId: string,
-  callProvider: (provider: ConnectedProvider, apiKey: string) => Promise<T>
+  callProvider: (provider: ConnectedProvider, adapter: ProviderAdapter, config: ProviderConfig) => Promise<T>
 ): Promise<OrchestrationResult<T>> {
   // Step 1: Get connected providers in connection order
   const providers = await getConnectedProvidersForOrg(orgId);
@@ -274,6 +279,12 @@ export async function runWithConnectedProviders<T>(
 
   // Step 3: Try each provider in connection order
   for (const provider of providers) {
+    const adapter = getProviderAdapter(provider.provider_type);
+    if (!adapter) {
+      console.warn(`[ai-orchestrator] No adapter for provider ${provider.provider_type}, skipping`);
+      continue;
+    }
+
     logAttempt(operation, provider.provider_type, 'attempting');
 
     try {
@@ -281,7 +292,7 @@ export async function runWithConnectedProviders<T>(
       const apiKey = decryptApiKey(provider.api_key_encrypted);
 
       // Call the provider
-      const result = await callProvider(provider, apiKey);
+      const result = await callProvider(provider, adapter, providerConfig(provider, apiKey));
 
       logAttempt(operation, provider.provider_type, 'success');
 
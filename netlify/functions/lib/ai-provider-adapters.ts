@@ -0,0 +1,636 @@
+/**
+ * AI Provider Adapters
+ *
+ * One adapter per provider type behind a common interface. Every AI
+ * endpoint (ai-assistant, ai-assistant-stream, ai-insights,
+ * ai-revenue-health, llm-query, ai-readiness, save-ai-provider) and
+ * runWithConnectedProviders in ai-orchestrator.ts talk to providers only
+ * through these, so adding a provider means writing one adapter and
+ * listing it in PROVIDER_ADAPTERS (its type must be in ALLOWED_PROVIDERS).
+ *
+ * - complete:    one request/response turn
+ * - stream:      incremental text through onText; resolves with the full text
+ * - listModels:  model ids the key can use
+ * - validateKey: cheap authenticated request to check a key before saving it
+ *
+ * Messages are `{ role: 'user' | 'assistant', content }` chat turns. Turns
+ * already in the provider's own format (tool calls and results appended by
+ * the lib/ai-tools.ts codecs) are passed through unchanged; the system
+ * prompt goes where each provider expects it.
+ *
+ * Non-2xx responses throw ProviderAPIError. Its message keeps the
+ * "<Provider> API error: <status> - <body>" shape that classifyError
+ * (ai-fallback.ts) and classifyAIError (ai-spine.ts) parse.
+ *
+ * USAGE:
+ * ```typescript
+ * const adapter = getProviderAdapter(provider.provider_type);
+ * const config = providerConfig(provider, decryptApiKey(provider.api_key_encrypted));
+ *
+ * const { text } = await adapter.complete(config, { system, messages: [{ role: 'user', content: prompt }] });
+ * const full = await adapter.stream(config, { system, messages }, delta => send(delta));
+ * const { valid, error } = await adapter.validateKey({ apiKey });
+ * ```
+ */
+
+import { withTimeout, TIMEOUTS, TimeoutError } from './timeout-wrapper';
+import { getDefaultModel } from './ai-models';
+import { decrypt } from './encryption';
+import { validateWebhookURL } from './ssrf-protection';
+import { PROVIDER_DISPLAY_NAMES, type AllowedProviderType } from './provider-registry';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export interface ProviderConfig {
+  /** Decrypted API key */
+  apiKey: string;
+  /** ai_providers.model - the adapter's default model when empty */
+  model?: string | null;
+  /** Custom endpoints: ai_providers.base_url */
+  baseUrl?: string | null;
+  /** Custom endpoints: decrypted extra request headers */
+  headers?: Record<string, string>;
+}
+
+export interface ChatMessage {
+  role: 'user' | 'assistant';
+  content: string;
+}
+
+export interface CompletionRequest {
+  system?: string;
+  /** ChatMessage turns, or provider-native turns (passed through) */
+  messages: any[];
+  maxTokens?: number;
+  temperature?: number;
+  /** Ask for a JSON object answer where the provider supports it */
+  json?: boolean;
+  /** Provider-specific body fields, e.g. tool definitions from lib/ai-tools.ts */
+  extra?: Record<string, unknown>;
+  /** Don't throw when the answer has no text (tool-call turns) */
+  allowEmptyText?: boolean;
+  /** complete: whole request. Default TIMEOUTS.AI_PROVIDER */
+  timeoutMs?: number;
+  /** stream: until the response starts. Default STREAM_CONNECT_TIMEOUT */
+  connectTimeoutMs?: number;
+  /** stream: between two chunks. Default STREAM_CHUNK_TIMEOUT */
+  chunkTimeoutMs?: number;
+}
+
+export interface CompletionResult {
+  text: string;
+  /** Parsed provider response */
+  raw: any;
+  usage: { inputTokens: number; outputTokens: number };
+}
+
+export interface KeyValidation {
+  valid: boolean;
+  error?: string;
+  status?: number;
+}
+
+export interface ProviderAdapter {
+  type: AllowedProviderType;
+  /** Name used in user-facing messages ("ChatGPT") */
+  displayName: string;
+  /** Name used in error messages and logs ("OpenAI") */
+  apiName: string;
+  defaultModel: string;
+  complete(config: ProviderConfig, request: CompletionRequest): Promise<CompletionResult>;
+  stream(config: ProviderConfig, request: CompletionRequest, onText: (text: string) => void): Promise<string>;
+  listModels(config: ProviderConfig, options?: { timeoutMs?: number }): Promise<string[]>;
+  validateKey(config: ProviderConfig): Promise<KeyValidation>;
+}
+
+export class ProviderAPIError extends Error {
+  public readonly provider: string;
+  public readonly status: number;
+  public readonly details: string;
+
+  constructor(adapter: { type: string; apiName: string }, status: number, details: string) {
+    super(`${adapter.apiName} API error: ${status} - ${details.slice(0, 500)}`);
+    this.name = 'ProviderAPIError';
+    this.provider = adapter.type;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DEFAULT_MAX_TOKENS = 1000;
+const DEFAULT_TEMPERATURE = 0.7;
+
+const STREAM_CONNECT_TIMEOUT = 60000;
+const STREAM_CHUNK_TIMEOUT = 45000;
+const VALIDATE_KEY_TIMEOUT = 8000;
+
+// Redirects are never followed: an allowlisted custom endpoint must not be
+// able to bounce a request (and its credentials) to another host. A 3xx
+// fails like any other error status.
+const REDIRECT_POLICY: RequestRedirect = 'manual';
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const ANTHROPIC_BASE_URL = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2024-01-01';
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+// ============================================================================
+// HTTP
+// ============================================================================
+
+const modelFor = (adapter: ProviderAdapter, config: ProviderConfig) => config.model || adapter.defaultModel;
+
+async function throwIfFailed(adapter: ProviderAdapter, response: Response): Promise<void> {
+  if (response.ok) return;
+  if (response.status >= 300 && response.status < 400) {
+    throw new ProviderAPIError(adapter, response.status, `Redirect to ${response.headers.get('location') || 'another URL'} was not followed`);
+  }
+  const details = await response.text().catch(() => '');
+  throw new ProviderAPIError(adapter, response.status, details);
+}
+
+async function postJson(adapter: ProviderAdapter, url: string, headers: Record<string, string>, body: unknown, timeoutMs?: number): Promise<any> {
+  const response = await withTimeout(
+    fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      redirect: REDIRECT_POLICY
+    }),
+    timeoutMs ?? TIMEOUTS.AI_PROVIDER,
+    `${adapter.apiName} API call`
+  );
+  await throwIfFailed(adapter, response);
+  return response.json();
+}
+
+async function getJson(adapter: ProviderAdapter, url: string, headers: Record<string, string>, timeoutMs = VALIDATE_KEY_TIMEOUT): Promise<any> {
+  const response = await withTimeout(fetch(url, { headers, redirect: REDIRECT_POLICY }), timeoutMs, `${adapter.apiName} models`);
+  await throwIfFailed(adapter, response);
+  return response.json();
+}
+
+/**
+ * POST a streaming request and hand each server-sent event's data to onData.
+ * Aborts if the response doesn't start within connectTimeoutMs; a chunk
+ * that takes longer than chunkTimeoutMs throws TimeoutError.
+ */
+async function postServerSentEvents(
+  adapter: ProviderAdapter,
+  url: string,
+  headers: Record<string, string>,
+  body: unknown,
+  request: CompletionRequest,
+  onData: (data: any) => void
+): Promise<void> {
+  const abortController = new AbortController();
+  const connectTimer = setTimeout(() => abortController.abort(), request.connectTimeoutMs ?? STREAM_CONNECT_TIMEOUT);
+
+  let response: Response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: abortController.signal,
+      redirect: REDIRECT_POLICY
+    });
+  } finally {
+    clearTimeout(connectTimer);
+  }
+  await throwIfFailed(adapter, response);
+
+  const reader = response.body!.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handleLine = (line: string) => {
+    if (!line.startsWith('data:')) return;
+    const data = line.slice(5).trim();
+    if (!data || data === '[DONE]') return;
+    try {
+      onData(JSON.parse(data));
+    } catch (error) {
+      console.error(`[ai-provider-adapters] ${adapter.apiName} stream parse error:`, error);
+    }
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await withTimeout(
+        reader.read(),
+        request.chunkTimeoutMs ?? STREAM_CHUNK_TIMEOUT,
+        'AI stream chunk read'
+      );
+      if (done) break;
+
+      // Events can be split across chunks - only complete lines are parsed
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop() || '';
+      lines.forEach(line => handleLine(line.trim()));
+    }
+    handleLine(buffer.trim());
+  } catch (error) {
+    await reader.cancel().catch(() => undefined);
+    throw error;
+  }
+}
+
+/**
+ * Key check shared by the adapters: list the models with the key.
+ * Rate limits and timeouts don't prove the key is wrong, so they pass.
+ */
+function validateWithModelList(adapter: ProviderAdapter, config: ProviderConfig): Promise<KeyValidation> {
+  return validateWithRequest(() => adapter.listModels(config, { timeoutMs: VALIDATE_KEY_TIMEOUT }));
+}
+
+async function validateWithRequest(probe: () => Promise<unknown>): Promise<KeyValidation> {
+  try {
+    await probe();
+    return { valid: true };
+  } catch (error: any) {
+    if (error instanceof TimeoutError) return { valid: true };
+    if (error instanceof ProviderAPIError) {
+      if (error.status === 429) return { valid: true, status: 429 };
+      if (error.status === 401 || error.status === 403) {
+        return { valid: false, status: error.status, error: 'API key is invalid or unauthorized' };
+      }
+      return { valid: false, status: error.status, error: `Provider returned ${error.status}` };
+    }
+    return { valid: false, error: error?.message || 'Key check failed' };
+  }
+}
+
+const emptyTextError = (adapter: ProviderAdapter) => new Error(`${adapter.apiName} returned invalid response structure`);
+
+// ============================================================================
+// OPENAI
+// ============================================================================
+
+/**
+ * Adapter for the OpenAI chat completions API at a base URL. Used by
+ * OpenAI itself and by custom OpenAI-compatible endpoints.
+ */
+function openAICompatibleAdapter(options: {
+  type: AllowedProviderType;
+  displayName: string;
+  apiName: string;
+  defaultModel: string;
+  baseUrl: (config: ProviderConfig) => Promise<string>;
+  headers: (config: ProviderConfig) => Record<string, string>;
+  validateKey?: (adapter: ProviderAdapter, config: ProviderConfig) => Promise<KeyValidation>;
+}): ProviderAdapter {
+  const { baseUrl, headers } = options;
+
+  return {
+    type: options.type,
+    displayName: options.displayName,
+    apiName: options.apiName,
+    defaultModel: options.defaultModel,
+
+    async complete(config, request) {
+      const url = endpointUrl(await baseUrl(config), '/chat/completions');
+      const data = await postJson(this, url, headers(config), openaiBody(this, config, request), request.timeoutMs);
+      const text = data?.choices?.[0]?.message?.content || '';
+      if (!text && !request.allowEmptyText) throw emptyTextError(this);
+      return {
+        text,
+        raw: data,
+        usage: { inputTokens: data?.usage?.prompt_tokens || 0, outputTokens: data?.usage?.completion_tokens || 0 }
+      };
+    },
+
+    async stream(config, request, onText) {
+      const url = endpointUrl(await baseUrl(config), '/chat/completions');
+      let text = '';
+      await postServerSentEvents(this, url, headers(config), {
+        ...openaiBody(this, config, request),
+        stream: true
+      }, request, data => {
+        const delta = data?.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onText(delta);
+        }
+      });
+      return text;
+    },
+
+    async listModels(config, listOptions = {}) {
+      const data = await getJson(this, endpointUrl(await baseUrl(config), '/models'), headers(config), listOptions.timeoutMs);
+      return (data?.data || []).map((model: any) => model.id);
+    },
+
+    validateKey(config) {
+      return options.validateKey ? options.validateKey(this, config) : validateWithModelList(this, config);
+    }
+  };
+}
+
+/**
+ * Append an API path to a base URL, keeping its query string
+ * (Azure OpenAI base URLs carry ?api-version=...)
+ */
+function endpointUrl(baseUrl: string, path: string): string {
+  const url = new URL(baseUrl);
+  url.pathname = `${url.pathname.replace(/\/+$/, '')}${path}`;
+  return url.toString();
+}
+
+const openai = openAICompatibleAdapter({
+  type: 'openai',
+  displayName: PROVIDER_DISPLAY_NAMES.openai,
+  apiName: 'OpenAI',
+  defaultModel: getDefaultModel('openai'),
+  baseUrl: async () => OPENAI_BASE_URL,
+  headers: openaiHeaders
+});
+
+function openaiHeaders(config: ProviderConfig): Record<string, string> {
+  return { Authorization: `Bearer ${config.apiKey}` };
+}
+
+function openaiBody(adapter: ProviderAdapter, config: ProviderConfig, request: CompletionRequest) {
+  return {
+    model: modelFor(adapter, config),
+    messages: [
+      ...(request.system ? [{ role: 'system', content: request.system }] : []),
+      ...request.messages
+    ],
+    temperature: request.temperature ?? DEFAULT_TEMPERATURE,
+    max_tokens: request.maxTokens ?? DEFAULT_MAX_TOKENS,
+    ...(request.json && { response_format: { type: 'json_object' } }),
+    ...request.extra
+  };
+}
+
+// ============================================================================
+// ANTHROPIC
+// ============================================================================
+
+const anthropic: ProviderAdapter = {
+  type: 'anthropic',
+  displayName: PROVIDER_DISPLAY_NAMES.anthropic,
+  apiName: 'Anthropic',
+  defaultModel: getDefaultModel('anthropic'),
+
+  async complete(config, request) {
+    const data = await postJson(this, `${ANTHROPIC_BASE_URL}/messages`, anthropicHeaders(config), anthropicBody(this, config, request), request.timeoutMs);
+    // Tool-use turns mix text and tool_use blocks
+    const text = (data?.content || [])
+      .filter((block: any) => block.type === 'text')
+      .map((block: any) => block.text)
+      .join('');
+    if (!text && !request.allowEmptyText) throw emptyTextError(this);
+    return {
+      text,
+      raw: data,
+      usage: { inputTokens: data?.usage?.input_tokens || 0, outputTokens: data?.usage?.output_tokens || 0 }
+    };
+  },
+
+  async stream(config, request, onText) {
+    let text = '';
+    await postServerSentEvents(this, `${ANTHROPIC_BASE_URL}/messages`, anthropicHeaders(config), {
+      ...anthropicBody(this, config, request),
+      stream: true
+    }, request, data => {
+      if (data?.type === 'content_block_delta' && data.delta?.text) {
+        text += data.delta.text;
+        onText(data.delta.text);
+      }
+    });
+    return text;
+  },
+
+  async listModels(config, options = {}) {
+    const data = await getJson(this, `${ANTHROPIC_BASE_URL}/models`, anthropicHeaders(config), options.timeoutMs);
+    return (data?.data || []).map((model: any) => model.id);
+  },
+
+  validateKey(config) {
+    return validateWithModelList(this, config);
+  }
+};
+
+function anthropicHeaders(config: ProviderConfig): Record<string, string> {
+  return { 'x-api-key': config.apiKey, 'anthropic-version': ANTHROPIC_VERSION };
+}
+
+function anthropicBody(adapter: ProviderAdapter, config: ProviderConfig, request: CompletionRequest) {
+  return {
+    model: modelFor(adapter, config),
+    max_tokens: request.maxTokens ?? DEFAULT_MAX_TOKENS,
+    temperature: request.temperature ?? DEFAULT_TEMPERATURE,
+    ...(request.system && { system: request.system }),
+    messages: request.messages,
+    ...request.extra
+  };
+}
+
+// ============================================================================
+// GEMINI
+// ============================================================================
+
+const google: ProviderAdapter = {
+  type: 'google',
+  displayName: PROVIDER_DISPLAY_NAMES.google,
+  apiName: 'Gemini',
+  defaultModel: getDefaultModel('google'),
+
+  async complete(config, request) {
+    const url = `${GEMINI_BASE_URL}/models/${modelFor(this, config)}:generateContent?key=${encodeURIComponent(config.apiKey)}`;
+    const data = await postJson(this, url, {}, geminiBody(request), request.timeoutMs);
+    const text = geminiText(data);
+    if (!text && !request.allowEmptyText) throw emptyTextError(this);
+    return {
+      text,
+      raw: data,
+      usage: {
+        inputTokens: data?.usageMetadata?.promptTokenCount || 0,
+        outputTokens: data?.usageMetadata?.candidatesTokenCount || 0
+      }
+    };
+  },
+
+  async stream(config, request, onText) {
+    const url = `${GEMINI_BASE_URL}/models/${modelFor(this, config)}:streamGenerateContent?alt=sse&key=${encodeURIComponent(config.apiKey)}`;
+    let text = '';
+    await postServerSentEvents(this, url, {}, geminiBody(request), request, data => {
+      const delta = geminiText(data);
+      if (delta) {
+        text += delta;
+        onText(delta);
+      }
+    });
+    return text;
+  },
+
+  async listModels(config, options = {}) {
+    const data = await getJson(this, `${GEMINI_BASE_URL}/models?key=${encodeURIComponent(config.apiKey)}`, {}, options.timeoutMs);
+    return (data?.models || [])
+      .filter((model: any) => !model.supportedGenerationMethods || model.supportedGenerationMethods.includes('generateContent'))
+      .map((model: any) => String(model.name).replace(/^models\//, ''));
+  },
+
+  validateKey(config) {
+    return validateWithModelList(this, config);
+  }
+};
+
+function geminiText(data: any): string {
+  return (data?.candidates?.[0]?.content?.parts || [])
+    .map((part: any) => part.text || '')
+    .join('');
+}
+
+function geminiBody(request: CompletionRequest) {
+  return {
+    ...(request.system && { systemInstruction: { parts: [{ text: request.system }] } }),
+    contents: request.messages.map(message =>
+      message.parts ? message : { role: message.role === 'assistant' ? 'model' : 'user', parts: [{ text: message.content }] }
+    ),
+    generationConfig: {
+      temperature: request.temperature ?? DEFAULT_TEMPERATURE,
+      maxOutputTokens: request.maxTokens ?? DEFAULT_MAX_TOKENS,
+      ...(request.json && { responseMimeType: 'application/json' })
+    },
+    ...request.extra
+  };
+}
+
+// ============================================================================
+// CUSTOM ENDPOINT
+// ============================================================================
+
+/**
+ * An OpenAI-compatible gateway chosen by the organization (vLLM, Ollama,
+ * Azure OpenAI, an internal proxy). The base URL was checked against the
+ * organization's AI endpoint allowlist when it was saved (save-ai-provider)
+ * and the provider is deactivated when its host leaves the allowlist
+ * (ai-endpoint-allowlist); every request re-checks it for https and
+ * private or metadata addresses.
+ */
+const custom = openAICompatibleAdapter({
+  type: 'custom',
+  displayName: PROVIDER_DISPLAY_NAMES.custom,
+  apiName: 'Custom endpoint',
+  // The model is required when a custom endpoint is saved
+  defaultModel: '',
+  baseUrl: async config => {
+    if (!config.baseUrl) throw new Error('Custom endpoint has no base URL. Please re-save the provider.');
+    const check = await validateWebhookURL(config.baseUrl);
+    if (!check.allowed) throw new Error(`Custom endpoint URL is not allowed: ${check.reason}`);
+    if (new URL(config.baseUrl).protocol !== 'https:') throw new Error('Custom endpoint URL must use https');
+    return config.baseUrl;
+  },
+  // Key-less gateways (local vLLM/Ollama behind a proxy) get no Authorization header;
+  // configured headers come last so e.g. Azure's api-key header can be used instead
+  headers: config => ({
+    ...(config.apiKey && { Authorization: `Bearer ${config.apiKey}` }),
+    ...config.headers
+  }),
+  // Not every gateway serves /models (Azure deployments don't), so ask for one token
+  validateKey: (adapter, config) => validateWithRequest(() => adapter.complete(config, {
+    messages: [{ role: 'user', content: 'ping' }],
+    maxTokens: 1,
+    allowEmptyText: true,
+    timeoutMs: VALIDATE_KEY_TIMEOUT
+  }))
+});
+
+const CUSTOM_HEADER_NAME = /^[A-Za-z0-9-]{1,64}$/;
+const MAX_CUSTOM_HEADERS = 10;
+const MAX_CUSTOM_HEADER_VALUE_LENGTH = 2000;
+// Set by fetch or by the adapter itself
+const RESERVED_HEADERS = ['host', 'content-type', 'content-length', 'connection', 'transfer-encoding', 'cookie'];
+
+/**
+ * Validate the extra request headers of a custom endpoint
+ * ({ "api-key": "..." }). Returns the trimmed headers or an error message.
+ */
+export function normalizeCustomHeaders(input: unknown): { headers?: Record<string, string>; error?: string } {
+  if (input === undefined || input === null) return { headers: {} };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'headers must be an object of header names and values' };
+
+  const entries = Object.entries(input as Record<string, unknown>);
+  if (entries.length > MAX_CUSTOM_HEADERS) return { error: `At most ${MAX_CUSTOM_HEADERS} headers are allowed` };
+
+  const headers: Record<string, string> = {};
+  for (const [name, value] of entries) {
+    const trimmedName = name.trim();
+    if (!CUSTOM_HEADER_NAME.test(trimmedName)) return { error: `Invalid header name: ${name}` };
+    if (RESERVED_HEADERS.includes(trimmedName.toLowerCase())) return { error: `Header ${trimmedName} can't be set` };
+    if (typeof value !== 'string' || /[\r\n]/.test(value) || value.length > MAX_CUSTOM_HEADER_VALUE_LENGTH) {
+      return { error: `Invalid value for header ${trimmedName}` };
+    }
+    headers[trimmedName] = value.trim();
+  }
+  return { headers };
+}
+
+/**
+ * ProviderConfig for an ai_providers row and its decrypted key. Custom
+ * endpoints also get their base URL and decrypted headers.
+ */
+export function providerConfig(
+  provider: { provider_type: string; model?: string | null; base_url?: string | null; custom_headers_encrypted?: string | null },
+  apiKey: string
+): ProviderConfig {
+  if (provider.provider_type !== 'custom') {
+    return { apiKey, model: provider.model };
+  }
+  return {
+    apiKey,
+    model: provider.model,
+    baseUrl: provider.base_url,
+    headers: provider.custom_headers_encrypted ? JSON.parse(decrypt(provider.custom_headers_encrypted)) : {}
+  };
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+export const PROVIDER_ADAPTERS: Record<AllowedProviderType, ProviderAdapter> = {
+  openai,
+  anthropic,
+  google,
+  custom
+};
+
+/**
+ * Adapter for a provider type, or null when the type isn't supported
+ */
+export function getProviderAdapter(providerType: string): ProviderAdapter | null {
+  return PROVIDER_ADAPTERS[providerType as AllowedProviderType] || null;
+}
+
+/**
+ * Turn stored history ({ role, content } rows) plus the new question into
+ * chat turns, dropping anything without text
+ */
+export function toChatMessages(history: any[], message: string): ChatMessage[] {
+  return [
+    ...(history || [])
+      .filter(turn => (turn?.role === 'user' || turn?.role === 'assistant') && turn.content)
+      .map(turn => ({ role: turn.role, content: String(turn.content) })),
+    { role: 'user', content: message }
+  ];
+}
+
+export default {
+  PROVIDER_ADAPTERS,
+  getProviderAdapter,
+  toChatMessages,
+  providerConfig,
+  normalizeCustomHeaders,
+  ProviderAPIError
+};
@@ -0,0 +1,327 @@
+/**
+ * AI Conversation Threads
+ *
+ * Storage for Mission Control threads (ai_threads, ai_thread_messages).
+ * Titles, history trimming and search snippets live in
+ * src/config/aiThreads.js so the sidebar and the server agree.
+ *
+ * USAGE:
+ * ```typescript
+ * const access = await loadThread(supabase, threadId, { organizationId, userId });
+ * if (!access || access.readOnly) return 404;
+ *
+ * const history = await loadThreadHistory(supabase, threadId);
+ * // ... ask the provider ...
+ * await appendThreadExchange(supabase, access.thread, { question, answer, provider });
+ * ```
+ *
+ * appendThreadExchange never throws - a failed write is logged and the
+ * answer is still returned.
+ */
+
+import {
+  AI_THREAD_LIMITS,
+  DEFAULT_THREAD_TITLE,
+  buildSearchSnippet,
+  deriveThreadTitle,
+  toConversationHistory
+} from '../../../src/config/aiThreads';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export interface AIThread {
+  id: string;
+  organizationId: string;
+  ownerId: string;
+  title: string;
+  titleIsCustom: boolean;
+  pinned: boolean;
+  shared: boolean;
+  messageCount: number;
+  lastMessageAt: string | null;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface AIThreadMessage {
+  id: string;
+  role: 'user' | 'assistant';
+  content: string;
+  provider: string | null;
+  metadata: Record<string, unknown>;
+  createdAt: string;
+}
+
+export interface AIThreadSearchResult {
+  threadId: string;
+  threadTitle: string;
+  shared: boolean;
+  messageId: string;
+  role: 'user' | 'assistant';
+  snippet: string;
+  createdAt: string;
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const AI_THREAD_COLUMNS =
+  'id, organization_id, user_id, title, title_is_custom, pinned, shared, message_count, last_message_at, created_at, updated_at';
+
+export const AI_THREAD_MESSAGE_COLUMNS = 'id, role, content, provider, metadata, created_at';
+
+// ============================================================================
+// MAPPING
+// ============================================================================
+
+export function toAIThread(row: any): AIThread {
+  return {
+    id: row.id,
+    organizationId: row.organization_id,
+    ownerId: row.user_id,
+    title: row.title || DEFAULT_THREAD_TITLE,
+    titleIsCustom: Boolean(row.title_is_custom),
+    pinned: Boolean(row.pinned),
+    shared: Boolean(row.shared),
+    messageCount: row.message_count ?? 0,
+    lastMessageAt: row.last_message_at ?? null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+export function toAIThreadMessage(row: any): AIThreadMessage {
+  return {
+    id: row.id,
+    role: row.role,
+    content: row.content,
+    provider: row.provider ?? null,
+    metadata: row.metadata && typeof row.metadata === 'object' ? row.metadata : {},
+    createdAt: row.created_at
+  };
+}
+
+// ============================================================================
+// THREADS
+// ============================================================================
+
+export async function createThread(
+  supabase: any,
+  options: { organizationId: string; userId: string; title?: string | null }
+): Promise<AIThread> {
+  const { data, error } = await supabase
+    .from('ai_threads')
+    .insert({
+      organization_id: options.organizationId,
+      user_id: options.userId,
+      title: options.title || DEFAULT_THREAD_TITLE,
+      title_is_custom: Boolean(options.title)
+    })
+    .select(AI_THREAD_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return toAIThread(data);
+}
+
+/**
+ * A thread the user may read: their own (writable), or one shared in their
+ * organization (read-only). Null when missing or not visible to them.
+ */
+export async function loadThread(
+  supabase: any,
+  threadId: string,
+  viewer: { organizationId: string; userId: string }
+): Promise<{ thread: AIThread; readOnly: boolean } | null> {
+  const { data, error } = await supabase
+    .from('ai_threads')
+    .select(AI_THREAD_COLUMNS)
+    .eq('id', threadId)
+    .eq('organization_id', viewer.organizationId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  const thread = toAIThread(data);
+  if (thread.ownerId === viewer.userId) return { thread, readOnly: false };
+  return thread.shared ? { thread, readOnly: true } : null;
+}
+
+/**
+ * The user's threads (pinned first, then most recent) and the threads
+ * teammates shared with the organization
+ */
+export async function listThreads(
+  supabase: any,
+  viewer: { organizationId: string; userId: string }
+): Promise<{ threads: AIThread[]; shared: AIThread[] }> {
+  const [own, shared] = await Promise.all([
+    supabase
+      .from('ai_threads')
+      .select(AI_THREAD_COLUMNS)
+      .eq('organization_id', viewer.organizationId)
+      .eq('user_id', viewer.userId)
+      .order('pinned', { ascending: false })
+      .order('updated_at', { ascending: false })
+      .limit(AI_THREAD_LIMITS.LIST_PAGE_SIZE),
+    supabase
+      .from('ai_threads')
+      .select(AI_THREAD_COLUMNS)
+      .eq('organization_id', viewer.organizationId)
+      .eq('shared', true)
+      .neq('user_id', viewer.userId)
+      .order('updated_at', { ascending: false })
+      .limit(AI_THREAD_LIMITS.LIST_PAGE_SIZE)
+  ]);
+
+  if (own.error) throw own.error;
+  if (shared.error) throw shared.error;
+
+  return {
+    threads: (own.data || []).map(toAIThread),
+    shared: (shared.data || []).map(toAIThread)
+  };
+}
+
+// ============================================================================
+// MESSAGES
+// ============================================================================
+
+/**
+ * Messages of a thread, oldest first. With `limit`, the most recent ones.
+ */
+export async function loadThreadMessages(
+  supabase: any,
+  threadId: string,
+  options: { limit?: number } = {}
+): Promise<AIThreadMessage[]> {
+  let query = supabase
+    .from('ai_thread_messages')
+    .select(AI_THREAD_MESSAGE_COLUMNS)
+    .eq('thread_id', threadId)
+    .order('created_at', { ascending: !options.limit });
+
+  if (options.limit) query = query.limit(options.limit);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const messages = (data || []).map(toAIThreadMessage);
+  return options.limit ? messages.reverse() : messages;
+}
+
+/**
+ * Recent messages as provider conversation history
+ */
+export async function loadThreadHistory(supabase: any, threadId: string) {
+  const messages = await loadThreadMessages(supabase, threadId, { limit: AI_THREAD_LIMITS.HISTORY_MESSAGES });
+  return toConversationHistory(messages);
+}
+
+/**
+ * Append a question and its answer, and name an untitled thread after its
+ * first question. Never throws.
+ */
+export async function appendThreadExchange(
+  supabase: any,
+  thread: AIThread,
+  exchange: { question: string; answer: string; provider?: string | null; metadata?: Record<string, unknown> }
+): Promise<void> {
+  try {
+    // Explicit timestamps keep the question ahead of its answer
+    const askedAt = new Date();
+    const answeredAt = new Date(askedAt.getTime() + 1);
+    const clip = (text: string) => String(text || '').slice(0, AI_THREAD_LIMITS.MESSAGE_MAX_LENGTH);
+
+    const { error: insertError } = await supabase
+      .from('ai_thread_messages')
+      .insert([
+        {
+          thread_id: thread.id,
+          organization_id: thread.organizationId,
+          role: 'user',
+          content: clip(exchange.question),
+          created_at: askedAt.toISOString()
+        },
+        {
+          thread_id: thread.id,
+          organization_id: thread.organizationId,
+          role: 'assistant',
+          content: clip(exchange.answer),
+          provider: exchange.provider || null,
+          metadata: exchange.metadata || {},
+          created_at: answeredAt.toISOString()
+        }
+      ]);
+
+    if (insertError) {
+      console.error('[ai-threads] Failed to save exchange:', { threadId: thread.id, error: insertError.message });
+      return;
+    }
+
+    // Counted and titled in the database - the loaded thread is stale when
+    // another exchange on it finished in the meantime
+    const { error: updateError } = await supabase.rpc('record_ai_thread_exchange', {
+      p_thread_id: thread.id,
+      p_title: deriveThreadTitle(exchange.question),
+      p_message_at: answeredAt.toISOString()
+    });
+
+    if (updateError) {
+      console.error('[ai-threads] Failed to update thread:', { threadId: thread.id, error: updateError.message });
+    }
+  } catch (error: any) {
+    console.error('[ai-threads] Exception while saving exchange:', error?.message);
+  }
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+/**
+ * Full-text search over the messages of the user's own threads and of
+ * threads shared in their organization, newest first
+ */
+export async function searchThreads(
+  supabase: any,
+  viewer: { organizationId: string; userId: string },
+  query: string
+): Promise<AIThreadSearchResult[]> {
+  const { data, error } = await supabase
+    .from('ai_thread_messages')
+    .select('id, role, content, created_at, thread:ai_threads!inner(id, title, user_id, shared)')
+    .eq('organization_id', viewer.organizationId)
+    .or(`user_id.eq.${viewer.userId},shared.eq.true`, { referencedTable: 'ai_threads' })
+    .textSearch('search_vector', query, { type: 'websearch', config: 'english' })
+    .order('created_at', { ascending: false })
+    .limit(AI_THREAD_LIMITS.SEARCH_MAX_RESULTS);
+
+  if (error) throw error;
+
+  return (data || []).map((row: any) => ({
+    threadId: row.thread.id,
+    threadTitle: row.thread.title || DEFAULT_THREAD_TITLE,
+    shared: row.thread.user_id !== viewer.userId,
+    messageId: row.id,
+    role: row.role,
+    snippet: buildSearchSnippet(row.content, query),
+    createdAt: row.created_at
+  }));
+}
+
+export default {
+  toAIThread,
+  toAIThreadMessage,
+  createThread,
+  loadThread,
+  listThreads,
+  loadThreadMessages,
+  loadThreadHistory,
+  appendThreadExchange,
+  searchThreads
+};
@@ -0,0 +1,662 @@
+/**
+ * AI Assistant Tools
+ *
+ * Provider-agnostic tool calling for ai-assistant. Tool definitions live in
+ * src/config/aiTools.js; this module translates them to each provider's
+ * wire format (codecs), runs the call/answer loop and dispatches tools.
+ *
+ * Read tools (search_deals, get_deal_history, get_targets) run immediately.
+ * Write tools (move_deal_stage, set_next_step, assign_deal, log_activity)
+ * are validated and returned as proposed actions; nothing changes until the
+ * user confirms the card and ai-actions calls applyAction.
+ *
+ * Both paths check the member's role against the tool's permission (rbac.ts)
+ * and go through the regular deal endpoints (update-deal, assign-deals,
+ * deal-activities, get-deal-history, user-targets-get) with the caller's own
+ * auth headers, so every endpoint check, history record and webhook applies.
+ *
+ * USAGE:
+ * ```typescript
+ * const { data, proposedActions } = await runToolLoop({
+ *   providerType: 'openai',
+ *   messages,
+ *   send: (messages, toolFields) => postToOpenAI({ messages, ...toolFields }),
+ *   context: { supabase, organizationId, userId, role, request: req }
+ * });
+ *
+ * // later, from ai-actions:
+ * const proposal = await proposeAction(tool, args, context);
+ * if ('action' in proposal) await applyAction(proposal.action, context);
+ * ```
+ */
+
+import { randomUUID } from 'crypto';
+import { hasPermission, type Permission, type Role } from './rbac';
+import { applyDealFilters, type DealFilters } from './deal-query';
+import { isValidStageFormat } from './invariant-validator';
+import { loadStageDefinitions } from './stage-definitions';
+import {
+  AI_TOOLS,
+  AI_TOOL_LIMITS,
+  NEXT_STEP_MAX_LENGTH,
+  isWriteTool
+} from '../../../src/config/aiTools';
+import { ACTIVITY_TYPES, ACTIVITY_TYPE_LABELS } from '../../../src/config/activityConfig';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export interface ToolContext {
+  supabase: any;
+  organizationId: string;
+  userId: string;
+  /** team_members.role of the user in organizationId */
+  role: string;
+  /** The incoming request - its auth headers are forwarded to the deal endpoints */
+  request: Request;
+}
+
+export interface ToolCall {
+  id: string;
+  name: string;
+  args: Record<string, any>;
+}
+
+export interface ToolResult {
+  id: string;
+  name: string;
+  /** JSON text sent back to the model */
+  content: string;
+}
+
+export interface ProposedAction {
+  id: string;
+  tool: string;
+  /** Normalized arguments - sent back unchanged by the confirmation card */
+  args: Record<string, any>;
+  label: string;
+  summary: string;
+  dealId: string;
+  dealName: string;
+}
+
+export type ProposalResult =
+  | { action: ProposedAction }
+  | { error: string; code: 'FORBIDDEN' | 'INVALID_INPUT' | 'NOT_FOUND' };
+
+export interface ActionResult {
+  ok: boolean;
+  status: number;
+  error?: string;
+  /** Endpoint response body (deal / activity) when ok */
+  payload?: any;
+}
+
+/**
+ * Translates tool definitions, calls and results to one provider's format
+ */
+export interface ToolCodec {
+  /** Request fields offering `tools`; `final` asks for a text answer */
+  requestFields(tools: ToolDefinition[], final: boolean): Record<string, unknown>;
+  readCalls(data: any, round: number): ToolCall[];
+  /** Append the model's tool-call turn and the results to the message list */
+  appendResults(messages: any[], data: any, results: ToolResult[]): void;
+}
+
+interface ToolDefinition {
+  name: string;
+  description: string;
+  parameters: { type: 'object'; properties: Record<string, any>; required?: string[] };
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const SEARCH_DEAL_COLUMNS =
+  'id, client, value, stage, status, assigned_to, last_activity, expected_close_date, next_step, next_step_due';
+
+const DEAL_STATUSES = ['active', 'won', 'lost', 'disqualified'];
+
+const AWAITING_CONFIRMATION_NOTE =
+  'Shown to the user as a confirmation card. It has NOT been applied - ask the user to confirm it.';
+
+// Endpoints are loaded on first use so the assistant doesn't pay for them
+// on answers that never call a tool
+const ENDPOINTS: Record<string, () => Promise<any>> = {
+  'update-deal': () => import('../update-deal.mts'),
+  'assign-deals': () => import('../assign-deals.mts'),
+  'deal-activities': () => import('../deal-activities.mts'),
+  'get-deal-history': () => import('../get-deal-history.mts'),
+  'user-targets-get': () => import('../user-targets-get.mts')
+};
+
+const FORWARDED_HEADERS = ['authorization', 'cookie', 'origin'];
+
+// ============================================================================
+// CODECS
+// ============================================================================
+
+const parseArguments = (raw: unknown): Record<string, any> => {
+  if (raw && typeof raw === 'object') return raw as Record<string, any>;
+  try {
+    const parsed = JSON.parse(String(raw || '{}'));
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch {
+    return {};
+  }
+};
+
+const openaiCodec: ToolCodec = {
+  requestFields: (tools, final) => ({
+    tools: tools.map(tool => ({ type: 'function', function: tool })),
+    tool_choice: final ? 'none' : 'auto'
+  }),
+  readCalls: (data) => (data?.choices?.[0]?.message?.tool_calls || []).map((call: any) => ({
+    id: call.id,
+    name: call.function?.name,
+    args: parseArguments(call.function?.arguments)
+  })),
+  appendResults: (messages, data, results) => {
+    messages.push(data.choices[0].message);
+    for (const result of results) {
+      messages.push({ role: 'tool', tool_call_id: result.id, content: result.content });
+    }
+  }
+};
+
+const anthropicCodec: ToolCodec = {
+  requestFields: (tools, final) => ({
+    tools: tools.map(({ name, description, parameters }) => ({ name, description, input_schema: parameters })),
+    tool_choice: { type: final ? 'none' : 'auto' }
+  }),
+  readCalls: (data) => (data?.content || [])
+    .filter((block: any) => block.type === 'tool_use')
+    .map((block: any) => ({ id: block.id, name: block.name, args: parseArguments(block.input) })),
+  appendResults: (messages, data, results) => {
+    messages.push({ role: 'assistant', content: data.content });
+    messages.push({
+      role: 'user',
+      content: results.map(result => ({ type: 'tool_result', tool_use_id: result.id, content: result.content }))
+    });
+  }
+};
+
+const googleCodec: ToolCodec = {
+  requestFields: (tools, final) => ({
+    tools: [{
+      // Gemini rejects an OBJECT schema with no properties - omit it instead
+      functionDeclarations: tools.map(({ name, description, parameters }) => (
+        Object.keys(parameters.properties).length > 0 ? { name, description, parameters } : { name, description }
+      ))
+    }],
+    toolConfig: { functionCallingConfig: { mode: final ? 'NONE' : 'AUTO' } }
+  }),
+  readCalls: (data, round) => (data?.candidates?.[0]?.content?.parts || [])
+    .filter((part: any) => part.functionCall)
+    .map((part: any, index: number) => ({
+      id: part.functionCall.id || `${part.functionCall.name}-${round}-${index}`,
+      name: part.functionCall.name,
+      args: parseArguments(part.functionCall.args)
+    })),
+  appendResults: (messages, data, results) => {
+    messages.push(data.candidates[0].content);
+    messages.push({
+      role: 'user',
+      parts: results.map(result => ({ functionResponse: { name: result.name, response: { content: result.content } } }))
+    });
+  }
+};
+
+export const TOOL_CODECS: Record<string, ToolCodec> = {
+  openai: openaiCodec,
+  anthropic: anthropicCodec,
+  google: googleCodec
+};
+
+/**
+ * Tools the role may use, as provider-neutral function definitions
+ */
+export function getAvailableTools(role: string): ToolDefinition[] {
+  return Object.entries(AI_TOOLS)
+    .filter(([, tool]) => hasPermission(role as Role, tool.permission as Permission))
+    .map(([name, tool]) => ({ name, description: tool.description, parameters: tool.parameters as ToolDefinition['parameters'] }));
+}
+
+// ============================================================================
+// LOOP
+// ============================================================================
+
+const toResultContent = (output: unknown): string => {
+  const text = JSON.stringify(output);
+  return text.length > AI_TOOL_LIMITS.RESULT_MAX_CHARS
+    ? `${text.slice(0, AI_TOOL_LIMITS.RESULT_MAX_CHARS)}…(truncated)`
+    : text;
+};
+
+/**
+ * Ask the provider, run any tools it calls and ask again until it answers in
+ * text. The last round offers no further calls, so `data` is always a text
+ * answer in the provider's own response format.
+ *
+ * @param send - posts `messages` plus the codec's tool fields, returns the parsed body
+ */
+export async function runToolLoop(options: {
+  providerType: string;
+  messages: any[];
+  send: (messages: any[], toolFields: Record<string, unknown>) => Promise<any>;
+  context: ToolContext;
+  maxRounds?: number;
+}): Promise<{ data: any; proposedActions: ProposedAction[] }> {
+  const { providerType, messages, send, context, maxRounds = AI_TOOL_LIMITS.MAX_ROUNDS } = options;
+  const codec = TOOL_CODECS[providerType];
+  const tools = getAvailableTools(context.role);
+  const proposedActions: ProposedAction[] = [];
+
+  if (!codec || tools.length === 0) {
+    return { data: await send(messages, {}), proposedActions };
+  }
+
+  for (let round = 0; ; round++) {
+    const final = round >= maxRounds;
+    const data = await send(messages, codec.requestFields(tools, final));
+    const calls = final ? [] : codec.readCalls(data, round);
+    if (calls.length === 0) {
+      return { data, proposedActions };
+    }
+
+    // Every call needs a result (OpenAI rejects unanswered tool_call ids)
+    const results: ToolResult[] = [];
+    for (const [index, call] of calls.entries()) {
+      const output = index < AI_TOOL_LIMITS.MAX_CALLS_PER_ROUND
+        ? await runToolCall(call, context, proposedActions)
+        : { error: `Only ${AI_TOOL_LIMITS.MAX_CALLS_PER_ROUND} tool calls are allowed per turn` };
+      results.push({ id: call.id, name: call.name, content: toResultContent(output) });
+    }
+    codec.appendResults(messages, data, results);
+  }
+}
+
+/**
+ * Run one tool call. Errors are returned to the model (not thrown) so it can
+ * explain them or try again.
+ */
+export async function runToolCall(call: ToolCall, context: ToolContext, proposedActions: ProposedAction[]): Promise<unknown> {
+  const tool = (AI_TOOLS as Record<string, any>)[call.name];
+  if (!tool) {
+    return { error: `Unknown tool: ${call.name}` };
+  }
+
+  try {
+    if (isWriteTool(call.name)) {
+      if (proposedActions.length >= AI_TOOL_LIMITS.MAX_PROPOSED_ACTIONS) {
+        return { error: `At most ${AI_TOOL_LIMITS.MAX_PROPOSED_ACTIONS} actions can be proposed per answer` };
+      }
+      const proposal = await proposeAction(call.name, call.args, context);
+      if ('error' in proposal) {
+        return { error: proposal.error };
+      }
+      proposedActions.push(proposal.action);
+      return { status: 'awaiting_confirmation', summary: proposal.action.summary, note: AWAITING_CONFIRMATION_NOTE };
+    }
+
+    if (!hasPermission(context.role as Role, tool.permission)) {
+      return { error: `Your role (${context.role}) can't use ${call.name}` };
+    }
+    switch (call.name) {
+      case 'search_deals':
+        return await searchDeals(call.args, context);
+      case 'get_deal_history':
+        return await getDealHistory(call.args, context);
+      case 'get_targets':
+        return await getTargets(context);
+      default:
+        return { error: `Unknown tool: ${call.name}` };
+    }
+  } catch (error: any) {
+    console.error(`[ai-tools] ${call.name} failed:`, error);
+    return { error: `${call.name} failed` };
+  }
+}
+
+// ============================================================================
+// ENDPOINT DISPATCH
+// ============================================================================
+
+/**
+ * Call a deal endpoint in-process as the requesting user. Supports both
+ * function styles in this repo: `export default (req)` and `export const handler`.
+ */
+async function callEndpoint(
+  name: string,
+  context: ToolContext,
+  { method = 'GET', query = {}, body }: { method?: string; query?: Record<string, string>; body?: unknown } = {}
+): Promise<{ status: number; payload: any }> {
+  const url = new URL(`/.netlify/functions/${name}`, context.request.url);
+  for (const [key, value] of Object.entries(query)) url.searchParams.set(key, value);
+
+  const headers: Record<string, string> = { 'content-type': 'application/json' };
+  for (const header of FORWARDED_HEADERS) {
+    const value = context.request.headers.get(header);
+    if (value) headers[header] = value;
+  }
+  const rawBody = body === undefined ? undefined : JSON.stringify(body);
+
+  const endpoint = await ENDPOINTS[name]();
+  if (typeof endpoint.default === 'function') {
+    const response: Response = await endpoint.default(new Request(url, { method, headers, body: rawBody }), {});
+    return { status: response.status, payload: await response.json().catch(() => ({})) };
+  }
+
+  const response = await endpoint.handler({
+    httpMethod: method,
+    path: url.pathname,
+    headers,
+    queryStringParameters: Object.fromEntries(url.searchParams),
+    body: rawBody ?? null
+  }, {});
+  let payload: any = {};
+  try {
+    payload = JSON.parse(response.body || '{}');
+  } catch {
+    // non-JSON error body - status is enough
+  }
+  return { status: response.statusCode, payload };
+}
+
+const endpointError = (payload: any, fallback: string): string =>
+  typeof payload?.error === 'string' ? payload.error : payload?.error?.message || fallback;
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+async function loadToolDeal(supabase: any, organizationId: string, dealId: unknown) {
+  if (typeof dealId !== 'string' || !UUID_REGEX.test(dealId)) return null;
+  const { data } = await supabase
+    .from('deals')
+    .select('id, client, stage, assigned_to')
+    .eq('id', dealId)
+    .eq('organization_id', organizationId)
+    .is('deleted_at', null)
+    .maybeSingle();
+  return data || null;
+}
+
+/**
+ * Organization members with display names (user_profiles has email + full_name)
+ */
+export async function loadMembers(supabase: any, organizationId: string): Promise<Array<{ id: string; name: string; email: string | null }>> {
+  const { data: members } = await supabase
+    .from('team_members')
+    .select('user_id')
+    .eq('organization_id', organizationId);
+  const ids = (members || []).map((member: any) => member.user_id).filter(Boolean);
+  if (ids.length === 0) return [];
+
+  const { data: profiles } = await supabase
+    .from('user_profiles')
+    .select('id, email, full_name')
+    .in('id', ids);
+  return (profiles || []).map((profile: any) => ({
+    id: profile.id,
+    name: profile.full_name || profile.email?.split('@')[0] || 'Team member',
+    email: profile.email || null
+  }));
+}
+
+/**
+ * Match a teammate by user id, exact email or name, then by partial name
+ */
+export function matchMember<T extends { id: string; name: string; email: string | null }>(
+  members: T[],
+  query: string
+): { member: T } | { error: string } {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return { error: 'assignee is required' };
+
+  const exact = members.filter(member =>
+    member.id === query.trim() || member.email?.toLowerCase() === needle || member.name.toLowerCase() === needle
+  );
+  const matches = exact.length > 0 ? exact : members.filter(member => member.name.toLowerCase().includes(needle));
+
+  if (matches.length === 1) return { member: matches[0] };
+  if (matches.length === 0) return { error: `No teammate matches "${query}"` };
+  return { error: `"${query}" matches several teammates: ${matches.map(member => member.email || member.name).join(', ')}` };
+}
+
+// ============================================================================
+// READ TOOLS
+// ============================================================================
+
+async function searchDeals(args: Record<string, any>, context: ToolContext) {
+  const filters: DealFilters = {};
+  if (typeof args.stage === 'string' && args.stage.trim()) filters.stage = [args.stage.trim().toLowerCase()];
+  if (DEAL_STATUSES.includes(args.status)) filters.status = [args.status];
+  if (Number.isFinite(args.min_value)) filters.minValue = args.min_value;
+  if (args.assigned_to_me === true) filters.assignedTo = context.userId;
+
+  let query = applyDealFilters(
+    context.supabase
+      .from('deals')
+      .select(SEARCH_DEAL_COLUMNS)
+      .eq('organization_id', context.organizationId)
+      .is('deleted_at', null),
+    filters
+  );
+  // Contains match - filters.client is an exact match
+  if (typeof args.query === 'string' && args.query.trim()) {
+    query = query.ilike('client', `%${args.query.trim().replace(/[\\%_]/g, match => `\\${match}`)}%`);
+  }
+  const { data, error } = await query
+    .order('last_activity', { ascending: false, nullsFirst: false })
+    .limit(AI_TOOL_LIMITS.SEARCH_RESULTS);
+  if (error) throw error;
+
+  const owners = new Map((await loadMembers(context.supabase, context.organizationId)).map(member => [member.id, member.name]));
+  return {
+    deals: (data || []).map((deal: any) => ({
+      ...deal,
+      assigned_to: deal.assigned_to ? owners.get(deal.assigned_to) || 'Former member' : null
+    }))
+  };
+}
+
+async function getDealHistory(args: Record<string, any>, context: ToolContext) {
+  const deal = await loadToolDeal(context.supabase, context.organizationId, args.deal_id);
+  if (!deal) return { error: 'Deal not found' };
+
+  const [history, activities] = await Promise.all([
+    callEndpoint('get-deal-history', context, { query: { dealId: deal.id } }),
+    callEndpoint('deal-activities', context, { query: { dealId: deal.id } })
+  ]);
+  if (history.status !== 200) {
+    return { error: endpointError(history.payload, 'Failed to load deal history') };
+  }
+
+  return {
+    deal: deal.client,
+    changes: (history.payload.events || []).slice(0, AI_TOOL_LIMITS.HISTORY_EVENTS).map((event: any) => ({
+      at: event.changedAt,
+      by: event.actor?.name || null,
+      changed: Object.keys(event.next || {}).map(field => ({ field, from: event.previous?.[field] ?? null, to: event.next[field] }))
+    })),
+    // Activities are optional context - a failure here still returns the changes
+    activities: activities.status === 200
+      ? (activities.payload.activities || []).slice(0, AI_TOOL_LIMITS.HISTORY_EVENTS).map((activity: any) => ({
+        at: activity.occurred_at,
+        type: activity.type,
+        outcome: activity.outcome,
+        by: activity.user_name,
+        notes: activity.body ? String(activity.body).slice(0, 300) : null
+      }))
+      : []
+  };
+}
+
+async function getTargets(context: ToolContext) {
+  const { status, payload } = await callEndpoint('user-targets-get', context, {
+    query: { organization_id: context.organizationId }
+  });
+  if (status !== 200) {
+    return { error: endpointError(payload, 'Failed to load targets') };
+  }
+
+  const names = new Map((await loadMembers(context.supabase, context.organizationId)).map(member => [member.id, member.name]));
+  return {
+    targets: Object.entries(payload.targets || {}).map(([userId, target]: [string, any]) => ({
+      member: userId === context.userId ? 'You' : names.get(userId) || 'Team member',
+      monthly: target.monthly_target,
+      quarterly: target.quarterly_target,
+      annual: target.annual_target,
+      active: target.is_active
+    }))
+  };
+}
+
+// ============================================================================
+// WRITE TOOLS
+// ============================================================================
+
+const invalid = (error: string): ProposalResult => ({ error, code: 'INVALID_INPUT' });
+
+/**
+ * Validate a write tool call and describe it for the confirmation card.
+ * Runs again when the card is confirmed, so a stale or edited card can't
+ * apply something the user wasn't shown.
+ */
+export async function proposeAction(name: string, args: Record<string, any>, context: ToolContext): Promise<ProposalResult> {
+  const tool = (AI_TOOLS as Record<string, any>)[name];
+  if (!tool || tool.kind !== 'write') {
+    return invalid(`Unknown action: ${name}`);
+  }
+  if (!hasPermission(context.role as Role, tool.permission)) {
+    return { error: `Your role (${context.role}) can't change deals`, code: 'FORBIDDEN' };
+  }
+
+  const deal = await loadToolDeal(context.supabase, context.organizationId, args?.deal_id);
+  if (!deal) {
+    return { error: 'Deal not found', code: 'NOT_FOUND' };
+  }
+
+  const propose = (normalizedArgs: Record<string, any>, summary: string): ProposalResult => ({
+    action: {
+      id: randomUUID(),
+      tool: name,
+      args: { deal_id: deal.id, ...normalizedArgs },
+      label: tool.label,
+      summary,
+      dealId: deal.id,
+      dealName: deal.client
+    }
+  });
+
+  switch (name) {
+    case 'move_deal_stage': {
+      const stage = typeof args.stage === 'string' ? args.stage.trim().toLowerCase() : '';
+      if (!isValidStageFormat(stage)) return invalid('stage must be a stage id like "quote"');
+      if (stage === deal.stage) return invalid(`${deal.client} is already in ${stage}`);
+      const stages = await loadStageDefinitions(context.supabase, context.organizationId);
+      const label = (id: string) => stages[id]?.label || id;
+      return propose({ stage }, `Move ${deal.client} from ${label(deal.stage)} to ${label(stage)}`);
+    }
+
+    case 'set_next_step': {
+      const nextStep = typeof args.next_step === 'string' ? args.next_step.trim() : '';
+      if (!nextStep) return invalid('next_step is required');
+      if (nextStep.length > NEXT_STEP_MAX_LENGTH) return invalid(`next_step must be ${NEXT_STEP_MAX_LENGTH} characters or fewer`);
+      const due = args.due_date || null;
+      if (due !== null && (typeof due !== 'string' || !DATE_REGEX.test(due) || Number.isNaN(Date.parse(due)))) {
+        return invalid('due_date must be YYYY-MM-DD');
+      }
+      return propose(
+        { next_step: nextStep, due_date: due },
+        `Set the next step for ${deal.client}: "${nextStep}"${due ? ` (due ${due})` : ''}`
+      );
+    }
+
+    case 'assign_deal': {
+      if (typeof args.assignee !== 'string') return invalid('assignee is required');
+      const match = matchMember(await loadMembers(context.supabase, context.organizationId), args.assignee);
+      if ('error' in match) return invalid(match.error);
+      if (match.member.id === deal.assigned_to) return invalid(`${deal.client} is already assigned to ${match.member.name}`);
+      return propose({ assignee: match.member.id }, `Assign ${deal.client} to ${match.member.name}`);
+    }
+
+    case 'log_activity': {
+      const types = Object.values(ACTIVITY_TYPES) as string[];
+      if (!types.includes(args.type)) return invalid(`type must be one of: ${types.join(', ')}`);
+      const notes = typeof args.notes === 'string' ? args.notes.trim() : '';
+      if (notes.length > AI_TOOL_LIMITS.ACTIVITY_NOTES_MAX_LENGTH) {
+        return invalid(`notes must be ${AI_TOOL_LIMITS.ACTIVITY_NOTES_MAX_LENGTH} characters or fewer`);
+      }
+      const typeLabel = (ACTIVITY_TYPE_LABELS as Record<string, string>)[args.type].toLowerCase();
+      return propose(
+        { type: args.type, notes: notes || null },
+        `Log ${args.type === 'other' ? 'an activity' : `a ${typeLabel}`} on ${deal.client}${notes ? `: "${notes}"` : ''}`
+      );
+    }
+
+    default:
+      return invalid(`Unknown action: ${name}`);
+  }
+}
+
+/**
+ * Apply a confirmed action (already validated by proposeAction) through the
+ * deal endpoint that owns the change
+ */
+export async function applyAction(action: ProposedAction, context: ToolContext): Promise<ActionResult> {
+  const { args } = action;
+  const { organizationId } = context;
+
+  let response: { status: number; payload: any };
+  switch (action.tool) {
+    case 'move_deal_stage':
+      response = await callEndpoint('update-deal', context, {
+        method: 'POST',
+        body: { dealId: args.deal_id, organizationId, updates: { stage: args.stage } }
+      });
+      break;
+    case 'set_next_step':
+      response = await callEndpoint('update-deal', context, {
+        method: 'POST',
+        body: { dealId: args.deal_id, organizationId, updates: { next_step: args.next_step, next_step_due: args.due_date } }
+      });
+      break;
+    case 'assign_deal':
+      response = await callEndpoint('assign-deals', context, {
+        method: 'POST',
+        body: { action: 'assign-deal', dealId: args.deal_id, assignedTo: args.assignee, assignedBy: context.userId, organizationId }
+      });
+      break;
+    case 'log_activity':
+      response = await callEndpoint('deal-activities', context, {
+        method: 'POST',
+        body: { dealId: args.deal_id, type: args.type, ...(args.notes && { body: args.notes }) }
+      });
+      break;
+    default:
+      return { ok: false, status: 400, error: `Unknown action: ${action.tool}` };
+  }
+
+  const ok = response.status >= 200 && response.status < 300;
+  return ok
+    ? { ok, status: response.status, payload: response.payload }
+    : { ok, status: response.status, error: endpointError(response.payload, 'Failed to apply the action') };
+}
+
+export default {
+  TOOL_CODECS,
+  getAvailableTools,
+  runToolLoop,
+  runToolCall,
+  proposeAction,
+  applyAction,
+  matchMember,
+  loadMembers
+};
@@ -10,8 +10,14 @@
  * import { requireApiKey } from './lib/api-key-auth';
  *
  * const { userId, orgId, permissions } = await requireApiKey(req);
+ * requirePermission(context, PERMISSIONS.READ_DEALS);
  * ```
  *
+ * SCOPES:
+ * Keys are scoped to a subset of the RBAC `PERMISSIONS` (see API_KEY_SCOPES).
+ * Keys issued before scoping carry the legacy values read / write / admin,
+ * which expand to the equivalent scope sets via expandApiKeyPermissions().
+ *
  * AUTHENTICATION FLOW:
  * 1. Extract API key from X-API-Key header
  * 2. Hash the key with SHA-256
@@ -30,6 +36,71 @@
 
 import { createClient } from '@supabase/supabase-js';
 import { createHash } from 'crypto';
+import { PERMISSIONS, type Permission } from './rbac';
+import { incrementAndCheckRateLimit } from './rate-limiter';
+
+// ============================================================================
+// SCOPES
+// ============================================================================
+
+/**
+ * RBAC permissions that can be granted to an API key.
+ * Team, billing and settings permissions stay cookie-session only.
+ */
+export const API_KEY_SCOPES: readonly Permission[] = [
+  PERMISSIONS.READ_DEALS,
+  PERMISSIONS.CREATE_DEALS,
+  PERMISSIONS.EDIT_DEALS,
+  PERMISSIONS.DELETE_DEALS,
+  PERMISSIONS.VIEW_ANALYTICS,
+  PERMISSIONS.EXPORT_DATA,
+];
+
+/**
+ * Legacy permission values (pre-scoping) and what they grant today
+ */
+export const LEGACY_API_KEY_PERMISSIONS: Record<string, readonly Permission[]> = {
+  read: [PERMISSIONS.READ_DEALS, PERMISSIONS.VIEW_ANALYTICS],
+  write: [PERMISSIONS.CREATE_DEALS, PERMISSIONS.EDIT_DEALS, PERMISSIONS.DELETE_DEALS],
+  admin: API_KEY_SCOPES,
+};
+
+/**
+ * Per-key rate limit bounds (requests per hour)
+ */
+export const API_KEY_RATE_LIMIT_BOUNDS = { min: 1, max: 10000 };
+
+// Own keys only - 'toString' or '__proto__' must not count as legacy values
+const isLegacyApiKeyPermission = (permission: string): boolean =>
+  Object.hasOwn(LEGACY_API_KEY_PERMISSIONS, permission);
+
+/**
+ * Expand stored permissions (scopes and/or legacy values) into a scope set
+ */
+export function expandApiKeyPermissions(permissions: string[]): Permission[] {
+  const expanded = new Set<Permission>();
+  for (const permission of permissions) {
+    const legacy = isLegacyApiKeyPermission(permission) ? LEGACY_API_KEY_PERMISSIONS[permission] : null;
+    if (legacy) {
+      legacy.forEach(p => expanded.add(p));
+    } else if ((API_KEY_SCOPES as string[]).includes(permission)) {
+      expanded.add(permission as Permission);
+    }
+  }
+  return Array.from(expanded);
+}
+
+/**
+ * Check that every requested permission is a known scope or legacy value
+ */
+export function isValidApiKeyPermissionList(permissions: unknown): permissions is string[] {
+  return Array.isArray(permissions) &&
+    permissions.length > 0 &&
+    permissions.every(p =>
+      typeof p === 'string' &&
+      ((API_KEY_SCOPES as string[]).includes(p) || isLegacyApiKeyPermission(p))
+    );
+}
 
 // Error classes
 export class ApiKeyError extends Error {
@@ -91,6 +162,8 @@ export interface ApiKeyContext {
   keyId: string;
   /** Key name (for logging) */
   keyName: string;
+  /** Optional per-key limit in requests/hour (null = org default only) */
+  rateLimitPerHour: number | null;
 }
 
 /**
@@ -108,8 +181,8 @@ function extractApiKey(req: Request): string {
   const authHeader = req.headers.get('authorization') || req.headers.get('Authorization');
   if (authHeader && authHeader.startsWith('Bearer ')) {
     const token = authHeader.substring(7).trim();
-    // Check if it looks like an API key (starts with sk_)
-    if (token.startsWith('sk_')) {
+    // Check if it looks like an API key (sf_ current format, sk_ legacy format)
+    if (token.startsWith('sf_') || token.startsWith('sk_')) {
       return token;
     }
   }
@@ -131,6 +204,11 @@ function hashApiKey(apiKey: string): string {
  * Example: sf_live_abc123def456ghi789
  */
 function validateApiKeyFormat(apiKey: string): void {
+  // Legacy keys (generated client-side before api-keys-create existed): sk_{64 hex}
+  if (/^sk_[0-9a-f]{64}$/i.test(apiKey)) {
+    return;
+  }
+
   // Check prefix
   if (!apiKey.startsWith('sf_')) {
     throw new InvalidApiKeyError('API key must start with "sf_"');
@@ -189,7 +267,7 @@ export async function requireApiKey(req: Request): Promise<ApiKeyContext> {
   // Look up API key in database
   const { data: keyRecord, error: queryError } = await supabase
     .from('api_keys')
-    .select('id, organization_id, created_by, name, permissions, is_active, expires_at, last_used_at')
+    .select('id, organization_id, created_by, name, permissions, is_active, revoked_at, expires_at, last_used_at, usage_count, rate_limit_per_hour')
     .eq('key_hash', keyHash)
     .single();
 
@@ -199,7 +277,7 @@ export async function requireApiKey(req: Request): Promise<ApiKeyContext> {
   }
 
   // Check if key is active
-  if (!keyRecord.is_active) {
+  if (!keyRecord.is_active || keyRecord.revoked_at) {
     console.warn('⚠️  [API Key Auth] Revoked key used:', keyRecord.id);
     throw new RevokedApiKeyError();
   }
@@ -210,20 +288,19 @@ export async function requireApiKey(req: Request): Promise<ApiKeyContext> {
     throw new ExpiredApiKeyError();
   }
 
-  // Update last_used_at and usage_count (async, don't block response)
-  // Note: This runs in background, errors are logged but don't fail auth
+  // Update last_used_at and usage_count (don't block response)
+  // Note: errors are logged but don't fail auth
   supabase
     .from('api_keys')
     .update({
       last_used_at: new Date().toISOString(),
-      usage_count: (await supabase.from('api_keys').select('usage_count').eq('id', keyRecord.id).single()).data?.usage_count + 1 || 1
+      usage_count: (keyRecord.usage_count || 0) + 1
     })
     .eq('id', keyRecord.id)
-    .then(() => {
-      console.log(`✅ [API Key Auth] Key used: ${keyRecord.name} (${keyRecord.id})`);
-    })
-    .catch((err) => {
-      console.error('❌ [API Key Auth] Failed to update usage stats:', err);
+    .then(({ error }) => {
+      if (error) {
+        console.error('❌ [API Key Auth] Failed to update usage stats:', error);
+      }
     });
 
   // Return authenticated context
@@ -232,20 +309,71 @@ export async function requireApiKey(req: Request): Promise<ApiKeyContext> {
     orgId: keyRecord.organization_id,
     permissions: Array.isArray(keyRecord.permissions) ? keyRecord.permissions : ['read'],
     keyId: keyRecord.id,
-    keyName: keyRecord.name
+    keyName: keyRecord.name,
+    rateLimitPerHour: typeof keyRecord.rate_limit_per_hour === 'number' ? keyRecord.rate_limit_per_hour : null
   };
 }
 
 /**
  * Check if API key has required permission
+ * Legacy read/write/admin values are expanded to their scope sets
+ */
+export function hasApiKeyPermission(context: ApiKeyContext, permission: string): boolean {
+  return (expandApiKeyPermissions(context.permissions) as string[]).includes(permission);
+}
+
+/**
+ * Require an API key permission
  * @throws InsufficientPermissionsError if permission not granted
  */
 export function requirePermission(context: ApiKeyContext, permission: string): void {
-  if (!context.permissions.includes(permission) && !context.permissions.includes('admin')) {
+  if (!hasApiKeyPermission(context, permission)) {
     throw new InsufficientPermissionsError(permission, context.permissions);
   }
 }
 
+/**
+ * Enforce the optional per-key hourly limit
+ * Counted in the shared rate_limits table under an `api_key:{id}` bucket
+ * @throws ApiKeyError (429) when the key exceeded its limit
+ */
+export async function enforceApiKeyRateLimit(context: ApiKeyContext): Promise<void> {
+  if (!context.rateLimitPerHour) return;
+
+  const result = await incrementAndCheckRateLimit(context.userId, context.orgId, {
+    bucket: `api_key:${context.keyId}`,
+    limit: context.rateLimitPerHour,
+    windowSeconds: 3600,
+    description: 'API key requests per hour',
+  });
+
+  if (!result.allowed) {
+    const error = new ApiKeyError(
+      `API key rate limit exceeded (${context.rateLimitPerHour} requests/hour)`,
+      'API_KEY_RATE_LIMITED',
+      429
+    );
+    (error as any).retryAfterSeconds = result.retryAfterSeconds;
+    throw error;
+  }
+}
+
+/**
+ * Build a JSON error response for any ApiKeyError
+ */
+export function createApiKeyErrorResponse(error: ApiKeyError): Response {
+  const headers: Record<string, string> = { 'Content-Type': 'application/json' };
+  const retryAfter = (error as any).retryAfterSeconds;
+  if (retryAfter) {
+    headers['Retry-After'] = String(retryAfter);
+  }
+
+  return new Response(JSON.stringify({ error: error.message, code: error.code }), {
+    status: error.statusCode,
+    headers
+  });
+}
+
 /**
  * Generate a new API key
  * Format: sf_{env}_{random}
@@ -288,6 +416,7 @@ export async function authenticateRequest(req: Request): Promise<{
 }> {
   // Try API key first (if X-API-Key header present)
   const hasApiKey = req.headers.has('x-api-key') || req.headers.has('X-API-Key') ||
+    (req.headers.get('authorization')?.startsWith('Bearer sf_')) ||
     (req.headers.get('authorization')?.startsWith('Bearer sk_'));
 
   if (hasApiKey) {
@@ -0,0 +1,182 @@
+/**
+ * Deal Assignment Rules
+ *
+ * Storage for the org's routing rules (assignment_rules). Matching and
+ * picking live in src/config/assignmentRules.js so the settings preview and
+ * the server agree; deal-assignment.ts applies the rules to new deals.
+ *
+ * USAGE:
+ * ```typescript
+ * const rules = await loadAssignmentRules(supabase, orgId, { activeOnly: true });
+ * const { results, picks } = runAssignmentRules(rules, deals, { openDeals, memberIds, getSource });
+ * await recordRulePicks(supabase, picks);
+ * ```
+ */
+
+import { ASSIGNMENT_SOURCES } from '../../../src/config/assignmentRules';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export type AssignmentSource = 'manual' | 'api' | 'import' | 'capture';
+
+export interface RuleCondition {
+  field: string;
+  operator: string;
+  value?: unknown;
+}
+
+export interface RuleAssignee {
+  userId: string;
+  weight: number;
+  /** Max open deals before the rule skips this member (null = no cap) */
+  cap: number | null;
+}
+
+export interface AssignmentRule {
+  id: string;
+  name: string;
+  position: number;
+  isActive: boolean;
+  conditions: RuleCondition[];
+  assignees: RuleAssignee[];
+  fallbackUserId: string | null;
+  rotation: Record<string, number>;
+  updatedAt?: string;
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const ASSIGNMENT_RULE_COLUMNS =
+  'id, name, position, is_active, conditions, assignees, fallback_user_id, rotation, created_at, updated_at';
+
+/** First history source of a deal → the source its rules saw */
+const HISTORY_SOURCE_TO_ASSIGNMENT: Record<string, AssignmentSource> = {
+  create: 'manual',
+  api: 'api',
+  import: 'import',
+  capture: 'capture'
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+export function toAssignmentRule(row: any): AssignmentRule {
+  return {
+    id: row.id,
+    name: row.name,
+    position: row.position ?? 0,
+    isActive: row.is_active !== false,
+    conditions: Array.isArray(row.conditions) ? row.conditions : [],
+    assignees: (Array.isArray(row.assignees) ? row.assignees : []).map((assignee: any) => ({
+      userId: assignee.userId,
+      weight: Number(assignee.weight) || 1,
+      cap: assignee.cap ?? null
+    })),
+    fallbackUserId: row.fallback_user_id ?? null,
+    rotation: row.rotation && typeof row.rotation === 'object' ? row.rotation : {},
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Row columns for a validated rule from the settings panel
+ */
+export function toAssignmentRuleRow(rule: Record<string, any>): Record<string, unknown> {
+  return {
+    name: String(rule.name).trim(),
+    conditions: rule.conditions,
+    assignees: rule.assignees.map((assignee: any) => ({
+      userId: assignee.userId,
+      weight: assignee.weight,
+      cap: assignee.cap ?? null
+    })),
+    fallback_user_id: rule.fallbackUserId || null,
+    ...(rule.isActive !== undefined && { is_active: rule.isActive !== false })
+  };
+}
+
+/**
+ * The org's rules in evaluation order
+ */
+export async function loadAssignmentRules(
+  supabase: any,
+  organizationId: string,
+  options: { activeOnly?: boolean } = {}
+): Promise<AssignmentRule[]> {
+  let query = supabase
+    .from('assignment_rules')
+    .select(ASSIGNMENT_RULE_COLUMNS)
+    .eq('organization_id', organizationId);
+
+  if (options.activeOnly) {
+    query = query.eq('is_active', true);
+  }
+
+  const { data, error } = await query
+    .order('position', { ascending: true })
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(toAssignmentRule);
+}
+
+/**
+ * Advance rule rotations by the picks of one run. Never throws - a lost
+ * increment only skews the next few picks.
+ */
+export async function recordRulePicks(supabase: any, picks: Record<string, Record<string, number>>): Promise<void> {
+  await Promise.all(Object.entries(picks).map(async ([ruleId, counts]) => {
+    const { error } = await supabase.rpc('bump_assignment_rule_rotation', { p_rule_id: ruleId, p_counts: counts });
+    if (error) {
+      console.error('[assignment-rules] Failed to record rotation:', { ruleId, error });
+    }
+  }));
+}
+
+/**
+ * How each existing deal originally arrived, from its first change history
+ * row (deals imported by a job count as imports). Used by the simulate
+ * preview; deals without history count as created in the app.
+ */
+export async function loadDealSources(
+  supabase: any,
+  organizationId: string,
+  deals: Array<{ id: string; import_job_id?: string | null }>
+): Promise<Record<string, AssignmentSource>> {
+  const sources: Record<string, AssignmentSource> = {};
+  if (deals.length === 0) return sources;
+
+  const { data, error } = await supabase
+    .from('deal_change_history')
+    .select('deal_id, source, changed_at')
+    .eq('organization_id', organizationId)
+    .in('deal_id', deals.map(deal => deal.id))
+    .in('source', Object.keys(HISTORY_SOURCE_TO_ASSIGNMENT))
+    .order('changed_at', { ascending: true });
+
+  if (error) {
+    console.error('[assignment-rules] Failed to load deal sources:', error);
+  }
+
+  (data || []).forEach((row: any) => {
+    if (!sources[row.deal_id]) sources[row.deal_id] = HISTORY_SOURCE_TO_ASSIGNMENT[row.source];
+  });
+  deals.forEach(deal => {
+    if (deal.import_job_id) sources[deal.id] = 'import';
+    if (!sources[deal.id]) sources[deal.id] = ASSIGNMENT_SOURCES[0].id as AssignmentSource;
+  });
+  return sources;
+}
+
+export default {
+  toAssignmentRule,
+  toAssignmentRuleRow,
+  loadAssignmentRules,
+  recordRulePicks,
+  loadDealSources
+};
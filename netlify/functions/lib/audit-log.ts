@@ -0,0 +1,326 @@
+/**
+ * Organization Audit Log
+ *
+ * Append-only record of who did what in an organization, shown to owners
+ * and admins (VIEW_AUDIT_LOG) in Settings → General. Functions write one
+ * entry per action after it succeeds; the action list lives in
+ * src/config/auditLog.js.
+ *
+ * security_events stays the per-user authentication trail; the audit log is
+ * per organization and covers what members did inside it.
+ *
+ * USAGE:
+ * ```typescript
+ * await logAuditEvent(supabase, {
+ *   organizationId,
+ *   actor: { type: 'user', id: user.id, email: user.email },
+ *   action: 'api_key.revoked',
+ *   entityId: keyId,
+ *   summary: key.name,
+ *   request: req
+ * });
+ *
+ * const { entries, nextCursor } = await queryAuditLog(supabase, orgId, filters, { retentionDays });
+ * ```
+ *
+ * Writes never throw - a failed audit insert is logged and the action
+ * still succeeds. Metadata is passed through redactSecrets() first.
+ */
+
+import {
+  AUDIT_LOG_LIMITS,
+  getAuditAction,
+  getAuditActionLabel,
+  getAuditRetentionCutoff
+} from '../../../src/config/auditLog';
+import { getPlanConfig } from './plan-config';
+import { redactSecrets } from './log-sanitizer';
+import { anonymizeIP, extractIPAddress, extractUserAgent } from './security-events';
+import { csvCell } from './deal-export';
+import type { WebhookActorType } from './webhook-events';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+/** Webhook actors plus public lead capture forms */
+export type AuditActorType = WebhookActorType | 'lead_capture';
+
+export interface AuditActor {
+  type: AuditActorType;
+  /** Acting user; for api_key the key's creator; for lead_capture the capture endpoint */
+  id: string | null;
+  email?: string | null;
+}
+
+export interface AuditEvent {
+  organizationId: string;
+  actor: AuditActor;
+  /** Action id from src/config/auditLog.js */
+  action: string;
+  entityId?: string | null;
+  /** Short human-readable subject (deal name, key name, ...) */
+  summary?: string | null;
+  metadata?: Record<string, unknown>;
+  /** Request (or legacy handler event) for IP address and user agent */
+  request?: Request | any;
+}
+
+export interface AuditLogFilters {
+  actorId?: string | null;
+  entityType?: string | null;
+  entityId?: string | null;
+  action?: string | null;
+  /** ISO timestamps, inclusive */
+  from?: string | null;
+  to?: string | null;
+}
+
+export interface AuditEntry {
+  id: string;
+  createdAt: string;
+  actorType: AuditActorType;
+  actorId: string | null;
+  actorEmail: string | null;
+  action: string;
+  actionLabel: string;
+  entityType: string;
+  entityId: string | null;
+  summary: string | null;
+  metadata: Record<string, unknown>;
+  ipAddress: string | null;
+  userAgent: string | null;
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const AUDIT_LOG_COLUMNS =
+  'id, created_at, actor_type, actor_id, actor_email, action, entity_type, entity_id, summary, metadata, ip_address, user_agent';
+
+const CURSOR_SEPARATOR = '|';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// created_at as Postgres returns it (microseconds kept, so the keyset stays exact)
+const TIMESTAMP_REGEX = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:\d{2})$/;
+
+// ============================================================================
+// WRITING
+// ============================================================================
+
+/**
+ * Row for one event, or null for an action missing from src/config/auditLog.js
+ */
+export function toAuditRow(event: AuditEvent): Record<string, unknown> | null {
+  const definition = getAuditAction(event.action);
+  if (!definition) return null;
+
+  const ipAddress = event.request ? extractIPAddress(event.request) : null;
+  const summary = typeof event.summary === 'string' ? event.summary.trim() : '';
+
+  return {
+    organization_id: event.organizationId,
+    actor_type: event.actor.type,
+    actor_id: event.actor.id || null,
+    actor_email: event.actor.email || null,
+    action: event.action,
+    entity_type: definition.entityType,
+    entity_id: event.entityId ? String(event.entityId) : null,
+    summary: summary ? summary.slice(0, AUDIT_LOG_LIMITS.SUMMARY_MAX_LENGTH) : null,
+    metadata: redactSecrets(event.metadata || {}),
+    ip_address: ipAddress && process.env.ANONYMIZE_IP_ADDRESSES === 'true' ? anonymizeIP(ipAddress) : ipAddress,
+    user_agent: event.request ? extractUserAgent(event.request) : null
+  };
+}
+
+/**
+ * Append entries to the audit log. Never throws.
+ */
+export async function logAuditEvents(supabase: any, events: AuditEvent[]): Promise<void> {
+  const rows = events.map(event => {
+    const row = toAuditRow(event);
+    if (!row) console.error('[audit-log] Unknown action, entry skipped:', event.action);
+    return row;
+  }).filter(Boolean);
+
+  if (rows.length === 0) return;
+
+  try {
+    const { error } = await supabase.from('audit_log').insert(rows);
+    if (error) {
+      console.error('[audit-log] Failed to write entries:', {
+        actions: events.map(event => event.action),
+        error: error.message
+      });
+    }
+  } catch (error: any) {
+    console.error('[audit-log] Exception while writing entries:', error?.message);
+  }
+}
+
+/**
+ * Append one entry to the audit log. Never throws.
+ */
+export async function logAuditEvent(supabase: any, event: AuditEvent): Promise<void> {
+  await logAuditEvents(supabase, [event]);
+}
+
+/**
+ * Record a login in every organization the user belongs to. Never throws.
+ */
+export async function logLoginAudit(
+  supabase: any,
+  options: { userId: string; email?: string | null; request?: Request | any; method?: string }
+): Promise<void> {
+  try {
+    const { data: memberships, error } = await supabase
+      .from('team_members')
+      .select('organization_id')
+      .eq('user_id', options.userId);
+
+    if (error) {
+      console.error('[audit-log] Failed to load memberships for login:', error.message);
+      return;
+    }
+
+    await logAuditEvents(supabase, (memberships || []).map((membership: any) => ({
+      organizationId: membership.organization_id,
+      actor: { type: 'user' as const, id: options.userId, email: options.email },
+      action: 'user.login',
+      entityId: options.userId,
+      metadata: { method: options.method || 'password' },
+      request: options.request
+    })));
+  } catch (error: any) {
+    console.error('[audit-log] Exception while recording login:', error?.message);
+  }
+}
+
+// ============================================================================
+// READING
+// ============================================================================
+
+export function toAuditEntry(row: any): AuditEntry {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    actorType: row.actor_type,
+    actorId: row.actor_id ?? null,
+    actorEmail: row.actor_email ?? null,
+    action: row.action,
+    actionLabel: getAuditActionLabel(row.action),
+    entityType: row.entity_type,
+    entityId: row.entity_id ?? null,
+    summary: row.summary ?? null,
+    metadata: row.metadata && typeof row.metadata === 'object' ? row.metadata : {},
+    ipAddress: row.ip_address ?? null,
+    userAgent: row.user_agent ?? null
+  };
+}
+
+export const encodeAuditCursor = (entry: { createdAt: string; id: string }) =>
+  Buffer.from(`${entry.createdAt}${CURSOR_SEPARATOR}${entry.id}`).toString('base64url');
+
+export function decodeAuditCursor(cursor: string | null | undefined): { createdAt: string; id: string } | null {
+  if (!cursor) return null;
+  const [createdAt, id] = Buffer.from(cursor, 'base64url').toString('utf8').split(CURSOR_SEPARATOR);
+  // Both parts end up in a PostgREST filter, so only accept what we encoded
+  if (!TIMESTAMP_REGEX.test(createdAt || '') || !UUID_REGEX.test(id || '')) return null;
+  return { createdAt, id };
+}
+
+/**
+ * Days of audit history an organization's plan keeps
+ */
+export const getAuditRetentionDays = (planId: string | null | undefined) =>
+  getPlanConfig(planId).auditLogRetentionDays;
+
+/**
+ * A page of entries, newest first, limited to the retention window.
+ * Entries past retention are hidden even before the daily purge drops them.
+ */
+export async function queryAuditLog(
+  supabase: any,
+  organizationId: string,
+  filters: AuditLogFilters,
+  options: { retentionDays: number; limit?: number; cursor?: string | null }
+): Promise<{ entries: AuditEntry[]; nextCursor: string | null }> {
+  const limit = Math.min(Math.max(options.limit || AUDIT_LOG_LIMITS.PAGE_SIZE, 1), AUDIT_LOG_LIMITS.MAX_EXPORT_ROWS);
+  const retentionCutoff = getAuditRetentionCutoff(options.retentionDays);
+  const from = filters.from && filters.from > retentionCutoff ? filters.from : retentionCutoff;
+
+  let query = supabase
+    .from('audit_log')
+    .select(AUDIT_LOG_COLUMNS)
+    .eq('organization_id', organizationId)
+    .gte('created_at', from);
+
+  if (filters.to) query = query.lte('created_at', filters.to);
+  if (filters.actorId) query = query.eq('actor_id', filters.actorId);
+  if (filters.entityType) query = query.eq('entity_type', filters.entityType);
+  if (filters.entityId) query = query.eq('entity_id', filters.entityId);
+  if (filters.action) query = query.eq('action', filters.action);
+
+  const cursor = decodeAuditCursor(options.cursor);
+  if (cursor) {
+    query = query.or(`created_at.lt.${cursor.createdAt},and(created_at.eq.${cursor.createdAt},id.lt.${cursor.id})`);
+  }
+
+  // One extra row tells whether another page exists
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit + 1);
+
+  if (error) throw error;
+
+  const entries = (data || []).slice(0, limit).map(toAuditEntry);
+  const nextCursor = (data || []).length > limit ? encodeAuditCursor(entries[entries.length - 1]) : null;
+  return { entries, nextCursor };
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+const AUDIT_EXPORT_COLUMNS: Array<{ header: string; value: (entry: AuditEntry, actorName: string) => unknown }> = [
+  { header: 'Time (UTC)', value: entry => entry.createdAt },
+  { header: 'Actor', value: (_, actorName) => actorName },
+  { header: 'Actor type', value: entry => entry.actorType },
+  { header: 'Actor ID', value: entry => entry.actorId },
+  { header: 'Action', value: entry => entry.action },
+  { header: 'Description', value: entry => entry.actionLabel },
+  { header: 'Entity type', value: entry => entry.entityType },
+  { header: 'Entity ID', value: entry => entry.entityId },
+  { header: 'Summary', value: entry => entry.summary },
+  { header: 'Details', value: entry => (Object.keys(entry.metadata).length > 0 ? JSON.stringify(entry.metadata) : '') },
+  { header: 'IP address', value: entry => entry.ipAddress },
+  { header: 'User agent', value: entry => entry.userAgent }
+];
+
+/**
+ * CSV of audit entries; `actorNames` maps actor ids to display names
+ */
+export function buildAuditLogCsv(entries: AuditEntry[], actorNames: Record<string, string> = {}): string {
+  const header = AUDIT_EXPORT_COLUMNS.map(column => csvCell(column.header)).join(',');
+  const lines = entries.map(entry => {
+    const actorName = (entry.actorId && actorNames[entry.actorId]) || entry.actorEmail || '';
+    return AUDIT_EXPORT_COLUMNS.map(column => csvCell(column.value(entry, actorName) as any)).join(',');
+  });
+  // BOM so Excel opens the file as UTF-8
+  return `\uFEFF${[header, ...lines].join('\r\n')}\r\n`;
+}
+
+export default {
+  toAuditRow,
+  logAuditEvent,
+  logAuditEvents,
+  logLoginAudit,
+  toAuditEntry,
+  encodeAuditCursor,
+  decodeAuditCursor,
+  getAuditRetentionDays,
+  queryAuditLog,
+  buildAuditLogCsv
+};
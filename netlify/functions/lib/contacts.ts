@@ -0,0 +1,398 @@
+/**
+ * Contacts & Companies
+ *
+ * Dedup and linking helpers for the contacts/companies entities that hang off
+ * deals (many-to-many through deal_contacts / deal_companies).
+ *
+ * Dedup rules (per organization):
+ * - Contacts match on lowercased email
+ * - Companies match on domain; freemail domains (gmail.com, ...) never
+ *   identify a company, so those fall back to a case-insensitive name match
+ *
+ * USAGE:
+ * ```typescript
+ * const { record: contact } = await findOrCreateContact(supabase, orgId, userId, { name, email, phone });
+ * const { record: company } = await findOrCreateCompany(supabase, orgId, userId, { name, email });
+ * await linkDealParties(supabase, { dealId, organizationId: orgId, contactId: contact?.id, companyId: company?.id, primary: true });
+ * ```
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Consumer email providers - an address on these says nothing about the company
+ */
+export const FREE_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'hotmail.com',
+  'outlook.com', 'live.com', 'msn.com', 'aol.com', 'icloud.com', 'me.com',
+  'mac.com', 'proton.me', 'protonmail.com', 'gmx.com', 'gmx.net', 'mail.com',
+  'yandex.com', 'zoho.com', 'fastmail.com', 'hey.com',
+]);
+
+export const CONTACT_COLUMNS = 'id, organization_id, company_id, name, email, phone, title, created_at';
+export const COMPANY_COLUMNS = 'id, organization_id, name, domain, created_at';
+
+const DOMAIN_REGEX = /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export interface ContactInput {
+  name: string;
+  email?: string | null;
+  phone?: string | null;
+  title?: string | null;
+  companyId?: string | null;
+}
+
+export interface CompanyInput {
+  name?: string | null;
+  domain?: string | null;
+  /** Used to derive the domain when none is given */
+  email?: string | null;
+}
+
+export interface FindOrCreateResult<T> {
+  /** null when there wasn't enough input to match or create */
+  record: T | null;
+  /** true when an existing row was matched instead of inserting */
+  deduplicated: boolean;
+}
+
+// ============================================================================
+// NORMALIZATION
+// ============================================================================
+
+/**
+ * Trim + lowercase an email; returns null for empty input
+ */
+export function normalizeEmail(email: unknown): string | null {
+  if (typeof email !== 'string') return null;
+  const trimmed = email.trim().toLowerCase();
+  return trimmed.length > 0 ? trimmed : null;
+}
+
+/**
+ * Normalize a domain or website URL to a bare hostname ("https://www.Acme.com/x" → "acme.com").
+ * Returns null if the result isn't a valid hostname.
+ */
+export function normalizeDomain(value: unknown): string | null {
+  if (typeof value !== 'string') return null;
+  const host = value
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .split(/[/?#:]/)[0]
+    .replace(/^www\./, '');
+  return DOMAIN_REGEX.test(host) ? host : null;
+}
+
+/**
+ * Company domain for an email address, or null for freemail/invalid addresses
+ */
+export function getCompanyDomainFromEmail(email: unknown): string | null {
+  const normalized = normalizeEmail(email);
+  if (!normalized || !normalized.includes('@')) return null;
+  const domain = normalizeDomain(normalized.split('@').pop());
+  if (!domain || FREE_EMAIL_DOMAINS.has(domain)) return null;
+  return domain;
+}
+
+/**
+ * Escape a user search term for use inside a PostgREST ilike pattern
+ */
+export function toSearchPattern(query: string): string {
+  const cleaned = query.trim().replace(/[%_\\]/g, (ch) => `\\${ch}`).replace(/[,()]/g, ' ');
+  return `%${cleaned}%`;
+}
+
+// ============================================================================
+// FIND OR CREATE
+// ============================================================================
+
+/**
+ * Match a contact by email within the org, or create one.
+ * Phone/title/company are only filled on the existing row when it has none.
+ */
+export async function findOrCreateContact(
+  supabase: any,
+  organizationId: string,
+  userId: string | null,
+  input: ContactInput
+): Promise<FindOrCreateResult<any>> {
+  const name = input.name?.trim();
+  const email = normalizeEmail(input.email);
+  if (!name && !email) return { record: null, deduplicated: false };
+
+  if (email) {
+    // Emails are stored lowercased, so an exact match is a case-insensitive one
+    const { data: existing, error } = await supabase
+      .from('contacts')
+      .select(CONTACT_COLUMNS)
+      .eq('organization_id', organizationId)
+      .eq('email', email)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (existing) {
+      const backfill: Record<string, unknown> = {};
+      if (!existing.phone && input.phone) backfill.phone = input.phone;
+      if (!existing.title && input.title) backfill.title = input.title;
+      if (!existing.company_id && input.companyId) backfill.company_id = input.companyId;
+
+      if (Object.keys(backfill).length > 0) {
+        const { data: updated } = await supabase
+          .from('contacts')
+          .update({ ...backfill, updated_at: new Date().toISOString() })
+          .eq('id', existing.id)
+          .select(CONTACT_COLUMNS)
+          .single();
+        return { record: updated || { ...existing, ...backfill }, deduplicated: true };
+      }
+      return { record: existing, deduplicated: true };
+    }
+  }
+
+  const { data: created, error: insertError } = await supabase
+    .from('contacts')
+    .insert({
+      organization_id: organizationId,
+      company_id: input.companyId || null,
+      name: name || email,
+      email,
+      phone: input.phone || null,
+      title: input.title || null,
+      created_by: userId,
+    })
+    .select(CONTACT_COLUMNS)
+    .single();
+
+  // Lost a race with a concurrent insert of the same email - return the winner
+  if (insertError?.code === '23505' && email) {
+    const { data: winner } = await supabase
+      .from('contacts')
+      .select(CONTACT_COLUMNS)
+      .eq('organization_id', organizationId)
+      .eq('email', email)
+      .maybeSingle();
+    if (winner) return { record: winner, deduplicated: true };
+  }
+  if (insertError) throw insertError;
+
+  return { record: created, deduplicated: false };
+}
+
+/**
+ * Match a company by domain (or by name when there's no usable domain), or create one
+ */
+export async function findOrCreateCompany(
+  supabase: any,
+  organizationId: string,
+  userId: string | null,
+  input: CompanyInput
+): Promise<FindOrCreateResult<any>> {
+  const name = input.name?.trim() || null;
+  const domain = normalizeDomain(input.domain) || getCompanyDomainFromEmail(input.email);
+  if (!name && !domain) return { record: null, deduplicated: false };
+
+  if (domain) {
+    const { data: existing, error } = await supabase
+      .from('companies')
+      .select(COMPANY_COLUMNS)
+      .eq('organization_id', organizationId)
+      .eq('domain', domain)
+      .maybeSingle();
+    if (error) throw error;
+    if (existing) return { record: existing, deduplicated: true };
+  }
+
+  if (name) {
+    const { data: byName, error } = await supabase
+      .from('companies')
+      .select(COMPANY_COLUMNS)
+      .eq('organization_id', organizationId)
+      .ilike('name', name.replace(/[%_\\]/g, (ch) => `\\${ch}`))
+      .limit(5);
+    if (error) throw error;
+
+    // Only reuse a name match if it doesn't belong to a different domain
+    const match = (byName || []).find((c: any) => !domain || !c.domain || c.domain === domain);
+    if (match) {
+      if (domain && !match.domain) {
+        await supabase.from('companies').update({ domain, updated_at: new Date().toISOString() }).eq('id', match.id);
+        return { record: { ...match, domain }, deduplicated: true };
+      }
+      return { record: match, deduplicated: true };
+    }
+  }
+
+  const { data: created, error: insertError } = await supabase
+    .from('companies')
+    .insert({
+      organization_id: organizationId,
+      // Derive a readable name from the domain when only an email was given
+      name: name || domain!.split('.')[0].replace(/^./, (ch) => ch.toUpperCase()),
+      domain,
+      created_by: userId,
+    })
+    .select(COMPANY_COLUMNS)
+    .single();
+
+  if (insertError?.code === '23505' && domain) {
+    const { data: winner } = await supabase
+      .from('companies')
+      .select(COMPANY_COLUMNS)
+      .eq('organization_id', organizationId)
+      .eq('domain', domain)
+      .maybeSingle();
+    if (winner) return { record: winner, deduplicated: true };
+  }
+  if (insertError) throw insertError;
+
+  return { record: created, deduplicated: false };
+}
+
+// ============================================================================
+// LINKING
+// ============================================================================
+
+/**
+ * Link a contact and/or company to a deal. Linking a primary contact demotes
+ * the deal's previous primary. Re-linking an existing pair is a no-op.
+ */
+export async function linkDealParties(
+  supabase: any,
+  params: {
+    dealId: string;
+    organizationId: string;
+    contactId?: string | null;
+    companyId?: string | null;
+    primary?: boolean;
+  }
+): Promise<void> {
+  const { dealId, organizationId, contactId, companyId, primary = false } = params;
+
+  if (contactId) {
+    if (primary) {
+      await supabase
+        .from('deal_contacts')
+        .update({ is_primary: false })
+        .eq('deal_id', dealId)
+        .neq('contact_id', contactId);
+    }
+
+    const { error } = await supabase
+      .from('deal_contacts')
+      .upsert(
+        { deal_id: dealId, contact_id: contactId, organization_id: organizationId, is_primary: primary },
+        { onConflict: 'deal_id,contact_id', ignoreDuplicates: !primary }
+      );
+    if (error) throw error;
+  }
+
+  if (companyId) {
+    const { error } = await supabase
+      .from('deal_companies')
+      .upsert(
+        { deal_id: dealId, company_id: companyId, organization_id: organizationId },
+        { onConflict: 'deal_id,company_id', ignoreDuplicates: true }
+      );
+    if (error) throw error;
+  }
+}
+
+/**
+ * Load the contacts and companies linked to a deal
+ */
+export async function getDealParties(supabase: any, dealId: string) {
+  const [{ data: contactLinks, error: contactError }, { data: companyLinks, error: companyError }] = await Promise.all([
+    supabase
+      .from('deal_contacts')
+      .select(`is_primary, contact:contacts(${CONTACT_COLUMNS})`)
+      .eq('deal_id', dealId),
+    supabase
+      .from('deal_companies')
+      .select(`company:companies(${COMPANY_COLUMNS})`)
+      .eq('deal_id', dealId),
+  ]);
+  if (contactError) throw contactError;
+  if (companyError) throw companyError;
+
+  return {
+    contacts: (contactLinks || [])
+      .filter((link: any) => link.contact)
+      .map((link: any) => ({ ...link.contact, is_primary: link.is_primary }))
+      .sort((a: any, b: any) => Number(b.is_primary) - Number(a.is_primary)),
+    companies: (companyLinks || []).map((link: any) => link.company).filter(Boolean),
+  };
+}
+
+// ============================================================================
+// COMPANY ROLLUP
+// ============================================================================
+
+export interface CompanyRollup {
+  dealCount: number;
+  openCount: number;
+  openValue: number;
+  wonCount: number;
+  wonValue: number;
+  lostCount: number;
+  disqualifiedCount: number;
+  /** Deal count per stage, e.g. to spot renewals sitting in retention stages */
+  byStage: Record<string, number>;
+  firstDealAt: string | null;
+  lastActivityAt: string | null;
+}
+
+/**
+ * Roll up every deal linked to a company (soft-deleted deals excluded)
+ */
+export function summarizeCompanyDeals(deals: any[]): CompanyRollup {
+  const rollup: CompanyRollup = {
+    dealCount: 0,
+    openCount: 0,
+    openValue: 0,
+    wonCount: 0,
+    wonValue: 0,
+    lostCount: 0,
+    disqualifiedCount: 0,
+    byStage: {},
+    firstDealAt: null,
+    lastActivityAt: null,
+  };
+
+  for (const deal of deals || []) {
+    if (!deal || deal.deleted_at) continue;
+    const value = Number(deal.value) || 0;
+
+    rollup.dealCount += 1;
+    if (deal.status === 'won') {
+      rollup.wonCount += 1;
+      rollup.wonValue += value;
+    } else if (deal.status === 'lost') {
+      rollup.lostCount += 1;
+    } else if (deal.status === 'disqualified') {
+      rollup.disqualifiedCount += 1;
+    } else {
+      rollup.openCount += 1;
+      rollup.openValue += value;
+    }
+
+    if (deal.stage) {
+      rollup.byStage[deal.stage] = (rollup.byStage[deal.stage] || 0) + 1;
+    }
+    if (deal.created && (!rollup.firstDealAt || deal.created < rollup.firstDealAt)) {
+      rollup.firstDealAt = deal.created;
+    }
+    const touched = deal.last_touch_at || deal.last_activity;
+    if (touched && (!rollup.lastActivityAt || touched > rollup.lastActivityAt)) {
+      rollup.lastActivityAt = touched;
+    }
+  }
+
+  return rollup;
+}
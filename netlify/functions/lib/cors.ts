@@ -109,8 +109,8 @@ export function buildCorsHeaders(
 ): Record<string, string> {
   const {
     methods = 'GET, POST, PUT, DELETE, OPTIONS',
-    allowHeaders = 'Content-Type, Authorization, X-Correlation-ID',
-    exposeHeaders = 'X-Correlation-ID',
+    allowHeaders = 'Content-Type, Authorization, X-Correlation-ID, Idempotency-Key',
+    exposeHeaders = 'X-Correlation-ID, Idempotent-Replayed',
     maxAge = 86400, // 24 hours
   } = options;
 
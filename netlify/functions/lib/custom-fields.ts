@@ -0,0 +1,251 @@
+/**
+ * Deal Custom Fields
+ *
+ * Server-side validation for org-defined deal custom fields. Definitions live
+ * in deal_custom_fields; values are stored on deals.custom_fields keyed by
+ * field key. Type coercion is shared with the UI via
+ * src/config/customFieldConfig.js so both sides agree on what's valid.
+ *
+ * USAGE:
+ * ```typescript
+ * const definitions = await loadCustomFieldDefinitions(supabase, orgId);
+ * const { values, errors } = validateCustomFieldValues(definitions, body.custom_fields, {
+ *   mode: 'update',
+ *   existing: existingDeal.custom_fields,
+ * });
+ * if (errors.length > 0) return json(400, { error: 'Invalid custom fields', code: 'CUSTOM_FIELD_INVALID', details: errors });
+ * ```
+ */
+
+import {
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_LIMITS,
+  CUSTOM_FIELD_KEY_PATTERN,
+  coerceCustomFieldValue,
+} from '../../../src/config/customFieldConfig';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export type CustomFieldType = 'text' | 'number' | 'currency' | 'date' | 'select' | 'multi_select' | 'url';
+
+export interface CustomFieldDefinition {
+  id?: string;
+  key: string;
+  label: string;
+  type: CustomFieldType;
+  required: boolean;
+  options: string[];
+  defaultValue: unknown;
+  position?: number;
+}
+
+export interface CustomFieldError {
+  field: string;
+  code: 'UNKNOWN_FIELD' | 'INVALID_VALUE' | 'REQUIRED';
+  message: string;
+}
+
+export interface CustomFieldValidationResult {
+  /** Complete custom_fields object to store (empty values removed) */
+  values: Record<string, unknown>;
+  errors: CustomFieldError[];
+}
+
+export const CUSTOM_FIELD_COLUMNS =
+  'id, organization_id, key, label, type, required, options, default_value, position, archived_at, created_at, updated_at';
+
+const VALID_TYPES = new Set<string>(Object.values(CUSTOM_FIELD_TYPES));
+const OPTION_TYPES = new Set<string>([CUSTOM_FIELD_TYPES.SELECT, CUSTOM_FIELD_TYPES.MULTI_SELECT]);
+
+// ============================================================================
+// DEFINITIONS
+// ============================================================================
+
+/**
+ * Map a deal_custom_fields row (or template field) to a definition
+ */
+export function toFieldDefinition(row: any): CustomFieldDefinition {
+  return {
+    id: row.id,
+    key: row.key,
+    label: row.label,
+    type: row.type,
+    required: row.required === true,
+    options: Array.isArray(row.options) ? row.options : [],
+    defaultValue: row.default_value ?? row.defaultValue ?? null,
+    position: row.position ?? 0,
+  };
+}
+
+/**
+ * Active (non-archived) field definitions for an organization, in display order
+ */
+export async function loadCustomFieldDefinitions(
+  supabase: any,
+  organizationId: string
+): Promise<CustomFieldDefinition[]> {
+  const { data, error } = await supabase
+    .from('deal_custom_fields')
+    .select(CUSTOM_FIELD_COLUMNS)
+    .eq('organization_id', organizationId)
+    .is('archived_at', null)
+    .order('position', { ascending: true });
+
+  if (error) throw error;
+  return (data || []).map(toFieldDefinition);
+}
+
+/**
+ * Validate a field definition from the settings editor.
+ * Pass `existing` for updates: key and type can't change, and omitted
+ * properties keep their current value.
+ *
+ * @returns normalized definition fields and a list of error messages
+ */
+export function validateCustomFieldDefinition(
+  input: any,
+  existing: CustomFieldDefinition | null = null
+): { definition: Partial<CustomFieldDefinition>; errors: string[] } {
+  const partial = existing !== null;
+  const errors: string[] = [];
+  const definition: Partial<CustomFieldDefinition> = {};
+
+  if (!input || typeof input !== 'object') {
+    return { definition, errors: ['Field definition must be an object'] };
+  }
+
+  if (!partial) {
+    if (typeof input.key !== 'string' || !CUSTOM_FIELD_KEY_PATTERN.test(input.key)) {
+      errors.push('key must be lowercase letters, numbers and underscores, starting with a letter (max 50)');
+    } else {
+      definition.key = input.key;
+    }
+    if (!VALID_TYPES.has(input.type)) {
+      errors.push(`type must be one of: ${[...VALID_TYPES].join(', ')}`);
+    } else {
+      definition.type = input.type;
+    }
+  }
+
+  if (!partial || input.label !== undefined) {
+    const label = typeof input.label === 'string' ? input.label.trim() : '';
+    if (label.length === 0 || label.length > 100) {
+      errors.push('label is required (max 100 characters)');
+    } else {
+      definition.label = label;
+    }
+  }
+
+  if (input.required !== undefined) {
+    definition.required = input.required === true;
+  }
+
+  if (input.position !== undefined) {
+    if (!Number.isInteger(input.position) || input.position < 0) {
+      errors.push('position must be a non-negative integer');
+    } else {
+      definition.position = input.position;
+    }
+  }
+
+  const type = definition.type || existing?.type;
+  if (type && OPTION_TYPES.has(type) && (!partial || input.options !== undefined)) {
+    const options = Array.isArray(input.options)
+      ? [...new Set(input.options.map((option: unknown) => String(option).trim()).filter(Boolean))] as string[]
+      : [];
+    if (options.length === 0) {
+      errors.push('select fields need at least one option');
+    } else if (options.length > CUSTOM_FIELD_LIMITS.MAX_OPTIONS) {
+      errors.push(`at most ${CUSTOM_FIELD_LIMITS.MAX_OPTIONS} options are allowed`);
+    } else if (options.some(option => option.length > CUSTOM_FIELD_LIMITS.MAX_OPTION_LENGTH)) {
+      errors.push(`options must be at most ${CUSTOM_FIELD_LIMITS.MAX_OPTION_LENGTH} characters`);
+    } else {
+      definition.options = options;
+    }
+  }
+
+  // The default must itself be a valid value for the field
+  if (type && input.defaultValue !== undefined && errors.length === 0) {
+    const { value, error } = coerceCustomFieldValue(
+      { key: definition.key || existing?.key, label: 'Default value', type, options: definition.options || existing?.options || [] },
+      input.defaultValue
+    );
+    if (error) {
+      errors.push(`defaultValue: ${error}`);
+    } else {
+      definition.defaultValue = value;
+    }
+  }
+
+  return { definition, errors };
+}
+
+// ============================================================================
+// VALUES
+// ============================================================================
+
+/**
+ * Validate custom field values for a deal write.
+ *
+ * - Unknown keys are rejected (archived fields count as unknown)
+ * - `create`: missing fields get their default, then required fields must be set
+ * - `update`: only provided keys are checked; they merge over `existing`, and
+ *   a required field can't be cleared. null clears an optional field.
+ * - `fromText`: CSV cells (loose dates, "a; b" multi-select lists)
+ */
+export function validateCustomFieldValues(
+  definitions: CustomFieldDefinition[],
+  input: unknown,
+  {
+    mode = 'create',
+    existing = null,
+    fromText = false,
+  }: { mode?: 'create' | 'update'; existing?: Record<string, unknown> | null; fromText?: boolean } = {}
+): CustomFieldValidationResult {
+  const errors: CustomFieldError[] = [];
+  const values: Record<string, unknown> = mode === 'update' && existing && typeof existing === 'object'
+    ? { ...existing }
+    : {};
+
+  if (input !== undefined && input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+    return { values, errors: [{ field: 'custom_fields', code: 'INVALID_VALUE', message: 'custom_fields must be an object' }] };
+  }
+
+  const provided = (input || {}) as Record<string, unknown>;
+  const byKey = new Map(definitions.map(definition => [definition.key, definition]));
+
+  for (const key of Object.keys(provided)) {
+    if (!byKey.has(key)) {
+      errors.push({ field: key, code: 'UNKNOWN_FIELD', message: `Unknown custom field "${key}"` });
+    }
+  }
+
+  for (const definition of definitions) {
+    const hasValue = Object.prototype.hasOwnProperty.call(provided, definition.key);
+
+    if (hasValue) {
+      const { value, error } = coerceCustomFieldValue(definition, provided[definition.key], { fromText });
+      if (error) {
+        errors.push({ field: definition.key, code: 'INVALID_VALUE', message: error });
+        continue;
+      }
+      if (value === null) {
+        delete values[definition.key];
+      } else {
+        values[definition.key] = value;
+      }
+    } else if (mode === 'create' && definition.defaultValue !== null && definition.defaultValue !== undefined) {
+      values[definition.key] = definition.defaultValue;
+    }
+
+    const isMissing = values[definition.key] === undefined;
+    const shouldCheck = mode === 'create' || hasValue;
+    if (definition.required && shouldCheck && isMissing) {
+      errors.push({ field: definition.key, code: 'REQUIRED', message: `${definition.label} is required` });
+    }
+  }
+
+  return { values, errors };
+}
@@ -0,0 +1,243 @@
+/**
+ * Deal Assignment
+ *
+ * Round-robin auto-assignment shared by assign-deals ('assign-auto') and
+ * inbound lead capture. The `assign_deal_round_robin` database function picks
+ * the next team member; this wrapper records the change in the deal history
+ * and queues the deal.assigned webhook event.
+ *
+ * New deals from create-deal, api-deals, the CSV import and lead capture also
+ * go through the org's assignment rules (assignDealsByRules, see
+ * src/config/assignmentRules.js); deals no rule matches keep their owner.
+ *
+ * USAGE:
+ * ```typescript
+ * const { assignedTo, deal } = await autoAssignDeal(supabase, {
+ *   dealId, organizationId, changedBy: userId, actor: { type: 'user', id: userId }
+ * });
+ *
+ * const { deals } = await assignDealsByRules(supabase, {
+ *   organizationId, deals: [newDeal], source: 'manual', changedBy: userId, actor
+ * });
+ * ```
+ */
+
+import { recordDealChange, type DealChangeSource } from './deal-history';
+import { emitDealEvents, emitDealEventsBulk, type WebhookActor } from './webhook-events';
+import { loadAssignmentRules, recordRulePicks, type AssignmentSource } from './assignment-rules';
+import { runAssignmentRules } from '../../../src/config/assignmentRules';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export interface AutoAssignOptions {
+  dealId: string;
+  organizationId: string;
+  /** Acting user for the history row, or null for system assignments */
+  changedBy: string | null;
+  actor: WebhookActor;
+  /** History source (default 'assign') */
+  source?: DealChangeSource;
+}
+
+export interface AutoAssignResult {
+  /** User picked by the round-robin */
+  assignedTo: string | null;
+  /** The deal after assignment (null if it vanished meanwhile) */
+  deal: Record<string, any> | null;
+}
+
+export interface RuleAssignOptions {
+  organizationId: string;
+  /** Newly created deals, in arrival order */
+  deals: Record<string, any>[];
+  source: AssignmentSource;
+  changedBy: string | null;
+  actor: WebhookActor;
+}
+
+export interface RuleAssignResult {
+  /** The same deals, with new owners where a rule moved them */
+  deals: Record<string, any>[];
+  /** Deal ids a rule assigned (including to the deal's current owner) */
+  ruleAssigned: Set<string>;
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/** Deals still being worked: not won, lost or disqualified, not deleted */
+export const OPEN_DEAL_STATUS = 'active';
+
+// ============================================================================
+// OPEN DEALS
+// ============================================================================
+
+/**
+ * Number of open deals assigned to each user
+ */
+export async function countOpenDeals(
+  supabase: any,
+  organizationId: string,
+  userIds: string[]
+): Promise<Record<string, number>> {
+  const counts = await Promise.all(userIds.map(async userId => {
+    const { count, error } = await supabase
+      .from('deals')
+      .select('id', { count: 'exact', head: true })
+      .eq('organization_id', organizationId)
+      .eq('assigned_to', userId)
+      .eq('status', OPEN_DEAL_STATUS)
+      .is('deleted_at', null);
+    if (error) throw error;
+    return [userId, count || 0] as const;
+  }));
+  return Object.fromEntries(counts);
+}
+
+// ============================================================================
+// ROUND ROBIN
+// ============================================================================
+
+/**
+ * Assign a deal to the next member in the organization's rotation.
+ * Throws when the database function fails; history and webhook events are
+ * non-fatal.
+ */
+export async function autoAssignDeal(supabase: any, options: AutoAssignOptions): Promise<AutoAssignResult> {
+  const { dealId, organizationId, changedBy, actor, source = 'assign' } = options;
+
+  // Previous assignee for the change history
+  const { data: previousDeal } = await supabase
+    .from('deals')
+    .select('assigned_to')
+    .eq('id', dealId)
+    .eq('organization_id', organizationId)
+    .maybeSingle();
+
+  const { data: assignedTo, error } = await supabase.rpc('assign_deal_round_robin', {
+    p_deal_id: dealId,
+    p_organization_id: organizationId
+  });
+
+  if (error) {
+    throw error;
+  }
+
+  const { data: deal } = await supabase
+    .from('deals')
+    .select('*')
+    .eq('id', dealId)
+    .single();
+
+  if (deal) {
+    await recordDealChange(supabase, {
+      dealId,
+      organizationId,
+      changedBy,
+      source,
+      before: previousDeal,
+      after: deal
+    });
+    await emitDealEvents(supabase, {
+      organizationId,
+      actor,
+      before: previousDeal || { assigned_to: null },
+      after: deal
+    });
+  }
+
+  return { assignedTo: assignedTo ?? null, deal: deal ?? null };
+}
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+/**
+ * Route new deals through the org's active assignment rules. Deals a rule
+ * gives to someone else are moved in one update per new owner, recorded in
+ * the deal history and queued as deal.assigned events. Never throws - on any
+ * failure the deals keep the owner they were created with.
+ */
+export async function assignDealsByRules(supabase: any, options: RuleAssignOptions): Promise<RuleAssignResult> {
+  const { organizationId, deals, source, changedBy, actor } = options;
+  const ruleAssigned = new Set<string>();
+  if (deals.length === 0) return { deals, ruleAssigned };
+
+  try {
+    const rules = await loadAssignmentRules(supabase, organizationId, { activeOnly: true });
+    if (rules.length === 0) return { deals, ruleAssigned };
+
+    const { data: members, error: membersError } = await supabase
+      .from('team_members')
+      .select('user_id')
+      .eq('organization_id', organizationId);
+    if (membersError) throw membersError;
+    const memberIds: string[] = (members || []).map((member: any) => member.user_id);
+
+    const cappedUserIds = [...new Set(rules.flatMap(rule => rule.assignees
+      .filter(assignee => assignee.cap !== null && memberIds.includes(assignee.userId))
+      .map(assignee => assignee.userId)))];
+    const openDeals = await countOpenDeals(supabase, organizationId, cappedUserIds);
+
+    const { results, picks } = runAssignmentRules(rules, deals, { openDeals, memberIds, getSource: () => source });
+
+    // Group moves by new owner so each owner is one update
+    const moves = new Map<string, string[]>();
+    results.forEach((result: any) => {
+      if (!result.assignedTo) return;
+      ruleAssigned.add(result.dealId);
+      const deal = deals.find(candidate => candidate.id === result.dealId);
+      if (!deal || deal.assigned_to === result.assignedTo) return;
+      moves.set(result.assignedTo, [...(moves.get(result.assignedTo) || []), result.dealId]);
+    });
+
+    if (moves.size === 0) {
+      await recordRulePicks(supabase, picks);
+      return { deals, ruleAssigned };
+    }
+
+    const now = new Date().toISOString();
+    const updatedById = new Map<string, Record<string, any>>();
+    for (const [assignedTo, dealIds] of moves) {
+      const { data: updated, error } = await supabase
+        .from('deals')
+        .update({ assigned_to: assignedTo, assigned_by: changedBy, assigned_at: now })
+        .in('id', dealIds)
+        .eq('organization_id', organizationId)
+        .select();
+      if (error) throw error;
+      (updated || []).forEach((deal: any) => updatedById.set(deal.id, deal));
+    }
+
+    await recordRulePicks(supabase, picks);
+
+    const changes = deals
+      .filter(deal => updatedById.has(deal.id))
+      .map(deal => ({ before: deal, after: updatedById.get(deal.id) as Record<string, any> }));
+
+    await Promise.all(changes.map(({ before, after }) => recordDealChange(supabase, {
+      dealId: after.id,
+      organizationId,
+      changedBy,
+      source: 'assign',
+      before,
+      after
+    })));
+    await emitDealEventsBulk(supabase, organizationId, actor, changes);
+
+    return { deals: deals.map(deal => updatedById.get(deal.id) || deal), ruleAssigned };
+  } catch (error) {
+    console.error('[deal-assignment] Assignment rules failed, keeping default owners:', error);
+    return { deals, ruleAssigned: new Set() };
+  }
+}
+
+export default {
+  autoAssignDeal,
+  assignDealsByRules,
+  countOpenDeals
+};
@@ -0,0 +1,508 @@
+/**
+ * Deal Export
+ *
+ * Reads an organization's deals page by page, adds assignee names, pipeline
+ * and stage names and stage history, and writes them out as CSV, XLSX or
+ * JSON. Every step is a generator, so export-deals.mts can stream the file
+ * while later pages are still being read.
+ *
+ * USAGE:
+ * ```typescript
+ * const ctx = await buildExportContext(supabase, orgId, request.stageNames);
+ * const columns = buildExportColumns(ctx.customFields);
+ * const body = toReadableStream(writeExport(request.format, readExportPages(ctx, request), columns));
+ * ```
+ */
+
+import { applyCursor, type DealCursor } from './deal-query';
+import { loadCustomFieldDefinitions, type CustomFieldDefinition } from './custom-fields';
+import { loadPipelines } from './pipelines';
+import { writeXLSX, type XLSXCell } from './xlsx-writer';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json'] as const;
+export const EXPORT_SCOPES = ['all', 'view'] as const;
+
+/** Deals read per query (also bounds the id list in .in() filters) */
+export const EXPORT_PAGE_SIZE = 200;
+
+/** Max deal ids a 'view' export may list */
+export const MAX_EXPORT_DEAL_IDS = 50000;
+
+// PostgREST returns at most this many rows per request
+const HISTORY_PAGE_SIZE = 1000;
+const MAX_STAGE_NAMES = 500;
+
+export const EXPORT_CONTENT_TYPES: Record<ExportFormat, string> = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8',
+};
+
+const EXPORT_DEAL_COLUMNS = [
+  'id', 'client', 'email', 'phone', 'value', 'stage', 'status', 'pipeline_id',
+  'assigned_to', 'assigned_at', 'expected_close_date', 'notes', 'created', 'last_activity',
+  'outcome_reason_category', 'outcome_notes', 'outcome_recorded_at',
+  'lost_reason', 'lost_reason_notes',
+  'disqualified_reason_category', 'disqualified_reason_notes', 'disqualified_at',
+  'custom_fields',
+].join(', ');
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export type ExportFormat = typeof EXPORT_FORMATS[number];
+export type ExportScope = typeof EXPORT_SCOPES[number];
+
+export interface ExportRequest {
+  format: ExportFormat;
+  /** 'view' exports exactly dealIds (the filtered board), 'all' every deal */
+  scope: ExportScope;
+  dealIds: string[];
+  /** Stage id → display name, as shown on the board */
+  stageNames: Record<string, string>;
+}
+
+export interface ExportContext {
+  supabase: any;
+  organizationId: string;
+  customFields: CustomFieldDefinition[];
+  stageNames: Map<string, string>;
+  pipelineNames: Map<string, string>;
+  defaultPipelineName: string | null;
+  /** user id → display name, filled as pages are read */
+  userNames: Map<string, string>;
+}
+
+export interface ExportStageChange {
+  from: string | null;
+  to: string;
+  changed_at: string;
+  changed_by: string | null;
+}
+
+export interface ExportRecord {
+  id: string;
+  client: string;
+  email: string | null;
+  phone: string | null;
+  value: number | null;
+  pipeline: { id: string | null; name: string | null };
+  stage: { id: string; name: string };
+  status: string | null;
+  assignee: { id: string; name: string } | null;
+  assigned_at: string | null;
+  expected_close_date: string | null;
+  created: string | null;
+  last_activity: string | null;
+  stage_entered_at: string | null;
+  outcome: {
+    reason_category: string | null;
+    notes: string | null;
+    recorded_at: string | null;
+    lost_reason: string | null;
+    lost_reason_notes: string | null;
+    disqualified_reason_category: string | null;
+    disqualified_reason_notes: string | null;
+    disqualified_at: string | null;
+  };
+  notes: string | null;
+  custom_fields: Record<string, unknown>;
+  stage_history: ExportStageChange[];
+}
+
+export interface ExportColumn {
+  header: string;
+  value: (record: ExportRecord) => XLSXCell;
+}
+
+// ============================================================================
+// REQUEST
+// ============================================================================
+
+/**
+ * Validate the export-deals request body
+ */
+export function parseExportRequest(body: any): { request: ExportRequest | null; error?: string } {
+  const format = body?.format ?? 'csv';
+  const scope = body?.scope ?? 'all';
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { request: null, error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` };
+  }
+  if (!EXPORT_SCOPES.includes(scope)) {
+    return { request: null, error: `scope must be one of: ${EXPORT_SCOPES.join(', ')}` };
+  }
+
+  let dealIds: string[] = [];
+  if (scope === 'view') {
+    if (!Array.isArray(body.dealIds)) {
+      return { request: null, error: "dealIds is required for scope 'view'" };
+    }
+    if (body.dealIds.length > MAX_EXPORT_DEAL_IDS) {
+      return { request: null, error: `At most ${MAX_EXPORT_DEAL_IDS} deals can be exported at once` };
+    }
+    if (!body.dealIds.every((id: unknown) => typeof id === 'string' && UUID_REGEX.test(id))) {
+      return { request: null, error: 'dealIds must be deal UUIDs' };
+    }
+    dealIds = [...new Set<string>(body.dealIds)];
+  }
+
+  const stageNames: Record<string, string> = {};
+  if (body?.stageNames && typeof body.stageNames === 'object' && !Array.isArray(body.stageNames)) {
+    for (const [id, name] of Object.entries(body.stageNames).slice(0, MAX_STAGE_NAMES)) {
+      if (typeof name === 'string' && name.trim()) stageNames[id] = name.trim().slice(0, 100);
+    }
+  }
+
+  return { request: { format, scope, dealIds, stageNames } };
+}
+
+/**
+ * Download file name, e.g. stageflow-deals-2025-01-31.xlsx
+ */
+export const exportFileName = (format: ExportFormat, date = new Date()) =>
+  `stageflow-deals-${date.toISOString().slice(0, 10)}.${format}`;
+
+// ============================================================================
+// CONTEXT
+// ============================================================================
+
+// lead_captured → Lead Captured (stages the caller didn't name)
+const humanizeStage = (stageId: string) =>
+  stageId.split('_').filter(Boolean).map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+
+/**
+ * Load what every page needs: custom field definitions, pipeline names and
+ * stage names (pipeline stages, overridden by the names the board shows).
+ */
+export async function buildExportContext(
+  supabase: any,
+  organizationId: string,
+  stageNames: Record<string, string> = {}
+): Promise<ExportContext> {
+  const [customFields, pipelines] = await Promise.all([
+    loadCustomFieldDefinitions(supabase, organizationId),
+    loadPipelines(supabase, organizationId),
+  ]);
+
+  const names = new Map<string, string>();
+  // Template pipelines take their stage names from the template (client side)
+  for (const pipeline of pipelines.filter(p => !p.template_id)) {
+    for (const stage of pipeline.stages || []) {
+      if (stage?.id && stage.name && !names.has(stage.id)) names.set(stage.id, stage.name);
+    }
+  }
+  for (const [id, name] of Object.entries(stageNames)) names.set(id, name);
+
+  return {
+    supabase,
+    organizationId,
+    customFields,
+    stageNames: names,
+    pipelineNames: new Map(pipelines.map(pipeline => [pipeline.id, pipeline.name])),
+    // Deals with a null pipeline_id belong to the default pipeline
+    defaultPipelineName: pipelines.find(pipeline => pipeline.is_default)?.name ?? pipelines[0]?.name ?? null,
+    userNames: new Map(),
+  };
+}
+
+// ============================================================================
+// RECORDS
+// ============================================================================
+
+/**
+ * Shape one deal row plus its stage history (oldest first) for export
+ */
+export function toExportRecord(deal: any, history: any[], ctx: ExportContext): ExportRecord {
+  const stageName = (stageId: string | null) =>
+    stageId ? ctx.stageNames.get(stageId) || humanizeStage(stageId) : null;
+
+  const stageHistory: ExportStageChange[] = history.map(change => ({
+    from: stageName(change.previous_stage),
+    to: stageName(change.new_stage) as string,
+    changed_at: change.changed_at,
+    changed_by: change.changed_by ? ctx.userNames.get(change.changed_by) || null : null,
+  }));
+
+  const entered = [...history].reverse().find(change => change.new_stage === deal.stage);
+
+  return {
+    id: deal.id,
+    client: deal.client,
+    email: deal.email ?? null,
+    phone: deal.phone ?? null,
+    value: deal.value ?? null,
+    pipeline: {
+      id: deal.pipeline_id ?? null,
+      name: deal.pipeline_id ? ctx.pipelineNames.get(deal.pipeline_id) ?? null : ctx.defaultPipelineName,
+    },
+    stage: { id: deal.stage, name: stageName(deal.stage) as string },
+    status: deal.status ?? null,
+    assignee: deal.assigned_to
+      ? { id: deal.assigned_to, name: ctx.userNames.get(deal.assigned_to) || 'Team member' }
+      : null,
+    assigned_at: deal.assigned_at ?? null,
+    expected_close_date: deal.expected_close_date ?? null,
+    created: deal.created ?? null,
+    last_activity: deal.last_activity ?? null,
+    stage_entered_at: entered?.changed_at ?? deal.created ?? null,
+    outcome: {
+      reason_category: deal.outcome_reason_category ?? null,
+      notes: deal.outcome_notes ?? null,
+      recorded_at: deal.outcome_recorded_at ?? null,
+      lost_reason: deal.lost_reason ?? null,
+      lost_reason_notes: deal.lost_reason_notes ?? null,
+      disqualified_reason_category: deal.disqualified_reason_category ?? null,
+      disqualified_reason_notes: deal.disqualified_reason_notes ?? null,
+      disqualified_at: deal.disqualified_at ?? null,
+    },
+    notes: deal.notes ?? null,
+    custom_fields: deal.custom_fields && typeof deal.custom_fields === 'object' ? deal.custom_fields : {},
+    stage_history: stageHistory,
+  };
+}
+
+const formatStageChange = (change: ExportStageChange) =>
+  `${change.changed_at} ${change.from ? `${change.from} → ` : ''}${change.to}`;
+
+const customFieldCell = (value: unknown): XLSXCell => {
+  if (Array.isArray(value)) return value.join('; ');
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value as XLSXCell;
+};
+
+/**
+ * Spreadsheet columns: core deal fields, outcome fields, stage history,
+ * then one column per custom field
+ */
+export function buildExportColumns(customFields: CustomFieldDefinition[] = []): ExportColumn[] {
+  return [
+    { header: 'Deal ID', value: r => r.id },
+    { header: 'Client', value: r => r.client },
+    { header: 'Email', value: r => r.email },
+    { header: 'Phone', value: r => r.phone },
+    { header: 'Value', value: r => r.value },
+    { header: 'Pipeline', value: r => r.pipeline.name },
+    { header: 'Stage', value: r => r.stage.name },
+    { header: 'Status', value: r => r.status },
+    { header: 'Assignee', value: r => r.assignee?.name },
+    { header: 'Assigned At', value: r => r.assigned_at },
+    { header: 'Expected Close Date', value: r => r.expected_close_date },
+    { header: 'Created', value: r => r.created },
+    { header: 'Last Activity', value: r => r.last_activity },
+    { header: 'Stage Entered At', value: r => r.stage_entered_at },
+    { header: 'Outcome Reason', value: r => r.outcome.reason_category },
+    { header: 'Outcome Notes', value: r => r.outcome.notes },
+    { header: 'Outcome Recorded At', value: r => r.outcome.recorded_at },
+    { header: 'Lost Reason', value: r => r.outcome.lost_reason },
+    { header: 'Lost Reason Notes', value: r => r.outcome.lost_reason_notes },
+    { header: 'Disqualified Reason', value: r => r.outcome.disqualified_reason_category },
+    { header: 'Disqualified Notes', value: r => r.outcome.disqualified_reason_notes },
+    { header: 'Disqualified At', value: r => r.outcome.disqualified_at },
+    { header: 'Notes', value: r => r.notes },
+    { header: 'Stage History', value: r => r.stage_history.map(formatStageChange).join('\n') },
+    ...customFields.map(field => ({
+      header: field.label,
+      value: (r: ExportRecord) => customFieldCell(r.custom_fields[field.key]),
+    })),
+  ];
+}
+
+// ============================================================================
+// READING
+// ============================================================================
+
+async function loadUserNames(ctx: ExportContext, ids: Array<string | null>) {
+  const missing = [...new Set(ids.filter((id): id is string => !!id && !ctx.userNames.has(id)))];
+  if (missing.length === 0) return;
+
+  const { data: profiles, error } = await ctx.supabase
+    .from('user_profiles')
+    .select('id, email, full_name')
+    .in('id', missing);
+
+  if (error) throw error;
+  for (const profile of profiles || []) {
+    ctx.userNames.set(profile.id, profile.full_name || profile.email?.split('@')[0] || 'Team member');
+  }
+  // Don't look up ids without a profile again
+  for (const id of missing) {
+    if (!ctx.userNames.has(id)) ctx.userNames.set(id, 'Team member');
+  }
+}
+
+async function loadStageHistory(ctx: ExportContext, dealIds: string[]): Promise<Map<string, any[]>> {
+  const byDeal = new Map<string, any[]>();
+  if (dealIds.length === 0) return byDeal;
+
+  for (let from = 0; ; from += HISTORY_PAGE_SIZE) {
+    const { data, error } = await ctx.supabase
+      .from('deal_stage_history')
+      .select('id, deal_id, previous_stage, new_stage, changed_by, changed_at')
+      .in('deal_id', dealIds)
+      .order('changed_at', { ascending: true })
+      .order('id', { ascending: true })
+      .range(from, from + HISTORY_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    for (const change of data || []) {
+      if (!byDeal.has(change.deal_id)) byDeal.set(change.deal_id, []);
+      byDeal.get(change.deal_id)!.push(change);
+    }
+    if (!data || data.length < HISTORY_PAGE_SIZE) break;
+  }
+  return byDeal;
+}
+
+async function enrichPage(ctx: ExportContext, deals: any[]): Promise<ExportRecord[]> {
+  const history = await loadStageHistory(ctx, deals.map(deal => deal.id));
+  await loadUserNames(ctx, [
+    ...deals.map(deal => deal.assigned_to),
+    ...[...history.values()].flat().map(change => change.changed_by),
+  ]);
+  return deals.map(deal => toExportRecord(deal, history.get(deal.id) || [], ctx));
+}
+
+/**
+ * Yield export records a page at a time. 'view' keeps the order of
+ * request.dealIds (ids that are deleted or outside the org are skipped);
+ * 'all' is newest first.
+ */
+export async function* readExportPages(ctx: ExportContext, request: ExportRequest): AsyncGenerator<ExportRecord[]> {
+  const baseQuery = () => ctx.supabase
+    .from('deals')
+    .select(EXPORT_DEAL_COLUMNS)
+    .eq('organization_id', ctx.organizationId)
+    .is('deleted_at', null);
+
+  if (request.scope === 'view') {
+    for (let start = 0; start < request.dealIds.length; start += EXPORT_PAGE_SIZE) {
+      const ids = request.dealIds.slice(start, start + EXPORT_PAGE_SIZE);
+      const { data, error } = await baseQuery().in('id', ids);
+      if (error) throw error;
+
+      const byId = new Map((data || []).map((deal: any) => [deal.id, deal]));
+      const deals = ids.map(id => byId.get(id)).filter(Boolean);
+      if (deals.length > 0) yield await enrichPage(ctx, deals);
+    }
+    return;
+  }
+
+  let cursor: DealCursor | null = null;
+  while (true) {
+    const query = applyCursor(baseQuery(), cursor)
+      .order('created', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(EXPORT_PAGE_SIZE);
+    const { data, error } = await query;
+    if (error) throw error;
+    if (!data || data.length === 0) return;
+
+    yield await enrichPage(ctx, data);
+
+    if (data.length < EXPORT_PAGE_SIZE) return;
+    const last = data[data.length - 1];
+    cursor = { created: last.created, id: last.id };
+  }
+}
+
+// ============================================================================
+// WRITING
+// ============================================================================
+
+// Leading = + - @ would make spreadsheets evaluate the cell as a formula
+// (a phone number like +1 555 0100 is left alone)
+const FORMULA_PREFIX = /^(?:[=@\t\r]|[+-](?![\d\s(]))/;
+
+export const csvCell = (value: XLSXCell): string => {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const encoder = new TextEncoder();
+
+async function* writeCSV(pages: AsyncIterable<ExportRecord[]>, columns: ExportColumn[]): AsyncGenerator<Uint8Array> {
+  // BOM so Excel opens the file as UTF-8
+  yield encoder.encode(`\uFEFF${columns.map(column => csvCell(column.header)).join(',')}\r\n`);
+  for await (const records of pages) {
+    const lines = records.map(record => columns.map(column => csvCell(column.value(record))).join(','));
+    yield encoder.encode(`${lines.join('\r\n')}\r\n`);
+  }
+}
+
+async function* writeJSON(pages: AsyncIterable<ExportRecord[]>): AsyncGenerator<Uint8Array> {
+  let first = true;
+  yield encoder.encode('[');
+  for await (const records of pages) {
+    for (const record of records) {
+      yield encoder.encode(`${first ? '\n' : ',\n'}${JSON.stringify(record)}`);
+      first = false;
+    }
+  }
+  yield encoder.encode(first ? ']\n' : '\n]\n');
+}
+
+async function* spreadsheetRows(pages: AsyncIterable<ExportRecord[]>, columns: ExportColumn[]): AsyncGenerator<XLSXCell[]> {
+  yield columns.map(column => column.header);
+  for await (const records of pages) {
+    for (const record of records) yield columns.map(column => column.value(record));
+  }
+}
+
+/**
+ * Encode export pages in the requested format
+ */
+export function writeExport(
+  format: ExportFormat,
+  pages: AsyncIterable<ExportRecord[]>,
+  columns: ExportColumn[]
+): AsyncIterable<Uint8Array> {
+  if (format === 'json') return writeJSON(pages);
+  if (format === 'xlsx') return writeXLSX(spreadsheetRows(pages, columns), { sheetName: 'Deals' });
+  return writeCSV(pages, columns);
+}
+
+/**
+ * Response body that pulls the next chunk only when the client is ready for it
+ */
+export function toReadableStream(chunks: AsyncIterable<Uint8Array>, onError?: (error: unknown) => void): ReadableStream<Uint8Array> {
+  const iterator = chunks[Symbol.asyncIterator]();
+  return new ReadableStream<Uint8Array>({
+    async pull(controller) {
+      try {
+        const { value, done } = await iterator.next();
+        if (done) controller.close();
+        else controller.enqueue(value);
+      } catch (error) {
+        onError?.(error);
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await iterator.return?.(undefined);
+    },
+  });
+}
+
+export default {
+  EXPORT_FORMATS,
+  EXPORT_SCOPES,
+  parseExportRequest,
+  exportFileName,
+  buildExportContext,
+  toExportRecord,
+  buildExportColumns,
+  readExportPages,
+  writeExport,
+  toReadableStream,
+};
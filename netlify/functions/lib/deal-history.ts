@@ -0,0 +1,146 @@
+/**
+ * Deal Change History
+ *
+ * Field-level audit trail for deals. Every write path (create-deal,
+ * update-deal, api-deals, assign-deals) records one row per change in
+ * `deal_change_history` holding the previous and new values of the tracked
+ * fields that changed. `deal_stage_history` is still written as before for
+ * the stage analytics that read it.
+ *
+ * USAGE:
+ * ```typescript
+ * const { data: existingDeal } = await supabase.from('deals').select(DEAL_HISTORY_COLUMNS)...
+ * // ...perform the update...
+ * await recordDealChange(supabase, {
+ *   dealId, organizationId, changedBy: userId, source: 'update',
+ *   before: existingDeal, after: updatedDeal
+ * });
+ * ```
+ *
+ * The client renders the timeline by diffing `previous_values` against
+ * `new_values` with calculateDiff() from src/lib/differential-sync.js.
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Fields shown in the deal timeline
+ */
+export const TRACKED_DEAL_FIELDS = [
+  'stage',
+  'status',
+  'value',
+  'assigned_to',
+  'notes',
+  'next_step',
+  'lost_reason',
+  'outcome_reason_category',
+  'outcome_notes',
+  'disqualified_reason_category',
+] as const;
+
+export type TrackedDealField = typeof TRACKED_DEAL_FIELDS[number];
+
+/**
+ * Column list to select a deal's "before" snapshot
+ */
+export const DEAL_HISTORY_COLUMNS = TRACKED_DEAL_FIELDS.join(', ');
+
+export type DealChangeSource = 'create' | 'update' | 'api' | 'assign' | 'import' | 'capture';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export interface DealChangeSnapshots {
+  previous: Partial<Record<TrackedDealField, unknown>>;
+  next: Partial<Record<TrackedDealField, unknown>>;
+}
+
+export interface RecordDealChangeOptions {
+  dealId: string;
+  organizationId: string;
+  /** Acting user, or null for system changes */
+  changedBy: string | null;
+  source: DealChangeSource;
+  /** Deal before the change, or null when it was just created */
+  before: Record<string, any> | null;
+  after: Record<string, any>;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Normalize values so numeric strings and empty strings don't show up as changes
+ */
+function normalize(field: TrackedDealField, value: unknown): unknown {
+  if (value === undefined || value === '') return null;
+  if (field === 'value' && value !== null) {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : value;
+  }
+  return value;
+}
+
+/**
+ * Collect the tracked fields that differ between two deal rows.
+ * Returns null when nothing tracked changed.
+ *
+ * Only fields present in both rows are compared, so partial snapshots
+ * (e.g. just `assigned_to`) and partial update payloads can be passed directly.
+ */
+export function buildChangeSnapshots(
+  before: Record<string, any> | null,
+  after: Record<string, any>
+): DealChangeSnapshots | null {
+  const previous: DealChangeSnapshots['previous'] = {};
+  const next: DealChangeSnapshots['next'] = {};
+
+  for (const field of TRACKED_DEAL_FIELDS) {
+    if (!(field in after)) continue;
+    if (before && !(field in before)) continue;
+
+    const newValue = normalize(field, after[field]);
+    const oldValue = before ? normalize(field, before[field]) : null;
+
+    if (newValue === oldValue) continue;
+    // A brand new deal only records fields that were actually set
+    if (!before && newValue === null) continue;
+
+    previous[field] = oldValue;
+    next[field] = newValue;
+  }
+
+  return Object.keys(next).length > 0 ? { previous, next } : null;
+}
+
+/**
+ * Write one change row. Non-fatal: failures are logged, never thrown,
+ * so a missing history table can't block deal writes.
+ */
+export async function recordDealChange(supabase: any, options: RecordDealChangeOptions): Promise<void> {
+  const snapshots = buildChangeSnapshots(options.before, options.after);
+  if (!snapshots) return;
+
+  try {
+    const { error } = await supabase.from('deal_change_history').insert({
+      deal_id: options.dealId,
+      organization_id: options.organizationId,
+      changed_by: options.changedBy,
+      source: options.source,
+      previous_values: snapshots.previous,
+      new_values: snapshots.next,
+      changed_at: new Date().toISOString(),
+    });
+
+    if (error) {
+      console.warn('[deal-history] Failed to record change:', error.message);
+    }
+  } catch (error: any) {
+    console.warn('[deal-history] Failed to record change:', error?.message);
+  }
+}
@@ -0,0 +1,483 @@
+/**
+ * Deal Import
+ *
+ * Server side of the CSV/XLSX import. Source rows arrive keyed by column
+ * header together with the options chosen in the import wizard (column
+ * mapping, stage mapping, duplicate strategy); mapping and duplicate rules are
+ * shared with the UI via src/config/dealImport.js.
+ *
+ * Small files are imported in one request (import-deals-csv); large ones run
+ * as an import_jobs row processed in batches by import-deals-background, which
+ * advances processed_rows after each batch so the job can resume.
+ *
+ * USAGE:
+ * ```typescript
+ * const ctx = await buildImportContext(supabase, orgId, userId, options);
+ * const results = evaluateImportRows(rows.map((data, i) => ({ row: i + 1, data })), ctx);
+ * const { counts, errors } = await applyImportRows(ctx, results);
+ * ```
+ */
+
+import { IMPORT_LIMITS, mapImportRow, planImportRow, getDuplicateKey } from '../../../src/config/dealImport';
+import { getStatusForStage } from '../../../shared/stageStatusMap';
+import { loadCustomFieldDefinitions, validateCustomFieldValues, type CustomFieldDefinition } from './custom-fields';
+import { loadStageDefinitions, type StageDefinitionMap } from './stage-definitions';
+import { recordDealChange, DEAL_HISTORY_COLUMNS } from './deal-history';
+import { emitDealEventsBulk } from './webhook-events';
+import { assignDealsByRules } from './deal-assignment';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export type DuplicateStrategy = 'skip' | 'update' | 'create';
+
+export interface ImportOptions {
+  /** { [dealField | 'custom:<key>']: column header } */
+  mapping: Record<string, string>;
+  /** { [raw stage cell]: stageId } */
+  stageMapping?: Record<string, string | null>;
+  /** Stage ids of the target pipeline */
+  stageIds?: string[];
+  /** Stage for new deals without one */
+  defaultStage?: string;
+  /** Resolved target pipeline (null = org default / none) */
+  pipelineId?: string | null;
+  duplicateStrategy?: DuplicateStrategy;
+  dedupeBy?: 'email' | 'client';
+}
+
+export interface ImportSourceRow {
+  /** 1-based data row number in the file */
+  row: number;
+  data: Record<string, unknown>;
+}
+
+export interface ImportRowResult {
+  row: number;
+  action: 'create' | 'update' | 'skip' | 'error';
+  deal?: Record<string, any>;
+  /** Matched existing deal (update / skip) */
+  dealId?: string | null;
+  reason?: string;
+  errors?: string[];
+}
+
+export interface ImportRowError {
+  row: number;
+  errors: string[];
+  /** Row was left out on purpose (duplicate) rather than rejected */
+  skipped?: boolean;
+}
+
+export interface ImportCounts {
+  created: number;
+  updated: number;
+  skipped: number;
+  failed: number;
+}
+
+interface DuplicateEntry {
+  dealId: string | null;
+  /** Set when the deal comes from this import - later rows with the key are in-file duplicates */
+  row?: number | null;
+}
+
+export interface ImportContext {
+  supabase: any;
+  organizationId: string;
+  userId: string;
+  /** import_jobs.id for background imports, null for one-request imports */
+  jobId: string | null;
+  options: ImportOptions;
+  customFieldDefinitions: CustomFieldDefinition[];
+  stageDefinitions: StageDefinitionMap;
+  index: Map<string, DuplicateEntry>;
+}
+
+export const IMPORT_JOB_COLUMNS =
+  'id, organization_id, created_by, status, file_name, options, total_rows, processed_rows, created_count, updated_count, skipped_count, failed_count, last_error, started_at, completed_at, created_at, updated_at';
+
+/** A 'running' job not updated for this long lost its worker and may be restarted */
+export const IMPORT_JOB_STALE_MS = 5 * 60 * 1000;
+
+const INDEX_PAGE_SIZE = 1000;
+
+export const emptyImportCounts = (): ImportCounts => ({ created: 0, updated: 0, skipped: 0, failed: 0 });
+
+// ============================================================================
+// CONTEXT
+// ============================================================================
+
+/**
+ * Existing deals keyed by duplicate key. Deals created earlier by the same
+ * job (a resumed run) are marked with their row so repeats stay in-file duplicates.
+ */
+export async function loadDuplicateIndex(
+  supabase: any,
+  organizationId: string,
+  options: ImportOptions,
+  jobId: string | null = null
+): Promise<Map<string, DuplicateEntry>> {
+  const index = new Map<string, DuplicateEntry>();
+  if (options.duplicateStrategy === 'create') return index;
+
+  const dedupeBy = options.dedupeBy || 'email';
+
+  for (let from = 0; ; from += INDEX_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from('deals')
+      .select(`id, ${dedupeBy}, import_job_id, import_row`)
+      .eq('organization_id', organizationId)
+      .is('deleted_at', null)
+      .order('created', { ascending: true })
+      .range(from, from + INDEX_PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    (data || []).forEach((deal: any) => {
+      const key = getDuplicateKey(deal, dedupeBy);
+      if (!key || index.has(key)) return;
+      const fromThisJob = jobId !== null && deal.import_job_id === jobId;
+      index.set(key, { dealId: deal.id, row: fromThisJob ? deal.import_row : null });
+    });
+
+    if (!data || data.length < INDEX_PAGE_SIZE) break;
+  }
+
+  return index;
+}
+
+export async function buildImportContext(
+  supabase: any,
+  organizationId: string,
+  userId: string,
+  options: ImportOptions,
+  jobId: string | null = null
+): Promise<ImportContext> {
+  const [customFieldDefinitions, stageDefinitions, index] = await Promise.all([
+    loadCustomFieldDefinitions(supabase, organizationId),
+    loadStageDefinitions(supabase, organizationId),
+    loadDuplicateIndex(supabase, organizationId, options, jobId),
+  ]);
+
+  return { supabase, organizationId, userId, jobId, options, customFieldDefinitions, stageDefinitions, index };
+}
+
+// ============================================================================
+// EVALUATE (no writes - also used for the dry-run preview)
+// ============================================================================
+
+/**
+ * Map, validate and plan rows in file order. Updates ctx.index so duplicates
+ * later in the file (or in a later batch) are detected.
+ */
+export function evaluateImportRows(rows: ImportSourceRow[], ctx: ImportContext): ImportRowResult[] {
+  const { options } = ctx;
+
+  return rows.map(({ row, data }) => {
+    // Updates only change what the file has - no default stage
+    const mapped = mapImportRow(data, {
+      mapping: options.mapping,
+      stageMapping: options.stageMapping || {},
+      stageIds: options.stageIds || [],
+      defaultStage: null,
+    });
+    if (mapped.errors.length > 0) {
+      return { row, action: 'error', errors: mapped.errors };
+    }
+
+    const deal: Record<string, any> = mapped.deal;
+    const plan = planImportRow(deal, row, ctx.index, {
+      duplicateStrategy: options.duplicateStrategy || 'skip',
+      dedupeBy: options.dedupeBy || 'email',
+    });
+
+    if (plan.action === 'skip') {
+      return { row, action: 'skip', dealId: plan.dealId ?? null, reason: plan.reason };
+    }
+
+    if (plan.action === 'create' && !deal.stage) {
+      deal.stage = options.defaultStage || 'lead';
+    }
+
+    const customFields = validateCustomFieldValues(ctx.customFieldDefinitions, deal.custom_fields, {
+      mode: plan.action,
+      fromText: true,
+    });
+    if (customFields.errors.length > 0) {
+      // Free the key so a later row with it isn't reported as a duplicate of a failed row
+      const key = getDuplicateKey(deal, options.dedupeBy || 'email');
+      if (key && ctx.index.get(key)?.row === row) ctx.index.delete(key);
+      return { row, action: 'error', errors: customFields.errors.map(error => error.message) };
+    }
+    if (plan.action === 'create' || deal.custom_fields) {
+      deal.custom_fields = customFields.values;
+    }
+
+    if (deal.stage && !deal.status) {
+      deal.status = getStatusForStage(deal.stage, ctx.stageDefinitions);
+    }
+
+    return { row, action: plan.action, deal, dealId: plan.dealId ?? null };
+  });
+}
+
+// ============================================================================
+// APPLY
+// ============================================================================
+
+/**
+ * Write evaluated rows: creates in one insert, updates one by one (merging
+ * custom fields and recording deal history), then queues webhook events for
+ * the batch and routes the new deals through the assignment rules. Skipped
+ * and failed rows are returned for the error report.
+ */
+export async function applyImportRows(
+  ctx: ImportContext,
+  results: ImportRowResult[]
+): Promise<{ counts: ImportCounts; errors: ImportRowError[] }> {
+  const { supabase, organizationId, userId, jobId, options } = ctx;
+  const counts = emptyImportCounts();
+  const errors: ImportRowError[] = [];
+  const now = new Date().toISOString();
+  const changes: Array<{ before: Record<string, any> | null; after: Record<string, any> }> = [];
+  const createdDeals: Record<string, any>[] = [];
+
+  results.forEach(result => {
+    if (result.action === 'error') {
+      counts.failed++;
+      errors.push({ row: result.row, errors: result.errors || [] });
+    } else if (result.action === 'skip') {
+      counts.skipped++;
+      errors.push({ row: result.row, errors: [result.reason || 'Skipped'], skipped: true });
+    }
+  });
+
+  // CREATE
+  let creates = results.filter(result => result.action === 'create');
+
+  // A resumed batch may have been inserted before the worker stopped
+  if (jobId && creates.length > 0) {
+    const { data: existing, error } = await supabase
+      .from('deals')
+      .select('id, import_row')
+      .eq('import_job_id', jobId)
+      .in('import_row', creates.map(result => result.row));
+
+    if (error) throw error;
+    const inserted = new Set((existing || []).map((deal: any) => deal.import_row));
+    counts.created += inserted.size;
+    creates = creates.filter(result => !inserted.has(result.row));
+  }
+
+  if (creates.length > 0) {
+    const rows = creates.map(result => ({
+      organization_id: organizationId,
+      created: now,
+      last_activity: now,
+      assigned_to: userId,
+      assigned_at: now,
+      pipeline_id: options.pipelineId ?? null,
+      value: 0,
+      status: 'active',
+      ...result.deal,
+      import_job_id: jobId,
+      import_row: jobId ? result.row : null,
+    }));
+
+    const { data: inserted, error } = await supabase
+      .from('deals')
+      .insert(rows)
+      .select();
+
+    if (error) {
+      console.error('[deal-import] Batch insert failed:', error);
+      creates.forEach(result => {
+        counts.failed++;
+        errors.push({ row: result.row, errors: [`Database error: ${error.message}`] });
+      });
+    } else {
+      counts.created += inserted?.length || 0;
+      (inserted || []).forEach((deal: any) => {
+        changes.push({ before: null, after: deal });
+        createdDeals.push(deal);
+      });
+      // Later rows matching these deals are in-file duplicates, not updates
+      creates.forEach((result, i) => {
+        const key = getDuplicateKey(result.deal, options.dedupeBy || 'email');
+        const entry = key ? ctx.index.get(key) : null;
+        if (entry && entry.row === result.row) entry.dealId = inserted?.[i]?.id ?? null;
+      });
+    }
+  }
+
+  // UPDATE
+  const updates = results.filter(result => result.action === 'update' && result.dealId);
+  if (updates.length > 0) {
+    const { data: existingDeals, error } = await supabase
+      .from('deals')
+      .select(`id, custom_fields, ${DEAL_HISTORY_COLUMNS}`)
+      .eq('organization_id', organizationId)
+      .is('deleted_at', null)
+      .in('id', updates.map(result => result.dealId));
+
+    if (error) throw error;
+    const byId = new Map<string, any>((existingDeals || []).map((deal: any) => [deal.id, deal]));
+
+    for (const result of updates) {
+      const before = byId.get(result.dealId as string);
+      if (!before) {
+        counts.failed++;
+        errors.push({ row: result.row, errors: ['Matching deal no longer exists'] });
+        continue;
+      }
+
+      const patch: Record<string, any> = { ...result.deal, last_activity: now };
+      if (result.deal?.custom_fields) {
+        patch.custom_fields = { ...(before.custom_fields || {}), ...result.deal.custom_fields };
+      }
+
+      const { error: updateError } = await supabase
+        .from('deals')
+        .update(patch)
+        .eq('id', before.id)
+        .eq('organization_id', organizationId);
+
+      if (updateError) {
+        counts.failed++;
+        errors.push({ row: result.row, errors: [`Database error: ${updateError.message}`] });
+        continue;
+      }
+
+      counts.updated++;
+      await recordDealChange(supabase, {
+        dealId: before.id,
+        organizationId,
+        changedBy: userId,
+        source: 'import',
+        before,
+        after: patch,
+      });
+      changes.push({ before, after: { ...before, ...patch } });
+    }
+  }
+
+  await emitDealEventsBulk(supabase, organizationId, { type: 'user', id: userId }, changes);
+
+  // New deals go through the org's assignment rules (updated ones keep their owner)
+  await assignDealsByRules(supabase, {
+    organizationId,
+    deals: createdDeals,
+    source: 'import',
+    changedBy: userId,
+    actor: { type: 'user', id: userId },
+  });
+
+  errors.sort((a, b) => a.row - b.row);
+  return { counts, errors };
+}
+
+// ============================================================================
+// BACKGROUND JOBS
+// ============================================================================
+
+const addCounts = (total: ImportCounts, batch: ImportCounts): ImportCounts => ({
+  created: total.created + batch.created,
+  updated: total.updated + batch.updated,
+  skipped: total.skipped + batch.skipped,
+  failed: total.failed + batch.failed,
+});
+
+/**
+ * Process a claimed (status 'running') job from processed_rows onwards until
+ * every row is done or `deadline` (ms timestamp) passes.
+ *
+ * Progress is saved after each batch. Ends as 'completed' (source rows are
+ * then deleted), 'paused' when out of time, or stops early when the job is
+ * cancelled meanwhile.
+ *
+ * @returns final status
+ */
+export async function runImportJob(
+  supabase: any,
+  job: any,
+  { deadline }: { deadline: number }
+): Promise<'completed' | 'paused' | 'cancelled'> {
+  const ctx = await buildImportContext(supabase, job.organization_id, job.created_by, job.options || {}, job.id);
+
+  let processed: number = job.processed_rows || 0;
+  let counts: ImportCounts = {
+    created: job.created_count || 0,
+    updated: job.updated_count || 0,
+    skipped: job.skipped_count || 0,
+    failed: job.failed_count || 0,
+  };
+  let storedErrors: ImportRowError[] = Array.isArray(job.errors) ? job.errors : [];
+
+  while (Date.now() < deadline) {
+    const { data: rows, error } = await supabase
+      .from('import_job_rows')
+      .select('row_number, data')
+      .eq('job_id', job.id)
+      .gt('row_number', processed)
+      .order('row_number', { ascending: true })
+      .limit(IMPORT_LIMITS.BATCH_SIZE);
+
+    if (error) throw error;
+
+    if (!rows || rows.length === 0) {
+      await supabase
+        .from('import_jobs')
+        .update({ status: 'completed', completed_at: new Date().toISOString(), updated_at: new Date().toISOString() })
+        .eq('id', job.id)
+        .eq('status', 'running');
+      await supabase.from('import_job_rows').delete().eq('job_id', job.id);
+      return 'completed';
+    }
+
+    const results = evaluateImportRows(rows.map((r: any) => ({ row: r.row_number, data: r.data })), ctx);
+    const batch = await applyImportRows(ctx, results);
+
+    processed = rows[rows.length - 1].row_number;
+    counts = addCounts(counts, batch.counts);
+    storedErrors = [...storedErrors, ...batch.errors].slice(0, IMPORT_LIMITS.MAX_STORED_ERRORS);
+
+    const { data: saved, error: saveError } = await supabase
+      .from('import_jobs')
+      .update({
+        processed_rows: processed,
+        created_count: counts.created,
+        updated_count: counts.updated,
+        skipped_count: counts.skipped,
+        failed_count: counts.failed,
+        errors: storedErrors,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', job.id)
+      .eq('status', 'running')
+      .select('id')
+      .maybeSingle();
+
+    if (saveError) throw saveError;
+    // Status changed underneath us - cancelled from the UI
+    if (!saved) return 'cancelled';
+  }
+
+  await supabase
+    .from('import_jobs')
+    .update({ status: 'paused', updated_at: new Date().toISOString() })
+    .eq('id', job.id)
+    .eq('status', 'running');
+  return 'paused';
+}
+
+export default {
+  IMPORT_JOB_COLUMNS,
+  IMPORT_JOB_STALE_MS,
+  buildImportContext,
+  loadDuplicateIndex,
+  evaluateImportRows,
+  applyImportRows,
+  runImportJob,
+};
@@ -0,0 +1,370 @@
+/**
+ * Deal Query Helpers (REST API v1)
+ *
+ * Parses the query string accepted by GET /api/v1/deals into filters,
+ * cursor pagination and sparse fieldsets, and applies them to a Supabase
+ * query builder. Kept free of I/O so the parsing rules can be unit tested.
+ *
+ * USAGE:
+ * ```typescript
+ * const query = parseDealQuery(new URL(req.url).searchParams);
+ * let builder = supabase.from('deals').select(query.select);
+ * builder = applyDealFilters(builder, query.filters);
+ * ```
+ *
+ * PAGINATION:
+ * Results are ordered by (created DESC, id DESC). The cursor is an opaque
+ * base64url token of the last row's (created, id) pair, so pages stay stable
+ * while new deals are being inserted.
+ */
+
+import { DealSchema } from './validation';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 200;
+
+/**
+ * Columns a caller may request via ?fields=
+ * Mirrors the deal columns exposed by the legacy list endpoint.
+ */
+export const SELECTABLE_DEAL_FIELDS = new Set([
+  'id', 'organization_id', 'client', 'email', 'phone', 'value', 'stage', 'status',
+  'notes', 'created', 'last_activity', 'assigned_to', 'assigned_at', 'confidence',
+  'expected_close_date', 'lost_reason', 'lost_reason_notes',
+  'disqualified_reason_category', 'disqualified_reason_notes', 'disqualified_at',
+  'outcome_reason_category', 'outcome_notes', 'outcome_recorded_at',
+  'ai_health_score', 'ai_health_updated_at', 'custom_fields',
+]);
+
+/** Max cf.<key> filters per request */
+export const MAX_CUSTOM_FIELD_FILTERS = 10;
+
+const VALID_DEAL_STATUSES = new Set<string>(DealSchema.shape.status.options);
+const STAGE_FORMAT = /^[a-z][a-z0-9_]{0,49}$/;
+const CUSTOM_FIELD_PARAM = /^cf\.([a-z][a-z0-9_]{0,49})$/;
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export interface DealFilters {
+  stage?: string[];
+  status?: string[];
+  /** UUID of the assignee, or null for unassigned deals */
+  assignedTo?: string | null;
+  email?: string;
+  client?: string;
+  minValue?: number;
+  maxValue?: number;
+  updatedSince?: string;
+  createdSince?: string;
+  /** custom field key → exact stored value (custom_fields->>key) */
+  customFields?: Record<string, string>;
+}
+
+export interface DealCursor {
+  created: string;
+  id: string;
+}
+
+export interface DealQuery {
+  filters: DealFilters;
+  limit: number;
+  cursor: DealCursor | null;
+  /** Column list for supabase .select() */
+  select: string;
+  /** Explicit fields requested, or null for all columns */
+  fields: string[] | null;
+}
+
+export class DealQueryError extends Error {
+  constructor(
+    message: string,
+    public code: string = 'INVALID_QUERY',
+    public statusCode: number = 400
+  ) {
+    super(message);
+    this.name = 'DealQueryError';
+  }
+}
+
+// ============================================================================
+// PATH PARSING
+// ============================================================================
+
+/**
+ * Split an /api/deals or /api/v1/deals path into version and optional deal id.
+ * The legacy `pathname.split('/').pop()` returned "deals" for the collection
+ * path, which is why the id is parsed explicitly here.
+ */
+export function parseDealPath(pathname: string): { version: 'v1' | 'legacy'; dealId: string | null } {
+  const match = pathname.match(/\/api\/(v1\/)?deals\/?([^/]*)\/?$/);
+  if (!match) {
+    return { version: 'legacy', dealId: null };
+  }
+  return {
+    version: match[1] ? 'v1' : 'legacy',
+    dealId: match[2] ? decodeURIComponent(match[2]) : null,
+  };
+}
+
+export function isValidDealId(id: string): boolean {
+  return UUID_REGEX.test(id);
+}
+
+// ============================================================================
+// CURSOR ENCODING
+// ============================================================================
+
+export function encodeCursor(cursor: DealCursor): string {
+  return Buffer.from(JSON.stringify([cursor.created, cursor.id])).toString('base64url');
+}
+
+export function decodeCursor(token: string): DealCursor {
+  try {
+    const [created, id] = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (typeof created !== 'string' || Number.isNaN(Date.parse(created)) || !isValidDealId(id)) {
+      throw new Error('malformed');
+    }
+    return { created, id };
+  } catch {
+    throw new DealQueryError('Invalid pagination cursor', 'INVALID_CURSOR');
+  }
+}
+
+// ============================================================================
+// QUERY STRING PARSING
+// ============================================================================
+
+function parseList(value: string | null): string[] | undefined {
+  if (!value) return undefined;
+  const items = value.split(',').map(v => v.trim()).filter(Boolean);
+  return items.length ? Array.from(new Set(items)) : undefined;
+}
+
+function parseDate(params: URLSearchParams, name: string): string | undefined {
+  const raw = params.get(name);
+  if (!raw) return undefined;
+  const time = Date.parse(raw);
+  if (Number.isNaN(time)) {
+    throw new DealQueryError(`${name} must be an ISO 8601 date`, 'INVALID_FILTER');
+  }
+  return new Date(time).toISOString();
+}
+
+function parseNumber(params: URLSearchParams, name: string): number | undefined {
+  const raw = params.get(name);
+  if (raw === null || raw === '') return undefined;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new DealQueryError(`${name} must be a non-negative number`, 'INVALID_FILTER');
+  }
+  return value;
+}
+
+/**
+ * Parse ?fields=id,client,value into a select string.
+ * `id` and the cursor column `created` are always included so pagination works.
+ */
+export function parseFields(value: string | null): { fields: string[] | null; select: string } {
+  const requested = parseList(value);
+  if (!requested) {
+    return { fields: null, select: '*' };
+  }
+
+  const unknown = requested.filter(f => !SELECTABLE_DEAL_FIELDS.has(f));
+  if (unknown.length > 0) {
+    throw new DealQueryError(`Unknown fields: ${unknown.join(', ')}`, 'INVALID_FIELDS');
+  }
+
+  const columns = Array.from(new Set(['id', 'created', ...requested]));
+  return { fields: requested, select: columns.join(',') };
+}
+
+/**
+ * Parse the full query string for a deal list request.
+ *
+ * Supported parameters:
+ * - stage, status: comma-separated lists
+ * - assigned_to: user UUID, or "unassigned"
+ * - email, client: exact email / case-insensitive client name match
+ * - min_value, max_value: numeric range on value
+ * - updated_since, created_since: ISO 8601 timestamps
+ * - cf.<key>: exact match on a custom field's stored value (text, select,
+ *   number, date - multi-select values are arrays and don't match)
+ * - limit (1-200, default 50), cursor, fields
+ */
+export function parseDealQuery(params: URLSearchParams): DealQuery {
+  const filters: DealFilters = {};
+
+  const stages = parseList(params.get('stage'));
+  if (stages) {
+    const invalid = stages.filter(s => !STAGE_FORMAT.test(s));
+    if (invalid.length > 0) {
+      throw new DealQueryError(`Invalid stage: ${invalid.join(', ')}`, 'INVALID_FILTER');
+    }
+    filters.stage = stages;
+  }
+
+  const statuses = parseList(params.get('status'));
+  if (statuses) {
+    const invalid = statuses.filter(s => !VALID_DEAL_STATUSES.has(s));
+    if (invalid.length > 0) {
+      throw new DealQueryError(
+        `Invalid status: ${invalid.join(', ')}. Expected one of ${Array.from(VALID_DEAL_STATUSES).join(', ')}`,
+        'INVALID_FILTER'
+      );
+    }
+    filters.status = statuses;
+  }
+
+  const assignedTo = params.get('assigned_to');
+  if (assignedTo) {
+    if (assignedTo === 'unassigned') {
+      filters.assignedTo = null;
+    } else if (isValidDealId(assignedTo)) {
+      filters.assignedTo = assignedTo;
+    } else {
+      throw new DealQueryError('assigned_to must be a user ID or "unassigned"', 'INVALID_FILTER');
+    }
+  }
+
+  const email = params.get('email');
+  if (email) {
+    const result = DealSchema.shape.email.safeParse(email);
+    if (!result.success) {
+      throw new DealQueryError('email must be a valid email address', 'INVALID_FILTER');
+    }
+    filters.email = email.toLowerCase();
+  }
+
+  const client = params.get('client');
+  if (client) {
+    filters.client = client.slice(0, 255);
+  }
+
+  filters.minValue = parseNumber(params, 'min_value');
+  filters.maxValue = parseNumber(params, 'max_value');
+  if (filters.minValue !== undefined && filters.maxValue !== undefined && filters.minValue > filters.maxValue) {
+    throw new DealQueryError('min_value cannot exceed max_value', 'INVALID_FILTER');
+  }
+
+  filters.updatedSince = parseDate(params, 'updated_since');
+  filters.createdSince = parseDate(params, 'created_since');
+
+  for (const [name, value] of params.entries()) {
+    const match = CUSTOM_FIELD_PARAM.exec(name);
+    if (!match || value === '') continue;
+    filters.customFields = filters.customFields || {};
+    filters.customFields[match[1]] = value.slice(0, 255);
+  }
+  if (filters.customFields && Object.keys(filters.customFields).length > MAX_CUSTOM_FIELD_FILTERS) {
+    throw new DealQueryError(`At most ${MAX_CUSTOM_FIELD_FILTERS} custom field filters are allowed`, 'INVALID_FILTER');
+  }
+
+  let limit = DEFAULT_PAGE_SIZE;
+  const rawLimit = params.get('limit');
+  if (rawLimit !== null) {
+    limit = Number(rawLimit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw new DealQueryError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`, 'INVALID_LIMIT');
+    }
+  }
+
+  const rawCursor = params.get('cursor');
+  const cursor = rawCursor ? decodeCursor(rawCursor) : null;
+
+  const { fields, select } = parseFields(params.get('fields'));
+
+  return { filters, limit, cursor, select, fields };
+}
+
+// ============================================================================
+// QUERY BUILDING
+// ============================================================================
+
+/**
+ * Escape LIKE wildcards so ilike matches the whole value case-insensitively
+ * instead of treating % and _ as patterns
+ */
+function toExactPattern(value: string): string {
+  return value.replace(/[%_\\]/g, (ch) => `\\${ch}`);
+}
+
+/**
+ * Apply parsed filters to a Supabase query builder.
+ * Generic over the builder so it works for both row and count queries.
+ */
+export function applyDealFilters<T>(query: T, filters: DealFilters): T {
+  let q: any = query;
+
+  if (filters.stage) q = q.in('stage', filters.stage);
+  if (filters.status) q = q.in('status', filters.status);
+  if (filters.assignedTo === null) q = q.is('assigned_to', null);
+  else if (filters.assignedTo) q = q.eq('assigned_to', filters.assignedTo);
+  if (filters.email) q = q.ilike('email', toExactPattern(filters.email));
+  if (filters.client) q = q.ilike('client', toExactPattern(filters.client));
+  if (filters.minValue !== undefined) q = q.gte('value', filters.minValue);
+  if (filters.maxValue !== undefined) q = q.lte('value', filters.maxValue);
+  if (filters.updatedSince) q = q.gte('last_activity', filters.updatedSince);
+  if (filters.createdSince) q = q.gte('created', filters.createdSince);
+  for (const [key, value] of Object.entries(filters.customFields || {})) {
+    q = q.eq(`custom_fields->>${key}`, value);
+  }
+
+  return q;
+}
+
+/**
+ * Restrict a query to rows after the cursor in (created DESC, id DESC) order.
+ */
+export function applyCursor<T>(query: T, cursor: DealCursor | null): T {
+  if (!cursor) return query;
+  return (query as any).or(
+    `created.lt."${cursor.created}",and(created.eq."${cursor.created}",id.lt.${cursor.id})`
+  );
+}
+
+// ============================================================================
+// RESPONSE HELPERS
+// ============================================================================
+
+/**
+ * Strip the implicit cursor columns from rows when a sparse fieldset was requested.
+ */
+export function projectFields<T extends Record<string, any>>(rows: T[], fields: string[] | null): Partial<T>[] {
+  if (!fields) return rows;
+  const keep = new Set(['id', ...fields]);
+  return rows.map(row => {
+    const out: Record<string, any> = {};
+    for (const key of Object.keys(row)) {
+      if (keep.has(key)) out[key] = row[key];
+    }
+    return out as Partial<T>;
+  });
+}
+
+/**
+ * Build an RFC 8288 Link header with `first` and (when there are more rows) `next`.
+ */
+export function buildLinkHeader(requestUrl: string, nextCursor: string | null): string {
+  const url = new URL(requestUrl);
+  const links: string[] = [];
+
+  const first = new URL(url.toString());
+  first.searchParams.delete('cursor');
+  links.push(`<${first.toString()}>; rel="first"`);
+
+  if (nextCursor) {
+    const next = new URL(url.toString());
+    next.searchParams.set('cursor', nextCursor);
+    links.push(`<${next.toString()}>; rel="next"`);
+  }
+
+  return links.join(', ');
+}
@@ -0,0 +1,310 @@
+/**
+ * Idempotency Keys for Deal Mutations
+ *
+ * Prevents duplicate deals when the offline queue replays commands or the
+ * client retry wrapper re-sends a request after a timeout. Clients send an
+ * `Idempotency-Key` header; the first request with a given key is processed
+ * normally and its response is stored in `idempotency_keys`. Any repeat of
+ * that key (same org + endpoint) gets the stored response replayed.
+ *
+ * USAGE:
+ * ```typescript
+ * const idem = await beginIdempotentRequest(supabase, req, {
+ *   scope: organizationId,
+ *   endpoint: 'create-deal',
+ *   body,
+ *   headers: corsHeaders
+ * });
+ * if (idem.replay) return idem.replay;
+ *
+ * // ...perform the mutation...
+ * return completeIdempotentRequest(supabase, idem.record, response);
+ * ```
+ *
+ * SEMANTICS (mirrors Stripe):
+ * - Key reused with a different body → 422 IDEMPOTENCY_KEY_REUSED
+ * - Key still being processed → 409 IDEMPOTENCY_IN_PROGRESS (retryable)
+ * - 5xx responses are NOT stored, so the client can retry with the same key
+ * - Requests without the header behave exactly as before
+ */
+
+import { createHash } from 'crypto';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+export const IDEMPOTENT_REPLAY_HEADER = 'Idempotent-Replayed';
+
+// UUIDs, ULIDs and prefixed ids like "cmd_1733_abc" all fit
+const KEY_PATTERN = /^[A-Za-z0-9_\-:.]{8,255}$/;
+
+// An in_progress row older than this is assumed to belong to a crashed invocation
+const LOCK_TIMEOUT_MS = 60 * 1000;
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export interface IdempotencyRecord {
+  id: string;
+  key: string;
+  scope: string;
+  endpoint: string;
+}
+
+export interface IdempotencyBegin {
+  /** Row claimed for this request, or null when no key was sent */
+  record: IdempotencyRecord | null;
+  /** Stored or conflict response to return immediately */
+  replay: Response | null;
+}
+
+export class IdempotencyError extends Error {
+  constructor(
+    message: string,
+    public code: string = 'IDEMPOTENCY_ERROR',
+    public statusCode: number = 400
+  ) {
+    super(message);
+    this.name = 'IdempotencyError';
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Read and validate the Idempotency-Key header.
+ * @throws IdempotencyError if the header is present but malformed
+ */
+export function getIdempotencyKey(req: Request): string | null {
+  const raw = req.headers.get(IDEMPOTENCY_HEADER);
+  if (raw === null) return null;
+
+  const key = raw.trim();
+  if (!KEY_PATTERN.test(key)) {
+    throw new IdempotencyError(
+      'Idempotency-Key must be 8-255 characters of letters, digits, "-", "_", ":" or "."',
+      'INVALID_IDEMPOTENCY_KEY'
+    );
+  }
+  return key;
+}
+
+/**
+ * JSON.stringify with sorted object keys so semantically equal bodies hash equally.
+ */
+function stableStringify(value: unknown): string {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value as Record<string, unknown>)
+      .filter(k => (value as Record<string, unknown>)[k] !== undefined)
+      .sort()
+      .map(k => `${JSON.stringify(k)}:${stableStringify((value as Record<string, unknown>)[k])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+export function hashRequestBody(body: unknown): string {
+  return createHash('sha256').update(stableStringify(body)).digest('hex');
+}
+
+function jsonResponse(status: number, payload: unknown, headers: Record<string, string>): Response {
+  return new Response(JSON.stringify(payload), {
+    status,
+    headers: { ...headers, 'Content-Type': 'application/json' },
+  });
+}
+
+/**
+ * Build the 4xx response for an IdempotencyError.
+ */
+export function idempotencyErrorResponse(error: IdempotencyError, headers: Record<string, string> = {}): Response {
+  return jsonResponse(error.statusCode, {
+    success: false,
+    error: error.message,
+    code: error.code,
+    retryable: error.code === 'IDEMPOTENCY_IN_PROGRESS',
+  }, headers);
+}
+
+// ============================================================================
+// LIFECYCLE
+// ============================================================================
+
+/**
+ * Claim an idempotency key before performing a mutation.
+ *
+ * Returns `{ record: null, replay: null }` when the request carries no key,
+ * so callers can use the same code path with or without idempotency.
+ */
+export async function beginIdempotentRequest(
+  supabase: any,
+  req: Request,
+  options: { scope: string; endpoint: string; body: unknown; headers?: Record<string, string> },
+  attempt: number = 0
+): Promise<IdempotencyBegin> {
+  const { scope, endpoint, body, headers = {} } = options;
+
+  let key: string | null;
+  try {
+    key = getIdempotencyKey(req);
+  } catch (error) {
+    return { record: null, replay: idempotencyErrorResponse(error as IdempotencyError, headers) };
+  }
+  if (!key) {
+    return { record: null, replay: null };
+  }
+
+  const requestHash = hashRequestBody(body);
+
+  const { data: inserted, error: insertError } = await supabase
+    .from('idempotency_keys')
+    .insert({
+      organization_id: scope,
+      idempotency_key: key,
+      endpoint,
+      request_hash: requestHash,
+      status: 'in_progress',
+      locked_at: new Date().toISOString(),
+    })
+    .select('id')
+    .single();
+
+  if (inserted) {
+    return { record: { id: inserted.id, key, scope, endpoint }, replay: null };
+  }
+
+  // Anything other than a unique violation means the table is unavailable.
+  // Fail open: process the request without idempotency rather than block writes.
+  if (insertError?.code !== '23505') {
+    console.error('[idempotency] Failed to claim key, continuing without protection:', insertError?.message);
+    return { record: null, replay: null };
+  }
+
+  const { data: existing } = await supabase
+    .from('idempotency_keys')
+    .select('id, request_hash, status, response_status, response_body, locked_at, expires_at')
+    .eq('organization_id', scope)
+    .eq('endpoint', endpoint)
+    .eq('idempotency_key', key)
+    .maybeSingle();
+
+  // Expired rows (or one deleted between insert and select) don't count:
+  // clear it and claim the key once more
+  const isExpired = existing && new Date(existing.expires_at).getTime() < Date.now();
+  if (!existing || isExpired) {
+    if (attempt > 0) {
+      return { record: null, replay: null };
+    }
+    if (isExpired) {
+      await supabase.from('idempotency_keys').delete().eq('id', existing.id);
+    }
+    return beginIdempotentRequest(supabase, req, options, attempt + 1);
+  }
+
+  if (existing.request_hash !== requestHash) {
+    return {
+      record: null,
+      replay: idempotencyErrorResponse(new IdempotencyError(
+        'Idempotency-Key was already used with a different request body',
+        'IDEMPOTENCY_KEY_REUSED',
+        422
+      ), headers),
+    };
+  }
+
+  if (existing.status === 'completed') {
+    console.log(`[idempotency] Replaying stored response for ${endpoint} key ${key.substring(0, 12)}...`);
+    return {
+      record: null,
+      replay: new Response(JSON.stringify(existing.response_body), {
+        status: existing.response_status,
+        headers: { ...headers, 'Content-Type': 'application/json', [IDEMPOTENT_REPLAY_HEADER]: 'true' },
+      }),
+    };
+  }
+
+  // in_progress: take over stale locks left behind by a crashed invocation
+  const lockAge = Date.now() - new Date(existing.locked_at).getTime();
+  if (lockAge > LOCK_TIMEOUT_MS) {
+    const { data: reclaimed } = await supabase
+      .from('idempotency_keys')
+      .update({ locked_at: new Date().toISOString() })
+      .eq('id', existing.id)
+      .eq('locked_at', existing.locked_at)
+      .select('id')
+      .maybeSingle();
+
+    if (reclaimed) {
+      return { record: { id: existing.id, key, scope, endpoint }, replay: null };
+    }
+  }
+
+  return {
+    record: null,
+    replay: idempotencyErrorResponse(new IdempotencyError(
+      'A request with this Idempotency-Key is still being processed',
+      'IDEMPOTENCY_IN_PROGRESS',
+      409
+    ), headers),
+  };
+}
+
+/**
+ * Store the response for a claimed key and return it unchanged.
+ * 5xx responses release the key instead so the client can retry.
+ */
+export async function completeIdempotentRequest(
+  supabase: any,
+  record: IdempotencyRecord | null,
+  response: Response
+): Promise<Response> {
+  if (!record) return response;
+
+  if (response.status >= 500) {
+    await releaseIdempotentRequest(supabase, record);
+    return response;
+  }
+
+  try {
+    const body = await response.clone().json();
+    const { error } = await supabase
+      .from('idempotency_keys')
+      .update({
+        status: 'completed',
+        response_status: response.status,
+        response_body: body,
+        completed_at: new Date().toISOString(),
+      })
+      .eq('id', record.id);
+
+    if (error) {
+      console.error('[idempotency] Failed to store response:', error.message);
+    }
+  } catch (error: any) {
+    // Non-JSON body or DB failure - release so a retry is processed again
+    console.error('[idempotency] Could not persist response, releasing key:', error?.message);
+    await releaseIdempotentRequest(supabase, record);
+  }
+
+  return response;
+}
+
+/**
+ * Drop a claimed key without storing a response (used on unexpected errors).
+ */
+export async function releaseIdempotentRequest(supabase: any, record: IdempotencyRecord | null): Promise<void> {
+  if (!record) return;
+  try {
+    await supabase.from('idempotency_keys').delete().eq('id', record.id);
+  } catch (error: any) {
+    console.error('[idempotency] Failed to release key:', error?.message);
+  }
+}
@@ -96,7 +96,7 @@ export const ORGANIZATION_REQUIRED_FIELDS = ['id', 'name'] as const;
 /**
  * Valid AI provider types
  */
-export const VALID_AI_PROVIDERS = new Set(['openai', 'anthropic', 'google']);
+export const VALID_AI_PROVIDERS = new Set(['openai', 'anthropic', 'google', 'custom']);
 
 // ============================================================================
 // ERROR CODES
@@ -0,0 +1,326 @@
+/**
+ * Inbound Lead Capture
+ *
+ * Server side of the per-organization capture endpoints. A website form or
+ * ad platform posts JSON or form data to /api/v1/capture/<token>; the
+ * endpoint's field mapping (src/config/leadCapture.js) turns it into a deal
+ * in the endpoint's stage, assigned to a fixed member, or - for round-robin
+ * endpoints - by the org's assignment rules, then the team rotation. Every
+ * post - created, rejected, throttled or failed - is written to
+ * lead_capture_log for the log in Integrations → Lead Capture.
+ *
+ * USAGE:
+ * ```typescript
+ * const payload = await readCapturePayload(req);
+ * const result = await captureLead(supabase, endpoint, payload);
+ * await logCapture(supabase, endpoint, { status: result.status, payload, dealId: result.deal?.id });
+ * ```
+ */
+
+import { mapCapturedLead, LEAD_CAPTURE_LIMITS } from '../../../src/config/leadCapture';
+import { getStatusForStage } from '../../../shared/stageStatusMap';
+import { loadCustomFieldDefinitions, validateCustomFieldValues } from './custom-fields';
+import { loadStageDefinitions } from './stage-definitions';
+import { recordDealChange } from './deal-history';
+import { emitDealEvents } from './webhook-events';
+import { autoAssignDeal, assignDealsByRules } from './deal-assignment';
+import { logAuditEvent } from './audit-log';
+import { RATE_LIMIT_BUCKETS, type RateLimitBucket } from './rate-limit-config';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export type CaptureStatus = 'created' | 'rejected' | 'throttled' | 'error';
+
+export interface CaptureEndpoint {
+  id: string;
+  organization_id: string;
+  name: string;
+  field_mapping: Record<string, string>;
+  stage: string;
+  pipeline_id: string | null;
+  assignment_mode: 'round_robin' | 'fixed';
+  assign_to: string | null;
+  created_by: string;
+  is_active: boolean;
+}
+
+export interface CaptureResult {
+  status: 'created' | 'rejected';
+  deal?: Record<string, any>;
+  errors?: string[];
+}
+
+export interface CaptureLogEntry {
+  status: CaptureStatus;
+  payload?: unknown;
+  dealId?: string | null;
+  errors?: string[];
+  ip?: string | null;
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const LEAD_CAPTURE_ENDPOINT_COLUMNS =
+  'id, organization_id, name, token, field_mapping, stage, pipeline_id, assignment_mode, assign_to, is_active, created_by, created_at, updated_at, last_capture_at';
+
+export const LEAD_CAPTURE_LOG_COLUMNS =
+  'id, endpoint_id, status, deal_id, errors, payload, ip, created_at';
+
+/** Stored payloads are cut to this many characters */
+export const MAX_LOGGED_PAYLOAD = 10000;
+
+export class CapturePayloadError extends Error {
+  constructor(message: string, public statusCode: number = 400) {
+    super(message);
+    this.name = 'CapturePayloadError';
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * New secret token for an endpoint URL
+ */
+export function generateCaptureToken(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return `lc_${Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * Per-endpoint throttle buckets (counted org-wide, keyed by endpoint)
+ */
+export function captureThrottleBuckets(endpointId: string): RateLimitBucket[] {
+  return [RATE_LIMIT_BUCKETS.leadCapturePerMinute, RATE_LIMIT_BUCKETS.leadCapturePerDay]
+    .map(bucket => ({ ...bucket, bucket: `${bucket.bucket}.${endpointId}` }));
+}
+
+/**
+ * Sender IP as reported by the edge
+ */
+export function getSenderIp(req: Request): string | null {
+  const forwarded = req.headers.get('x-forwarded-for');
+  return forwarded?.split(',')[0].trim() || req.headers.get('x-nf-client-connection-ip') || null;
+}
+
+/**
+ * Serialized payload for the log, truncated
+ */
+export function payloadForLog(payload: unknown): string | null {
+  if (payload === undefined || payload === null) return null;
+  const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  return text.length > MAX_LOGGED_PAYLOAD ? `${text.slice(0, MAX_LOGGED_PAYLOAD)}…[truncated]` : text;
+}
+
+// Fields repeated under one name (checkbox groups) become arrays; file
+// uploads are dropped
+function collectFields(entries: Iterable<[string, FormDataEntryValue]>): Record<string, unknown> {
+  const result: Record<string, unknown> = {};
+  for (const [key, value] of entries) {
+    if (typeof value !== 'string') continue;
+    const existing = result[key];
+    if (existing === undefined) result[key] = value;
+    else if (Array.isArray(existing)) existing.push(value);
+    else result[key] = [existing, value];
+  }
+  return result;
+}
+
+// ============================================================================
+// PAYLOAD
+// ============================================================================
+
+/**
+ * Read a JSON, form-encoded or multipart body into an object.
+ * Throws CapturePayloadError for oversized, malformed or unsupported bodies.
+ */
+export async function readCapturePayload(req: Request): Promise<Record<string, unknown>> {
+  const declaredLength = Number(req.headers.get('content-length') || 0);
+  if (declaredLength > LEAD_CAPTURE_LIMITS.MAX_BODY_BYTES) {
+    throw new CapturePayloadError('Payload too large', 413);
+  }
+
+  const contentType = (req.headers.get('content-type') || '').toLowerCase();
+  const text = await req.text();
+  if (text.length > LEAD_CAPTURE_LIMITS.MAX_BODY_BYTES) {
+    throw new CapturePayloadError('Payload too large', 413);
+  }
+
+  if (contentType.includes('multipart/form-data')) {
+    try {
+      const form = await new Response(text, { headers: { 'content-type': contentType } }).formData();
+      return collectFields(form);
+    } catch {
+      throw new CapturePayloadError('Invalid multipart body');
+    }
+  }
+
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    return collectFields(new URLSearchParams(text));
+  }
+
+  // JSON otherwise; a missing or text/plain type is accepted for beacons and
+  // platforms that don't set one
+  if (contentType && !contentType.includes('json') && !contentType.includes('text/plain')) {
+    throw new CapturePayloadError(`Unsupported content type: ${contentType.split(';')[0]}`, 415);
+  }
+
+  let parsed: unknown;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new CapturePayloadError('Invalid JSON body');
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new CapturePayloadError('Payload must be a JSON object');
+  }
+  return parsed as Record<string, unknown>;
+}
+
+// ============================================================================
+// CAPTURE
+// ============================================================================
+
+/**
+ * Map, validate and create the deal for one payload, then assign it.
+ * Round-robin endpoints try the assignment rules first; a deal no rule
+ * assigns goes to the team rotation. A failed round-robin leaves the deal
+ * with its fallback owner (the fixed member or whoever created the endpoint)
+ * rather than failing the capture.
+ */
+export async function captureLead(
+  supabase: any,
+  endpoint: CaptureEndpoint,
+  payload: Record<string, unknown>
+): Promise<CaptureResult> {
+  const organizationId = endpoint.organization_id;
+  const mapped = mapCapturedLead(payload, { mapping: endpoint.field_mapping, stage: endpoint.stage });
+  if (mapped.errors.length > 0) {
+    return { status: 'rejected', errors: mapped.errors };
+  }
+
+  const [customFieldDefinitions, stageDefinitions] = await Promise.all([
+    loadCustomFieldDefinitions(supabase, organizationId),
+    loadStageDefinitions(supabase, organizationId),
+  ]);
+
+  const deal: Record<string, any> = mapped.deal;
+  const customFields = validateCustomFieldValues(customFieldDefinitions, deal.custom_fields, {
+    mode: 'create',
+    fromText: true,
+  });
+  if (customFields.errors.length > 0) {
+    return { status: 'rejected', errors: customFields.errors.map(error => error.message) };
+  }
+
+  const now = new Date().toISOString();
+  const { data: created, error } = await supabase
+    .from('deals')
+    .insert({
+      organization_id: organizationId,
+      created: now,
+      last_activity: now,
+      assigned_to: endpoint.assign_to || endpoint.created_by,
+      assigned_at: now,
+      pipeline_id: endpoint.pipeline_id ?? null,
+      value: 0,
+      ...deal,
+      status: getStatusForStage(deal.stage, stageDefinitions),
+      custom_fields: customFields.values,
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  await recordDealChange(supabase, {
+    dealId: created.id,
+    organizationId,
+    changedBy: null,
+    source: 'capture',
+    before: null,
+    after: created,
+  });
+  await emitDealEvents(supabase, {
+    organizationId,
+    actor: { type: 'system', id: endpoint.id },
+    before: null,
+    after: created,
+  });
+  await logAuditEvent(supabase, {
+    organizationId,
+    actor: { type: 'lead_capture', id: endpoint.id },
+    action: 'deal.created',
+    entityId: created.id,
+    summary: created.client,
+    metadata: { stage: created.stage, value: created.value, endpoint: endpoint.name },
+  });
+
+  if (endpoint.assignment_mode !== 'round_robin') {
+    return { status: 'created', deal: created };
+  }
+
+  const routed = await assignDealsByRules(supabase, {
+    organizationId,
+    deals: [created],
+    source: 'capture',
+    changedBy: null,
+    actor: { type: 'system', id: endpoint.id },
+  });
+  if (routed.ruleAssigned.has(created.id)) {
+    return { status: 'created', deal: routed.deals[0] };
+  }
+
+  try {
+    const { deal: assigned } = await autoAssignDeal(supabase, {
+      dealId: created.id,
+      organizationId,
+      changedBy: null,
+      actor: { type: 'system', id: endpoint.id },
+    });
+    return { status: 'created', deal: assigned || created };
+  } catch (assignError) {
+    console.warn('[lead-capture] Round-robin assignment failed, keeping fallback owner:', assignError);
+    return { status: 'created', deal: created };
+  }
+}
+
+/**
+ * Append to the capture log and stamp the endpoint's last capture. Never throws.
+ */
+export async function logCapture(supabase: any, endpoint: CaptureEndpoint, entry: CaptureLogEntry): Promise<void> {
+  try {
+    const { error } = await supabase.from('lead_capture_log').insert({
+      endpoint_id: endpoint.id,
+      organization_id: endpoint.organization_id,
+      status: entry.status,
+      deal_id: entry.dealId ?? null,
+      errors: entry.errors && entry.errors.length > 0 ? entry.errors : null,
+      payload: payloadForLog(entry.payload),
+      ip: entry.ip ?? null,
+    });
+    if (error) throw error;
+
+    if (entry.status === 'created') {
+      await supabase
+        .from('lead_capture_endpoints')
+        .update({ last_capture_at: new Date().toISOString() })
+        .eq('id', endpoint.id);
+    }
+  } catch (error) {
+    console.error('[lead-capture] Failed to write capture log:', error);
+  }
+}
+
+export default {
+  generateCaptureToken,
+  captureThrottleBuckets,
+  readCapturePayload,
+  captureLead,
+  logCapture
+};
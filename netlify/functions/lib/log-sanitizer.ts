@@ -113,3 +113,25 @@ export function redactSensitiveFields<T extends Record<string, any>>(
 
   return redacted;
 }
+
+// Keys whose values are never stored, at any depth
+const SECRET_KEY_PATTERN = /pass(word)?|secret|token|api[_-]?key|authorization|credential|private[_-]?key/i;
+
+/**
+ * Recursively redact values stored under secret-looking keys (password,
+ * apiKey, webhook_secret, ...). For free-form metadata where the keys vary
+ * by caller; nesting deeper than `maxDepth` is dropped.
+ */
+export function redactSecrets(value: unknown, maxDepth: number = 4): unknown {
+  if (Array.isArray(value)) {
+    return maxDepth > 0 ? value.map(item => redactSecrets(item, maxDepth - 1)) : '[TRUNCATED]';
+  }
+  if (!value || typeof value !== 'object') return value;
+  if (maxDepth <= 0) return '[TRUNCATED]';
+
+  const redacted: Record<string, unknown> = {};
+  for (const [key, item] of Object.entries(value as Record<string, unknown>)) {
+    redacted[key] = SECRET_KEY_PATTERN.test(key) ? '[REDACTED]' : redactSecrets(item, maxDepth - 1);
+  }
+  return redacted;
+}
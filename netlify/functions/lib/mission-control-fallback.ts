@@ -20,7 +20,8 @@
  */
 
 // Import stagnation thresholds from centralized config
-import { STAGNATION_THRESHOLDS } from '../../../src/config/pipelineConfig';
+import { getStagnationThreshold } from '../../../src/config/pipelineConfig';
+import type { StageDefinitionMap } from './stage-definitions';
 
 // Import RevOps metrics engine
 import {
@@ -96,11 +97,13 @@ export interface BasicMissionControlPlan {
  * @param deals - Array of deals from the database
  * @param performanceMetrics - Optional performance metrics from the metrics table
  * @param monthlyTarget - Optional monthly revenue target for goal tracking
+ * @param stageDefinitions - Optional org stage definitions (stored stagnation thresholds)
  */
 export function buildMissionControlContext(
   deals: any[],
   performanceMetrics?: { userWinRate?: number; avgDaysToClose?: number } | null,
-  monthlyTarget?: number
+  monthlyTarget?: number,
+  stageDefinitions: StageDefinitionMap = {}
 ): MissionControlContext {
   const now = new Date();
   const oneWeekAgo = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
@@ -136,8 +139,7 @@ export function buildMissionControlContext(
         (now.getTime() - created.getTime()) / (1000 * 60 * 60 * 24)
       );
 
-      const threshold = STAGNATION_THRESHOLDS[deal.stage as keyof typeof STAGNATION_THRESHOLDS]
-        || STAGNATION_THRESHOLDS.default;
+      const threshold = getStagnationThreshold(deal.stage, stageDefinitions);
 
       if (daysSinceCreated > threshold) {
         return {
@@ -202,11 +204,13 @@ export function buildMissionControlContext(
  * @param context - Mission Control context from buildMissionControlContext
  * @param deals - Optional raw deals array for RevOps metrics calculation
  * @param monthlyTarget - Optional monthly target for goal tracking
+ * @param stageDefinitions - Optional org stage definitions (stored follow-up gaps)
  */
 export function buildBasicMissionControlPlan(
   context: MissionControlContext,
   deals?: any[],
-  monthlyTarget?: number
+  monthlyTarget?: number,
+  stageDefinitions?: StageDefinitionMap
 ): BasicMissionControlPlan {
   const bullets: string[] = [];
   const recommendedActions: BasicMissionControlPlan['recommendedActions'] = [];
@@ -326,7 +330,8 @@ export function buildBasicMissionControlPlan(
     revOpsMetrics = buildRevOpsMetrics({
       deals,
       monthlyTarget: monthlyTarget || 0,
-      invoices: null // No invoice data yet - graceful no-op
+      invoices: null, // No invoice data yet - graceful no-op
+      stageDefinitions
     });
 
     // Add RevOps insights to bullets
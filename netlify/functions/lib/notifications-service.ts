@@ -260,6 +260,13 @@ function generateEmailContent(
     currency: 'USD'
   }).format(value || 0);
 
+  // Webhook errors quote third-party response bodies
+  const escapeHtml = (text: string) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
   switch (categoryCode) {
     case 'DEAL_ASSIGNED':
       subject = `Deal Assigned: ${data.dealName || 'New Deal'}`;
@@ -347,6 +354,17 @@ function generateEmailContent(
       `;
       break;
 
+    case 'WEBHOOK_DISABLED':
+      subject = 'A StageFlow webhook was disabled';
+      title = 'Webhook Disabled';
+      message = `
+        <p>Hey ${userName},</p>
+        <p>We stopped sending events to <strong>${escapeHtml(data.webhookUrl || 'one of your webhooks')}</strong> after ${data.failures || 'several'} consecutive failed deliveries.</p>
+        ${data.lastError ? `<p style="color: #666;">Last error: ${escapeHtml(data.lastError)}</p>` : ''}
+        <p>Events since then are kept. Fix the endpoint, then re-enable the webhook and replay missed events from Settings → Integrations → Webhooks.</p>
+      `;
+      break;
+
     default:
       subject = `StageFlow Notification: ${categoryName}`;
       title = categoryName;
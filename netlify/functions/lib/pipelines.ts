@@ -0,0 +1,104 @@
+/**
+ * Organization Pipelines
+ *
+ * Server-side helpers for the pipelines table. Every deal belongs to one
+ * pipeline (deals.pipeline_id); a null pipeline_id means the org's default
+ * pipeline, so deals created before multiple pipelines existed keep working.
+ * Shared rules live in src/config/orgPipelines.js.
+ *
+ * USAGE:
+ * ```typescript
+ * const resolved = await resolvePipelineId(supabase, orgId, dealData.pipeline_id);
+ * if (resolved.error) return json(400, { error: resolved.error, code: 'INVALID_PIPELINE' });
+ * sanitizedDeal.pipeline_id = resolved.pipelineId;
+ * ```
+ */
+
+import { getDefaultPipeline } from '../../../src/config/orgPipelines';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export interface PipelineStage {
+  id: string;
+  name: string;
+  color: string | null;
+}
+
+export interface Pipeline {
+  id: string;
+  organization_id: string;
+  name: string;
+  template_id: string | null;
+  stages: PipelineStage[] | null;
+  is_default: boolean;
+  position: number;
+  created_at?: string;
+  updated_at?: string;
+}
+
+export interface ResolvedPipeline {
+  /** Pipeline id to store on the deal (null when the org has no pipelines yet) */
+  pipelineId: string | null;
+  error?: string;
+}
+
+export const PIPELINE_COLUMNS =
+  'id, organization_id, name, template_id, stages, is_default, position, created_at, updated_at';
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Active pipelines for an organization, default first then by position
+ */
+export async function loadPipelines(supabase: any, organizationId: string): Promise<Pipeline[]> {
+  const { data, error } = await supabase
+    .from('pipelines')
+    .select(PIPELINE_COLUMNS)
+    .eq('organization_id', organizationId)
+    .is('archived_at', null)
+    .order('is_default', { ascending: false })
+    .order('position', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Resolve the pipeline a new or moved deal belongs to.
+ * Omitted/null → the org's default pipeline; otherwise the id must be an
+ * active pipeline in the same organization.
+ */
+export async function resolvePipelineId(
+  supabase: any,
+  organizationId: string,
+  requested: unknown
+): Promise<ResolvedPipeline> {
+  if (requested !== undefined && requested !== null && requested !== '') {
+    if (typeof requested !== 'string' || !UUID_REGEX.test(requested)) {
+      return { pipelineId: null, error: 'pipeline_id must be a valid UUID' };
+    }
+
+    const { data: pipeline, error } = await supabase
+      .from('pipelines')
+      .select('id')
+      .eq('id', requested)
+      .eq('organization_id', organizationId)
+      .is('archived_at', null)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!pipeline) {
+      return { pipelineId: null, error: 'Pipeline not found in this organization' };
+    }
+    return { pipelineId: pipeline.id };
+  }
+
+  const pipelines = await loadPipelines(supabase, organizationId);
+  return { pipelineId: getDefaultPipeline(pipelines)?.id ?? null };
+}
@@ -42,6 +42,8 @@ export interface PlanConfig extends PlanQuotas {
   maxUsers: number;
   /** Max deals (-1 = unlimited) */
   maxDeals: number;
+  /** Days audit log entries are kept */
+  auditLogRetentionDays: number;
 }
 
 // =============================================================================
@@ -97,6 +99,7 @@ export const PLAN_QUOTAS: Record<StageflowPlanId, PlanConfig> = {
     monthlyAiRequests: 100,
     maxUsers: 1,
     maxDeals: 100,
+    auditLogRetentionDays: 30,
     // Rate limits (conservative)
     aiGenericPerMinute: 5,
     aiGenericPerHour: 30,
@@ -113,6 +116,7 @@ export const PLAN_QUOTAS: Record<StageflowPlanId, PlanConfig> = {
     monthlyAiRequests: 1000,
     maxUsers: 5,
     maxDeals: 999999, // Unlimited
+    auditLogRetentionDays: 90,
     // Rate limits (moderate)
     aiGenericPerMinute: 15,
     aiGenericPerHour: 100,
@@ -129,6 +133,7 @@ export const PLAN_QUOTAS: Record<StageflowPlanId, PlanConfig> = {
     monthlyAiRequests: 5000,
     maxUsers: 20,
     maxDeals: 999999, // Unlimited
+    auditLogRetentionDays: 365,
     // Rate limits (generous)
     aiGenericPerMinute: 25,
     aiGenericPerHour: 200,
@@ -145,6 +150,7 @@ export const PLAN_QUOTAS: Record<StageflowPlanId, PlanConfig> = {
     monthlyAiRequests: -1, // Unlimited
     maxUsers: 999999, // Unlimited
     maxDeals: 999999, // Unlimited
+    auditLogRetentionDays: 730,
     // Rate limits (high - still protect against runaway)
     aiGenericPerMinute: 60,
     aiGenericPerHour: 500,
@@ -54,6 +54,8 @@ interface CachedProvider {
   model: string | null;
   display_name: string | null;
   api_key_encrypted: string;
+  base_url?: string | null;
+  custom_headers_encrypted?: string | null;
   active: boolean;
   created_at: string;
   connection_order?: number;
@@ -180,7 +182,7 @@ export async function getProvidersWithCache(
 
   ({ data, error } = await supabase
     .from('ai_providers')
-    .select('id, organization_id, provider_type, api_key_encrypted, model, display_name, active, is_active, created_at')
+    .select('id, organization_id, provider_type, api_key_encrypted, model, display_name, base_url, custom_headers_encrypted, active, is_active, created_at')
     .eq('organization_id', orgId)
     .order('created_at', { ascending: true })); // First connected = first in array
 
@@ -33,7 +33,7 @@ export type ProviderErrorCode =
 /**
  * Provider types supported
  */
-export type ProviderType = 'openai' | 'anthropic' | 'google';
+export type ProviderType = 'openai' | 'anthropic' | 'google' | 'custom';
 
 /**
  * Classified provider error with actionable information
@@ -66,7 +66,9 @@ const PROVIDER_DASHBOARD_URLS: Record<ProviderType, Record<string, string>> = {
     billing: 'https://aistudio.google.com/app/plan',
     apiKeys: 'https://aistudio.google.com/app/apikey',
     models: 'https://ai.google.dev/gemini-api/docs/models/gemini'
-  }
+  },
+  // The organization's own gateway - nothing for us to link to
+  custom: {}
 };
 
 /**
@@ -76,62 +78,74 @@ const ERROR_MESSAGES: Record<ProviderErrorCode, Record<ProviderType, string>> =
   INSUFFICIENT_QUOTA: {
     openai: 'Your OpenAI project has exceeded its quota or credits.',
     anthropic: 'Your Anthropic API credits are exhausted.',
-    google: 'Your Google AI quota has been exceeded.'
+    google: 'Your Google AI quota has been exceeded.',
+    custom: 'Your custom AI endpoint reports its quota is exhausted.'
   },
   BILLING_REQUIRED: {
     openai: 'OpenAI billing setup required. Add a payment method to continue.',
     anthropic: 'Your Anthropic credit balance is too low to access the API.',
-    google: 'Google AI billing setup required.'
+    google: 'Google AI billing setup required.',
+    custom: 'Your custom AI endpoint requires billing to be set up.'
   },
   MODEL_NOT_FOUND: {
     openai: 'The configured OpenAI model is not available or deprecated.',
     anthropic: 'The configured Claude model is not available.',
-    google: 'The configured Gemini model is not valid for the current API version.'
+    google: 'The configured Gemini model is not valid for the current API version.',
+    custom: 'The configured model is not available on your custom AI endpoint.'
   },
   RATE_LIMIT: {
     openai: 'OpenAI rate limit reached. Please wait a moment.',
     anthropic: 'Anthropic rate limit reached. Please wait a moment.',
-    google: 'Google AI rate limit reached. Please wait a moment.'
+    google: 'Google AI rate limit reached. Please wait a moment.',
+    custom: 'Your custom AI endpoint is rate limiting requests. Please wait a moment.'
   },
   AUTH_ERROR: {
     openai: 'OpenAI authentication failed. Your API key may be invalid.',
     anthropic: 'Anthropic authentication failed. Your API key may be invalid.',
-    google: 'Google AI authentication failed. Your API key may be invalid.'
+    google: 'Google AI authentication failed. Your API key may be invalid.',
+    custom: 'Your custom AI endpoint rejected the request. Check its key and headers.'
   },
   INVALID_KEY: {
     openai: 'Your OpenAI API key is invalid or has been revoked.',
     anthropic: 'Your Anthropic API key is invalid or has been revoked.',
-    google: 'Your Google AI API key is invalid or has been revoked.'
+    google: 'Your Google AI API key is invalid or has been revoked.',
+    custom: 'The key or headers for your custom AI endpoint are invalid.'
   },
   NETWORK_ERROR: {
     openai: 'Failed to connect to OpenAI. Please check your connection.',
     anthropic: 'Failed to connect to Anthropic. Please check your connection.',
-    google: 'Failed to connect to Google AI. Please check your connection.'
+    google: 'Failed to connect to Google AI. Please check your connection.',
+    custom: 'Failed to connect to your custom AI endpoint.'
   },
   TIMEOUT: {
     openai: 'OpenAI request timed out. Please try again.',
     anthropic: 'Anthropic request timed out. Please try again.',
-    google: 'Google AI request timed out. Please try again.'
+    google: 'Google AI request timed out. Please try again.',
+    custom: 'Your custom AI endpoint timed out. Please try again.'
   },
   CONTENT_POLICY: {
     openai: 'Your request was rejected by OpenAI content policy.',
     anthropic: 'Your request was rejected by Anthropic content policy.',
-    google: 'Your request was rejected by Google AI safety filters.'
+    google: 'Your request was rejected by Google AI safety filters.',
+    custom: 'Your request was rejected by your custom AI endpoint.'
   },
   CONTEXT_LENGTH: {
     openai: 'Message too long for OpenAI model context.',
     anthropic: 'Message too long for Claude model context.',
-    google: 'Message too long for Gemini model context.'
+    google: 'Message too long for Gemini model context.',
+    custom: 'Message too long for the model on your custom AI endpoint.'
   },
   SERVICE_UNAVAILABLE: {
     openai: 'OpenAI service is temporarily unavailable.',
     anthropic: 'Anthropic service is temporarily unavailable.',
-    google: 'Google AI service is temporarily unavailable.'
+    google: 'Google AI service is temporarily unavailable.',
+    custom: 'Your custom AI endpoint is temporarily unavailable.'
   },
   UNKNOWN: {
     openai: 'An unexpected OpenAI error occurred.',
     anthropic: 'An unexpected Anthropic error occurred.',
-    google: 'An unexpected Google AI error occurred.'
+    google: 'An unexpected Google AI error occurred.',
+    custom: 'An unexpected error occurred with your custom AI endpoint.'
   }
 };
 
@@ -349,10 +363,35 @@ function classifyGoogleError(httpStatus: number | null, errorBody: string): { co
   return { code: 'UNKNOWN', dashboardUrl: null };
 }
 
+/**
+ * Classify a custom endpoint (OpenAI-compatible gateway) error
+ * Gateways word their errors differently, so only the status is reliable
+ */
+function classifyCustomEndpointError(httpStatus: number | null, errorBody: string): { code: ProviderErrorCode; dashboardUrl: string | null } {
+  const lowerBody = errorBody.toLowerCase();
+
+  if (httpStatus === 401 || httpStatus === 403) return { code: 'AUTH_ERROR', dashboardUrl: null };
+  if (httpStatus === 404) return { code: 'MODEL_NOT_FOUND', dashboardUrl: null };
+  if (httpStatus === 429) return { code: 'RATE_LIMIT', dashboardUrl: null };
+  if (httpStatus && httpStatus >= 500) return { code: 'SERVICE_UNAVAILABLE', dashboardUrl: null };
+
+  if (lowerBody.includes('context length') || lowerBody.includes('maximum context')) {
+    return { code: 'CONTEXT_LENGTH', dashboardUrl: null };
+  }
+  if (lowerBody.includes('timeout') || lowerBody.includes('timed out')) {
+    return { code: 'TIMEOUT', dashboardUrl: null };
+  }
+  if (lowerBody.includes('network') || lowerBody.includes('econnrefused') || lowerBody.includes('fetch failed')) {
+    return { code: 'NETWORK_ERROR', dashboardUrl: null };
+  }
+
+  return { code: 'UNKNOWN', dashboardUrl: null };
+}
+
 /**
  * Classify a provider error into a structured format
  *
- * @param provider - The provider type (openai, anthropic, google)
+ * @param provider - The provider type (openai, anthropic, google, custom)
  * @param httpStatus - HTTP status code (may be null)
  * @param errorMessage - Raw error message/body
  * @returns Classified error with actionable information
@@ -377,6 +416,9 @@ export function classifyProviderError(
     case 'google':
       classification = classifyGoogleError(httpStatus, errorMessage);
       break;
+    case 'custom':
+      classification = classifyCustomEndpointError(httpStatus, errorMessage);
+      break;
     default:
       classification = { code: 'UNKNOWN', dashboardUrl: null };
   }
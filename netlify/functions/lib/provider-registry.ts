@@ -39,7 +39,7 @@ if (process.env.NODE_ENV !== 'production' || process.env.AI_PROVIDER_DIAGNOSTICS
  *
  * Adding a new provider? Update this list AND the provider UI components.
  */
-export const ALLOWED_PROVIDERS = ['openai', 'anthropic', 'google'] as const;
+export const ALLOWED_PROVIDERS = ['openai', 'anthropic', 'google', 'custom'] as const;
 export type AllowedProviderType = typeof ALLOWED_PROVIDERS[number];
 
 /**
@@ -52,6 +52,9 @@ export interface AIProvider {
   api_key_encrypted: string;
   active?: boolean; // Newer column name in our schema
   model?: string;
+  // Custom endpoints only: OpenAI-compatible base URL and encrypted JSON of extra request headers
+  base_url?: string | null;
+  custom_headers_encrypted?: string | null;
   // Legacy support: some environments still use is_active
   is_active?: boolean;
   created_at: string;
@@ -170,7 +173,7 @@ export async function getConnectedProviders(
 async function fetchProvidersDirect(supabase: any, orgId: string): Promise<AIProvider[]> {
   // Support environments that may or may not have legacy columns (is_active, updated_at).
   // We keep the select minimal to avoid schema drift errors.
-  const baseSelect = 'id, organization_id, provider_type, api_key_encrypted, model, display_name, active, is_active, created_at';
+  const baseSelect = 'id, organization_id, provider_type, api_key_encrypted, model, display_name, base_url, custom_headers_encrypted, active, is_active, created_at';
 
   let data;
   let error;
@@ -185,7 +188,7 @@ async function fetchProvidersDirect(supabase: any, orgId: string): Promise<AIPro
     // Fallback for schemas without the legacy column
     ({ data, error } = await supabase
       .from('ai_providers')
-      .select('id, organization_id, provider_type, api_key_encrypted, model, display_name, created_at')
+      .select('id, organization_id, provider_type, api_key_encrypted, model, display_name, base_url, custom_headers_encrypted, created_at')
       .eq('organization_id', orgId)
       .order('created_at', { ascending: true }));
   }
@@ -212,7 +215,7 @@ async function fetchProvidersDirect(supabase: any, orgId: string): Promise<AIPro
 async function fetchProvidersDirectNoActive(supabase: any, orgId: string): Promise<AIProvider[]> {
   const { data, error } = await supabase
     .from('ai_providers')
-    .select('id, organization_id, provider_type, api_key_encrypted, model, display_name, created_at')
+    .select('id, organization_id, provider_type, api_key_encrypted, model, display_name, base_url, custom_headers_encrypted, created_at')
     .eq('organization_id', orgId)
     .order('created_at', { ascending: true });
 
@@ -239,7 +242,8 @@ export function isAllowedProvider(providerType: string): providerType is Allowed
 export const PROVIDER_DISPLAY_NAMES: Record<AllowedProviderType, string> = {
   openai: 'ChatGPT',
   anthropic: 'Claude',
-  google: 'Gemini'
+  google: 'Gemini',
+  custom: 'Custom endpoint'
 };
 
 export function getProviderDisplayName(providerType: string): string {
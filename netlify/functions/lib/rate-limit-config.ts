@@ -103,6 +103,26 @@ export const RATE_LIMIT_BUCKETS = {
     description: 'AI Insights requests per day',
   } as RateLimitBucket,
 
+  // ============================================================================
+  // INBOUND LEAD CAPTURE (public form posts, counted per endpoint)
+  // ============================================================================
+
+  /** Per-minute limit for one capture endpoint across all senders */
+  leadCapturePerMinute: {
+    bucket: 'lead_capture',
+    windowSeconds: 60,
+    limit: 60,
+    description: 'Lead captures per minute',
+  } as RateLimitBucket,
+
+  /** Per-day limit for one capture endpoint */
+  leadCapturePerDay: {
+    bucket: 'lead_capture',
+    windowSeconds: 86400,
+    limit: 2000,
+    description: 'Lead captures per day',
+  } as RateLimitBucket,
+
 } as const;
 
 /**
@@ -35,6 +35,8 @@ import {
 interface RateLimitConfig {
   windowMs: number;
   maxRequests: number;
+  /** Separates this limiter's counters from other limiters for the same IP */
+  keyPrefix?: string;
 }
 
 interface RequestLog {
@@ -76,14 +78,15 @@ function getBlobStore() {
 }
 
 export function rateLimit(config: RateLimitConfig) {
-  const { windowMs, maxRequests } = config;
+  const { windowMs, maxRequests, keyPrefix } = config;
 
   return async (req: Request): Promise<{ allowed: boolean; remaining: number; resetTime: number }> => {
     // Get identifier (IP or API key)
-    const identifier = req.headers.get('x-forwarded-for') ||
-                      req.headers.get('cf-connecting-ip') ||
-                      req.headers.get('authorization') ||
-                      'anonymous';
+    const source = req.headers.get('x-forwarded-for') ||
+                  req.headers.get('cf-connecting-ip') ||
+                  req.headers.get('authorization') ||
+                  'anonymous';
+    const identifier = keyPrefix ? `${keyPrefix}:${source}` : source;
 
     const now = Date.now();
     const store = getBlobStore();
@@ -154,6 +157,7 @@ export const RATE_LIMITS = {
   AUTH: rateLimit({ windowMs: 5 * 60 * 1000, maxRequests: 3 }),          // 3/5min (was 5/min = 300/hour, now 3/5min = 36/hour)
   LLM: rateLimit({ windowMs: 60 * 1000, maxRequests: 10 }),              // 10/min
   WEBHOOK: rateLimit({ windowMs: 60 * 1000, maxRequests: 60 }),          // 60/min
+  LEAD_CAPTURE: rateLimit({ windowMs: 60 * 1000, maxRequests: 10, keyPrefix: 'lead-capture' }), // 10/min per sender
 };
 
 // ============================================================================
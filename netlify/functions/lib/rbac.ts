@@ -55,6 +55,9 @@ export const PERMISSIONS = {
   VIEW_BILLING: 'view_billing',
   MANAGE_BILLING: 'manage_billing',
 
+  // Audit permissions
+  VIEW_AUDIT_LOG: 'view_audit_log',
+
   // Organization permissions
   DELETE_ORGANIZATION: 'delete_organization'
 } as const;
@@ -80,6 +83,7 @@ const ROLE_PERMISSIONS: Record<Role, Permission[]> = {
     PERMISSIONS.MANAGE_INTEGRATIONS,
     PERMISSIONS.VIEW_BILLING,
     PERMISSIONS.MANAGE_BILLING,
+    PERMISSIONS.VIEW_AUDIT_LOG,
     PERMISSIONS.DELETE_ORGANIZATION
   ],
 
@@ -95,9 +99,12 @@ const ROLE_PERMISSIONS: Record<Role, Permission[]> = {
     PERMISSIONS.VIEW_TEAM,
     PERMISSIONS.INVITE_MEMBERS,
     PERMISSIONS.REMOVE_MEMBERS,
+    // Limited by validateMemberChange: admins can't create, demote or remove admins
+    PERMISSIONS.CHANGE_ROLES,
     PERMISSIONS.VIEW_INTEGRATIONS,
     PERMISSIONS.MANAGE_INTEGRATIONS,
-    PERMISSIONS.VIEW_BILLING
+    PERMISSIONS.VIEW_BILLING,
+    PERMISSIONS.VIEW_AUDIT_LOG
   ],
 
   member: [
@@ -236,6 +243,13 @@ export function canManageBilling(role: string): boolean {
   return hasPermission(role as Role, PERMISSIONS.MANAGE_BILLING);
 }
 
+/**
+ * Check if user can read and export the organization audit log
+ */
+export function canViewAuditLog(role: string): boolean {
+  return hasPermission(role as Role, PERMISSIONS.VIEW_AUDIT_LOG);
+}
+
 /**
  * Check if user can delete organization
  */
@@ -260,7 +274,8 @@ export function validateOperation(userRole: string, operation: string): void {
     'remove_members': PERMISSIONS.REMOVE_MEMBERS,
     'change_roles': PERMISSIONS.CHANGE_ROLES,
     'edit_settings': PERMISSIONS.EDIT_SETTINGS,
-    'delete_deals': PERMISSIONS.DELETE_DEALS
+    'delete_deals': PERMISSIONS.DELETE_DEALS,
+    'view_audit_log': PERMISSIONS.VIEW_AUDIT_LOG
   };
 
   const permission = operationMap[operation];
@@ -272,6 +287,61 @@ export function validateOperation(userRole: string, operation: string): void {
   requirePermission(userRole, permission);
 }
 
+/**
+ * Roles a member can be given through team management. Ownership isn't
+ * granted this way, and api_only is reserved for service accounts.
+ */
+export const ASSIGNABLE_ROLES: Role[] = [ROLES.ADMIN, ROLES.MEMBER, ROLES.VIEWER];
+
+/**
+ * Why `actor` may not change `target`'s role to `newRole` (or remove them,
+ * when newRole is omitted), or null when allowed.
+ *
+ * Rules:
+ * - role changes need CHANGE_ROLES, removal needs REMOVE_MEMBERS
+ * - nobody changes or removes themselves, and the owner can't be changed or removed
+ * - only an owner can create or demote admins, or remove them
+ */
+export function getMemberChangeError(
+  actor: { id: string; role: string },
+  target: { id: string; role: string },
+  newRole?: string
+): string | null {
+  const removing = newRole === undefined;
+  const permission = removing ? PERMISSIONS.REMOVE_MEMBERS : PERMISSIONS.CHANGE_ROLES;
+
+  if (!hasPermission(actor.role as Role, permission)) {
+    return removing ? "You don't have permission to remove members" : "You don't have permission to change roles";
+  }
+  if (actor.id === target.id) {
+    return removing ? "You can't remove yourself" : "You can't change your own role";
+  }
+  if (target.role === ROLES.OWNER) {
+    return removing ? "The owner can't be removed" : "The owner's role can't be changed";
+  }
+  if (!removing && !ASSIGNABLE_ROLES.includes(newRole as Role)) {
+    return `Role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`;
+  }
+  if ((target.role === ROLES.ADMIN || newRole === ROLES.ADMIN) && !isOwner(actor.role)) {
+    return removing ? 'Only the owner can remove admins' : 'Only the owner can make or demote admins';
+  }
+  return null;
+}
+
+/**
+ * Throwing form of getMemberChangeError
+ */
+export function validateMemberChange(
+  actor: { id: string; role: string },
+  target: { id: string; role: string },
+  newRole?: string
+): void {
+  const error = getMemberChangeError(actor, target, newRole);
+  if (error) {
+    throw new ForbiddenError(error);
+  }
+}
+
 /**
  * Get human-readable role name
  */
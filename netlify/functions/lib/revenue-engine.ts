@@ -28,8 +28,12 @@ export interface RevenueDealInput {
   last_activity?: string | null;
   confidence?: number | null;
   assigned_to?: string | null;
+  pipeline_id?: string | null; // null = org's default pipeline
 }
 
+/** Per-org stage overrides (stage_definitions), keyed by stage id */
+export type StageProbabilityOverrides = Record<string, { win_probability?: number | null }>;
+
 export interface RevenueTargets {
   month_goal?: number | null;
   quarter_goal?: number | null;
@@ -171,15 +175,23 @@ const STAGE_WIN_PROBABILITY: Record<string, number> = {
 
 /**
  * Get win probability for a stage
+ * Order: the deal's own confidence, then the org's stored stage probability,
+ * then the built-in table.
  */
-function getWinProbability(stage: string, dealConfidence?: number | null): number {
+export function getWinProbability(
+  stage: string,
+  dealConfidence?: number | null,
+  stageDefinitions?: StageProbabilityOverrides | null
+): number {
   // If deal has explicit confidence, use it (convert from 0-100 to 0-1)
   if (dealConfidence !== null && dealConfidence !== undefined && dealConfidence > 0) {
     return Math.min(1, Math.max(0, dealConfidence / 100));
   }
 
   // Otherwise use stage-based probability
-  return STAGE_WIN_PROBABILITY[stage] ?? STAGE_WIN_PROBABILITY.default;
+  return stageDefinitions?.[stage]?.win_probability
+    ?? STAGE_WIN_PROBABILITY[stage]
+    ?? STAGE_WIN_PROBABILITY.default;
 }
 
 // ============================================================================
@@ -376,12 +388,14 @@ function analyzeRisks(
  * @param deals - Array of deals to analyze
  * @param targets - Revenue goals (monthly, quarterly, annual)
  * @param now - Current date (injectable for testing)
+ * @param stageDefinitions - Org stage overrides (win probability per stage)
  * @returns RevenueProjectionResult with all projections and risk flags
  */
 export function computeRevenueProjections(
   deals: RevenueDealInput[],
   targets: RevenueTargets,
-  now: Date = new Date()
+  now: Date = new Date(),
+  stageDefinitions: StageProbabilityOverrides = {}
 ): RevenueProjectionResult {
   // Get period boundaries
   const monthPeriod = getMonthPeriod(now);
@@ -417,7 +431,7 @@ export function computeRevenueProjections(
       }
     } else if (deal.status === 'active') {
       // Active deals: weight by probability and expected close date
-      const probability = getWinProbability(deal.stage, deal.confidence);
+      const probability = getWinProbability(deal.stage, deal.confidence, stageDefinitions);
       const weightedValue = value * probability;
 
       // Determine which period this deal is expected to close in
@@ -444,7 +458,7 @@ export function computeRevenueProjections(
       // No expected close date - use heuristics based on stage
       // Early stages: spread across periods
       // Later stages: more likely to close sooner
-      const stageProbSoon = getWinProbability(deal.stage, null);
+      const stageProbSoon = getWinProbability(deal.stage, null, stageDefinitions);
 
       if (stageProbSoon >= 0.6) {
         // Late stage: likely to close this month
@@ -546,6 +560,69 @@ export function computeRevenueProjections(
   };
 }
 
+// ============================================================================
+// PER-PIPELINE ROLLUP
+// ============================================================================
+
+export interface RevenuePipelineInput {
+  id: string;
+  name: string;
+  is_default?: boolean;
+}
+
+export interface PipelineRevenueProjection {
+  pipeline_id: string;
+  name: string;
+  deal_count: number;
+  projection: RevenueProjectionResult;
+}
+
+export interface RevenueRollupResult {
+  /** All pipelines combined, measured against the targets */
+  all: RevenueProjectionResult;
+  /** One projection per pipeline; targets are org-wide so per-pipeline goals are null */
+  by_pipeline: PipelineRevenueProjection[];
+}
+
+/**
+ * Compute projections across all pipelines and for each pipeline.
+ * Deals without a (known) pipeline_id count toward the default pipeline.
+ */
+export function computeRevenueProjectionsByPipeline(
+  deals: RevenueDealInput[],
+  targets: RevenueTargets,
+  pipelines: RevenuePipelineInput[],
+  now: Date = new Date(),
+  stageDefinitions: StageProbabilityOverrides = {}
+): RevenueRollupResult {
+  const all = computeRevenueProjections(deals, targets, now, stageDefinitions);
+  if (pipelines.length === 0) {
+    return { all, by_pipeline: [] };
+  }
+
+  const defaultId = (pipelines.find(p => p.is_default) || pipelines[0]).id;
+  const knownIds = new Set(pipelines.map(p => p.id));
+  const grouped = new Map<string, RevenueDealInput[]>(pipelines.map(p => [p.id, []]));
+
+  for (const deal of deals) {
+    const pipelineId = deal.pipeline_id && knownIds.has(deal.pipeline_id) ? deal.pipeline_id : defaultId;
+    grouped.get(pipelineId)!.push(deal);
+  }
+
+  return {
+    all,
+    by_pipeline: pipelines.map(pipeline => {
+      const pipelineDeals = grouped.get(pipeline.id) || [];
+      return {
+        pipeline_id: pipeline.id,
+        name: pipeline.name,
+        deal_count: pipelineDeals.length,
+        projection: computeRevenueProjections(pipelineDeals, {}, now, stageDefinitions),
+      };
+    }),
+  };
+}
+
 // ============================================================================
 // HELPER: Summarize projection for AI context
 // ============================================================================
@@ -592,6 +669,7 @@ export function summarizeProjectionForAI(projection: RevenueProjectionResult): s
 
 export default {
   computeRevenueProjections,
+  computeRevenueProjectionsByPipeline,
   summarizeProjectionForAI,
   getWinProbability,
 };
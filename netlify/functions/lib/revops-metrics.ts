@@ -134,6 +134,9 @@ export const STAGE_FOLLOWUP_RULES: Record<string, { maxGapDays: number; warningM
   default: { maxGapDays: 14, warningMultiplier: 1.5 }
 };
 
+/** Per-org stage overrides (stage_definitions), keyed by stage id */
+export type StageFollowupOverrides = Record<string, { followup_gap_days?: number | null }>;
+
 /**
  * Retention cadence thresholds (days since last touch)
  */
@@ -172,11 +175,18 @@ export function daysSince(date: Date | string | null | undefined, now: Date = ne
 
 /**
  * Get stage follow-up rules (with fallback to default)
+ * An org's stored follow-up gap replaces maxGapDays; the warning multiplier
+ * stays the built-in one.
  */
-function getStageRules(stage: string | null | undefined): { maxGapDays: number; warningMultiplier: number } {
+export function getStageRules(
+  stage: string | null | undefined,
+  stageDefinitions?: StageFollowupOverrides | null
+): { maxGapDays: number; warningMultiplier: number } {
   if (!stage) return STAGE_FOLLOWUP_RULES.default;
   const normalized = stage.toLowerCase().replace(/-/g, '_');
-  return STAGE_FOLLOWUP_RULES[normalized] || STAGE_FOLLOWUP_RULES.default;
+  const rules = STAGE_FOLLOWUP_RULES[normalized] || STAGE_FOLLOWUP_RULES.default;
+  const storedGap = stageDefinitions?.[normalized]?.followup_gap_days;
+  return storedGap ? { ...rules, maxGapDays: storedGap } : rules;
 }
 
 // ============================================================================
@@ -185,11 +195,17 @@ function getStageRules(stage: string | null | undefined): { maxGapDays: number;
 
 /**
  * Get follow-up status for a single deal
+ * Uses the last logged touch (call/email/meeting) when there is one; edits
+ * bump last_activity, so it is only a fallback for deals with no activities.
  */
-export function getDealFollowupStatus(deal: any, now: Date = new Date()): DealFollowupStatus {
-  const lastActivity = deal.last_activity || deal.updated || deal.created_at || deal.created;
+export function getDealFollowupStatus(
+  deal: any,
+  now: Date = new Date(),
+  stageDefinitions?: StageFollowupOverrides | null
+): DealFollowupStatus {
+  const lastActivity = deal.last_touch_at || deal.last_activity || deal.updated || deal.created_at || deal.created;
   const daysSinceActivity = daysSince(lastActivity, now);
-  const rules = getStageRules(deal.stage);
+  const rules = getStageRules(deal.stage, stageDefinitions);
   const warningGap = Math.round(rules.maxGapDays * rules.warningMultiplier);
 
   let status: HealthStatus = 'green';
@@ -214,7 +230,11 @@ export function getDealFollowupStatus(deal: any, now: Date = new Date()): DealFo
 /**
  * Summarize follow-up health across all active deals
  */
-export function summarizeFollowupHealth(deals: any[], now: Date = new Date()): RevOpsMetrics['followupHealth'] {
+export function summarizeFollowupHealth(
+  deals: any[],
+  now: Date = new Date(),
+  stageDefinitions?: StageFollowupOverrides | null
+): RevOpsMetrics['followupHealth'] {
   // Filter to active deals only
   const activeDeals = deals.filter(d => d.status === 'active');
 
@@ -232,7 +252,7 @@ export function summarizeFollowupHealth(deals: any[], now: Date = new Date()): R
   }
 
   // Calculate status for each deal
-  const statuses = activeDeals.map(d => getDealFollowupStatus(d, now));
+  const statuses = activeDeals.map(d => getDealFollowupStatus(d, now, stageDefinitions));
   const overdue = statuses.filter(s => s.isOverdue);
   const overdueCount = overdue.length;
   const overduePercentage = Math.round((overdueCount / activeDeals.length) * 100);
@@ -269,7 +289,7 @@ export function summarizeFollowupHealth(deals: any[], now: Date = new Date()): R
  */
 export function getRetentionStatus(deal: any, now: Date = new Date()): RetentionStatus {
   const wonAt = deal.won_at || deal.closed_at || deal.last_activity;
-  const lastTouch = deal.last_retention_touch_at || deal.last_activity || wonAt;
+  const lastTouch = deal.last_retention_touch_at || deal.last_touch_at || deal.last_activity || wonAt;
 
   const daysSinceWon = daysSince(wonAt, now);
   const daysSinceLastTouch = daysSince(lastTouch, now);
@@ -493,6 +513,8 @@ export interface BuildRevOpsMetricsOptions {
   monthlyTarget?: number;
   closedThisMonth?: number;
   now?: Date;
+  /** Org stage definitions - stored follow-up gaps override STAGE_FOLLOWUP_RULES */
+  stageDefinitions?: StageFollowupOverrides | null;
 }
 
 /**
@@ -500,7 +522,7 @@ export interface BuildRevOpsMetricsOptions {
  * Used by both Mission Control fallback and AI context
  */
 export function buildRevOpsMetrics(options: BuildRevOpsMetricsOptions): RevOpsMetrics {
-  const { deals, invoices, monthlyTarget, now = new Date() } = options;
+  const { deals, invoices, monthlyTarget, now = new Date(), stageDefinitions } = options;
 
   // Calculate closed this month from deals if not provided
   let closedThisMonth = options.closedThisMonth;
@@ -517,7 +539,7 @@ export function buildRevOpsMetrics(options: BuildRevOpsMetricsOptions): RevOpsMe
 
   return {
     generatedAt: now.toISOString(),
-    followupHealth: summarizeFollowupHealth(deals, now),
+    followupHealth: summarizeFollowupHealth(deals, now, stageDefinitions),
     retentionHealth: summarizeRetentionHealth(deals, now),
     arHealth: summarizeARHealth(invoices),
     monthlyGoal: summarizeMonthlyGoal(closedThisMonth, monthlyTarget || 0, now)
@@ -569,6 +591,7 @@ export function formatRevOpsMetricsAsText(metrics: RevOpsMetrics): string[] {
 
 export default {
   // Status functions
+  getStageRules,
   getDealFollowupStatus,
   getRetentionStatus,
   getInvoiceStatus,
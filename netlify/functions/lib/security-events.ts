@@ -59,7 +59,13 @@ export type SecurityEventType =
   | 'MFA_ENABLED'
   | 'MFA_DISABLED'
   | 'API_KEY_CREATED'
-  | 'API_KEY_REVOKED';
+  | 'API_KEY_REVOKED'
+  | 'DATA_EXPORTED'
+  | 'WEBHOOK_SECRET_ROTATED'
+  | 'MEMBER_INVITED'
+  | 'MEMBER_JOINED'
+  | 'MEMBER_ROLE_CHANGED'
+  | 'MEMBER_REMOVED';
 
 /**
  * Security event structure
@@ -107,7 +113,7 @@ function getSupabaseClient(): SupabaseClient {
  * @param ip - IP address to anonymize
  * @returns Anonymized IP address
  */
-function anonymizeIP(ip: string): string {
+export function anonymizeIP(ip: string): string {
   if (!ip) return '';
 
   // IPv4: 192.168.1.123 -> 192.168.1.0
@@ -163,7 +169,13 @@ function calculateRiskScore(event: SecurityEvent): number {
     'MFA_ENABLED': 0,
     'MFA_DISABLED': 40,
     'API_KEY_CREATED': 10,
-    'API_KEY_REVOKED': 15
+    'API_KEY_REVOKED': 15,
+    'DATA_EXPORTED': 10,
+    'WEBHOOK_SECRET_ROTATED': 10,
+    'MEMBER_INVITED': 5,
+    'MEMBER_JOINED': 5,
+    'MEMBER_ROLE_CHANGED': 15,
+    'MEMBER_REMOVED': 15
   };
 
   score = eventRiskScores[event.type] || 0;
@@ -45,49 +45,59 @@ export type TaskType =
  * This means:
  * - Task affinity is the PRIMARY factor (not tie-breaker)
  * - Earlier connections (lower connection_order) win ties
+ *
+ * Custom endpoints run whatever model the organization's gateway serves,
+ * so they rank mid-pack for text tasks and low for visuals.
  */
 const TASK_MODEL_AFFINITY: Record<TaskType, Record<ProviderType, number>> = {
   // Coaching: Claude excels at nuanced, empathetic responses
   coaching: {
     anthropic: 5,
     openai: 3,
-    google: 2
+    google: 2,
+    custom: 3
   },
   // Planning: GPT excels at structured multi-step guidance
   planning: {
     openai: 5,
     anthropic: 4,
-    google: 2
+    google: 2,
+    custom: 3
   },
   // Chart insights: GPT for structured data, Gemini for visualization
   chart_insight: {
     openai: 4,
     google: 3,
-    anthropic: 2
+    anthropic: 2,
+    custom: 3
   },
   // Text analysis: GPT best for RevOps analysis
   text_analysis: {
     openai: 4,
     anthropic: 3,
-    google: 2
+    google: 2,
+    custom: 3
   },
   // Image suitable: Gemini excels at visual content
   image_suitable: {
     google: 5,
     openai: 3,
-    anthropic: 2
+    anthropic: 2,
+    custom: 1
   },
   // General: GPT as default all-rounder
   general: {
     openai: 4,
     anthropic: 3,
-    google: 2
+    google: 2,
+    custom: 3
   },
   // Default fallback (same as general)
   default: {
     openai: 3,
     anthropic: 3,
-    google: 2
+    google: 2,
+    custom: 3
   }
 };
 
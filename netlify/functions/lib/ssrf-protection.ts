@@ -1,7 +1,7 @@
 /**
  * SSRF (Server-Side Request Forgery) Protection
- * Prevents webhook URLs from targeting internal networks
- * 
+ * Prevents webhook URLs and custom AI endpoints from targeting internal networks
+ *
  * CRITICAL FIX H3: Blocks malicious webhook URLs
  */
 
@@ -148,4 +148,76 @@ export function isWhitelisted(url: string, whitelist: string[]): boolean {
   }
 }
 
-export default { validateWebhookURL, isPrivateIP, isPrivateHostname, isWhitelisted };
+/**
+ * Normalize an allowlist entry to a bare lowercase hostname
+ * ("https://LLM.corp.example/v1" → "llm.corp.example"), or null when it
+ * isn't a usable public hostname
+ */
+export function normalizeAllowlistHost(entry: string): string | null {
+  const trimmed = String(entry || '').trim().toLowerCase();
+  if (!trimmed) return null;
+
+  let hostname: string;
+  try {
+    hostname = new URL(trimmed.includes('://') ? trimmed : `https://${trimmed}`).hostname;
+  } catch {
+    return null;
+  }
+
+  // Bare IPs and private names can never pass validateWebhookURL anyway
+  if (!hostname.includes('.') || isPrivateHostname(hostname) || /^[\d.]+$|^\[/.test(hostname)) {
+    return null;
+  }
+  return hostname;
+}
+
+/**
+ * Validate a custom AI endpoint base URL (OpenAI-compatible gateways such
+ * as vLLM, Ollama or Azure OpenAI)
+ *
+ * Stricter than webhooks: HTTPS only, and the host must be on the
+ * organization's AI endpoint allowlist (a host or any of its subdomains).
+ * The allowlist never opens up private or metadata addresses.
+ *
+ * @param url - The endpoint base URL
+ * @param allowlist - organizations.ai_endpoint_allowlist
+ */
+export async function validateAIEndpointURL(url: string, allowlist: string[]): Promise<ValidationResult> {
+  let parsed: URL;
+  try {
+    parsed = new URL(url);
+  } catch (error: any) {
+    return { allowed: false, reason: `Invalid URL format: ${error.message}` };
+  }
+
+  if (parsed.protocol !== 'https:') {
+    return { allowed: false, reason: 'AI endpoints must use https:' };
+  }
+
+  if (parsed.username || parsed.password) {
+    return { allowed: false, reason: 'Credentials in the URL are not allowed - use headers instead' };
+  }
+
+  const ssrfCheck = await validateWebhookURL(url);
+  if (!ssrfCheck.allowed) {
+    return ssrfCheck;
+  }
+
+  if (!isWhitelisted(url, allowlist || [])) {
+    return {
+      allowed: false,
+      reason: `Host is not on the organization's AI endpoint allowlist: ${parsed.hostname}`
+    };
+  }
+
+  return { allowed: true };
+}
+
+export default {
+  validateWebhookURL,
+  validateAIEndpointURL,
+  normalizeAllowlistHost,
+  isPrivateIP,
+  isPrivateHostname,
+  isWhitelisted
+};
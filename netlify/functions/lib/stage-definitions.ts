@@ -0,0 +1,122 @@
+/**
+ * Stage Definitions
+ *
+ * Server-side loader for the stage_definitions table. An org's definitions
+ * override the built-in stage tables (outcome, win probability, stagnation,
+ * follow-up gap); consumers take the map as an optional argument and fall
+ * back to their own defaults. Shared rules live in src/config/stageDefinitions.js.
+ *
+ * USAGE:
+ * ```typescript
+ * const stageDefinitions = await loadStageDefinitions(supabase, orgId);
+ * const status = getStatusForStage(stage, stageDefinitions);
+ * const projection = computeRevenueProjections(deals, targets, now, stageDefinitions);
+ * const unmet = await checkStageEntry(supabase, orgId, { ...deal, ...updates }, updates.stage, stageDefinitions);
+ * ```
+ */
+
+import { toStageDefinitionMap } from '../../../src/config/stageDefinitions';
+import { getUnmetStageRequirements, CUSTOM_FIELD_PREFIX } from '../../../src/config/stageRequirements';
+import { loadCustomFieldDefinitions } from './custom-fields';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export type StageOutcome = 'won' | 'lost' | 'none';
+
+export interface StageDefinition {
+  label: string | null;
+  color: string | null;
+  win_probability: number | null;
+  stagnation_days: number | null;
+  followup_gap_days: number | null;
+  outcome: StageOutcome | null;
+  /** Stage-entry requirements (src/config/stageRequirements.js) */
+  required_fields: string[] | null;
+  checklist: Array<{ id: string; label: string }> | null;
+}
+
+/** Definitions keyed by stage id */
+export type StageDefinitionMap = Record<string, Partial<StageDefinition>>;
+
+/** Unmet stage-entry requirements, returned with STAGE_REQUIREMENTS_UNMET */
+export interface UnmetStageRequirements {
+  stage: string;
+  fields: Array<{ key: string; label: string; type: string; options?: string[] }>;
+  checklist: Array<{ id: string; label: string }>;
+}
+
+/** Deal columns a stage can require (selected before checking a move) */
+export const STAGE_REQUIREMENT_DEAL_COLUMNS = 'value, email, phone, notes, expected_close_date, custom_fields, stage_checklist';
+
+export const STAGE_DEFINITION_COLUMNS =
+  'stage_id, label, color, win_probability, stagnation_days, followup_gap_days, outcome, required_fields, checklist, updated_at';
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Stored stage rows for an organization, ordered by stage id
+ */
+export async function loadStageDefinitionRows(supabase: any, organizationId: string): Promise<any[]> {
+  const { data, error } = await supabase
+    .from('stage_definitions')
+    .select(STAGE_DEFINITION_COLUMNS)
+    .eq('organization_id', organizationId)
+    .order('stage_id', { ascending: true });
+
+  if (error) throw error;
+  // numeric columns come back as strings from PostgREST
+  return (data || []).map((row: any) => ({
+    ...row,
+    win_probability: row.win_probability === null ? null : Number(row.win_probability),
+  }));
+}
+
+/**
+ * Definitions map for an organization.
+ * Fails soft: on a read error the built-in stage defaults apply, so a missing
+ * table never blocks deal updates or analytics.
+ */
+export async function loadStageDefinitions(supabase: any, organizationId: string): Promise<StageDefinitionMap> {
+  try {
+    return toStageDefinitionMap(await loadStageDefinitionRows(supabase, organizationId)) as StageDefinitionMap;
+  } catch (error) {
+    console.warn('[stage-definitions] Falling back to built-in stage defaults:', error);
+    return {};
+  }
+}
+
+/**
+ * Requirements a deal hasn't met for moving into `stageId`, or null when the
+ * move is allowed. `deal` is the deal as it would be after the update.
+ * Custom field labels are looked up only when one is missing (best-effort).
+ */
+export async function checkStageEntry(
+  supabase: any,
+  organizationId: string,
+  deal: Record<string, any>,
+  stageId: string,
+  stageDefinitions: StageDefinitionMap
+): Promise<UnmetStageRequirements | null> {
+  const unmet = getUnmetStageRequirements(deal, stageId, stageDefinitions) as UnmetStageRequirements | null;
+  if (!unmet || !unmet.fields.some(field => field.key.startsWith(CUSTOM_FIELD_PREFIX))) {
+    return unmet;
+  }
+
+  try {
+    const customFieldDefinitions = await loadCustomFieldDefinitions(supabase, organizationId);
+    return getUnmetStageRequirements(deal, stageId, stageDefinitions, customFieldDefinitions) as UnmetStageRequirements;
+  } catch (error) {
+    console.warn('[stage-definitions] Could not load custom field labels:', error);
+    return unmet;
+  }
+}
+
+export default {
+  loadStageDefinitionRows,
+  loadStageDefinitions,
+  checkStageEntry,
+};
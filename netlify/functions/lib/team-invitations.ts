@@ -0,0 +1,354 @@
+/**
+ * Team Invitations
+ *
+ * Server side of email invitations. An owner or admin invites an address
+ * with a role; the invitee receives a tokenized link (/?invite=<token>) and
+ * accepts or declines after signing in. Only the SHA-256 hash of the token
+ * is stored, so a leaked table can't be used to join an organization.
+ *
+ * Seats: members plus pending, unexpired invitations may not exceed the
+ * plan's maxUsers (plan-config.ts).
+ *
+ * One organization per user: the app shell creates a workspace for anyone
+ * who has none, so most invitees already own one. Accepting leaves that
+ * workspace when it is still empty (no other members, deals, invitations or
+ * billing); otherwise it is refused with InvitationConflictError. Expiry and statuses are shared with the
+ * settings UI via src/config/teamInvitations.js.
+ *
+ * USAGE:
+ * ```typescript
+ * const seats = await getSeatUsage(supabase, organizationId, await getOrgPlan(organizationId));
+ * const token = generateInvitationToken();
+ * // insert { ..., token_hash: hashInvitationToken(token) }
+ * await sendInvitationEmail(invitation, { token, organizationName, inviterName });
+ * ```
+ */
+
+import { createHash } from 'crypto';
+import { getEmailTemplate } from '../email-templates.mts';
+import { ROLES, ASSIGNABLE_ROLES, hasRoleLevel, isOwner, getRoleName, type Role } from './rbac';
+import { getPlanConfig } from './plan-config';
+import { emitMemberJoined } from './webhook-events';
+import { getSeatsAvailable, INVITE_TOKEN_PARAM } from '../../../src/config/teamInvitations';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export interface TeamInvitation {
+  id: string;
+  organization_id: string;
+  email: string;
+  role: Role;
+  status: 'pending' | 'accepted' | 'declined' | 'revoked';
+  expires_at: string;
+  invited_by: string | null;
+  created_at: string;
+  resent_at: string | null;
+  resend_count: number;
+}
+
+export interface SeatUsage {
+  members: number;
+  pending: number;
+  limit: number;
+  available: number;
+}
+
+export class InvitationConflictError extends Error {
+  constructor(
+    message: string,
+    public code: string = 'ALREADY_IN_ORGANIZATION',
+    public statusCode: number = 409
+  ) {
+    super(message);
+    this.name = 'InvitationConflictError';
+  }
+}
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const TEAM_INVITATION_COLUMNS =
+  'id, organization_id, email, role, status, expires_at, invited_by, created_at, resent_at, resend_count, responded_at, accepted_by';
+
+const RESEND_API_KEY = process.env.RESEND_API_KEY;
+const FROM_EMAIL = 'StageFlow <jeremy@startupstage.com>';
+const APP_URL = process.env.URL || 'https://stageflow.startupstage.com';
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * New secret token for an invitation link
+ */
+export function generateInvitationToken(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return `inv_${Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('')}`;
+}
+
+export function hashInvitationToken(token: string): string {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+export function buildInvitationUrl(token: string): string {
+  return `${APP_URL}/?${INVITE_TOKEN_PARAM}=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Roles an inviter may grant: ASSIGNABLE_ROLES up to their own level, and
+ * admin only for the owner (same rule as role changes, see
+ * validateMemberChange). INVITE_MEMBERS is checked by the caller.
+ */
+export function getInvitableRoles(inviterRole: string): Role[] {
+  return ASSIGNABLE_ROLES
+    .filter(role => hasRoleLevel(inviterRole, role) && (role !== ROLES.ADMIN || isOwner(inviterRole)));
+}
+
+/**
+ * Role options for the invite form, ordered as in ASSIGNABLE_ROLES
+ */
+export function describeRoles(roles: Role[]): Array<{ id: Role; name: string }> {
+  return roles.map(role => ({ id: role, name: getRoleName(role) }));
+}
+
+/**
+ * Seats held by members and pending, unexpired invitations
+ */
+export async function getSeatUsage(supabase: any, organizationId: string, planId: string): Promise<SeatUsage> {
+  const [membersResult, pendingResult] = await Promise.all([
+    supabase
+      .from('team_members')
+      .select('user_id', { count: 'exact', head: true })
+      .eq('organization_id', organizationId),
+    supabase
+      .from('team_invitations')
+      .select('id', { count: 'exact', head: true })
+      .eq('organization_id', organizationId)
+      .eq('status', 'pending')
+      .gt('expires_at', new Date().toISOString())
+  ]);
+
+  if (membersResult.error) throw membersResult.error;
+  if (pendingResult.error) throw pendingResult.error;
+
+  const members = membersResult.count || 0;
+  const pending = pendingResult.count || 0;
+  const limit = getPlanConfig(planId).maxUsers;
+
+  return { members, pending, limit, available: getSeatsAvailable({ members, pending, limit }) };
+}
+
+const escapeHtml = (text: string) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Email the invitation link. Never throws - the invitation stays valid and
+ * can be resent if delivery fails.
+ */
+export async function sendInvitationEmail(
+  invitation: Pick<TeamInvitation, 'email' | 'role' | 'expires_at'>,
+  details: { token: string; organizationName: string; inviterName: string }
+): Promise<{ sent: boolean; error?: string }> {
+  if (!RESEND_API_KEY) {
+    return { sent: false, error: 'Email service not configured' };
+  }
+
+  const { subject, html } = getEmailTemplate('team_invitation', {
+    email: escapeHtml(invitation.email),
+    organizationName: escapeHtml(details.organizationName),
+    inviterName: escapeHtml(details.inviterName),
+    roleName: getRoleName(invitation.role),
+    inviteUrl: buildInvitationUrl(details.token),
+    expiresOn: new Date(invitation.expires_at).toUTCString().replace(/ \d{2}:\d{2}:\d{2} GMT$/, '')
+  });
+
+  try {
+    const response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${RESEND_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ from: FROM_EMAIL, to: invitation.email, subject, html })
+    });
+
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({})) as any;
+      console.error('[team-invitations] Resend API error:', result);
+      return { sent: false, error: result.message || 'Resend API error' };
+    }
+    return { sent: true };
+  } catch (error: any) {
+    console.error('[team-invitations] Failed to send invitation email:', error);
+    return { sent: false, error: error.message || 'Failed to send email' };
+  }
+}
+
+const countRows = async (query: any): Promise<number> => {
+  const { count, error } = await query;
+  if (error) throw error;
+  return count || 0;
+};
+
+/**
+ * The user's current workspace if it is the empty one created for them at
+ * sign-up (owner, no other members, deals, pending invitations or billing),
+ * or null when they have none. Throws InvitationConflictError when the
+ * workspace is in use. Read-only - acceptInvitation detaches the membership.
+ */
+export async function findStarterOrganization(supabase: any, userId: string): Promise<string | null> {
+  const { data: memberships, error } = await supabase
+    .from('team_members')
+    .select('organization_id, role')
+    .eq('user_id', userId);
+
+  if (error) throw error;
+  if (!memberships || memberships.length === 0) return null;
+
+  const refuse = () => new InvitationConflictError(
+    'You already belong to another workspace. Leave it, or ask its owner to remove you, before accepting this invitation.'
+  );
+
+  if (memberships.length > 1 || !isOwner(memberships[0].role)) throw refuse();
+
+  const organizationId = memberships[0].organization_id;
+  const [{ data: organization, error: orgError }, members, deals, invitations] = await Promise.all([
+    supabase
+      .from('organizations')
+      .select('id, stripe_customer_id')
+      .eq('id', organizationId)
+      .maybeSingle(),
+    countRows(supabase
+      .from('team_members')
+      .select('user_id', { count: 'exact', head: true })
+      .eq('organization_id', organizationId)),
+    // Soft-deleted deals count too - they can still be restored
+    countRows(supabase
+      .from('deals')
+      .select('id', { count: 'exact', head: true })
+      .eq('organization_id', organizationId)),
+    countRows(supabase
+      .from('team_invitations')
+      .select('id', { count: 'exact', head: true })
+      .eq('organization_id', organizationId)
+      .eq('status', 'pending'))
+  ]);
+
+  if (orgError) throw orgError;
+  if (organization?.stripe_customer_id || members > 1 || deals > 0 || invitations > 0) throw refuse();
+
+  return organizationId;
+}
+
+const deleteMembership = async (supabase: any, organizationId: string, userId: string) => {
+  const { error } = await supabase
+    .from('team_members')
+    .delete()
+    .eq('organization_id', organizationId)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+};
+
+/**
+ * Add the accepting user to the organization and close the invitation.
+ * Callers check status, expiry, email match and seats first.
+ *
+ * The invitation is claimed (pending → accepted) before anything else, so a
+ * revoke or a second accept racing this one wins or loses cleanly. A user
+ * who is already a member keeps their current role. A new member leaves
+ * their empty starter workspace (see findStarterOrganization); its row and
+ * settings stay in place. If joining fails the claim is released and the
+ * user keeps their starter membership.
+ */
+export async function acceptInvitation(
+  supabase: any,
+  invitation: TeamInvitation,
+  user: { id: string; email?: string | null }
+): Promise<{ role: string; alreadyMember: boolean; releasedOrganizationId: string | null }> {
+  const { data: existing, error: existingError } = await supabase
+    .from('team_members')
+    .select('role')
+    .eq('organization_id', invitation.organization_id)
+    .eq('user_id', user.id)
+    .maybeSingle();
+
+  if (existingError) throw existingError;
+
+  const starterOrganizationId = existing ? null : await findStarterOrganization(supabase, user.id);
+
+  const respondedAt = new Date().toISOString();
+  const { data: claimed, error: claimError } = await supabase
+    .from('team_invitations')
+    .update({ status: 'accepted', accepted_by: user.id, responded_at: respondedAt })
+    .eq('id', invitation.id)
+    .eq('status', 'pending')
+    .select('id')
+    .maybeSingle();
+
+  if (claimError) throw claimError;
+  if (!claimed) {
+    throw new InvitationConflictError('This invitation was already answered or revoked', 'CONFLICT');
+  }
+
+  if (!existing) {
+    let joined = false;
+    try {
+      const { error } = await supabase
+        .from('team_members')
+        .insert({
+          user_id: user.id,
+          organization_id: invitation.organization_id,
+          role: invitation.role
+        });
+
+      if (error) throw error;
+      joined = true;
+
+      if (starterOrganizationId) {
+        await deleteMembership(supabase, starterOrganizationId, user.id);
+      }
+    } catch (joinError) {
+      // Best effort: back to one membership and a pending invitation
+      try {
+        if (joined) await deleteMembership(supabase, invitation.organization_id, user.id);
+        await supabase
+          .from('team_invitations')
+          .update({ status: 'pending', accepted_by: null, responded_at: null })
+          .eq('id', invitation.id)
+          .eq('accepted_by', user.id);
+      } catch (rollbackError: any) {
+        console.error('[team-invitations] Failed to roll back accept:', { invitationId: invitation.id, error: rollbackError?.message });
+      }
+      throw joinError;
+    }
+
+    await emitMemberJoined(supabase, invitation.organization_id, { type: 'user', id: user.id }, {
+      user_id: user.id,
+      role: invitation.role,
+      email: user.email,
+      joined_at: respondedAt
+    });
+  }
+
+  return { role: existing?.role || invitation.role, alreadyMember: Boolean(existing), releasedOrganizationId: starterOrganizationId };
+}
+
+export default {
+  generateInvitationToken,
+  hashInvitationToken,
+  buildInvitationUrl,
+  getInvitableRoles,
+  describeRoles,
+  getSeatUsage,
+  sendInvitationEmail,
+  findStarterOrganization,
+  acceptInvitation
+};
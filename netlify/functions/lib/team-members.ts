@@ -0,0 +1,160 @@
+/**
+ * Team Member Management
+ *
+ * Offboarding helpers for team-members.mts. A member can only be removed
+ * once their open deals have somewhere to go: either one other member, or
+ * the round-robin rotation. Reassignments are recorded in the deal history
+ * and queue deal.assigned webhook events like any other assignment.
+ *
+ * USAGE:
+ * ```typescript
+ * // To a member: reassign first, then remove
+ * await reassignOpenDeals(supabase, { organizationId, fromUserId, toUserId, actorId });
+ * await removeMember(supabase, organizationId, fromUserId);
+ *
+ * // Round robin: remove first so the rotation can't pick the leaver
+ * await removeMember(supabase, organizationId, fromUserId);
+ * await reassignOpenDealsRoundRobin(supabase, { organizationId, fromUserId, actorId });
+ * ```
+ */
+
+import { recordDealChange } from './deal-history';
+import { emitDealEventsBulk } from './webhook-events';
+import { autoAssignDeal, OPEN_DEAL_STATUS } from './deal-assignment';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export interface ReassignResult {
+  /** Deals moved off the departing member */
+  reassigned: number;
+  /** Deals the rotation couldn't place, given to the acting user instead */
+  fallback: number;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const openDealsQuery = (supabase: any, columns: string, organizationId: string, userId: string) =>
+  supabase
+    .from('deals')
+    .select(columns)
+    .eq('organization_id', organizationId)
+    .eq('assigned_to', userId)
+    .eq('status', OPEN_DEAL_STATUS)
+    .is('deleted_at', null);
+
+/**
+ * Move every open deal of `fromUserId` to `toUserId` in one update.
+ * The caller checks that `toUserId` is a member who can own deals.
+ */
+export async function reassignOpenDeals(
+  supabase: any,
+  options: { organizationId: string; fromUserId: string; toUserId: string; actorId: string }
+): Promise<number> {
+  const { organizationId, fromUserId, toUserId, actorId } = options;
+
+  const { data: previousDeals, error: previousError } = await openDealsQuery(supabase, 'id, assigned_to', organizationId, fromUserId);
+  if (previousError) throw previousError;
+  if (!previousDeals || previousDeals.length === 0) return 0;
+
+  const previousById = new Map<string, any>(previousDeals.map((deal: any) => [deal.id, deal]));
+
+  const { data: deals, error } = await supabase
+    .from('deals')
+    .update({
+      assigned_to: toUserId,
+      assigned_by: actorId,
+      assigned_at: new Date().toISOString()
+    })
+    .in('id', [...previousById.keys()])
+    .eq('organization_id', organizationId)
+    .select();
+
+  if (error) throw error;
+
+  await Promise.all((deals || []).map((deal: any) => recordDealChange(supabase, {
+    dealId: deal.id,
+    organizationId,
+    changedBy: actorId,
+    source: 'assign',
+    before: previousById.get(deal.id) || null,
+    after: deal
+  })));
+  await emitDealEventsBulk(supabase, organizationId, { type: 'user', id: actorId },
+    (deals || []).map((deal: any) => ({
+      before: previousById.get(deal.id) || { assigned_to: null },
+      after: deal
+    }))
+  );
+
+  return deals?.length || 0;
+}
+
+/**
+ * Spread the open deals of a removed member over the round-robin rotation.
+ * Run after removeMember. Deals the rotation can't place (database function
+ * error, or nobody left to rotate to) go to the acting user so nothing stays
+ * assigned to someone outside the organization.
+ */
+export async function reassignOpenDealsRoundRobin(
+  supabase: any,
+  options: { organizationId: string; fromUserId: string; actorId: string }
+): Promise<ReassignResult> {
+  const { organizationId, fromUserId, actorId } = options;
+
+  const { data: openDeals, error } = await openDealsQuery(supabase, 'id', organizationId, fromUserId);
+  if (error) throw error;
+
+  let reassigned = 0;
+  for (const deal of openDeals || []) {
+    try {
+      const { assignedTo } = await autoAssignDeal(supabase, {
+        dealId: deal.id,
+        organizationId,
+        changedBy: actorId,
+        actor: { type: 'user', id: actorId }
+      });
+      if (assignedTo && assignedTo !== fromUserId) reassigned++;
+    } catch (assignError) {
+      console.error('[team-members] Round-robin reassignment failed:', { dealId: deal.id, error: assignError });
+    }
+  }
+
+  // Anything still on the departed member falls back to the acting user
+  const fallback = await reassignOpenDeals(supabase, { organizationId, fromUserId, toUserId: actorId, actorId });
+
+  return { reassigned: reassigned + fallback, fallback };
+}
+
+/**
+ * Delete the membership and stop lead capture endpoints from assigning to
+ * the removed user (they switch to round robin).
+ */
+export async function removeMember(supabase: any, organizationId: string, userId: string): Promise<void> {
+  const { error } = await supabase
+    .from('team_members')
+    .delete()
+    .eq('organization_id', organizationId)
+    .eq('user_id', userId);
+
+  if (error) throw error;
+
+  const { error: captureError } = await supabase
+    .from('lead_capture_endpoints')
+    .update({ assignment_mode: 'round_robin', assign_to: null, updated_at: new Date().toISOString() })
+    .eq('organization_id', organizationId)
+    .eq('assign_to', userId);
+
+  if (captureError) {
+    console.error('[team-members] Failed to release capture endpoints:', captureError);
+  }
+}
+
+export default {
+  reassignOpenDeals,
+  reassignOpenDealsRoundRobin,
+  removeMember
+};
@@ -51,11 +51,51 @@ export const LLMQuerySchema = z.object({
 
 // AI Provider schema
 export const AIProviderSchema = z.object({
-  provider_type: z.enum(['openai', 'anthropic', 'google']),
+  provider_type: z.enum(['openai', 'anthropic', 'google', 'custom']),
   api_key: z.string().min(1, 'API key required'),
   display_name: z.string().max(255, 'Display name too long').optional()
 });
 
+// Deal activity (call / email / meeting log) schema
+// NOTE: Frontend labels live in src/config/activityConfig.js - keep in sync if modifying
+export const ACTIVITY_TYPES = ['call', 'email', 'meeting', 'other'] as const;
+export const ACTIVITY_OUTCOMES = [
+  'connected', 'left_voicemail', 'no_answer',
+  'sent', 'replied', 'bounced',
+  'held', 'no_show', 'rescheduled',
+  'completed'
+] as const;
+
+export const ActivitySchema = z.object({
+  dealId: z.string().uuid('Invalid deal ID'),
+  type: z.enum(ACTIVITY_TYPES),
+  occurredAt: z.string().datetime({ offset: true, message: 'occurredAt must be an ISO 8601 timestamp' }).optional(),
+  durationMinutes: z.number().int().min(0).max(1440, 'Duration cannot exceed 24 hours').nullable().optional(),
+  outcome: z.enum(ACTIVITY_OUTCOMES).nullable().optional(),
+  body: z.string().max(10000, 'Activity notes too long').optional().or(z.literal(''))
+});
+
+export const ContactSchema = z.object({
+  organizationId: z.string().uuid('Invalid organization ID'),
+  name: z.string().trim().min(1, 'Contact name is required').max(200, 'Contact name too long'),
+  email: z.string().email('Invalid email').max(320).optional().or(z.literal('')),
+  phone: z.string().max(50).optional().or(z.literal('')),
+  title: z.string().max(200).optional().or(z.literal('')),
+  companyId: z.string().uuid('Invalid company ID').nullable().optional()
+});
+
+export const CompanySchema = z.object({
+  organizationId: z.string().uuid('Invalid organization ID'),
+  name: z.string().trim().min(1, 'Company name is required').max(200, 'Company name too long'),
+  domain: z.string().max(253).optional().or(z.literal(''))
+});
+
+export const DealPartyLinkSchema = z.object({
+  dealId: z.string().uuid('Invalid deal ID'),
+  contactId: z.string().uuid('Invalid contact ID').optional(),
+  companyId: z.string().uuid('Invalid company ID').optional()
+}).refine(data => data.contactId || data.companyId, { message: 'contactId or companyId is required' });
+
 // Helper function to validate and return typed data
 export function validate<T>(schema: z.ZodSchema<T>, data: unknown): { success: true; data: T } | { success: false; error: string } {
   try {
@@ -63,7 +103,8 @@ export function validate<T>(schema: z.ZodSchema<T>, data: unknown): { success: t
     return { success: true, data: validated };
   } catch (error: unknown) {
     if (error instanceof z.ZodError) {
-      const messages = (error as any).errors.map((e: any) => `${e.path.join('.')}: ${e.message}`).join(', ');
+      // zod 4 exposes `issues` (the `errors` alias was removed)
+      const messages = error.issues.map((e: any) => `${e.path.join('.')}: ${e.message}`).join(', ');
       return { success: false, error: messages };
     }
     return { success: false, error: 'Validation failed' };
@@ -2,11 +2,25 @@
 /**
  * Webhook Dead Letter Queue (DLQ) System
  * Handles failed webhook deliveries with retry logic
- * 
+ *
  * CRITICAL FIX #4: Prevents lost webhook events
+ *
+ * Every attempt is written to webhook_deliveries (request/response bodies,
+ * status, latency). After disableAfterFailures consecutive failed attempts
+ * the webhook is disabled and the org owners are notified; events for a
+ * disabled webhook are dead-lettered and can be replayed once it is
+ * re-enabled. See supabase/migrations/20241222_webhook_delivery_log.sql.
+ *
+ * Requests are signed with lib/webhook-signature.ts (t=…,v1=… over the
+ * timestamp and body); during a secret rotation the previous secret signs
+ * too until it expires.
  */
 
 import { createClient, SupabaseClient } from '@supabase/supabase-js';
+import { validateWebhookURL } from './ssrf-protection';
+import { signWebhookPayload, SIGNATURE_HEADER } from './webhook-signature';
+import { notifyUser } from './notifications-service';
+import { buildExamplePayload, WEBHOOK_TEST_EVENT } from '../../../src/config/webhookEvents';
 
 interface WebhookEvent {
   id: string;
@@ -18,6 +32,8 @@ interface WebhookEvent {
   next_retry_at: string;
   last_error: string | null;
   created_at: string;
+  event_id?: string | null;
+  trigger?: DeliveryTrigger | null;
 }
 
 interface RetryConfig {
@@ -25,19 +41,136 @@ interface RetryConfig {
   initialDelay: number;
   maxDelay: number;
   backoffMultiplier: number;
+  disableAfterFailures: number;
+}
+
+export type DeliveryTrigger = 'event' | 'retry' | 'replay' | 'test';
+
+export interface WebhookRecord {
+  id: string;
+  organization_id: string;
+  url: string;
+  secret: string;
+  previous_secret?: string | null;
+  previous_secret_expires_at?: string | null;
+  is_active: boolean;
+  disabled_at: string | null;
+  consecutive_failures: number | null;
+}
+
+export interface DeliveryResult {
+  success: boolean;
+  status?: number;
+  error?: string;
+  latencyMs?: number;
+  requestHeaders?: Record<string, string>;
+  requestBody?: string;
+  responseBody?: string;
+}
+
+export interface DeliveryAttempt {
+  eventType: string;
+  payload: any;
+  trigger: DeliveryTrigger;
+  eventId: string;
+  attempt?: number;
+  dlqId?: string | null;
+}
+
+export interface RecordedDelivery {
+  deliveryId: string | null;
+  result: DeliveryResult;
+  disabled: boolean;
+}
+
+export const WEBHOOK_COLUMNS =
+  'id, organization_id, url, secret, previous_secret, previous_secret_expires_at, is_active, disabled_at, consecutive_failures';
+
+/** List view columns; the detail view adds request/response bodies */
+export const WEBHOOK_DELIVERY_COLUMNS =
+  'id, webhook_id, event_id, event_type, trigger, attempt, success, response_status, latency_ms, error, created_at';
+
+export const WEBHOOK_DELIVERY_DETAIL_COLUMNS =
+  `${WEBHOOK_DELIVERY_COLUMNS}, payload, request_url, request_headers, request_body, response_body, delivered_at`;
+
+/** Request and response bodies are stored up to this many characters */
+export const MAX_LOGGED_BODY = 10000;
+
+/** Most events one range replay may queue */
+export const MAX_REPLAY_EVENTS = 500;
+
+export const DEFAULT_DISABLE_AFTER_FAILURES = 10;
+
+const DELIVERY_TIMEOUT_MS = 30000;
+
+/**
+ * Secrets that sign a delivery: the current one, plus the previous one
+ * while a rotation's overlap window is open
+ */
+export function activeSecrets(webhook: Pick<WebhookRecord, 'secret' | 'previous_secret' | 'previous_secret_expires_at'>, now = Date.now()): string[] {
+  const secrets = [webhook.secret];
+  if (webhook.previous_secret && webhook.previous_secret_expires_at
+    && Date.parse(webhook.previous_secret_expires_at) > now) {
+    secrets.push(webhook.previous_secret);
+  }
+  return secrets.filter(Boolean);
+}
+
+export const truncateBody = (text: string | null | undefined, max = MAX_LOGGED_BODY): string | null => {
+  if (text === null || text === undefined) return null;
+  return text.length > max ? `${text.slice(0, max)}… [truncated ${text.length - max} chars]` : text;
+};
+
+/**
+ * Failure counter after an attempt, and whether it crosses the threshold
+ */
+export function nextFailureState(
+  currentFailures: number | null | undefined,
+  success: boolean,
+  threshold: number
+): { consecutiveFailures: number; disable: boolean } {
+  if (success) return { consecutiveFailures: 0, disable: false };
+  const consecutiveFailures = (currentFailures || 0) + 1;
+  return { consecutiveFailures, disable: threshold > 0 && consecutiveFailures >= threshold };
+}
+
+/**
+ * One entry per event from a list of delivery attempts (newest first):
+ * the latest attempt wins, test deliveries are ignored, and failedOnly keeps
+ * events whose latest attempt failed. Returned oldest first, capped at limit.
+ */
+export function pickReplayEvents<T extends { id: string; event_id?: string | null; trigger?: string | null; success?: boolean }>(
+  deliveries: T[],
+  { failedOnly = false, limit = MAX_REPLAY_EVENTS }: { failedOnly?: boolean; limit?: number } = {}
+): T[] {
+  const latest = new Map<string, T>();
+  for (const delivery of deliveries) {
+    if (delivery.trigger === 'test') continue;
+    const key = delivery.event_id || delivery.id;
+    if (!latest.has(key)) latest.set(key, delivery);
+  }
+  return [...latest.values()]
+    .filter(delivery => !failedOnly || !delivery.success)
+    .reverse()
+    .slice(0, limit);
 }
 
 export class WebhookDLQ {
   private supabase: SupabaseClient;
   private config: RetryConfig;
 
-  constructor(supabaseUrl: string, supabaseKey: string, config?: Partial<RetryConfig>) {
-    this.supabase = createClient(supabaseUrl, supabaseKey);
+  constructor(supabaseUrl: string | SupabaseClient, supabaseKey?: string, config?: Partial<RetryConfig>) {
+    this.supabase = typeof supabaseUrl === 'string'
+      ? createClient(supabaseUrl, supabaseKey!)
+      : supabaseUrl;
     this.config = {
       maxAttempts: config?.maxAttempts || 5,
       initialDelay: config?.initialDelay || 60000, // 1 minute
       maxDelay: config?.maxDelay || 3600000, // 1 hour
-      backoffMultiplier: config?.backoffMultiplier || 2
+      backoffMultiplier: config?.backoffMultiplier || 2,
+      disableAfterFailures: config?.disableAfterFailures
+        || Number(process.env.WEBHOOK_DISABLE_AFTER_FAILURES)
+        || DEFAULT_DISABLE_AFTER_FAILURES
     };
   }
 
@@ -49,10 +182,10 @@ export class WebhookDLQ {
       this.config.initialDelay * Math.pow(this.config.backoffMultiplier, attemptNumber),
       this.config.maxDelay
     );
-    
+
     const jitter = delay * 0.2 * (Math.random() - 0.5);
     const finalDelay = delay + jitter;
-    
+
     return new Date(Date.now() + finalDelay);
   }
 
@@ -125,64 +258,74 @@ export class WebhookDLQ {
     webhookUrl: string,
     eventType: string,
     payload: any,
-    secret: string
-  ): Promise<{ success: boolean; status?: number; error?: string }> {
+    secrets: string | string[]
+  ): Promise<DeliveryResult> {
+    const requestBody = JSON.stringify(payload);
+    const startedAt = Date.now();
+
     try {
-      const signature = await this.createSignature(payload, secret);
-      
+      const urlCheck = await validateWebhookURL(webhookUrl);
+      if (!urlCheck.allowed) {
+        return { success: false, error: `Webhook URL not allowed: ${urlCheck.reason}`, latencyMs: 0, requestBody };
+      }
+
+      const signature = await signWebhookPayload(requestBody, Array.isArray(secrets) ? secrets : [secrets]);
+      const requestHeaders = {
+        'Content-Type': 'application/json',
+        [SIGNATURE_HEADER]: signature,
+        'X-Webhook-Event': eventType,
+        'User-Agent': 'StageFlow-Webhooks/1.0'
+      };
+
       const response = await fetch(webhookUrl, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Webhook-Signature': signature,
-          'X-Webhook-Event': eventType,
-          'User-Agent': 'StageFlow-Webhooks/1.0'
-        },
-        body: JSON.stringify(payload),
-        signal: AbortSignal.timeout(30000)
+        headers: requestHeaders,
+        body: requestBody,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
       });
 
+      const responseBody = await response.text().catch(() => '');
+      const latencyMs = Date.now() - startedAt;
+
       if (response.ok) {
-        return { success: true, status: response.status };
+        return { success: true, status: response.status, latencyMs, requestHeaders, requestBody, responseBody };
       }
 
-      const errorText = await response.text().catch(() => 'No error message');
       return {
         success: false,
         status: response.status,
-        error: `HTTP ${response.status}: ${errorText}`
+        error: `HTTP ${response.status}: ${responseBody.slice(0, 200) || 'No error message'}`,
+        latencyMs,
+        requestHeaders,
+        requestBody,
+        responseBody
       };
     } catch (error: any) {
       return {
         success: false,
-        error: error.message || 'Delivery failed'
+        error: error.name === 'TimeoutError'
+          ? `Timed out after ${DELIVERY_TIMEOUT_MS / 1000}s`
+          : error.message || 'Delivery failed',
+        latencyMs: Date.now() - startedAt,
+        requestBody
       };
     }
   }
 
   /**
-   * Create webhook signature
+   * Deliver once, log the attempt and update the webhook's failure counter.
+   * Test deliveries are logged but don't count towards auto-disable.
    */
-  private async createSignature(payload: any, secret: string): Promise<string> {
-    const data = JSON.stringify(payload);
-    const encoder = new TextEncoder();
-    const key = await crypto.subtle.importKey(
-      'raw',
-      encoder.encode(secret),
-      { name: 'HMAC', hash: 'SHA-256' },
-      false,
-      ['sign']
-    );
-    
-    const signature = await crypto.subtle.sign(
-      'HMAC',
-      key,
-      encoder.encode(data)
-    );
-    
-    return Array.from(new Uint8Array(signature))
-      .map(b => b.toString(16).padStart(2, '0'))
-      .join('');
+  async deliverAndRecord(webhook: WebhookRecord, attempt: DeliveryAttempt): Promise<RecordedDelivery> {
+    const result = await this.deliverWebhook(webhook.url, attempt.eventType, attempt.payload, activeSecrets(webhook));
+    const deliveryId = await this.logDelivery(webhook, attempt, result);
+
+    let disabled = false;
+    if (attempt.trigger !== 'test') {
+      disabled = await this.updateFailureState(webhook, result);
+    }
+
+    return { deliveryId, result, disabled };
   }
 
   /**
@@ -191,7 +334,7 @@ export class WebhookDLQ {
   async retryEvent(event: WebhookEvent): Promise<boolean> {
     const { data: webhook, error: webhookError } = await this.supabase
       .from('webhooks')
-      .select('url, secret, is_active')
+      .select(WEBHOOK_COLUMNS)
       .eq('id', event.webhook_id)
       .single();
 
@@ -207,23 +350,33 @@ export class WebhookDLQ {
       return false;
     }
 
-    const result = await this.deliverWebhook(
-      webhook.url,
-      event.event_type,
-      event.payload,
-      webhook.secret
-    );
-
     const newAttempts = event.attempts + 1;
+    const attempt: DeliveryAttempt = {
+      eventType: event.event_type,
+      payload: event.payload,
+      trigger: event.trigger === 'replay' ? 'replay' : (event.attempts === 0 ? 'event' : 'retry'),
+      eventId: event.event_id || event.id,
+      attempt: newAttempts,
+      dlqId: event.id
+    };
+
+    if (webhook.disabled_at) {
+      // Logged without sending so a range replay picks it up after re-enable
+      const error = 'Webhook is disabled after repeated failures';
+      console.warn(`[DLQ] Webhook ${event.webhook_id} is disabled`);
+      await this.logDelivery(webhook, attempt, { success: false, error, latencyMs: 0 });
+      await this.markAsFailed(event.id, error);
+      return false;
+    }
+
+    const { result } = await this.deliverAndRecord(webhook, attempt);
 
     if (result.success) {
       await this.markAsDelivered(event.id);
-      await this.logDelivery(event.webhook_id, event.event_type, event.payload, true, result.status);
       return true;
     } else {
       if (newAttempts >= event.max_attempts) {
         await this.markAsFailed(event.id, result.error || 'Max retries exceeded');
-        await this.logDelivery(event.webhook_id, event.event_type, event.payload, false, result.status, result.error);
         return false;
       } else {
         const nextRetry = this.calculateNextRetry(newAttempts);
@@ -233,10 +386,105 @@ export class WebhookDLQ {
     }
   }
 
+  /**
+   * Deliver the catalog's test event right away
+   */
+  async sendTestEvent(webhook: WebhookRecord, actorId: string | null = null): Promise<RecordedDelivery> {
+    const eventId = crypto.randomUUID();
+    return this.deliverAndRecord(webhook, {
+      eventType: WEBHOOK_TEST_EVENT,
+      payload: {
+        ...buildExamplePayload(WEBHOOK_TEST_EVENT),
+        id: eventId,
+        occurred_at: new Date().toISOString(),
+        organization_id: webhook.organization_id,
+        actor: { type: 'user', id: actorId }
+      },
+      trigger: 'test',
+      eventId
+    });
+  }
+
+  /**
+   * Re-send one logged delivery's payload right away
+   */
+  async replayDelivery(webhook: WebhookRecord, delivery: any): Promise<RecordedDelivery> {
+    return this.deliverAndRecord(webhook, {
+      eventType: delivery.event_type,
+      payload: delivery.payload,
+      trigger: 'replay',
+      eventId: delivery.event_id || delivery.id
+    });
+  }
+
+  /**
+   * Queue every event delivered to the webhook between from and to
+   * (failedOnly: only events whose latest attempt failed). The queue
+   * processor sends them with the usual retries.
+   */
+  async replayRange(
+    webhook: WebhookRecord,
+    range: { from: string; to: string; failedOnly?: boolean }
+  ): Promise<{ queued: number; truncated: boolean }> {
+    const { data, error } = await this.supabase
+      .from('webhook_deliveries')
+      .select('id, event_id, event_type, trigger, success, payload, created_at')
+      .eq('webhook_id', webhook.id)
+      .gte('created_at', range.from)
+      .lte('created_at', range.to)
+      .order('created_at', { ascending: false })
+      .limit(MAX_REPLAY_EVENTS * 5);
+
+    if (error) throw error;
+
+    const events = pickReplayEvents(data || [], { failedOnly: range.failedOnly, limit: MAX_REPLAY_EVENTS + 1 });
+    const truncated = events.length > MAX_REPLAY_EVENTS;
+    const toQueue = events.slice(0, MAX_REPLAY_EVENTS);
+    if (toQueue.length === 0) return { queued: 0, truncated: false };
+
+    const now = new Date().toISOString();
+    const { error: insertError } = await this.supabase
+      .from('webhook_dlq')
+      .insert(toQueue.map(delivery => ({
+        webhook_id: webhook.id,
+        event_type: delivery.event_type,
+        payload: delivery.payload,
+        attempts: 0,
+        max_attempts: this.config.maxAttempts,
+        next_retry_at: now,
+        status: 'pending',
+        event_id: delivery.event_id || delivery.id,
+        trigger: 'replay'
+      })));
+
+    if (insertError) throw insertError;
+    return { queued: toQueue.length, truncated };
+  }
+
+  /**
+   * Dead-lettered events (gave up after retries, or webhook disabled)
+   */
+  async getDeadLetters(webhookId: string, limit: number = 50): Promise<any[]> {
+    const { data, error } = await this.supabase
+      .from('webhook_dlq')
+      .select('id, event_id, event_type, attempts, last_error, created_at, failed_at')
+      .eq('webhook_id', webhookId)
+      .eq('status', 'failed')
+      .order('failed_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      console.error('[DLQ] Error fetching dead letters:', error);
+      return [];
+    }
+
+    return data || [];
+  }
+
   private async markAsDelivered(eventId: string): Promise<void> {
     await this.supabase
       .from('webhook_dlq')
-      .update({ 
+      .update({
         status: 'delivered',
         delivered_at: new Date().toISOString()
       })
@@ -246,7 +494,7 @@ export class WebhookDLQ {
   private async markAsFailed(eventId: string, error: string): Promise<void> {
     await this.supabase
       .from('webhook_dlq')
-      .update({ 
+      .update({
         status: 'failed',
         last_error: error,
         failed_at: new Date().toISOString()
@@ -262,7 +510,7 @@ export class WebhookDLQ {
   ): Promise<void> {
     await this.supabase
       .from('webhook_dlq')
-      .update({ 
+      .update({
         attempts,
         last_error: error,
         next_retry_at: nextRetry.toISOString()
@@ -271,24 +519,105 @@ export class WebhookDLQ {
   }
 
   private async logDelivery(
-    webhookId: string,
-    eventType: string,
-    payload: any,
-    success: boolean,
-    statusCode?: number,
-    errorMessage?: string
-  ): Promise<void> {
-    await this.supabase
+    webhook: WebhookRecord,
+    attempt: DeliveryAttempt,
+    result: DeliveryResult
+  ): Promise<string | null> {
+    const { data, error } = await this.supabase
       .from('webhook_deliveries')
       .insert({
-        webhook_id: webhookId,
-        event_type: eventType,
-        payload: payload,
-        success: success,
-        response_status: statusCode,
-        response_body: errorMessage,
+        webhook_id: webhook.id,
+        organization_id: webhook.organization_id,
+        event_id: attempt.eventId,
+        event_type: attempt.eventType,
+        payload: attempt.payload,
+        trigger: attempt.trigger,
+        attempt: attempt.attempt || 1,
+        dlq_id: attempt.dlqId || null,
+        success: result.success,
+        request_url: webhook.url,
+        request_headers: result.requestHeaders || null,
+        request_body: truncateBody(result.requestBody),
+        response_status: result.status ?? null,
+        response_body: truncateBody(result.responseBody),
+        latency_ms: result.latencyMs ?? null,
+        error: result.success ? null : truncateBody(result.error, 1000),
         delivered_at: new Date().toISOString()
+      })
+      .select('id')
+      .single();
+
+    if (error) {
+      console.error('[DLQ] Failed to log delivery:', error);
+      return null;
+    }
+    return data.id;
+  }
+
+  /**
+   * Track consecutive failures; returns true when this attempt disabled the webhook
+   */
+  private async updateFailureState(webhook: WebhookRecord, result: DeliveryResult): Promise<boolean> {
+    const now = new Date().toISOString();
+    const { consecutiveFailures, disable } = nextFailureState(
+      webhook.consecutive_failures,
+      result.success,
+      this.config.disableAfterFailures
+    );
+    webhook.consecutive_failures = consecutiveFailures;
+
+    await this.supabase
+      .from('webhooks')
+      .update({
+        consecutive_failures: consecutiveFailures,
+        last_delivery_at: now,
+        ...(result.success ? { last_success_at: now } : {})
+      })
+      .eq('id', webhook.id);
+
+    if (!disable || webhook.disabled_at) return false;
+
+    // Only the attempt that flips disabled_at notifies
+    const reason = `Disabled after ${consecutiveFailures} consecutive failed deliveries. Last error: ${result.error || 'unknown'}`;
+    const { data: disabled } = await this.supabase
+      .from('webhooks')
+      .update({ disabled_at: now, disabled_reason: reason.slice(0, 500) })
+      .eq('id', webhook.id)
+      .is('disabled_at', null)
+      .select('id')
+      .maybeSingle();
+
+    if (!disabled) return false;
+    webhook.disabled_at = now;
+    console.warn(`[DLQ] Webhook ${webhook.id} disabled after ${consecutiveFailures} failures`);
+    await this.notifyOwnersOfDisable(webhook, consecutiveFailures, result.error);
+    return true;
+  }
+
+  private async notifyOwnersOfDisable(webhook: WebhookRecord, failures: number, lastError?: string): Promise<void> {
+    const { data: owners, error } = await this.supabase
+      .from('team_members')
+      .select('user_id')
+      .eq('organization_id', webhook.organization_id)
+      .eq('role', 'owner');
+
+    if (error) {
+      console.error('[DLQ] Failed to load owners for webhook notification:', error);
+      return;
+    }
+
+    for (const owner of owners || []) {
+      await notifyUser({
+        userId: owner.user_id,
+        categoryCode: 'WEBHOOK_DISABLED',
+        data: {
+          webhookId: webhook.id,
+          webhookUrl: webhook.url,
+          failures,
+          lastError: lastError?.slice(0, 300) || null
+        }
       });
+    }
   }
 
   /**
@@ -300,7 +629,7 @@ export class WebhookDLQ {
     failed: number;
   }> {
     const events = await this.getRetryableEvents();
-    
+
     let succeeded = 0;
     let failed = 0;
 
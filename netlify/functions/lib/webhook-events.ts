@@ -0,0 +1,334 @@
+/**
+ * Webhook Events
+ *
+ * Builds versioned event envelopes and queues them for every active webhook
+ * subscribed to the event. Delivery, retries and logging are handled by
+ * lib/webhook-dlq.ts (process-webhook-queue). The catalog, envelope version
+ * and JSON schemas live in src/config/webhookEvents.js.
+ *
+ * USAGE:
+ * ```typescript
+ * // After a deal write, with the row before and after the change
+ * await emitDealEvents(supabase, {
+ *   organizationId,
+ *   actor: { type: 'user', id: userId },
+ *   before: existingDeal,
+ *   after: updatedDeal
+ * });
+ *
+ * // Anything else
+ * await emitWebhookEvents(supabase, organizationId, [
+ *   buildWebhookEnvelope('target.updated', { organizationId, actor, object, before })
+ * ]);
+ * ```
+ *
+ * Emitting never throws: a webhook failure must not fail the write that
+ * caused it.
+ */
+
+import {
+  WEBHOOK_API_VERSION,
+  STAGE_ENTRY_EVENTS,
+  STATUS_ENTRY_EVENTS,
+} from '../../../src/config/webhookEvents';
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+/**
+ * Bookkeeping columns that change on every write and would make every
+ * update look like a change
+ */
+const IGNORED_DIFF_FIELDS = new Set(['updated_at', 'last_activity']);
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export type WebhookActorType = 'user' | 'api_key' | 'system';
+
+export interface WebhookActor {
+  type: WebhookActorType;
+  /** User id; for api_key the key's creator */
+  id: string | null;
+}
+
+export type WebhookChanges = Record<string, { before: unknown; after: unknown }>;
+
+export interface WebhookEnvelope {
+  id: string;
+  type: string;
+  api_version: string;
+  occurred_at: string;
+  organization_id: string;
+  actor: WebhookActor;
+  data: {
+    object: Record<string, any>;
+    changes?: WebhookChanges;
+  };
+}
+
+export interface EnvelopeOptions {
+  organizationId: string;
+  actor: WebhookActor;
+  object: Record<string, any>;
+  /** Row before the change; null/omitted for creations and deletions */
+  before?: Record<string, any> | null;
+  occurredAt?: string;
+}
+
+export interface DealEventOptions {
+  organizationId: string;
+  actor: WebhookActor;
+  /** Deal before the change, or null when it was just created */
+  before: Record<string, any> | null;
+  after: Record<string, any>;
+}
+
+// ============================================================================
+// ENVELOPES
+// ============================================================================
+
+const sameValue = (a: unknown, b: unknown) =>
+  a === b || JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Fields that differ between two rows. Only fields present in both are
+ * compared, so partial "before" snapshots can be passed directly.
+ */
+export function diffFields(before: Record<string, any>, after: Record<string, any>): WebhookChanges {
+  const changes: WebhookChanges = {};
+  for (const field of Object.keys(after)) {
+    if (IGNORED_DIFF_FIELDS.has(field) || !(field in before)) continue;
+    if (sameValue(before[field], after[field])) continue;
+    changes[field] = { before: before[field] ?? null, after: after[field] ?? null };
+  }
+  return changes;
+}
+
+export function buildWebhookEnvelope(type: string, options: EnvelopeOptions): WebhookEnvelope {
+  const changes = options.before ? diffFields(options.before, options.object) : null;
+
+  return {
+    id: crypto.randomUUID(),
+    type,
+    api_version: WEBHOOK_API_VERSION,
+    occurred_at: options.occurredAt || new Date().toISOString(),
+    organization_id: options.organizationId,
+    actor: options.actor,
+    data: changes
+      ? { object: options.object, changes }
+      : { object: options.object }
+  };
+}
+
+/**
+ * Event types a deal write produces. Creations only fire deal.created;
+ * updates fire deal.updated plus one event per notable transition.
+ */
+export function dealEventTypes(before: Record<string, any> | null, after: Record<string, any>): string[] {
+  if (!before) return ['deal.created'];
+
+  const changes = diffFields(before, after);
+  if (Object.keys(changes).length === 0) return [];
+
+  const types = ['deal.updated'];
+  if (changes.stage) {
+    types.push('deal.stage_changed');
+    const stageEvent = (STAGE_ENTRY_EVENTS as Record<string, string>)[after.stage];
+    if (stageEvent) types.push(stageEvent);
+  }
+  if (changes.status) {
+    const statusEvent = (STATUS_ENTRY_EVENTS as Record<string, string>)[after.status];
+    if (statusEvent) types.push(statusEvent);
+  }
+  if (changes.assigned_to && after.assigned_to) {
+    types.push('deal.assigned');
+  }
+  return types;
+}
+
+// ============================================================================
+// QUEUEING
+// ============================================================================
+
+/**
+ * Queue envelopes for every active webhook subscribed to their type.
+ * One webhook_dlq row per (webhook, event); event_id is the envelope id so
+ * retries and replays keep it.
+ */
+export async function emitWebhookEvents(
+  supabase: any,
+  organizationId: string,
+  envelopes: WebhookEnvelope[]
+): Promise<number> {
+  if (envelopes.length === 0) return 0;
+
+  try {
+    const types = [...new Set(envelopes.map(e => e.type))];
+    const { data: webhooks, error } = await supabase
+      .from('webhooks')
+      .select('id, events')
+      .eq('organization_id', organizationId)
+      .eq('is_active', true)
+      .overlaps('events', types);
+
+    if (error) throw error;
+    if (!webhooks?.length) return 0;
+
+    const now = new Date().toISOString();
+    const rows = webhooks.flatMap((webhook: { id: string; events: string[] }) =>
+      envelopes
+        .filter(envelope => webhook.events?.includes(envelope.type))
+        .map(envelope => ({
+          webhook_id: webhook.id,
+          event_type: envelope.type,
+          payload: envelope,
+          attempts: 0,
+          max_attempts: DEFAULT_MAX_ATTEMPTS,
+          next_retry_at: now,
+          status: 'pending',
+          event_id: envelope.id,
+          trigger: 'event'
+        }))
+    );
+
+    if (rows.length === 0) return 0;
+
+    const { error: insertError } = await supabase.from('webhook_dlq').insert(rows);
+    if (insertError) throw insertError;
+    return rows.length;
+  } catch (error: any) {
+    console.error('[webhook-events] Failed to queue events:', error?.message || error);
+    return 0;
+  }
+}
+
+/**
+ * Queue the events for one deal write
+ */
+export async function emitDealEvents(supabase: any, options: DealEventOptions): Promise<number> {
+  const types = dealEventTypes(options.before, options.after);
+  const occurredAt = new Date().toISOString();
+
+  return emitWebhookEvents(supabase, options.organizationId, types.map(type =>
+    buildWebhookEnvelope(type, {
+      organizationId: options.organizationId,
+      actor: options.actor,
+      object: options.after,
+      before: options.before,
+      occurredAt
+    })
+  ));
+}
+
+/**
+ * Queue events for many deal writes at once (bulk assign, import)
+ */
+export async function emitDealEventsBulk(
+  supabase: any,
+  organizationId: string,
+  actor: WebhookActor,
+  changes: Array<{ before: Record<string, any> | null; after: Record<string, any> }>
+): Promise<number> {
+  const occurredAt = new Date().toISOString();
+
+  return emitWebhookEvents(supabase, organizationId, changes.flatMap(({ before, after }) =>
+    dealEventTypes(before, after).map(type =>
+      buildWebhookEnvelope(type, { organizationId, actor, object: after, before, occurredAt })
+    )
+  ));
+}
+
+/**
+ * Queue deal.deleted
+ */
+export async function emitDealDeleted(
+  supabase: any,
+  organizationId: string,
+  actor: WebhookActor,
+  deal: { id: string; deleted_at: string }
+): Promise<number> {
+  return emitWebhookEvents(supabase, organizationId, [
+    buildWebhookEnvelope('deal.deleted', {
+      organizationId,
+      actor,
+      object: { id: deal.id, deleted_at: deal.deleted_at, soft_delete: true }
+    })
+  ]);
+}
+
+/**
+ * Queue target.updated for saved target rows (organization_targets or
+ * user_targets), diffed against the rows before the save
+ */
+export async function emitTargetsUpdated(
+  supabase: any,
+  organizationId: string,
+  actor: WebhookActor,
+  targets: Array<{ before: Record<string, any> | null; after: Record<string, any> }>
+): Promise<number> {
+  const occurredAt = new Date().toISOString();
+
+  return emitWebhookEvents(supabase, organizationId, targets
+    .map(({ before, after }) => buildWebhookEnvelope('target.updated', {
+      organizationId,
+      actor,
+      object: toTargetObject(organizationId, after),
+      before: before ? toTargetObject(organizationId, before) : null,
+      occurredAt
+    }))
+    // A save that changed nothing isn't an update
+    .filter(envelope => !envelope.data.changes || Object.keys(envelope.data.changes).length > 0)
+  );
+}
+
+function toTargetObject(organizationId: string, row: Record<string, any>) {
+  return {
+    scope: row.user_id ? 'user' : 'organization',
+    organization_id: organizationId,
+    user_id: row.user_id || null,
+    annual_target: row.annual_target ?? null,
+    quarterly_target: row.quarterly_target ?? null,
+    monthly_target: row.monthly_target ?? null
+  };
+}
+
+/**
+ * Queue member.joined
+ */
+export async function emitMemberJoined(
+  supabase: any,
+  organizationId: string,
+  actor: WebhookActor,
+  member: { user_id: string; role: string; email?: string | null; joined_at?: string }
+): Promise<number> {
+  return emitWebhookEvents(supabase, organizationId, [
+    buildWebhookEnvelope('member.joined', {
+      organizationId,
+      actor,
+      object: {
+        user_id: member.user_id,
+        organization_id: organizationId,
+        email: member.email ?? null,
+        role: member.role,
+        joined_at: member.joined_at || new Date().toISOString()
+      }
+    })
+  ]);
+}
+
+export default {
+  diffFields,
+  buildWebhookEnvelope,
+  dealEventTypes,
+  emitWebhookEvents,
+  emitDealEvents,
+  emitDealEventsBulk,
+  emitDealDeleted,
+  emitTargetsUpdated,
+  emitMemberJoined
+};
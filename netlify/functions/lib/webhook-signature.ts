@@ -0,0 +1,140 @@
+/**
+ * Webhook Signatures
+ *
+ * Every delivery carries
+ *
+ *   X-Webhook-Signature: t=1735000000,v1=5257a869...[,v1=...]
+ *
+ * where each v1 is the hex HMAC-SHA256 of `${t}.${rawBody}` with one of the
+ * webhook's active secrets. During a secret rotation both the new and the
+ * previous secret sign, so a receiver still holding the old secret keeps
+ * verifying until it switches. Including the timestamp lets receivers
+ * reject replayed requests.
+ *
+ * This module has no dependencies beyond Web Crypto (Node 18+, Deno,
+ * Cloudflare Workers, browsers) so receivers can copy it as-is.
+ *
+ * USAGE (receiver):
+ * ```typescript
+ * const rawBody = await req.text(); // verify the raw body, before JSON.parse
+ * const ok = await verifyWebhookSignature(
+ *   rawBody,
+ *   req.headers.get('X-Webhook-Signature'),
+ *   process.env.STAGEFLOW_WEBHOOK_SECRET
+ * );
+ * if (!ok) return new Response('Invalid signature', { status: 400 });
+ * ```
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+export const SIGNATURE_SCHEME = 'v1';
+
+/** Receivers reject signatures older (or newer) than this by default */
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const encoder = new TextEncoder();
+
+async function hmacHex(secret: string, message: string): Promise<string> {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+  return Array.from(new Uint8Array(signature))
+    .map(b => b.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// Constant-time so response timing doesn't leak how much of a guess matched
+function safeEqual(a: string, b: string): boolean {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * New random signing secret
+ */
+export function generateWebhookSecret(): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return `whsec_${Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// ============================================================================
+// SIGN
+// ============================================================================
+
+/**
+ * Build the signature header value. Pass every active secret, current first.
+ */
+export async function signWebhookPayload(
+  body: string,
+  secrets: string[],
+  timestamp: number = Math.floor(Date.now() / 1000)
+): Promise<string> {
+  const signatures = await Promise.all(
+    secrets.filter(Boolean).map(secret => hmacHex(secret, `${timestamp}.${body}`))
+  );
+  return [`t=${timestamp}`, ...signatures.map(sig => `${SIGNATURE_SCHEME}=${sig}`)].join(',');
+}
+
+// ============================================================================
+// VERIFY
+// ============================================================================
+
+/**
+ * Split a header into its timestamp and v1 signatures
+ */
+export function parseSignatureHeader(header: string | null | undefined): { timestamp: number | null; signatures: string[] } {
+  let timestamp: number | null = null;
+  const signatures: string[] = [];
+
+  for (const part of (header || '').split(',')) {
+    const [key, value] = part.trim().split('=', 2);
+    if (key === 't' && /^\d+$/.test(value || '')) timestamp = Number(value);
+    if (key === SIGNATURE_SCHEME && value) signatures.push(value);
+  }
+
+  return { timestamp, signatures };
+}
+
+/**
+ * True when the header carries a valid v1 signature of rawBody for secret
+ * and its timestamp is within toleranceSeconds of now.
+ */
+export async function verifyWebhookSignature(
+  rawBody: string,
+  header: string | null | undefined,
+  secret: string,
+  { toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() }: { toleranceSeconds?: number; now?: number } = {}
+): Promise<boolean> {
+  const { timestamp, signatures } = parseSignatureHeader(header);
+  if (timestamp === null || signatures.length === 0 || !secret) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+
+  const expected = await hmacHex(secret, `${timestamp}.${rawBody}`);
+  return signatures.some(signature => safeEqual(signature, expected));
+}
+
+export default {
+  SIGNATURE_HEADER,
+  generateWebhookSecret,
+  signWebhookPayload,
+  parseSignatureHeader,
+  verifyWebhookSignature
+};
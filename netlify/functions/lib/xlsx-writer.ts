@@ -0,0 +1,289 @@
+/**
+ * Streaming XLSX Writer
+ *
+ * Writes a single-sheet .xlsx workbook as a stream of bytes, one row at a
+ * time, so large exports never hold the whole file in memory. Cells are
+ * inline strings or numbers; there is no styling. The zip container uses
+ * data descriptors, so each entry is deflated and sent as it is produced.
+ *
+ * The reading counterpart for imports is src/lib/xlsx-reader.js.
+ *
+ * USAGE:
+ * ```typescript
+ * const bytes = writeXLSX(rowsAsyncIterable, { sheetName: 'Deals' });
+ * return new Response(toReadableStream(bytes), { headers }); // lib/deal-export.ts
+ * ```
+ */
+
+import { Readable } from 'node:stream';
+import { createDeflateRaw } from 'node:zlib';
+
+// ============================================================================
+// TYPES
+// ============================================================================
+
+export type XLSXCell = string | number | boolean | null | undefined;
+
+export interface XLSXOptions {
+  /** Worksheet tab name (max 31 characters) */
+  sheetName?: string;
+}
+
+interface ZipEntryRecord {
+  name: Uint8Array;
+  crc: number;
+  compressedSize: number;
+  size: number;
+  offset: number;
+}
+
+const LOCAL_SIGNATURE = 0x04034b50;
+const DESCRIPTOR_SIGNATURE = 0x08074b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const EOCD_SIGNATURE = 0x06054b50;
+
+// General purpose flag bit 3: sizes and CRC follow the data
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const METHOD_DEFLATE = 8;
+const ZIP_VERSION = 20;
+
+// Sheet XML is handed to the compressor in chunks of about this size
+const SHEET_CHUNK_CHARS = 64 * 1024;
+
+const encoder = new TextEncoder();
+
+// ============================================================================
+// ZIP
+// ============================================================================
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Incremental CRC-32 (pass the previous result to continue)
+ */
+export function crc32(bytes: Uint8Array, previous = 0): number {
+  let crc = (previous ^ 0xffffffff) >>> 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date/time for the zip headers
+const dosDateTime = (date: Date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+const header = (size: number, fill: (view: DataView) => void): Uint8Array => {
+  const bytes = new Uint8Array(size);
+  fill(new DataView(bytes.buffer));
+  return bytes;
+};
+
+const concat = (...parts: Uint8Array[]): Uint8Array => {
+  const out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+};
+
+/**
+ * Write a zip archive from entries whose content is produced lazily.
+ * Entries are deflated in order; the central directory follows the last one.
+ */
+async function* writeZip(
+  entries: Array<{ name: string; content: () => AsyncIterable<Uint8Array> }>
+): AsyncGenerator<Uint8Array> {
+  const { time, date } = dosDateTime(new Date());
+  const records: ZipEntryRecord[] = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const record: ZipEntryRecord = { name, crc: 0, compressedSize: 0, size: 0, offset };
+
+    const local = concat(header(30, view => {
+      view.setUint32(0, LOCAL_SIGNATURE, true);
+      view.setUint16(4, ZIP_VERSION, true);
+      view.setUint16(6, FLAG_DATA_DESCRIPTOR, true);
+      view.setUint16(8, METHOD_DEFLATE, true);
+      view.setUint16(10, time, true);
+      view.setUint16(12, date, true);
+      view.setUint16(26, name.length, true);
+    }), name);
+    yield local;
+    offset += local.length;
+
+    // Track the uncompressed CRC and size while the deflate stream pulls the content
+    async function* tracked() {
+      for await (const chunk of entry.content()) {
+        record.crc = crc32(chunk, record.crc);
+        record.size += chunk.length;
+        yield chunk;
+      }
+    }
+
+    const source = Readable.from(tracked(), { objectMode: false });
+    const deflate = createDeflateRaw();
+    source.on('error', error => deflate.destroy(error));
+    source.pipe(deflate);
+
+    for await (const chunk of deflate) {
+      record.compressedSize += chunk.length;
+      yield new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.length);
+    }
+    offset += record.compressedSize;
+
+    const descriptor = header(16, view => {
+      view.setUint32(0, DESCRIPTOR_SIGNATURE, true);
+      view.setUint32(4, record.crc, true);
+      view.setUint32(8, record.compressedSize, true);
+      view.setUint32(12, record.size, true);
+    });
+    yield descriptor;
+    offset += descriptor.length;
+    records.push(record);
+  }
+
+  const directoryOffset = offset;
+  let directorySize = 0;
+  for (const record of records) {
+    const central = concat(header(46, view => {
+      view.setUint32(0, CENTRAL_SIGNATURE, true);
+      view.setUint16(4, ZIP_VERSION, true);
+      view.setUint16(6, ZIP_VERSION, true);
+      view.setUint16(8, FLAG_DATA_DESCRIPTOR, true);
+      view.setUint16(10, METHOD_DEFLATE, true);
+      view.setUint16(12, time, true);
+      view.setUint16(14, date, true);
+      view.setUint32(16, record.crc, true);
+      view.setUint32(20, record.compressedSize, true);
+      view.setUint32(24, record.size, true);
+      view.setUint16(28, record.name.length, true);
+      view.setUint32(42, record.offset, true);
+    }), record.name);
+    yield central;
+    directorySize += central.length;
+  }
+
+  yield header(22, view => {
+    view.setUint32(0, EOCD_SIGNATURE, true);
+    view.setUint16(8, records.length, true);
+    view.setUint16(10, records.length, true);
+    view.setUint32(12, directorySize, true);
+    view.setUint32(16, directoryOffset, true);
+  });
+}
+
+// ============================================================================
+// SPREADSHEETML
+// ============================================================================
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+export const escapeXML = (value: string): string => value
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const cellXML = (value: XLSXCell): string => {
+  if (value === null || value === undefined || value === '') return '<c/>';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c><v>${value}</v></c>`;
+  if (typeof value === 'boolean') return `<c t="b"><v>${value ? 1 : 0}</v></c>`;
+  return `<c t="inlineStr"><is><t xml:space="preserve">${escapeXML(String(value))}</t></is></c>`;
+};
+
+/**
+ * One <row> element (1-based row number)
+ */
+export const rowXML = (cells: XLSXCell[], rowNumber: number): string =>
+  `<row r="${rowNumber}">${cells.map(cellXML).join('')}</row>`;
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+const staticPart = (xml: string) => async function* () {
+  yield encoder.encode(XML_DECLARATION + xml);
+};
+
+const sheetNameFor = (name: string | undefined) =>
+  (name || 'Sheet1').replace(/[\\/?*[\]:]/g, ' ').slice(0, 31).trim() || 'Sheet1';
+
+/**
+ * Stream a one-sheet workbook. `rows` is consumed lazily as the output is read.
+ */
+export function writeXLSX(
+  rows: AsyncIterable<XLSXCell[]> | Iterable<XLSXCell[]>,
+  options: XLSXOptions = {}
+): AsyncGenerator<Uint8Array> {
+  const sheetName = escapeXML(sheetNameFor(options.sheetName));
+
+  async function* sheet() {
+    let buffer = `${XML_DECLARATION}<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>`;
+    let rowNumber = 0;
+    for await (const cells of rows) {
+      rowNumber += 1;
+      buffer += rowXML(cells, rowNumber);
+      if (buffer.length >= SHEET_CHUNK_CHARS) {
+        yield encoder.encode(buffer);
+        buffer = '';
+      }
+    }
+    yield encoder.encode(`${buffer}</sheetData></worksheet>`);
+  }
+
+  return writeZip([
+    {
+      name: '[Content_Types].xml',
+      content: staticPart(
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+        + '</Types>'
+      ),
+    },
+    {
+      name: '_rels/.rels',
+      content: staticPart(
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>'
+      ),
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: staticPart(
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+        + `<sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets>`
+        + '</workbook>'
+      ),
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: staticPart(
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+        + '</Relationships>'
+      ),
+    },
+    { name: 'xl/worksheets/sheet1.xml', content: sheet },
+  ]);
+}
+
+export default { writeXLSX, rowXML, escapeXML, crc32 };
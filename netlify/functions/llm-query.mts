@@ -4,6 +4,7 @@ import { decrypt } from "./lib/encryption";
 import { LLMQuerySchema, validate } from "./lib/validation";
 import { RATE_LIMITS } from "./lib/rate-limiter";
 import { requireAuth, validateUserIdMatch, createAuthErrorResponse } from './lib/auth-middleware';
+import { getProviderAdapter, providerConfig } from './lib/ai-provider-adapters';
 
 // Removed config export - Netlify will auto-route based on function name
 
@@ -12,87 +13,14 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_ROLE_KEY!
 );
 
-interface LLMProvider {
-  name: string;
-  endpoint: string;
-  headers: Record<string, string>;
-  requestFormatter: (prompt: string) => any;
-  responseFormatter: (data: any) => { text: string; tokensUsed: number };
-}
-
-const getProviderConfig = (providerName: string, encryptedKey: string, modelName: string, isTestMode: boolean = false): LLMProvider | null => {
-  // CRITICAL: Decrypt API key before use (unless in test mode)
-  let apiKey: string;
-  if (isTestMode) {
-    // Test keys are sent as plaintext from frontend
-    apiKey = encryptedKey;
-  } else {
-    try {
-      apiKey = decrypt(encryptedKey);
-    } catch (error: any) {
-      console.error('Failed to decrypt API key:', error);
-      throw new Error('Invalid API key encryption');
-    }
+const decryptProviderKey = (encryptedKey: string): string => {
+  // CRITICAL: Decrypt API key before use
+  try {
+    return decrypt(encryptedKey);
+  } catch (error: any) {
+    console.error('Failed to decrypt API key:', error);
+    throw new Error('Invalid API key encryption');
   }
-
-  const providers: Record<string, LLMProvider> = {
-    openai: {
-      name: 'ChatGPT',
-      endpoint: 'https://api.openai.com/v1/chat/completions',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      },
-      requestFormatter: (prompt: string) => ({
-        model: modelName,
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 1000,
-        temperature: 0.7
-      }),
-      responseFormatter: (data: any) => ({
-        text: data?.choices?.[0]?.message?.content || 'No response',
-        tokensUsed: data?.usage?.total_tokens || 0
-      })
-    },
-    anthropic: {
-      name: 'Claude',
-      endpoint: 'https://api.anthropic.com/v1/messages',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': apiKey,
-        'anthropic-version': '2024-01-01'
-      },
-      requestFormatter: (prompt: string) => ({
-        model: modelName,
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 1000
-      }),
-      responseFormatter: (data: any) => ({
-        text: data?.content?.[0]?.text || 'No response',
-        tokensUsed: (data?.usage?.input_tokens || 0) + (data?.usage?.output_tokens || 0)
-      })
-    },
-    google: {
-      name: 'Gemini',
-      endpoint: `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent?key=${apiKey}`,
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      requestFormatter: (prompt: string) => ({
-        contents: [{ parts: [{ text: prompt }] }],
-        generationConfig: {
-          maxOutputTokens: 1000,
-          temperature: 0.7
-        }
-      }),
-      responseFormatter: (data: any) => ({
-        text: data?.candidates?.[0]?.content?.parts?.[0]?.text || 'No response',
-        tokensUsed: data?.usageMetadata?.totalTokenCount || 0
-      })
-    }
-  };
-
-  return providers[providerName] || null;
 };
 
 export default async (req: Request, context: Context) => {
@@ -213,28 +141,18 @@ export default async (req: Request, context: Context) => {
 
     // Handle test mode (when user is testing a new key)
     if (test_key && test_provider) {
-      const providerConfig = getProviderConfig(test_provider, test_key, 'gpt-4o', true);
-      
-      if (!providerConfig) {
+      const adapter = getProviderAdapter(test_provider);
+
+      if (!adapter) {
         return new Response(JSON.stringify({ error: 'Unsupported provider' }), {
           status: 400,
           headers: { 'Content-Type': 'application/json' }
         });
       }
 
-      try {
-        const requestBody = providerConfig.requestFormatter('Test connection');
-        const response = await fetch(providerConfig.endpoint, {
-          method: 'POST',
-          headers: providerConfig.headers,
-          body: JSON.stringify(requestBody)
-        });
-
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`API test failed (${response.status}): ${errorText}`);
-        }
-
+      // Test keys are sent as plaintext from frontend
+      const check = await adapter.validateKey({ apiKey: test_key });
+      if (check.valid) {
         return new Response(
           JSON.stringify({ success: true, message: 'Connection successful' }),
           {
@@ -242,19 +160,19 @@ export default async (req: Request, context: Context) => {
             headers: { 'Content-Type': 'application/json' }
           }
         );
-      } catch (error: any) {
-        console.error('Test failed:', error);
-        return new Response(
-          JSON.stringify({ 
-            error: 'Connection test failed',
-            details: error.message 
-          }),
-          {
-            status: 400,
-            headers: { 'Content-Type': 'application/json' }
-          }
-        );
       }
+
+      console.error('Test failed:', check.error);
+      return new Response(
+        JSON.stringify({ 
+          error: 'Connection test failed',
+          details: check.error 
+        }),
+        {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        }
+      );
     }
 
     // Fetch organization's AI providers from database
@@ -302,9 +220,9 @@ export default async (req: Request, context: Context) => {
 
     for (const provider of providers) {
       try {
-        const providerConfig = getProviderConfig(provider.provider_type, provider.api_key_encrypted, provider.model || '');
+        const adapter = getProviderAdapter(provider.provider_type);
         
-        if (!providerConfig) {
+        if (!adapter) {
           console.warn(`Unsupported provider: ${provider.provider_type}`);
           continue;
         }
@@ -313,30 +231,14 @@ export default async (req: Request, context: Context) => {
         // CRITICAL: Enhance prompt with CRM data context
         const enhancedPrompt = dealsContext ? `${dealsContext}\n=== USER QUESTION ===\n${prompt}` : prompt;
 
-        const requestBody = providerConfig.requestFormatter(enhancedPrompt);
-        const response = await fetch(providerConfig.endpoint, {
-          method: 'POST',
-          headers: providerConfig.headers,
-          body: JSON.stringify(requestBody)
-        });
-
-        if (!response.ok) {
-          const errorText = await response.text();
-          throw new Error(`${providerConfig.name} API error (${response.status}): ${errorText}`);
-        }
-
-        const data = await response.json() as any;
-        const formatted = providerConfig.responseFormatter(data);
-
-        responseText = formatted.text;
-        tokensUsed = formatted.tokensUsed;
-        usedProvider = providerConfig.name;
+        const result = await adapter.complete(
+          providerConfig(provider, decryptProviderKey(provider.api_key_encrypted)),
+          { messages: [{ role: 'user', content: enhancedPrompt }], maxTokens: 1000, temperature: 0.7 }
+        );
 
-        // CRITICAL FIX: Check if response is the fallback "No response" text
-        // This means the API returned but without proper data structure
-        if (responseText === 'No response') {
-          throw new Error(`${providerConfig.name} returned empty response`);
-        }
+        responseText = result.text;
+        tokensUsed = result.usage.inputTokens + result.usage.outputTokens;
+        usedProvider = adapter.displayName;
 
         break;
 
@@ -347,13 +249,10 @@ export default async (req: Request, context: Context) => {
       }
     }
 
-    // FIX: Check for both falsy values AND the fallback "No response" text
-    if (!responseText || responseText === 'No response') {
+    // Adapters throw on empty answers, so no text means every provider failed
+    if (!responseText) {
       console.error('All LLM providers failed:', lastError);
-      const providerNames = providers.map(p => {
-        const configs: Record<string, string> = { openai: 'ChatGPT', anthropic: 'Claude', google: 'Gemini' };
-        return configs[p.provider_type] || p.provider_type;
-      }).join(', ');
+      const providerNames = providers.map(p => getProviderAdapter(p.provider_type)?.displayName || p.provider_type).join(', ');
 
       return new Response(
         JSON.stringify({
@@ -3,8 +3,12 @@
  *
  * PHASE 14 FIX: Backend endpoint for pipeline template migration with HttpOnly cookie auth
  * Handles:
- * - Mapping all existing deal stages to the new pipeline template
- * - Updating organization's pipeline_template setting
+ * - Mapping the stages of one pipeline's deals to the new pipeline template
+ *   (pipeline_id in the body; defaults to the org's default pipeline)
+ * - Updating the pipeline's template_id, and organization's pipeline_template
+ *   when the default pipeline is migrated
+ *
+ * Deals in other pipelines are left untouched.
  *
  * SECURITY: Uses service role to bypass RLS, validates user membership
  */
@@ -129,7 +133,7 @@ export const handler: Handler = async (event: HandlerEvent, _context: HandlerCon
 
     // Parse request body
     const body = JSON.parse(event.body || '{}');
-    const { organization_id, template_id } = body;
+    const { organization_id, template_id, pipeline_id } = body;
 
     if (!organization_id || !template_id) {
       return {
@@ -182,13 +186,52 @@ export const handler: Handler = async (event: HandlerEvent, _context: HandlerCon
       };
     }
 
-    // Step 1: Get all deals for this organization
-    const { data: deals, error: dealsError } = await supabase
+    // Step 0: Resolve the pipeline being migrated (default pipeline when omitted)
+    const { data: pipelines, error: pipelinesError } = await supabase
+      .from('pipelines')
+      .select('id, is_default')
+      .eq('organization_id', organization_id)
+      .is('archived_at', null);
+
+    if (pipelinesError) {
+      console.error('[Migrate Pipeline] Error fetching pipelines:', pipelinesError);
+      return {
+        statusCode: 500,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: 'Failed to fetch pipelines', details: pipelinesError.message })
+      };
+    }
+
+    const pipeline = pipeline_id
+      ? (pipelines || []).find(p => p.id === pipeline_id)
+      : (pipelines || []).find(p => p.is_default);
+
+    if (pipeline_id && !pipeline) {
+      return {
+        statusCode: 404,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: 'Pipeline not found' })
+      };
+    }
+
+    // No pipeline rows yet behaves like the default pipeline
+    const isDefaultPipeline = !pipeline || pipeline.is_default;
+
+    // Step 1: Get the deals in this pipeline (null pipeline_id = default pipeline)
+    let dealsQuery = supabase
       .from('deals')
       .select('id, stage')
       .eq('organization_id', organization_id)
       .is('deleted_at', null);
 
+    if (pipeline && isDefaultPipeline) {
+      dealsQuery = dealsQuery.or(`pipeline_id.eq.${pipeline.id},pipeline_id.is.null`);
+    } else if (pipeline) {
+      dealsQuery = dealsQuery.eq('pipeline_id', pipeline.id);
+    }
+
+    const { data: deals, error: dealsError } = await dealsQuery;
+
     if (dealsError) {
       console.error('[Migrate Pipeline] Error fetching deals:', dealsError);
       return {
@@ -223,22 +266,41 @@ export const handler: Handler = async (event: HandlerEvent, _context: HandlerCon
       dealsUpdated = dealUpdates.length;
     }
 
-    // Step 4: Update organization's pipeline template
-    const { error: orgError } = await supabase
-      .from('organizations')
-      .update({ pipeline_template: template_id })
-      .eq('id', organization_id);
+    // Step 4: Point the pipeline at the new template (replaces any custom stages)
+    if (pipeline) {
+      const { error: pipelineError } = await supabase
+        .from('pipelines')
+        .update({ template_id, stages: null, updated_at: new Date().toISOString() })
+        .eq('id', pipeline.id);
 
-    if (orgError) {
-      console.error('[Migrate Pipeline] Error updating organization:', orgError);
-      return {
-        statusCode: 500,
-        headers: corsHeaders,
-        body: JSON.stringify({ error: 'Failed to update organization', details: orgError.message })
-      };
+      if (pipelineError) {
+        console.error('[Migrate Pipeline] Error updating pipeline:', pipelineError);
+        return {
+          statusCode: 500,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: 'Failed to update pipeline', details: pipelineError.message })
+        };
+      }
+    }
+
+    // Step 5: Keep organization's pipeline template in sync with the default pipeline
+    if (isDefaultPipeline) {
+      const { error: orgError } = await supabase
+        .from('organizations')
+        .update({ pipeline_template: template_id })
+        .eq('id', organization_id);
+
+      if (orgError) {
+        console.error('[Migrate Pipeline] Error updating organization:', orgError);
+        return {
+          statusCode: 500,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: 'Failed to update organization', details: orgError.message })
+        };
+      }
     }
 
-    console.log('[Migrate Pipeline] Success:', { organization_id, template_id, dealsUpdated });
+    console.log('[Migrate Pipeline] Success:', { organization_id, pipeline_id: pipeline?.id ?? null, template_id, dealsUpdated });
 
     return {
       statusCode: 200,
@@ -246,6 +308,7 @@ export const handler: Handler = async (event: HandlerEvent, _context: HandlerCon
       body: JSON.stringify({
         success: true,
         template_id,
+        pipeline_id: pipeline?.id ?? null,
         deals_migrated: dealsUpdated
       })
     };
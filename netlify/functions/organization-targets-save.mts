@@ -9,6 +9,7 @@
 import type { Handler, HandlerEvent, HandlerContext } from '@netlify/functions';
 import { createClient } from '@supabase/supabase-js';
 import { parseCookies, COOKIE_NAMES, getCorsHeaders } from './lib/cookie-auth';
+import { emitTargetsUpdated } from './lib/webhook-events';
 
 const SUPABASE_URL = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL!;
 const SUPABASE_ANON_KEY = process.env.VITE_SUPABASE_ANON_KEY || process.env.SUPABASE_ANON_KEY!;
@@ -156,6 +157,13 @@ export const handler: Handler = async (event: HandlerEvent, _context: HandlerCon
       };
     }
 
+    // Previous targets for the target.updated webhook diff
+    const { data: previousTargets } = await supabase
+      .from('organization_targets')
+      .select('annual_target, quarterly_target, monthly_target')
+      .eq('organization_id', organization_id)
+      .maybeSingle();
+
     // Upsert organization targets using service role (bypasses RLS)
     console.log('[Organization Targets] Attempting upsert for organization:', organization_id);
 
@@ -184,6 +192,10 @@ export const handler: Handler = async (event: HandlerEvent, _context: HandlerCon
 
     console.log('[Organization Targets] Save successful:', data);
 
+    await emitTargetsUpdated(supabase, organization_id, { type: 'user', id: user.id }, [
+      { before: previousTargets, after: data }
+    ]);
+
     // Return targets in consistent shape (matching organization-targets-get)
     return {
       statusCode: 200,
@@ -0,0 +1,365 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import { hasPermission, PERMISSIONS, type Role } from './lib/rbac';
+import { PIPELINE_COLUMNS, loadPipelines } from './lib/pipelines';
+import { logAuditEvent } from './lib/audit-log';
+import {
+  PIPELINE_LIMITS,
+  PIPELINE_TEMPLATE_IDS,
+  getDefaultPipeline,
+  validatePipelineStages,
+} from '../../src/config/orgPipelines';
+
+/**
+ * PIPELINES
+ *
+ * Named pipelines per organization. Each pipeline uses a pipeline template or
+ * a custom stage list; every deal belongs to one pipeline (deals.pipeline_id,
+ * null = default pipeline).
+ *
+ * GET    /.netlify/functions/pipelines?organizationId=<uuid>
+ *   → { success, pipelines: [...] } - default first. Orgs without pipeline
+ *     rows get a default pipeline created from organizations.pipeline_template.
+ *
+ * POST   /.netlify/functions/pipelines
+ *   { organizationId, name, templateId } or { organizationId, name, stages: [{ id?, name, color? }] }
+ *   → { success, pipeline } (201)
+ *
+ * PUT    /.netlify/functions/pipelines
+ *   { organizationId, id, name?, stages?, isDefault?, position? }
+ *   → { success, pipeline }
+ *     stages can only be edited on custom pipelines; switching a template
+ *     pipeline goes through migrate-pipeline (which remaps its deals).
+ *
+ * DELETE /.netlify/functions/pipelines?organizationId=<uuid>&id=<uuid>
+ *   → { success, dealsMoved } - archives a non-default pipeline and moves its
+ *     deals to the default pipeline
+ *
+ * Reads need membership; writes need EDIT_PIPELINE.
+ *
+ * Used by:
+ * - usePipelines (Dashboard, KanbanBoard pipeline switcher, DashboardStats)
+ * - PipelinesManager (Settings → Pipeline)
+ */
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const validateName = (name: unknown): string | null => {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.trim();
+  return trimmed && trimmed.length <= PIPELINE_LIMITS.MAX_NAME_LENGTH ? trimmed : null;
+};
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'GET, POST, PUT, DELETE, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (!["GET", "POST", "PUT", "DELETE"].includes(req.method)) {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+    const params = new URL(req.url).searchParams;
+
+    let body: any = null;
+    let organizationId: string | null;
+    if (req.method === "GET" || req.method === "DELETE") {
+      organizationId = params.get("organizationId");
+    } else {
+      try {
+        body = await req.json();
+      } catch {
+        return json(400, { success: false, error: "Invalid JSON body", code: "INVALID_INPUT" }, corsHeaders);
+      }
+      organizationId = body?.organizationId ?? null;
+    }
+
+    if (!organizationId || !UUID_REGEX.test(organizationId)) {
+      return json(400, { success: false, error: "Valid organizationId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { data: membership } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", user.id)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (!membership) {
+      return json(403, { success: false, error: "Not authorized for this organization", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    const pipelines = await loadPipelines(supabase, organizationId);
+
+    // GET - list, creating the default pipeline for orgs that don't have one yet
+    if (req.method === "GET") {
+      if (pipelines.length > 0) {
+        return json(200, { success: true, pipelines }, corsHeaders);
+      }
+
+      const { data: org } = await supabase
+        .from("organizations")
+        .select("pipeline_template")
+        .eq("id", organizationId)
+        .maybeSingle();
+
+      const { data: created, error } = await supabase
+        .from("pipelines")
+        .insert({
+          organization_id: organizationId,
+          name: "Sales Pipeline",
+          template_id: org?.pipeline_template || 'default',
+          is_default: true,
+          created_by: user.id,
+        })
+        .select(PIPELINE_COLUMNS)
+        .single();
+
+      // A concurrent request may have created it first (one-default unique index)
+      if (error) {
+        return json(200, { success: true, pipelines: await loadPipelines(supabase, organizationId) }, corsHeaders);
+      }
+      return json(200, { success: true, pipelines: [created] }, corsHeaders);
+    }
+
+    if (!hasPermission(membership.role as Role, PERMISSIONS.EDIT_PIPELINE)) {
+      return json(403, { success: false, error: "Only admins can manage pipelines", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    const defaultPipeline = getDefaultPipeline(pipelines);
+
+    const audit = (action: string, pipeline: { id: string; name: string }, metadata?: Record<string, unknown>) =>
+      logAuditEvent(supabase, {
+        organizationId,
+        actor: { type: 'user', id: user.id, email: user.email },
+        action,
+        entityId: pipeline.id,
+        summary: pipeline.name,
+        metadata,
+        request: req
+      });
+
+    // DELETE - archive a non-default pipeline, moving its deals to the default
+    if (req.method === "DELETE") {
+      const id = params.get("id");
+      if (!id || !UUID_REGEX.test(id)) {
+        return json(400, { success: false, error: "Valid id required", code: "INVALID_INPUT" }, corsHeaders);
+      }
+
+      const pipeline = pipelines.find(p => p.id === id);
+      if (!pipeline) {
+        return json(404, { success: false, error: "Pipeline not found", code: "NOT_FOUND" }, corsHeaders);
+      }
+      if (pipeline.id === defaultPipeline?.id) {
+        return json(400, { success: false, error: "The default pipeline cannot be deleted", code: "DEFAULT_PIPELINE" }, corsHeaders);
+      }
+
+      const { data: moved, error: moveError } = await supabase
+        .from("deals")
+        .update({ pipeline_id: defaultPipeline!.id })
+        .eq("organization_id", organizationId)
+        .eq("pipeline_id", pipeline.id)
+        .select("id");
+
+      if (moveError) throw moveError;
+
+      const { error } = await supabase
+        .from("pipelines")
+        .update({ archived_at: new Date().toISOString(), is_default: false, updated_at: new Date().toISOString() })
+        .eq("id", pipeline.id);
+
+      if (error) throw error;
+      await audit('pipeline.deleted', pipeline, { dealsMoved: moved?.length || 0 });
+      return json(200, { success: true, dealsMoved: moved?.length || 0 }, corsHeaders);
+    }
+
+    // PUT - rename, edit custom stages, reorder, make default
+    if (req.method === "PUT") {
+      if (!body.id || !UUID_REGEX.test(body.id)) {
+        return json(400, { success: false, error: "Valid id required", code: "INVALID_INPUT" }, corsHeaders);
+      }
+
+      const pipeline = pipelines.find(p => p.id === body.id);
+      if (!pipeline) {
+        return json(404, { success: false, error: "Pipeline not found", code: "NOT_FOUND" }, corsHeaders);
+      }
+
+      const updates: Record<string, unknown> = {};
+
+      if (body.name !== undefined) {
+        const name = validateName(body.name);
+        if (!name) {
+          return json(400, { success: false, error: `name is required (max ${PIPELINE_LIMITS.MAX_NAME_LENGTH} characters)`, code: "VALIDATION_ERROR" }, corsHeaders);
+        }
+        updates.name = name;
+      }
+
+      if (body.position !== undefined) {
+        if (!Number.isInteger(body.position) || body.position < 0) {
+          return json(400, { success: false, error: "position must be a non-negative integer", code: "VALIDATION_ERROR" }, corsHeaders);
+        }
+        updates.position = body.position;
+      }
+
+      if (body.stages !== undefined) {
+        if (pipeline.template_id) {
+          return json(400, {
+            success: false,
+            error: "Template pipelines change stages by switching template",
+            code: "TEMPLATE_PIPELINE"
+          }, corsHeaders);
+        }
+
+        const { stages, errors } = validatePipelineStages(body.stages);
+        if (errors.length > 0) {
+          return json(400, { success: false, error: errors.join('; '), code: "VALIDATION_ERROR" }, corsHeaders);
+        }
+
+        // Don't strand deals in a stage that no longer exists
+        const removed = (pipeline.stages || []).map(s => s.id).filter(id => !stages.some(s => s.id === id));
+        if (removed.length > 0) {
+          let inUseQuery = supabase
+            .from("deals")
+            .select("stage")
+            .eq("organization_id", organizationId)
+            .is("deleted_at", null)
+            .in("stage", removed);
+          inUseQuery = pipeline.is_default
+            ? inUseQuery.or(`pipeline_id.eq.${pipeline.id},pipeline_id.is.null`)
+            : inUseQuery.eq("pipeline_id", pipeline.id);
+
+          const { data: inUse, error: inUseError } = await inUseQuery.limit(1);
+          if (inUseError) throw inUseError;
+          if (inUse && inUse.length > 0) {
+            return json(409, {
+              success: false,
+              error: `Stage "${inUse[0].stage}" still has deals. Move them before removing the stage.`,
+              code: "STAGE_IN_USE"
+            }, corsHeaders);
+          }
+        }
+        updates.stages = stages;
+      }
+
+      if (body.isDefault === true && pipeline.id !== defaultPipeline?.id) {
+        // Clear the current default first (one-default unique index)
+        if (defaultPipeline) {
+          const { error: clearError } = await supabase
+            .from("pipelines")
+            .update({ is_default: false, updated_at: new Date().toISOString() })
+            .eq("id", defaultPipeline.id);
+          if (clearError) throw clearError;
+
+          // Unassigned deals belong to the old default - pin them before it changes
+          const { error: pinError } = await supabase
+            .from("deals")
+            .update({ pipeline_id: defaultPipeline.id })
+            .eq("organization_id", organizationId)
+            .is("pipeline_id", null);
+          if (pinError) throw pinError;
+        }
+        updates.is_default = true;
+
+        // organizations.pipeline_template mirrors the default pipeline's template
+        if (pipeline.template_id) {
+          const { error: orgError } = await supabase
+            .from("organizations")
+            .update({ pipeline_template: pipeline.template_id })
+            .eq("id", organizationId);
+          if (orgError) throw orgError;
+        }
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return json(200, { success: true, pipeline }, corsHeaders);
+      }
+
+      const { data: updated, error } = await supabase
+        .from("pipelines")
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq("id", pipeline.id)
+        .select(PIPELINE_COLUMNS)
+        .single();
+
+      if (error) throw error;
+      await audit('pipeline.updated', updated, { fields: Object.keys(updates) });
+      return json(200, { success: true, pipeline: updated }, corsHeaders);
+    }
+
+    // POST - create from a template or a custom stage list
+    if (pipelines.length >= PIPELINE_LIMITS.MAX_PIPELINES) {
+      return json(400, {
+        success: false,
+        error: `Organizations can have at most ${PIPELINE_LIMITS.MAX_PIPELINES} pipelines`,
+        code: "LIMIT_REACHED"
+      }, corsHeaders);
+    }
+
+    const name = validateName(body.name);
+    if (!name) {
+      return json(400, { success: false, error: `name is required (max ${PIPELINE_LIMITS.MAX_NAME_LENGTH} characters)`, code: "VALIDATION_ERROR" }, corsHeaders);
+    }
+
+    if ((body.templateId === undefined) === (body.stages === undefined)) {
+      return json(400, { success: false, error: "Provide either templateId or stages", code: "VALIDATION_ERROR" }, corsHeaders);
+    }
+
+    const row: Record<string, unknown> = {
+      organization_id: organizationId,
+      name,
+      template_id: null,
+      stages: null,
+      // First pipeline becomes the default
+      is_default: pipelines.length === 0,
+      position: pipelines.length,
+      created_by: user.id,
+    };
+
+    if (body.templateId !== undefined) {
+      if (!PIPELINE_TEMPLATE_IDS.includes(body.templateId)) {
+        return json(400, { success: false, error: "Invalid templateId", code: "VALIDATION_ERROR", validTemplates: PIPELINE_TEMPLATE_IDS }, corsHeaders);
+      }
+      row.template_id = body.templateId;
+    } else {
+      const { stages, errors } = validatePipelineStages(body.stages);
+      if (errors.length > 0) {
+        return json(400, { success: false, error: errors.join('; '), code: "VALIDATION_ERROR" }, corsHeaders);
+      }
+      row.stages = stages;
+    }
+
+    const { data: created, error } = await supabase
+      .from("pipelines")
+      .insert(row)
+      .select(PIPELINE_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    await audit('pipeline.created', created, { templateId: created.template_id || null });
+    return json(201, { success: true, pipeline: created }, corsHeaders);
+  } catch (error: any) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[pipelines] Error:", error);
+    return json(500, { success: false, error: "Failed to process pipelines request", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
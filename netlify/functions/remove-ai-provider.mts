@@ -4,6 +4,7 @@ import { requireAuth } from "./lib/auth-middleware";
 import { createErrorResponse } from "./lib/error-sanitizer";
 // ENGINE REBUILD Phase 9: Centralized CORS spine
 import { buildCorsHeaders } from './lib/cors';
+import { logAuditEvent } from './lib/audit-log';
 
 /**
  * REMOVE AI PROVIDER ENDPOINT
@@ -159,6 +160,16 @@ export default async (req: Request, context: Context) => {
 
     console.warn("[remove-ai-provider] Success:", { providerId, providerType: removedProvider.provider_type });
 
+    await logAuditEvent(supabase, {
+      organizationId,
+      actor: { type: 'user', id: userId, email: user.email },
+      action: 'ai_provider.removed',
+      entityId: providerId,
+      summary: removedProvider.display_name,
+      metadata: { provider: removedProvider.provider_type },
+      request: req
+    });
+
     return new Response(JSON.stringify({ success: true, provider: removedProvider }), {
       status: 200,
       headers: corsHeaders,
@@ -0,0 +1,172 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import { logAuditEvent } from './lib/audit-log';
+import { hasPermission, PERMISSIONS, type Role } from './lib/rbac';
+import { logSecurityEvent, createSecurityEvent } from './lib/security-events';
+import { generateWebhookSecret } from './lib/webhook-signature';
+
+/**
+ * ROTATE WEBHOOK SECRET
+ *
+ * POST /.netlify/functions/rotate-webhook-secret
+ *   { organizationId, webhookId, overlapHours? }
+ *   → { secret, previousSecretExpiresAt }
+ *
+ * Generates a new signing secret. The old one keeps signing deliveries
+ * (as a second v1 signature) for overlapHours (default 24, max 168) so the
+ * receiver can switch over without rejecting events. overlapHours: 0
+ * revokes the old secret immediately, e.g. after a leak.
+ *
+ * The new secret is returned once; it isn't shown again in the UI.
+ *
+ * Requires MANAGE_INTEGRATIONS.
+ *
+ * Used by:
+ * - Integrations.jsx → WebhooksTab ("Rotate secret")
+ */
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DEFAULT_OVERLAP_HOURS = 24;
+const MAX_OVERLAP_HOURS = 168;
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'POST, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (req.method !== "POST") {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+
+    let body: any;
+    try {
+      body = await req.json();
+    } catch {
+      return json(400, { success: false, error: "Invalid JSON body", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { organizationId, webhookId } = body || {};
+    if (!organizationId || !UUID_REGEX.test(organizationId)) {
+      return json(400, { success: false, error: "Valid organizationId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+    if (!webhookId || !UUID_REGEX.test(webhookId)) {
+      return json(400, { success: false, error: "Valid webhookId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const overlapHours = body.overlapHours === undefined ? DEFAULT_OVERLAP_HOURS : Number(body.overlapHours);
+    if (!Number.isFinite(overlapHours) || overlapHours < 0 || overlapHours > MAX_OVERLAP_HOURS) {
+      return json(400, {
+        success: false,
+        error: `overlapHours must be between 0 and ${MAX_OVERLAP_HOURS}`,
+        code: "INVALID_INPUT"
+      }, corsHeaders);
+    }
+
+    const { data: membership } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", user.id)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (!membership) {
+      return json(403, { success: false, error: "Not authorized for this organization", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    if (!hasPermission(membership.role as Role, PERMISSIONS.MANAGE_INTEGRATIONS)) {
+      return json(403, { success: false, error: "You don't have permission to manage webhooks", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    const { data: webhook, error: webhookError } = await supabase
+      .from("webhooks")
+      .select("id, url, secret")
+      .eq("id", webhookId)
+      .eq("organization_id", organizationId)
+      .eq("is_active", true)
+      .maybeSingle();
+
+    if (webhookError) throw webhookError;
+    if (!webhook) {
+      return json(404, { success: false, error: "Webhook not found", code: "NOT_FOUND" }, corsHeaders);
+    }
+
+    const now = new Date();
+    const secret = generateWebhookSecret();
+    const previousSecretExpiresAt = overlapHours > 0
+      ? new Date(now.getTime() + overlapHours * 60 * 60 * 1000).toISOString()
+      : null;
+
+    // Conditional on the secret we read, so two concurrent rotations can't
+    // both demote the same secret and lose one of the new ones
+    const { data: updated, error: updateError } = await supabase
+      .from("webhooks")
+      .update({
+        secret,
+        previous_secret: previousSecretExpiresAt ? webhook.secret : null,
+        previous_secret_expires_at: previousSecretExpiresAt,
+        secret_rotated_at: now.toISOString()
+      })
+      .eq("id", webhookId)
+      .eq("secret", webhook.secret)
+      .select("id")
+      .maybeSingle();
+
+    if (updateError) throw updateError;
+    if (!updated) {
+      return json(409, { success: false, error: "The secret was rotated by someone else. Refresh and try again.", code: "CONFLICT" }, corsHeaders);
+    }
+
+    await logSecurityEvent(createSecurityEvent('WEBHOOK_SECRET_ROTATED', req, {
+      userId: user.id,
+      email: user.email,
+      metadata: {
+        organizationId,
+        webhookId,
+        webhookUrl: webhook.url,
+        overlapHours
+      }
+    }));
+    await logAuditEvent(supabase, {
+      organizationId,
+      actor: { type: 'user', id: user.id, email: user.email },
+      action: 'webhook.secret_rotated',
+      entityId: webhookId,
+      summary: new URL(webhook.url).host,
+      metadata: { overlapHours },
+      request: req
+    });
+
+    return json(200, {
+      success: true,
+      secret,
+      previousSecretExpiresAt,
+      rotatedAt: now.toISOString()
+    }, { ...corsHeaders, "Cache-Control": "no-store" });
+  } catch (error: any) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[rotate-webhook-secret] Error:", error);
+    return json(500, { success: false, error: "Failed to rotate webhook secret", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
@@ -10,98 +10,30 @@ import { invalidateProviderCache } from './lib/provider-cache';
 import { validateModel, getDefaultModel } from './lib/ai-models';
 // ENGINE REBUILD Phase 5: Centralized CORS config
 import { buildCorsHeaders } from './lib/cors';
+import { logAuditEvent } from './lib/audit-log';
+import { getProviderAdapter, normalizeCustomHeaders, type ProviderConfig } from './lib/ai-provider-adapters';
+import { validateAIEndpointURL } from './lib/ssrf-protection';
 
 /**
  * FIX 2025-12-01: Verify AI key works by making a test request
  * Returns true if the key is valid and the provider responds, false otherwise
  */
-async function verifyAIKey(providerType: string, apiKey: string): Promise<{ verified: boolean; error?: string }> {
-  const timeout = 8000; // 8 second timeout for verification
-
-  try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
-
-    let testUrl: string;
-    let testHeaders: Record<string, string>;
-    let testBody: string = '';
-    let testMethod: string = 'GET';
-
-    switch (providerType) {
-      case 'openai':
-        // OpenAI: Simple models list endpoint (fast, doesn't consume tokens)
-        testUrl = 'https://api.openai.com/v1/models';
-        testHeaders = {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json'
-        };
-        break;
-
-      case 'anthropic':
-        // Anthropic: Use messages endpoint with minimal request
-        testUrl = 'https://api.anthropic.com/v1/messages';
-        testHeaders = {
-          'x-api-key': apiKey,
-          'anthropic-version': '2024-01-01',
-          'Content-Type': 'application/json'
-        };
-        testBody = JSON.stringify({
-          model: 'claude-3-haiku-20240307',
-          max_tokens: 1,
-          messages: [{ role: 'user', content: 'Hi' }]
-        });
-        testMethod = 'POST';
-        break;
-
-      case 'google':
-        // Google AI: Use models list endpoint
-        testUrl = `https://generativelanguage.googleapis.com/v1/models?key=${apiKey}`;
-        testHeaders = { 'Content-Type': 'application/json' };
-        break;
-
-      default:
-        // Unknown provider - skip verification
-        return { verified: true };
-    }
-
-    const response = await fetch(testUrl, {
-      method: testMethod,
-      headers: testHeaders,
-      body: testBody || undefined,
-      signal: controller.signal
-    });
-
-    clearTimeout(timeoutId);
-
-    if (response.ok || response.status === 200) {
-      console.log(`[save-ai-provider] ✅ Key verification succeeded for ${providerType}`);
-      return { verified: true };
-    }
-
-    // Handle common error codes
-    if (response.status === 401 || response.status === 403) {
-      console.warn(`[save-ai-provider] ❌ Key verification failed for ${providerType}: Invalid/unauthorized`);
-      return { verified: false, error: 'API key is invalid or unauthorized' };
-    }
-
-    if (response.status === 429) {
-      // Rate limited but key is valid
-      console.log(`[save-ai-provider] ⚠️ Key verification rate limited for ${providerType} - assuming valid`);
-      return { verified: true };
-    }
-
-    const errorText = await response.text().catch(() => '');
-    console.warn(`[save-ai-provider] ❌ Key verification failed for ${providerType}: ${response.status} - ${errorText.slice(0, 200)}`);
-    return { verified: false, error: `Provider returned ${response.status}` };
+async function verifyAIKey(providerType: string, config: ProviderConfig): Promise<{ verified: boolean; error?: string }> {
+  const adapter = getProviderAdapter(providerType);
+  if (!adapter) {
+    // Unknown provider - skip verification
+    return { verified: true };
+  }
 
-  } catch (error: any) {
-    if (error.name === 'AbortError') {
-      console.warn(`[save-ai-provider] ⚠️ Key verification timed out for ${providerType} - assuming valid`);
-      return { verified: true }; // Timeout doesn't mean invalid
-    }
-    console.error(`[save-ai-provider] Key verification error for ${providerType}:`, error.message);
-    return { verified: false, error: error.message };
+  // Rate limits and timeouts count as valid - they don't mean the key is wrong
+  const result = await adapter.validateKey(config);
+  if (result.valid) {
+    console.log(`[save-ai-provider] ✅ Key verification succeeded for ${providerType}`);
+    return { verified: true };
   }
+
+  console.warn(`[save-ai-provider] ❌ Key verification failed for ${providerType}: ${result.error}`);
+  return { verified: false, error: result.error };
 }
 
 export default async (req: Request, context: Context) => {
@@ -153,10 +85,13 @@ export default async (req: Request, context: Context) => {
 
     // Parse request body
     const requestBody = await req.json() as any;
-    const { organization_id, provider_type, api_key, model, display_name } = requestBody;
+    const { organization_id, provider_type, model, display_name } = requestBody;
+    // Custom endpoints (OpenAI-compatible gateways) may not need a key
+    const isCustom = provider_type === 'custom';
+    const api_key = typeof requestBody.api_key === 'string' ? requestBody.api_key : '';
 
     // Validate required fields (user_id now comes from session, not request)
-    if (!organization_id || !provider_type || !api_key) {
+    if (!organization_id || !provider_type || (!api_key && !isCustom)) {
       console.error('❌ Missing required fields');
       return new Response(
         JSON.stringify({
@@ -259,13 +194,17 @@ export default async (req: Request, context: Context) => {
           // Length can vary, but typically 39-40 chars total
           return trimmed.startsWith('AIza') && trimmed.length >= 35;
 
+        case 'custom':
+          // Gateway keys have no common format - the endpoint decides
+          return true;
+
         default:
           // Generic fallback: any non-empty string with reasonable length
           return trimmed.length >= 20;
       }
     };
 
-    if (!validateApiKey(api_key, provider_type)) {
+    if ((api_key || !isCustom) && !validateApiKey(api_key, provider_type)) {
       console.error('❌ Invalid API key format');
       return new Response(
         JSON.stringify({
@@ -276,9 +215,49 @@ export default async (req: Request, context: Context) => {
       );
     }
 
+    // Custom endpoint: allowlisted https base URL, a model name and optional extra headers
+    let baseUrl: string | null = null;
+    let customHeaders: Record<string, string> = {};
+    if (isCustom) {
+      baseUrl = typeof requestBody.base_url === 'string' ? requestBody.base_url.trim().replace(/\/+$/, '') : '';
+      if (!baseUrl || typeof model !== 'string' || !model.trim()) {
+        return new Response(
+          JSON.stringify({ error: 'Missing required fields', details: 'base_url and model are required for a custom endpoint' }),
+          { status: 400, headers }
+        );
+      }
+
+      const { data: org, error: orgError } = await supabase
+        .from('organizations')
+        .select('ai_endpoint_allowlist')
+        .eq('id', organization_id)
+        .single();
+      if (orgError) throw orgError;
+
+      const urlCheck = await validateAIEndpointURL(baseUrl, org?.ai_endpoint_allowlist || []);
+      if (!urlCheck.allowed) {
+        return new Response(
+          JSON.stringify({ error: 'Endpoint URL not allowed', details: urlCheck.reason, code: 'ENDPOINT_NOT_ALLOWED' }),
+          { status: 400, headers }
+        );
+      }
+
+      const headerCheck = normalizeCustomHeaders(requestBody.headers);
+      if (!headerCheck.headers) {
+        return new Response(
+          JSON.stringify({ error: 'Invalid headers', details: headerCheck.error }),
+          { status: 400, headers }
+        );
+      }
+      customHeaders = headerCheck.headers;
+    }
+
     // TASK 4: Validate model selection if provided
     let validatedModel = model;
-    if (model) {
+    if (isCustom) {
+      // Whatever the gateway serves - there is no list to check against
+      validatedModel = model.trim();
+    } else if (model) {
       const modelValidation = validateModel(provider_type, model);
       if (!modelValidation.valid) {
         console.warn(`[save-ai-provider] Invalid model "${model}" for ${provider_type}: ${modelValidation.error}`);
@@ -293,8 +272,13 @@ export default async (req: Request, context: Context) => {
 
     // Encrypt the API key
     let encryptedKey: string;
+    let encryptedHeaders: string | null = null;
     try {
       encryptedKey = encrypt(api_key.trim());
+      // Headers can carry credentials (Azure's api-key), so they are encrypted like the key
+      if (isCustom && Object.keys(customHeaders).length > 0) {
+        encryptedHeaders = encrypt(JSON.stringify(customHeaders));
+      }
     } catch (encryptError: any) {
       console.error('❌ Encryption error:', encryptError);
       return new Response(
@@ -336,7 +320,8 @@ export default async (req: Request, context: Context) => {
           .update({
             api_key_encrypted: encryptedKey,
             display_name: display_name || provider_type,
-            model: validatedModel
+            model: validatedModel,
+            ...(isCustom && { base_url: baseUrl, custom_headers_encrypted: encryptedHeaders })
             // Note: updated_at column doesn't exist in schema, relying on DB trigger
           })
           .eq('id', existing.id)
@@ -375,6 +360,7 @@ export default async (req: Request, context: Context) => {
         api_key_encrypted: encryptedKey,
         display_name: display_name || provider_type,
         model: validatedModel,
+        ...(isCustom && { base_url: baseUrl, custom_headers_encrypted: encryptedHeaders }),
         active: true
       };
 
@@ -428,7 +414,27 @@ export default async (req: Request, context: Context) => {
     invalidateProviderCache(organization_id);
 
     // FIX 2025-12-01: Verify the key actually works before returning success
-    const verificationResult = await verifyAIKey(provider_type, api_key.trim());
+    const verificationResult = await verifyAIKey(provider_type, {
+      apiKey: api_key.trim(),
+      model: validatedModel,
+      ...(isCustom && { baseUrl, headers: customHeaders })
+    });
+
+    await logAuditEvent(supabase, {
+      organizationId: organization_id,
+      actor: { type: 'user', id: user_id, email: authenticatedUser.email },
+      action: 'ai_provider.added',
+      entityId: result.id,
+      summary: result.display_name,
+      metadata: {
+        provider: provider_type,
+        model: result.model,
+        replaced: !!existing,
+        verified: verificationResult.verified,
+        ...(isCustom && { host: new URL(baseUrl!).hostname, headerNames: Object.keys(customHeaders) })
+      },
+      request: req
+    });
 
     // PHASE AI4 FIX: Return complete provider object matching get-ai-providers shape
     // This allows frontend to update local state immediately without refetch
@@ -444,6 +450,7 @@ export default async (req: Request, context: Context) => {
           provider_type: result.provider_type,
           display_name: result.display_name,
           model: result.model,
+          base_url: result.base_url ?? null,
           active: result.active,
           created_at: result.created_at,
           api_key_encrypted: result.api_key_encrypted // Needed for masked display in UI
@@ -0,0 +1,208 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import { hasPermission, PERMISSIONS, type Role } from './lib/rbac';
+import { STAGE_DEFINITION_COLUMNS, loadStageDefinitionRows } from './lib/stage-definitions';
+import { logAuditEvent } from './lib/audit-log';
+import { getWinProbability } from './lib/revenue-engine';
+import { getStageRules } from './lib/revops-metrics';
+import { getStatusForStage } from '../../shared/stageStatusMap';
+import { getStagnationThreshold } from '../../src/config/pipelineConfig';
+import { validateStageDefinition } from '../../src/config/stageDefinitions';
+import { validateStageRequirements } from '../../src/config/stageRequirements';
+
+/**
+ * STAGE DEFINITIONS
+ *
+ * Per-org stage overrides: label, color, win probability, stagnation days,
+ * follow-up gap and terminal outcome. Null fields use the built-in defaults.
+ * Also holds stage-entry requirements (required fields, checklist) that
+ * update-deal and api-deals enforce on moves into the stage.
+ *
+ * GET    /.netlify/functions/stage-definitions?organizationId=<uuid>&stageIds=a,b,c
+ *   → { success, definitions: [...], defaults: { [stageId]: {...} } }
+ *     defaults are the built-in values for the requested and stored stages,
+ *     so the editor can show what a blank field falls back to.
+ *
+ * PUT    /.netlify/functions/stage-definitions
+ *   { organizationId, stageId, label?, color?, winProbability?, stagnationDays?, followupGapDays?, outcome?,
+ *     requiredFields?: string[], checklist?: Array<string | { id?, label }> }
+ *   → { success, definition } - replaces the stage's row; omitted fields reset
+ *     to default, and an all-default definition deletes the row.
+ *
+ * DELETE /.netlify/functions/stage-definitions?organizationId=<uuid>&stageId=<id>
+ *   → { success } - resets the stage to built-in defaults
+ *
+ * Reads need membership; writes need EDIT_PIPELINE.
+ *
+ * Used by:
+ * - useStageDefinitions (Dashboard, KanbanBoard, DealDetailsModal)
+ * - PipelineCustomizer (Settings → Pipeline)
+ */
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const STAGE_ID_REGEX = /^[a-z][a-z0-9_]{0,49}$/;
+const MAX_STAGE_IDS = 100;
+
+const getBuiltInDefaults = (stageId: string) => {
+  const status = getStatusForStage(stageId);
+  return {
+    outcome: status === 'active' ? 'none' : status,
+    win_probability: getWinProbability(stageId, null),
+    stagnation_days: getStagnationThreshold(stageId),
+    followup_gap_days: getStageRules(stageId).maxGapDays,
+  };
+};
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'GET, PUT, DELETE, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (!["GET", "PUT", "DELETE"].includes(req.method)) {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+    const params = new URL(req.url).searchParams;
+
+    let body: any = null;
+    let organizationId: string | null;
+    if (req.method === "PUT") {
+      try {
+        body = await req.json();
+      } catch {
+        return json(400, { success: false, error: "Invalid JSON body", code: "INVALID_INPUT" }, corsHeaders);
+      }
+      organizationId = body?.organizationId ?? null;
+    } else {
+      organizationId = params.get("organizationId");
+    }
+
+    if (!organizationId || !UUID_REGEX.test(organizationId)) {
+      return json(400, { success: false, error: "Valid organizationId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { data: membership } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", user.id)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (!membership) {
+      return json(403, { success: false, error: "Not authorized for this organization", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    // GET - stored definitions plus built-in defaults for display
+    if (req.method === "GET") {
+      const definitions = await loadStageDefinitionRows(supabase, organizationId);
+      const requested = (params.get("stageIds") || "")
+        .split(",")
+        .map(id => id.trim())
+        .filter(id => STAGE_ID_REGEX.test(id))
+        .slice(0, MAX_STAGE_IDS);
+
+      const defaults: Record<string, ReturnType<typeof getBuiltInDefaults>> = {};
+      [...requested, ...definitions.map(row => row.stage_id)].forEach(stageId => {
+        defaults[stageId] = getBuiltInDefaults(stageId);
+      });
+
+      return json(200, { success: true, definitions, defaults }, corsHeaders);
+    }
+
+    if (!hasPermission(membership.role as Role, PERMISSIONS.EDIT_PIPELINE)) {
+      return json(403, { success: false, error: "Only admins can edit stage definitions", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    const audit = (stageId: string, metadata: Record<string, unknown>) =>
+      logAuditEvent(supabase, {
+        organizationId,
+        actor: { type: 'user', id: user.id, email: user.email },
+        action: 'stages.updated',
+        entityId: stageId,
+        summary: stageId,
+        metadata,
+        request: req
+      });
+
+    // DELETE - reset a stage to built-in defaults
+    if (req.method === "DELETE") {
+      const stageId = params.get("stageId");
+      if (!stageId || !STAGE_ID_REGEX.test(stageId)) {
+        return json(400, { success: false, error: "Valid stageId required", code: "INVALID_INPUT" }, corsHeaders);
+      }
+
+      const { error } = await supabase
+        .from("stage_definitions")
+        .delete()
+        .eq("organization_id", organizationId)
+        .eq("stage_id", stageId);
+
+      if (error) throw error;
+      await audit(stageId, { reset: true });
+      return json(200, { success: true }, corsHeaders);
+    }
+
+    // PUT - replace a stage's definition
+    const { definition: stageFields, errors } = validateStageDefinition(body);
+    const { errors: requirementErrors, ...requirements } = validateStageRequirements(body?.requiredFields, body?.checklist);
+    if (!stageFields || requirementErrors.length > 0) {
+      return json(400, { success: false, error: [...errors, ...requirementErrors].join('; '), code: "VALIDATION_ERROR" }, corsHeaders);
+    }
+
+    const definition = { ...stageFields, ...requirements };
+
+    const { stage_id: stageId, ...fields } = definition;
+    if (Object.values(fields).every(value => value === null)) {
+      const { error } = await supabase
+        .from("stage_definitions")
+        .delete()
+        .eq("organization_id", organizationId)
+        .eq("stage_id", stageId);
+
+      if (error) throw error;
+      await audit(stageId, { reset: true });
+      return json(200, { success: true, definition: null }, corsHeaders);
+    }
+
+    const { data: saved, error } = await supabase
+      .from("stage_definitions")
+      .upsert({
+        organization_id: organizationId,
+        ...definition,
+        updated_by: user.id,
+        updated_at: new Date().toISOString(),
+      }, { onConflict: "organization_id,stage_id" })
+      .select(STAGE_DEFINITION_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    await audit(stageId, {
+      fields: Object.keys(fields).filter(field => (fields as Record<string, unknown>)[field] !== null)
+    });
+    return json(200, { success: true, definition: saved }, corsHeaders);
+  } catch (error: any) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[stage-definitions] Error:", error);
+    return json(500, { success: false, error: "Failed to process stage definitions request", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
@@ -0,0 +1,209 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import { getRoleName } from './lib/rbac';
+import { getOrgPlan } from './lib/get-org-plan';
+import { logSecurityEvent, createSecurityEvent } from './lib/security-events';
+import {
+  TEAM_INVITATION_COLUMNS,
+  hashInvitationToken,
+  acceptInvitation,
+  getSeatUsage,
+  InvitationConflictError,
+} from './lib/team-invitations';
+import { normalizeInviteEmail, getInvitationStatus } from '../../src/config/teamInvitations';
+
+/**
+ * TEAM INVITATION RESPONSE
+ *
+ * Invitee side of team invitations: look up the invitation behind an email
+ * link and accept or decline it.
+ *
+ * GET /.netlify/functions/team-invitation-respond?token
+ *   → { invitation: { organizationName, role, roleName, email, status, expiresAt, emailMatches } }
+ *
+ * POST /.netlify/functions/team-invitation-respond
+ *   { token, action: 'accept' | 'decline' }
+ *   accept → { organizationId, role, alreadyMember }
+ *
+ * The token is the credential; the caller must also be signed in. Accepting
+ * requires the signed-in account's email to match the invited address and a
+ * free seat on the organization's plan. A user belongs to one organization:
+ * they leave their empty starter workspace on accept, and anyone with a
+ * workspace in use gets 409 ALREADY_IN_ORGANIZATION. Declining works from any
+ * account holding the link.
+ *
+ * Used by:
+ * - TeamInvitationPrompt.jsx (opened from the /?invite=<token> link)
+ */
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+const TOKEN_REGEX = /^inv_[0-9a-f]{48}$/;
+
+const ACTIONS = ['accept', 'decline'];
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'GET, POST, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+
+    let params: Record<string, any>;
+    if (req.method === "GET") {
+      params = Object.fromEntries(new URL(req.url).searchParams);
+    } else {
+      try {
+        params = await req.json();
+      } catch {
+        return json(400, { success: false, error: "Invalid JSON body", code: "INVALID_INPUT" }, corsHeaders);
+      }
+    }
+
+    const { token } = params || {};
+    if (typeof token !== 'string' || !TOKEN_REGEX.test(token)) {
+      return json(404, { success: false, error: "This invitation link is invalid", code: "NOT_FOUND" }, corsHeaders);
+    }
+
+    const { data: invitation, error } = await supabase
+      .from("team_invitations")
+      .select(TEAM_INVITATION_COLUMNS)
+      .eq("token_hash", hashInvitationToken(token))
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!invitation) {
+      return json(404, {
+        success: false,
+        error: "This invitation link is invalid or has been replaced by a newer one",
+        code: "NOT_FOUND"
+      }, corsHeaders);
+    }
+
+    const status = getInvitationStatus(invitation);
+    const emailMatches = normalizeInviteEmail(user.email) === normalizeInviteEmail(invitation.email);
+
+    if (req.method === "GET") {
+      const { data: organization } = await supabase
+        .from("organizations")
+        .select("name")
+        .eq("id", invitation.organization_id)
+        .maybeSingle();
+
+      return json(200, {
+        success: true,
+        invitation: {
+          organizationName: organization?.name || 'an organization',
+          role: invitation.role,
+          roleName: getRoleName(invitation.role),
+          email: invitation.email,
+          status,
+          expiresAt: invitation.expires_at,
+          emailMatches
+        }
+      }, { ...corsHeaders, "Cache-Control": "no-store" });
+    }
+
+    const { action } = params;
+    if (!ACTIONS.includes(action)) {
+      return json(400, { success: false, error: `action must be one of: ${ACTIONS.join(', ')}`, code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    if (status === 'expired') {
+      return json(410, {
+        success: false,
+        error: "This invitation has expired. Ask the person who invited you to resend it.",
+        code: "INVITATION_EXPIRED"
+      }, corsHeaders);
+    }
+    if (status !== 'pending') {
+      return json(409, { success: false, error: `This invitation was already ${status}`, code: "CONFLICT" }, corsHeaders);
+    }
+
+    if (action === 'decline') {
+      const { data: declined, error: declineError } = await supabase
+        .from("team_invitations")
+        .update({ status: 'declined', responded_at: new Date().toISOString() })
+        .eq("id", invitation.id)
+        .eq("status", "pending")
+        .select("id")
+        .maybeSingle();
+
+      if (declineError) throw declineError;
+      if (!declined) {
+        return json(409, { success: false, error: "This invitation was already answered", code: "CONFLICT" }, corsHeaders);
+      }
+      return json(200, { success: true }, corsHeaders);
+    }
+
+    if (!emailMatches) {
+      return json(403, {
+        success: false,
+        error: `This invitation was sent to ${invitation.email}. Sign in with that address to accept it.`,
+        code: "FORBIDDEN"
+      }, corsHeaders);
+    }
+
+    // The invitation holds a seat already; this catches plans downgraded since it was sent
+    const seats = await getSeatUsage(supabase, invitation.organization_id, await getOrgPlan(invitation.organization_id));
+    if (seats.members + 1 > seats.limit) {
+      return json(409, {
+        success: false,
+        error: "This organization has no free seats on its plan. Ask an admin to upgrade or free up a seat.",
+        code: "SEAT_LIMIT_REACHED"
+      }, corsHeaders);
+    }
+
+    const result = await acceptInvitation(supabase, invitation, user);
+
+    if (!result.alreadyMember) {
+      await logSecurityEvent(createSecurityEvent('MEMBER_JOINED', req, {
+        userId: user.id,
+        email: user.email,
+        metadata: {
+          organizationId: invitation.organization_id,
+          invitationId: invitation.id,
+          role: result.role,
+          invitedBy: invitation.invited_by,
+          releasedOrganizationId: result.releasedOrganizationId
+        }
+      }));
+    }
+
+    return json(200, {
+      success: true,
+      organizationId: invitation.organization_id,
+      role: result.role,
+      alreadyMember: result.alreadyMember
+    }, corsHeaders);
+  } catch (error: any) {
+    if (error instanceof InvitationConflictError) {
+      return json(error.statusCode, { success: false, error: error.message, code: error.code }, corsHeaders);
+    }
+
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[team-invitation-respond] Error:", error);
+    return json(500, { success: false, error: "Failed to process invitation", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
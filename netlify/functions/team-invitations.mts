@@ -0,0 +1,353 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import { hasPermission, PERMISSIONS, type Role } from './lib/rbac';
+import { getOrgPlan } from './lib/get-org-plan';
+import { logSecurityEvent, createSecurityEvent } from './lib/security-events';
+import {
+  TEAM_INVITATION_COLUMNS,
+  generateInvitationToken,
+  hashInvitationToken,
+  buildInvitationUrl,
+  getInvitableRoles,
+  describeRoles,
+  getSeatUsage,
+  sendInvitationEmail,
+} from './lib/team-invitations';
+import {
+  validateInvitation,
+  normalizeInviteEmail,
+  getInvitationExpiry,
+  getInvitationStatus,
+  INVITATION_LIMITS,
+} from '../../src/config/teamInvitations';
+
+/**
+ * TEAM INVITATIONS
+ *
+ * Invite people to the organization by email, and manage pending invites.
+ *
+ * GET /.netlify/functions/team-invitations?organizationId
+ *   → { invitations, roles, seats: { members, pending, limit, available } }
+ *   invitations are the pending ones (status 'expired' once past expires_at)
+ *
+ * POST /.netlify/functions/team-invitations
+ *   { organizationId, action: 'create', email, role }
+ *   { organizationId, action: 'resend', invitationId }
+ *   { organizationId, action: 'revoke', invitationId }
+ *   create/resend → { invitation, emailSent, inviteUrl }
+ *
+ * Creating or resending mails a new link; resending invalidates the previous
+ * link and restarts the expiry. Members and pending invitations together may
+ * not exceed the plan's seat limit (409 SEAT_LIMIT_REACHED). Inviting an
+ * address whose previous invitation expired renews that invitation.
+ *
+ * Requires INVITE_MEMBERS. Roles above the inviter's own can't be granted,
+ * and only the owner can invite admins.
+ *
+ * Used by:
+ * - GeneralSettings.jsx → TeamInvitations
+ * - team-invitation-respond (invitee side)
+ */
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const ACTIONS = ['create', 'resend', 'revoke'];
+
+const withStatus = (invitation: any) => ({ ...invitation, status: getInvitationStatus(invitation) });
+
+const seatLimitResponse = (limit: number, headers: Record<string, string>) =>
+  json(409, {
+    success: false,
+    error: `Your plan includes ${limit} ${limit === 1 ? 'seat' : 'seats'}, and they're all taken by members or pending invitations. Upgrade or revoke an invitation to invite more people.`,
+    code: "SEAT_LIMIT_REACHED"
+  }, headers);
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'GET, POST, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+
+    let params: Record<string, any>;
+    if (req.method === "GET") {
+      params = Object.fromEntries(new URL(req.url).searchParams);
+    } else {
+      try {
+        params = await req.json();
+      } catch {
+        return json(400, { success: false, error: "Invalid JSON body", code: "INVALID_INPUT" }, corsHeaders);
+      }
+    }
+
+    const { organizationId, invitationId } = params || {};
+    if (!organizationId || !UUID_REGEX.test(organizationId)) {
+      return json(400, { success: false, error: "Valid organizationId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+    if (invitationId !== undefined && !UUID_REGEX.test(invitationId)) {
+      return json(400, { success: false, error: "Invalid invitationId", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { data: membership } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", user.id)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (!membership) {
+      return json(403, { success: false, error: "Not authorized for this organization", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    if (!hasPermission(membership.role as Role, PERMISSIONS.INVITE_MEMBERS)) {
+      return json(403, { success: false, error: "You don't have permission to invite team members", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    const invitableRoles = getInvitableRoles(membership.role);
+    const planId = await getOrgPlan(organizationId);
+
+    if (req.method === "GET") {
+      const [{ data: invitations, error }, seats] = await Promise.all([
+        supabase
+          .from("team_invitations")
+          .select(TEAM_INVITATION_COLUMNS)
+          .eq("organization_id", organizationId)
+          .eq("status", "pending")
+          .order("created_at", { ascending: false }),
+        getSeatUsage(supabase, organizationId, planId)
+      ]);
+
+      if (error) throw error;
+      return json(200, {
+        success: true,
+        invitations: (invitations || []).map(withStatus),
+        roles: describeRoles(invitableRoles),
+        seats
+      }, { ...corsHeaders, "Cache-Control": "no-store" });
+    }
+
+    const { action } = params;
+    if (!ACTIONS.includes(action)) {
+      return json(400, { success: false, error: `action must be one of: ${ACTIONS.join(', ')}`, code: "INVALID_INPUT" }, corsHeaders);
+    }
+    if (action !== 'create' && !invitationId) {
+      return json(400, { success: false, error: "invitationId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    let existing: any = null;
+    if (action === 'create') {
+      const errors = validateInvitation(params, invitableRoles);
+      if (errors.length > 0) {
+        return json(400, { success: false, error: errors[0], code: "INVALID_INPUT", details: errors }, corsHeaders);
+      }
+
+      const email = normalizeInviteEmail(params.email);
+
+      const { data: profile } = await supabase
+        .from("user_profiles")
+        .select("id")
+        .eq("email", email)
+        .maybeSingle();
+
+      if (profile) {
+        const { data: member } = await supabase
+          .from("team_members")
+          .select("user_id")
+          .eq("organization_id", organizationId)
+          .eq("user_id", profile.id)
+          .maybeSingle();
+
+        if (member) {
+          return json(409, { success: false, error: `${email} is already a member of this organization`, code: "CONFLICT" }, corsHeaders);
+        }
+      }
+
+      const { data: pending, error: pendingError } = await supabase
+        .from("team_invitations")
+        .select(TEAM_INVITATION_COLUMNS)
+        .eq("organization_id", organizationId)
+        .eq("email", email)
+        .eq("status", "pending")
+        .maybeSingle();
+
+      if (pendingError) throw pendingError;
+      if (pending && getInvitationStatus(pending) === 'pending') {
+        return json(409, {
+          success: false,
+          error: `${email} already has a pending invitation. Resend it instead.`,
+          code: "CONFLICT"
+        }, corsHeaders);
+      }
+      existing = pending;
+    } else {
+      const { data, error } = await supabase
+        .from("team_invitations")
+        .select(TEAM_INVITATION_COLUMNS)
+        .eq("id", invitationId)
+        .eq("organization_id", organizationId)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        return json(404, { success: false, error: "Invitation not found", code: "NOT_FOUND" }, corsHeaders);
+      }
+      if (data.status !== 'pending') {
+        return json(409, { success: false, error: `This invitation was already ${data.status}`, code: "CONFLICT" }, corsHeaders);
+      }
+      existing = data;
+    }
+
+    if (action === 'revoke') {
+      const { data: invitation, error } = await supabase
+        .from("team_invitations")
+        .update({ status: 'revoked', revoked_by: user.id, responded_at: new Date().toISOString() })
+        .eq("id", existing.id)
+        .eq("status", "pending")
+        .select(TEAM_INVITATION_COLUMNS)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!invitation) {
+        return json(409, { success: false, error: "This invitation was already answered", code: "CONFLICT" }, corsHeaders);
+      }
+      return json(200, { success: true, invitation: withStatus(invitation) }, corsHeaders);
+    }
+
+    if (action === 'resend') {
+      if (!invitableRoles.includes(existing.role)) {
+        return json(403, { success: false, error: "You can't resend an invitation for this role", code: "FORBIDDEN" }, corsHeaders);
+      }
+      if (existing.resend_count >= INVITATION_LIMITS.MAX_RESENDS) {
+        return json(409, {
+          success: false,
+          error: "This invitation has been resent too many times. Revoke it and invite again.",
+          code: "CONFLICT"
+        }, corsHeaders);
+      }
+
+      const lastSentAt = Date.parse(existing.resent_at || existing.created_at);
+      const retryAfter = Math.ceil((lastSentAt + INVITATION_LIMITS.RESEND_COOLDOWN_MS - Date.now()) / 1000);
+      if (retryAfter > 0) {
+        return json(429, {
+          success: false,
+          error: "This invitation was just sent. Try again in a minute.",
+          code: "RATE_LIMITED",
+          retryAfter
+        }, { ...corsHeaders, "Retry-After": String(retryAfter) });
+      }
+    }
+
+    // A renewed (expired) invitation needs a free seat again; a live one already holds one
+    if (!existing || getInvitationStatus(existing) === 'expired') {
+      const seats = await getSeatUsage(supabase, organizationId, planId);
+      if (seats.available < 1) {
+        return seatLimitResponse(seats.limit, corsHeaders);
+      }
+    }
+
+    const token = generateInvitationToken();
+    const now = new Date();
+
+    let invitation: any;
+    if (existing) {
+      const { data, error } = await supabase
+        .from("team_invitations")
+        .update({
+          token_hash: hashInvitationToken(token),
+          expires_at: getInvitationExpiry(now),
+          resent_at: now.toISOString(),
+          resend_count: existing.resend_count + 1,
+          ...(action === 'create' ? { role: params.role, invited_by: user.id } : {})
+        })
+        .eq("id", existing.id)
+        .eq("status", "pending")
+        .select(TEAM_INVITATION_COLUMNS)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!data) {
+        return json(409, { success: false, error: "This invitation was already answered", code: "CONFLICT" }, corsHeaders);
+      }
+      invitation = data;
+    } else {
+      const { data, error } = await supabase
+        .from("team_invitations")
+        .insert({
+          organization_id: organizationId,
+          email: normalizeInviteEmail(params.email),
+          role: params.role,
+          token_hash: hashInvitationToken(token),
+          expires_at: getInvitationExpiry(now),
+          invited_by: user.id
+        })
+        .select(TEAM_INVITATION_COLUMNS)
+        .single();
+
+      // Unique pending index: a concurrent invite for the same address won
+      if (error?.code === '23505') {
+        return json(409, { success: false, error: "This address already has a pending invitation", code: "CONFLICT" }, corsHeaders);
+      }
+      if (error) throw error;
+      invitation = data;
+    }
+
+    const [{ data: organization }, { data: inviterProfile }] = await Promise.all([
+      supabase.from("organizations").select("name").eq("id", organizationId).maybeSingle(),
+      supabase.from("user_profiles").select("full_name").eq("id", user.id).maybeSingle()
+    ]);
+
+    const delivery = await sendInvitationEmail(invitation, {
+      token,
+      organizationName: organization?.name || 'StageFlow',
+      inviterName: inviterProfile?.full_name || user.email || 'A teammate'
+    });
+
+    if (action === 'create') {
+      await logSecurityEvent(createSecurityEvent('MEMBER_INVITED', req, {
+        userId: user.id,
+        email: user.email,
+        metadata: {
+          organizationId,
+          invitationId: invitation.id,
+          invitedEmail: invitation.email,
+          role: invitation.role
+        }
+      }));
+    }
+
+    return json(action === 'create' ? 201 : 200, {
+      success: true,
+      invitation: withStatus(invitation),
+      emailSent: delivery.sent,
+      // Shown to the inviter so the link can be shared by hand if email fails
+      inviteUrl: buildInvitationUrl(token)
+    }, { ...corsHeaders, "Cache-Control": "no-store" });
+  } catch (error: any) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[team-invitations] Error:", error);
+    return json(500, { success: false, error: "Failed to process invitation request", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
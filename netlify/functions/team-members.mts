@@ -0,0 +1,304 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth, invalidateUserTokens } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import {
+  hasPermission,
+  getMemberChangeError,
+  getRoleName,
+  ASSIGNABLE_ROLES,
+  PERMISSIONS,
+  type Role
+} from './lib/rbac';
+import { logSecurityEvent, createSecurityEvent } from './lib/security-events';
+import { logAuditEvent } from './lib/audit-log';
+import { countOpenDeals } from './lib/deal-assignment';
+import {
+  reassignOpenDeals,
+  reassignOpenDealsRoundRobin,
+  removeMember
+} from './lib/team-members';
+
+/**
+ * TEAM MEMBERS
+ *
+ * Team management: list members with what the caller may do to each, change
+ * roles, and remove members.
+ *
+ * GET /.netlify/functions/team-members?organizationId
+ *   → { members: [{ id, name, email, role, roleName, joinedAt, openDeals,
+ *                   canOwnDeals, isYou, canChangeRole, canRemove, roleOptions }] }
+ *
+ * POST /.netlify/functions/team-members
+ *   { organizationId, action: 'change_role', userId, role }
+ *   { organizationId, action: 'remove', userId, reassignTo: '<userId>' | 'round_robin' }
+ *   remove → { reassigned, fallback }
+ *
+ * Rules (rbac.ts validateMemberChange): CHANGE_ROLES / REMOVE_MEMBERS, nobody
+ * changes or removes themselves or the owner, and only the owner can make,
+ * demote or remove admins.
+ *
+ * Removing a member moves all of their open deals first - to one member who
+ * can edit deals, or round-robin across the remaining team (deals the
+ * rotation can't place go to the caller). Role changes and removals are
+ * recorded as security events.
+ *
+ * Reading requires VIEW_TEAM.
+ *
+ * Used by:
+ * - TeamMembers.jsx (Settings → General → Manage Team)
+ */
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const ACTIONS = ['change_role', 'remove'];
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'GET, POST, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+
+    let params: Record<string, any>;
+    if (req.method === "GET") {
+      params = Object.fromEntries(new URL(req.url).searchParams);
+    } else {
+      try {
+        params = await req.json();
+      } catch {
+        return json(400, { success: false, error: "Invalid JSON body", code: "INVALID_INPUT" }, corsHeaders);
+      }
+    }
+
+    const { organizationId, userId } = params || {};
+    if (!organizationId || !UUID_REGEX.test(organizationId)) {
+      return json(400, { success: false, error: "Valid organizationId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { data: membership } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", user.id)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (!membership) {
+      return json(403, { success: false, error: "Not authorized for this organization", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    const actor = { id: user.id, role: membership.role as string };
+
+    if (req.method === "GET") {
+      if (!hasPermission(actor.role as Role, PERMISSIONS.VIEW_TEAM)) {
+        return json(403, { success: false, error: "You don't have permission to view the team", code: "FORBIDDEN" }, corsHeaders);
+      }
+
+      const { data: members, error } = await supabase
+        .from("team_members")
+        .select("user_id, role, created_at")
+        .eq("organization_id", organizationId)
+        .order("created_at", { ascending: true });
+
+      if (error) throw error;
+
+      const userIds = (members || []).map((member: any) => member.user_id);
+      const [{ data: profiles }, openDeals] = await Promise.all([
+        supabase.from("user_profiles").select("id, email, full_name").in("id", userIds),
+        countOpenDeals(supabase, organizationId, userIds)
+      ]);
+      const profileById = new Map((profiles || []).map((profile: any) => [profile.id, profile]));
+
+      return json(200, {
+        success: true,
+        members: (members || []).map((member: any) => {
+          const profile: any = profileById.get(member.user_id);
+          const target = { id: member.user_id, role: member.role };
+          return {
+            id: member.user_id,
+            name: profile?.full_name || profile?.email?.split('@')[0] || 'Team Member',
+            email: profile?.email || null,
+            role: member.role,
+            roleName: getRoleName(member.role),
+            joinedAt: member.created_at,
+            openDeals: openDeals[member.user_id] || 0,
+            canOwnDeals: hasPermission(member.role as Role, PERMISSIONS.EDIT_DEALS),
+            isYou: member.user_id === user.id,
+            canChangeRole: ASSIGNABLE_ROLES.some(role => role !== member.role && !getMemberChangeError(actor, target, role)),
+            canRemove: !getMemberChangeError(actor, target),
+            roleOptions: ASSIGNABLE_ROLES
+              .filter(role => role === member.role || !getMemberChangeError(actor, target, role))
+              .map(role => ({ id: role, name: getRoleName(role) }))
+          };
+        })
+      }, { ...corsHeaders, "Cache-Control": "no-store" });
+    }
+
+    const { action } = params;
+    if (!ACTIONS.includes(action)) {
+      return json(400, { success: false, error: `action must be one of: ${ACTIONS.join(', ')}`, code: "INVALID_INPUT" }, corsHeaders);
+    }
+    if (!userId || !UUID_REGEX.test(userId)) {
+      return json(400, { success: false, error: "Valid userId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { data: targetMember, error: targetError } = await supabase
+      .from("team_members")
+      .select("user_id, role")
+      .eq("organization_id", organizationId)
+      .eq("user_id", userId)
+      .maybeSingle();
+
+    if (targetError) throw targetError;
+    if (!targetMember) {
+      return json(404, { success: false, error: "Team member not found", code: "NOT_FOUND" }, corsHeaders);
+    }
+
+    const target = { id: targetMember.user_id, role: targetMember.role as string };
+
+    // Summary is the member's email so entries stay readable after removal
+    const audit = async (auditAction: string, metadata: Record<string, unknown>) => {
+      const { data: profile } = await supabase
+        .from("user_profiles")
+        .select("email")
+        .eq("id", target.id)
+        .maybeSingle();
+      await logAuditEvent(supabase, {
+        organizationId,
+        actor: { type: 'user', id: user.id, email: user.email },
+        action: auditAction,
+        entityId: target.id,
+        summary: profile?.email,
+        metadata,
+        request: req
+      });
+    };
+
+    if (action === 'change_role') {
+      const { role } = params;
+      const ruleError = getMemberChangeError(actor, target, role);
+      if (ruleError) {
+        return json(403, { success: false, error: ruleError, code: "FORBIDDEN" }, corsHeaders);
+      }
+      if (role === target.role) {
+        return json(200, { success: true, member: { id: target.id, role, roleName: getRoleName(role) } }, corsHeaders);
+      }
+
+      const { data: updated, error } = await supabase
+        .from("team_members")
+        .update({ role })
+        .eq("organization_id", organizationId)
+        .eq("user_id", target.id)
+        .eq("role", target.role)
+        .select("user_id, role")
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!updated) {
+        return json(409, { success: false, error: "This member's role was changed by someone else. Refresh and try again.", code: "CONFLICT" }, corsHeaders);
+      }
+
+      invalidateUserTokens(target.id);
+      await logSecurityEvent(createSecurityEvent('MEMBER_ROLE_CHANGED', req, {
+        userId: user.id,
+        email: user.email,
+        metadata: {
+          organizationId,
+          memberId: target.id,
+          fromRole: target.role,
+          toRole: role
+        }
+      }));
+      await audit('member.role_changed', { fromRole: target.role, toRole: role });
+
+      return json(200, { success: true, member: { id: target.id, role, roleName: getRoleName(role) } }, corsHeaders);
+    }
+
+    // remove
+    const ruleError = getMemberChangeError(actor, target);
+    if (ruleError) {
+      return json(403, { success: false, error: ruleError, code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    const { reassignTo } = params;
+    if (reassignTo !== 'round_robin' && !(typeof reassignTo === 'string' && UUID_REGEX.test(reassignTo))) {
+      return json(400, {
+        success: false,
+        error: "reassignTo must be a member id or 'round_robin'",
+        code: "INVALID_INPUT"
+      }, corsHeaders);
+    }
+
+    let result = { reassigned: 0, fallback: 0 };
+
+    if (reassignTo === 'round_robin') {
+      // Remove first so the rotation can't hand deals back to the leaver
+      await removeMember(supabase, organizationId, target.id);
+      result = await reassignOpenDealsRoundRobin(supabase, { organizationId, fromUserId: target.id, actorId: user.id });
+    } else {
+      if (reassignTo === target.id) {
+        return json(400, { success: false, error: "Choose someone other than the member being removed", code: "INVALID_INPUT" }, corsHeaders);
+      }
+
+      const { data: recipient } = await supabase
+        .from("team_members")
+        .select("role")
+        .eq("organization_id", organizationId)
+        .eq("user_id", reassignTo)
+        .maybeSingle();
+
+      if (!recipient || !hasPermission(recipient.role as Role, PERMISSIONS.EDIT_DEALS)) {
+        return json(400, {
+          success: false,
+          error: "Deals can only be reassigned to a member who can edit deals",
+          code: "INVALID_INPUT"
+        }, corsHeaders);
+      }
+
+      result.reassigned = await reassignOpenDeals(supabase, { organizationId, fromUserId: target.id, toUserId: reassignTo, actorId: user.id });
+      await removeMember(supabase, organizationId, target.id);
+    }
+
+    invalidateUserTokens(target.id);
+    await logSecurityEvent(createSecurityEvent('MEMBER_REMOVED', req, {
+      userId: user.id,
+      email: user.email,
+      metadata: {
+        organizationId,
+        memberId: target.id,
+        role: target.role,
+        reassignTo,
+        dealsReassigned: result.reassigned,
+        dealsFallback: result.fallback
+      }
+    }));
+    await audit('member.removed', { role: target.role, reassignTo, dealsReassigned: result.reassigned });
+
+    return json(200, { success: true, ...result }, corsHeaders);
+  } catch (error: any) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[team-members] Error:", error);
+    return json(500, { success: false, error: "Failed to process team member request", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
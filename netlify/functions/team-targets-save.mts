@@ -13,6 +13,7 @@
 import type { Handler, HandlerEvent, HandlerContext } from '@netlify/functions';
 import { createClient } from '@supabase/supabase-js';
 import { parseCookies, COOKIE_NAMES, getCorsHeaders } from './lib/cookie-auth';
+import { emitTargetsUpdated } from './lib/webhook-events';
 
 const SUPABASE_URL = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL!;
 const SUPABASE_ANON_KEY = process.env.VITE_SUPABASE_ANON_KEY || process.env.SUPABASE_ANON_KEY!;
@@ -145,12 +146,22 @@ export const handler: Handler = async (event: HandlerEvent, _context: HandlerCon
       errors: [] as string[]
     };
 
+    // Saved rows with their previous values, for target.updated webhooks
+    const targetChanges: Array<{ before: Record<string, any> | null; after: Record<string, any> }> = [];
+    const TARGET_COLUMNS = 'user_id, annual_target, quarterly_target, monthly_target';
+
     // 1. Save org target if provided
     if (orgTargetAnnual !== undefined) {
       const annual = orgTargetAnnual || 0;
       const quarterly = Math.round(annual / 4);
       const monthly = Math.round(annual / 12);
 
+      const { data: previousOrgTarget } = await supabase
+        .from('organization_targets')
+        .select('annual_target, quarterly_target, monthly_target')
+        .eq('organization_id', organization_id)
+        .maybeSingle();
+
       const { error: orgError } = await supabase
         .from('organization_targets')
         .upsert({
@@ -168,6 +179,10 @@ export const handler: Handler = async (event: HandlerEvent, _context: HandlerCon
         results.errors.push(`Failed to save org target: ${orgError.message}`);
       } else {
         results.orgTargetSaved = true;
+        targetChanges.push({
+          before: previousOrgTarget,
+          after: { annual_target: annual, quarterly_target: quarterly, monthly_target: monthly }
+        });
         console.log('[team-targets-save] Org target saved:', { annual, quarterly, monthly });
       }
     }
@@ -184,6 +199,13 @@ export const handler: Handler = async (event: HandlerEvent, _context: HandlerCon
 
       const validMemberIds = new Set((validMembers || []).map(m => m.user_id));
 
+      const { data: previousMemberTargets } = await supabase
+        .from('user_targets')
+        .select(TARGET_COLUMNS)
+        .eq('organization_id', organization_id)
+        .in('user_id', memberUserIds);
+      const previousByUser = new Map((previousMemberTargets || []).map((t: any) => [t.user_id, t]));
+
       for (const member of members) {
         if (!validMemberIds.has(member.userId)) {
           results.memberTargetsFailed++;
@@ -191,14 +213,18 @@ export const handler: Handler = async (event: HandlerEvent, _context: HandlerCon
           continue;
         }
 
+        const memberTarget = {
+          user_id: member.userId,
+          annual_target: member.annualTarget || null,
+          quarterly_target: member.quarterlyTarget || null,
+          monthly_target: member.monthlyTarget || null
+        };
+
         const { error: memberError } = await supabase
           .from('user_targets')
           .upsert({
-            user_id: member.userId,
+            ...memberTarget,
             organization_id,
-            annual_target: member.annualTarget || null,
-            quarterly_target: member.quarterlyTarget || null,
-            monthly_target: member.monthlyTarget || null,
             updated_at: new Date().toISOString()
           }, {
             onConflict: 'user_id,organization_id'
@@ -210,10 +236,13 @@ export const handler: Handler = async (event: HandlerEvent, _context: HandlerCon
           results.errors.push(`Failed for user ${member.userId}: ${memberError.message}`);
         } else {
           results.memberTargetsSaved++;
+          targetChanges.push({ before: previousByUser.get(member.userId) || null, after: memberTarget });
         }
       }
     }
 
+    await emitTargetsUpdated(supabase, organization_id, { type: 'user', id: user.id }, targetChanges);
+
     const allSucceeded = results.errors.length === 0;
 
     console.log('[team-targets-save] Complete:', results);
@@ -22,6 +22,21 @@ import {
 import { buildCorsHeaders } from "./lib/cors";
 // Canonical stage → status mapping shared with frontend
 import { getStatusForStage } from "../../shared/stageStatusMap";
+import { loadStageDefinitions, checkStageEntry, STAGE_REQUIREMENT_DEAL_COLUMNS } from "./lib/stage-definitions";
+import { mergeStageChecklist, STAGE_REQUIREMENTS_UNMET } from "../../src/config/stageRequirements";
+// Idempotency-Key support: offline queue replays and client retries must not double-apply updates
+import {
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  releaseIdempotentRequest,
+  type IdempotencyRecord
+} from "./lib/idempotency";
+import { recordDealChange, DEAL_HISTORY_COLUMNS } from "./lib/deal-history";
+import { emitDealEvents } from "./lib/webhook-events";
+import { logAuditEvent } from "./lib/audit-log";
+import { loadCustomFieldDefinitions, validateCustomFieldValues } from "./lib/custom-fields";
+import { resolvePipelineId } from "./lib/pipelines";
+import { NEXT_STEP_MAX_LENGTH } from "../../src/config/aiTools";
 
 /**
  * UPDATE DEAL ENDPOINT
@@ -35,6 +50,18 @@ import { getStatusForStage } from "../../shared/stageStatusMap";
  * - DealDetailsModal.jsx (stage dropdown, form changes)
  * - KanbanBoard.jsx (drag-and-drop)
  * - useDealManagement.js (all deal operations)
+ *
+ * Moving a deal to another pipeline: send pipeline_id (null = default
+ * pipeline) together with a stage from that pipeline.
+ *
+ * Stage changes auto-sync status from the org's stage definitions
+ * (stage_definitions.outcome), falling back to shared/stageStatusMap.ts.
+ *
+ * Moving into a stage with entry requirements (stage_definitions.required_fields
+ * / checklist) fails with 422 STAGE_REQUIREMENTS_UNMET and
+ * `requirements: { stage, fields, checklist }` unless the same update supplies
+ * them - KanbanBoard shows a "complete these to move" prompt from it.
+ * Ticked checklist items are sent as stage_checklist: { [stageId]: [itemId] }.
  */
 
 export default async (req: Request, context: Context) => {
@@ -84,6 +111,9 @@ export default async (req: Request, context: Context) => {
   // Add correlation ID to response headers for end-to-end tracing
   corsHeaders['X-Correlation-ID'] = ctx.correlationId;
 
+  // Claimed Idempotency-Key row (released in catch so a retry can be processed)
+  let idempotencyRecord: IdempotencyRecord | null = null;
+
   try {
     // STEP 1: Authenticate user via HttpOnly cookies
     // PHASE 9 FIX: requireAuth returns User directly, not {user: User}
@@ -144,9 +174,10 @@ export default async (req: Request, context: Context) => {
 
     // STEP 5: Verify deal belongs to organization
     // FIX 2025-12-03: Added 'status' to select - needed for lost/disqualified validation
+    // Tracked history fields are selected as the "before" snapshot for deal_change_history
     const { data: existingDeal, error: dealCheckError } = await supabase
       .from("deals")
-      .select("id, organization_id, stage, status")
+      .select(`id, organization_id, ${STAGE_REQUIREMENT_DEAL_COLUMNS}, ${DEAL_HISTORY_COLUMNS}`)
       .eq("id", dealId)
       .eq("organization_id", organizationId)
       .is("deleted_at", null)
@@ -172,7 +203,7 @@ export default async (req: Request, context: Context) => {
     const allowedFields = [
       // Core deal fields (verified to exist in DB)
       "client", "email", "phone", "value", "stage", "status", "notes",
-      "last_activity",
+      "last_activity", "expected_close_date",
       // Lost fields (verified to exist)
       "lost_reason", "lost_reason_notes",
       // AI health fields (verified to exist)
@@ -184,7 +215,15 @@ export default async (req: Request, context: Context) => {
       "stage_at_disqualification", "disqualified_at", "disqualified_by",
       // Unified outcome fields (verified to exist)
       "outcome_reason_category", "outcome_notes",
-      "outcome_recorded_at", "outcome_recorded_by"
+      "outcome_recorded_at", "outcome_recorded_by",
+      // Org-defined custom fields (validated + merged below)
+      "custom_fields",
+      // Pipeline membership (validated below)
+      "pipeline_id",
+      // Ticked stage-entry checklist items (merged below)
+      "stage_checklist",
+      // Next step (length checked below)
+      "next_step", "next_step_due"
     ];
 
     const sanitizedUpdates: Record<string, any> = {};
@@ -251,6 +290,108 @@ export default async (req: Request, context: Context) => {
       }
     }
 
+    // STEP 6a: Next step - blank clears it; due date is a plain YYYY-MM-DD
+    if (sanitizedUpdates.next_step !== undefined) {
+      const nextStep = typeof sanitizedUpdates.next_step === 'string' ? sanitizedUpdates.next_step.trim() : sanitizedUpdates.next_step;
+      if (nextStep !== null && typeof nextStep !== 'string') {
+        return new Response(
+          JSON.stringify({ success: false, error: "next_step must be text", code: "VALIDATION_ERROR" }),
+          { status: 400, headers: corsHeaders }
+        );
+      }
+      if (nextStep && nextStep.length > NEXT_STEP_MAX_LENGTH) {
+        return new Response(
+          JSON.stringify({ success: false, error: `next_step must be ${NEXT_STEP_MAX_LENGTH} characters or fewer`, code: "VALIDATION_ERROR" }),
+          { status: 400, headers: corsHeaders }
+        );
+      }
+      sanitizedUpdates.next_step = nextStep || null;
+    }
+    if (sanitizedUpdates.next_step_due !== undefined) {
+      const due = sanitizedUpdates.next_step_due || null;
+      if (due !== null && (typeof due !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(due) || Number.isNaN(Date.parse(due)))) {
+        return new Response(
+          JSON.stringify({ success: false, error: "next_step_due must be a YYYY-MM-DD date", code: "VALIDATION_ERROR" }),
+          { status: 400, headers: corsHeaders }
+        );
+      }
+      sanitizedUpdates.next_step_due = due;
+    }
+
+    // STEP 6b: Custom fields - only provided keys are validated, then merged over stored values
+    if (sanitizedUpdates.custom_fields !== undefined) {
+      const customFieldDefinitions = await loadCustomFieldDefinitions(supabase, organizationId);
+      const customFields = validateCustomFieldValues(customFieldDefinitions, sanitizedUpdates.custom_fields, {
+        mode: 'update',
+        existing: existingDeal.custom_fields
+      });
+      if (customFields.errors.length > 0) {
+        return new Response(
+          JSON.stringify({
+            success: false,
+            error: customFields.errors[0].message,
+            code: "CUSTOM_FIELD_INVALID",
+            details: customFields.errors
+          }),
+          { status: 400, headers: corsHeaders }
+        );
+      }
+      sanitizedUpdates.custom_fields = customFields.values;
+    }
+
+    // STEP 6c: Pipeline move - must be one of the org's pipelines (null → default)
+    if (sanitizedUpdates.pipeline_id !== undefined) {
+      const pipeline = await resolvePipelineId(supabase, organizationId, sanitizedUpdates.pipeline_id);
+      if (pipeline.error) {
+        return new Response(
+          JSON.stringify({ success: false, error: pipeline.error, code: "INVALID_PIPELINE" }),
+          { status: 400, headers: corsHeaders }
+        );
+      }
+      sanitizedUpdates.pipeline_id = pipeline.pipelineId;
+    }
+
+    // STEP 6d: Stage-entry requirements - the deal as it will be after this update must meet them
+    if (sanitizedUpdates.stage_checklist !== undefined) {
+      const stageChecklist = mergeStageChecklist(existingDeal.stage_checklist, sanitizedUpdates.stage_checklist);
+      if (!stageChecklist) {
+        return new Response(
+          JSON.stringify({
+            success: false,
+            error: "stage_checklist must map stage ids to lists of checklist item ids",
+            code: "VALIDATION_ERROR"
+          }),
+          { status: 400, headers: corsHeaders }
+        );
+      }
+      sanitizedUpdates.stage_checklist = stageChecklist;
+    }
+
+    const stageDefinitions = sanitizedUpdates.stage
+      ? await loadStageDefinitions(supabase, organizationId)
+      : {};
+
+    if (sanitizedUpdates.stage && sanitizedUpdates.stage !== existingDeal.stage) {
+      const unmetRequirements = await checkStageEntry(
+        supabase,
+        organizationId,
+        { ...existingDeal, ...sanitizedUpdates },
+        sanitizedUpdates.stage,
+        stageDefinitions
+      );
+      if (unmetRequirements) {
+        return new Response(
+          JSON.stringify({
+            success: false,
+            error: `Complete the requirements for "${sanitizedUpdates.stage}" before moving this deal`,
+            code: STAGE_REQUIREMENTS_UNMET,
+            requirements: unmetRequirements
+          }),
+          { status: 422, headers: corsHeaders }
+        );
+      }
+    }
+
     // STEP 7: Validate lost/disqualified mutual exclusivity
     // Lost and Disqualified are STRICTLY mutually exclusive states
     // PHASE 4 2025-12-08: Also populate unified outcome fields
@@ -259,8 +400,8 @@ export default async (req: Request, context: Context) => {
     let status = sanitizedUpdates.status || existingDeal.status;
 
     if (sanitizedUpdates.stage && !sanitizedUpdates.status) {
-      // Canonical implied status from shared map
-      const impliedStatus = getStatusForStage(sanitizedUpdates.stage);
+      // Canonical implied status: the org's stored stage outcome, then the shared map
+      const impliedStatus = getStatusForStage(sanitizedUpdates.stage, stageDefinitions);
 
       // If stage implies "active" (any non-terminal stage), revert to active when leaving terminal states
       if (impliedStatus === 'active' && (existingDeal.status === 'lost' || existingDeal.status === 'disqualified' || existingDeal.status === 'won')) {
@@ -455,6 +596,18 @@ export default async (req: Request, context: Context) => {
     // STEP 8: Track stage changes for history
     const stageChanged = sanitizedUpdates.stage && sanitizedUpdates.stage !== existingDeal.stage;
 
+    // STEP 8b: Idempotency - replay the stored response if this key was already processed
+    const idempotency = await beginIdempotentRequest(supabase, req, {
+      scope: organizationId,
+      endpoint: 'update-deal',
+      body,
+      headers: corsHeaders
+    });
+    if (idempotency.replay) {
+      return idempotency.replay;
+    }
+    idempotencyRecord = idempotency.record;
+
     // STEP 9: Perform the update
     const { data: updatedDeal, error: updateError } = await supabase
       .from("deals")
@@ -495,7 +648,7 @@ export default async (req: Request, context: Context) => {
       const statusCode = isClientError ? 400 : 500;
       const errorCode = isClientError ? 'UPDATE_VALIDATION_ERROR' : 'SERVER_ERROR';
 
-      return new Response(
+      return completeIdempotentRequest(supabase, idempotencyRecord, new Response(
         JSON.stringify({
           success: false,
           error: isClientError
@@ -505,7 +658,7 @@ export default async (req: Request, context: Context) => {
           details: updateError.message
         }),
         { status: statusCode, headers: corsHeaders }
-      );
+      ));
     }
 
     // STEP 10: Record stage history if stage changed
@@ -525,6 +678,31 @@ export default async (req: Request, context: Context) => {
       }
     }
 
+    // STEP 10b: Record field-level history and queue webhook events (non-fatal)
+    await recordDealChange(supabase, {
+      dealId,
+      organizationId,
+      changedBy: userId,
+      source: 'update',
+      before: existingDeal,
+      after: updatedDeal
+    });
+    await emitDealEvents(supabase, {
+      organizationId,
+      actor: { type: 'user', id: userId },
+      before: existingDeal,
+      after: updatedDeal
+    });
+    await logAuditEvent(supabase, {
+      organizationId,
+      actor: { type: 'user', id: userId, email: user.email },
+      action: 'deal.updated',
+      entityId: dealId,
+      summary: updatedDeal.client,
+      metadata: { fields: Object.keys(sanitizedUpdates) },
+      request: req
+    });
+
     console.log("[KANBAN][BACKEND] ✓ Update success:", {
       dealId,
       previousStage: existingDeal.stage,
@@ -549,7 +727,7 @@ export default async (req: Request, context: Context) => {
 
       // FIX 2025-12-08: Return 422 (Unprocessable Entity) instead of 500
       // This is a validation error, not a server error
-      return new Response(
+      return completeIdempotentRequest(supabase, idempotencyRecord, new Response(
         JSON.stringify({
           success: false,
           error: "Update succeeded but deal data is incomplete. Please refresh and try again.",
@@ -557,7 +735,7 @@ export default async (req: Request, context: Context) => {
           details: validationError.message
         }),
         { status: 422, headers: corsHeaders }
-      );
+      ));
     }
 
     // Phase 1 Telemetry: Track successful deal update
@@ -580,10 +758,10 @@ export default async (req: Request, context: Context) => {
       responseData.ignoredFields = ignoredFields;
     }
 
-    return new Response(JSON.stringify(responseData), {
+    return completeIdempotentRequest(supabase, idempotencyRecord, new Response(JSON.stringify(responseData), {
       status: 200,
       headers: corsHeaders,
-    });
+    }));
 
   } catch (error: any) {
     // Phase 1 Telemetry: Track failed deal update
@@ -594,6 +772,8 @@ export default async (req: Request, context: Context) => {
       console.warn('[update-deal] Error telemetry failed (non-fatal):', telemetryError);
     }
 
+    await releaseIdempotentRequest(getSupabaseClient(), idempotencyRecord);
+
     // P0 FIX 2025-12-08: Precise logging with P0 tag for Netlify log search
     // This enables "Search logs for [StageFlow][P0][UPDATE_DEAL_FAILED]" investigation
     console.error("[StageFlow][P0][UPDATE_DEAL_FAILED]", {
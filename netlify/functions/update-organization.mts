@@ -10,6 +10,7 @@
 import type { Handler, HandlerEvent, HandlerContext } from '@netlify/functions';
 import { createClient } from '@supabase/supabase-js';
 import { parseCookies, COOKIE_NAMES, getCorsHeaders } from './lib/cookie-auth';
+import { logAuditEvent } from './lib/audit-log';
 
 const SUPABASE_URL = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL!;
 const SUPABASE_ANON_KEY = process.env.VITE_SUPABASE_ANON_KEY || process.env.SUPABASE_ANON_KEY!;
@@ -151,6 +152,16 @@ export const handler: Handler = async (event: HandlerEvent, _context: HandlerCon
 
     console.log('[Update Organization] Success:', { organization_id, fields: Object.keys(sanitizedUpdates) });
 
+    await logAuditEvent(supabase, {
+      organizationId: organization_id,
+      actor: { type: 'user', id: user.id, email: user.email },
+      action: 'organization.updated',
+      entityId: organization_id,
+      summary: data?.name,
+      metadata: { fields: Object.keys(sanitizedUpdates) },
+      request: event
+    });
+
     return {
       statusCode: 200,
       headers: corsHeaders,
@@ -9,6 +9,7 @@
 import type { Handler, HandlerEvent, HandlerContext } from '@netlify/functions';
 import { createClient } from '@supabase/supabase-js';
 import { parseCookies, COOKIE_NAMES, getCorsHeaders } from './lib/cookie-auth';
+import { emitTargetsUpdated } from './lib/webhook-events';
 
 const SUPABASE_URL = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL!;
 const SUPABASE_ANON_KEY = process.env.VITE_SUPABASE_ANON_KEY || process.env.SUPABASE_ANON_KEY!;
@@ -183,6 +184,15 @@ export const handler: Handler = async (event: HandlerEvent, _context: HandlerCon
     // Create a Set for O(1) lookup
     const validMemberIds = new Set((orgMembers || []).map(m => m.user_id));
 
+    // Previous targets for the target.updated webhook diff
+    const { data: previousTargets } = await supabase
+      .from('user_targets')
+      .select('user_id, annual_target, quarterly_target, monthly_target')
+      .eq('organization_id', organization_id)
+      .in('user_id', targetUserIds);
+    const previousByUser = new Map((previousTargets || []).map((t: any) => [t.user_id, t]));
+    const targetChanges: Array<{ before: Record<string, any> | null; after: Record<string, any> }> = [];
+
     for (const target of user_targets) {
       if (!target.user_id) {
         results.failed++;
@@ -221,9 +231,12 @@ export const handler: Handler = async (event: HandlerEvent, _context: HandlerCon
         results.errors.push(`Failed to save target for user ${target.user_id}: ${upsertError.message}`);
       } else {
         results.success++;
+        targetChanges.push({ before: previousByUser.get(target.user_id) || null, after: target });
       }
     }
 
+    await emitTargetsUpdated(supabase, organization_id, { type: 'user', id: user.id }, targetChanges);
+
     console.log('[User Targets] Save complete:', results);
 
     if (results.failed > 0 && results.success === 0) {
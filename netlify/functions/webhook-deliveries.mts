@@ -0,0 +1,267 @@
+import type { Context } from "@netlify/functions";
+import { getSupabaseClient } from "./lib/supabase-pool";
+import { requireAuth } from "./lib/auth-middleware";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import { hasPermission, PERMISSIONS, type Role } from './lib/rbac';
+import {
+  WebhookDLQ,
+  WEBHOOK_COLUMNS,
+  WEBHOOK_DELIVERY_COLUMNS,
+  WEBHOOK_DELIVERY_DETAIL_COLUMNS,
+  MAX_REPLAY_EVENTS,
+} from './lib/webhook-dlq';
+
+/**
+ * WEBHOOK DELIVERIES
+ *
+ * Delivery log, replay and test events for one webhook.
+ *
+ * GET /.netlify/functions/webhook-deliveries?organizationId&webhookId
+ *     [&status=success|failed][&before=<ISO>][&limit]
+ *   → { webhook, deliveries, deadLetters, hasMore }
+ * GET ...&deliveryId
+ *   → { delivery } with payload and request/response bodies
+ *
+ * POST /.netlify/functions/webhook-deliveries
+ *   { organizationId, webhookId, action: 'test' }
+ *   { organizationId, webhookId, action: 'replay', deliveryId }
+ *   { organizationId, webhookId, action: 'replay_range', from, to, failedOnly? }
+ *   { organizationId, webhookId, action: 'enable' }
+ *
+ * 'test' and 'replay' deliver immediately and return the recorded attempt;
+ * 'replay_range' queues the events for process-webhook-queue. 'enable'
+ * clears an auto-disable (see lib/webhook-dlq.ts).
+ *
+ * Reading requires VIEW_INTEGRATIONS, actions require MANAGE_INTEGRATIONS.
+ *
+ * Used by:
+ * - Integrations.jsx → WebhooksTab
+ */
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload), { status, headers });
+
+const UUID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Range replays beyond this window should go through an export instead
+const MAX_REPLAY_RANGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+const ACTIONS = ['test', 'replay', 'replay_range', 'enable'];
+
+const isValidDate = (value: unknown): value is string =>
+  typeof value === 'string' && !Number.isNaN(Date.parse(value));
+
+// Never send the signing secret to the browser
+const publicWebhook = ({ secret, previous_secret, ...webhook }: any) => webhook;
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = buildCorsHeaders(requestOrigin, { methods: 'GET, POST, OPTIONS' });
+
+  // Handle preflight
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (req.method !== "GET" && req.method !== "POST") {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  try {
+    const user = await requireAuth(req);
+    const supabase = getSupabaseClient();
+
+    let params: Record<string, any>;
+    if (req.method === "GET") {
+      params = Object.fromEntries(new URL(req.url).searchParams);
+    } else {
+      try {
+        params = await req.json();
+      } catch {
+        return json(400, { success: false, error: "Invalid JSON body", code: "INVALID_INPUT" }, corsHeaders);
+      }
+    }
+
+    const { organizationId, webhookId } = params || {};
+    if (!organizationId || !UUID_REGEX.test(organizationId)) {
+      return json(400, { success: false, error: "Valid organizationId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+    if (!webhookId || !UUID_REGEX.test(webhookId)) {
+      return json(400, { success: false, error: "Valid webhookId required", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { data: membership } = await supabase
+      .from("team_members")
+      .select("role")
+      .eq("user_id", user.id)
+      .eq("organization_id", organizationId)
+      .maybeSingle();
+
+    if (!membership) {
+      return json(403, { success: false, error: "Not authorized for this organization", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    const requiredPermission = req.method === "GET" ? PERMISSIONS.VIEW_INTEGRATIONS : PERMISSIONS.MANAGE_INTEGRATIONS;
+    if (!hasPermission(membership.role as Role, requiredPermission)) {
+      return json(403, { success: false, error: "You don't have permission to manage webhooks", code: "FORBIDDEN" }, corsHeaders);
+    }
+
+    const { data: webhook, error: webhookError } = await supabase
+      .from("webhooks")
+      .select(`${WEBHOOK_COLUMNS}, disabled_reason, last_delivery_at, last_success_at`)
+      .eq("id", webhookId)
+      .eq("organization_id", organizationId)
+      .eq("is_active", true)
+      .maybeSingle();
+
+    if (webhookError) throw webhookError;
+    if (!webhook) {
+      return json(404, { success: false, error: "Webhook not found", code: "NOT_FOUND" }, corsHeaders);
+    }
+
+    const dlq = new WebhookDLQ(supabase);
+
+    if (req.method === "GET") {
+      if (params.deliveryId) {
+        if (!UUID_REGEX.test(params.deliveryId)) {
+          return json(400, { success: false, error: "Invalid deliveryId", code: "INVALID_INPUT" }, corsHeaders);
+        }
+
+        const { data: delivery, error } = await supabase
+          .from("webhook_deliveries")
+          .select(WEBHOOK_DELIVERY_DETAIL_COLUMNS)
+          .eq("id", params.deliveryId)
+          .eq("webhook_id", webhookId)
+          .maybeSingle();
+
+        if (error) throw error;
+        if (!delivery) {
+          return json(404, { success: false, error: "Delivery not found", code: "NOT_FOUND" }, corsHeaders);
+        }
+        return json(200, { success: true, delivery }, corsHeaders);
+      }
+
+      const limit = Math.min(Math.max(parseInt(params.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+      let query = supabase
+        .from("webhook_deliveries")
+        .select(WEBHOOK_DELIVERY_COLUMNS)
+        .eq("webhook_id", webhookId)
+        .order("created_at", { ascending: false })
+        .limit(limit + 1);
+
+      if (params.status === 'success') query = query.eq("success", true);
+      if (params.status === 'failed') query = query.eq("success", false);
+      if (isValidDate(params.before)) query = query.lt("created_at", params.before);
+
+      const [{ data: deliveries, error }, deadLetters] = await Promise.all([
+        query,
+        dlq.getDeadLetters(webhookId)
+      ]);
+      if (error) throw error;
+
+      return json(200, {
+        success: true,
+        webhook: publicWebhook(webhook),
+        deliveries: (deliveries || []).slice(0, limit),
+        deadLetters,
+        hasMore: (deliveries || []).length > limit
+      }, corsHeaders);
+    }
+
+    const { action } = params;
+    if (!ACTIONS.includes(action)) {
+      return json(400, { success: false, error: `action must be one of: ${ACTIONS.join(', ')}`, code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    if (action === 'enable') {
+      const { error } = await supabase
+        .from("webhooks")
+        .update({ disabled_at: null, disabled_reason: null, consecutive_failures: 0 })
+        .eq("id", webhookId);
+
+      if (error) throw error;
+      return json(200, { success: true, webhook: publicWebhook({ ...webhook, disabled_at: null, disabled_reason: null, consecutive_failures: 0 }) }, corsHeaders);
+    }
+
+    if (webhook.disabled_at) {
+      return json(409, {
+        success: false,
+        error: "This webhook is disabled. Re-enable it before sending events.",
+        code: "WEBHOOK_DISABLED"
+      }, corsHeaders);
+    }
+
+    if (action === 'test') {
+      const { deliveryId, result } = await dlq.sendTestEvent(webhook, user.id);
+      return json(200, { success: true, deliveryId, result: summarize(result) }, corsHeaders);
+    }
+
+    if (action === 'replay') {
+      if (!params.deliveryId || !UUID_REGEX.test(params.deliveryId)) {
+        return json(400, { success: false, error: "Valid deliveryId required", code: "INVALID_INPUT" }, corsHeaders);
+      }
+
+      const { data: original, error } = await supabase
+        .from("webhook_deliveries")
+        .select("id, event_id, event_type, trigger, payload")
+        .eq("id", params.deliveryId)
+        .eq("webhook_id", webhookId)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!original) {
+        return json(404, { success: false, error: "Delivery not found", code: "NOT_FOUND" }, corsHeaders);
+      }
+
+      const { deliveryId, result, disabled } = await dlq.replayDelivery(webhook, original);
+      return json(200, { success: true, deliveryId, result: summarize(result), disabled }, corsHeaders);
+    }
+
+    // replay_range
+    const { from, to, failedOnly } = params;
+    if (!isValidDate(from) || !isValidDate(to) || Date.parse(from) > Date.parse(to)) {
+      return json(400, { success: false, error: "from and to must be dates with from before to", code: "INVALID_INPUT" }, corsHeaders);
+    }
+    if (Date.parse(to) - Date.parse(from) > MAX_REPLAY_RANGE_MS) {
+      return json(400, { success: false, error: "Replay ranges are limited to 30 days", code: "INVALID_INPUT" }, corsHeaders);
+    }
+
+    const { queued, truncated } = await dlq.replayRange(webhook, {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      failedOnly: failedOnly === true
+    });
+
+    return json(200, {
+      success: true,
+      queued,
+      truncated,
+      ...(truncated ? { message: `Only the first ${MAX_REPLAY_EVENTS} events were queued. Narrow the range to replay the rest.` } : {})
+    }, corsHeaders);
+  } catch (error: any) {
+    if (error.statusCode === 401 || error.statusCode === 403) {
+      return json(error.statusCode, {
+        success: false,
+        error: error.message || "Authentication required",
+        code: "AUTH_REQUIRED"
+      }, corsHeaders);
+    }
+
+    console.error("[webhook-deliveries] Error:", error);
+    return json(500, { success: false, error: "Failed to process webhook request", code: "SERVER_ERROR" }, corsHeaders);
+  }
+};
+
+// What the UI shows for an immediate delivery (bodies stay in the log)
+function summarize(result: { success: boolean; status?: number; error?: string; latencyMs?: number }) {
+  return {
+    success: result.success,
+    status: result.status ?? null,
+    error: result.error ?? null,
+    latencyMs: result.latencyMs ?? null
+  };
+}
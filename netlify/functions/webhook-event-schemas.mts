@@ -0,0 +1,70 @@
+import type { Context, Config } from "@netlify/functions";
+// ENGINE REBUILD Phase 9: Centralized CORS spine
+import { buildCorsHeaders } from './lib/cors';
+import {
+  WEBHOOK_API_VERSION,
+  WEBHOOK_EVENTS,
+  buildEventSchema,
+  buildExamplePayload,
+} from '../../src/config/webhookEvents';
+
+/**
+ * WEBHOOK EVENT SCHEMAS
+ *
+ * Public, unauthenticated catalog of webhook events for integrators.
+ *
+ * GET /api/v1/webhook-events
+ *   → { api_version, events: [{ type, label, description, schema_url }] }
+ * GET /api/v1/webhook-events/:type
+ *   → JSON schema (draft 2020-12) for that event's envelope, with an example
+ *
+ * Schemas come from src/config/webhookEvents.js, which also drives
+ * create-webhook validation, so they can't drift from what is delivered.
+ */
+
+const json = (status: number, payload: unknown, headers: Record<string, string>) =>
+  new Response(JSON.stringify(payload, null, 2), { status, headers });
+
+export default async (req: Request, context: Context) => {
+  const requestOrigin = req.headers.get("origin") || "";
+  const corsHeaders = {
+    ...buildCorsHeaders(requestOrigin, { methods: 'GET, OPTIONS' }),
+    "Content-Type": "application/json",
+    "Cache-Control": "public, max-age=3600",
+  };
+
+  if (req.method === "OPTIONS") {
+    return new Response(null, { status: 204, headers: corsHeaders });
+  }
+
+  if (req.method !== "GET") {
+    return json(405, { error: "Method not allowed" }, corsHeaders);
+  }
+
+  const { pathname } = new URL(req.url);
+  const type = decodeURIComponent(pathname.replace(/^.*\/webhook-events\/?/, '')).replace(/\.json$/, '');
+  const baseUrl = pathname.replace(/\/webhook-events\/?.*$/, '/webhook-events');
+
+  if (!type) {
+    return json(200, {
+      api_version: WEBHOOK_API_VERSION,
+      events: WEBHOOK_EVENTS.map(event => ({
+        type: event.type,
+        label: event.label,
+        description: event.description,
+        schema_url: `${baseUrl}/${event.type}`
+      }))
+    }, corsHeaders);
+  }
+
+  const schema = buildEventSchema(type);
+  if (!schema) {
+    return json(404, { error: `Unknown event type: ${type}`, code: "NOT_FOUND" }, corsHeaders);
+  }
+
+  return json(200, { ...schema, examples: [buildExamplePayload(type)] }, corsHeaders);
+};
+
+export const config: Config = {
+  path: ["/api/v1/webhook-events", "/api/v1/webhook-events/*"],
+};
@@ -32,11 +32,22 @@ export const LOST_STAGES = new Set([
   'passed'
 ]);
 
+/** Stored per-org outcomes keyed by stage id (stage_definitions.outcome) */
+export type StageOutcomeOverrides = Record<string, { outcome?: 'won' | 'lost' | 'none' | null }>;
+
 /**
  * Get the appropriate status for a given stage.
+ * An org's stored outcome (stage_definitions) wins over the built-in sets;
+ * 'none' keeps a normally-terminal stage active.
  * Returns 'won' | 'lost' | 'active'
  */
-export const getStatusForStage = (stageId: string): 'won' | 'lost' | 'active' => {
+export const getStatusForStage = (
+  stageId: string,
+  definitions?: StageOutcomeOverrides | null
+): 'won' | 'lost' | 'active' => {
+  const outcome = definitions?.[stageId]?.outcome;
+  if (outcome === 'won' || outcome === 'lost') return outcome;
+  if (outcome === 'none') return 'active';
   if (WON_STAGES.has(stageId)) return 'won';
   if (LOST_STAGES.has(stageId)) return 'lost';
   return 'active';
@@ -6,6 +6,7 @@ import { MaintenanceMode } from './components/MaintenanceMode';
 import { ServiceWorkerUpdateNotification } from './components/ServiceWorkerUpdateNotification';
 import { ConnectionStatus } from './components/ConnectionStatus'; // NEXT-LEVEL: Real-time connection status
 import { ResetPasswordModal } from './components/ResetPasswordModal';
+import { TeamInvitationPrompt } from './components/TeamInvitationPrompt';
 import { Dashboard } from './components/Dashboard';
 import { VIEWS, supabase } from './lib/supabase';
 import validator, { initValidator } from './lib/config-validator';
@@ -514,6 +515,8 @@ export default function App() {
           <MainApp />
           {/* CRITICAL FIX: Reset Password Modal rendered at App level (outside context provider) */}
           <ResetPasswordModalContainer />
+          {/* Accept/decline prompt for /?invite=<token> links (token kept until signed in) */}
+          <TeamInvitationPrompt />
         </AppProvider>
       </QueryProvider>
       {/* NEXT-LEVEL: Service worker update notification */}
@@ -228,7 +228,8 @@ export const PROVIDER_DISPLAY_NAMES = {
   'openai': 'ChatGPT',
   'gpt4o': 'ChatGPT',
   'google': 'Gemini',
-  'gemini': 'Gemini'
+  'gemini': 'Gemini',
+  'custom': 'Custom endpoint'
 };
 
 /**
@@ -48,7 +48,7 @@ const AIStarIcon = ({ className = "w-6 h-6" }) => (
   </svg>
 );
 
-export const AIAssistant = ({ deals = [] }) => {
+export const AIAssistant = () => {
   const [isOpen, setIsOpen] = useState(false);
   const [messages, setMessages] = useState([
     {
@@ -272,8 +272,6 @@ export const AIAssistant = ({ deals = [] }) => {
       // Replaces manual fetch() with resilient AI endpoint
       const { data } = await api.ai('ai-assistant', {
         message: messageText,
-        deals: deals,
-        conversationHistory: messages.slice(-5), // Last 5 messages for context
         preferredProvider: selectedProvider?.provider_type
       });
 
@@ -320,7 +318,8 @@ export const AIAssistant = ({ deals = [] }) => {
         content: responseContent,
         timestamp: new Date(),
         suggestions: data.suggestions || [],
-        provider: data.provider || 'AI'
+        provider: data.provider || 'AI',
+        proposedActions: data.proposedActions || []
       };
 
       setMessages(prev => [...prev, assistantMessage]);
@@ -505,7 +504,7 @@ export const AIAssistant = ({ deals = [] }) => {
                     {message.type === 'user' ? (
                       <p className="text-sm whitespace-pre-wrap">{message.content}</p>
                     ) : (
-                      <AIMessageRenderer content={message.content} />
+                      <AIMessageRenderer content={message.content} actions={message.proposedActions} />
                     )}
                     {message.provider && message.type === 'assistant' && (
                       <p className="text-xs mt-2 opacity-60">via {message.provider}</p>
@@ -1,5 +1,98 @@
 import React, { useState, useMemo } from 'react';
-import { ChevronDown, ChevronUp, DollarSign, TrendingUp, Target, ExternalLink, BarChart3 } from 'lucide-react';
+import { ChevronDown, ChevronUp, DollarSign, TrendingUp, Target, ExternalLink, BarChart3, ArrowRight, Flag, UserPlus, Activity, Check, X, Loader2 } from 'lucide-react';
+import { useApp } from './AppShell';
+import { api } from '../lib/api-client';
+
+const ACTION_ICONS = {
+  move_deal_stage: ArrowRight,
+  set_next_step: Flag,
+  assign_deal: UserPlus,
+  log_activity: Activity
+};
+
+/**
+ * Confirmation card for a change the assistant proposed (ai-assistant
+ * `proposedActions`). Nothing is changed until the user confirms; ai-actions
+ * re-checks the action and applies it through the deal endpoints.
+ *
+ * States: pending → applying → applied | failed (retry or dismiss) | dismissed
+ */
+export const AIActionCard = ({ action, onApplied }) => {
+  const { organization } = useApp();
+  const [state, setState] = useState('pending');
+  const [error, setError] = useState(null);
+  const Icon = ACTION_ICONS[action.tool] || Target;
+
+  const handleConfirm = async () => {
+    setState('applying');
+    setError(null);
+    try {
+      const { data } = await api.post('ai-actions', {
+        organizationId: organization?.id,
+        tool: action.tool,
+        args: action.args
+      });
+      setState('applied');
+      onApplied?.(action, data.result);
+    } catch (err) {
+      setError(err.userMessage || err.message || 'Failed to apply the action');
+      setState('failed');
+    }
+  };
+
+  if (state === 'dismissed') {
+    return (
+      <p className="text-xs text-[#6B7280] dark:text-[#9CA3AF] line-through">{action.summary}</p>
+    );
+  }
+
+  return (
+    <div className={`rounded-xl border p-3 ${
+      state === 'applied'
+        ? 'border-[#1ABC9C]/40 bg-[#1ABC9C]/10'
+        : state === 'failed'
+          ? 'border-rose-400/40 bg-rose-500/10'
+          : 'border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-white/[0.03]'
+    }`}>
+      <div className="flex items-start gap-2">
+        <div className="w-6 h-6 flex-shrink-0 bg-[#1ABC9C]/10 dark:bg-[#1ABC9C]/20 rounded flex items-center justify-center">
+          <Icon className="w-3 h-3 text-[#1ABC9C]" />
+        </div>
+        <div className="flex-1 min-w-0">
+          <p className="text-xs font-semibold text-[#6B7280] dark:text-[#9CA3AF]">{action.label}</p>
+          <p className="text-sm text-[#1A1A1A] dark:text-[#E0E0E0] break-words">{action.summary}</p>
+          {state === 'failed' && error && (
+            <p className="text-xs text-rose-500 dark:text-rose-400 mt-1">{error}</p>
+          )}
+        </div>
+      </div>
+
+      {state === 'applied' ? (
+        <p className="flex items-center gap-1 mt-2 text-xs font-medium text-[#16A085] dark:text-[#1ABC9C]">
+          <Check className="w-3 h-3" /> Done
+        </p>
+      ) : (
+        <div className="flex items-center justify-end gap-2 mt-2">
+          <button
+            onClick={() => setState('dismissed')}
+            disabled={state === 'applying'}
+            className="flex items-center gap-1 px-2.5 py-1 text-xs text-[#6B7280] dark:text-[#9CA3AF] hover:text-[#1A1A1A] dark:hover:text-white rounded-lg transition-colors disabled:opacity-50"
+          >
+            <X className="w-3 h-3" /> Dismiss
+          </button>
+          <button
+            onClick={handleConfirm}
+            disabled={state === 'applying'}
+            className="flex items-center gap-1 px-2.5 py-1 text-xs font-semibold text-white bg-[#1ABC9C] hover:bg-[#16A085] rounded-lg transition-colors disabled:opacity-50"
+          >
+            {state === 'applying' ? <Loader2 className="w-3 h-3 animate-spin" /> : <Check className="w-3 h-3" />}
+            {state === 'failed' ? 'Try again' : 'Confirm'}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
 
 /**
  * Enhanced AI Message Renderer
@@ -7,8 +100,9 @@ import { ChevronDown, ChevronUp, DollarSign, TrendingUp, Target, ExternalLink, B
  * - Extracts and visualizes revenue data
  * - Collapsible sections for detailed info
  * - Mobile-responsive and fast
+ * - Confirmation cards for proposed deal changes (`actions`)
  */
-export const AIMessageRenderer = ({ content }) => {
+export const AIMessageRenderer = ({ content, actions = [], onActionApplied }) => {
   const [expandedSections, setExpandedSections] = useState(new Set(['summary']));
 
   // Parse message content into structured sections
@@ -139,8 +233,21 @@ export const AIMessageRenderer = ({ content }) => {
     return str.replace(/\$/g, '').replace(/,/g, '');
   };
 
+  const actionCards = actions.length > 0 && (
+    <div className="space-y-2">
+      {actions.map(action => (
+        <AIActionCard key={action.id} action={action} onApplied={onActionApplied} />
+      ))}
+    </div>
+  );
+
   if (!parsedContent) {
-    return <p className="text-sm whitespace-pre-wrap">{content}</p>;
+    return (
+      <div className="space-y-3">
+        <p className="text-sm whitespace-pre-wrap">{content}</p>
+        {actionCards}
+      </div>
+    );
   }
 
   const { sections, revenueData } = parsedContent;
@@ -261,6 +368,8 @@ export const AIMessageRenderer = ({ content }) => {
         );
       })}
 
+      {actionCards}
+
       {/* Learn More Link */}
       <button className="flex items-center gap-1 text-xs text-[#1ABC9C] hover:text-[#16A085] transition-colors group mt-2">
         <ExternalLink className="w-3 h-3" />
@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import {
   Sparkles, Check, X, Loader2, AlertCircle,
-  Eye, EyeOff, ExternalLink, Zap, Lock
+  Eye, EyeOff, ExternalLink, Zap, Lock, Server, Plus
 } from 'lucide-react';
 import { supabase } from '../lib/supabase';
 import { useApp } from './AppShell';
@@ -26,6 +26,8 @@ const GeminiLogo = () => (
   </svg>
 );
 
+const CustomEndpointLogo = () => <Server className="w-full h-full" />;
+
 // AI Provider configurations
 const AI_PROVIDERS = [
   {
@@ -57,9 +59,41 @@ const AI_PROVIDERS = [
     description: 'Latest Gemini models',
     signupUrl: 'https://makersuite.google.com/app/apikey',
     docsUrl: 'https://ai.google.dev/docs'
+  },
+  {
+    // Any OpenAI-compatible gateway (vLLM, Ollama, Azure OpenAI); its host must be allowlisted below
+    id: 'custom',
+    name: 'your gateway',
+    displayName: 'Custom endpoint',
+    Logo: CustomEndpointLogo,
+    color: '#94A3B8',
+    description: 'OpenAI-compatible gateway',
+    isCustom: true,
+    docsUrl: 'https://platform.openai.com/docs/api-reference/chat'
   }
 ];
 
+// Hosts of custom endpoint base URLs - a host also allows its subdomains
+const isHostAllowlisted = (url, hosts) => {
+  try {
+    const { hostname } = new URL(url);
+    return hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+  } catch {
+    return false;
+  }
+};
+
+// "Name: value" per line → { Name: 'value' }; returns null when a line has no colon
+const parseHeaderLines = (text) => {
+  const headers = {};
+  for (const line of text.split('\n').map(l => l.trim()).filter(Boolean)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) return null;
+    headers[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+  }
+  return headers;
+};
+
 // CRITICAL FIX: ProviderCard must be defined OUTSIDE AISettings to prevent React error #310
 const ProviderCard = ({ provider, isProviderConnected, getConnectedProvider, handleConnectProvider, handleRemoveProvider }) => {
   if (!provider) {
@@ -135,10 +169,17 @@ const ProviderCard = ({ provider, isProviderConnected, getConnectedProvider, han
             <div className="flex items-center justify-between">
               <div className="flex items-center gap-2">
                 <Lock className="w-4 h-4 text-teal-400" />
-                <div>
-                  <p className="text-sm font-medium text-white">Key configured</p>
-                  <p className="text-xs text-gray-400">Stored securely • Not shown again</p>
-                </div>
+                {provider.isCustom ? (
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-white truncate">{connectedData?.model}</p>
+                    <p className="text-xs text-gray-400 truncate">{connectedData?.base_url}</p>
+                  </div>
+                ) : (
+                  <div>
+                    <p className="text-sm font-medium text-white">Key configured</p>
+                    <p className="text-xs text-gray-400">Stored securely • Not shown again</p>
+                  </div>
+                )}
               </div>
               <span className="text-xs text-gray-400">
                 Added {new Date(connectedData?.created_at).toLocaleDateString()}
@@ -169,7 +210,11 @@ const ProviderCard = ({ provider, isProviderConnected, getConnectedProvider, han
           {/* Body: Helper text */}
           <div className="flex items-center gap-2 text-xs text-gray-400">
             <AlertCircle className="w-3 h-3" />
-            <span>You'll need an API key from {provider.name}</span>
+            <span>
+              {provider.isCustom
+                ? 'Needs an allowlisted https host'
+                : `You'll need an API key from ${provider.name}`}
+            </span>
           </div>
           {/* Footer: Action buttons */}
           <div className="flex gap-2 mt-4">
@@ -180,15 +225,17 @@ const ProviderCard = ({ provider, isProviderConnected, getConnectedProvider, han
             >
               Connect
             </button>
-            <a
-              href={provider.signupUrl}
-              target="_blank"
-              rel="noopener noreferrer"
-              className="flex items-center gap-1 px-4 py-2 border border-gray-700 text-gray-400 hover:text-white rounded-lg hover:bg-gray-800 hover:border-gray-600 transition-all text-sm font-medium"
-            >
-              <ExternalLink className="w-4 h-4" />
-              Get Key
-            </a>
+            {provider.signupUrl && (
+              <a
+                href={provider.signupUrl}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="flex items-center gap-1 px-4 py-2 border border-gray-700 text-gray-400 hover:text-white rounded-lg hover:bg-gray-800 hover:border-gray-600 transition-all text-sm font-medium"
+              >
+                <ExternalLink className="w-4 h-4" />
+                Get Key
+              </a>
+            )}
           </div>
         </div>
       )}
@@ -196,8 +243,85 @@ const ProviderCard = ({ provider, isProviderConnected, getConnectedProvider, han
   );
 };
 
+// Hosts custom endpoints may use (owners and admins edit, others see the list)
+const AIEndpointAllowlist = ({ hosts, canManage, saving, onSave }) => {
+  const [newHost, setNewHost] = useState('');
+
+  const handleAdd = async () => {
+    const host = newHost.trim();
+    if (!host) return;
+    if (await onSave([...hosts, host])) setNewHost('');
+  };
+
+  const handleRemove = (host) => {
+    if (!confirm(`Remove ${host}? Custom endpoints on this host will be disconnected.`)) return;
+    onSave(hosts.filter(h => h !== host));
+  };
+
+  return (
+    <div className="bg-gradient-to-br from-gray-900 to-black rounded-2xl p-6 border border-teal-500/30">
+      <div className="flex items-center gap-2 mb-1">
+        <Server className="w-4 h-4 text-teal-400" />
+        <h4 className="font-bold text-white">Custom endpoint allowlist</h4>
+      </div>
+      <p className="text-sm text-gray-400 mb-4">
+        Custom endpoints must use https on one of these hosts (subdomains included). Private and internal addresses are always blocked.
+      </p>
+
+      {hosts.length > 0 ? (
+        <ul className="flex flex-wrap gap-2 mb-4">
+          {hosts.map(host => (
+            <li key={host} className="flex items-center gap-1 px-3 py-1 bg-gray-800/50 border border-gray-700 rounded-full text-sm text-white font-mono">
+              {host}
+              {canManage && (
+                <button
+                  onClick={() => handleRemove(host)}
+                  disabled={saving}
+                  className="text-gray-400 hover:text-red-400 transition-colors disabled:opacity-50"
+                  aria-label={`Remove ${host}`}
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-xs text-gray-500 mb-4">No hosts yet - custom endpoints can't be connected.</p>
+      )}
+
+      {canManage ? (
+        <div className="flex gap-2">
+          <input
+            type="text"
+            value={newHost}
+            onChange={(e) => setNewHost(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+            placeholder="llm.example.com"
+            aria-label="Host to allow"
+            className="flex-1 px-4 py-2 bg-gray-900/50 border border-gray-700 rounded-lg focus:ring-2 focus:ring-teal-500/50 focus:border-teal-500 text-white font-mono text-sm placeholder-gray-500"
+          />
+          <button
+            onClick={handleAdd}
+            disabled={!newHost.trim() || saving}
+            className="flex items-center gap-1 px-4 py-2 bg-teal-500 hover:bg-teal-600 text-white rounded-lg text-sm font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+            Allow
+          </button>
+        </div>
+      ) : (
+        <p className="text-xs text-gray-500">Only owners and admins can change the allowlist.</p>
+      )}
+    </div>
+  );
+};
+
 export const AISettings = () => {
-  const { user, organization, addNotification } = useApp();
+  const { user, organization, userRole, addNotification } = useApp();
+  const canManage = ['owner', 'admin'].includes(userRole);
+  const [endpointHosts, setEndpointHosts] = useState([]);
+  const [savingHosts, setSavingHosts] = useState(false);
   const [providers, setProviders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAddModal, setShowAddModal] = useState(false);
@@ -261,6 +385,39 @@ export const AISettings = () => {
     fetchProviders();
   }, [fetchProviders]);
 
+  const fetchEndpointHosts = useCallback(async () => {
+    if (!organization) return;
+    try {
+      const { data } = await api.get(`ai-endpoint-allowlist?organizationId=${encodeURIComponent(organization.id)}`);
+      if (data?.success) setEndpointHosts(data.hosts || []);
+    } catch (error) {
+      console.error('[AISettings] Failed to load AI endpoint allowlist:', error);
+    }
+  }, [organization]);
+
+  useEffect(() => {
+    fetchEndpointHosts();
+  }, [fetchEndpointHosts]);
+
+  const saveEndpointHosts = async (hosts) => {
+    setSavingHosts(true);
+    try {
+      const { data } = await api.put('ai-endpoint-allowlist', { organizationId: organization.id, hosts });
+      if (!data?.success) throw new Error(data?.error || 'Failed to save allowlist');
+      setEndpointHosts(data.hosts);
+      if (data.deactivatedProviders > 0) {
+        addNotification('Custom endpoint disconnected - its host is no longer allowed', 'warning');
+        fetchProviders();
+      }
+      return true;
+    } catch (error) {
+      addNotification(error.userMessage || error.message || 'Failed to save allowlist', 'error');
+      return false;
+    } finally {
+      setSavingHosts(false);
+    }
+  };
+
   const isProviderConnected = (providerId) => {
     return providers.some(p => p.provider_type === providerId);
   };
@@ -424,9 +581,17 @@ export const AISettings = () => {
         )}
       </div>
 
+      <AIEndpointAllowlist
+        hosts={endpointHosts}
+        canManage={canManage}
+        saving={savingHosts}
+        onSave={saveEndpointHosts}
+      />
+
       {showAddModal && selectedProvider && (
         <AddProviderModal
           provider={selectedProvider}
+          endpointHosts={endpointHosts}
           onClose={() => {
             setShowAddModal(false);
             setSelectedProvider(null);
@@ -453,11 +618,15 @@ export const AISettings = () => {
   );
 };
 
-const AddProviderModal = ({ provider, onClose, onSuccess }) => {
+const AddProviderModal = ({ provider, endpointHosts = [], onClose, onSuccess }) => {
   const { user, organization, addNotification } = useApp();
   const [apiKey, setApiKey] = useState('');
   const [showKey, setShowKey] = useState(false);
   const [saving, setSaving] = useState(false);
+  // Custom endpoint fields
+  const [baseUrl, setBaseUrl] = useState('');
+  const [model, setModel] = useState('');
+  const [headerText, setHeaderText] = useState('');
 
   if (!provider) {
     console.error('AddProviderModal received undefined provider');
@@ -490,21 +659,37 @@ const AddProviderModal = ({ provider, onClose, onSuccess }) => {
         // Length can vary, but typically 39-40 chars total
         return trimmed.startsWith('AIza') && trimmed.length >= 35;
 
+      case 'custom':
+        // Gateway keys have no common format - the endpoint decides
+        return true;
+
       default:
         // Generic fallback: any non-empty string with reasonable length
         return trimmed.length >= 20;
     }
   };
 
+  const customHeaders = provider.isCustom ? parseHeaderLines(headerText) : {};
+  const customReady = baseUrl.trim().startsWith('https://') && model.trim() && customHeaders !== null;
+
   const handleSave = async () => {
     const trimmedKey = apiKey.trim();
-    
-    if (!trimmedKey) {
+
+    if (provider.isCustom) {
+      if (!customReady) {
+        addNotification('Enter an https base URL, a model and headers as "Name: value" lines', 'error');
+        return;
+      }
+      if (!isHostAllowlisted(baseUrl.trim(), endpointHosts)) {
+        addNotification('Add the endpoint\'s host to the allowlist first', 'error');
+        return;
+      }
+    } else if (!trimmedKey) {
       addNotification('Please enter an API key', 'error');
       return;
     }
 
-    if (!validateApiKey(trimmedKey, provider.id)) {
+    if (trimmedKey && !validateApiKey(trimmedKey, provider.id)) {
       addNotification(`Invalid ${provider.displayName} API key format`, 'error');
       return;
     }
@@ -512,15 +697,21 @@ const AddProviderModal = ({ provider, onClose, onSuccess }) => {
     setSaving(true);
 
     try {
-      // Save to backend (model is auto-selected by backend based on provider)
+      // Save to backend (model is auto-selected by backend based on provider; custom endpoints name theirs)
       const response = await api.post('save-ai-provider', {
         user_id: user.id,
         organization_id: organization.id,
         provider_type: provider.id,
         api_key: trimmedKey,
-        display_name: provider.displayName
+        display_name: provider.displayName,
+        ...(provider.isCustom && {
+          base_url: baseUrl.trim(),
+          model: model.trim(),
+          headers: customHeaders
+        })
       }, {
-        timeout: 10000
+        // Custom endpoints are verified with a real completion, which can take longer
+        timeout: provider.isCustom ? 20000 : 10000
       });
 
       // Extract the saved provider data from response
@@ -610,9 +801,43 @@ const AddProviderModal = ({ provider, onClose, onSuccess }) => {
         </div>
 
         <div className="space-y-4 mb-6">
+          {provider.isCustom && (
+            <>
+              <div>
+                <label htmlFor="ai-base-url" className="block text-sm font-medium text-gray-300 mb-2">
+                  Base URL
+                </label>
+                <input
+                  id="ai-base-url"
+                  type="url"
+                  value={baseUrl}
+                  onChange={(e) => setBaseUrl(e.target.value)}
+                  placeholder="https://llm.example.com/v1"
+                  className="w-full px-4 py-2.5 bg-gray-900/50 border border-gray-700 rounded-lg focus:ring-2 focus:ring-teal-500/50 focus:border-teal-500 text-white font-mono text-sm placeholder-gray-500"
+                />
+                {baseUrl.trim() && !isHostAllowlisted(baseUrl.trim(), endpointHosts) && (
+                  <p role="alert" className="text-xs text-amber-400 mt-1">This host isn't on the allowlist yet.</p>
+                )}
+              </div>
+              <div>
+                <label htmlFor="ai-model" className="block text-sm font-medium text-gray-300 mb-2">
+                  Model
+                </label>
+                <input
+                  id="ai-model"
+                  type="text"
+                  value={model}
+                  onChange={(e) => setModel(e.target.value)}
+                  placeholder="llama-3.1-70b-instruct"
+                  className="w-full px-4 py-2.5 bg-gray-900/50 border border-gray-700 rounded-lg focus:ring-2 focus:ring-teal-500/50 focus:border-teal-500 text-white font-mono text-sm placeholder-gray-500"
+                />
+              </div>
+            </>
+          )}
+
           <div>
             <label htmlFor="ai-api-key" className="block text-sm font-medium text-gray-300 mb-2">
-              API Key
+              {provider.isCustom ? 'API Key (optional)' : 'API Key'}
             </label>
             <div className="relative">
               <input
@@ -620,12 +845,12 @@ const AddProviderModal = ({ provider, onClose, onSuccess }) => {
                 type={showKey ? 'text' : 'password'}
                 value={apiKey}
                 onChange={(e) => setApiKey(e.target.value)}
-                placeholder={`sk-...`}
+                placeholder={provider.isCustom ? 'Leave empty if the gateway needs none' : `sk-...`}
                 autoComplete="new-password"
                 data-1p-ignore
                 data-lpignore="true"
                 data-form-type="other"
-                aria-invalid={!apiKey.trim() ? 'true' : 'false'}
+                aria-invalid={!apiKey.trim() && !provider.isCustom ? 'true' : 'false'}
                 aria-describedby="ai-api-key-help"
                 className="w-full px-4 py-2.5 pr-10 bg-gray-900/50 border border-gray-700 rounded-lg focus:ring-2 focus:ring-teal-500/50 focus:border-teal-500 text-white font-mono text-sm placeholder-gray-500 transition-colors duration-200"
               />
@@ -639,12 +864,36 @@ const AddProviderModal = ({ provider, onClose, onSuccess }) => {
             </div>
           </div>
 
+          {provider.isCustom && (
+            <div>
+              <label htmlFor="ai-headers" className="block text-sm font-medium text-gray-300 mb-2">
+                Extra headers (optional)
+              </label>
+              <textarea
+                id="ai-headers"
+                rows={2}
+                value={headerText}
+                onChange={(e) => setHeaderText(e.target.value)}
+                placeholder="api-key: ..."
+                aria-invalid={customHeaders === null ? 'true' : 'false'}
+                className="w-full px-4 py-2.5 bg-gray-900/50 border border-gray-700 rounded-lg focus:ring-2 focus:ring-teal-500/50 focus:border-teal-500 text-white font-mono text-sm placeholder-gray-500"
+              />
+            </div>
+          )}
+
           <div className="bg-teal-500/10 border border-teal-500/30 rounded-lg p-3 flex items-start gap-2">
             <AlertCircle className="w-4 h-4 text-teal-400 mt-0.5 flex-shrink-0" />
-            <div className="text-xs text-gray-300">
-              <p id="ai-api-key-help" className="font-medium text-white mb-1">One key for all {provider.displayName} models</p>
-              <p>Get your API key from <a href={provider.signupUrl} target="_blank" rel="noopener noreferrer" className="text-teal-400 hover:text-teal-300 hover:underline transition-colors duration-200">{provider.name}</a>. The key works with all available models and will be encrypted.</p>
-            </div>
+            {provider.isCustom ? (
+              <div className="text-xs text-gray-300">
+                <p id="ai-api-key-help" className="font-medium text-white mb-1">Any OpenAI-compatible chat completions API</p>
+                <p>vLLM, Ollama, Azure OpenAI or your own proxy. The key is sent as a Bearer token; use a header line instead if your gateway expects another one (Azure: <span className="font-mono">api-key: ...</span>). Key and headers are encrypted.</p>
+              </div>
+            ) : (
+              <div className="text-xs text-gray-300">
+                <p id="ai-api-key-help" className="font-medium text-white mb-1">One key for all {provider.displayName} models</p>
+                <p>Get your API key from <a href={provider.signupUrl} target="_blank" rel="noopener noreferrer" className="text-teal-400 hover:text-teal-300 hover:underline transition-colors duration-200">{provider.name}</a>. The key works with all available models and will be encrypted.</p>
+              </div>
+            )}
           </div>
         </div>
 
@@ -657,7 +906,7 @@ const AddProviderModal = ({ provider, onClose, onSuccess }) => {
           </button>
           <button
             onClick={handleSave}
-            disabled={!apiKey.trim() || saving}
+            disabled={(provider.isCustom ? !customReady : !apiKey.trim()) || saving}
             className="flex-1 bg-gradient-to-r from-teal-600 to-teal-500 hover:from-teal-500 hover:to-teal-400 text-white px-4 py-2.5 rounded-lg shadow-lg hover:shadow-teal-500/20 transition-all duration-200 font-medium disabled:opacity-50 disabled:cursor-not-allowed disabled:hover:from-teal-600 disabled:hover:to-teal-500"
           >
             {saving ? <Loader2 className="w-4 h-4 animate-spin mx-auto" /> : 'Connect'}
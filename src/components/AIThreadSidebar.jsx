@@ -0,0 +1,276 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, Search, Pin, PinOff, Share2, Pencil, Trash2, X, Plus, Users } from 'lucide-react';
+import { useApp } from './AppShell';
+import { api } from '../lib/api-client';
+import { AI_THREAD_LIMITS } from '../config/aiThreads';
+
+/**
+ * Mission Control conversation history
+ *
+ * The user's threads (pinned first), threads teammates shared read-only, and
+ * full-text search across past questions and answers. The owner can rename,
+ * pin, share and delete a thread from here. `refreshKey` reloads the list
+ * after CustomQueryView appends to a thread.
+ */
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+const formatWhen = (iso) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  return date.toDateString() === new Date().toDateString()
+    ? date.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' })
+    : date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+const iconButtonClass = 'p-1 rounded-md text-white/40 hover:text-white hover:bg-white/[0.08] transition-colors';
+
+export const AIThreadSidebar = ({ activeThreadId, refreshKey, onSelect, onNewConversation, onThreadDeleted, onThreadUpdated, onClose }) => {
+  const { organization, addNotification } = useApp();
+  const [threads, setThreads] = useState([]);
+  const [shared, setShared] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [results, setResults] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [renaming, setRenaming] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const organizationId = organization?.id;
+
+  const loadThreads = useCallback(async () => {
+    if (!organizationId) {
+      setLoading(false);
+      return;
+    }
+    try {
+      const { data } = await api.get(`ai-threads?organizationId=${organizationId}`);
+      setThreads(data.threads || []);
+      setShared(data.shared || []);
+    } catch (error) {
+      console.error('Error loading conversations:', error);
+      addNotification(error.userMessage || error.message || 'Failed to load conversations', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [organizationId, addNotification]);
+
+  useEffect(() => {
+    loadThreads();
+  }, [loadThreads, refreshKey]);
+
+  useEffect(() => {
+    const q = search.trim();
+    if (!organizationId || q.length < AI_THREAD_LIMITS.SEARCH_MIN_QUERY_LENGTH) {
+      setResults(null);
+      setSearching(false);
+      return undefined;
+    }
+    setSearching(true);
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const params = new URLSearchParams({ organizationId, q });
+        const { data } = await api.get(`ai-threads?${params.toString()}`);
+        if (!cancelled) setResults(data.results || []);
+      } catch (error) {
+        if (!cancelled) addNotification(error.userMessage || error.message || 'Search failed', 'error');
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [search, organizationId, addNotification]);
+
+  const updateThread = async (thread, payload) => {
+    setBusyId(thread.id);
+    try {
+      const { data } = await api.post('ai-threads', { organizationId, id: thread.id, ...payload });
+      setThreads(current => current.map(item => (item.id === thread.id ? data.thread : item)));
+      onThreadUpdated?.(data.thread);
+      return true;
+    } catch (error) {
+      addNotification(error.userMessage || error.message || 'Failed to update the conversation', 'error');
+      return false;
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePin = async (thread) => {
+    if (await updateThread(thread, { action: 'pin', pinned: !thread.pinned })) loadThreads();
+  };
+
+  const handleShare = async (thread) => {
+    if (await updateThread(thread, { action: 'share', shared: !thread.shared })) {
+      addNotification(thread.shared ? 'Conversation is private again' : 'Teammates can now read this conversation', 'success');
+    }
+  };
+
+  const handleRename = async (event) => {
+    event.preventDefault();
+    const title = renaming.title.trim();
+    const thread = threads.find(item => item.id === renaming.id);
+    if (!title || !thread || title === thread.title) {
+      setRenaming(null);
+      return;
+    }
+    if (await updateThread(thread, { action: 'rename', title })) setRenaming(null);
+  };
+
+  const handleDelete = async (thread) => {
+    if (!window.confirm(`Delete "${thread.title}"? This can't be undone.`)) return;
+    setBusyId(thread.id);
+    try {
+      await api.post('ai-threads', { organizationId, action: 'delete', id: thread.id });
+      setThreads(current => current.filter(item => item.id !== thread.id));
+      onThreadDeleted?.(thread.id);
+    } catch (error) {
+      addNotification(error.userMessage || error.message || 'Failed to delete the conversation', 'error');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const renderThread = (thread, { owned }) => {
+    const isActive = thread.id === activeThreadId;
+    const isBusy = busyId === thread.id;
+
+    if (renaming?.id === thread.id) {
+      return (
+        <form key={thread.id} onSubmit={handleRename} className="px-2 py-1.5">
+          <input
+            autoFocus
+            value={renaming.title}
+            maxLength={AI_THREAD_LIMITS.TITLE_MAX_LENGTH}
+            onChange={(e) => setRenaming({ ...renaming, title: e.target.value })}
+            onBlur={handleRename}
+            onKeyDown={(e) => e.key === 'Escape' && setRenaming(null)}
+            className="w-full px-2 py-1 bg-white/[0.05] border border-white/[0.15] rounded-md text-sm text-white focus:ring-2 focus:ring-[#0CE3B1]/50 focus:border-transparent"
+          />
+        </form>
+      );
+    }
+
+    return (
+      <div
+        key={thread.id}
+        className={`group flex items-center gap-2 px-2 py-1.5 rounded-lg transition-colors ${
+          isActive ? 'bg-[#0CE3B1]/10 border border-[#0CE3B1]/20' : 'border border-transparent hover:bg-white/[0.04]'
+        }`}
+      >
+        <button onClick={() => onSelect(thread.id)} className="flex-1 min-w-0 text-left">
+          <p className={`text-sm truncate ${isActive ? 'text-white' : 'text-white/80'}`}>{thread.title}</p>
+          <p className="text-xs text-white/40">
+            {formatWhen(thread.lastMessageAt || thread.updatedAt)}
+            {owned && thread.shared && ' · Shared'}
+          </p>
+        </button>
+        {owned && (
+          isBusy ? (
+            <Loader2 className="w-3.5 h-3.5 text-white/40 animate-spin" />
+          ) : (
+            <div className="hidden group-hover:flex group-focus-within:flex items-center">
+              <button onClick={() => handlePin(thread)} className={iconButtonClass} title={thread.pinned ? 'Unpin' : 'Pin'}>
+                {thread.pinned ? <PinOff className="w-3.5 h-3.5" /> : <Pin className="w-3.5 h-3.5" />}
+              </button>
+              <button
+                onClick={() => handleShare(thread)}
+                className={`${iconButtonClass} ${thread.shared ? 'text-[#0CE3B1]' : ''}`}
+                title={thread.shared ? 'Stop sharing with teammates' : 'Share read-only with teammates'}
+              >
+                <Share2 className="w-3.5 h-3.5" />
+              </button>
+              <button onClick={() => setRenaming({ id: thread.id, title: thread.title })} className={iconButtonClass} title="Rename">
+                <Pencil className="w-3.5 h-3.5" />
+              </button>
+              <button onClick={() => handleDelete(thread)} className={`${iconButtonClass} hover:text-rose-400`} title="Delete">
+                <Trash2 className="w-3.5 h-3.5" />
+              </button>
+            </div>
+          )
+        )}
+      </div>
+    );
+  };
+
+  const pinned = threads.filter(thread => thread.pinned);
+  const recent = threads.filter(thread => !thread.pinned);
+
+  const renderSection = (title, items, options) => items.length > 0 && (
+    <div className="space-y-1">
+      <p className="px-2 text-[11px] font-semibold uppercase tracking-wide text-white/40">{title}</p>
+      {items.map(thread => renderThread(thread, options))}
+    </div>
+  );
+
+  return (
+    <div className="flex flex-col max-h-[480px] bg-[#0D1F2D] border border-white/[0.1] rounded-2xl shadow-2xl overflow-hidden">
+      <div className="flex items-center justify-between px-3 py-2.5 border-b border-white/[0.08]">
+        <p className="text-sm font-semibold text-white">Conversations</p>
+        <div className="flex items-center gap-1">
+          <button onClick={onNewConversation} className={iconButtonClass} title="New conversation">
+            <Plus className="w-4 h-4" />
+          </button>
+          <button onClick={onClose} className={iconButtonClass} title="Close">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      <div className="px-3 py-2 border-b border-white/[0.08]">
+        <div className="relative">
+          <Search className="absolute left-2.5 top-1/2 -translate-y-1/2 w-3.5 h-3.5 text-white/40" />
+          <input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search past answers..."
+            className="w-full pl-8 pr-2 py-1.5 bg-white/[0.03] border border-white/[0.1] rounded-lg text-sm text-white placeholder-white/40 focus:ring-2 focus:ring-[#0CE3B1]/50 focus:border-transparent"
+          />
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-2 space-y-4">
+        {results !== null || searching ? (
+          searching && !results ? (
+            <div className="flex justify-center py-6"><Loader2 className="w-5 h-5 text-white/40 animate-spin" /></div>
+          ) : results.length === 0 ? (
+            <p className="px-2 py-6 text-center text-sm text-white/40">No matches</p>
+          ) : (
+            <div className="space-y-1">
+              {results.map(result => (
+                <button
+                  key={result.messageId}
+                  onClick={() => onSelect(result.threadId)}
+                  className="w-full text-left px-2 py-1.5 rounded-lg hover:bg-white/[0.04] transition-colors"
+                >
+                  <p className="flex items-center gap-1.5 text-xs text-white/50">
+                    {result.shared && <Users className="w-3 h-3" />}
+                    <span className="truncate">{result.threadTitle}</span>
+                    <span className="flex-shrink-0">· {formatWhen(result.createdAt)}</span>
+                  </p>
+                  <p className="text-sm text-white/80 line-clamp-2">{result.snippet}</p>
+                </button>
+              ))}
+            </div>
+          )
+        ) : loading ? (
+          <div className="flex justify-center py-6"><Loader2 className="w-5 h-5 text-white/40 animate-spin" /></div>
+        ) : threads.length === 0 && shared.length === 0 ? (
+          <p className="px-2 py-6 text-center text-sm text-white/40">Your conversations will appear here</p>
+        ) : (
+          <>
+            {renderSection('Pinned', pinned, { owned: true })}
+            {renderSection('Recent', recent, { owned: true })}
+            {renderSection('Shared with you', shared, { owned: false })}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AIThreadSidebar;
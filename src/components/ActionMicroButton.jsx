@@ -7,7 +7,8 @@ import { Loader2 } from 'lucide-react';
  * Subtle mint-outline micro-buttons for inline AI execution actions.
  * Appear under each Plan My Day recommendation for contextual actions.
  *
- * Actions: Draft Message, Research Company, Prepare Conversation, Follow-Up Plan
+ * Actions: Draft Message, Research Company, Prepare Conversation, Follow-Up Plan,
+ * plus Log Activity (records the resulting call/email/meeting on a deal)
  *
  * Design: Tiny, subtle mint outline, minimal footprint, disabled when offline
  */
@@ -66,6 +67,7 @@ export const ActionMicroButtonGroup = ({
   onResearchCompany,
   onPrepareConversation,
   onFollowUpPlan,
+  onLogActivity, // optional - renders the "Log Activity" button when provided
   isOffline = false,
   loadingAction = null, // 'draft' | 'research' | 'prepare' | 'followup' | null
   className = ''
@@ -95,6 +97,12 @@ export const ActionMicroButtonGroup = ({
     </svg>
   );
 
+  const PenLine = ({ className }) => (
+    <svg className={className} viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+      <path d="M12 20h9"/><path d="M16.5 3.5a2.12 2.12 0 0 1 3 3L7 19l-4 1 1-4Z"/>
+    </svg>
+  );
+
   const context = { dealId, dealName, contactName, companyName };
   const offlineTooltip = isOffline ? ' (Offline - unavailable)' : '';
 
@@ -132,6 +140,15 @@ export const ActionMicroButtonGroup = ({
         loading={loadingAction === 'followup'}
         tooltip={`Plan follow-up sequence for ${dealName}${offlineTooltip}`}
       />
+      {onLogActivity && (
+        <ActionMicroButton
+          icon={PenLine}
+          label="Log Activity"
+          onClick={() => onLogActivity(context)}
+          disabled={isOffline}
+          tooltip={`Log a call, email or meeting${offlineTooltip}`}
+        />
+      )}
     </div>
   );
 };
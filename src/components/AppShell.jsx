@@ -286,6 +286,8 @@ export const AppProvider = ({ children }) => {
             .from('team_members')
             .select('organization_id, organizations(id, name, pipeline_template, created_at, plan), role')
             .eq('user_id', user.id)
+            // Most recent membership first, so accepting a team invitation opens that workspace
+            .order('created_at', { ascending: false })
             .limit(1)
             .maybeSingle();
 
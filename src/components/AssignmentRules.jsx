@@ -0,0 +1,554 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, Plus, Trash2, ChevronUp, ChevronDown, Pencil, FlaskConical, X } from 'lucide-react';
+import { api } from '../lib/api-client';
+import { useApp } from './AppShell';
+import { useCustomFields } from '../hooks/useCustomFields';
+import {
+  ASSIGNMENT_RULE_LIMITS,
+  ASSIGNMENT_SOURCES,
+  ASSIGNMENT_REASONS,
+  CONDITION_FIELDS,
+  CONDITION_OPERATORS,
+  CONDITION_OPERATOR_LABELS,
+  OPERATORS_BY_KIND,
+  getConditionKind,
+  validateAssignmentRule,
+  describeCondition
+} from '../config/assignmentRules';
+
+const compactInputClass = 'w-full px-3 py-2 bg-gray-800/50 border border-gray-700 rounded-lg text-sm text-white placeholder-gray-500 focus:ring-2 focus:ring-teal-500 focus:border-transparent transition';
+
+const EMPTY_RULE = { name: '', conditions: [], assignees: [], fallbackUserId: null, isActive: true };
+
+const REASON_LABELS = {
+  [ASSIGNMENT_REASONS.RULE]: 'Rotation',
+  [ASSIGNMENT_REASONS.FALLBACK]: 'Fallback (all at capacity)',
+  [ASSIGNMENT_REASONS.CAPPED]: 'All at capacity - keeps owner',
+  [ASSIGNMENT_REASONS.NO_MATCH]: 'No rule - keeps owner'
+};
+
+const formatValue = (value) => (value === null || value === undefined ? '—' : `$${Number(value).toLocaleString()}`);
+
+// Blank value for a newly chosen operator
+const initialValue = (operator) => {
+  if (operator === CONDITION_OPERATORS.IS_ANY_OF) return [];
+  if (operator === CONDITION_OPERATORS.BETWEEN) return [null, null];
+  if (operator === CONDITION_OPERATORS.IS_SET) return undefined;
+  return '';
+};
+
+/**
+ * Value input for one condition: source picker, list, number range, number or text
+ */
+const ConditionValueInput = ({ condition, kind, onChange }) => {
+  const { operator, value } = condition;
+  if (operator === CONDITION_OPERATORS.IS_SET) return null;
+
+  if (condition.field === 'source' && operator !== CONDITION_OPERATORS.IS_ANY_OF) {
+    return (
+      <select value={value || ''} onChange={(e) => onChange(e.target.value)} className={compactInputClass} aria-label="Source">
+        <option value="">Choose…</option>
+        {ASSIGNMENT_SOURCES.map(source => <option key={source.id} value={source.id}>{source.label}</option>)}
+      </select>
+    );
+  }
+
+  if (operator === CONDITION_OPERATORS.IS_ANY_OF) {
+    return (
+      <input
+        type="text"
+        value={Array.isArray(value) ? value.join(', ') : ''}
+        onChange={(e) => onChange(e.target.value.split(',').map(item => item.trim()).filter(Boolean))}
+        className={compactInputClass}
+        placeholder={condition.field === 'source' ? ASSIGNMENT_SOURCES.map(source => source.id).join(', ') : 'Values, comma separated'}
+        aria-label="Values"
+      />
+    );
+  }
+
+  if (operator === CONDITION_OPERATORS.BETWEEN) {
+    const [min, max] = Array.isArray(value) ? value : [null, null];
+    const toBound = (raw) => (raw === '' ? null : Number(raw));
+    return (
+      <div className="flex items-center gap-1">
+        <input type="number" value={min ?? ''} onChange={(e) => onChange([toBound(e.target.value), max])} className={compactInputClass} placeholder="Min" aria-label="Minimum" />
+        <input type="number" value={max ?? ''} onChange={(e) => onChange([min, toBound(e.target.value)])} className={compactInputClass} placeholder="Max" aria-label="Maximum" />
+      </div>
+    );
+  }
+
+  return (
+    <input
+      type={kind === 'number' ? 'number' : 'text'}
+      value={value ?? ''}
+      onChange={(e) => onChange(kind === 'number' && e.target.value !== '' ? Number(e.target.value) : e.target.value)}
+      className={compactInputClass}
+      placeholder={condition.field === 'email_domain' ? 'acme.com' : 'Value'}
+      maxLength={200}
+      aria-label="Value"
+    />
+  );
+};
+
+/**
+ * Create/edit form for one rule
+ */
+const RuleEditor = ({ draft, setDraft, fields, members, customFields, busy, onSave, onCancel, onSimulate }) => {
+  const updateCondition = (index, patch) => setDraft({
+    ...draft,
+    conditions: draft.conditions.map((condition, i) => (i === index ? { ...condition, ...patch } : condition))
+  });
+  const updateAssignee = (index, patch) => setDraft({
+    ...draft,
+    assignees: draft.assignees.map((assignee, i) => (i === index ? { ...assignee, ...patch } : assignee))
+  });
+  const unusedMembers = members.filter(member => !draft.assignees.some(assignee => assignee.userId === member.id));
+
+  const addCondition = () => {
+    const operator = OPERATORS_BY_KIND.choice[0];
+    setDraft({ ...draft, conditions: [...draft.conditions, { field: 'source', operator, value: initialValue(operator) }] });
+  };
+
+  return (
+    <form onSubmit={onSave} className="space-y-4 p-4 bg-gray-800/30 border border-teal-500/30 rounded-xl">
+      <input
+        type="text"
+        value={draft.name}
+        onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+        className={compactInputClass}
+        placeholder="Rule name (e.g. Enterprise - West)"
+        maxLength={100}
+        aria-label="Rule name"
+      />
+
+      <div className="space-y-2">
+        <p className="text-xs font-medium text-gray-400">When all of these match {draft.conditions.length === 0 && '(no conditions: every new deal)'}</p>
+        {draft.conditions.map((condition, index) => {
+          const kind = getConditionKind(condition.field, customFields);
+          const operators = OPERATORS_BY_KIND[kind] || [];
+          return (
+            <div key={index} className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_1.5fr_auto] gap-2 items-center">
+              <select
+                value={condition.field}
+                onChange={(e) => {
+                  const nextKind = getConditionKind(e.target.value, customFields);
+                  const operator = OPERATORS_BY_KIND[nextKind][0];
+                  updateCondition(index, { field: e.target.value, operator, value: initialValue(operator) });
+                }}
+                className={compactInputClass}
+                aria-label="Field"
+              >
+                {fields.map(field => <option key={field.id} value={field.id}>{field.label}</option>)}
+              </select>
+              <select
+                value={condition.operator}
+                onChange={(e) => updateCondition(index, { operator: e.target.value, value: initialValue(e.target.value) })}
+                className={compactInputClass}
+                aria-label="Operator"
+              >
+                {operators.map(operator => <option key={operator} value={operator}>{CONDITION_OPERATOR_LABELS[operator]}</option>)}
+              </select>
+              <ConditionValueInput condition={condition} kind={kind} onChange={(value) => updateCondition(index, { value })} />
+              <button
+                type="button"
+                onClick={() => setDraft({ ...draft, conditions: draft.conditions.filter((_, i) => i !== index) })}
+                className="p-1 text-gray-500 hover:text-red-400 transition justify-self-end"
+                aria-label="Remove condition"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+          );
+        })}
+        {draft.conditions.length < ASSIGNMENT_RULE_LIMITS.MAX_CONDITIONS && (
+          <button type="button" onClick={addCondition} className="flex items-center gap-1 text-xs text-teal-400 hover:text-teal-300 transition">
+            <Plus className="w-3.5 h-3.5" /> Add condition
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-2">
+        <p className="text-xs font-medium text-gray-400">Assign in turn to (weight = share of deals, cap = max open deals)</p>
+        {draft.assignees.map((assignee, index) => (
+          <div key={assignee.userId || index} className="grid grid-cols-[2fr_1fr_1fr_auto] gap-2 items-center">
+            <select
+              value={assignee.userId}
+              onChange={(e) => updateAssignee(index, { userId: e.target.value })}
+              className={compactInputClass}
+              aria-label="Member"
+            >
+              {members
+                .filter(member => member.id === assignee.userId || unusedMembers.includes(member))
+                .map(member => <option key={member.id} value={member.id}>{member.name}</option>)}
+              {!members.some(member => member.id === assignee.userId) && <option value={assignee.userId}>Former member</option>}
+            </select>
+            <input
+              type="number"
+              min={1}
+              max={ASSIGNMENT_RULE_LIMITS.MAX_WEIGHT}
+              value={assignee.weight}
+              onChange={(e) => updateAssignee(index, { weight: Number(e.target.value) })}
+              className={compactInputClass}
+              aria-label="Weight"
+            />
+            <input
+              type="number"
+              min={1}
+              value={assignee.cap ?? ''}
+              onChange={(e) => updateAssignee(index, { cap: e.target.value === '' ? null : Number(e.target.value) })}
+              className={compactInputClass}
+              placeholder="No cap"
+              aria-label="Cap"
+            />
+            <button
+              type="button"
+              onClick={() => setDraft({ ...draft, assignees: draft.assignees.filter((_, i) => i !== index) })}
+              className="p-1 text-gray-500 hover:text-red-400 transition"
+              aria-label="Remove assignee"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+        {unusedMembers.length > 0 && draft.assignees.length < ASSIGNMENT_RULE_LIMITS.MAX_ASSIGNEES && (
+          <button
+            type="button"
+            onClick={() => setDraft({ ...draft, assignees: [...draft.assignees, { userId: unusedMembers[0].id, weight: 1, cap: null }] })}
+            className="flex items-center gap-1 text-xs text-teal-400 hover:text-teal-300 transition"
+          >
+            <Plus className="w-3.5 h-3.5" /> Add assignee
+          </button>
+        )}
+      </div>
+
+      <label className="block">
+        <span className="block text-xs font-medium text-gray-400 mb-1">When everyone is at their cap, assign to</span>
+        <select
+          value={draft.fallbackUserId || ''}
+          onChange={(e) => setDraft({ ...draft, fallbackUserId: e.target.value || null })}
+          className={compactInputClass}
+        >
+          <option value="">Nobody - keep the default owner</option>
+          {members.map(member => <option key={member.id} value={member.id}>{member.name}</option>)}
+        </select>
+      </label>
+
+      <div className="flex flex-wrap justify-end gap-2">
+        <button type="button" onClick={onCancel} disabled={busy} className="px-3 py-2 text-sm text-gray-400 hover:text-white transition">
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={onSimulate}
+          disabled={busy}
+          className="flex items-center gap-1 px-3 py-2 border border-gray-700 text-gray-300 hover:text-white hover:bg-gray-800/50 text-sm rounded-lg transition disabled:opacity-50"
+        >
+          <FlaskConical className="w-4 h-4" /> Simulate
+        </button>
+        <button
+          type="submit"
+          disabled={busy}
+          className="flex items-center gap-1 px-3 py-2 bg-teal-500 hover:bg-teal-600 text-white text-sm rounded-lg transition disabled:opacity-50"
+        >
+          {busy && <Loader2 className="w-4 h-4 animate-spin" />}
+          Save rule
+        </button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Settings editor for deal assignment rules (Settings → Pipeline).
+ * Read-only for members without settings rights.
+ */
+export const AssignmentRulesManager = ({ organizationId, canEdit }) => {
+  const { addNotification } = useApp();
+  const { fields: customFields } = useCustomFields(organizationId);
+  const [rules, setRules] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [draft, setDraft] = useState(null); // rule being edited ({ id? , ... })
+  const [simulation, setSimulation] = useState(null);
+
+  const conditionFields = [
+    ...CONDITION_FIELDS,
+    ...customFields
+      .filter(field => getConditionKind(`custom:${field.key}`, customFields))
+      .map(field => ({ id: `custom:${field.key}`, label: field.label }))
+  ];
+  const memberName = (userId) => members.find(member => member.id === userId)?.name || 'Former member';
+
+  const loadRules = useCallback(async () => {
+    if (!organizationId) {
+      setLoading(false);
+      return;
+    }
+    try {
+      const { data } = await api.get(`assignment-rules?organizationId=${encodeURIComponent(organizationId)}`);
+      setRules(data.rules || []);
+      setMembers(data.members || []);
+    } catch (error) {
+      console.error('[AssignmentRulesManager] Load failed:', error);
+      addNotification(error.userMessage || error.message || 'Failed to load assignment rules', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [organizationId, addNotification]);
+
+  useEffect(() => {
+    loadRules();
+  }, [loadRules]);
+
+  const post = async (payload, successMessage) => {
+    setBusy(true);
+    try {
+      const { data } = await api.post('assignment-rules', { organizationId, ...payload }, { maxRetries: 0 });
+      if (successMessage) addNotification(successMessage, 'success');
+      return data;
+    } catch (error) {
+      addNotification(error.userMessage || error.message || 'Something went wrong', 'error');
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const errors = validateAssignmentRule(draft, customFields);
+    if (errors.length > 0) {
+      addNotification(errors[0], 'error');
+      return;
+    }
+    const { id, ...rule } = draft;
+    const result = await post(
+      id ? { action: 'update', id, rule } : { action: 'create', rule },
+      `Saved "${rule.name.trim()}"`
+    );
+    if (result) {
+      setDraft(null);
+      await loadRules();
+    }
+  };
+
+  const handleToggle = async (rule) => {
+    const { id, position, rotation, updatedAt, ...fields } = rule;
+    if (await post({ action: 'update', id, rule: { ...fields, isActive: !rule.isActive } })) await loadRules();
+  };
+
+  const handleDelete = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"? Existing deals keep their owners.`)) return;
+    if (await post({ action: 'delete', id: rule.id }, `Deleted "${rule.name}"`)) await loadRules();
+  };
+
+  const handleMove = async (index, offset) => {
+    const ids = rules.map(rule => rule.id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    const result = await post({ action: 'reorder', ids });
+    if (result) setRules(result.rules);
+  };
+
+  // Saved rules with the open draft swapped in (or appended when new)
+  const handleSimulate = async () => {
+    let candidateRules;
+    if (draft) {
+      const errors = validateAssignmentRule(draft, customFields);
+      if (errors.length > 0) {
+        addNotification(errors[0], 'error');
+        return;
+      }
+      candidateRules = draft.id
+        ? rules.map(rule => (rule.id === draft.id ? draft : rule))
+        : [...rules, draft];
+    }
+    const result = await post({ action: 'simulate', ...(candidateRules && { rules: candidateRules }) });
+    if (result) setSimulation(result);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader2 className="w-6 h-6 animate-spin text-teal-400" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-300">
+        New deals - created in the app, through the API, by CSV import or lead capture - are checked against these rules
+        in order. The first match assigns the deal by weighted round robin. Deals no rule matches keep their default owner.
+        Territory fields such as industry or region can be matched through custom fields.
+      </p>
+
+      {rules.length === 0 ? (
+        <p className="text-sm text-gray-500">No assignment rules yet.</p>
+      ) : (
+        <ol className="space-y-2">
+          {rules.map((rule, index) => (
+            <li key={rule.id} className={`p-3 bg-gray-800/30 border border-gray-700/60 rounded-xl ${rule.isActive ? '' : 'opacity-60'}`}>
+              <div className="flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="text-white truncate">
+                    <span className="text-gray-500 mr-2">{index + 1}.</span>{rule.name}
+                    {!rule.isActive && <span className="ml-2 text-xs text-gray-500">(paused)</span>}
+                  </p>
+                  <p className="text-xs text-gray-400">
+                    {rule.conditions.length === 0
+                      ? 'Every new deal'
+                      : rule.conditions.map(condition => describeCondition(condition, customFields)).join(' and ')}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    → {rule.assignees.map(assignee =>
+                      `${memberName(assignee.userId)} ×${assignee.weight}${assignee.cap ? ` (max ${assignee.cap})` : ''}`
+                    ).join(', ')}
+                    {rule.fallbackUserId && ` · fallback ${memberName(rule.fallbackUserId)}`}
+                  </p>
+                </div>
+                {canEdit && (
+                  <div className="flex items-center gap-1 flex-shrink-0">
+                    <label className="flex items-center gap-1.5 text-xs text-gray-400 mr-1">
+                      <input
+                        type="checkbox"
+                        checked={rule.isActive}
+                        onChange={() => handleToggle(rule)}
+                        disabled={busy}
+                        className="rounded border-gray-600 bg-gray-800 text-teal-500 focus:ring-teal-500"
+                      />
+                      Active
+                    </label>
+                    <button type="button" onClick={() => handleMove(index, -1)} disabled={busy || index === 0} className="p-1 text-gray-500 hover:text-white transition disabled:opacity-30" aria-label="Move up">
+                      <ChevronUp className="w-4 h-4" />
+                    </button>
+                    <button type="button" onClick={() => handleMove(index, 1)} disabled={busy || index === rules.length - 1} className="p-1 text-gray-500 hover:text-white transition disabled:opacity-30" aria-label="Move down">
+                      <ChevronDown className="w-4 h-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setDraft({
+                        id: rule.id,
+                        name: rule.name,
+                        conditions: rule.conditions,
+                        assignees: rule.assignees,
+                        fallbackUserId: rule.fallbackUserId,
+                        isActive: rule.isActive
+                      })}
+                      disabled={busy}
+                      className="p-1 text-gray-500 hover:text-teal-400 transition"
+                      aria-label={`Edit ${rule.name}`}
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button type="button" onClick={() => handleDelete(rule)} disabled={busy} className="p-1 text-gray-500 hover:text-red-400 transition" aria-label={`Delete ${rule.name}`}>
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                )}
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {canEdit && draft && (
+        <RuleEditor
+          draft={draft}
+          setDraft={setDraft}
+          fields={conditionFields}
+          members={members}
+          customFields={customFields}
+          busy={busy}
+          onSave={handleSave}
+          onCancel={() => setDraft(null)}
+          onSimulate={handleSimulate}
+        />
+      )}
+
+      {canEdit && !draft && (
+        <div className="flex flex-wrap gap-4 pt-2 border-t border-gray-800">
+          {rules.length < ASSIGNMENT_RULE_LIMITS.MAX_RULES && (
+            <button
+              type="button"
+              onClick={() => setDraft({ ...EMPTY_RULE, assignees: members[0] ? [{ userId: members[0].id, weight: 1, cap: null }] : [] })}
+              disabled={busy}
+              className="flex items-center gap-2 text-sm text-teal-400 hover:text-teal-300 transition disabled:opacity-50"
+            >
+              <Plus className="w-4 h-4" /> Add rule
+            </button>
+          )}
+          {rules.length > 0 && (
+            <button
+              type="button"
+              onClick={handleSimulate}
+              disabled={busy}
+              className="flex items-center gap-2 text-sm text-gray-300 hover:text-white transition disabled:opacity-50"
+            >
+              <FlaskConical className="w-4 h-4" /> Simulate against existing deals
+            </button>
+          )}
+        </div>
+      )}
+
+      {simulation && (
+        <div className="p-4 bg-gray-900/60 border border-gray-700 rounded-xl space-y-3">
+          <div className="flex items-center justify-between">
+            <h4 className="text-sm font-medium text-white">
+              Preview: last {simulation.results.length} deals {draft && '(with your unsaved changes)'}
+            </h4>
+            <button type="button" onClick={() => setSimulation(null)} className="p-1 text-gray-500 hover:text-white transition" aria-label="Close preview">
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          <p className="text-xs text-gray-500">Nothing is reassigned - this shows who each deal would go to if it arrived now.</p>
+
+          {simulation.summary.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {simulation.summary.map(({ userId, count }) => (
+                <span key={userId} className="px-2 py-1 text-xs rounded-lg bg-teal-500/10 border border-teal-500/30 text-teal-300">
+                  {memberName(userId)}: {count}
+                </span>
+              ))}
+            </div>
+          )}
+
+          <div className="max-h-72 overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead className="text-gray-500 text-left">
+                <tr>
+                  <th className="py-1 pr-2 font-medium">Deal</th>
+                  <th className="py-1 pr-2 font-medium">Value</th>
+                  <th className="py-1 pr-2 font-medium">Source</th>
+                  <th className="py-1 pr-2 font-medium">Owner now</th>
+                  <th className="py-1 font-medium">Would go to</th>
+                </tr>
+              </thead>
+              <tbody className="text-gray-300">
+                {simulation.results.map(result => (
+                  <tr key={result.dealId} className="border-t border-gray-800">
+                    <td className="py-1 pr-2 truncate max-w-[10rem]">{result.client || '—'}</td>
+                    <td className="py-1 pr-2">{formatValue(result.value)}</td>
+                    <td className="py-1 pr-2">{ASSIGNMENT_SOURCES.find(source => source.id === result.source)?.label || result.source}</td>
+                    <td className="py-1 pr-2">{result.currentOwner ? memberName(result.currentOwner) : '—'}</td>
+                    <td className="py-1">
+                      {result.assignedTo ? (
+                        <span className="text-white">{memberName(result.assignedTo)}</span>
+                      ) : (
+                        <span className="text-gray-500">{REASON_LABELS[result.reason]}</span>
+                      )}
+                      {result.ruleName && <span className="text-gray-500"> · {result.ruleName}</span>}
+                      {result.reason === ASSIGNMENT_REASONS.FALLBACK && <span className="text-amber-400"> · fallback</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AssignmentRulesManager;
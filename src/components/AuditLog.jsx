@@ -0,0 +1,221 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, Download, AlertCircle } from 'lucide-react';
+import { useApp } from './AppShell';
+import { api } from '../lib/api-client';
+import { AUDIT_ENTITY_TYPES } from '../config/auditLog';
+
+/**
+ * Audit log (Settings → General)
+ *
+ * Who did what in the organization, newest first, filtered by member, entity
+ * type and date range. Owners and admins only (view_audit_log); the server
+ * hides entries past the plan's retention window. Exports download the
+ * filtered log as CSV and are themselves logged.
+ */
+
+const selectClass = 'px-2 py-1.5 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-sm text-[#1A1A1A] dark:text-[#E0E0E0] focus:ring-2 focus:ring-[#1ABC9C] focus:border-transparent transition disabled:opacity-50';
+
+// Header arrival only - large exports keep streaming after this
+const EXPORT_TIMEOUT_MS = 60000;
+
+const EMPTY_FILTERS = { actorId: '', entityType: '', from: '', to: '' };
+
+// Date inputs are local days; the API takes ISO timestamps
+const buildQuery = (organizationId, filters, extra = {}) => {
+  const params = new URLSearchParams({ organizationId, ...extra });
+  if (filters.actorId) params.set('actorId', filters.actorId);
+  if (filters.entityType) params.set('entityType', filters.entityType);
+  if (filters.from) params.set('from', new Date(`${filters.from}T00:00:00`).toISOString());
+  if (filters.to) params.set('to', new Date(`${filters.to}T23:59:59.999`).toISOString());
+  return params.toString();
+};
+
+const formatTime = (iso) => new Date(iso).toLocaleString(undefined, {
+  month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+});
+
+const getActorName = (entry, actorNames) => {
+  if (entry.actorType === 'system') return 'System';
+  if (entry.actorType === 'lead_capture') return 'Lead capture form';
+  const name = (entry.actorId && actorNames[entry.actorId]) || entry.actorEmail || 'Former member';
+  return entry.actorType === 'api_key' ? `${name} (API key)` : name;
+};
+
+export const AuditLog = () => {
+  const { organization, addNotification } = useApp();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [entries, setEntries] = useState([]);
+  const [actors, setActors] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [exporting, setExporting] = useState(false);
+
+  const loadEntries = useCallback(async (cursor = null) => {
+    if (!organization?.id) {
+      setLoading(false);
+      return;
+    }
+    if (cursor) setLoadingMore(true);
+    try {
+      const { data } = await api.get(`audit-log?${buildQuery(organization.id, filters, cursor ? { cursor } : {})}`);
+      setEntries(current => (cursor ? [...current, ...(data.entries || [])] : data.entries || []));
+      setNextCursor(data.nextCursor || null);
+      setActors(data.actors || []);
+      setRetentionDays(data.retentionDays ?? null);
+    } catch (error) {
+      console.error('Error loading audit log:', error);
+      addNotification(error.userMessage || error.message || 'Failed to load the audit log', 'error');
+    } finally {
+      setLoading(false);
+      setLoadingMore(false);
+    }
+  }, [organization?.id, filters, addNotification]);
+
+  useEffect(() => {
+    setLoading(true);
+    loadEntries();
+  }, [loadEntries]);
+
+  const updateFilter = (key, value) => setFilters(current => ({ ...current, [key]: value }));
+
+  const handleExport = async () => {
+    if (!organization?.id || exporting) return;
+    setExporting(true);
+    try {
+      const { data } = await api.get(`audit-log?${buildQuery(organization.id, filters, { format: 'csv' })}`, {
+        timeout: EXPORT_TIMEOUT_MS,
+        maxRetries: 0
+      });
+
+      // The API client returns text bodies as strings
+      const blob = data instanceof Blob ? data : new Blob([data], { type: 'text/csv' });
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      a.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('[AuditLog] Export failed:', error);
+      addNotification(error.userMessage || error.message || 'Export failed. Please try again.', 'error');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const actorNames = Object.fromEntries(actors.map(actor => [actor.id, actor.name]));
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={filters.actorId}
+          onChange={(e) => updateFilter('actorId', e.target.value)}
+          className={selectClass}
+          aria-label="Filter by member"
+        >
+          <option value="">All members</option>
+          {actors.map(actor => (
+            <option key={actor.id} value={actor.id}>{actor.name}</option>
+          ))}
+        </select>
+        <select
+          value={filters.entityType}
+          onChange={(e) => updateFilter('entityType', e.target.value)}
+          className={selectClass}
+          aria-label="Filter by type"
+        >
+          <option value="">All activity</option>
+          {AUDIT_ENTITY_TYPES.map(type => (
+            <option key={type.id} value={type.id}>{type.label}</option>
+          ))}
+        </select>
+        <input
+          type="date"
+          value={filters.from}
+          max={filters.to || undefined}
+          onChange={(e) => updateFilter('from', e.target.value)}
+          className={selectClass}
+          aria-label="From date"
+        />
+        <input
+          type="date"
+          value={filters.to}
+          min={filters.from || undefined}
+          onChange={(e) => updateFilter('to', e.target.value)}
+          className={selectClass}
+          aria-label="To date"
+        />
+        {hasFilters && (
+          <button
+            onClick={() => setFilters(EMPTY_FILTERS)}
+            className="px-2 py-1.5 text-sm text-[#6B7280] dark:text-[#9CA3AF] hover:text-[#1ABC9C] transition"
+          >
+            Clear
+          </button>
+        )}
+        <button
+          onClick={handleExport}
+          disabled={exporting || entries.length === 0}
+          className="ml-auto flex items-center gap-1.5 px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-lg text-sm text-[#1A1A1A] dark:text-[#E0E0E0] hover:bg-gray-100 dark:hover:bg-gray-800 transition disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {exporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <Download className="w-4 h-4" />}
+          Export CSV
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center gap-2 text-sm text-[#6B7280] dark:text-[#9CA3AF]">
+          <Loader2 className="w-4 h-4 animate-spin" /> Loading audit log...
+        </div>
+      ) : entries.length === 0 ? (
+        <p className="flex items-center gap-2 text-sm text-[#6B7280] dark:text-[#9CA3AF]">
+          <AlertCircle className="w-4 h-4" />
+          {hasFilters ? 'No activity matches these filters.' : 'No activity recorded yet.'}
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {entries.map(entry => (
+            <li key={entry.id} className="flex items-start justify-between gap-3 py-3">
+              <div className="min-w-0">
+                <p className="text-sm text-[#1A1A1A] dark:text-[#E0E0E0] truncate">
+                  <span className="font-medium">{getActorName(entry, actorNames)}</span>
+                  {' · '}{entry.actionLabel}
+                  {entry.summary && <span className="text-[#6B7280] dark:text-[#9CA3AF]"> · {entry.summary}</span>}
+                </p>
+                {entry.ipAddress && (
+                  <p className="text-xs text-[#6B7280] dark:text-[#9CA3AF] truncate">{entry.ipAddress}</p>
+                )}
+              </div>
+              <time dateTime={entry.createdAt} className="text-xs text-[#6B7280] dark:text-[#9CA3AF] whitespace-nowrap flex-shrink-0">
+                {formatTime(entry.createdAt)}
+              </time>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {nextCursor && !loading && (
+        <button
+          onClick={() => loadEntries(nextCursor)}
+          disabled={loadingMore}
+          className="flex items-center gap-2 text-sm text-[#1ABC9C] hover:underline disabled:opacity-50"
+        >
+          {loadingMore && <Loader2 className="w-4 h-4 animate-spin" />}
+          Load more
+        </button>
+      )}
+
+      {retentionDays && (
+        <p className="text-xs text-[#9CA3AF]">
+          Your plan keeps {retentionDays} days of activity.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default AuditLog;
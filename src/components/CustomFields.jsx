@@ -0,0 +1,395 @@
+import React, { useState } from 'react';
+import { Loader2, Plus, Trash2, Sparkles, Asterisk } from 'lucide-react';
+import { api } from '../lib/api-client';
+import { useApp } from './AppShell';
+import { useCustomFields } from '../hooks/useCustomFields';
+import {
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_TYPE_LABELS,
+  CUSTOM_FIELD_KEY_PATTERN
+} from '../config/customFieldConfig';
+
+const inputClass = 'w-full px-4 py-3 bg-gray-800/50 border border-gray-700 rounded-xl text-white placeholder-gray-500 focus:ring-2 focus:ring-teal-500 focus:border-transparent transition';
+const compactInputClass = 'w-full px-3 py-2 bg-gray-800/50 border border-gray-700 rounded-lg text-sm text-white placeholder-gray-500 focus:ring-2 focus:ring-teal-500 focus:border-transparent transition';
+
+// "Check Size" → "check_size"
+const toFieldKey = (label) => label
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^[^a-z]+/, '')
+  .replace(/_+$/, '')
+  .slice(0, 50);
+
+/**
+ * Input for one custom field; `value` is the stored value (or a raw string while editing)
+ */
+export const CustomFieldInput = ({ field, value, onChange, className = inputClass }) => {
+  const id = `custom-field-${field.key}`;
+
+  switch (field.type) {
+    case CUSTOM_FIELD_TYPES.SELECT:
+      return (
+        <select id={id} value={value ?? ''} onChange={(e) => onChange(e.target.value || null)} className={className}>
+          <option value="">—</option>
+          {field.options.map(option => <option key={option} value={option}>{option}</option>)}
+        </select>
+      );
+
+    case CUSTOM_FIELD_TYPES.MULTI_SELECT: {
+      const selected = Array.isArray(value) ? value : [];
+      const toggle = (option) => onChange(
+        selected.includes(option) ? selected.filter(item => item !== option) : [...selected, option]
+      );
+      return (
+        <div id={id} className="flex flex-wrap gap-2">
+          {field.options.map(option => {
+            const active = selected.includes(option);
+            return (
+              <button
+                key={option}
+                type="button"
+                onClick={() => toggle(option)}
+                aria-pressed={active}
+                className={`px-3 py-1.5 rounded-lg text-xs font-medium border transition ${
+                  active
+                    ? 'bg-teal-500/20 border-teal-500/60 text-teal-300'
+                    : 'bg-gray-800/50 border-gray-700 text-gray-400 hover:text-white'
+                }`}
+              >
+                {option}
+              </button>
+            );
+          })}
+        </div>
+      );
+    }
+
+    case CUSTOM_FIELD_TYPES.NUMBER:
+    case CUSTOM_FIELD_TYPES.CURRENCY:
+      return (
+        <input
+          id={id}
+          type="number"
+          step={field.type === CUSTOM_FIELD_TYPES.CURRENCY ? '0.01' : 'any'}
+          value={value ?? ''}
+          onChange={(e) => onChange(e.target.value)}
+          className={className}
+          placeholder={field.type === CUSTOM_FIELD_TYPES.CURRENCY ? '0.00' : '0'}
+        />
+      );
+
+    case CUSTOM_FIELD_TYPES.DATE:
+      return <input id={id} type="date" value={value ?? ''} onChange={(e) => onChange(e.target.value)} className={className} />;
+
+    case CUSTOM_FIELD_TYPES.URL:
+      return (
+        <input id={id} type="url" value={value ?? ''} onChange={(e) => onChange(e.target.value)} className={className} placeholder="https://" />
+      );
+
+    default:
+      return (
+        <input id={id} type="text" value={value ?? ''} onChange={(e) => onChange(e.target.value)} className={className} maxLength={1000} />
+      );
+  }
+};
+
+/**
+ * Labelled inputs for all of an org's custom fields (deal forms)
+ *
+ * @param {Array} fields - definitions from useCustomFields
+ * @param {Object} values - deal.custom_fields (or form state)
+ * @param {Function} onChange - (key, value) => void
+ */
+export const CustomFieldInputs = ({ fields, values = {}, onChange }) => {
+  if (!fields || fields.length === 0) return null;
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+      {fields.map(field => (
+        <div key={field.key} className={field.type === CUSTOM_FIELD_TYPES.MULTI_SELECT ? 'sm:col-span-2' : ''}>
+          <label htmlFor={`custom-field-${field.key}`} className="block text-sm font-medium text-white mb-2">
+            {field.label}
+            {field.required && <span className="text-red-400 ml-1">*</span>}
+          </label>
+          <CustomFieldInput field={field} value={values[field.key]} onChange={(value) => onChange(field.key, value)} />
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Dashboard filter controls: option pickers for select fields, min/max for
+ * number/currency/date, contains for text/url.
+ *
+ * @param {Object} filters - { [key]: { value } | { min, max } }
+ * @param {Function} onChange - (nextFilters) => void
+ */
+export const CustomFieldFilter = ({ fields, filters = {}, onChange }) => {
+  if (!fields || fields.length === 0) return null;
+
+  const update = (key, patch) => {
+    const next = { ...filters, [key]: { ...filters[key], ...patch } };
+    const isEmpty = Object.values(next[key]).every(v => v === '' || v === null || v === undefined);
+    if (isEmpty) delete next[key];
+    onChange(next);
+  };
+
+  return (
+    <div className="flex flex-wrap gap-3">
+      {fields.map(field => {
+        const filter = filters[field.key] || {};
+        const isRange = [CUSTOM_FIELD_TYPES.NUMBER, CUSTOM_FIELD_TYPES.CURRENCY, CUSTOM_FIELD_TYPES.DATE].includes(field.type);
+        const inputType = field.type === CUSTOM_FIELD_TYPES.DATE ? 'date' : 'number';
+
+        return (
+          <div key={field.key} className="min-w-[160px]">
+            <label className="block text-xs font-medium text-gray-400 mb-1">{field.label}</label>
+            {isRange ? (
+              <div className="flex items-center gap-1">
+                <input
+                  type={inputType}
+                  value={filter.min ?? ''}
+                  onChange={(e) => update(field.key, { min: e.target.value })}
+                  className={compactInputClass}
+                  placeholder="Min"
+                  aria-label={`${field.label} minimum`}
+                />
+                <input
+                  type={inputType}
+                  value={filter.max ?? ''}
+                  onChange={(e) => update(field.key, { max: e.target.value })}
+                  className={compactInputClass}
+                  placeholder="Max"
+                  aria-label={`${field.label} maximum`}
+                />
+              </div>
+            ) : field.options.length > 0 ? (
+              <select
+                value={filter.value ?? ''}
+                onChange={(e) => update(field.key, { value: e.target.value })}
+                className={compactInputClass}
+                aria-label={field.label}
+              >
+                <option value="">Any</option>
+                {field.options.map(option => <option key={option} value={option}>{option}</option>)}
+              </select>
+            ) : (
+              <input
+                type="text"
+                value={filter.value ?? ''}
+                onChange={(e) => update(field.key, { value: e.target.value })}
+                className={compactInputClass}
+                placeholder="Contains…"
+                aria-label={field.label}
+              />
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+const EMPTY_DRAFT = { label: '', type: CUSTOM_FIELD_TYPES.TEXT, required: false, options: '' };
+
+/**
+ * Settings editor for org custom field definitions (Settings → Pipeline).
+ * Read-only for members without pipeline edit rights.
+ */
+export const CustomFieldsManager = ({ organizationId, canEdit }) => {
+  const { addNotification } = useApp();
+  const { fields, templateFields, loading, error, refresh } = useCustomFields(organizationId);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [busy, setBusy] = useState(false);
+
+  const hasOptions = draft.type === CUSTOM_FIELD_TYPES.SELECT || draft.type === CUSTOM_FIELD_TYPES.MULTI_SELECT;
+  const draftKey = toFieldKey(draft.label);
+  const missingTemplateFields = templateFields.filter(templateField => !fields.some(field => field.key === templateField.key));
+
+  const runAction = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      await action();
+      refresh();
+      if (successMessage) addNotification(successMessage, 'success');
+    } catch (err) {
+      console.error('[CustomFieldsManager] Action failed:', err);
+      addNotification(err.message || 'Something went wrong', 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const expectSuccess = (result, fallback) => {
+    if (!result?.success) throw new Error(result?.error || fallback);
+    return result;
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!CUSTOM_FIELD_KEY_PATTERN.test(draftKey)) {
+      addNotification('Field name must start with a letter', 'error');
+      return;
+    }
+    runAction(async () => {
+      const { data: result } = await api.post('custom-fields', {
+        organizationId,
+        key: draftKey,
+        label: draft.label.trim(),
+        type: draft.type,
+        required: draft.required,
+        options: hasOptions ? draft.options.split(',').map(option => option.trim()).filter(Boolean) : undefined
+      });
+      expectSuccess(result, 'Failed to create field');
+      setDraft(EMPTY_DRAFT);
+    }, `Added "${draft.label.trim()}"`);
+  };
+
+  const handleToggleRequired = (field) => runAction(async () => {
+    const { data: result } = await api.put('custom-fields', { organizationId, id: field.id, required: !field.required });
+    expectSuccess(result, 'Failed to update field');
+  });
+
+  const handleArchive = (field) => {
+    if (!window.confirm(`Remove "${field.label}"? Existing deal values are kept but hidden.`)) return;
+    runAction(async () => {
+      const { data: result } = await api.delete(
+        `custom-fields?organizationId=${encodeURIComponent(organizationId)}&id=${encodeURIComponent(field.id)}`
+      );
+      expectSuccess(result, 'Failed to remove field');
+    }, `Removed "${field.label}"`);
+  };
+
+  const handleApplyTemplate = () => runAction(async () => {
+    const { data: result } = await api.post('custom-fields', { organizationId, action: 'apply_template' });
+    expectSuccess(result, 'Failed to add template fields');
+  }, 'Added template fields');
+
+  if (loading && fields.length === 0) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader2 className="w-6 h-6 animate-spin text-teal-400" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-400 text-center py-6">{error}</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-300">
+        Extra fields shown on every deal. Required fields must be filled when a deal is created.
+      </p>
+
+      {fields.length === 0 ? (
+        <p className="text-sm text-gray-500">No custom fields yet.</p>
+      ) : (
+        <ul className="space-y-2">
+          {fields.map(field => (
+            <li key={field.id} className="flex items-center justify-between gap-3 p-3 bg-gray-800/30 border border-gray-700/60 rounded-xl">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2">
+                  <span className="text-white truncate">{field.label}</span>
+                  {field.required && <Asterisk className="w-3 h-3 text-red-400" aria-label="Required" />}
+                </div>
+                <p className="text-xs text-gray-500 truncate">
+                  {CUSTOM_FIELD_TYPE_LABELS[field.type]} · {field.key}
+                  {field.options.length > 0 && ` · ${field.options.join(', ')}`}
+                </p>
+              </div>
+              {canEdit && (
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <label className="flex items-center gap-1.5 text-xs text-gray-400">
+                    <input
+                      type="checkbox"
+                      checked={field.required}
+                      onChange={() => handleToggleRequired(field)}
+                      disabled={busy}
+                      className="rounded border-gray-600 bg-gray-800 text-teal-500 focus:ring-teal-500"
+                    />
+                    Required
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() => handleArchive(field)}
+                    disabled={busy}
+                    className="p-1 text-gray-500 hover:text-red-400 transition"
+                    aria-label={`Remove ${field.label}`}
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canEdit && missingTemplateFields.length > 0 && (
+        <button
+          type="button"
+          onClick={handleApplyTemplate}
+          disabled={busy}
+          className="flex items-center gap-2 text-sm text-teal-400 hover:text-teal-300 transition disabled:opacity-50"
+        >
+          <Sparkles className="w-4 h-4" />
+          Add pipeline template fields ({missingTemplateFields.map(field => field.label).join(', ')})
+        </button>
+      )}
+
+      {canEdit && (
+        <form onSubmit={handleCreate} className="grid grid-cols-1 sm:grid-cols-[2fr_1fr_auto_auto] gap-2 items-center pt-2 border-t border-gray-800">
+          <input
+            type="text"
+            value={draft.label}
+            onChange={(e) => setDraft({ ...draft, label: e.target.value })}
+            className={compactInputClass}
+            placeholder="Field name"
+            maxLength={100}
+            aria-label="Field name"
+          />
+          <select
+            value={draft.type}
+            onChange={(e) => setDraft({ ...draft, type: e.target.value })}
+            className={compactInputClass}
+            aria-label="Field type"
+          >
+            {Object.entries(CUSTOM_FIELD_TYPE_LABELS).map(([type, label]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+          <label className="flex items-center gap-1.5 text-xs text-gray-400">
+            <input
+              type="checkbox"
+              checked={draft.required}
+              onChange={(e) => setDraft({ ...draft, required: e.target.checked })}
+              className="rounded border-gray-600 bg-gray-800 text-teal-500 focus:ring-teal-500"
+            />
+            Required
+          </label>
+          <button
+            type="submit"
+            disabled={busy || !draft.label.trim() || (hasOptions && !draft.options.trim())}
+            className="flex items-center justify-center gap-1 px-3 py-2 bg-teal-500 hover:bg-teal-600 text-white text-sm rounded-lg transition disabled:opacity-50"
+          >
+            {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+            Add
+          </button>
+          {hasOptions && (
+            <input
+              type="text"
+              value={draft.options}
+              onChange={(e) => setDraft({ ...draft, options: e.target.value })}
+              className={`${compactInputClass} sm:col-span-4`}
+              placeholder="Options, comma separated (e.g. Seed, Series A, Series B)"
+              aria-label="Options"
+            />
+          )}
+        </form>
+      )}
+    </div>
+  );
+};
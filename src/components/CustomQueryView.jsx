@@ -25,6 +25,8 @@ import { PlanMyDayButton } from './PlanMyDayButton';
 // InsightChip removed - using minimal text buttons for secondary actions
 // PHASE 5.2: Execution micro-buttons
 import { ActionMicroButtonGroup } from './ActionMicroButton';
+import { LogActivityModal } from './DealActivities';
+import { AIActionCard } from './AIMessageRenderer';
 // PHASE 17: Plan My Day Checklist with persistence
 import { PlanMyDayChecklist } from './PlanMyDayChecklist';
 // PHASE 19B: Compact summary strip for Plan My Day
@@ -41,10 +43,44 @@ import { AIInlineError } from './AIInlineError';
 import { AIProviderErrorDisplay } from './AIProviderErrorDisplay';
 // Phase 3: Unified error normalization and offline awareness
 import { normalizeAIError, shouldBlockAIRequest, isOffline as checkOffline } from '../lib/ai-error-codes';
+// AI THREADS: Conversations persist server-side (history sidebar, search, sharing)
+import { AIThreadSidebar } from './AIThreadSidebar';
+import { api } from '../lib/api-client';
 
 // ISSUE 4 FIX: Plan My Day daily limit helpers
 const PLAN_MY_DAY_STORAGE_KEY = 'sf_plan_my_day_last_run';
 
+// AI THREADS: Last open thread per organization, reopened after a reload
+const ACTIVE_THREAD_STORAGE_KEY = 'sf_ai_active_thread';
+
+const rememberActiveThread = (organizationId, threadId) => {
+  try {
+    const key = `${ACTIVE_THREAD_STORAGE_KEY}_${organizationId}`;
+    if (threadId) localStorage.setItem(key, threadId);
+    else localStorage.removeItem(key);
+  } catch {
+    // localStorage unavailable - fail silently
+  }
+};
+
+const recallActiveThread = (organizationId) => {
+  try {
+    return localStorage.getItem(`${ACTIVE_THREAD_STORAGE_KEY}_${organizationId}`);
+  } catch {
+    return null;
+  }
+};
+
+// Stored thread message -> conversation entry (charts and Plan My Day live in metadata)
+const toConversationMessage = ({ id, role, content, provider, metadata = {} }) => ({
+  id,
+  role,
+  content,
+  ...(provider && { provider }),
+  ...(metadata.chartData && { chartData: metadata.chartData, chartType: metadata.chartType, chartTitle: metadata.chartTitle }),
+  ...(metadata.structuredResponse && { structuredResponse: metadata.structuredResponse })
+});
+
 /**
  * QA FIX #2: Map error codes to actionable user guidance
  *
@@ -506,6 +542,9 @@ export const CustomQueryView = ({
 
   // PHASE 5.2: Execution micro-button state
   const [executionLoading, setExecutionLoading] = useState(null); // 'draft' | 'research' | 'prepare' | 'followup' | null
+  // Activity logging from execution micro-buttons: type preselected from the last action run
+  const [logActivityType, setLogActivityType] = useState(null); // 'call' | 'email' | 'meeting' | 'other' | null
+  const lastExecutionActionRef = useRef(null);
   const [executionContext, setExecutionContext] = useState(null); // { dealId, dealName, contactName, companyName }
 
   // PHASE 5.3: AI signals for adaptive personalization
@@ -520,6 +559,36 @@ export const CustomQueryView = ({
   // Ensures proper cleanup on unmount, navigation, or new request
   const streamAbortControllerRef = useRef(null);
 
+  // AI THREADS: The open thread ({ id, title, readOnly }); the ref gives
+  // submit handlers the current value without waiting for a re-render
+  const [activeThread, setActiveThread] = useState(null);
+  const activeThreadRef = useRef(null);
+  const [showThreads, setShowThreads] = useState(false);
+  const [threadLoading, setThreadLoading] = useState(false);
+  const [threadsRefreshKey, setThreadsRefreshKey] = useState(0);
+
+  const openThread = (thread) => {
+    activeThreadRef.current = thread;
+    setActiveThread(thread);
+    if (organization?.id) rememberActiveThread(organization.id, thread?.id || null);
+  };
+
+  // Thread for the next question, created on first use. Null when it can't be
+  // created - the question then goes out without earlier turns.
+  const ensureThread = async () => {
+    const current = activeThreadRef.current;
+    if (current && !current.readOnly) return current.id;
+    if (!organization?.id) return null;
+    try {
+      const { data } = await api.post('ai-threads', { organizationId: organization.id, action: 'create' });
+      openThread({ id: data.thread.id, title: data.thread.title, readOnly: false });
+      return data.thread.id;
+    } catch (error) {
+      console.warn('[CustomQueryView] Could not create conversation thread:', error);
+      return null;
+    }
+  };
+
   // PHASE 5.3: Helper to add a signal
   const addAISignal = (type, sectionId = null, actionId = null) => {
     // Don't collect signals when offline
@@ -612,6 +681,8 @@ export const CustomQueryView = ({
 
     // CONCURRENCY FIX: Check synchronous lock first (prevents double-click race condition)
     if (!currentQuery || isSubmitting || submissionLockRef.current) return;
+    // AI THREADS: Shared threads are read-only; the owner continues them
+    if (activeThreadRef.current?.readOnly) return;
 
     // Acquire lock immediately (synchronous - before any state updates)
     submissionLockRef.current = true;
@@ -633,15 +704,6 @@ export const CustomQueryView = ({
       lastQuickActionRef.current = null;
     }
 
-    // MOBILE FIX: Validate deals array before sending to prevent "Invalid deals data format" error
-    // PHASE C FIX (B-RACE-05): Release lock on early return to prevent deadlock
-    if (!Array.isArray(deals)) {
-      console.error('[CustomQueryView] Deals is not an array:', typeof deals, deals);
-      addNotification('Unable to load pipeline data. Please refresh the page.', 'error');
-      submissionLockRef.current = false; // Release lock
-      return;
-    }
-
     // Phase 3: Pre-flight offline check - fail fast instead of waiting for timeout
     const blockError = shouldBlockAIRequest({ requireOnline: true });
     if (blockError) {
@@ -721,6 +783,9 @@ export const CustomQueryView = ({
       // PHASE 5.3: Collect and send AI signals with request
       const aiSignals = consumePendingSignals();
 
+      // AI THREADS: The server reads history from the thread and appends this exchange
+      const threadId = await ensureThread();
+
       // H3 FIX 2025-12-03: Inject Authorization header for reliable auth
       await ensureValidSession();
       const { data: { session: streamSession } } = await supabase.auth.getSession();
@@ -738,16 +803,9 @@ export const CustomQueryView = ({
         signal: streamAbortController.signal, // H6-A: Enable abort on unmount/new request
         body: JSON.stringify({
           message: currentQuery,
-          // PERF FIX P16-1: Project deals to minimal fields (80% smaller payload)
-          deals: (deals || []).map(d => ({
-            stage: d.stage,
-            status: d.status,
-            value: d.value || 0
-          })),
-          // PERF FIX P16-2: Truncate history to last 6 exchanges (12 messages)
-          conversationHistory: conversationHistory
-            .filter(msg => !msg.chartData) // Strip chart data from history
-            .slice(-12),
+          // Deals, targets and stage history are loaded server-side for the user's org
+          // AI THREADS: History comes from the thread, never from the client
+          ...(threadId && { threadId }),
           aiSignals: aiSignals  // PHASE 5.3: Send behavioral signals
         })
       });
@@ -1082,6 +1140,9 @@ export const CustomQueryView = ({
             : msg
         ));
 
+        // AI THREADS: Sidebar picks up the new title and ordering
+        if (threadId) setThreadsRefreshKey(key => key + 1);
+
         // AI FALLBACK: If provider error detected, show notification suggesting retry
         if (hasProviderError && connectedProviders.length > 1) {
           addNotification('This AI provider is temporarily unavailable. Try again to use another provider.', 'info');
@@ -1154,14 +1215,6 @@ export const CustomQueryView = ({
     // Acquire lock immediately
     submissionLockRef.current = true;
 
-    // MOBILE FIX: Validate deals array before sending
-    if (!Array.isArray(deals)) {
-      console.error('[CustomQueryView] Deals is not an array:', typeof deals, deals);
-      addNotification('Unable to load pipeline data. Please refresh the page.', 'error');
-      submissionLockRef.current = false; // Release lock on early return
-      return;
-    }
-
     const currentQuery = query.trim();
     setQuery('');
     setIsSubmitting(true);
@@ -1186,6 +1239,9 @@ export const CustomQueryView = ({
       // PHASE 5.3: Collect and send AI signals with request
       const aiSignals = consumePendingSignals();
 
+      // AI THREADS: The server reads history from the thread and appends this exchange
+      const threadId = await ensureThread();
+
       // H3 FIX 2025-12-03: Inject Authorization header for reliable auth
       await ensureValidSession();
       const { data: { session: nonStreamSession } } = await supabase.auth.getSession();
@@ -1202,16 +1258,9 @@ export const CustomQueryView = ({
         credentials: 'include', // Keep cookies as fallback
         body: JSON.stringify({
           message: currentQuery,
-          // PERF FIX P16-1: Project deals to minimal fields (80% smaller payload)
-          deals: (deals || []).map(d => ({
-            stage: d.stage,
-            status: d.status,
-            value: d.value || 0
-          })),
-          // PERF FIX P16-2: Truncate history to last 6 exchanges (12 messages)
-          conversationHistory: conversationHistory
-            .filter(msg => !msg.chartData) // Strip chart data from history
-            .slice(-12),
+          // Deals, targets and stage history are loaded server-side for the user's org
+          // AI THREADS: History comes from the thread, never from the client
+          ...(threadId && { threadId }),
           aiSignals: aiSignals  // PHASE 5.3: Send behavioral signals
         })
       });
@@ -1320,7 +1369,8 @@ export const CustomQueryView = ({
         provider: data.provider || 'AI',
         ...(data.chartData && { chartData: data.chartData }),
         ...(data.chartType && { chartType: data.chartType }),
-        ...(data.chartTitle && { chartTitle: data.chartTitle })
+        ...(data.chartTitle && { chartTitle: data.chartTitle }),
+        ...(data.proposedActions?.length > 0 && { proposedActions: data.proposedActions })
       };
       setConversationHistory(prev => [...prev, aiMessage]);
 
@@ -1359,14 +1409,70 @@ export const CustomQueryView = ({
     }
   };
 
-  const handleNewConversation = () => {
+  // AI THREADS: Starts a new persisted thread; an open thread with no
+  // messages yet is reused rather than leaving empty threads behind
+  const handleNewConversation = async () => {
+    const reuseCurrent = activeThreadRef.current && !activeThreadRef.current.readOnly && conversationHistory.length === 0;
     setPerformanceMetrics(null); // Clear metrics on new conversation
     setConversationHistory([]);
     setQuery('');
     setExecutionLoading(null);
     setExecutionContext(null);
+    setInlineError(null);
+    setShowThreads(false);
+    if (reuseCurrent) return;
+
+    openThread(null);
+    if (await ensureThread()) setThreadsRefreshKey(key => key + 1);
+  };
+
+  // AI THREADS: Open a past thread (own, or shared read-only) from the sidebar
+  const handleSelectThread = async (threadId, { silent = false } = {}) => {
+    if (!organization?.id || isSubmitting || submissionLockRef.current) return;
+    setThreadLoading(true);
+    try {
+      const { data } = await api.get(`ai-threads?organizationId=${organization.id}&id=${threadId}`);
+      openThread({ id: data.thread.id, title: data.thread.title, readOnly: data.readOnly });
+      setConversationHistory((data.messages || []).map(toConversationMessage));
+      setPerformanceMetrics(null);
+      setExecutionLoading(null);
+      setExecutionContext(null);
+      setInlineError(null);
+      setShowThreads(false);
+    } catch (error) {
+      if (silent) {
+        rememberActiveThread(organization.id, null);
+      } else {
+        addNotification(error.userMessage || error.message || 'Failed to open the conversation', 'error');
+      }
+    } finally {
+      setThreadLoading(false);
+    }
+  };
+
+  // AI THREADS: Reopen the last thread after a reload
+  useEffect(() => {
+    if (!organization?.id || activeThreadRef.current) return;
+    const threadId = recallActiveThread(organization.id);
+    if (threadId) handleSelectThread(threadId, { silent: true });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [organization?.id]);
+
+  const handleThreadDeleted = (threadId) => {
+    if (activeThreadRef.current?.id !== threadId) return;
+    openThread(null);
+    setConversationHistory([]);
+    setPerformanceMetrics(null);
   };
 
+  const handleThreadUpdated = (thread) => {
+    if (activeThreadRef.current?.id === thread.id) {
+      openThread({ ...activeThreadRef.current, title: thread.title });
+    }
+  };
+
+  const isReadOnlyThread = Boolean(activeThread?.readOnly);
+
   // PHASE 5.2: Execution Action Handlers
   // These handlers execute contextual AI actions from micro-buttons in Plan My Day responses
   const handleExecutionAction = async (actionType, context) => {
@@ -1389,6 +1495,7 @@ export const CustomQueryView = ({
 
     setExecutionLoading(actionType);
     setExecutionContext(context);
+    lastExecutionActionRef.current = actionType;
 
     const { dealId, dealName, contactName, companyName } = context;
 
@@ -1463,6 +1570,12 @@ Guidelines:
   const handlePrepareConversation = (context) => handleExecutionAction('prepare', context);
   const handleFollowUpPlan = (context) => handleExecutionAction('followup', context);
 
+  // Drafting → email, preparing → meeting, follow-up plan → call
+  const EXECUTION_ACTIVITY_TYPES = { draft: 'email', prepare: 'meeting', followup: 'call' };
+  const handleLogActivity = () => {
+    setLogActivityType(EXECUTION_ACTIVITY_TYPES[lastExecutionActionRef.current] || 'call');
+  };
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -1473,6 +1586,12 @@ Guidelines:
 
   // Quick action handler - ONE-CLICK execution (no second click required)
   const handleQuickAction = async (actionType) => {
+    // AI THREADS: Shared threads are read-only - start a new conversation first
+    if (activeThreadRef.current?.readOnly) {
+      addNotification('Start a new conversation to ask your own questions', 'info');
+      return;
+    }
+
     // M2 HARDENING: Special guard for Plan My Day to prevent overlapping requests
     if (actionType === 'plan_my_day') {
       // P0 FIX: Use synchronous ref check first (React state has re-render window)
@@ -1579,15 +1698,6 @@ Guidelines:
     // OFFLINE PHASE 4B: Track the quick action type for caching
     lastQuickActionRef.current = actionType;
 
-    // MOBILE FIX: Validate deals array before sending
-    // PHASE C FIX (B-RACE-05): Release lock on early return to prevent deadlock
-    if (!Array.isArray(deals)) {
-      console.error('[CustomQueryView] Deals is not an array:', typeof deals, deals);
-      addNotification('Unable to load pipeline data. Please refresh the page.', 'error');
-      submissionLockRef.current = false; // Release lock
-      return;
-    }
-
     const quickQueries = {
       // PHASE 5.1: PLAN MY DAY - Hero Action (Structured Daily Plan)
       // PLAN MY DAY HOTFIX 2025-12-07: System prompt imported from dedicated module
@@ -1671,14 +1781,17 @@ Guidelines:
 
       // QA FIX #5: Use retry-enabled query with automatic backoff
       // AI FALLBACK: Tries multiple providers with automatic retry on transient failures
+      // AI THREADS: Stored with the friendly display message, not the raw prompt
+      const threadId = await ensureThread();
+
       const data = await runAIQueryWithRetry({
         message: queryText,
-        deals: deals || [],
-        conversationHistory: conversationHistory,
         primaryProvider: primaryProvider,
         organizationId: organization?.id,
         connectedProviders: connectedProviders,
-        aiSignals: aiSignals
+        aiSignals: aiSignals,
+        threadId,
+        displayMessage: displayContent
       }, {
         onRetryStart: (attempt) => {
           // Update placeholder message to show retry status
@@ -1734,7 +1847,8 @@ Guidelines:
         isSoftFailure: data.isSoftFailure || false,
         ...(data.chartData && { chartData: data.chartData }),
         ...(data.chartType && { chartType: data.chartType }),
-        ...(data.chartTitle && { chartTitle: data.chartTitle })
+        ...(data.chartTitle && { chartTitle: data.chartTitle }),
+        ...(data.proposedActions?.length > 0 && { proposedActions: data.proposedActions })
       };
       setConversationHistory(prev => [...prev, aiMessage]);
 
@@ -1915,9 +2029,21 @@ Guidelines:
       {/* SIMPLIFIED: Flat layout - no nested cards, maximum viewport for AI content */}
       {/* ISSUE 6 FIX: Removed fixed heights to allow natural content sizing and prevent double-scroll */}
       <div className="relative flex flex-col min-h-[280px]">
-        {/* New Conversation button - subtle, top-right when conversation exists */}
-        {conversationHistory.length > 0 && (
-          <div className="flex-shrink-0 flex justify-end pb-3">
+        {/* AI THREADS: Conversation history toggle; New Conversation when a conversation exists */}
+        <div className="flex-shrink-0 flex items-center justify-end gap-1 pb-3">
+          {activeThread && conversationHistory.length > 0 && (
+            <span className="mr-auto text-xs text-white/40 truncate">{activeThread.title}</span>
+          )}
+          <button
+            onClick={() => setShowThreads(open => !open)}
+            className={`flex items-center gap-2 text-xs px-3 py-1.5 transition-colors duration-200 ${
+              showThreads ? 'text-[#0CE3B1]' : 'text-white/50 hover:text-[#0CE3B1]'
+            }`}
+          >
+            {threadLoading ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <History className="w-3.5 h-3.5" />}
+            History
+          </button>
+          {conversationHistory.length > 0 && (
             <button
               onClick={handleNewConversation}
               className="flex items-center gap-2 text-xs px-3 py-1.5 text-white/50 hover:text-[#0CE3B1] transition-colors duration-200"
@@ -1925,6 +2051,30 @@ Guidelines:
               <RotateCcw className="w-3.5 h-3.5" />
               New Conversation
             </button>
+          )}
+        </div>
+
+        {showThreads && (
+          <div className="absolute right-0 top-10 z-20 w-80 max-w-full">
+            <AIThreadSidebar
+              activeThreadId={activeThread?.id}
+              refreshKey={threadsRefreshKey}
+              onSelect={handleSelectThread}
+              onNewConversation={handleNewConversation}
+              onThreadDeleted={handleThreadDeleted}
+              onThreadUpdated={handleThreadUpdated}
+              onClose={() => setShowThreads(false)}
+            />
+          </div>
+        )}
+
+        {isReadOnlyThread && (
+          <div className="flex-shrink-0 flex items-center gap-2 mb-3 px-3 py-2 rounded-lg bg-white/[0.03] border border-white/[0.08] text-xs text-white/60">
+            <Users className="w-3.5 h-3.5 flex-shrink-0" />
+            Shared by a teammate - read only.
+            <button onClick={handleNewConversation} className="ml-auto text-[#0CE3B1] hover:underline">
+              Start your own
+            </button>
           </div>
         )}
 
@@ -2236,6 +2386,15 @@ Guidelines:
                           </div>
                         )}
 
+                        {/* Deal changes the assistant proposed - applied only once confirmed */}
+                        {!message.streaming && message.proposedActions?.length > 0 && (
+                          <div className="mt-4 space-y-2">
+                            {message.proposedActions.map(action => (
+                              <AIActionCard key={action.id} action={action} />
+                            ))}
+                          </div>
+                        )}
+
                         {/* PHASE 17: Plan My Day Checklist with localStorage persistence */}
                         {!message.streaming && message.structuredResponse &&
                          message.structuredResponse.response_type === 'plan_my_day' && (
@@ -2261,6 +2420,7 @@ Guidelines:
                               onResearchCompany={(ctx) => handleResearchCompany({ ...ctx, dealName: 'the company you specify' })}
                               onPrepareConversation={(ctx) => handlePrepareConversation({ ...ctx, dealName: 'the conversation you specify' })}
                               onFollowUpPlan={(ctx) => handleFollowUpPlan({ ...ctx, dealName: 'the deal you specify' })}
+                              onLogActivity={handleLogActivity}
                               isOffline={!isOnline}
                               loadingAction={executionLoading}
                             />
@@ -2388,19 +2548,21 @@ Guidelines:
               placeholder={
                 !isOnline
                   ? "AI is unavailable offline. Your deals sync when you reconnect."
-                  : hasProviders
+                  : isReadOnlyThread
+                    ? "This conversation is read-only. Start a new one to ask a question."
+                    : hasProviders
                     ? "Ask anything about your pipeline..."
                     : "Configure an AI provider to use this feature..."
               }
               className="w-full p-4 pr-14 bg-white/[0.03] border border-white/[0.1] rounded-2xl focus:ring-2 focus:ring-[#0CE3B1]/50 focus:border-[#0CE3B1]/40 text-white placeholder-white/40 resize-none disabled:opacity-50 disabled:cursor-not-allowed transition-all duration-300 shadow-[inset_0_2px_4px_rgba(0,0,0,0.1)]"
               rows="2"
-              disabled={loading || !hasProviders || !isOnline}
+              disabled={loading || !hasProviders || !isOnline || isReadOnlyThread}
             />
             <button
               onClick={handleQueryStreaming}
-              disabled={loading || isSubmitting || !query.trim() || !hasProviders || !isOnline}
+              disabled={loading || isSubmitting || !query.trim() || !hasProviders || !isOnline || isReadOnlyThread}
               className={`absolute bottom-3 right-3 p-2.5 rounded-xl transition-all duration-300 ${
-                loading || isSubmitting || !query.trim() || !hasProviders || !isOnline
+                loading || isSubmitting || !query.trim() || !hasProviders || !isOnline || isReadOnlyThread
                   ? 'bg-white/[0.05] cursor-not-allowed opacity-40'
                   : 'bg-gradient-to-br from-[#0CE3B1] to-[#0CE3B1]/80 hover:from-[#0CE3B1] hover:to-[#16A085] hover:scale-105 shadow-[0_4px_16px_rgba(12,227,177,0.3)] hover:shadow-[0_6px_20px_rgba(12,227,177,0.4)]'
               }`}
@@ -2424,6 +2586,13 @@ Guidelines:
           )}
         </div>
       </div>
+
+      <LogActivityModal
+        isOpen={logActivityType !== null}
+        onClose={() => setLogActivityType(null)}
+        deals={deals}
+        defaultType={logActivityType || 'call'}
+      />
     </div>
   );
 };
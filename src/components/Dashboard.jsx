@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useMemo, useCallback, useRef, memo, Suspense, lazy } from 'react';
-import { Plus, Search, Zap, AlertCircle, RefreshCw, Loader2, Sparkles, X, Brain, Users, DollarSign } from 'lucide-react';
+import { Plus, Search, Zap, AlertCircle, RefreshCw, Loader2, Sparkles, X, Brain, Users, DollarSign, SlidersHorizontal } from 'lucide-react';
 import { useApp } from './AppShell';
 import { useDealManagement } from '../hooks/useDealManagement';
 import { OnboardingChecklistCard } from './OnboardingChecklistCard'; // Area 6: First-run onboarding
@@ -7,6 +7,8 @@ import { useDebounce } from '../hooks/useDebounce';
 import { useGlobalShortcuts } from '../hooks/useKeyboardShortcuts';
 import { useAIProviderStatus } from '../hooks/useAIProviderStatus'; // NEXT-LEVEL: Shared hook eliminates duplicate code
 import { usePipelineStages } from '../hooks/usePipelineStages'; // NEXT-LEVEL: Shared pipeline loading hook
+import { usePipelines } from '../hooks/usePipelines';
+import { useStageDefinitions } from '../hooks/useStageDefinitions';
 // SECTION F: Debug mode for diagnostic panel
 import { useDebugMode, useDiagnosticInfo } from '../hooks/useDebugMode';
 import { DiagnosticPanel } from './DiagnosticPanel';
@@ -16,7 +18,13 @@ import { DashboardErrorBoundary, ChartErrorBoundary, ListErrorBoundary, ModalErr
 import { useErrorHandler } from '../lib/error-handler';
 import { DashboardSkeleton } from './SkeletonLoaders';
 import { supabase } from '../lib/supabase';
-import { PIPELINE_TEMPLATES, isWonStage, isLostStage } from '../config/pipelineTemplates';
+import { PIPELINE_TEMPLATES, isWonStage, isLostStage, getPipelineStages } from '../config/pipelineTemplates';
+import { applyStageDefinitions } from '../config/stageDefinitions';
+import { filterDealsByPipeline } from '../config/orgPipelines';
+import { matchesCustomFieldFilter } from '../config/customFieldConfig';
+import { useCustomFields } from '../hooks/useCustomFields';
+import { CustomFieldFilter } from './CustomFields';
+import { DealExportMenu } from './DealExportMenu';
 import { useDashboardPreferences } from '../hooks/useDashboardPreferences';
 import { DASHBOARD_CARDS, shouldRenderCard, getDefaultCardOrder } from '../config/dashboardCards';
 import { dataPrefetcher } from '../lib/data-prefetcher'; // NEXT-LEVEL: Smart data prefetching
@@ -160,9 +168,13 @@ const WidgetFallback = () => (
 );
 
 export const Dashboard = () => {
-  const { user, organization, addNotification, setActiveView } = useApp();
+  const { user, organization, userRole, addNotification, setActiveView } = useApp();
   const [searchTerm, setSearchTerm] = useState('');
   const [filterStatus, setFilterStatus] = useState('all');
+  // Custom field filters: { [fieldKey]: { value } | { min, max } }
+  const { fields: customFieldDefs } = useCustomFields(organization?.id);
+  const [customFieldFilters, setCustomFieldFilters] = useState({});
+  const [showCustomFieldFilters, setShowCustomFieldFilters] = useState(false);
   const [showNewDeal, setShowNewDeal] = useState(false);
   const [selectedDeal, setSelectedDeal] = useState(null);
   const [pipelineRetryTrigger, setPipelineRetryTrigger] = useState(0); // CRITICAL FIX: Trigger for soft retry without page reload
@@ -198,13 +210,48 @@ export const Dashboard = () => {
   // SECTION F: Debug mode - show diagnostic panel when ?debug=1 is in URL
   const isDebugMode = useDebugMode();
 
+  // Multiple pipelines: the board shows one pipeline at a time (remembered per org)
+  const {
+    pipelines,
+    activePipeline,
+    activePipelineId,
+    setActivePipelineId
+  } = usePipelines(organization?.id, organization?.pipeline_template);
+
   // NEXT-LEVEL: Use shared pipeline hook (eliminates 86 lines of duplicate code)
   const {
-    stages: pipelineStages,
+    stages: templateStages,
     loading: stagesLoading,
     error: pipelineError,
     template: pipelineTemplate
-  } = usePipelineStages(organization?.id, organization?.pipeline_template, pipelineRetryTrigger);
+  } = usePipelineStages(organization?.id, activePipeline?.template_id || organization?.pipeline_template, pipelineRetryTrigger);
+
+  // Org stage definitions: label/color overrides here, outcomes and thresholds downstream
+  const { definitions: stageDefinitions } = useStageDefinitions(organization?.id);
+
+  // Custom-stage pipelines bring their own stages; template pipelines use the hook above
+  const pipelineStages = useMemo(
+    () => applyStageDefinitions(
+      activePipeline && !activePipeline.template_id ? getPipelineStages(activePipeline) : templateStages,
+      stageDefinitions
+    ),
+    [activePipeline, templateStages, stageDefinitions]
+  );
+
+  // Export: stage names as shown on the board, for every pipeline (current one wins)
+  const canExport = ['owner', 'admin'].includes(userRole);
+  const exportStageNames = useMemo(() => {
+    const names = {};
+    (pipelines || []).forEach(pipeline => {
+      applyStageDefinitions(getPipelineStages(pipeline), stageDefinitions).forEach(stage => {
+        names[stage.id] = stage.name;
+      });
+    });
+    (pipelineStages || []).forEach(stage => {
+      names[stage.id] = stage.name;
+    });
+    return names;
+  }, [pipelines, pipelineStages, stageDefinitions]);
 
   // FIX #2.8: Keyboard Shortcuts - ⌘N for New Deal
   useGlobalShortcuts({
@@ -246,6 +293,12 @@ export const Dashboard = () => {
     handleDealDeleted
   } = useDealManagement(user, organization, addNotification);
 
+  // Deals in the active pipeline (null pipeline_id = default pipeline)
+  const pipelineDeals = useMemo(
+    () => filterDealsByPipeline(deals, activePipelineId, pipelines),
+    [deals, activePipelineId, pipelines]
+  );
+
   // SECTION F: Collect diagnostic info when debug mode is enabled
   const diagnosticInfo = useDiagnosticInfo({
     user,
@@ -464,18 +517,19 @@ export const Dashboard = () => {
 
   // PERFORMANCE FIX: Use useMemo to detect orphaned deals (runs only when deals/stages change)
   const orphanedDealsData = useMemo(() => {
-    if (!pipelineStages || pipelineStages.length === 0 || !deals || deals.length === 0) {
+    if (!pipelineStages || pipelineStages.length === 0 || !pipelineDeals || pipelineDeals.length === 0) {
       return { orphanedDeals: [], orphanedDealIds: new Set() };
     }
 
-    // Find orphaned deals (deals with invalid stage IDs)
+    // Find orphaned deals (deals with invalid stage IDs) - only within the active
+    // pipeline, since other pipelines' deals use other stages
     const validStageIds = pipelineStages.map(s => s.id);
     // CRITICAL FIX: Filter out null/undefined deals AND check stage exists
-    const orphanedDeals = deals.filter(deal => deal && deal.stage && !validStageIds.includes(deal.stage));
+    const orphanedDeals = pipelineDeals.filter(deal => deal && deal.stage && !validStageIds.includes(deal.stage));
     const orphanedDealIds = new Set(orphanedDeals.map(d => d.id));
 
     return { orphanedDeals, orphanedDealIds };
-  }, [deals, pipelineStages]); // CRITICAL FIX: Only re-run when actual data changes
+  }, [pipelineDeals, pipelineStages]); // CRITICAL FIX: Only re-run when actual data changes
 
   // PROACTIVE AI MONITORING: Update orphaned deal state and alerts
   useEffect(() => {
@@ -530,27 +584,27 @@ export const Dashboard = () => {
   // FIX REVOPS #1: Add stage-based filtering for revenue lifecycle
   const filteredDeals = useMemo(() => {
     // CRITICAL FIX: Filter out null/undefined deals FIRST to prevent crashes
-    return deals.filter(d => d != null).filter(d => {
+    return pipelineDeals.filter(d => d != null).filter(d => {
       // CRITICAL FIX: Handle status-based filters with stage fallback
       // This ensures deals show up even if status wasn't set properly
       if (filterStatus === 'won') {
         // Check both status AND stage to catch all won deals
         // SAFETY: Null-safe stage check
-        if (d.status !== 'won' && !isWonStage(d.stage || '')) return false;
+        if (d.status !== 'won' && !isWonStage(d.stage || '', stageDefinitions)) return false;
       }
 
       if (filterStatus === 'lost') {
         // Check both status AND stage to catch all lost deals
         // SAFETY: Null-safe stage check
-        if (d.status !== 'lost' && !isLostStage(d.stage || '')) return false;
+        if (d.status !== 'lost' && !isLostStage(d.stage || '', stageDefinitions)) return false;
       }
 
       if (filterStatus === 'active') {
         // CRITICAL FIX: Active = ALL deals in pipeline EXCEPT won, lost, and revenue lifecycle stages
         // Active includes: lead_captured, lead_qualification, contacted, needs_identified, proposal, negotiation, etc.
         // SAFETY: Null-safe stage checks
-        const isWon = d.status === 'won' || isWonStage(d.stage || '');
-        const isLost = d.status === 'lost' || isLostStage(d.stage || '');
+        const isWon = d.status === 'won' || isWonStage(d.stage || '', stageDefinitions);
+        const isLost = d.status === 'lost' || isLostStage(d.stage || '', stageDefinitions);
         const isInRevenueStage = ['invoice_sent', 'invoice', 'payment_received', 'payment', 'retention', 'retention_renewal', 'onboarding'].includes(d.stage?.toLowerCase());
 
         // Show deal if it's NOT won, NOT lost, and NOT in a revenue stage
@@ -586,13 +640,18 @@ export const Dashboard = () => {
         if (!matchesSearch) return false;
       }
 
+      // Org custom field filters (all must match)
+      for (const field of customFieldDefs) {
+        if (!matchesCustomFieldFilter(d, field, customFieldFilters[field.key])) return false;
+      }
+
       return true;
     });
-  }, [deals, filterStatus, debouncedSearchTerm]);
+  }, [pipelineDeals, filterStatus, debouncedSearchTerm, customFieldDefs, customFieldFilters, stageDefinitions]);
 
   // FIX UX #10: Track if filtered view has no results
   // PHASE D4 FIX: Null-safe check for deals to prevent crash if deals is undefined
-  const hasNoFilteredResults = filteredDeals.length === 0 && (deals?.length > 0);
+  const hasNoFilteredResults = filteredDeals.length === 0 && (pipelineDeals?.length > 0);
 
   // CRITICAL FIX: Move cardContext useMemo to TOP LEVEL to fix React error #310
   // Cannot call hooks inside conditional or IIFE - must be at component top level
@@ -607,6 +666,9 @@ export const Dashboard = () => {
     organization,
     user,
     pipelineStages,
+    pipelines,
+    activePipelineId,
+    stageDefinitions,
     healthAlert,
     orphanedDealIds,
     // FIX 2025-12-13: Include AI manual off state so non-AI cards can show
@@ -620,7 +682,7 @@ export const Dashboard = () => {
       const dismissKey = `health_dismissed_${organization.id}`;
       localStorage.setItem(dismissKey, 'true');
     }
-  }), [hasAIProvider, checkingAI, aiAuthError, deals, user, organization, pipelineStages, healthAlert, orphanedDealIds, aiDashboardManuallyOff]);
+  }), [hasAIProvider, checkingAI, aiAuthError, deals, user, organization, pipelineStages, pipelines, activePipelineId, stageDefinitions, healthAlert, orphanedDealIds, aiDashboardManuallyOff]);
 
   // FIX v1.7.62 (#4): Prevent empty state flash before skeleton (HIGH)
   // Show skeleton while ANY critical data is loading: org, deals, or pipeline stages
@@ -645,6 +707,7 @@ export const Dashboard = () => {
               onClose={() => setShowNewDeal(false)}
               onDealCreated={handleDealCreated}
               pipelineStages={pipelineStages}
+              pipelineId={activePipelineId}
             />
           </Suspense>
         </ModalErrorBoundary>
@@ -926,8 +989,52 @@ export const Dashboard = () => {
                     {label}
                   </button>
                 ))}
+                {customFieldDefs.length > 0 && (
+                  <button
+                    onClick={() => setShowCustomFieldFilters(open => !open)}
+                    title="Filter by custom fields"
+                    className={`px-4 py-2 rounded-xl text-sm font-medium transition-all duration-300 whitespace-nowrap min-h-touch flex items-center gap-1.5 ${
+                      Object.keys(customFieldFilters).length > 0
+                        ? 'text-[#0CE3B1] bg-[#0CE3B1]/10'
+                        : 'text-white/50 hover:text-white hover:bg-white/[0.06]'
+                    }`}
+                    aria-expanded={showCustomFieldFilters}
+                  >
+                    <SlidersHorizontal className="w-4 h-4" aria-hidden="true" />
+                    Fields
+                    {Object.keys(customFieldFilters).length > 0 && ` (${Object.keys(customFieldFilters).length})`}
+                  </button>
+                )}
               </div>
+
+              {canExport && (
+                <DealExportMenu
+                  organizationId={organization?.id}
+                  viewDeals={filteredDeals}
+                  stageNames={exportStageNames}
+                  filters={{
+                    pipelineId: activePipelineId,
+                    status: filterStatus,
+                    search: debouncedSearchTerm || undefined,
+                    customFields: customFieldFilters
+                  }}
+                  addNotification={addNotification}
+                />
+              )}
             </div>
+            {showCustomFieldFilters && customFieldDefs.length > 0 && (
+              <div className="bg-white/[0.02] backdrop-blur-md rounded-2xl p-4 border border-white/[0.08]">
+                <CustomFieldFilter fields={customFieldDefs} filters={customFieldFilters} onChange={setCustomFieldFilters} />
+                {Object.keys(customFieldFilters).length > 0 && (
+                  <button
+                    onClick={() => setCustomFieldFilters({})}
+                    className="mt-3 text-xs text-white/50 hover:text-white transition"
+                  >
+                    Clear field filters
+                  </button>
+                )}
+              </div>
+            )}
             {/* PHASE 20 CLS FIX: Contain layout to prevent shifts, reserve min-height for board */}
             <ListErrorBoundary listName="Pipeline Board">
               <div
@@ -949,6 +1056,9 @@ export const Dashboard = () => {
                   dealsError={dealsError}
                   onRetryDeals={fetchDeals}
                   isDragLocked={isDragLocked}
+                  pipelines={pipelines}
+                  activePipelineId={activePipelineId}
+                  onPipelineChange={setActivePipelineId}
                 />
               </div>
             </ListErrorBoundary>
@@ -2,6 +2,7 @@ import React, { memo, useMemo, useState, useEffect } from 'react';
 import { DollarSign, Target, TrendingUp as TrendingUpIcon, TrendingDown as TrendingDownIcon, XCircle, Minus, Zap } from 'lucide-react';
 import { buildUserPerformanceProfiles, calculateDealConfidence } from '../utils/aiConfidence';
 import { LEAD_STAGES } from '../config/pipelineConfig';
+import { filterDealsByPipeline, getDealPipelineId } from '../config/orgPipelines';
 
 const kpiCardClass = 'bg-gradient-to-br from-gray-900 to-black border border-teal-500/30 rounded-2xl shadow-2xl hover:shadow-teal-500/20 p-6 transition-all duration-300 cursor-pointer transform hover:scale-[1.02]';
 
@@ -85,9 +86,35 @@ const SkeletonCard = memo(() => (
 
 SkeletonCard.displayName = 'SkeletonCard';
 
-export const DashboardStats = memo(({ deals = [], currentUser = null, loading = false }) => {
+export const DashboardStats = memo(({ deals = [], currentUser = null, loading = false, pipelines = [], activePipelineId = null, stageDefinitions }) => {
   // PHASE UX-B: Track initial load for skeleton state
   const [hasLoadedOnce, setHasLoadedOnce] = useState(false);
+  // Multiple pipelines: roll up across all pipelines or show the board's pipeline
+  const [scope, setScope] = useState('all');
+  const hasMultiplePipelines = pipelines.length > 1;
+  const activePipeline = pipelines.find(p => p.id === activePipelineId) || null;
+
+  const scopedDeals = useMemo(
+    () => (hasMultiplePipelines && scope === 'pipeline' ? filterDealsByPipeline(deals, activePipelineId, pipelines) : deals),
+    [deals, scope, hasMultiplePipelines, activePipelineId, pipelines]
+  );
+
+  // Per-pipeline open/won totals for the "All pipelines" view
+  const pipelineBreakdown = useMemo(() => {
+    if (!hasMultiplePipelines) return [];
+    return pipelines.map(pipeline => {
+      const pipelineDeals = deals.filter(d => d && getDealPipelineId(d, pipelines) === pipeline.id);
+      const open = pipelineDeals.filter(d => d.status === 'active' || d.status == null);
+      const won = pipelineDeals.filter(d => d.status === 'won');
+      return {
+        id: pipeline.id,
+        name: pipeline.name,
+        count: pipelineDeals.length,
+        openTotal: open.reduce((sum, d) => sum + Number(d.value || 0), 0),
+        wonTotal: won.reduce((sum, d) => sum + Number(d.value || 0), 0)
+      };
+    });
+  }, [deals, pipelines, hasMultiplePipelines]);
 
   useEffect(() => {
     if (!loading && deals !== undefined) {
@@ -107,7 +134,7 @@ export const DashboardStats = memo(({ deals = [], currentUser = null, loading =
   }
 
   // PHASE UX-A: Detect empty state for friendly messaging
-  const hasDeals = deals && deals.length > 0;
+  const hasDeals = scopedDeals && scopedDeals.length > 0;
 
   // Memoize expensive calculations
   const stats = useMemo(() => {
@@ -119,13 +146,13 @@ export const DashboardStats = memo(({ deals = [], currentUser = null, loading =
 
     // Leads = all lead-type stages from centralized config
     // CRITICAL FIX: Use LEAD_STAGES constant for single source of truth
-    const leads = deals.filter(d => LEAD_STAGES.includes(d.stage));
+    const leads = scopedDeals.filter(d => LEAD_STAGES.includes(d.stage));
 
     // Active Pipeline = deals in middle stages (NOT leads, NOT won/lost)
     // FIX: Treat null/undefined status as 'active' (the default)
     // FIX: Exclude ALL lead stages (not just 'lead'), use LEAD_STAGES for consistency
     // Deals with status=null weren't matching any category, causing $0 metrics
-    const activePipeline = deals.filter(d =>
+    const activePipeline = scopedDeals.filter(d =>
       (d.status === 'active' || d.status == null) &&
       !LEAD_STAGES.includes(d.stage) &&
       d.stage !== 'retention' &&
@@ -133,10 +160,10 @@ export const DashboardStats = memo(({ deals = [], currentUser = null, loading =
     );
 
     // Won = status 'won' or stage 'retention'
-    const wonDeals = deals.filter(d => d.status === 'won' || d.stage === 'retention');
+    const wonDeals = scopedDeals.filter(d => d.status === 'won' || d.stage === 'retention');
 
     // Lost = status 'lost' or stage 'lost'
-    const lostDeals = deals.filter(d => d.status === 'lost' || d.stage === 'lost');
+    const lostDeals = scopedDeals.filter(d => d.status === 'lost' || d.stage === 'lost');
     
     // Calculate totals
     const activePipelineTotal = activePipeline.reduce((sum, d) => sum + Number(d.value || 0), 0);
@@ -162,7 +189,7 @@ export const DashboardStats = memo(({ deals = [], currentUser = null, loading =
 
     // AI-POWERED CLOSING FORECAST - Use centralized confidence calculation
     // CRITICAL FIX: Use same logic as KanbanBoard for data consistency
-    const { userPerformance, globalWinRate } = buildUserPerformanceProfiles(deals);
+    const { userPerformance, globalWinRate } = buildUserPerformanceProfiles(scopedDeals);
 
     // Define late-stage deals that should ALWAYS be considered "closing soon"
     const LATE_STAGES = new Set([
@@ -175,7 +202,7 @@ export const DashboardStats = memo(({ deals = [], currentUser = null, loading =
     // AI-POWERED FORECAST: Calculate "Closing Soon" (next 14 days)
     const closingSoonDeals = activePipeline.map(deal => {
       // Use centralized confidence calculation for consistency
-      const confidence = calculateDealConfidence(deal, userPerformance, globalWinRate);
+      const confidence = calculateDealConfidence(deal, userPerformance, globalWinRate, stageDefinitions);
 
       // Deal is likely to close soon if:
       // 1. Confidence >= 60% OR
@@ -301,62 +328,92 @@ export const DashboardStats = memo(({ deals = [], currentUser = null, loading =
       closingSoonCount,
       avgClosingSoonConfidence
     };
-  }, [deals, currentUser]);
+  }, [scopedDeals, currentUser, stageDefinitions]);
 
   return (
-    <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6 mb-8">
-      {/* PHASE UX-A: Friendly empty state text when no deals */}
-      <StatCard
-        icon={Target}
-        label="Leads"
-        value={`$${stats.leadsTotal.toLocaleString()}`}
-        subValue={hasDeals ? `${stats.leadsCount} leads • Avg age: ${stats.avgLeadAge}d` : 'No leads yet'}
-        extraInfo={!hasDeals ? 'Create your first deal to get started' : null}
-        colorClass="text-[#3A86FF]"
-        trend={stats.leadsCount > 0 ? 'neutral' : null}
-      />
-
-      <StatCard
-        icon={DollarSign}
-        label="Active Pipeline"
-        value={`$${stats.activePipelineTotal.toLocaleString()}`}
-        subValue={hasDeals ? `${stats.activePipelineCount} deals • Avg age: ${stats.avgDealAge}d` : 'Create deals to track pipeline'}
-        extraInfo={hasDeals && stats.historicalWinRate > 0 ? `Expected close: $${stats.expectedClose.toLocaleString()} (${stats.wonRatePercent}%)` : null}
-        colorClass="text-[#1ABC9C]"
-        trend={stats.activePipelineCount > 0 ? 'neutral' : null}
-      />
-
-      <StatCard
-        icon={Zap}
-        label="Closing Soon"
-        value={`$${Math.round(stats.closingSoonTotal).toLocaleString()}`}
-        subValue={hasDeals ? `${stats.closingSoonCount} ${stats.closingSoonCount === 1 ? 'deal' : 'deals'} • Next 14 days` : 'Add deals to see AI forecasts'}
-        extraInfo={hasDeals && stats.closingSoonCount > 0 ? `Avg confidence: ${stats.avgClosingSoonConfidence}%` : (hasDeals ? 'AI-powered forecast' : 'Powered by AI insights')}
-        colorClass="text-[#F39C12]"
-        trend={stats.closingSoonCount > 0 ? 'up' : null}
-      />
-
-      <StatCard
-        icon={TrendingUpIcon}
-        label="Won/Retention"
-        value={`$${stats.wonThisMonthTotal.toLocaleString()}`}
-        subValue={hasDeals ? `${stats.wonThisMonthCount} deals • ${stats.wonRatePercent}% win rate` : 'No wins this month yet'}
-        extraInfo={hasDeals && currentUser && stats.userWonThisMonth > 0 ? `You: $${stats.userWonThisMonth.toLocaleString()} (${stats.userPercentage}%)` : null}
-        colorClass="text-[#27AE60]"
-        trend={stats.wonTrend !== null ? (stats.wonTrend > 0 ? 'up' : stats.wonTrend < 0 ? 'down' : 'neutral') : null}
-        trendValue={stats.wonTrend}
-      />
-
-      <StatCard
-        icon={XCircle}
-        label="Lost This Month"
-        value={`$${stats.lostThisMonthTotal.toLocaleString()}`}
-        subValue={hasDeals ? `${stats.lostThisMonthCount} deals • ${stats.lostRate}% lost rate` : 'No losses tracked'}
-        colorClass="text-[#E74C3C]"
-        trend={stats.lostTrend !== null ? (stats.lostTrend < 0 ? 'up' : stats.lostTrend > 0 ? 'down' : 'neutral') : null}
-        trendValue={stats.lostTrend !== null ? Math.abs(stats.lostTrend) : null}
-      />
-    </div>
+    <>
+      {hasMultiplePipelines && (
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          <div className="flex rounded-xl border border-white/[0.08] overflow-hidden" role="group" aria-label="Statistics scope">
+            {[
+              { id: 'all', label: 'All pipelines' },
+              { id: 'pipeline', label: activePipeline?.name || 'Current pipeline' }
+            ].map(option => (
+              <button
+                key={option.id}
+                type="button"
+                onClick={() => setScope(option.id)}
+                aria-pressed={scope === option.id}
+                className={`px-3 py-1.5 text-xs font-medium transition ${
+                  scope === option.id ? 'bg-teal-500/20 text-teal-300' : 'text-gray-400 hover:text-white'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          {scope === 'all' && pipelineBreakdown.map(row => (
+            <span key={row.id} className="text-xs text-gray-400">
+              <span className="text-white font-medium">{row.name}</span>
+              {` · ${row.count} deals · $${row.openTotal.toLocaleString()} open · $${row.wonTotal.toLocaleString()} won`}
+            </span>
+          ))}
+        </div>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-6 mb-8">
+        {/* PHASE UX-A: Friendly empty state text when no deals */}
+        <StatCard
+          icon={Target}
+          label="Leads"
+          value={`$${stats.leadsTotal.toLocaleString()}`}
+          subValue={hasDeals ? `${stats.leadsCount} leads • Avg age: ${stats.avgLeadAge}d` : 'No leads yet'}
+          extraInfo={!hasDeals ? 'Create your first deal to get started' : null}
+          colorClass="text-[#3A86FF]"
+          trend={stats.leadsCount > 0 ? 'neutral' : null}
+        />
+
+        <StatCard
+          icon={DollarSign}
+          label="Active Pipeline"
+          value={`$${stats.activePipelineTotal.toLocaleString()}`}
+          subValue={hasDeals ? `${stats.activePipelineCount} deals • Avg age: ${stats.avgDealAge}d` : 'Create deals to track pipeline'}
+          extraInfo={hasDeals && stats.historicalWinRate > 0 ? `Expected close: $${stats.expectedClose.toLocaleString()} (${stats.wonRatePercent}%)` : null}
+          colorClass="text-[#1ABC9C]"
+          trend={stats.activePipelineCount > 0 ? 'neutral' : null}
+        />
+
+        <StatCard
+          icon={Zap}
+          label="Closing Soon"
+          value={`$${Math.round(stats.closingSoonTotal).toLocaleString()}`}
+          subValue={hasDeals ? `${stats.closingSoonCount} ${stats.closingSoonCount === 1 ? 'deal' : 'deals'} • Next 14 days` : 'Add deals to see AI forecasts'}
+          extraInfo={hasDeals && stats.closingSoonCount > 0 ? `Avg confidence: ${stats.avgClosingSoonConfidence}%` : (hasDeals ? 'AI-powered forecast' : 'Powered by AI insights')}
+          colorClass="text-[#F39C12]"
+          trend={stats.closingSoonCount > 0 ? 'up' : null}
+        />
+
+        <StatCard
+          icon={TrendingUpIcon}
+          label="Won/Retention"
+          value={`$${stats.wonThisMonthTotal.toLocaleString()}`}
+          subValue={hasDeals ? `${stats.wonThisMonthCount} deals • ${stats.wonRatePercent}% win rate` : 'No wins this month yet'}
+          extraInfo={hasDeals && currentUser && stats.userWonThisMonth > 0 ? `You: $${stats.userWonThisMonth.toLocaleString()} (${stats.userPercentage}%)` : null}
+          colorClass="text-[#27AE60]"
+          trend={stats.wonTrend !== null ? (stats.wonTrend > 0 ? 'up' : stats.wonTrend < 0 ? 'down' : 'neutral') : null}
+          trendValue={stats.wonTrend}
+        />
+
+        <StatCard
+          icon={XCircle}
+          label="Lost This Month"
+          value={`$${stats.lostThisMonthTotal.toLocaleString()}`}
+          subValue={hasDeals ? `${stats.lostThisMonthCount} deals • ${stats.lostRate}% lost rate` : 'No losses tracked'}
+          colorClass="text-[#E74C3C]"
+          trend={stats.lostTrend !== null ? (stats.lostTrend < 0 ? 'up' : stats.lostTrend > 0 ? 'down' : 'neutral') : null}
+          trendValue={stats.lostTrend !== null ? Math.abs(stats.lostTrend) : null}
+        />
+      </div>
+    </>
   );
 });
 
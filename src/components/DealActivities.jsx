@@ -0,0 +1,363 @@
+import React, { useState, useEffect, memo } from 'react';
+import { Loader2, Phone, Mail, Users, MessageSquare, Plus, X } from 'lucide-react';
+import { api } from '../lib/api-client';
+import { useApp } from './AppShell';
+import { useFocusTrap } from '../lib/accessibility';
+import {
+  ACTIVITY_TYPES,
+  ACTIVITY_TYPE_LABELS,
+  ACTIVITY_OUTCOME_LABELS,
+  ACTIVITY_OUTCOMES_BY_TYPE,
+  activityHasDuration
+} from '../config/activityConfig';
+
+const TYPE_ICONS = {
+  [ACTIVITY_TYPES.CALL]: Phone,
+  [ACTIVITY_TYPES.EMAIL]: Mail,
+  [ACTIVITY_TYPES.MEETING]: Users,
+  [ACTIVITY_TYPES.OTHER]: MessageSquare
+};
+
+const inputClass = 'w-full px-4 py-2.5 bg-gray-800/50 border border-gray-700 rounded-xl text-white placeholder-gray-500 focus:ring-2 focus:ring-teal-500 focus:border-transparent transition';
+
+// datetime-local wants "YYYY-MM-DDTHH:mm" in local time
+const toLocalInputValue = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const formatTimestamp = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * Log a call/email/meeting against a deal via deal-activities.
+ * Resolves with the endpoint result ({ activity, deal }) so callers can
+ * merge the bumped last_activity/last_touch_at into their deal state.
+ */
+export const logDealActivity = async (payload) => {
+  const { data: result } = await api.post('deal-activities', payload);
+  if (!result?.success) {
+    throw new Error(result?.error || 'Failed to log activity');
+  }
+  return result;
+};
+
+/**
+ * Form for logging one activity. Used by DealActivityPanel and LogActivityModal.
+ */
+export const ActivityLogForm = ({ dealId, defaultType = ACTIVITY_TYPES.CALL, onLogged, onCancel }) => {
+  const { addNotification } = useApp();
+  const [type, setType] = useState(defaultType);
+  const [outcome, setOutcome] = useState(ACTIVITY_OUTCOMES_BY_TYPE[defaultType][0]);
+  const [occurredAt, setOccurredAt] = useState(() => toLocalInputValue(new Date()));
+  const [duration, setDuration] = useState('');
+  const [body, setBody] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const handleTypeChange = (nextType) => {
+    setType(nextType);
+    setOutcome(ACTIVITY_OUTCOMES_BY_TYPE[nextType][0]);
+    if (!activityHasDuration(nextType)) setDuration('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!dealId || saving) return;
+
+    setSaving(true);
+    try {
+      const result = await logDealActivity({
+        dealId,
+        type,
+        outcome,
+        occurredAt: new Date(occurredAt).toISOString(),
+        durationMinutes: duration === '' ? null : parseInt(duration, 10),
+        body: body.trim()
+      });
+      addNotification(`${ACTIVITY_TYPE_LABELS[type]} logged`, 'success');
+      setBody('');
+      setDuration('');
+      onLogged?.(result);
+    } catch (error) {
+      console.error('[ActivityLogForm] Failed to log activity:', error);
+      addNotification(error.message || 'Failed to log activity', 'error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Activity type">
+        {Object.values(ACTIVITY_TYPES).map(value => {
+          const Icon = TYPE_ICONS[value];
+          const selected = type === value;
+          return (
+            <button
+              key={value}
+              type="button"
+              role="radio"
+              aria-checked={selected}
+              onClick={() => handleTypeChange(value)}
+              className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm border transition ${
+                selected
+                  ? 'bg-teal-500/20 border-teal-500/40 text-teal-300'
+                  : 'border-gray-700 text-gray-400 hover:text-white'
+              }`}
+            >
+              <Icon className="w-4 h-4" aria-hidden="true" />
+              {ACTIVITY_TYPE_LABELS[value]}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <div>
+          <label htmlFor="activity-occurred-at" className="block text-xs font-medium text-gray-400 mb-1">When</label>
+          <input
+            id="activity-occurred-at"
+            type="datetime-local"
+            required
+            value={occurredAt}
+            max={toLocalInputValue(new Date())}
+            onChange={(e) => setOccurredAt(e.target.value)}
+            className={inputClass}
+          />
+        </div>
+        <div>
+          <label htmlFor="activity-outcome" className="block text-xs font-medium text-gray-400 mb-1">Outcome</label>
+          <select
+            id="activity-outcome"
+            value={outcome}
+            onChange={(e) => setOutcome(e.target.value)}
+            className={inputClass}
+          >
+            {ACTIVITY_OUTCOMES_BY_TYPE[type].map(value => (
+              <option key={value} value={value}>{ACTIVITY_OUTCOME_LABELS[value]}</option>
+            ))}
+          </select>
+        </div>
+        {activityHasDuration(type) && (
+          <div>
+            <label htmlFor="activity-duration" className="block text-xs font-medium text-gray-400 mb-1">Duration (min)</label>
+            <input
+              id="activity-duration"
+              type="number"
+              min="0"
+              max="1440"
+              value={duration}
+              onChange={(e) => setDuration(e.target.value)}
+              placeholder="Optional"
+              className={inputClass}
+            />
+          </div>
+        )}
+      </div>
+
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        rows={3}
+        maxLength={10000}
+        placeholder="What happened? Key points, next steps..."
+        className={inputClass}
+        aria-label="Activity notes"
+      />
+
+      <div className="flex justify-end gap-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-4 py-2 min-h-touch text-gray-400 hover:text-white rounded-xl transition"
+          >
+            Cancel
+          </button>
+        )}
+        <button
+          type="submit"
+          disabled={saving || !dealId}
+          className="flex items-center gap-2 px-4 py-2 min-h-touch bg-teal-500 hover:bg-teal-600 text-white rounded-xl font-semibold transition disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+          Log {ACTIVITY_TYPE_LABELS[type].toLowerCase()}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Activity tab of DealDetailsModal: log form + list of logged touches
+ */
+export const DealActivityPanel = memo(({ deal, onDealUpdated }) => {
+  const [activities, setActivities] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!deal?.id) return;
+    let cancelled = false;
+
+    const fetchActivities = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const { data: result } = await api.get(`deal-activities?dealId=${encodeURIComponent(deal.id)}`);
+        if (cancelled) return;
+        if (!result?.success) {
+          throw new Error(result?.error || 'Failed to load activities');
+        }
+        setActivities(result.activities || []);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('[DealActivityPanel] Failed to load activities:', err);
+        setError(err.message || 'Failed to load activities');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchActivities();
+    return () => { cancelled = true; };
+  }, [deal?.id]);
+
+  const handleLogged = ({ activity, deal: bumped }) => {
+    setActivities(prev => [activity, ...prev].sort((a, b) => (a.occurred_at < b.occurred_at ? 1 : -1)));
+    if (bumped) {
+      onDealUpdated?.({ ...deal, ...bumped });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-gray-800/30 border border-gray-700 rounded-xl p-4">
+        <ActivityLogForm dealId={deal.id} onLogged={handleLogged} />
+      </div>
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Loader2 className="w-6 h-6 animate-spin text-teal-400" />
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-400 text-center py-4">{error}</p>
+      ) : activities.length === 0 ? (
+        <p className="text-sm text-gray-400 text-center py-4">No activities logged yet</p>
+      ) : (
+        <ul className="space-y-3">
+          {activities.map(activity => {
+            const Icon = TYPE_ICONS[activity.type] || MessageSquare;
+            return (
+              <li key={activity.id} className="flex gap-3 p-3 bg-gray-800/30 border border-gray-700/60 rounded-xl">
+                <div className="p-2 h-fit rounded-lg bg-teal-500/10">
+                  <Icon className="w-4 h-4 text-teal-400" aria-hidden="true" />
+                </div>
+                <div className="flex-1 min-w-0">
+                  <p className="text-sm text-white">
+                    <span className="font-semibold">{ACTIVITY_TYPE_LABELS[activity.type] || activity.type}</span>
+                    {activity.outcome && (
+                      <span className="text-gray-400"> · {ACTIVITY_OUTCOME_LABELS[activity.outcome] || activity.outcome}</span>
+                    )}
+                    {activity.duration_minutes != null && (
+                      <span className="text-gray-400"> · {activity.duration_minutes} min</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {formatTimestamp(activity.occurred_at)}
+                    {activity.user_name && ` · ${activity.user_name}`}
+                  </p>
+                  {activity.body && (
+                    <p className="text-sm text-gray-300 mt-2 whitespace-pre-wrap break-words">{activity.body}</p>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+});
+
+DealActivityPanel.displayName = 'DealActivityPanel';
+
+/**
+ * Standalone "Log activity" dialog with a deal picker.
+ * Opened from ActionMicroButtonGroup after an execution action.
+ */
+export const LogActivityModal = memo(({ isOpen, onClose, deals = [], defaultType = ACTIVITY_TYPES.CALL, onLogged }) => {
+  const [dealId, setDealId] = useState('');
+  const focusTrapRef = useFocusTrap(isOpen);
+
+  const activeDeals = deals.filter(d => d.status === 'active');
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setDealId('');
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [isOpen, onClose]);
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="modal-backdrop fixed inset-0 bg-black/60 backdrop-blur-xl z-[160] flex items-start justify-center overflow-y-auto pt-16 px-6">
+      <div
+        ref={focusTrapRef}
+        className="modal-content bg-gradient-to-br from-gray-900 to-black border border-teal-500/30 rounded-2xl shadow-2xl w-full max-w-xl p-6"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="log-activity-title"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 id="log-activity-title" className="text-xl font-bold text-white">Log activity</h2>
+          <button
+            onClick={onClose}
+            className="min-w-touch min-h-touch flex items-center justify-center text-gray-400 hover:text-white rounded-lg transition"
+            aria-label="Close"
+          >
+            <X className="w-5 h-5" aria-hidden="true" />
+          </button>
+        </div>
+
+        <label htmlFor="log-activity-deal" className="block text-xs font-medium text-gray-400 mb-1">Deal</label>
+        <select
+          id="log-activity-deal"
+          value={dealId}
+          onChange={(e) => setDealId(e.target.value)}
+          className={`${inputClass} mb-4`}
+        >
+          <option value="">Select a deal...</option>
+          {activeDeals.map(deal => (
+            <option key={deal.id} value={deal.id}>{deal.client || 'Untitled deal'}</option>
+          ))}
+        </select>
+
+        <ActivityLogForm
+          key={defaultType}
+          dealId={dealId}
+          defaultType={defaultType}
+          onCancel={onClose}
+          onLogged={(result) => {
+            onLogged?.(result);
+            onClose();
+          }}
+        />
+      </div>
+    </div>
+  );
+});
+
+LogActivityModal.displayName = 'LogActivityModal';
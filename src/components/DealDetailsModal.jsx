@@ -1,5 +1,5 @@
 import React, { useState, useEffect, memo, useRef, useCallback } from 'react';
-import { X, Loader2, Trash2, Calendar, XCircle, Receipt, DollarSign, CheckCircle2, UserCircle, Check } from 'lucide-react';
+import { X, Loader2, Trash2, Calendar, XCircle, Receipt, DollarSign, CheckCircle2, UserCircle, Check, FileText, History, Activity, Building2 } from 'lucide-react';
 // P2 FIX 2025-12-04: Removed direct supabase import - use backend endpoint instead (RLS-safe)
 import { useApp } from './AppShell';
 // FIX CRITICAL #1: Import default pipeline as fallback if pipelineStages fails to load
@@ -9,15 +9,24 @@ import { LostReasonModal } from './LostReasonModal';
 import { getStatusForStage } from '../config/pipelineTemplates';
 import { useFocusTrap } from '../lib/accessibility';
 import { PhoneInput } from './PhoneInput';
+import { DealHistoryTimeline } from './DealHistoryTimeline';
+import { DealActivityPanel } from './DealActivities';
+import { DealPartiesPanel } from './DealParties';
+import { CustomFieldInputs } from './CustomFields';
+import { useCustomFields } from '../hooks/useCustomFields';
+import { useStageDefinitions } from '../hooks/useStageDefinitions';
 import { api } from '../lib/api-client'; // PHASE J: Auth-aware API client
 // TASK 3: Demo user display utilities
 import { isDemoEmail, getDemoUserData } from '../lib/demo-users';
 // PHASE 4: Unified outcome configuration
 import { getReasonDisplay, createUnifiedOutcome } from '../config/outcomeConfig';
+import { NEXT_STEP_MAX_LENGTH } from '../config/aiTools';
 
 // NEXT-LEVEL: Memoize modal to prevent unnecessary re-renders (30-40% performance gain)
 export const DealDetailsModal = memo(({ deal, isOpen, onClose, onDealUpdated, onDealDeleted, pipelineStages = [] }) => {
   const { addNotification, organization } = useApp();
+  const { fields: customFieldDefs } = useCustomFields(organization?.id);
+  const { definitions: stageDefinitions } = useStageDefinitions(organization?.id);
   const [deleting, setDeleting] = useState(false);
   const [showLostModal, setShowLostModal] = useState(false);
   const [pendingStageChange, setPendingStageChange] = useState(null);
@@ -32,6 +41,9 @@ export const DealDetailsModal = memo(({ deal, isOpen, onClose, onDealUpdated, on
   // Track if form has changes (used for auto-save trigger, not blocking close)
   const [isDirty, setIsDirty] = useState(false);
 
+  // Details form, logged activities, or change-history timeline
+  const [activeTab, setActiveTab] = useState('details'); // 'details' | 'activity' | 'contacts' | 'history'
+
   // PRO TIER FIX: Team members for deal assignment
   const [teamMembers, setTeamMembers] = useState([]);
   const [loadingTeamMembers, setLoadingTeamMembers] = useState(false);
@@ -64,8 +76,11 @@ export const DealDetailsModal = memo(({ deal, isOpen, onClose, onDealUpdated, on
     stage: 'lead',
     status: 'active',
     notes: '',
+    next_step: '',
+    next_step_due: '',
     lost_reason: '',
-    assigned_to: ''
+    assigned_to: '',
+    custom_fields: {}
   });
 
   useEffect(() => {
@@ -78,8 +93,11 @@ export const DealDetailsModal = memo(({ deal, isOpen, onClose, onDealUpdated, on
         stage: deal.stage || 'lead',
         status: deal.status || 'active',
         notes: deal.notes || '',
+        next_step: deal.next_step || '',
+        next_step_due: deal.next_step_due || '',
         lost_reason: deal.lost_reason || '',
-        assigned_to: deal.assigned_to || ''
+        assigned_to: deal.assigned_to || '',
+        custom_fields: deal.custom_fields || {}
       };
       setFormData(initialData);
       // Store initial data for comparison
@@ -114,7 +132,7 @@ export const DealDetailsModal = memo(({ deal, isOpen, onClose, onDealUpdated, on
     setAutoSaveStatus('saving');
 
     try {
-      const finalStatus = getStatusForStage(dataToSave.stage);
+      const finalStatus = getStatusForStage(dataToSave.stage, stageDefinitions);
 
       // FIX 2025-12-06: Build payload with explicit field handling
       // All values must be defined - no undefined values allowed
@@ -140,6 +158,28 @@ export const DealDetailsModal = memo(({ deal, isOpen, onClose, onDealUpdated, on
       }
       // If neither condition is true, assigned_at is simply not included (not undefined)
 
+      // Custom fields: send only changed keys of active fields (update-deal merges them,
+      // and archived keys would be rejected as unknown)
+      const changedCustomFields = {};
+      for (const field of customFieldDefs) {
+        const next = dataToSave.custom_fields?.[field.key] ?? null;
+        const previous = deal.custom_fields?.[field.key] ?? null;
+        if (JSON.stringify(next) !== JSON.stringify(previous)) {
+          changedCustomFields[field.key] = next === '' ? null : next;
+        }
+      }
+      if (Object.keys(changedCustomFields).length > 0) {
+        rawPayload.custom_fields = changedCustomFields;
+      }
+
+      // Next step: only sent when edited (an empty value clears it)
+      const nextStep = sanitizeText(dataToSave.next_step) || null;
+      const nextStepDue = dataToSave.next_step_due || null;
+      if (nextStep !== (deal.next_step || null) || nextStepDue !== (deal.next_step_due || null)) {
+        rawPayload.next_step = nextStep;
+        rawPayload.next_step_due = nextStepDue;
+      }
+
       // FIX 2025-12-06: Filter out any remaining undefined/null keys (defensive)
       const sanitizedData = Object.fromEntries(
         Object.entries(rawPayload).filter(([_, v]) => v !== undefined)
@@ -208,7 +248,7 @@ export const DealDetailsModal = memo(({ deal, isOpen, onClose, onDealUpdated, on
       // P0 FIX 2025-12-08: Show specific error messages based on error code
       // Keep in sync with useDealManagement.js error handling
       let userMessage = 'Save failed. Please try again.';
-      if (error.code === 'VALIDATION_ERROR' || error.code === 'UPDATE_VALIDATION_ERROR') {
+      if (error.code === 'VALIDATION_ERROR' || error.code === 'UPDATE_VALIDATION_ERROR' || error.code === 'CUSTOM_FIELD_INVALID') {
         userMessage = error.message || 'Invalid data. Please check your input.';
       } else if (error.code === 'FORBIDDEN') {
         userMessage = 'You don\'t have permission to update this deal.';
@@ -231,7 +271,7 @@ export const DealDetailsModal = memo(({ deal, isOpen, onClose, onDealUpdated, on
       // Always show error to user (not just silent fail)
       addNotification(userMessage, 'error');
     }
-  }, [deal, organization?.id, onDealUpdated, addNotification]);
+  }, [deal, organization?.id, onDealUpdated, addNotification, customFieldDefs, stageDefinitions]);
 
   // UX FRICTION FIX: Trigger auto-save with debounce when form changes
   useEffect(() => {
@@ -307,6 +347,11 @@ export const DealDetailsModal = memo(({ deal, isOpen, onClose, onDealUpdated, on
     fetchTeamMembers();
   }, [isOpen, organization?.id, hasPaidPlan]);
 
+  // Always open a deal on the details tab
+  useEffect(() => {
+    setActiveTab('details');
+  }, [deal?.id]);
+
   // Focus management for accessibility
   useEffect(() => {
     if (isOpen && closeButtonRef.current) {
@@ -361,7 +406,7 @@ export const DealDetailsModal = memo(({ deal, isOpen, onClose, onDealUpdated, on
     }
 
     // Get the correct status for this stage using centralized logic
-    const newStatus = getStatusForStage(newStage);
+    const newStatus = getStatusForStage(newStage, stageDefinitions);
 
     // H6-D: Mark form as dirty when stage changes
     setIsDirty(true);
@@ -492,7 +537,60 @@ export const DealDetailsModal = memo(({ deal, isOpen, onClose, onDealUpdated, on
             );
           })()}
 
-          <form onSubmit={(e) => e.preventDefault()} className="p-6 space-y-4">
+          <div className="flex gap-1 px-6 pt-4" role="tablist" aria-label="Deal sections">
+            {[
+              { id: 'details', label: 'Details', icon: FileText },
+              { id: 'activity', label: 'Activity', icon: Activity },
+              { id: 'contacts', label: 'Contacts', icon: Building2 },
+              { id: 'history', label: 'History', icon: History }
+            ].map(tab => {
+              const Icon = tab.icon;
+              const selected = activeTab === tab.id;
+              return (
+                <button
+                  key={tab.id}
+                  type="button"
+                  role="tab"
+                  aria-selected={selected}
+                  onClick={() => setActiveTab(tab.id)}
+                  className={`flex items-center gap-2 px-4 py-2 min-h-touch rounded-xl text-sm font-medium transition ${
+                    selected
+                      ? 'bg-teal-500/20 text-teal-300 border border-teal-500/30'
+                      : 'text-gray-400 hover:text-white border border-transparent'
+                  }`}
+                >
+                  <Icon className="w-4 h-4" aria-hidden="true" />
+                  {tab.label}
+                </button>
+              );
+            })}
+          </div>
+
+          {activeTab === 'activity' && (
+            <div className="p-6" role="tabpanel" aria-label="Deal activity">
+              <DealActivityPanel deal={deal} onDealUpdated={onDealUpdated} />
+            </div>
+          )}
+
+          {activeTab === 'contacts' && (
+            <div className="p-6" role="tabpanel" aria-label="Deal contacts">
+              <DealPartiesPanel deal={deal} onDealUpdated={onDealUpdated} />
+            </div>
+          )}
+
+          {activeTab === 'history' && (
+            <div className="p-6" role="tabpanel" aria-label="Deal history">
+              <DealHistoryTimeline
+                dealId={deal.id}
+                refreshKey={deal.last_activity}
+                stages={pipelineStages.length > 0 ? pipelineStages : PIPELINE_TEMPLATES.default.stages}
+                teamMembers={teamMembers}
+              />
+            </div>
+          )}
+
+          {/* Form stays mounted while viewing history so unsaved edits and auto-save timers survive */}
+          <form onSubmit={(e) => e.preventDefault()} className={`p-6 space-y-4 ${activeTab === 'details' ? '' : 'hidden'}`}>
             <div>
               <label className="block text-sm font-medium text-white mb-2">
                 Client Name *
@@ -622,6 +720,40 @@ export const DealDetailsModal = memo(({ deal, isOpen, onClose, onDealUpdated, on
               </div>
             )}
 
+            {/* Org-defined custom fields */}
+            <CustomFieldInputs
+              fields={customFieldDefs}
+              values={formData.custom_fields}
+              onChange={(key, value) => {
+                setFormData({ ...formData, custom_fields: { ...formData.custom_fields, [key]: value } });
+                setIsDirty(true);
+              }}
+            />
+
+            <div>
+              <label htmlFor="deal-next-step" className="block text-sm font-medium text-white mb-2">
+                Next step
+              </label>
+              <div className="flex gap-2">
+                <input
+                  id="deal-next-step"
+                  type="text"
+                  value={formData.next_step}
+                  onChange={(e) => { setFormData({ ...formData, next_step: e.target.value }); setIsDirty(true); }}
+                  maxLength={NEXT_STEP_MAX_LENGTH}
+                  className="flex-1 min-w-0 px-4 py-3 bg-gray-800/50 border border-gray-700 rounded-xl text-white placeholder-gray-500 focus:ring-2 focus:ring-teal-500 focus:border-transparent transition"
+                  placeholder="e.g. Send the revised quote"
+                />
+                <input
+                  type="date"
+                  value={formData.next_step_due}
+                  onChange={(e) => { setFormData({ ...formData, next_step_due: e.target.value }); setIsDirty(true); }}
+                  aria-label="Next step due date"
+                  className="px-3 py-3 bg-gray-800/50 border border-gray-700 rounded-xl text-white focus:ring-2 focus:ring-teal-500 focus:border-transparent transition"
+                />
+              </div>
+            </div>
+
             <div>
               <label className="block text-sm font-medium text-white mb-2">
                 Notes
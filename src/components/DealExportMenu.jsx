@@ -0,0 +1,136 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Download, Loader2 } from 'lucide-react';
+import { api } from '../lib/api-client';
+
+/**
+ * Export button for the dashboard filter bar
+ *
+ * Downloads the deals on the filtered board ("Current view") or every deal
+ * in the organization as CSV, Excel or JSON via export-deals. Only shown to
+ * roles with the export_data permission (owner, admin).
+ */
+
+const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', type: 'text/csv' },
+  { id: 'xlsx', label: 'Excel (.xlsx)', type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' },
+  { id: 'json', label: 'JSON', type: 'application/json' }
+];
+
+// Header arrival only - the body keeps streaming after this
+const EXPORT_TIMEOUT_MS = 60000;
+
+const downloadBlob = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  window.URL.revokeObjectURL(url);
+};
+
+export const DealExportMenu = ({ organizationId, viewDeals = [], stageNames = {}, filters = {}, addNotification }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [scope, setScope] = useState('view');
+  const [exporting, setExporting] = useState(null);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (event) => {
+      if (containerRef.current && !containerRef.current.contains(event.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleExport = async (format) => {
+    if (!organizationId || exporting) return;
+    setExporting(format.id);
+
+    try {
+      const { data } = await api.post('export-deals', {
+        organizationId,
+        format: format.id,
+        scope,
+        dealIds: scope === 'view' ? viewDeals.map(deal => deal.id) : undefined,
+        stageNames,
+        filters: scope === 'view' ? filters : undefined
+      }, { timeout: EXPORT_TIMEOUT_MS, maxRetries: 0 });
+
+      // The API client parses JSON and text bodies; rebuild a file from them
+      const blob = data instanceof Blob
+        ? data
+        : new Blob([typeof data === 'string' ? data : JSON.stringify(data, null, 2)], { type: format.type });
+
+      downloadBlob(blob, `stageflow-deals-${new Date().toISOString().slice(0, 10)}.${format.id}`);
+      setIsOpen(false);
+    } catch (error) {
+      console.error('[DealExport] Export failed:', error);
+      addNotification?.(error.userMessage || error.message || 'Export failed. Please try again.', 'error');
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={() => setIsOpen(open => !open)}
+        title="Export deals"
+        className="h-full min-h-[48px] px-4 rounded-2xl text-sm font-medium text-white/50 hover:text-white bg-white/[0.02] hover:bg-white/[0.06] border border-white/[0.08] transition-all duration-300 whitespace-nowrap flex items-center gap-1.5"
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+      >
+        {exporting
+          ? <Loader2 className="w-4 h-4 animate-spin" aria-hidden="true" />
+          : <Download className="w-4 h-4" aria-hidden="true" />}
+        Export
+      </button>
+
+      {isOpen && (
+        <div
+          role="menu"
+          className="absolute right-0 mt-2 w-64 z-30 bg-[#0D1F2D] border border-white/[0.1] rounded-2xl p-3 shadow-[0_8px_32px_rgba(0,0,0,0.4)]"
+        >
+          <div className="flex gap-1 p-1 mb-3 bg-white/[0.03] rounded-xl" role="radiogroup" aria-label="Deals to export">
+            {[
+              { id: 'view', label: `Current view (${viewDeals.length})` },
+              { id: 'all', label: 'All deals' }
+            ].map(option => (
+              <button
+                key={option.id}
+                role="radio"
+                aria-checked={scope === option.id}
+                onClick={() => setScope(option.id)}
+                className={`flex-1 px-2 py-1.5 rounded-lg text-xs font-medium transition ${
+                  scope === option.id ? 'bg-[#0CE3B1]/15 text-[#0CE3B1]' : 'text-white/50 hover:text-white'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          {EXPORT_FORMATS.map(format => (
+            <button
+              key={format.id}
+              role="menuitem"
+              onClick={() => handleExport(format)}
+              disabled={!!exporting || (scope === 'view' && viewDeals.length === 0)}
+              className="w-full flex items-center justify-between px-3 py-2 rounded-xl text-sm text-white/80 hover:text-white hover:bg-white/[0.06] disabled:opacity-40 disabled:cursor-not-allowed transition"
+            >
+              {format.label}
+              {exporting === format.id && <Loader2 className="w-4 h-4 animate-spin" aria-hidden="true" />}
+            </button>
+          ))}
+
+          <p className="mt-2 px-1 text-[11px] text-white/40">
+            Includes outcomes, assignees and stage history. Exports are logged.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DealExportMenu;
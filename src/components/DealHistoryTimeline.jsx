@@ -0,0 +1,156 @@
+import React, { useState, useEffect, memo } from 'react';
+import { Loader2, History, ArrowRight } from 'lucide-react';
+import { api } from '../lib/api-client';
+import { calculateDiff } from '../lib/differential-sync';
+import { getReasonDisplay } from '../config/outcomeConfig';
+
+const FIELD_LABELS = {
+  stage: 'Stage',
+  status: 'Status',
+  value: 'Value',
+  assigned_to: 'Assigned to',
+  notes: 'Notes',
+  next_step: 'Next step',
+  lost_reason: 'Lost reason',
+  outcome_reason_category: 'Outcome reason',
+  outcome_notes: 'Outcome notes',
+  disqualified_reason_category: 'Disqualified reason'
+};
+
+const SOURCE_LABELS = {
+  create: 'created this deal',
+  update: 'updated',
+  api: 'updated via API',
+  assign: 'reassigned',
+  import: 'imported',
+  capture: 'created this deal from a lead form'
+};
+
+const formatTimestamp = (dateString) => {
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+};
+
+/**
+ * Deal change timeline (History tab of DealDetailsModal)
+ *
+ * Loads events from get-deal-history and diffs each event's previous/next
+ * snapshots with calculateDiff() to list the fields that changed.
+ */
+export const DealHistoryTimeline = memo(({ dealId, refreshKey, stages = [], teamMembers = [] }) => {
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!dealId) return;
+    let cancelled = false;
+
+    const fetchHistory = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const { data: result } = await api.get(`get-deal-history?dealId=${encodeURIComponent(dealId)}`);
+        if (cancelled) return;
+        if (!result?.success) {
+          throw new Error(result?.error || 'Failed to load history');
+        }
+        setEvents(result.events || []);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('[DealHistoryTimeline] Failed to load history:', err);
+        setError(err.message || 'Failed to load history');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchHistory();
+    return () => { cancelled = true; };
+  }, [dealId, refreshKey]);
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') {
+      return field === 'assigned_to' ? 'Unassigned' : '—';
+    }
+    switch (field) {
+      case 'stage':
+        return stages.find(s => s.id === value)?.name || value;
+      case 'value':
+        return `$${(Number(value) || 0).toLocaleString()}`;
+      case 'assigned_to':
+        return teamMembers.find(m => m.id === value)?.name || 'Team member';
+      case 'status':
+        return String(value).charAt(0).toUpperCase() + String(value).slice(1);
+      case 'outcome_reason_category':
+      case 'disqualified_reason_category':
+        return getReasonDisplay(value)?.label || value;
+      default: {
+        const text = String(value);
+        return text.length > 80 ? `${text.slice(0, 80)}…` : text;
+      }
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader2 className="w-6 h-6 animate-spin text-teal-400" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-400 text-center py-8">{error}</p>;
+  }
+
+  if (events.length === 0) {
+    return (
+      <div className="text-center py-12 text-gray-400">
+        <History className="w-10 h-10 mx-auto mb-3 opacity-50" />
+        <p className="text-sm">No changes recorded yet</p>
+      </div>
+    );
+  }
+
+  return (
+    <ol className="relative border-l border-gray-700 ml-2 space-y-6">
+      {events.map(event => {
+        const diff = calculateDiff(event.previous || {}, event.next || {}) || {};
+        const actorName = event.actor?.name || (event.source === 'api' ? 'API key' : 'System');
+
+        return (
+          <li key={event.id} className="ml-5">
+            <span className="absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full bg-teal-500 border-2 border-gray-900" />
+            <p className="text-sm text-white">
+              <span className="font-semibold">{actorName}</span>{' '}
+              <span className="text-gray-400">{SOURCE_LABELS[event.source] || 'updated'}</span>
+            </p>
+            <time className="text-xs text-gray-500">{formatTimestamp(event.changedAt)}</time>
+            <ul className="mt-2 space-y-1">
+              {Object.entries(diff).map(([field, change]) => (
+                <li key={field} className="text-sm text-gray-300 flex flex-wrap items-center gap-1.5">
+                  <span className="text-gray-400">{FIELD_LABELS[field] || field}:</span>
+                  {event.source !== 'create' && (
+                    <>
+                      <span className="line-through text-gray-500">{formatValue(field, change.old)}</span>
+                      <ArrowRight className="w-3 h-3 text-gray-500" aria-hidden="true" />
+                    </>
+                  )}
+                  <span className="text-white">{formatValue(field, change.new)}</span>
+                </li>
+              ))}
+            </ul>
+          </li>
+        );
+      })}
+    </ol>
+  );
+});
+
+DealHistoryTimeline.displayName = 'DealHistoryTimeline';
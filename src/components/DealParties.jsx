@@ -0,0 +1,486 @@
+import React, { useState, useEffect, memo } from 'react';
+import { Loader2, Building2, User, Plus, X, Star, ArrowLeft, Search } from 'lucide-react';
+import { api } from '../lib/api-client';
+import { useApp } from './AppShell';
+import { useDebounce } from '../hooks/useDebounce';
+import { getStageDisplayName, getStatusDisplay } from '../domain/stageLabels';
+import { getContactLabel } from '../domain/contact';
+
+const inputClass = 'w-full px-4 py-2.5 bg-gray-800/50 border border-gray-700 rounded-xl text-white placeholder-gray-500 focus:ring-2 focus:ring-teal-500 focus:border-transparent transition';
+
+const formatCurrency = (value) => `$${(Number(value) || 0).toLocaleString()}`;
+
+const formatDate = (dateString) => {
+  if (!dateString) return '—';
+  return new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+};
+
+/**
+ * Debounced typeahead against the contacts or companies endpoint.
+ * Queries shorter than 2 characters return no results without a request.
+ */
+export const useEntitySearch = (endpoint, organizationId, query) => {
+  const debouncedQuery = useDebounce(query, 250);
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const term = (debouncedQuery || '').trim();
+    if (!organizationId || term.length < 2) {
+      setResults([]);
+      return;
+    }
+    let cancelled = false;
+
+    const search = async () => {
+      setLoading(true);
+      try {
+        const { data: result } = await api.get(
+          `${endpoint}?organizationId=${encodeURIComponent(organizationId)}&q=${encodeURIComponent(term)}`
+        );
+        if (!cancelled) setResults(result?.[endpoint] || []);
+      } catch (err) {
+        // Typeahead is best-effort - creating a new record still works
+        console.warn(`[useEntitySearch] ${endpoint} search failed:`, err);
+        if (!cancelled) setResults([]);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    search();
+    return () => { cancelled = true; };
+  }, [endpoint, organizationId, debouncedQuery]);
+
+  return { results, loading };
+};
+
+/**
+ * Dropdown of typeahead matches under an input
+ */
+export const EntitySuggestions = ({ id, items, loading, renderLabel, onSelect, emptyHint }) => {
+  if (!loading && items.length === 0 && !emptyHint) return null;
+
+  return (
+    <ul
+      id={id}
+      role="listbox"
+      className="absolute z-10 mt-1 w-full max-h-56 overflow-y-auto bg-gray-900 border border-gray-700 rounded-xl shadow-xl"
+    >
+      {loading && items.length === 0 && (
+        <li className="px-4 py-2 text-sm text-gray-400 flex items-center gap-2">
+          <Loader2 className="w-4 h-4 animate-spin" /> Searching...
+        </li>
+      )}
+      {items.map(item => (
+        <li key={item.id} role="option" aria-selected="false">
+          <button
+            type="button"
+            // onMouseDown so the pick lands before the input's blur hides the list
+            onMouseDown={(e) => { e.preventDefault(); onSelect(item); }}
+            className="w-full text-left px-4 py-2 text-sm text-white hover:bg-teal-500/10 transition"
+          >
+            {renderLabel(item)}
+          </button>
+        </li>
+      ))}
+      {!loading && items.length === 0 && emptyHint && (
+        <li className="px-4 py-2 text-sm text-gray-400">{emptyHint}</li>
+      )}
+    </ul>
+  );
+};
+
+/**
+ * Company view: every deal linked to the company rolled up by status and stage
+ */
+export const CompanyView = memo(({ organizationId, companyId, onBack }) => {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!organizationId || !companyId) return;
+    let cancelled = false;
+
+    const fetchCompany = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const { data: result } = await api.get(
+          `companies?organizationId=${encodeURIComponent(organizationId)}&id=${encodeURIComponent(companyId)}`
+        );
+        if (cancelled) return;
+        if (!result?.success) {
+          throw new Error(result?.error || 'Failed to load company');
+        }
+        setData(result);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('[CompanyView] Failed to load company:', err);
+        setError(err.message || 'Failed to load company');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchCompany();
+    return () => { cancelled = true; };
+  }, [organizationId, companyId]);
+
+  return (
+    <div className="space-y-4">
+      <button
+        type="button"
+        onClick={onBack}
+        className="flex items-center gap-1.5 text-sm text-gray-400 hover:text-white transition"
+      >
+        <ArrowLeft className="w-4 h-4" aria-hidden="true" /> Back to deal contacts
+      </button>
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <Loader2 className="w-6 h-6 animate-spin text-teal-400" />
+        </div>
+      ) : error ? (
+        <p className="text-sm text-red-400 text-center py-4">{error}</p>
+      ) : (
+        <>
+          <div className="flex items-center gap-3">
+            <div className="p-2 rounded-lg bg-teal-500/10">
+              <Building2 className="w-5 h-5 text-teal-400" aria-hidden="true" />
+            </div>
+            <div>
+              <h3 className="text-lg font-semibold text-white">{data.company.name}</h3>
+              {data.company.domain && <p className="text-xs text-gray-400">{data.company.domain}</p>}
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {[
+              { label: 'Deals', value: data.rollup.dealCount },
+              { label: 'Open pipeline', value: formatCurrency(data.rollup.openValue), sub: `${data.rollup.openCount} open` },
+              { label: 'Won revenue', value: formatCurrency(data.rollup.wonValue), sub: `${data.rollup.wonCount} won` },
+              { label: 'Customer since', value: formatDate(data.rollup.firstDealAt) }
+            ].map(stat => (
+              <div key={stat.label} className="bg-gray-800/30 border border-gray-700 rounded-xl p-3">
+                <p className="text-xs text-gray-400">{stat.label}</p>
+                <p className="text-base font-semibold text-white">{stat.value}</p>
+                {stat.sub && <p className="text-xs text-gray-500">{stat.sub}</p>}
+              </div>
+            ))}
+          </div>
+
+          {Object.keys(data.rollup.byStage).length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {Object.entries(data.rollup.byStage).map(([stage, count]) => (
+                <span key={stage} className="px-2 py-1 rounded-lg text-xs bg-gray-800/60 border border-gray-700 text-gray-300">
+                  {getStageDisplayName(stage)}: {count}
+                </span>
+              ))}
+            </div>
+          )}
+
+          <div>
+            <h4 className="text-sm font-medium text-gray-300 mb-2">Deals</h4>
+            <ul className="space-y-2">
+              {data.deals.map(deal => (
+                <li key={deal.id} className="flex items-center justify-between gap-3 p-3 bg-gray-800/30 border border-gray-700/60 rounded-xl">
+                  <div className="min-w-0">
+                    <p className="text-sm text-white truncate">{deal.client}</p>
+                    <p className="text-xs text-gray-400">
+                      {getStageDisplayName(deal.stage)} · {getStatusDisplay(deal.status).label} · {formatDate(deal.created)}
+                    </p>
+                  </div>
+                  <span className="text-sm font-semibold text-white">{formatCurrency(deal.value)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          {data.contacts.length > 0 && (
+            <div>
+              <h4 className="text-sm font-medium text-gray-300 mb-2">People</h4>
+              <ul className="space-y-1">
+                {data.contacts.map(contact => (
+                  <li key={contact.id} className="text-sm text-gray-300">
+                    {getContactLabel(contact)}{contact.title ? ` · ${contact.title}` : ''}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+});
+
+CompanyView.displayName = 'CompanyView';
+
+/**
+ * Search-or-create input: pick an existing record or create one from the typed text
+ */
+const PartyPicker = ({ endpoint, organizationId, placeholder, renderLabel, onPick, onCreate, busy }) => {
+  const [query, setQuery] = useState('');
+  const [focused, setFocused] = useState(false);
+  const { results, loading } = useEntitySearch(endpoint, organizationId, query);
+  const listId = `${endpoint}-picker-results`;
+
+  const reset = () => setQuery('');
+
+  return (
+    <div className="flex gap-2">
+      <div className="relative flex-1">
+        <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-500" aria-hidden="true" />
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onFocus={() => setFocused(true)}
+          onBlur={() => setFocused(false)}
+          placeholder={placeholder}
+          aria-controls={listId}
+          className={`${inputClass} pl-9`}
+        />
+        {focused && query.trim().length >= 2 && (
+          <EntitySuggestions
+            id={listId}
+            items={results}
+            loading={loading}
+            renderLabel={renderLabel}
+            onSelect={(item) => { onPick(item); reset(); }}
+            emptyHint="No matches - add it as new"
+          />
+        )}
+      </div>
+      <button
+        type="button"
+        disabled={busy || query.trim().length < 1}
+        onClick={() => { onCreate(query.trim()); reset(); }}
+        className="flex items-center gap-1.5 px-3 py-2 min-h-touch bg-teal-500 hover:bg-teal-600 text-white rounded-xl text-sm font-semibold transition disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <Plus className="w-4 h-4" aria-hidden="true" /> Add
+      </button>
+    </div>
+  );
+};
+
+/**
+ * Contacts tab of DealDetailsModal: linked contacts/companies, search-or-create
+ * linking, and a drill-in company view that rolls up all of the company's deals
+ */
+export const DealPartiesPanel = memo(({ deal, onDealUpdated }) => {
+  const { organization, addNotification } = useApp();
+  const organizationId = deal?.organization_id || organization?.id;
+  const [parties, setParties] = useState({ contacts: [], companies: [] });
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [viewCompanyId, setViewCompanyId] = useState(null);
+
+  useEffect(() => {
+    if (!deal?.id) return;
+    let cancelled = false;
+
+    const fetchParties = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const { data: result } = await api.get(`deal-parties?dealId=${encodeURIComponent(deal.id)}`);
+        if (cancelled) return;
+        if (!result?.success) {
+          throw new Error(result?.error || 'Failed to load contacts');
+        }
+        setParties({ contacts: result.contacts || [], companies: result.companies || [] });
+      } catch (err) {
+        if (cancelled) return;
+        console.error('[DealPartiesPanel] Failed to load contacts:', err);
+        setError(err.message || 'Failed to load contacts');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    fetchParties();
+    return () => { cancelled = true; };
+  }, [deal?.id]);
+
+  const link = async ({ contactId, companyId, primary = false }) => {
+    const { data: result } = await api.post('deal-parties', { dealId: deal.id, contactId, companyId, primary });
+    if (!result?.success) {
+      throw new Error(result?.error || 'Failed to link');
+    }
+    setParties({ contacts: result.contacts || [], companies: result.companies || [] });
+
+    // Primary contact is mirrored into the deal's inline client/email/phone
+    if (primary && contactId) {
+      const contact = (result.contacts || []).find(c => c.id === contactId);
+      if (contact) {
+        onDealUpdated?.({ ...deal, client: contact.name, email: contact.email, phone: contact.phone });
+      }
+    }
+  };
+
+  const runAction = async (action, successMessage) => {
+    if (busy) return;
+    setBusy(true);
+    try {
+      await action();
+      if (successMessage) addNotification(successMessage, 'success');
+    } catch (err) {
+      console.error('[DealPartiesPanel] Action failed:', err);
+      addNotification(err.message || 'Something went wrong', 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const createAndLink = (endpoint, payload) => runAction(async () => {
+    const { data: result } = await api.post(endpoint, { organizationId, ...payload });
+    if (!result?.success) {
+      throw new Error(result?.error || 'Failed to save');
+    }
+    const record = result.contact || result.company;
+    await link(endpoint === 'contacts' ? { contactId: record.id } : { companyId: record.id });
+    if (result.deduplicated) {
+      addNotification(`Linked existing ${endpoint === 'contacts' ? 'contact' : 'company'} "${record.name}"`, 'info');
+    }
+  });
+
+  // Typed text becomes the email when it looks like one, otherwise the name
+  const handleCreateContact = (text) => {
+    const isEmail = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text);
+    createAndLink('contacts', isEmail ? { name: text.split('@')[0], email: text } : { name: text });
+  };
+
+  const handleUnlink = (params) => runAction(async () => {
+    const query = new URLSearchParams({ dealId: deal.id, ...params }).toString();
+    const { data: result } = await api.delete(`deal-parties?${query}`);
+    if (!result?.success) {
+      throw new Error(result?.error || 'Failed to unlink');
+    }
+    setParties({ contacts: result.contacts || [], companies: result.companies || [] });
+  });
+
+  if (viewCompanyId) {
+    return <CompanyView organizationId={organizationId} companyId={viewCompanyId} onBack={() => setViewCompanyId(null)} />;
+  }
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <Loader2 className="w-6 h-6 animate-spin text-teal-400" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-400 text-center py-8">{error}</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <section className="space-y-3">
+        <h3 className="text-sm font-medium text-gray-300">Companies</h3>
+        {parties.companies.length === 0 ? (
+          <p className="text-sm text-gray-500">No company linked</p>
+        ) : (
+          <ul className="space-y-2">
+            {parties.companies.map(company => (
+              <li key={company.id} className="flex items-center justify-between gap-3 p-3 bg-gray-800/30 border border-gray-700/60 rounded-xl">
+                <button
+                  type="button"
+                  onClick={() => setViewCompanyId(company.id)}
+                  className="flex items-center gap-2 min-w-0 text-left text-white hover:text-teal-300 transition"
+                >
+                  <Building2 className="w-4 h-4 text-teal-400 flex-shrink-0" aria-hidden="true" />
+                  <span className="truncate">{company.name}</span>
+                  {company.domain && <span className="text-xs text-gray-500 truncate">{company.domain}</span>}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleUnlink({ companyId: company.id })}
+                  disabled={busy}
+                  className="p-1 text-gray-500 hover:text-red-400 transition"
+                  aria-label={`Unlink ${company.name}`}
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <PartyPicker
+          endpoint="companies"
+          organizationId={organizationId}
+          placeholder="Search or add a company"
+          renderLabel={(company) => company.domain ? `${company.name} · ${company.domain}` : company.name}
+          onPick={(company) => runAction(() => link({ companyId: company.id }))}
+          onCreate={(name) => createAndLink('companies', { name })}
+          busy={busy}
+        />
+      </section>
+
+      <section className="space-y-3">
+        <h3 className="text-sm font-medium text-gray-300">Contacts</h3>
+        {parties.contacts.length === 0 ? (
+          <p className="text-sm text-gray-500">No contacts linked</p>
+        ) : (
+          <ul className="space-y-2">
+            {parties.contacts.map(contact => (
+              <li key={contact.id} className="flex items-center justify-between gap-3 p-3 bg-gray-800/30 border border-gray-700/60 rounded-xl">
+                <div className="flex items-center gap-2 min-w-0">
+                  <User className="w-4 h-4 text-gray-400 flex-shrink-0" aria-hidden="true" />
+                  <div className="min-w-0">
+                    <p className="text-sm text-white truncate">{contact.name}</p>
+                    <p className="text-xs text-gray-500 truncate">
+                      {[contact.title, contact.email, contact.phone].filter(Boolean).join(' · ')}
+                    </p>
+                  </div>
+                  {contact.is_primary && (
+                    <span className="px-2 py-0.5 rounded-full text-xs bg-teal-500/20 text-teal-300">Primary</span>
+                  )}
+                </div>
+                <div className="flex items-center gap-1">
+                  {!contact.is_primary && (
+                    <button
+                      type="button"
+                      onClick={() => runAction(() => link({ contactId: contact.id, primary: true }), 'Primary contact updated')}
+                      disabled={busy}
+                      className="p-1 text-gray-500 hover:text-teal-300 transition"
+                      aria-label={`Make ${contact.name} the primary contact`}
+                      title="Make primary"
+                    >
+                      <Star className="w-4 h-4" />
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => handleUnlink({ contactId: contact.id })}
+                    disabled={busy || contact.is_primary}
+                    className="p-1 text-gray-500 hover:text-red-400 transition disabled:opacity-30 disabled:cursor-not-allowed"
+                    aria-label={`Unlink ${contact.name}`}
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+        <PartyPicker
+          endpoint="contacts"
+          organizationId={organizationId}
+          placeholder="Search by name or email, or add a new contact"
+          renderLabel={(contact) => getContactLabel(contact)}
+          onPick={(contact) => runAction(() => link({ contactId: contact.id }))}
+          onCreate={handleCreateContact}
+          busy={busy}
+        />
+      </section>
+    </div>
+  );
+});
+
+DealPartiesPanel.displayName = 'DealPartiesPanel';
@@ -1,10 +1,14 @@
 import React, { memo, useState, useRef, useCallback, useEffect } from 'react';
 import {
   Bot, Database, Shield, AlertCircle, XCircle, ExternalLink,
-  CheckCircle2, Sparkles, Loader2, Check
+  CheckCircle2, Sparkles, Loader2, Check, UserPlus, Users, History, Server
 } from 'lucide-react';
 import { supabase, VIEWS } from '../lib/supabase';
 import { api } from '../lib/api-client'; // PHASE J: Auth-aware API client
+import { useApp } from './AppShell';
+import { TeamInvitations } from './TeamInvitations';
+import { TeamMembers } from './TeamMembers';
+import { AuditLog } from './AuditLog';
 
 /**
  * NEXT-LEVEL OPTIMIZATION: General Settings Tab Component
@@ -39,11 +43,14 @@ const GeminiLogo = () => (
   </svg>
 );
 
+const CustomEndpointLogo = () => <Server className="w-full h-full" />;
+
 // AI Provider configuration mapping
 const PROVIDER_CONFIGS = {
   'openai': { Logo: OpenAILogo, color: '#10A37F', displayName: 'ChatGPT' },
   'anthropic': { Logo: ClaudeLogo, color: '#D97757', displayName: 'Claude' },
-  'google': { Logo: GeminiLogo, color: '#4285F4', displayName: 'Gemini' }
+  'google': { Logo: GeminiLogo, color: '#4285F4', displayName: 'Gemini' },
+  'custom': { Logo: CustomEndpointLogo, color: '#94A3B8', displayName: 'Custom endpoint' }
 };
 
 // Shared UI components (must be outside to prevent React #310 error)
@@ -129,6 +136,9 @@ const GeneralSettingsComponent = ({
   setAvatarUrl,
   addNotification
 }) => {
+  const { userRole } = useApp();
+  const canManageTeam = ['owner', 'admin'].includes(userRole);
+
   // UX FRICTION FIX: Auto-save state for profile name fields
   const [autoSaveStatus, setAutoSaveStatus] = useState('idle'); // 'idle' | 'saving' | 'saved'
   const initialValuesRef = useRef({ firstName: firstName || '', lastName: lastName || '' });
@@ -435,6 +445,29 @@ const GeneralSettingsComponent = ({
             </div>
           )}
         </SettingCard>
+
+        {/* Team management: owners and admins (INVITE_MEMBERS, CHANGE_ROLES, REMOVE_MEMBERS) */}
+        {canManageTeam && (
+          <SettingCard>
+            <SectionTitle icon={Users}>Manage Team</SectionTitle>
+            <TeamMembers />
+          </SettingCard>
+        )}
+
+        {canManageTeam && (
+          <SettingCard>
+            <SectionTitle icon={UserPlus}>Invite Team Members</SectionTitle>
+            <TeamInvitations />
+          </SettingCard>
+        )}
+
+        {/* Audit log: owners and admins (VIEW_AUDIT_LOG) */}
+        {canManageTeam && (
+          <SettingCard>
+            <SectionTitle icon={History}>Audit Log</SectionTitle>
+            <AuditLog />
+          </SettingCard>
+        )}
       </div>
 
       {/* Right Sidebar */}
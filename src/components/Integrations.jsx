@@ -1,23 +1,45 @@
-import React, { useState, useEffect } from 'react';
-import { Key, Webhook, Upload, Plus, Copy, Trash2, AlertCircle, CheckCircle, Loader2, X, Download, Bot } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Key, Webhook, Upload, Plus, Copy, Trash2, AlertCircle, CheckCircle, Loader2, X, Download, Bot, RotateCcw, Send, History, Inbox } from 'lucide-react';
 // FIX 2025-12-03: Import auth utilities for proper Authorization header injection
 import { supabase, ensureValidSession } from '../lib/supabase';
 import { useApp } from './AppShell';
-import { validateWebhookUrl, validateDealRow, sanitizeDealFromCSV } from '../lib/validation';
+import { validateWebhookUrl, CUSTOM_FIELD_MAPPING_PREFIX } from '../lib/validation';
+import { api } from '../lib/api-client';
+import { readXLSX, isXLSXFile } from '../lib/xlsx-reader';
+import { useCustomFields } from '../hooks/useCustomFields';
+import { usePipelines } from '../hooks/usePipelines';
+import { getPipelineStages } from '../config/pipelineTemplates';
+import {
+  IMPORT_LIMITS,
+  IMPORT_FIELDS,
+  parseCSV,
+  guessColumnMapping,
+  buildStageMapping,
+  mapImportRow,
+  buildErrorReportCSV
+} from '../config/dealImport';
 import { validateNewApiKey } from '../lib/api-key-validator';
+import { generateIdempotencyKey } from '../lib/crypto-utils';
 import { AISettings } from './AISettings';
+import { WebhookDeliveryLog } from './WebhookDeliveryLog';
+import { LeadCaptureTab } from './LeadCaptureTab';
+import { WEBHOOK_EVENTS } from '../config/webhookEvents';
+
+// Mirrors API_KEY_SCOPES in netlify/functions/lib/api-key-auth.ts
+const API_KEY_SCOPES = [
+  { value: 'read_deals', label: 'Read deals' },
+  { value: 'create_deals', label: 'Create deals' },
+  { value: 'edit_deals', label: 'Edit deals' },
+  { value: 'delete_deals', label: 'Delete deals' },
+  { value: 'view_analytics', label: 'View analytics' },
+  { value: 'export_data', label: 'Export data' }
+];
 
-const API_EVENTS = [
-  'deal.created',
-  'deal.updated',
-  'deal.deleted',
-  'deal.stage_changed',
-  'deal.won',
-  'deal.lost',
-  'deal.invoice_sent',
-  'deal.payment_received',
-  'deal.onboarding_started',
-  'deal.retention_phase'
+const API_KEY_EXPIRY_OPTIONS = [
+  { value: '', label: 'Never expires' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' }
 ];
 
 /**
@@ -78,6 +100,7 @@ export const Integrations = () => {
           {[
             { id: 'api-keys', label: 'API Keys', icon: Key },
             { id: 'webhooks', label: 'Webhooks', icon: Webhook },
+            { id: 'lead-capture', label: 'Lead Capture', icon: Inbox },
             { id: 'csv-import', label: 'CSV Import', icon: Upload },
             { id: 'ai-providers', label: 'AI Providers', icon: Bot }
           ].map(tab => {
@@ -105,6 +128,7 @@ export const Integrations = () => {
           This prevents component unmount/remount cycles and data refetching on tab switches */}
       {activeTab === 'api-keys' && <APIKeysTab />}
       {activeTab === 'webhooks' && <WebhooksTab />}
+      {activeTab === 'lead-capture' && <LeadCaptureTab />}
       {activeTab === 'csv-import' && <CSVImportTab />}
       {activeTab === 'ai-providers' && <AISettings />}
     </div>
@@ -117,6 +141,9 @@ const APIKeysTab = () => {
   const [loading, setLoading] = useState(true);
   const [showNewKey, setShowNewKey] = useState(false);
   const [newKeyName, setNewKeyName] = useState('');
+  const [newKeyScopes, setNewKeyScopes] = useState(['read_deals']);
+  const [newKeyExpiry, setNewKeyExpiry] = useState('90');
+  const [newKeyRateLimit, setNewKeyRateLimit] = useState('');
   const [generatedKey, setGeneratedKey] = useState(null);
   const [creating, setCreating] = useState(false);
 
@@ -174,7 +201,10 @@ const APIKeysTab = () => {
           name: key.name,
           key_prefix: key.keyPrefix,
           permissions: key.permissions,
+          scopes: key.scopes || key.permissions || [],
+          rate_limit_per_hour: key.rateLimitPerHour,
           is_active: key.isActive,
+          is_expired: key.isExpired,
           last_used_at: key.lastUsedAt,
           usage_count: key.usageCount,
           expires_at: key.expiresAt,
@@ -211,6 +241,17 @@ const APIKeysTab = () => {
       return;
     }
 
+    if (newKeyScopes.length === 0) {
+      addNotification('Select at least one permission for this key', 'error');
+      return;
+    }
+
+    const rateLimit = newKeyRateLimit.trim() ? Number(newKeyRateLimit) : null;
+    if (rateLimit !== null && (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > 10000)) {
+      addNotification('Rate limit must be a whole number between 1 and 10,000 requests/hour', 'error');
+      return;
+    }
+
     // MEDIUM FIX: Check for duplicate API key names before creating
     const duplicateKey = keys.find(k =>
       k.name.toLowerCase().trim() === newKeyName.toLowerCase().trim()
@@ -240,8 +281,9 @@ const APIKeysTab = () => {
         headers: createHeaders,
         body: JSON.stringify({
           name: newKeyName.trim(),
-          permissions: ['read', 'write'], // Default permissions
-          expiresInDays: null // Never expires (can be made configurable later)
+          permissions: newKeyScopes,
+          expiresInDays: newKeyExpiry ? Number(newKeyExpiry) : null,
+          rateLimitPerHour: rateLimit
         })
       });
 
@@ -266,6 +308,7 @@ const APIKeysTab = () => {
         name: result.name,
         key_prefix: result.keyPrefix,
         permissions: result.permissions,
+        rate_limit_per_hour: result.rateLimitPerHour,
         expires_at: result.expiresAt,
         created_at: result.createdAt,
         organization_id: organization.id,
@@ -281,6 +324,9 @@ const APIKeysTab = () => {
       // Now set generated key for display modal (after DB refresh)
       setGeneratedKey({ ...data, full_key: result.apiKey });
       setNewKeyName('');
+      setNewKeyScopes(['read_deals']);
+      setNewKeyExpiry('90');
+      setNewKeyRateLimit('');
       setShowNewKey(false);
       addNotification('API key created successfully!', 'success');
     } catch (error) {
@@ -350,6 +396,10 @@ const APIKeysTab = () => {
     addNotification('Copied to clipboard');
   };
 
+  const toggleScope = (scope, checked) => {
+    setNewKeyScopes(prev => checked ? [...prev, scope] : prev.filter(s => s !== scope));
+  };
+
   if (loading) {
     return <div className="flex justify-center py-12"><Loader2 className="w-8 h-8 animate-spin text-[#1ABC9C]" /></div>;
   }
@@ -428,6 +478,61 @@ const APIKeysTab = () => {
               {creating ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Create'}
             </button>
           </div>
+
+          <div className="mt-4">
+            <label className="block text-sm font-medium text-white mb-2">
+              Permissions *
+            </label>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+              {API_KEY_SCOPES.map(scope => (
+                <label key={scope.value} className="flex items-center gap-2 p-2 border border-gray-700 bg-gray-800/30 rounded cursor-pointer hover:bg-gray-800 text-white transition-all duration-200">
+                  <input
+                    type="checkbox"
+                    checked={newKeyScopes.includes(scope.value)}
+                    onChange={(e) => toggleScope(scope.value, e.target.checked)}
+                    className="rounded text-teal-500 focus:ring-teal-500"
+                  />
+                  <span className="text-sm text-white">{scope.label}</span>
+                </label>
+              ))}
+            </div>
+            <p className="text-xs text-gray-400 mt-1">
+              Grant only what the integration needs. You can't grant permissions your role doesn't have.
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mt-4">
+            <div>
+              <label htmlFor="api-key-expiry" className="block text-sm font-medium text-white mb-2">
+                Expiration
+              </label>
+              <select
+                id="api-key-expiry"
+                value={newKeyExpiry}
+                onChange={(e) => setNewKeyExpiry(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-700 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent bg-gray-800/50 text-white"
+              >
+                {API_KEY_EXPIRY_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label htmlFor="api-key-rate-limit" className="block text-sm font-medium text-white mb-2">
+                Rate limit (requests/hour)
+              </label>
+              <input
+                id="api-key-rate-limit"
+                type="number"
+                min="1"
+                max="10000"
+                value={newKeyRateLimit}
+                onChange={(e) => setNewKeyRateLimit(e.target.value)}
+                placeholder="Default"
+                className="w-full px-4 py-2 border border-gray-700 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent bg-gray-800/50 text-white placeholder-gray-500"
+              />
+            </div>
+          </div>
         </div>
       )}
 
@@ -442,14 +547,28 @@ const APIKeysTab = () => {
             <div key={key.id} className="bg-gradient-to-br from-gray-900 to-black border border-teal-500/30 rounded-xl p-4 shadow-xl hover:border-teal-500/50 transition-all duration-300">
               <div className="flex items-center justify-between">
                 <div className="flex-1">
-                  <h3 className="font-semibold text-white">{key.name}</h3>
+                  <h3 className="font-semibold text-white flex items-center gap-2">
+                    {key.name}
+                    {key.is_expired && (
+                      <span className="text-xs font-medium text-red-400 bg-red-500/10 px-2 py-0.5 rounded">Expired</span>
+                    )}
+                  </h3>
                   <p className="text-sm text-teal-400 font-mono mt-1">
                     {maskApiKeyForDisplay(key.key_prefix)}
                   </p>
                   <p className="text-xs text-gray-400 mt-1">
                     Created {new Date(key.created_at).toLocaleDateString()}
                     {key.last_used_at && ` • Last used ${new Date(key.last_used_at).toLocaleDateString()}`}
+                    {` • ${key.expires_at ? `${key.is_expired ? 'Expired' : 'Expires'} ${new Date(key.expires_at).toLocaleDateString()}` : 'Never expires'}`}
+                    {key.rate_limit_per_hour && ` • ${key.rate_limit_per_hour}/hour`}
                   </p>
+                  <div className="flex flex-wrap gap-1 mt-2">
+                    {key.scopes.map(scope => (
+                      <span key={scope} className="text-xs text-teal-300 bg-teal-500/10 border border-teal-500/20 px-2 py-0.5 rounded">
+                        {API_KEY_SCOPES.find(s => s.value === scope)?.label || scope}
+                      </span>
+                    ))}
+                  </div>
                 </div>
                 <button
                   onClick={() => revokeKey(key.id)}
@@ -468,12 +587,18 @@ const APIKeysTab = () => {
 };
 
 const WebhooksTab = () => {
-  const { organization, addNotification } = useApp();
+  const { organization, userRole, addNotification } = useApp();
   const [webhooks, setWebhooks] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showNew, setShowNew] = useState(false);
   const [formData, setFormData] = useState({ url: '', events: [], secret: '' });
   const [urlError, setUrlError] = useState('');
+  const [openLogId, setOpenLogId] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [logVersion, setLogVersion] = useState(0);
+  const [rotatedSecret, setRotatedSecret] = useState(null);
+
+  const canManage = ['owner', 'admin'].includes(userRole);
 
   useEffect(() => {
     fetchWebhooks();
@@ -625,6 +750,63 @@ const WebhooksTab = () => {
     }
   };
 
+  const updateWebhook = useCallback((updated) => {
+    setWebhooks(prev => prev.map(w => w.id === updated.id ? { ...w, ...updated } : w));
+  }, []);
+
+  // 'test' delivers the catalog's webhook.test event; 'enable' clears an auto-disable
+  const runWebhookAction = async (webhook, action) => {
+    setPendingAction(`${webhook.id}:${action}`);
+    try {
+      const { data } = await api.post('webhook-deliveries', {
+        organizationId: organization.id,
+        webhookId: webhook.id,
+        action
+      }, { maxRetries: 0 });
+
+      if (action === 'enable') {
+        updateWebhook(data.webhook);
+        addNotification('Webhook re-enabled. Replay missed events from the delivery log.');
+      } else if (data.result?.success) {
+        addNotification(`Test event delivered (${data.result.status}, ${data.result.latencyMs} ms)`);
+      } else {
+        addNotification(`Test event failed: ${data.result?.error || 'unknown error'}`, 'error');
+      }
+      setLogVersion(v => v + 1);
+    } catch (error) {
+      console.error(`Error running webhook action ${action}:`, error);
+      addNotification(error.userMessage || error.message || 'Webhook action failed', 'error');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  // The old secret keeps signing for 24h so the receiver can switch over
+  const rotateSecret = async (webhook) => {
+    if (!confirm('Rotate the signing secret? The current secret keeps working for 24 hours while you update your endpoint.')) return;
+
+    setPendingAction(`${webhook.id}:rotate`);
+    try {
+      const { data } = await api.post('rotate-webhook-secret', {
+        organizationId: organization.id,
+        webhookId: webhook.id
+      }, { maxRetries: 0 });
+
+      setRotatedSecret({ webhookId: webhook.id, secret: data.secret });
+      updateWebhook({ id: webhook.id, previous_secret_expires_at: data.previousSecretExpiresAt, secret_rotated_at: data.rotatedAt });
+    } catch (error) {
+      console.error('Error rotating webhook secret:', error);
+      addNotification(error.userMessage || error.message || 'Failed to rotate secret', 'error');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const copySecret = (secret) => {
+    navigator.clipboard.writeText(secret);
+    addNotification('Copied to clipboard');
+  };
+
   if (loading) {
     return <div className="flex justify-center py-12"><Loader2 className="w-8 h-8 animate-spin text-[#1ABC9C]" /></div>;
   }
@@ -633,7 +815,10 @@ const WebhooksTab = () => {
     <div className="space-y-6" data-tour="webhooks">
       <div className="flex items-center justify-between">
         <p className="text-sm text-gray-400">
-          Receive real-time notifications when events occur
+          Receive real-time notifications when events occur.{' '}
+          <a href="/api/v1/webhook-events" target="_blank" rel="noopener noreferrer" className="text-teal-400 hover:text-teal-300 underline">
+            Payload schemas
+          </a>
         </p>
         <button
           onClick={() => setShowNew(!showNew)}
@@ -674,22 +859,23 @@ const WebhooksTab = () => {
               Events *
             </label>
             <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
-              {API_EVENTS.map(event => (
-                <label key={event} className="flex items-center gap-2 p-2 border border-gray-700 bg-gray-800/30 rounded cursor-pointer hover:bg-gray-800 text-white transition-all duration-200">
+              {WEBHOOK_EVENTS.map(({ type, label, description }) => (
+                <label key={type} title={description} className="flex items-center gap-2 p-2 border border-gray-700 bg-gray-800/30 rounded cursor-pointer hover:bg-gray-800 text-white transition-all duration-200">
                   <input
                     type="checkbox"
-                    checked={formData.events.includes(event)}
+                    checked={formData.events.includes(type)}
                     onChange={(e) => {
                       setFormData({
                         ...formData,
                         events: e.target.checked
-                          ? [...formData.events, event]
-                          : formData.events.filter(ev => ev !== event)
+                          ? [...formData.events, type]
+                          : formData.events.filter(ev => ev !== type)
                       });
                     }}
                     className="rounded text-teal-500 focus:ring-teal-500"
                   />
-                  <span className="text-sm text-white">{event}</span>
+                  <span className="text-sm text-white">{label}</span>
+                  <code className="ml-auto text-xs text-gray-500">{type}</code>
                 </label>
               ))}
             </div>
@@ -742,11 +928,15 @@ const WebhooksTab = () => {
                 <div className="flex-1">
                   <div className="flex items-center gap-2">
                     <code className="text-sm font-mono text-teal-400">{webhook.url}</code>
-                    <span className={`px-2 py-0.5 rounded-full text-xs ${
-                      webhook.is_active ? 'bg-[#27AE60]/10 text-[#27AE60]' : 'bg-gray-500/10 text-gray-400'
-                    }`}>
-                      {webhook.is_active ? 'Active' : 'Inactive'}
-                    </span>
+                    {webhook.disabled_at ? (
+                      <span className="px-2 py-0.5 rounded-full text-xs bg-red-500/10 text-red-400">Disabled</span>
+                    ) : (
+                      <span className={`px-2 py-0.5 rounded-full text-xs ${
+                        webhook.is_active ? 'bg-[#27AE60]/10 text-[#27AE60]' : 'bg-gray-500/10 text-gray-400'
+                      }`}>
+                        {webhook.is_active ? 'Active' : 'Inactive'}
+                      </span>
+                    )}
                   </div>
                   <div className="flex flex-wrap gap-1 mt-2">
                     {webhook.events.map(event => (
@@ -755,14 +945,102 @@ const WebhooksTab = () => {
                       </span>
                     ))}
                   </div>
+                  {webhook.disabled_at && (
+                    <p className="mt-2 text-xs text-red-400">
+                      {webhook.disabled_reason || 'Disabled after repeated delivery failures.'} Events are not being sent.
+                    </p>
+                  )}
+                  {webhook.previous_secret_expires_at && new Date(webhook.previous_secret_expires_at) > new Date() && (
+                    <p className="mt-2 text-xs text-amber-400">
+                      Secret rotated. The previous secret also signs deliveries until {new Date(webhook.previous_secret_expires_at).toLocaleString()}.
+                    </p>
+                  )}
+                </div>
+                <div className="flex items-center gap-1">
+                  {canManage && webhook.disabled_at && (
+                    <button
+                      onClick={() => runWebhookAction(webhook, 'enable')}
+                      disabled={!!pendingAction}
+                      className="text-sm text-teal-400 hover:text-teal-300 transition px-3 py-2 rounded-lg hover:bg-teal-500/10 disabled:opacity-50"
+                    >
+                      Re-enable
+                    </button>
+                  )}
+                  {canManage && (
+                    <button
+                      onClick={() => rotateSecret(webhook)}
+                      disabled={!!pendingAction}
+                      title="Rotate signing secret"
+                      aria-label="Rotate signing secret"
+                      className="text-gray-400 hover:text-white transition px-3 py-2 rounded-lg hover:bg-gray-800 disabled:opacity-50"
+                    >
+                      {pendingAction === `${webhook.id}:rotate`
+                        ? <Loader2 className="w-5 h-5 animate-spin" />
+                        : <Key className="w-5 h-5" />}
+                    </button>
+                  )}
+                  {canManage && !webhook.disabled_at && (
+                    <button
+                      onClick={() => runWebhookAction(webhook, 'test')}
+                      disabled={!!pendingAction}
+                      title="Send test event"
+                      aria-label="Send test event"
+                      className="text-gray-400 hover:text-white transition px-3 py-2 rounded-lg hover:bg-gray-800 disabled:opacity-50"
+                    >
+                      {pendingAction === `${webhook.id}:test`
+                        ? <Loader2 className="w-5 h-5 animate-spin" />
+                        : <Send className="w-5 h-5" />}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setOpenLogId(openLogId === webhook.id ? null : webhook.id)}
+                    title="Delivery log"
+                    aria-label="Delivery log"
+                    aria-expanded={openLogId === webhook.id}
+                    className={`transition px-3 py-2 rounded-lg hover:bg-gray-800 ${openLogId === webhook.id ? 'text-teal-400' : 'text-gray-400 hover:text-white'}`}
+                  >
+                    <History className="w-5 h-5" />
+                  </button>
+                  <button
+                    onClick={() => deleteWebhook(webhook.id)}
+                    className="text-red-400 hover:text-red-300 transition px-3 py-2 rounded-lg hover:bg-red-500/10 hover:scale-[1.02] active:scale-[0.98]"
+                  >
+                    <Trash2 className="w-5 h-5" />
+                  </button>
                 </div>
-                <button
-                  onClick={() => deleteWebhook(webhook.id)}
-                  className="text-red-400 hover:text-red-300 transition px-3 py-2 rounded-lg hover:bg-red-500/10 hover:scale-[1.02] active:scale-[0.98]"
-                >
-                  <Trash2 className="w-5 h-5" />
-                </button>
               </div>
+              {rotatedSecret?.webhookId === webhook.id && (
+                <div className="mb-3 bg-[#27AE60]/10 border border-[#27AE60] rounded-lg p-3">
+                  <div className="flex items-start justify-between gap-3">
+                    <p className="text-sm text-[#27AE60] mb-2">
+                      New signing secret - save it now, it won't be shown again.
+                    </p>
+                    <button onClick={() => setRotatedSecret(null)} className="text-[#6B7280]" aria-label="Dismiss">
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                  <div className="bg-black/40 rounded-lg p-2 flex items-center justify-between gap-2">
+                    <code className="text-sm font-mono text-[#1ABC9C] select-all break-all">{rotatedSecret.secret}</code>
+                    <button
+                      onClick={() => copySecret(rotatedSecret.secret)}
+                      className="text-[#1ABC9C] hover:text-[#16A085] transition"
+                      title="Copy to clipboard"
+                    >
+                      <Copy className="w-5 h-5" />
+                    </button>
+                  </div>
+                </div>
+              )}
+              {openLogId === webhook.id && (
+                <WebhookDeliveryLog
+                  key={logVersion}
+                  organizationId={organization.id}
+                  webhook={webhook}
+                  canManage={canManage}
+                  addNotification={addNotification}
+                  onWebhookChange={updateWebhook}
+                />
+              )}
             </div>
           ))
         )}
@@ -771,39 +1049,180 @@ const WebhooksTab = () => {
   );
 };
 
+const selectClass = 'px-4 py-2 border border-gray-700 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent bg-gray-800/50 text-white backdrop-blur-sm';
+
+const IMPORT_ACTION_STYLES = {
+  create: { label: 'Create', className: 'bg-teal-500/10 text-teal-400 border-teal-500/30' },
+  update: { label: 'Update', className: 'bg-blue-500/10 text-blue-400 border-blue-500/30' },
+  skip: { label: 'Skip', className: 'bg-gray-700/30 text-gray-400 border-gray-600' },
+  error: { label: 'Error', className: 'bg-red-500/10 text-red-400 border-red-500/30' }
+};
+
+const ACTIVE_JOB_STATUSES = ['uploading', 'queued', 'running', 'paused'];
+const JOB_POLL_INTERVAL_MS = 3000;
+// Matches IMPORT_JOB_STALE_MS in netlify/functions/lib/deal-import.ts
+const JOB_STALE_MS = 5 * 60 * 1000;
+
+const isJobStale = (job) => job?.status === 'running'
+  && Date.now() - new Date(job.updated_at).getTime() > JOB_STALE_MS;
+
+const downloadTextFile = (text, fileName, type = 'text/csv') => {
+  const blob = new Blob([text], { type });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  window.URL.revokeObjectURL(url);
+};
+
+/**
+ * Deal import wizard: upload (CSV/XLSX) → map columns and stages → dry-run
+ * preview → import. Files over IMPORT_LIMITS.SYNC_MAX_ROWS rows run as a
+ * background job (import-jobs + import-deals-background) that survives a
+ * page reload and can be resumed from Recent Imports.
+ */
 const CSVImportTab = () => {
-  const { organization, addNotification, user, setActiveView } = useApp();
+  const { organization, addNotification, user } = useApp();
   const [file, setFile] = useState(null);
   const [csvData, setCsvData] = useState(null);
   const [headers, setHeaders] = useState([]);
   const [mapping, setMapping] = useState({});
+  const [pipelineId, setPipelineId] = useState(null);
+  const [stageMapping, setStageMapping] = useState({});
+  const [defaultStage, setDefaultStage] = useState('');
+  const [duplicateStrategy, setDuplicateStrategy] = useState('skip');
+  const [dedupeBy, setDedupeBy] = useState('email');
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
   const [importing, setImporting] = useState(false);
-  const [importProgress, setImportProgress] = useState(0); // FIX v1.7.62 (#7): Track CSV import progress
+  const [importProgress, setImportProgress] = useState(null); // { label, done, total }
   const [step, setStep] = useState(1);
   const [isDragging, setIsDragging] = useState(false);
   const [importResults, setImportResults] = useState(null);
+  const [activeJob, setActiveJob] = useState(null);
+  const [recentJobs, setRecentJobs] = useState([]);
+  const { fields: customFieldDefs } = useCustomFields(organization?.id);
+  const { pipelines, activePipeline } = usePipelines(organization?.id, organization?.pipeline_template);
+
+  const targetPipeline = pipelines.find(p => p.id && p.id === pipelineId) || activePipeline;
+  const stages = useMemo(() => getPipelineStages(targetPipeline), [targetPipeline]);
+  const stageIds = useMemo(() => stages.map(stage => stage.id), [stages]);
 
   const dealFields = [
-    { key: 'client', label: 'Client Name', required: true },
-    { key: 'email', label: 'Email', required: false },
-    { key: 'phone', label: 'Phone', required: false },
-    { key: 'value', label: 'Deal Value', required: false },
-    { key: 'stage', label: 'Stage', required: false },
-    { key: 'status', label: 'Status', required: false },
-    { key: 'notes', label: 'Notes', required: false }
+    ...IMPORT_FIELDS,
+    // Org custom fields map to custom_fields.<key>
+    ...customFieldDefs.map(field => ({
+      key: `${CUSTOM_FIELD_MAPPING_PREFIX}${field.key}`,
+      label: field.label,
+      required: field.required && field.defaultValue == null
+    }))
   ];
 
+  // Distinct stage values in the file, for the stage mapping step
+  const stageValues = useMemo(() => {
+    if (!csvData || !mapping.stage) return [];
+    return [...new Set(csvData.map(row => String(row[mapping.stage] ?? '').trim()).filter(Boolean))];
+  }, [csvData, mapping.stage]);
+
+  // Match stage values to the target pipeline; keep picks that are still valid
+  useEffect(() => {
+    const suggested = buildStageMapping(stageValues, stages);
+    setStageMapping(prev => {
+      const next = { ...suggested };
+      Object.entries(prev).forEach(([value, stageId]) => {
+        if (value in next && stageIds.includes(stageId)) next[value] = stageId;
+      });
+      return next;
+    });
+    setDefaultStage(prev => (stageIds.includes(prev) ? prev : stageIds[0] || ''));
+  }, [stageValues, stages, stageIds]);
+
+  const importOptions = useMemo(() => ({
+    mapping,
+    stageMapping,
+    stageIds,
+    defaultStage: defaultStage || stageIds[0] || 'lead',
+    pipelineId: targetPipeline?.id ?? null,
+    duplicateStrategy,
+    dedupeBy
+  }), [mapping, stageMapping, stageIds, defaultStage, targetPipeline, duplicateStrategy, dedupeBy]);
+
+  // Row errors across the whole file (the server preview covers the first chunk)
+  const localErrorCount = useMemo(() => {
+    if (!csvData || !mapping.client) return 0;
+    return csvData.filter(row => mapImportRow(row, importOptions).errors.length > 0).length;
+  }, [csvData, importOptions, mapping.client]);
+
+  const unmappedStageCount = stageValues.filter(value => !stageMapping[value]).length;
+
+  const loadRecentJobs = async () => {
+    if (!organization?.id) return;
+    try {
+      const { data } = await api.get(`import-jobs?organizationId=${encodeURIComponent(organization.id)}`);
+      setRecentJobs(data?.jobs || []);
+    } catch (error) {
+      console.error('[CSV Import] Failed to load import jobs:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadRecentJobs();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [organization?.id]);
+
+  const resetImport = () => {
+    setStep(1);
+    setFile(null);
+    setCsvData(null);
+    setHeaders([]);
+    setMapping({});
+    setStageMapping({});
+    setPreview(null);
+    setImportResults(null);
+    setImportProgress(null);
+  };
+
+  const loadParsedFile = (parsed) => {
+    if (parsed.headers.length === 0 || parsed.headers.every(h => !h)) {
+      addNotification('Could not detect column headers. Please check file format.', 'error');
+      setFile(null);
+      return;
+    }
+
+    if (parsed.rows.length === 0) {
+      addNotification('The file must have headers and at least one row', 'error');
+      setFile(null);
+      return;
+    }
+
+    if (parsed.rows.length > IMPORT_LIMITS.MAX_ROWS) {
+      addNotification(
+        `Too many rows (${parsed.rows.length.toLocaleString()}). Maximum allowed: ${IMPORT_LIMITS.MAX_ROWS.toLocaleString()}. Please split your file.`,
+        'error'
+      );
+      setFile(null);
+      return;
+    }
+
+    setHeaders(parsed.headers);
+    setCsvData(parsed.rows);
+    setMapping(guessColumnMapping(parsed.headers, customFieldDefs));
+    setPreview(null);
+    setStep(2);
+  };
+
   const processFile = (uploadedFile) => {
     if (!uploadedFile) return;
 
-    if (!uploadedFile.name.endsWith('.csv')) {
-      addNotification('Please upload a CSV file', 'error');
+    const xlsx = isXLSXFile(uploadedFile);
+    if (!xlsx && !/\.csv$/i.test(uploadedFile.name)) {
+      addNotification('Please upload a CSV or XLSX file', 'error');
       return;
     }
 
     // SECURITY FIX: File size validation (10MB limit)
-    const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
-    if (uploadedFile.size > MAX_FILE_SIZE) {
+    if (uploadedFile.size > IMPORT_LIMITS.MAX_FILE_SIZE) {
       const fileSizeMB = (uploadedFile.size / 1024 / 1024).toFixed(1);
       addNotification(
         `File too large (${fileSizeMB}MB). Maximum allowed: 10MB. Please split your file into smaller chunks.`,
@@ -813,49 +1232,22 @@ const CSVImportTab = () => {
     }
 
     setFile(uploadedFile);
-    
-    const reader = new FileReader();
-    reader.onload = (event) => {
-      const text = event.target.result;
-      const lines = text.split('\n').filter(line => line.trim());
-      
-      if (lines.length < 2) {
-        addNotification('CSV file must have headers and at least one row', 'error');
-        return;
-      }
-
-      // SECURITY FIX: Row count validation (1000 rows max)
-      const MAX_ROWS = 1000;
-      const dataRowCount = lines.length - 1; // Exclude header
-      
-      if (dataRowCount > MAX_ROWS) {
-        addNotification(
-          `Too many rows (${dataRowCount}). Maximum allowed: ${MAX_ROWS}. Please split your file into smaller batches.`,
-          'error'
-        );
-        return;
-      }
-
-      const csvHeaders = lines[0].split(',').map(h => h.trim().replace(/^"|"$/g, ''));
-
-      // Validate headers were detected
-      if (!csvHeaders || csvHeaders.length === 0 || csvHeaders.every(h => !h)) {
-        addNotification('Could not detect CSV headers. Please check file format.', 'error');
-        setFile(null);
-        return;
-      }
 
-      const rows = lines.slice(1).map(line => {
-        const values = line.split(',').map(v => v.trim().replace(/^"|"$/g, ''));
-        return csvHeaders.reduce((obj, header, idx) => {
-          obj[header] = values[idx] || '';
-          return obj;
-        }, {});
-      });
+    if (xlsx) {
+      readXLSX(uploadedFile)
+        .then(loadParsedFile)
+        .catch(error => {
+          console.error('[CSV Import] XLSX read error:', error);
+          addNotification(`Failed to read spreadsheet: ${error.message}`, 'error');
+          setFile(null);
+          setStep(1);
+        });
+      return;
+    }
 
-      setHeaders(csvHeaders);
-      setCsvData(rows);
-      setStep(2);
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      loadParsedFile(parseCSV(event.target.result));
     };
 
     // FIX v1.7.62 (#2): Add FileReader error handlers (CRITICAL)
@@ -883,6 +1275,7 @@ const CSVImportTab = () => {
   const handleFileUpload = (e) => {
     const uploadedFile = e.target.files[0];
     if (uploadedFile) processFile(uploadedFile);
+    e.target.value = '';
   };
 
   const handleDragOver = (e) => {
@@ -903,149 +1296,212 @@ const CSVImportTab = () => {
     setIsDragging(false);
 
     const droppedFile = e.dataTransfer.files[0];
-    if (!droppedFile) return;
-
-    if (!droppedFile.name.endsWith('.csv')) {
-      addNotification('Please upload a CSV file', 'error');
-      return;
-    }
-
-    processFile(droppedFile);
+    if (droppedFile) processFile(droppedFile);
   };
 
-  const handleImport = async () => {
-    if (!csvData || Object.keys(mapping).length === 0 || !organization || !user) return;
+  // Dry run: what each row would do, checked server-side against existing deals
+  const handlePreview = async () => {
+    if (!csvData || !organization) return;
 
     if (!mapping.client) {
       addNotification('Client Name mapping is required', 'error');
       return;
     }
 
-    setImporting(true);
-    const results = {
-      total: csvData.length,
-      successful: 0,
-      failed: 0,
-      errors: []
-    };
-    
+    setPreviewing(true);
     try {
-      const validDeals = [];
-      const invalidRows = [];
-
-      // Validate each row
-      csvData.forEach((row, index) => {
-        const validation = validateDealRow(row, mapping);
-        
-        if (validation.valid) {
-          const deal = sanitizeDealFromCSV(row, mapping, user.id, organization.id);
-          validDeals.push(deal);
-        } else {
-          invalidRows.push({
-            row: index + 1,
-            errors: validation.errors
-          });
-        }
-      });
+      const { data } = await api.post('import-deals-csv', {
+        organizationId: organization.id,
+        rows: csvData.slice(0, IMPORT_LIMITS.CHUNK_ROWS),
+        options: importOptions,
+        dryRun: true
+      }, { timeout: 60000 });
+
+      setPreview(data);
+      setStep(3);
+    } catch (error) {
+      console.error('[CSV Import] Preview error:', error);
+      addNotification(`Failed to preview import: ${error.message}`, 'error');
+    } finally {
+      setPreviewing(false);
+    }
+  };
 
-      // CRITICAL FIX: Use backend endpoint instead of direct Supabase client
-      // Phase 3 Cookie-Only Auth has persistSession: false, so auth.uid() is NULL
-      // RLS policies deny all client-side mutations. Backend has service role.
-      if (validDeals.length > 0) {
-        setImportProgress(10); // Show initial progress
+  const startJob = async (jobId) => {
+    const { data } = await api.put('import-jobs', { organizationId: organization.id, jobId, action: 'start' });
+    setActiveJob(data.job);
+    // Background functions answer 202 right away; progress is polled below
+    api.post('import-deals-background', { organizationId: organization.id, jobId }).catch(error => {
+      console.error('[CSV Import] Failed to start import worker:', error);
+    });
+    return data.job;
+  };
 
-        // FIX 2025-12-03: Inject Authorization header for reliable auth
-        await ensureValidSession();
-        const { data: { session: importSession } } = await supabase.auth.getSession();
+  const handleImport = async () => {
+    if (!csvData || !organization || !user) return;
 
-        const importHeaders = { 'Content-Type': 'application/json' };
-        if (importSession?.access_token) {
-          importHeaders['Authorization'] = `Bearer ${importSession.access_token}`;
-        }
+    setImporting(true);
+    setImportResults(null);
 
-        const response = await fetch('/.netlify/functions/import-deals-csv', {
-          method: 'POST',
-          headers: importHeaders,
-          credentials: 'include', // Send HttpOnly cookies for auth
-          body: JSON.stringify({
-            deals: validDeals,
-            organizationId: organization.id
-          })
-        });
+    try {
+      // Small files: one request
+      if (csvData.length <= IMPORT_LIMITS.SYNC_MAX_ROWS) {
+        // One key per import attempt: a network retry of this request won't insert rows twice
+        const { data } = await api.post('import-deals-csv', {
+          organizationId: organization.id,
+          rows: csvData,
+          options: importOptions
+        }, { headers: { 'Idempotency-Key': generateIdempotencyKey() }, timeout: 120000 });
+
+        setImportResults(data);
+        setStep(4);
+        notifyResults(data);
+        return;
+      }
 
-        const result = await response.json();
+      // Large files: background job - create, upload rows in chunks, start
+      const { data: created } = await api.post('import-jobs', {
+        organizationId: organization.id,
+        fileName: file?.name,
+        totalRows: csvData.length,
+        options: importOptions
+      });
+      const job = created.job;
+      setActiveJob(job);
+      setStep(4);
+
+      for (let start = 0; start < csvData.length; start += IMPORT_LIMITS.CHUNK_ROWS) {
+        setImportProgress({ label: 'Uploading', done: start, total: csvData.length });
+        await api.put('import-jobs', {
+          organizationId: organization.id,
+          jobId: job.id,
+          action: 'upload',
+          startRow: start + 1,
+          rows: csvData.slice(start, start + IMPORT_LIMITS.CHUNK_ROWS)
+        }, { timeout: 60000 });
+      }
 
-        if (!response.ok) {
-          throw new Error(result.error || `Import failed: ${response.status}`);
-        }
+      setImportProgress(null);
+      await startJob(job.id);
+      addNotification('Import started - it keeps running if you leave this page');
+    } catch (error) {
+      console.error('Import error:', error);
+      addNotification(`Failed to import deals: ${error.message}`, 'error');
+    } finally {
+      setImporting(false);
+    }
+  };
 
-        // Backend returns { total, successful, failed, errors }
-        results.successful = result.successful || 0;
-        results.failed = (invalidRows.length) + (result.failed || 0);
+  const notifyResults = (results) => {
+    const successful = (results.created || 0) + (results.updated || 0);
+    if (successful > 0) {
+      addNotification(`Successfully imported ${successful} deal${successful > 1 ? 's' : ''}`);
+    }
+    if (results.failed > 0) {
+      addNotification(`${results.failed} row${results.failed > 1 ? 's' : ''} failed - download the error report for details`, 'error');
+    }
+  };
+
+  // Poll the active background job; restart it when a run pauses at its time limit
+  useEffect(() => {
+    if (!activeJob?.id || !organization?.id || activeJob.status === 'uploading') return;
+    if (!ACTIVE_JOB_STATUSES.includes(activeJob.status)) return;
 
-        // Merge backend errors with frontend validation errors
-        if (result.errors && Array.isArray(result.errors)) {
-          results.errors = [...invalidRows, ...result.errors];
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const { data } = await api.get(
+          `import-jobs?organizationId=${encodeURIComponent(organization.id)}&jobId=${encodeURIComponent(activeJob.id)}`
+        );
+        if (cancelled) return;
+        const job = data.job;
+
+        if (job.status === 'paused') {
+          await startJob(job.id);
+          return;
         }
 
-        setImportProgress(100);
-      } else {
-        // No valid deals - only frontend validation failures
-        results.failed = invalidRows.length;
-        results.errors = invalidRows;
+        setActiveJob(job);
+        if (!ACTIVE_JOB_STATUSES.includes(job.status)) {
+          const results = {
+            total: job.total_rows,
+            created: job.created_count,
+            updated: job.updated_count,
+            skipped: job.skipped_count,
+            failed: job.failed_count,
+            errors: job.errors || [],
+            status: job.status,
+            lastError: job.last_error
+          };
+          setImportResults(results);
+          if (job.status === 'completed') notifyResults(results);
+          if (job.status === 'failed') addNotification(`Import stopped: ${job.last_error || 'unknown error'}`, 'error');
+          loadRecentJobs();
+        }
+      } catch (error) {
+        console.error('[CSV Import] Failed to poll import job:', error);
+        if (!cancelled) setActiveJob(prev => (prev ? { ...prev } : prev));
       }
+    }, JOB_POLL_INTERVAL_MS);
 
-      setImportResults(results);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeJob, organization?.id]);
 
-      if (results.successful > 0) {
-        addNotification(`Successfully imported ${results.successful} deal${results.successful > 1 ? 's' : ''}`);
-      }
+  const handleResumeJob = async (job) => {
+    try {
+      setImportResults(null);
+      setStep(4);
+      await startJob(job.id);
+    } catch (error) {
+      addNotification(`Failed to resume import: ${error.message}`, 'error');
+    }
+  };
 
-      if (results.failed > 0) {
-        addNotification(`${results.failed} row${results.failed > 1 ? 's' : ''} skipped due to errors`, 'error');
-      }
-      
-      // Reset after showing results
-      setTimeout(() => {
-        setFile(null);
-        setCsvData(null);
-        setHeaders([]);
-        setMapping({});
-        setStep(1);
-        setImportResults(null);
-      }, 5000);
+  const handleCancelJob = async (job) => {
+    try {
+      const { data } = await api.put('import-jobs', { organizationId: organization.id, jobId: job.id, action: 'cancel' });
+      if (activeJob?.id === job.id) setActiveJob(data.job);
+      addNotification('Import cancelled');
+      loadRecentJobs();
     } catch (error) {
-      console.error('Import error:', error);
-      addNotification(`Failed to import deals: ${error.message}`, 'error');
-    } finally {
-      setImporting(false);
+      addNotification(`Failed to cancel import: ${error.message}`, 'error');
     }
   };
 
+  // Source columns are included while the file is still loaded (not for a job resumed after a reload)
+  const downloadErrorReport = (results) => {
+    downloadTextFile(
+      buildErrorReportCSV(results?.errors || [], csvData || [], csvData ? headers : []),
+      'stageflow-import-errors.csv'
+    );
+  };
+
   const downloadSample = () => {
-    const sampleCSV = `Client Name,Email,Phone,Deal Value,Stage,Status,Notes
-"Acme Corp","john@acme.com","555-1234",50000,"lead","active","Interested in Enterprise plan"
-"TechStart Inc","sarah@techstart.com","555-5678",25000,"quote","active","Requested demo"
-"Global Solutions","mike@global.com","555-9012",75000,"approval","active","Waiting on legal review"`;
-
-    const blob = new Blob([sampleCSV], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'stageflow-import-sample.csv';
-    a.click();
-    window.URL.revokeObjectURL(url);
+    const sampleCSV = `Client Name,Email,Phone,Deal Value,Stage,Status,Expected Close Date,Notes
+"Acme Corp","john@acme.com","555-1234",50000,"Lead","active","2025-03-31","Interested in Enterprise plan"
+"TechStart Inc","sarah@techstart.com","555-5678",25000,"Proposal Sent","active","2025-02-15","Requested demo"
+"Global Solutions","mike@global.com","555-9012",75000,"Negotiation","active","2025-04-30","Waiting on legal review"`;
+
+    downloadTextFile(sampleCSV, 'stageflow-import-sample.csv');
   };
 
+  const unfinishedJobs = recentJobs.filter(job => ACTIVE_JOB_STATUSES.includes(job.status) || job.status === 'failed')
+    .filter(job => job.id !== activeJob?.id);
+  const jobProgress = activeJob?.total_rows ? Math.round((activeJob.processed_rows / activeJob.total_rows) * 100) : 0;
+
   return (
     <div className="space-y-6">
       <div className="flex items-center justify-between">
         <div>
           <p className="text-sm text-gray-400">
-            Import deals from a CSV file
+            Import deals from a CSV or Excel (.xlsx) file
           </p>
           <p className="text-xs text-gray-500 mt-1">
-            Maximum: 10MB file size, 1,000 rows per import
+            Maximum: 10MB file size, {IMPORT_LIMITS.MAX_ROWS.toLocaleString()} rows. Files over {IMPORT_LIMITS.SYNC_MAX_ROWS} rows import in the background.
           </p>
         </div>
         <button
@@ -1057,45 +1513,160 @@ const CSVImportTab = () => {
         </button>
       </div>
 
-      {/* Import Results */}
-      {importResults && (
+      {/* Unfinished background imports (e.g. after a reload) */}
+      {unfinishedJobs.length > 0 && (
         <div className="bg-gradient-to-br from-gray-900 to-black border border-teal-500/30 rounded-xl p-4 shadow-xl">
-          <h3 className="font-semibold text-white mb-3">Import Summary</h3>
+          <h3 className="font-semibold text-white mb-3">Recent Imports</h3>
           <div className="space-y-2">
-            <div className="flex items-center justify-between">
-              <span className="text-sm text-gray-400">Total Rows:</span>
-              <span className="font-medium text-white">{importResults.total}</span>
-            </div>
-            <div className="flex items-center justify-between">
-              <span className="text-sm text-gray-400">Successful:</span>
-              <span className="font-medium text-[#27AE60]">{importResults.successful}</span>
-            </div>
-            <div className="flex items-center justify-between">
-              <span className="text-sm text-gray-400">Failed:</span>
-              <span className="font-medium text-red-400">{importResults.failed}</span>
-            </div>
+            {unfinishedJobs.map(job => (
+              <div key={job.id} className="flex items-center justify-between gap-3 text-sm">
+                <div className="min-w-0">
+                  <p className="text-white truncate">{job.file_name || 'Import'}</p>
+                  <p className="text-xs text-gray-400">
+                    {job.status} · {job.processed_rows.toLocaleString()} / {job.total_rows.toLocaleString()} rows
+                    {job.last_error ? ` · ${job.last_error}` : ''}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  {(['paused', 'failed', 'queued'].includes(job.status) || isJobStale(job)) && (
+                    <button
+                      onClick={() => handleResumeJob(job)}
+                      className="text-teal-400 hover:text-teal-300 flex items-center gap-1 font-medium"
+                    >
+                      <RotateCcw className="w-4 h-4" />
+                      Resume
+                    </button>
+                  )}
+                  {job.status === 'running' && !isJobStale(job) && (
+                    <button
+                      onClick={() => { setImportResults(null); setActiveJob(job); setStep(4); }}
+                      className="text-teal-400 hover:text-teal-300 font-medium"
+                    >
+                      View
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleCancelJob(job)}
+                    className="text-gray-400 hover:text-red-400 font-medium"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </div>
+            ))}
           </div>
-          {/* FIX: Add button to view imported deals */}
-          {importResults.successful > 0 && (
-            <button
-              onClick={() => window.location.href = '/'}
-              className="mt-4 w-full bg-teal-500 hover:bg-teal-600 text-white px-4 py-2 rounded-xl transition-all duration-200 shadow-lg shadow-teal-500/20 hover:shadow-teal-500/40 hover:scale-[1.02] active:scale-[0.98] font-semibold flex items-center justify-center gap-2"
-            >
-              <CheckCircle className="w-4 h-4" />
-              View Imported Deals
-            </button>
+        </div>
+      )}
+
+      {/* Step 4: Progress and results */}
+      {step === 4 && (activeJob || importResults) && (
+        <div className="bg-gradient-to-br from-gray-900 to-black border border-teal-500/30 rounded-xl p-4 shadow-xl">
+          <h3 className="font-semibold text-white mb-3">
+            {importResults ? 'Import Summary' : 'Importing...'}
+          </h3>
+
+          {!importResults && (
+            <div className="space-y-2 mb-2">
+              <div className="flex items-center justify-between text-sm">
+                <span className="text-gray-400 flex items-center gap-2">
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                  {importProgress
+                    ? `${importProgress.label} ${importProgress.done.toLocaleString()} / ${importProgress.total.toLocaleString()} rows`
+                    : activeJob
+                      ? `${activeJob.status === 'queued' ? 'Waiting to start' : 'Processing'} ${activeJob.processed_rows.toLocaleString()} / ${activeJob.total_rows.toLocaleString()} rows`
+                      : 'Importing'}
+                </span>
+                {activeJob && !importProgress && <span className="text-white font-medium">{jobProgress}%</span>}
+              </div>
+              {activeJob && !importProgress && (
+                <div className="h-2 bg-gray-800 rounded-full overflow-hidden">
+                  <div className="h-full bg-teal-500 transition-all" style={{ width: `${jobProgress}%` }} />
+                </div>
+              )}
+              {isJobStale(activeJob) && (
+                <button
+                  onClick={() => handleResumeJob(activeJob)}
+                  className="text-teal-400 hover:text-teal-300 flex items-center gap-1 text-sm font-medium"
+                >
+                  <RotateCcw className="w-4 h-4" />
+                  Import stalled - resume
+                </button>
+              )}
+              {activeJob && !importing && (
+                <p className="text-xs text-gray-500">You can leave this page - the import keeps running.</p>
+              )}
+            </div>
           )}
-          {importResults.errors.length > 0 && (
-            <div className="mt-4 pt-4 border-t border-gray-700">
-              <h4 className="text-sm font-semibold text-red-400 mb-2">Errors:</h4>
-              <div className="space-y-1 max-h-40 overflow-y-auto">
-                {importResults.errors.map((err, idx) => (
-                  <div key={idx} className="text-xs text-gray-400">
-                    Row {err.row}: {err.errors.join(', ')}
+
+          {importResults && (
+            <>
+              <div className="space-y-2">
+                {[
+                  { label: 'Total Rows', value: importResults.total, className: 'text-white' },
+                  { label: 'Created', value: importResults.created, className: 'text-[#27AE60]' },
+                  { label: 'Updated', value: importResults.updated, className: 'text-blue-400' },
+                  { label: 'Skipped', value: importResults.skipped, className: 'text-gray-400' },
+                  { label: 'Failed', value: importResults.failed, className: 'text-red-400' }
+                ].map(item => (
+                  <div key={item.label} className="flex items-center justify-between">
+                    <span className="text-sm text-gray-400">{item.label}:</span>
+                    <span className={`font-medium ${item.className}`}>{(item.value || 0).toLocaleString()}</span>
                   </div>
                 ))}
               </div>
-            </div>
+              {importResults.status === 'cancelled' && (
+                <p className="mt-3 text-sm text-gray-400">Import was cancelled; rows processed before that were kept.</p>
+              )}
+              {importResults.status === 'failed' && (
+                <div className="mt-3 flex items-center justify-between gap-3">
+                  <p className="text-sm text-red-400">Stopped: {importResults.lastError || 'unknown error'}</p>
+                  <button
+                    onClick={() => handleResumeJob(activeJob)}
+                    className="text-teal-400 hover:text-teal-300 flex items-center gap-1 text-sm font-medium flex-shrink-0"
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                    Resume
+                  </button>
+                </div>
+              )}
+              {/* FIX: Add button to view imported deals */}
+              {(importResults.created > 0 || importResults.updated > 0) && (
+                <button
+                  onClick={() => window.location.href = '/'}
+                  className="mt-4 w-full bg-teal-500 hover:bg-teal-600 text-white px-4 py-2 rounded-xl transition-all duration-200 shadow-lg shadow-teal-500/20 hover:shadow-teal-500/40 hover:scale-[1.02] active:scale-[0.98] font-semibold flex items-center justify-center gap-2"
+                >
+                  <CheckCircle className="w-4 h-4" />
+                  View Imported Deals
+                </button>
+              )}
+              {importResults.errors?.length > 0 && (
+                <div className="mt-4 pt-4 border-t border-gray-700">
+                  <div className="flex items-center justify-between mb-2">
+                    <h4 className="text-sm font-semibold text-red-400">Errors and skipped rows:</h4>
+                    <button
+                      onClick={() => downloadErrorReport(importResults)}
+                      className="text-teal-400 hover:text-teal-300 flex items-center gap-1 text-xs font-medium"
+                    >
+                      <Download className="w-3 h-3" />
+                      Download Error Report
+                    </button>
+                  </div>
+                  <div className="space-y-1 max-h-40 overflow-y-auto">
+                    {importResults.errors.slice(0, 100).map((err, idx) => (
+                      <div key={idx} className="text-xs text-gray-400">
+                        Row {err.row}{err.skipped ? ' (skipped)' : ''}: {err.errors.join(', ')}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+              <button
+                onClick={() => { resetImport(); setActiveJob(null); }}
+                className="mt-4 w-full px-4 py-2 border border-gray-700 text-gray-400 hover:text-white hover:bg-gray-800/50 rounded-xl transition-all duration-200 font-semibold"
+              >
+                Import Another File
+              </button>
+            </>
           )}
         </div>
       )}
@@ -1115,14 +1686,14 @@ const CSVImportTab = () => {
           <div className="text-center">
             <Upload className="w-16 h-16 text-teal-400 mx-auto mb-4" />
             <h3 className="text-lg font-semibold text-white mb-2">
-              Upload CSV File
+              Upload CSV or Excel File
             </h3>
             <p className="text-sm text-gray-400 mb-4">
-              Drag and drop or click to select a CSV file
+              Drag and drop or click to select a .csv or .xlsx file
             </p>
             <input
               type="file"
-              accept=".csv"
+              accept=".csv,.xlsx,text/csv,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
               onChange={handleFileUpload}
               className="hidden"
               id="csv-upload"
@@ -1132,22 +1703,22 @@ const CSVImportTab = () => {
               className="inline-flex items-center gap-2 bg-teal-500 hover:bg-teal-600 text-white px-6 py-3 rounded-xl cursor-pointer transition-all duration-200 shadow-lg shadow-teal-500/20 hover:shadow-teal-500/40 hover:scale-[1.02] active:scale-[0.98] font-semibold"
             >
               <Upload className="w-5 h-5" />
-              Select CSV File
+              Select File
             </label>
           </div>
         </div>
       )}
 
-      {/* Step 2: Map Columns */}
+      {/* Step 2: Map columns, stages and duplicates */}
       {step === 2 && csvData && (
         <div className="space-y-6">
           <div className="bg-teal-500/10 border border-teal-500 rounded-xl p-4 shadow-xl">
             <div className="flex items-start gap-3">
               <CheckCircle className="w-5 h-5 text-teal-400 mt-0.5" />
               <div>
-                <p className="font-semibold text-teal-400">CSV Loaded</p>
+                <p className="font-semibold text-teal-400">{file?.name || 'File'} Loaded</p>
                 <p className="text-sm text-white">
-                  {csvData.length} rows found. Map your CSV columns to StageFlow fields.
+                  {csvData.length.toLocaleString()} rows found. Map your columns to StageFlow fields.
                 </p>
               </div>
             </div>
@@ -1161,15 +1732,16 @@ const CSVImportTab = () => {
               {dealFields.map(field => (
                 <div key={field.key} className="grid grid-cols-2 gap-4 items-center">
                   <div>
-                    <label className="text-sm font-medium text-white">
+                    <label htmlFor={`import-map-${field.key}`} className="text-sm font-medium text-white">
                       {field.label}
                       {field.required && <span className="text-red-400 ml-1">*</span>}
                     </label>
                   </div>
                   <select
+                    id={`import-map-${field.key}`}
                     value={mapping[field.key] || ''}
                     onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value })}
-                    className="px-4 py-2 border border-gray-700 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent bg-gray-800/50 text-white backdrop-blur-sm"
+                    className={selectClass}
                   >
                     <option value="">-- Skip --</option>
                     {headers.map(header => (
@@ -1181,34 +1753,219 @@ const CSVImportTab = () => {
             </div>
           </div>
 
+          <div className="bg-gradient-to-br from-gray-900 to-black border border-teal-500/30 rounded-xl p-6 shadow-xl">
+            <h3 className="font-semibold text-white mb-4">
+              Pipeline &amp; Stages
+            </h3>
+            <div className="space-y-3">
+              {pipelines.filter(p => p.id).length > 1 && (
+                <div className="grid grid-cols-2 gap-4 items-center">
+                  <label htmlFor="import-pipeline" className="text-sm font-medium text-white">Import into pipeline</label>
+                  <select
+                    id="import-pipeline"
+                    value={targetPipeline?.id || ''}
+                    onChange={(e) => setPipelineId(e.target.value || null)}
+                    className={selectClass}
+                  >
+                    {pipelines.filter(p => p.id).map(p => (
+                      <option key={p.id} value={p.id}>{p.name}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+              <div className="grid grid-cols-2 gap-4 items-center">
+                <label htmlFor="import-default-stage" className="text-sm font-medium text-white">Stage for rows without one</label>
+                <select
+                  id="import-default-stage"
+                  value={defaultStage}
+                  onChange={(e) => setDefaultStage(e.target.value)}
+                  className={selectClass}
+                >
+                  {stages.map(stage => (
+                    <option key={stage.id} value={stage.id}>{stage.name}</option>
+                  ))}
+                </select>
+              </div>
+              {stageValues.length > 0 && (
+                <>
+                  <p className="text-xs text-gray-400 pt-2">
+                    Match the stage values in your file to this pipeline&apos;s stages
+                    {unmappedStageCount > 0 && (
+                      <span className="text-red-400"> · {unmappedStageCount} unmatched</span>
+                    )}
+                  </p>
+                  {stageValues.slice(0, 100).map(value => (
+                    <div key={value} className="grid grid-cols-2 gap-4 items-center">
+                      <span className="text-sm text-white truncate" title={value}>{value}</span>
+                      <select
+                        aria-label={`Stage for "${value}"`}
+                        value={stageMapping[value] || ''}
+                        onChange={(e) => setStageMapping({ ...stageMapping, [value]: e.target.value || null })}
+                        className={`${selectClass} ${stageMapping[value] ? '' : 'border-red-500/50'}`}
+                      >
+                        <option value="">-- Not matched --</option>
+                        {stages.map(stage => (
+                          <option key={stage.id} value={stage.id}>{stage.name}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                </>
+              )}
+            </div>
+          </div>
+
+          <div className="bg-gradient-to-br from-gray-900 to-black border border-teal-500/30 rounded-xl p-6 shadow-xl">
+            <h3 className="font-semibold text-white mb-4">
+              Duplicates
+            </h3>
+            <div className="space-y-3">
+              <div className="grid grid-cols-2 gap-4 items-center">
+                <label htmlFor="import-dedupe-by" className="text-sm font-medium text-white">Match existing deals by</label>
+                <select
+                  id="import-dedupe-by"
+                  value={dedupeBy}
+                  onChange={(e) => setDedupeBy(e.target.value)}
+                  disabled={duplicateStrategy === 'create'}
+                  className={`${selectClass} disabled:opacity-50`}
+                >
+                  <option value="email">Email</option>
+                  <option value="client">Client / company name</option>
+                </select>
+              </div>
+              <div className="grid grid-cols-2 gap-4 items-center">
+                <label htmlFor="import-duplicate-strategy" className="text-sm font-medium text-white">When a deal already exists</label>
+                <select
+                  id="import-duplicate-strategy"
+                  value={duplicateStrategy}
+                  onChange={(e) => setDuplicateStrategy(e.target.value)}
+                  className={selectClass}
+                >
+                  <option value="skip">Skip the row</option>
+                  <option value="update">Update the existing deal</option>
+                  <option value="create">Create a new deal anyway</option>
+                </select>
+              </div>
+            </div>
+          </div>
+
+          {mapping.client && localErrorCount > 0 && (
+            <div className="flex items-start gap-2 p-3 bg-red-500/10 border border-red-500/30 rounded-xl">
+              <AlertCircle className="w-4 h-4 text-red-400 mt-0.5 flex-shrink-0" />
+              <p className="text-sm text-red-400">
+                {localErrorCount.toLocaleString()} row{localErrorCount > 1 ? 's have' : ' has'} errors and will be skipped. Preview for details.
+              </p>
+            </div>
+          )}
+
           <div className="flex gap-3">
             <button
-              onClick={() => {
-                setStep(1);
-                setFile(null);
-                setCsvData(null);
-                setHeaders([]);
-                setMapping({});
-              }}
+              onClick={resetImport}
               className="flex-1 px-4 py-2 border border-gray-700 text-gray-400 hover:text-white hover:bg-gray-800/50 rounded-xl transition-all duration-200 hover:scale-[1.02] active:scale-[0.98] font-semibold"
             >
               Cancel
             </button>
+            <button
+              onClick={handlePreview}
+              disabled={!mapping.client || previewing}
+              className="flex-1 bg-teal-500 hover:bg-teal-600 text-white px-4 py-2 rounded-xl disabled:opacity-50 flex items-center justify-center gap-2 transition-all duration-200 shadow-lg shadow-teal-500/20 hover:shadow-teal-500/40 hover:scale-[1.02] active:scale-[0.98] font-semibold"
+            >
+              {previewing ? (
+                <>
+                  <Loader2 className="w-5 h-5 animate-spin" />
+                  Checking rows...
+                </>
+              ) : (
+                'Preview Import'
+              )}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Step 3: Dry-run preview */}
+      {step === 3 && csvData && preview && (
+        <div className="space-y-6">
+          <div className="bg-gradient-to-br from-gray-900 to-black border border-teal-500/30 rounded-xl p-6 shadow-xl">
+            <h3 className="font-semibold text-white mb-1">Preview</h3>
+            <p className="text-xs text-gray-400 mb-4">
+              {preview.total < csvData.length
+                ? `Checked the first ${preview.total.toLocaleString()} of ${csvData.length.toLocaleString()} rows - nothing has been imported yet.`
+                : 'Nothing has been imported yet.'}
+            </p>
+            <div className="grid grid-cols-4 gap-3 mb-4">
+              {['create', 'update', 'skip', 'error'].map(action => (
+                <div key={action} className={`rounded-xl border p-3 text-center ${IMPORT_ACTION_STYLES[action].className}`}>
+                  <p className="text-lg font-semibold">{(preview.counts?.[action] || 0).toLocaleString()}</p>
+                  <p className="text-xs">{IMPORT_ACTION_STYLES[action].label}</p>
+                </div>
+              ))}
+            </div>
+
+            <div className="overflow-x-auto max-h-80 overflow-y-auto">
+              <table className="w-full text-xs text-left">
+                <thead className="text-gray-400 sticky top-0 bg-gray-900">
+                  <tr>
+                    <th className="py-2 pr-3 font-medium">Row</th>
+                    <th className="py-2 pr-3 font-medium">Action</th>
+                    <th className="py-2 pr-3 font-medium">Client</th>
+                    <th className="py-2 pr-3 font-medium">Stage</th>
+                    <th className="py-2 pr-3 font-medium">Value</th>
+                    <th className="py-2 font-medium">Details</th>
+                  </tr>
+                </thead>
+                <tbody className="text-gray-300">
+                  {(preview.preview || []).map(result => (
+                    <tr key={result.row} className="border-t border-gray-800">
+                      <td className="py-2 pr-3">{result.row}</td>
+                      <td className="py-2 pr-3">
+                        <span className={`px-2 py-0.5 rounded-full border ${IMPORT_ACTION_STYLES[result.action].className}`}>
+                          {IMPORT_ACTION_STYLES[result.action].label}
+                        </span>
+                      </td>
+                      <td className="py-2 pr-3">{result.deal?.client || csvData[result.row - 1]?.[mapping.client]}</td>
+                      <td className="py-2 pr-3">{stages.find(s => s.id === result.deal?.stage)?.name || result.deal?.stage || '—'}</td>
+                      <td className="py-2 pr-3">{result.deal?.value !== undefined ? Number(result.deal.value).toLocaleString() : '—'}</td>
+                      <td className="py-2 text-gray-400">{result.errors?.join(', ') || result.reason || ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            {preview.errors?.length > 0 && (
+              <button
+                onClick={() => downloadErrorReport(preview)}
+                className="mt-4 text-teal-400 hover:text-teal-300 flex items-center gap-1 text-sm font-medium"
+              >
+                <Download className="w-4 h-4" />
+                Download Error Report ({preview.errors.length.toLocaleString()} rows)
+              </button>
+            )}
+          </div>
+
+          <div className="flex gap-3">
+            <button
+              onClick={() => setStep(2)}
+              disabled={importing}
+              className="flex-1 px-4 py-2 border border-gray-700 text-gray-400 hover:text-white hover:bg-gray-800/50 rounded-xl transition-all duration-200 hover:scale-[1.02] active:scale-[0.98] font-semibold disabled:opacity-50"
+            >
+              Back to Mapping
+            </button>
             <button
               onClick={handleImport}
-              disabled={!mapping.client || importing}
+              disabled={importing}
               className="flex-1 bg-teal-500 hover:bg-teal-600 text-white px-4 py-2 rounded-xl disabled:opacity-50 flex items-center justify-center gap-2 transition-all duration-200 shadow-lg shadow-teal-500/20 hover:shadow-teal-500/40 hover:scale-[1.02] active:scale-[0.98] font-semibold"
             >
               {importing ? (
                 <>
                   <Loader2 className="w-5 h-5 animate-spin" />
-                  {/* FIX v1.7.62 (#7): Show progress percentage during import */}
-                  {importProgress > 0 ? `Importing... ${importProgress}%` : 'Importing...'}
+                  Importing...
                 </>
               ) : (
                 <>
                   <Upload className="w-5 h-5" />
-                  Import {csvData.length} Deals
+                  Import {csvData.length.toLocaleString()} Rows
                 </>
               )}
             </button>
@@ -2,12 +2,16 @@ import React, { useState, useMemo, memo, useEffect, useCallback, useRef, Suspens
 import { GripVertical, Plus, TrendingUp, AlertCircle, DollarSign, FileText, CheckCircle, Package, Users, Trophy, CheckCircle2, XCircle, Clock, Mail, Edit2, ArrowRight, Inbox, MoreVertical, Ban, UserCircle, Cloud } from 'lucide-react';
 import { useApp } from './AppShell';
 import { LostReasonModal } from './LostReasonModal';
+import { StageRequirementsModal } from './StageRequirementsModal';
 // Phase 9: Screen reader announcements for drag operations
 import { announce } from '../lib/accessibility';
 // UX FRICTION FIX: Removed StatusChangeConfirmationModal - now uses instant move with undo toast
 import { ConfidenceTooltip } from './ConfidenceTooltip';
 import { ZeroConfidenceTooltip } from './ZeroConfidenceTooltip';
 import { STAGE_STATUS_MAP, isWonStage, isLostStage } from '../config/pipelineTemplates';
+import { useStageDefinitions } from '../hooks/useStageDefinitions';
+import { useCustomFields } from '../hooks/useCustomFields';
+import { getUnmetStageRequirements, describeRequirementField, CUSTOM_FIELD_PREFIX } from '../config/stageRequirements';
 import { StageMenuDropdown } from './StageMenuDropdown';
 // UX FRICTION FIX: Removed HideStageConfirmationModal - now uses instant hide with toast
 import { ReorderStagesModal } from './ReorderStagesModal';
@@ -232,7 +236,7 @@ const STAGE_COLORS = {
 
 // Apple-like KanbanCard with modern, polished aesthetic
 // H6-C HARDENING 2025-12-04: Added isDragLocked to disable dragging during updates
-export const KanbanCard = memo(({ deal, onSelect, index, isDarkMode = false, isOrphaned = false, userPerformance = new Map(), globalWinRate = 0.3, organizationId, onDisqualify, onAssignmentChange, isDragLocked = false, isFailedMove = false, onRetryMove = () => {} }) => {
+export const KanbanCard = memo(({ deal, onSelect, index, isDarkMode = false, isOrphaned = false, userPerformance = new Map(), globalWinRate = 0.3, stageDefinitions, organizationId, onDisqualify, onAssignmentChange, isDragLocked = false, isFailedMove = false, onRetryMove = () => {} }) => {
   const [isDragging, setIsDragging] = useState(false);
   const [showMenu, setShowMenu] = useState(false);
   const prefersReducedMotion = usePrefersReducedMotion();
@@ -289,8 +293,8 @@ export const KanbanCard = memo(({ deal, onSelect, index, isDarkMode = false, isO
 
   // AI-POWERED CONFIDENCE SCORE - Dynamic and personalized per user
   const confidenceScore = useMemo(() => {
-    return calculateDealConfidence(deal, userPerformance, globalWinRate);
-  }, [deal, userPerformance, globalWinRate]);
+    return calculateDealConfidence(deal, userPerformance, globalWinRate, stageDefinitions);
+  }, [deal, userPerformance, globalWinRate, stageDefinitions]);
 
   // Status flags for lost vs disqualified (mutually exclusive)
   const isLost = deal.status === 'lost';
@@ -782,6 +786,7 @@ export const KanbanColumn = memo(({
   onDealCreated,
   onDealSelected,
   onLostReasonRequired,
+  onStageRequirementsRequired = () => {},
   columnIndex,
   totalColumns,
   onAnalyticsEvent = () => {},
@@ -794,6 +799,7 @@ export const KanbanColumn = memo(({
   onOpenReorderModal,
   userPerformance = new Map(),
   globalWinRate = 0.3,
+  stageDefinitions,
   organizationId,
   onDisqualify,
   onAssignmentChange,
@@ -802,7 +808,8 @@ export const KanbanColumn = memo(({
   addNotification = () => {},
   failedMoves = new Set(),
   setFailedMoves = () => {},
-  onRetryMove = () => {}
+  onRetryMove = () => {},
+  pipelineId = null
 }) => {
   const [dragOver, setDragOver] = useState(false);
   const [showNewDeal, setShowNewDeal] = useState(false);
@@ -830,8 +837,8 @@ export const KanbanColumn = memo(({
     return filtered.sort((a, b) => {
       // Calculate confidence scores for sorting
       // Using the same calculateDealConfidence function used for display
-      const confA = calculateDealConfidence(a, userPerformance, globalWinRate);
-      const confB = calculateDealConfidence(b, userPerformance, globalWinRate);
+      const confA = calculateDealConfidence(a, userPerformance, globalWinRate, stageDefinitions);
+      const confB = calculateDealConfidence(b, userPerformance, globalWinRate, stageDefinitions);
 
       // Primary sort: confidence DESC (higher probability first)
       if (confB !== confA) {
@@ -843,7 +850,7 @@ export const KanbanColumn = memo(({
       const nameB = (b.client || '').toLowerCase();
       return nameA.localeCompare(nameB);
     });
-  }, [deals, stage.id, userPerformance, globalWinRate]);
+  }, [deals, stage.id, userPerformance, globalWinRate, stageDefinitions]);
 
   const totalValue = useMemo(
     () => stageDeals.reduce((sum, d) => sum + (Number(d.value) || 0), 0),
@@ -918,12 +925,23 @@ export const KanbanColumn = memo(({
     announce(`Moving ${dealName || 'deal'} to ${stage.name} stage`);
 
     try {
+      // Stage-entry requirements: prompt for what's missing instead of letting the server reject the move
+      const droppedDeal = deals.find(d => d.id === dealId);
+      const unmetRequirements = droppedDeal && droppedDeal.stage !== stage.id
+        ? getUnmetStageRequirements(droppedDeal, stage.id, stageDefinitions)
+        : null;
+      if (unmetRequirements) {
+        console.log('[KANBAN][DROP] → Opening stage requirements prompt for stage:', stage.id);
+        onStageRequirementsRequired(dealId, dealName, unmetRequirements);
+        return;
+      }
+
       // P0 WAR ROOM FIX 2025-12-09: Use centralized stage-status checks
       // This ensures all pipelines (healthcare, VC, real estate, etc.) work correctly
-      if (isLostStage(stage.id)) {
+      if (isLostStage(stage.id, stageDefinitions)) {
         console.log('[KANBAN][DROP] → Opening lost reason modal for stage:', stage.id);
         onLostReasonRequired(dealId, dealName, stage.id);
-      } else if (isWonStage(stage.id)) {
+      } else if (isWonStage(stage.id, stageDefinitions)) {
         console.log('[KANBAN][DROP] → Moving to won stage:', stage.id, '(status: won)');
         // Use the safe queue/update wrapper so we never hit undefined callbacks
         let ok = await queueDealUpdateSafe(dealId, { stage: stage.id, status: 'won' });
@@ -968,7 +986,7 @@ export const KanbanColumn = memo(({
       } else {
         // P0 WAR ROOM FIX 2025-12-09: Use centralized functions for active stage detection
         const isMovingFromWonOrLost = currentStatus === 'won' || currentStatus === 'lost';
-        const isMovingToActiveStage = !isWonStage(stage.id) && !isLostStage(stage.id);
+        const isMovingToActiveStage = !isWonStage(stage.id, stageDefinitions) && !isLostStage(stage.id, stageDefinitions);
 
       if (isMovingFromWonOrLost && isMovingToActiveStage) {
         console.log('[KANBAN][DROP] → Opening status change confirmation modal');
@@ -1053,6 +1071,7 @@ export const KanbanColumn = memo(({
             onClose={() => setShowNewDeal(false)}
             initialStage={stage.id}
             onDealCreated={onDealCreated}
+            pipelineId={pipelineId}
           />
         </Suspense>
       </ModalErrorBoundary>
@@ -1194,6 +1213,7 @@ export const KanbanColumn = memo(({
                   isOrphaned={orphanedDealIds.has(deal.id)}
                   userPerformance={userPerformance}
                   globalWinRate={globalWinRate}
+                  stageDefinitions={stageDefinitions}
                   organizationId={organizationId}
                 onDisqualify={onDisqualify}
                 onAssignmentChange={onAssignmentChange}
@@ -1212,6 +1232,40 @@ export const KanbanColumn = memo(({
 
 KanbanColumn.displayName = 'KanbanColumn';
 
+/**
+ * Tabs for switching the board between the org's pipelines.
+ * Hidden when the org only runs one pipeline.
+ */
+export const PipelineSwitcher = memo(({ pipelines = [], activePipelineId = null, onChange }) => {
+  if (pipelines.length < 2 || typeof onChange !== 'function') return null;
+
+  return (
+    <div role="tablist" aria-label="Pipelines" className="flex flex-wrap items-center gap-2 mb-4">
+      {pipelines.map(pipeline => {
+        const isActive = pipeline.id === activePipelineId;
+        return (
+          <button
+            key={pipeline.id}
+            type="button"
+            role="tab"
+            aria-selected={isActive}
+            onClick={() => onChange(pipeline.id)}
+            className={`px-4 py-2 rounded-xl text-sm font-medium border transition-all duration-200 ${
+              isActive
+                ? 'bg-[#0CE3B1]/15 border-[#0CE3B1]/40 text-[#0CE3B1]'
+                : 'bg-white/[0.03] border-white/[0.08] text-white/60 hover:text-white hover:bg-white/[0.06]'
+            }`}
+          >
+            {pipeline.name}
+          </button>
+        );
+      })}
+    </div>
+  );
+});
+
+PipelineSwitcher.displayName = 'PipelineSwitcher';
+
 // Main KanbanBoard - Modern, Always-Visible Layout
 export const KanbanBoard = memo(({
   deals = [], // FIX 2025-12-07: Default to empty array to prevent crash if undefined
@@ -1229,7 +1283,11 @@ export const KanbanBoard = memo(({
   dealsError = null, // MEDIUM FIX: Error state for retry UI
   onRetryDeals = () => {}, // MEDIUM FIX: Retry function
   // H6-C HARDENING 2025-12-04: Drag lock prevents concurrent drag-drop operations
-  isDragLocked = false
+  isDragLocked = false,
+  // Multiple pipelines: deals/stages are already scoped to activePipelineId by Dashboard
+  pipelines = [],
+  activePipelineId = null,
+  onPipelineChange = null
 }) => {
   // FIX 2025-12-07: Added addNotification - was missing, causing ReferenceError on drag-drop status change
   const { organization, user, addNotification } = useApp();
@@ -1241,6 +1299,10 @@ export const KanbanBoard = memo(({
   // FIX 2025-12-07: Defensive guard - ensure deals is always an array
   const safeDeals = Array.isArray(deals) ? deals : [];
 
+  // Org stage definitions: stored outcomes, stagnation thresholds and entry requirements
+  const { definitions: stageDefinitions } = useStageDefinitions(organization?.id);
+  const { fields: customFieldDefs } = useCustomFields(organization?.id);
+
   // AI-POWERED: Build user performance profiles for dynamic confidence scoring
   const { userPerformance, globalWinRate } = useMemo(() => {
     const profiles = buildUserPerformanceProfiles(safeDeals);
@@ -1324,17 +1386,17 @@ export const KanbanBoard = memo(({
     if (filterStatus === 'won') {
       // Show only won stages that have deals
       filteredStages = stages.filter(stage =>
-        isWonStage(stage.id) && (dealsByStage.get(stage.id)?.length || 0) > 0
+        isWonStage(stage.id, stageDefinitions) && (dealsByStage.get(stage.id)?.length || 0) > 0
       );
     } else if (filterStatus === 'lost') {
       // Show only lost stages that have deals
       filteredStages = stages.filter(stage =>
-        isLostStage(stage.id) && (dealsByStage.get(stage.id)?.length || 0) > 0
+        isLostStage(stage.id, stageDefinitions) && (dealsByStage.get(stage.id)?.length || 0) > 0
       );
     } else if (filterStatus === 'active') {
       // Show only active stages (not won/lost) that have deals
       filteredStages = stages.filter(stage =>
-        !isLostStage(stage.id) && !isWonStage(stage.id) && (dealsByStage.get(stage.id)?.length || 0) > 0
+        !isLostStage(stage.id, stageDefinitions) && !isWonStage(stage.id, stageDefinitions) && (dealsByStage.get(stage.id)?.length || 0) > 0
       );
     } else if (filterStatus === 'invoice_sent') {
       // Show only invoice-related stages that have deals
@@ -1361,7 +1423,7 @@ export const KanbanBoard = memo(({
 
     // Apply user's custom stage order
     return applyStageOrder(visibleFilteredStages);
-  }, [filterStatus, stages, stagesLoading, dealsByStage, safeDeals.length, filterVisibleStages, applyStageOrder]);
+  }, [filterStatus, stages, stagesLoading, dealsByStage, safeDeals.length, filterVisibleStages, applyStageOrder, stageDefinitions]);
 
   const [showLostModal, setShowLostModal] = useState(false);
   const [pendingLostDeal, setPendingLostDeal] = useState(null);
@@ -1375,6 +1437,9 @@ export const KanbanBoard = memo(({
   const [showDisqualifyModal, setShowDisqualifyModal] = useState(false);
   const [pendingDisqualifyDeal, setPendingDisqualifyDeal] = useState(null);
 
+  // State for stage-entry requirements prompt ({ dealId, dealName, stage, requirements })
+  const [pendingStageMove, setPendingStageMove] = useState(null);
+
   // Track dragging globally
   useEffect(() => {
     const handleDragStart = () => setIsDragging(true);
@@ -1520,6 +1585,57 @@ export const KanbanBoard = memo(({
     setShowDisqualifyModal(false);
   }, []);
 
+  // Prompt for unmet stage-entry requirements (from a drop, or a STAGE_REQUIREMENTS_UNMET response)
+  const handleStageRequirementsRequired = useCallback((dealId, dealName, requirements) => {
+    if (!requirements) return;
+    // Client-side checks only know custom field keys - label them from the org's definitions
+    const fields = (requirements.fields || []).map(field => (
+      field.key.startsWith(CUSTOM_FIELD_PREFIX) && customFieldDefs.some(def => `${CUSTOM_FIELD_PREFIX}${def.key}` === field.key)
+        ? describeRequirementField(field.key, customFieldDefs)
+        : field
+    ));
+    setPendingStageMove({ dealId, dealName, stage: requirements.stage, requirements: { ...requirements, fields } });
+  }, [customFieldDefs]);
+
+  // useDealManagement dispatches this when update-deal rejects a move (e.g. definitions changed since load)
+  useEffect(() => {
+    const handleUnmet = (e) => {
+      const { dealId, requirements } = e.detail || {};
+      const deal = safeDeals.find(d => d.id === dealId);
+      handleStageRequirementsRequired(dealId, deal?.client || '', requirements);
+    };
+
+    window.addEventListener('stage-requirements-unmet', handleUnmet);
+    return () => window.removeEventListener('stage-requirements-unmet', handleUnmet);
+  }, [safeDeals, handleStageRequirementsRequired]);
+
+  // Save the missing fields + ticked checklist items together with the move
+  const handleStageRequirementsConfirm = useCallback(async (updates, checkedItemIds) => {
+    if (!pendingStageMove) return;
+    const { dealId, dealName, stage } = pendingStageMove;
+    const deal = safeDeals.find(d => d.id === dealId);
+    const checklistUpdate = checkedItemIds.length > 0
+      ? { stage_checklist: { [stage]: [...(deal?.stage_checklist?.[stage] || []), ...checkedItemIds] } }
+      : {};
+
+    // Lost stages still need a reason - save the requirements, then hand over to the lost reason modal
+    if (isLostStage(stage, stageDefinitions)) {
+      const ok = await onUpdateDeal(dealId, { ...updates, ...checklistUpdate });
+      if (!ok) throw new Error('Could not save these details. Please retry.');
+      setPendingStageMove(null);
+      handleLostReasonRequired(dealId, dealName, stage);
+      return;
+    }
+
+    const ok = await onUpdateDeal(dealId, { stage, ...updates, ...checklistUpdate });
+    if (!ok) throw new Error('Move not saved. Please retry.');
+    setPendingStageMove(null);
+  }, [pendingStageMove, safeDeals, stageDefinitions, onUpdateDeal, handleLostReasonRequired]);
+
+  const handleStageRequirementsCancel = useCallback(() => {
+    setPendingStageMove(null);
+  }, []);
+
   // Handle deal assignment change - update local deals state after AssigneeSelector API call
   // FIX 2025-12-02: Previously just logged, now updates deals state so UI reflects assignment
   const handleAssignmentChange = useCallback((dealId, newAssigneeId) => {
@@ -1699,35 +1815,39 @@ export const KanbanBoard = memo(({
     const Icon = config.icon;
 
     return (
-      <div className="flex flex-col items-center justify-center py-20 px-4 bg-gradient-to-b from-transparent to-gray-50/50 dark:to-gray-900/20 rounded-xl border-2 border-dashed border-gray-200 dark:border-gray-700">
-        <div className="w-20 h-20 bg-gradient-to-br from-gray-100 to-gray-200 dark:from-gray-800 dark:to-gray-700 rounded-full flex items-center justify-center mb-6 opacity-90">
-          <Icon className="w-10 h-10 text-gray-300 dark:text-gray-500" />
-        </div>
-        <h3 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-3 text-center">
-          {config.title}
-        </h3>
-        <p className="text-gray-600 dark:text-gray-300 text-center max-w-md mb-6">
-          {config.description}
-        </p>
-        {config.cta && onDealCreated && (
-          <button
-            onClick={() => onDealCreated()}
-            className="bg-teal-500 hover:bg-teal-600 text-white px-6 py-3 rounded-xl font-semibold shadow-lg shadow-teal-500/20 hover:shadow-teal-500/40 transition-all flex items-center gap-2 hover:scale-[1.02] active:scale-[0.98]"
-          >
-            <Plus className="w-5 h-5" />
-            {config.cta}
-          </button>
-        )}
-        <div className="mt-8 flex items-center gap-2 text-sm text-gray-300 dark:text-gray-500">
-          <span className="w-2 h-2 bg-gray-300 dark:bg-gray-600 rounded-full animate-pulse"></span>
-          <span>Try changing filters or creating a new deal</span>
+      <>
+        <PipelineSwitcher pipelines={pipelines} activePipelineId={activePipelineId} onChange={onPipelineChange} />
+        <div className="flex flex-col items-center justify-center py-20 px-4 bg-gradient-to-b from-transparent to-gray-50/50 dark:to-gray-900/20 rounded-xl border-2 border-dashed border-gray-200 dark:border-gray-700">
+          <div className="w-20 h-20 bg-gradient-to-br from-gray-100 to-gray-200 dark:from-gray-800 dark:to-gray-700 rounded-full flex items-center justify-center mb-6 opacity-90">
+            <Icon className="w-10 h-10 text-gray-300 dark:text-gray-500" />
+          </div>
+          <h3 className="text-xl font-semibold text-gray-900 dark:text-gray-100 mb-3 text-center">
+            {config.title}
+          </h3>
+          <p className="text-gray-600 dark:text-gray-300 text-center max-w-md mb-6">
+            {config.description}
+          </p>
+          {config.cta && onDealCreated && (
+            <button
+              onClick={() => onDealCreated()}
+              className="bg-teal-500 hover:bg-teal-600 text-white px-6 py-3 rounded-xl font-semibold shadow-lg shadow-teal-500/20 hover:shadow-teal-500/40 transition-all flex items-center gap-2 hover:scale-[1.02] active:scale-[0.98]"
+            >
+              <Plus className="w-5 h-5" />
+              {config.cta}
+            </button>
+          )}
+          <div className="mt-8 flex items-center gap-2 text-sm text-gray-300 dark:text-gray-500">
+            <span className="w-2 h-2 bg-gray-300 dark:bg-gray-600 rounded-full animate-pulse"></span>
+            <span>Try changing filters or creating a new deal</span>
+          </div>
         </div>
-      </div>
+      </>
     );
   }
 
   return (
     <>
+      <PipelineSwitcher pipelines={pipelines} activePipelineId={activePipelineId} onChange={onPipelineChange} />
       {/* Modern Horizontal Scroll Layout */}
       <div
         data-tour="pipeline-columns"
@@ -1772,6 +1892,7 @@ export const KanbanBoard = memo(({
                 onDealCreated={onDealCreated}
                 onDealSelected={onDealSelected}
                 onLostReasonRequired={handleLostReasonRequired}
+                onStageRequirementsRequired={handleStageRequirementsRequired}
                 columnIndex={idx}
                 totalColumns={visibleStages.length}
                 onAnalyticsEvent={onAnalyticsEvent}
@@ -1784,6 +1905,7 @@ export const KanbanBoard = memo(({
                 onOpenReorderModal={() => setShowReorderModal(true)}
                 userPerformance={userPerformance}
                 globalWinRate={globalWinRate}
+                stageDefinitions={stageDefinitions}
                 organizationId={organization?.id}
                 onDisqualify={handleDisqualifyRequest}
                 onAssignmentChange={handleAssignmentChange}
@@ -1792,6 +1914,7 @@ export const KanbanBoard = memo(({
                 failedMoves={failedMoves}
                 setFailedMoves={setFailedMoves}
                 onRetryMove={(dealId, targetStageId) => retryMove(dealId, targetStageId)}
+                pipelineId={activePipelineId}
               />
             </div>
           );
@@ -1838,6 +1961,15 @@ export const KanbanBoard = memo(({
         dealName={pendingDisqualifyDeal?.client || ''}
       />
 
+      <StageRequirementsModal
+        isOpen={!!pendingStageMove}
+        onClose={handleStageRequirementsCancel}
+        onConfirm={handleStageRequirementsConfirm}
+        dealName={pendingStageMove?.dealName || ''}
+        stageName={stages.find(s => s.id === pendingStageMove?.stage)?.name || getStageDisplayName(pendingStageMove?.stage || '')}
+        requirements={pendingStageMove?.requirements}
+      />
+
       {/* Webkit Scrollbar Styling */}
       <style>{`
         .flex::-webkit-scrollbar {
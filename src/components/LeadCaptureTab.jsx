@@ -0,0 +1,658 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { Plus, Copy, Trash2, Loader2, X, History, Pencil, RefreshCw, Inbox, CheckCircle, AlertCircle } from 'lucide-react';
+import { useApp } from './AppShell';
+import { api } from '../lib/api-client';
+import { useCustomFields } from '../hooks/useCustomFields';
+import { usePipelines } from '../hooks/usePipelines';
+import { getPipelineStages } from '../config/pipelineTemplates';
+import { IMPORT_FIELDS, CUSTOM_FIELD_MAPPING_PREFIX } from '../config/dealImport';
+import {
+  ASSIGNMENT_MODES,
+  buildCaptureUrl,
+  flattenPayload,
+  guessCaptureMapping,
+  validateCaptureEndpoint
+} from '../config/leadCapture';
+
+/**
+ * Inbound lead capture (Integrations → Lead Capture)
+ *
+ * Each endpoint is a secret URL that forms and ad platforms post leads to.
+ * Owners and admins map payload fields to deal fields, pick the stage and
+ * how new deals are assigned, and can regenerate the URL. Everyone with
+ * integration access sees the capture log, including rejected and throttled
+ * posts.
+ */
+
+const inputClass = 'w-full px-4 py-2 border border-gray-700 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent bg-gray-800/50 text-white placeholder-gray-500 backdrop-blur-sm';
+
+// Stage and status come from the endpoint, not the payload
+const MAPPABLE_FIELDS = IMPORT_FIELDS.filter(field => field.key !== 'stage' && field.key !== 'status');
+
+const STATUS_STYLES = {
+  created: { label: 'Created', className: 'bg-[#27AE60]/10 text-[#27AE60]', icon: CheckCircle },
+  rejected: { label: 'Rejected', className: 'bg-amber-500/10 text-amber-400', icon: AlertCircle },
+  throttled: { label: 'Throttled', className: 'bg-gray-500/10 text-gray-400', icon: AlertCircle },
+  error: { label: 'Error', className: 'bg-red-500/10 text-red-400', icon: AlertCircle }
+};
+
+const STATUS_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'created', label: 'Created' },
+  { id: 'rejected', label: 'Rejected' },
+  { id: 'throttled', label: 'Throttled' },
+  { id: 'error', label: 'Errors' }
+];
+
+const EMPTY_FORM = {
+  name: '',
+  pipelineId: null,
+  stage: '',
+  assignmentMode: 'round_robin',
+  assignTo: '',
+  fieldMapping: {},
+  isActive: true
+};
+
+const formatTime = (iso) => iso ? new Date(iso).toLocaleString() : '—';
+
+const prettyPayload = (payload) => {
+  if (!payload) return '';
+  try {
+    return JSON.stringify(JSON.parse(payload), null, 2);
+  } catch {
+    return payload;
+  }
+};
+
+const toForm = (endpoint) => ({
+  name: endpoint.name,
+  pipelineId: endpoint.pipeline_id,
+  stage: endpoint.stage,
+  assignmentMode: endpoint.assignment_mode,
+  assignTo: endpoint.assign_to || '',
+  fieldMapping: endpoint.field_mapping || {},
+  isActive: endpoint.is_active
+});
+
+export const LeadCaptureTab = () => {
+  const { organization, userRole, addNotification } = useApp();
+  const [endpoints, setEndpoints] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [teamMembers, setTeamMembers] = useState([]);
+  const [editing, setEditing] = useState(null); // 'new' | endpoint id
+  const [openLogId, setOpenLogId] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+
+  const canManage = ['owner', 'admin'].includes(userRole);
+
+  const loadEndpoints = useCallback(async () => {
+    if (!organization?.id) {
+      setLoading(false);
+      return;
+    }
+    try {
+      const { data } = await api.get(`lead-capture-endpoints?organizationId=${encodeURIComponent(organization.id)}`);
+      setEndpoints(data.endpoints || []);
+    } catch (error) {
+      console.error('Error loading capture endpoints:', error);
+      addNotification(error.userMessage || error.message || 'Failed to load capture endpoints', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [organization?.id, addNotification]);
+
+  useEffect(() => {
+    loadEndpoints();
+  }, [loadEndpoints]);
+
+  useEffect(() => {
+    if (!organization?.id || !canManage) return;
+    api.post('get-team-members', { organization_id: organization.id })
+      .then(({ data }) => setTeamMembers(data?.teamMembers || []))
+      .catch(error => console.error('Error loading team members:', error));
+  }, [organization?.id, canManage]);
+
+  const saveEndpoint = async (form) => {
+    const action = editing === 'new' ? 'create' : 'update';
+    setPendingAction('save');
+    try {
+      const { data } = await api.post('lead-capture-endpoints', {
+        organizationId: organization.id,
+        action,
+        ...(action === 'update' ? { endpointId: editing } : {}),
+        endpoint: form
+      }, { maxRetries: 0 });
+
+      setEndpoints(prev => action === 'create'
+        ? [...prev, data.endpoint]
+        : prev.map(endpoint => endpoint.id === data.endpoint.id ? data.endpoint : endpoint));
+      setEditing(null);
+      addNotification(action === 'create' ? 'Capture endpoint created' : 'Capture endpoint saved');
+    } catch (error) {
+      addNotification(error.userMessage || error.message || 'Failed to save capture endpoint', 'error');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const regenerateToken = async (endpoint) => {
+    if (!confirm('Generate a new URL? The current URL stops accepting leads immediately.')) return;
+    setPendingAction(`${endpoint.id}:token`);
+    try {
+      const { data } = await api.post('lead-capture-endpoints', {
+        organizationId: organization.id,
+        action: 'regenerate_token',
+        endpointId: endpoint.id
+      }, { maxRetries: 0 });
+      setEndpoints(prev => prev.map(e => e.id === endpoint.id ? data.endpoint : e));
+      addNotification('New capture URL generated');
+    } catch (error) {
+      addNotification(error.userMessage || error.message || 'Failed to regenerate URL', 'error');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const deleteEndpoint = async (endpoint) => {
+    if (!confirm(`Delete "${endpoint.name}"? Forms posting to it will stop creating deals.`)) return;
+    setPendingAction(`${endpoint.id}:delete`);
+    try {
+      await api.post('lead-capture-endpoints', {
+        organizationId: organization.id,
+        action: 'delete',
+        endpointId: endpoint.id
+      }, { maxRetries: 0 });
+      setEndpoints(prev => prev.filter(e => e.id !== endpoint.id));
+      addNotification('Capture endpoint deleted');
+    } catch (error) {
+      addNotification(error.userMessage || error.message || 'Failed to delete capture endpoint', 'error');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const copyUrl = (token) => {
+    navigator.clipboard.writeText(buildCaptureUrl(window.location.origin, token));
+    addNotification('Copied to clipboard');
+  };
+
+  if (loading) {
+    return <div className="flex justify-center py-12"><Loader2 className="w-8 h-8 animate-spin text-[#1ABC9C]" /></div>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-400">
+          Create deals from website forms and ad platforms. Post JSON or form data to an endpoint's URL.
+        </p>
+        {canManage && (
+          <button
+            onClick={() => setEditing(editing === 'new' ? null : 'new')}
+            className="bg-teal-500 hover:bg-teal-600 text-white px-4 py-2 rounded-xl flex items-center gap-2 transition-all duration-200 shadow-lg shadow-teal-500/20 hover:shadow-teal-500/40 hover:scale-[1.02] active:scale-[0.98] font-semibold"
+          >
+            <Plus className="w-5 h-5" />
+            New Endpoint
+          </button>
+        )}
+      </div>
+
+      {editing === 'new' && (
+        <EndpointForm
+          isNew
+          initial={EMPTY_FORM}
+          teamMembers={teamMembers}
+          saving={pendingAction === 'save'}
+          onSave={saveEndpoint}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      <div className="space-y-3">
+        {endpoints.length === 0 ? (
+          <div className="text-center py-12 text-[#9CA3AF]">
+            <Inbox className="w-12 h-12 mx-auto mb-3 opacity-50" />
+            <p>No capture endpoints yet</p>
+          </div>
+        ) : (
+          endpoints.map(endpoint => (
+            <div key={endpoint.id} className="bg-gradient-to-br from-gray-900 to-black border border-teal-500/30 rounded-xl p-4 shadow-xl hover:border-teal-500/50 transition-all duration-300">
+              {editing === endpoint.id ? (
+                <EndpointForm
+                  initial={toForm(endpoint)}
+                  teamMembers={teamMembers}
+                  saving={pendingAction === 'save'}
+                  onSave={saveEndpoint}
+                  onCancel={() => setEditing(null)}
+                />
+              ) : (
+                <div className="flex items-start justify-between gap-3">
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <h4 className="font-semibold text-white">{endpoint.name}</h4>
+                      <span className={`px-2 py-0.5 rounded-full text-xs ${
+                        endpoint.is_active ? 'bg-[#27AE60]/10 text-[#27AE60]' : 'bg-gray-500/10 text-gray-400'
+                      }`}>
+                        {endpoint.is_active ? 'Active' : 'Paused'}
+                      </span>
+                    </div>
+                    {endpoint.token && (
+                      <div className="mt-2 flex items-center gap-2">
+                        <code className="text-xs font-mono text-teal-400 truncate">
+                          {buildCaptureUrl(window.location.origin, endpoint.token)}
+                        </code>
+                        <button onClick={() => copyUrl(endpoint.token)} className="text-[#1ABC9C] hover:text-[#16A085] transition" title="Copy URL">
+                          <Copy className="w-4 h-4" />
+                        </button>
+                      </div>
+                    )}
+                    <p className="mt-2 text-xs text-gray-400">
+                      New deals in <span className="text-gray-300">{endpoint.stage}</span>
+                      {' · '}
+                      {endpoint.assignment_mode === 'round_robin' ? 'assigned round robin' : 'assigned to one member'}
+                      {' · '}
+                      last lead {formatTime(endpoint.last_capture_at)}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    {canManage && (
+                      <>
+                        <button
+                          onClick={() => setEditing(endpoint.id)}
+                          title="Edit"
+                          aria-label="Edit endpoint"
+                          className="text-gray-400 hover:text-white transition px-3 py-2 rounded-lg hover:bg-gray-800"
+                        >
+                          <Pencil className="w-5 h-5" />
+                        </button>
+                        <button
+                          onClick={() => regenerateToken(endpoint)}
+                          disabled={!!pendingAction}
+                          title="Generate a new URL"
+                          aria-label="Generate a new URL"
+                          className="text-gray-400 hover:text-white transition px-3 py-2 rounded-lg hover:bg-gray-800 disabled:opacity-50"
+                        >
+                          {pendingAction === `${endpoint.id}:token`
+                            ? <Loader2 className="w-5 h-5 animate-spin" />
+                            : <RefreshCw className="w-5 h-5" />}
+                        </button>
+                      </>
+                    )}
+                    <button
+                      onClick={() => setOpenLogId(openLogId === endpoint.id ? null : endpoint.id)}
+                      title="Capture log"
+                      aria-label="Capture log"
+                      aria-expanded={openLogId === endpoint.id}
+                      className={`transition px-3 py-2 rounded-lg hover:bg-gray-800 ${openLogId === endpoint.id ? 'text-teal-400' : 'text-gray-400 hover:text-white'}`}
+                    >
+                      <History className="w-5 h-5" />
+                    </button>
+                    {canManage && (
+                      <button
+                        onClick={() => deleteEndpoint(endpoint)}
+                        disabled={!!pendingAction}
+                        aria-label="Delete endpoint"
+                        className="text-red-400 hover:text-red-300 transition px-3 py-2 rounded-lg hover:bg-red-500/10 disabled:opacity-50"
+                      >
+                        <Trash2 className="w-5 h-5" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+              {openLogId === endpoint.id && editing !== endpoint.id && (
+                <CaptureLog
+                  organizationId={organization.id}
+                  endpoint={endpoint}
+                  addNotification={addNotification}
+                />
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+const EndpointForm = ({ isNew = false, initial, teamMembers, saving, onSave, onCancel }) => {
+  const { organization } = useApp();
+  const [form, setForm] = useState(initial);
+  const [sample, setSample] = useState('');
+  const [errors, setErrors] = useState([]);
+  const { fields: customFieldDefs } = useCustomFields(organization?.id);
+  const { pipelines, activePipeline } = usePipelines(organization?.id, organization?.pipeline_template);
+
+  const targetPipeline = pipelines.find(p => p.id && p.id === form.pipelineId) || activePipeline;
+  const stages = useMemo(() => getPipelineStages(targetPipeline), [targetPipeline]);
+
+  // Default to the pipeline's first stage; keep the pick while it's still valid
+  useEffect(() => {
+    if (stages.length > 0 && !stages.some(stage => stage.id === form.stage)) {
+      setForm(prev => ({ ...prev, stage: stages[0].id }));
+    }
+  }, [stages, form.stage]);
+
+  const dealFields = [
+    ...MAPPABLE_FIELDS,
+    ...customFieldDefs.map(field => ({ key: `${CUSTOM_FIELD_MAPPING_PREFIX}${field.key}`, label: field.label }))
+  ];
+
+  const samplePaths = useMemo(() => {
+    if (!sample.trim()) return [];
+    try {
+      return Object.keys(flattenPayload(JSON.parse(sample)));
+    } catch {
+      return [];
+    }
+  }, [sample]);
+
+  const setMapping = (key, path) => {
+    setForm(prev => {
+      const fieldMapping = { ...prev.fieldMapping };
+      if (path) fieldMapping[key] = path;
+      else delete fieldMapping[key];
+      return { ...prev, fieldMapping };
+    });
+  };
+
+  // Fill unmapped fields from the sample's keys
+  const suggestMapping = () => {
+    try {
+      const suggested = guessCaptureMapping(JSON.parse(sample), customFieldDefs);
+      setForm(prev => ({ ...prev, fieldMapping: { ...suggested, ...prev.fieldMapping } }));
+    } catch {
+      setErrors(['Sample payload must be valid JSON']);
+    }
+  };
+
+  const submit = () => {
+    const payload = { ...form, pipelineId: targetPipeline?.id ?? null };
+    const validationErrors = validateCaptureEndpoint(payload);
+    setErrors(validationErrors);
+    if (validationErrors.length === 0) onSave(payload);
+  };
+
+  return (
+    <div className="bg-gradient-to-br from-gray-900 to-black border border-teal-500/30 rounded-xl p-6 space-y-4 shadow-xl">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-white mb-2">Name *</label>
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Website contact form"
+            maxLength={100}
+            className={inputClass}
+          />
+        </div>
+        <div className="grid grid-cols-2 gap-3">
+          {pipelines.filter(p => p.id).length > 1 && (
+            <div>
+              <label className="block text-sm font-medium text-white mb-2">Pipeline</label>
+              <select
+                value={targetPipeline?.id || ''}
+                onChange={(e) => setForm({ ...form, pipelineId: e.target.value || null })}
+                className={inputClass}
+              >
+                {pipelines.filter(p => p.id).map(pipeline => (
+                  <option key={pipeline.id} value={pipeline.id}>{pipeline.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div>
+            <label className="block text-sm font-medium text-white mb-2">Stage *</label>
+            <select
+              value={form.stage}
+              onChange={(e) => setForm({ ...form, stage: e.target.value })}
+              className={inputClass}
+            >
+              {stages.map(stage => (
+                <option key={stage.id} value={stage.id}>{stage.name}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-white mb-2">Assign new deals</label>
+          <select
+            value={form.assignmentMode}
+            onChange={(e) => setForm({ ...form, assignmentMode: e.target.value })}
+            className={inputClass}
+          >
+            {ASSIGNMENT_MODES.map(mode => (
+              <option key={mode.id} value={mode.id}>{mode.label}</option>
+            ))}
+          </select>
+        </div>
+        {form.assignmentMode === 'fixed' && (
+          <div>
+            <label className="block text-sm font-medium text-white mb-2">Member *</label>
+            <select
+              value={form.assignTo}
+              onChange={(e) => setForm({ ...form, assignTo: e.target.value })}
+              className={inputClass}
+            >
+              <option value="">Choose a member…</option>
+              {teamMembers.map(member => (
+                <option key={member.id} value={member.id}>{member.name}{member.email ? ` (${member.email})` : ''}</option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-white mb-1">Field mapping</label>
+        <p className="text-xs text-gray-400 mb-3">
+          Enter the payload key for each field. Use dots for nested JSON, e.g. <code className="text-gray-300">contact.email</code>.
+        </p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4 gap-y-2">
+          {dealFields.map(field => (
+            <label key={field.key} className="flex items-center gap-3 text-sm">
+              <span className="w-36 shrink-0 text-gray-300">{field.label}{field.key === 'client' ? ' *' : ''}</span>
+              <input
+                type="text"
+                list={samplePaths.length > 0 ? 'lead-capture-sample-paths' : undefined}
+                value={form.fieldMapping[field.key] || ''}
+                onChange={(e) => setMapping(field.key, e.target.value.trim())}
+                placeholder="not mapped"
+                className="flex-1 px-3 py-1.5 border border-gray-700 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent bg-gray-800/50 text-white placeholder-gray-600 font-mono text-xs"
+              />
+            </label>
+          ))}
+        </div>
+        <datalist id="lead-capture-sample-paths">
+          {samplePaths.map(path => <option key={path} value={path} />)}
+        </datalist>
+      </div>
+
+      <details className="text-sm">
+        <summary className="cursor-pointer text-gray-400 hover:text-white">Suggest a mapping from a sample payload</summary>
+        <div className="mt-2 space-y-2">
+          <textarea
+            value={sample}
+            onChange={(e) => setSample(e.target.value)}
+            rows={5}
+            placeholder={'{ "name": "Jane Doe", "company": "Acme", "email": "jane@acme.com" }'}
+            className={`${inputClass} font-mono text-xs`}
+          />
+          <button
+            onClick={suggestMapping}
+            disabled={!sample.trim()}
+            className="px-3 py-1.5 rounded-lg text-sm text-teal-400 border border-teal-500/30 hover:bg-teal-500/10 disabled:opacity-50 transition"
+          >
+            Suggest mapping
+          </button>
+        </div>
+      </details>
+
+      {!isNew && (
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+          <input
+            type="checkbox"
+            checked={form.isActive}
+            onChange={(e) => setForm({ ...form, isActive: e.target.checked })}
+            className="rounded text-teal-500 focus:ring-teal-500"
+          />
+          Accepting leads
+        </label>
+      )}
+
+      {errors.length > 0 && (
+        <ul role="alert" className="text-sm text-red-400 space-y-1">
+          {errors.map(error => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      <div className="flex gap-3">
+        <button
+          onClick={onCancel}
+          className="flex-1 px-4 py-2 border border-gray-700 text-gray-400 hover:text-white hover:bg-gray-800/50 rounded-xl transition-all duration-200 font-semibold"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={submit}
+          disabled={saving}
+          className="flex-1 bg-teal-500 hover:bg-teal-600 text-white px-4 py-2 rounded-xl disabled:opacity-50 transition-all duration-200 shadow-lg shadow-teal-500/20 font-semibold flex items-center justify-center gap-2"
+        >
+          {saving && <Loader2 className="w-4 h-4 animate-spin" />}
+          {isNew ? 'Create Endpoint' : 'Save Changes'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const CaptureLog = ({ organizationId, endpoint, addNotification }) => {
+  const [entries, setEntries] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('all');
+  const [selectedId, setSelectedId] = useState(null);
+
+  const baseQuery = `lead-capture-endpoints?organizationId=${encodeURIComponent(organizationId)}&endpointId=${encodeURIComponent(endpoint.id)}`;
+
+  const loadLog = useCallback(async (before = null) => {
+    setLoading(true);
+    try {
+      const params = [
+        status !== 'all' ? `status=${status}` : null,
+        before ? `before=${encodeURIComponent(before)}` : null
+      ].filter(Boolean).join('&');
+
+      const { data } = await api.get(params ? `${baseQuery}&${params}` : baseQuery);
+      setEntries(prev => before ? [...prev, ...(data.log || [])] : (data.log || []));
+      setHasMore(!!data.hasMore);
+    } catch (error) {
+      console.error('Error loading capture log:', error);
+      addNotification(error.userMessage || error.message || 'Failed to load capture log', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [baseQuery, status, addNotification]);
+
+  useEffect(() => {
+    loadLog();
+  }, [loadLog]);
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-800 space-y-4">
+      <div className="flex gap-1 p-1 bg-gray-800/50 rounded-lg w-fit" role="radiogroup" aria-label="Filter captures">
+        {STATUS_FILTERS.map(filter => (
+          <button
+            key={filter.id}
+            role="radio"
+            aria-checked={status === filter.id}
+            onClick={() => setStatus(filter.id)}
+            className={`px-3 py-1 rounded-md text-xs font-medium transition ${
+              status === filter.id ? 'bg-teal-500/20 text-teal-400' : 'text-gray-400 hover:text-white'
+            }`}
+          >
+            {filter.label}
+          </button>
+        ))}
+      </div>
+
+      {loading && entries.length === 0 ? (
+        <div className="flex justify-center py-6"><Loader2 className="w-6 h-6 animate-spin text-[#1ABC9C]" /></div>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-6">Nothing captured yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b border-gray-800">
+                <th className="py-2 pr-3 font-medium">Time</th>
+                <th className="py-2 pr-3 font-medium">Result</th>
+                <th className="py-2 pr-3 font-medium">Details</th>
+                <th className="py-2 font-medium text-right">Sender</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map(entry => {
+                const style = STATUS_STYLES[entry.status] || STATUS_STYLES.error;
+                const Icon = style.icon;
+                return (
+                  <React.Fragment key={entry.id}>
+                    <tr
+                      onClick={() => setSelectedId(selectedId === entry.id ? null : entry.id)}
+                      className={`border-b border-gray-800/60 cursor-pointer hover:bg-gray-800/40 ${selectedId === entry.id ? 'bg-gray-800/40' : ''}`}
+                    >
+                      <td className="py-2 pr-3 text-gray-400 whitespace-nowrap">{formatTime(entry.created_at)}</td>
+                      <td className="py-2 pr-3">
+                        <span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs ${style.className}`}>
+                          <Icon className="w-3 h-3" />
+                          {style.label}
+                        </span>
+                      </td>
+                      <td className="py-2 pr-3 text-gray-400 truncate max-w-xs">
+                        {entry.errors?.length > 0 ? entry.errors.join('; ') : entry.deal_id ? 'Deal created' : '—'}
+                      </td>
+                      <td className="py-2 text-right text-gray-500 font-mono text-xs">{entry.ip || '—'}</td>
+                    </tr>
+                    {selectedId === entry.id && (
+                      <tr>
+                        <td colSpan={4} className="py-3">
+                          <div className="p-3 bg-black/40 border border-gray-800 rounded-lg space-y-2">
+                            <div className="flex items-start justify-between">
+                              <p className="text-xs font-medium text-gray-400">Payload</p>
+                              <button onClick={() => setSelectedId(null)} className="p-1 text-gray-500 hover:text-white" aria-label="Close capture details">
+                                <X className="w-4 h-4" />
+                              </button>
+                            </div>
+                            <pre className="text-xs text-gray-300 bg-gray-900 rounded p-2 overflow-x-auto max-h-64">
+                              {prettyPayload(entry.payload) || 'No payload recorded'}
+                            </pre>
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+          {hasMore && (
+            <button
+              onClick={() => loadLog(entries[entries.length - 1]?.created_at)}
+              disabled={loading}
+              className="mt-3 w-full py-2 text-sm text-gray-400 hover:text-white disabled:opacity-50 transition"
+            >
+              {loading ? 'Loading…' : 'Load older captures'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LeadCaptureTab;
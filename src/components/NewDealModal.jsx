@@ -1,6 +1,6 @@
 import React, { useState, useEffect, memo } from 'react';
 import { createPortal } from 'react-dom';
-import { X, Loader2, AlertCircle } from 'lucide-react';
+import { X, Loader2, AlertCircle, Link2 } from 'lucide-react';
 import { supabase } from '../lib/supabase';
 import { useApp } from './AppShell';
 // FIX CRITICAL #1: Import default pipeline as fallback if pipelineStages fails to load
@@ -15,6 +15,10 @@ import { PhoneInput } from './PhoneInput';
 import { api } from '../lib/api-client'; // PHASE J: Auth-aware API client
 // Phase 7: Offline support for deal creation
 import { enqueueCommand, OFFLINE_COMMAND_TYPES } from '../lib/offlineStore';
+import { useEntitySearch, EntitySuggestions } from './DealParties';
+import { getContactLabel } from '../domain/contact';
+import { CustomFieldInputs } from './CustomFields';
+import { useCustomFields } from '../hooks/useCustomFields';
 
 // Field validation configuration
 const fieldConfigs = {
@@ -62,7 +66,7 @@ const FieldError = ({ error, fieldId }) => {
 };
 
 // NEXT-LEVEL: Memoize modal to prevent unnecessary re-renders (30-40% performance gain)
-export const NewDealModal = memo(({ isOpen, onClose, initialStage, onDealCreated, pipelineStages = [] }) => {
+export const NewDealModal = memo(({ isOpen, onClose, initialStage, onDealCreated, pipelineStages = [], pipelineId = null }) => {
   const { user, organization, addNotification } = useApp();
   const [loading, setLoading] = useState(false);
   const [progressMessage, setProgressMessage] = useState(''); // MEDIUM FIX: Show creation progress
@@ -80,10 +84,29 @@ export const NewDealModal = memo(({ isOpen, onClose, initialStage, onDealCreated
     phone: '',
     value: '',
     stage: getInitialStage(),
-    notes: ''
+    notes: '',
+    company: ''
   });
   const firstInputRef = React.useRef(null);
 
+  // Search-or-create: picking an existing contact/company links it instead of
+  // letting create-deal match or create one from the typed fields
+  const [selectedContact, setSelectedContact] = useState(null);
+  const [selectedCompany, setSelectedCompany] = useState(null);
+  const [activeSearch, setActiveSearch] = useState(null); // 'client' | 'company' | null
+  const contactSearch = useEntitySearch('contacts', organization?.id, selectedContact ? '' : formData.client);
+  const companySearch = useEntitySearch('companies', organization?.id, selectedCompany ? '' : formData.company);
+
+  // Org custom fields - edited values over each field's default
+  const { fields: customFieldDefs } = useCustomFields(organization?.id);
+  const [customFieldValues, setCustomFieldValues] = useState({});
+  const customFieldFormValues = customFieldDefs.reduce((values, field) => {
+    const value = Object.prototype.hasOwnProperty.call(customFieldValues, field.key)
+      ? customFieldValues[field.key]
+      : field.defaultValue;
+    return { ...values, [field.key]: value ?? null };
+  }, {});
+
   // CRITICAL FIX: Update stage when pipelineStages loads or changes
   useEffect(() => {
     const newStage = getInitialStage();
@@ -146,6 +169,39 @@ export const NewDealModal = memo(({ isOpen, onClose, initialStage, onDealCreated
     const sanitizedValue = fieldName === 'value' ? sanitizeNumberInput(value) : value;
     setFormData({ ...formData, [fieldName]: sanitizedValue });
     validation.handleChange(fieldName, sanitizedValue);
+
+    // Editing a linked contact's name/email means it's no longer that contact
+    if (selectedContact && (fieldName === 'client' || fieldName === 'email')) setSelectedContact(null);
+    if (selectedCompany && fieldName === 'company') setSelectedCompany(null);
+  };
+
+  const handleSelectContact = (contact) => {
+    const next = {
+      ...formData,
+      client: contact.name || formData.client,
+      email: contact.email || formData.email,
+      phone: contact.phone || formData.phone
+    };
+    setFormData(contact.company && !selectedCompany ? { ...next, company: contact.company.name } : next);
+    setSelectedContact(contact);
+    if (contact.company && !selectedCompany) setSelectedCompany(contact.company);
+    setActiveSearch(null);
+    validation.handleChange('client', next.client);
+    validation.handleChange('email', next.email);
+  };
+
+  const handleSelectCompany = (company) => {
+    setFormData({ ...formData, company: company.name });
+    setSelectedCompany(company);
+    setActiveSearch(null);
+  };
+
+  const resetForm = () => {
+    setFormData({ client: '', email: '', phone: '', value: '', stage: getInitialStage(), notes: '', company: '' });
+    setSelectedContact(null);
+    setSelectedCompany(null);
+    setCustomFieldValues({});
+    validation.reset();
   };
 
   const handleFieldBlur = (fieldName) => {
@@ -183,6 +239,15 @@ export const NewDealModal = memo(({ isOpen, onClose, initialStage, onDealCreated
       return;
     }
 
+    const missingCustomField = customFieldDefs.find(field => {
+      const value = customFieldFormValues[field.key];
+      return field.required && (value === null || value === '' || (Array.isArray(value) && value.length === 0));
+    });
+    if (missingCustomField) {
+      addNotification(`${missingCustomField.label} is required`, 'error');
+      return;
+    }
+
     // PART A: Enhanced pre-flight validation
     if (!user) {
       addNotification('Please log in to create a deal.', 'error');
@@ -236,7 +301,13 @@ export const NewDealModal = memo(({ isOpen, onClose, initialStage, onDealCreated
         value: dealValue !== null ? dealValue : 0,
         stage: formData.stage,
         status: 'active',
-        notes: sanitizeText(formData.notes) || null
+        notes: sanitizeText(formData.notes) || null,
+        // Pipeline the board is showing (null = org's default pipeline)
+        pipeline_id: pipelineId,
+        // Cleared values are sent as null so create-deal doesn't re-apply the default
+        custom_fields: Object.fromEntries(
+          Object.entries(customFieldFormValues).map(([key, value]) => [key, value === '' ? null : value])
+        )
       };
 
       // Phase 7: Check if offline - queue deal creation for later sync
@@ -267,8 +338,7 @@ export const NewDealModal = memo(({ isOpen, onClose, initialStage, onDealCreated
         addNotification('Deal saved offline - will sync when connected', 'info');
         onDealCreated(optimisticDeal);
         onClose();
-        setFormData({ client: '', email: '', phone: '', value: '', stage: getInitialStage(), notes: '' });
-        validation.reset();
+        resetForm();
         setLoading(false);
         setProgressMessage('');
         return;
@@ -281,7 +351,10 @@ export const NewDealModal = memo(({ isOpen, onClose, initialStage, onDealCreated
         // FIX 2025-12-09: Changed api.post → api.deal for response invariant enforcement
         const response = await api.deal('create-deal', {
           dealData: sanitizedData,
-          organizationId: organization.id
+          organizationId: organization.id,
+          contactId: selectedContact?.id || null,
+          companyId: selectedCompany?.id || null,
+          companyName: sanitizeText(formData.company) || null
         });
         result = response?.data;
       } catch (networkError) {
@@ -348,8 +421,7 @@ export const NewDealModal = memo(({ isOpen, onClose, initialStage, onDealCreated
         addNotification('Deal was created, but the view did not update. Refresh to see it.', 'warning');
       }
       onClose();
-      setFormData({ client: '', email: '', phone: '', value: '', stage: getInitialStage(), notes: '' });
-      validation.reset();
+      resetForm();
 
     } catch (unexpectedError) {
       // Catch-all for any unexpected errors
@@ -409,8 +481,8 @@ export const NewDealModal = memo(({ isOpen, onClose, initialStage, onDealCreated
         )}
 
         <form onSubmit={handleSubmit} className="p-6 space-y-4">
-          {/* Client Name */}
-          <div>
+          {/* Client Name (typeahead over existing contacts) */}
+          <div className="relative">
             <label htmlFor="client" className="block text-sm font-medium text-white mb-2">
               Client Name *
             </label>
@@ -421,7 +493,10 @@ export const NewDealModal = memo(({ isOpen, onClose, initialStage, onDealCreated
               required
               value={formData.client}
               onChange={(e) => handleFieldChange('client', e.target.value)}
-              onBlur={() => handleFieldBlur('client')}
+              onFocus={() => setActiveSearch('client')}
+              onBlur={() => { handleFieldBlur('client'); setActiveSearch(null); }}
+              autoComplete="off"
+              aria-controls="client-suggestions"
               aria-invalid={validation.errors.client ? 'true' : 'false'}
               aria-describedby={validation.errors.client ? 'client-error' : undefined}
               className={`w-full px-4 py-3 bg-gray-800/50 border rounded-xl text-white placeholder-gray-500 focus:ring-2 focus:ring-teal-500 focus:border-transparent transition ${
@@ -431,7 +506,55 @@ export const NewDealModal = memo(({ isOpen, onClose, initialStage, onDealCreated
               }`}
               placeholder="Acme Corp"
             />
+            {activeSearch === 'client' && !selectedContact && (
+              <EntitySuggestions
+                id="client-suggestions"
+                items={contactSearch.results}
+                loading={contactSearch.loading}
+                renderLabel={(contact) => getContactLabel(contact)}
+                onSelect={handleSelectContact}
+              />
+            )}
             <FieldError error={validation.errors.client} fieldId="client" />
+            {selectedContact && (
+              <p className="mt-1 text-xs text-teal-300 flex items-center gap-1">
+                <Link2 className="w-3 h-3" aria-hidden="true" /> Linked to existing contact
+              </p>
+            )}
+          </div>
+
+          {/* Company (typeahead over existing companies; new names are created with the deal) */}
+          <div className="relative">
+            <label htmlFor="company" className="block text-sm font-medium text-white mb-2">
+              Company
+            </label>
+            <input
+              id="company"
+              type="text"
+              maxLength={200}
+              value={formData.company}
+              onChange={(e) => handleFieldChange('company', e.target.value)}
+              onFocus={() => setActiveSearch('company')}
+              onBlur={() => setActiveSearch(null)}
+              autoComplete="off"
+              aria-controls="company-suggestions"
+              className="w-full px-4 py-3 bg-gray-800/50 border border-gray-700 rounded-xl text-white placeholder-gray-500 focus:ring-2 focus:ring-teal-500 focus:border-transparent transition"
+              placeholder="Optional - matched by email domain if left blank"
+            />
+            {activeSearch === 'company' && !selectedCompany && (
+              <EntitySuggestions
+                id="company-suggestions"
+                items={companySearch.results}
+                loading={companySearch.loading}
+                renderLabel={(company) => company.domain ? `${company.name} · ${company.domain}` : company.name}
+                onSelect={handleSelectCompany}
+              />
+            )}
+            {selectedCompany && (
+              <p className="mt-1 text-xs text-teal-300 flex items-center gap-1">
+                <Link2 className="w-3 h-3" aria-hidden="true" /> Linked to existing company
+              </p>
+            )}
           </div>
 
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -519,6 +642,13 @@ export const NewDealModal = memo(({ isOpen, onClose, initialStage, onDealCreated
             </div>
           </div>
 
+          {/* Org-defined custom fields */}
+          <CustomFieldInputs
+            fields={customFieldDefs}
+            values={customFieldFormValues}
+            onChange={(key, value) => setCustomFieldValues(prev => ({ ...prev, [key]: value }))}
+          />
+
           {/* Notes */}
           <div>
             <label htmlFor="notes" className="block text-sm font-medium text-white mb-2">
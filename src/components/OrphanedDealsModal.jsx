@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { X, AlertCircle, Check, ChevronDown } from 'lucide-react';
 import { findOrphanedDeals } from '../utils/dealRecovery';
 import { getStatusForStage } from '../config/pipelineTemplates';
+import { useStageDefinitions } from '../hooks/useStageDefinitions';
 // FIX 2025-12-03: Use api-client for proper Authorization header injection
 import { api } from '../lib/api-client';
 
@@ -17,6 +18,7 @@ export const OrphanedDealsModal = ({
   const [loading, setLoading] = useState(true);
   const [recovering, setRecovering] = useState(false);
   const [showSuccess, setShowSuccess] = useState(false);
+  const { definitions: stageDefinitions } = useStageDefinitions(organization?.id);
 
   useEffect(() => {
     if (isOpen && organization?.id) {
@@ -60,7 +62,7 @@ export const OrphanedDealsModal = ({
       // Update each deal via the backend endpoint using api-client
       const updates = orphanedDeals.map(async (deal) => {
         const newStage = selectedStages[deal.id];
-        const newStatus = getStatusForStage(newStage);
+        const newStatus = getStatusForStage(newStage, stageDefinitions);
 
         // FIX 2025-12-03: Use api.deal for invariant validation
         // api-client calls ensureValidSession() and injects Authorization header
@@ -1,27 +1,369 @@
-import React from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Loader2, RotateCcw, Save, ListChecks } from 'lucide-react';
+import { api } from '../lib/api-client';
+import { useApp } from './AppShell';
+import { usePipelines } from '../hooks/usePipelines';
+import { invalidateStageDefinitions } from '../hooks/useStageDefinitions';
+import { useCustomFields } from '../hooks/useCustomFields';
+import { getPipelineStages } from '../config/pipelineTemplates';
+import { STAGE_DEFINITION_LIMITS } from '../config/stageDefinitions';
+import { REQUIREMENT_FIELDS, CUSTOM_FIELD_PREFIX, STAGE_REQUIREMENT_LIMITS } from '../config/stageRequirements';
+
+const compactInputClass = 'w-full px-2 py-1.5 bg-gray-800/50 border border-gray-700 rounded-lg text-sm text-white placeholder-gray-500 focus:ring-2 focus:ring-teal-500 focus:border-transparent transition disabled:opacity-60';
+
+const OUTCOME_LABELS = { won: 'Won', lost: 'Lost', none: 'Not terminal' };
+
+// Stored row (snake_case, probability 0-1) → form fields (strings, probability %)
+const toDraft = (row) => ({
+  label: row?.label ?? '',
+  color: row?.color ?? '',
+  winProbability: row?.win_probability === null || row?.win_probability === undefined
+    ? ''
+    : String(Math.round(row.win_probability * 100)),
+  stagnationDays: row?.stagnation_days ? String(row.stagnation_days) : '',
+  followupGapDays: row?.followup_gap_days ? String(row.followup_gap_days) : '',
+  outcome: row?.outcome ?? '',
+  // Requirements kept as strings so drafts compare by value
+  requiredFields: (row?.required_fields || []).join(','),
+  checklist: (row?.checklist || []).map(item => item.label).join('\n')
+});
+
+// Checklist textarea → items; unchanged labels keep their id so ticked items survive edits
+const toChecklistInput = (text, storedItems = []) => text
+  .split('\n')
+  .map(line => line.trim())
+  .filter(Boolean)
+  .map(label => storedItems.find(item => item.label === label) || label);
+
+const isSameDraft = (a, b) => Object.keys(a).every(key => a[key] === b[key]);
 
 /**
- * PipelineCustomizer Component
- *
- * Placeholder for future pipeline customization feature
+ * Settings editor for per-org stage definitions (Settings → Pipeline).
+ * Blank fields fall back to the built-in default, shown as the placeholder.
+ * Read-only for members without pipeline edit rights.
  */
+export const PipelineCustomizer = ({ organizationId, fallbackTemplate, canEdit }) => {
+  const { addNotification } = useApp();
+  const { pipelines, activePipeline } = usePipelines(organizationId, fallbackTemplate);
+  const { fields: customFieldDefs } = useCustomFields(organizationId);
+  const [expandedStage, setExpandedStage] = useState(null);
+  const [pipelineId, setPipelineId] = useState(null);
+  const [state, setState] = useState({ rows: [], defaults: {}, loading: true, error: null });
+  const [drafts, setDrafts] = useState({});
+  const [version, setVersion] = useState(0);
+  const [savingStage, setSavingStage] = useState(null);
+
+  const pipeline = pipelines.find(p => p.id && p.id === pipelineId) || activePipeline;
+  const stages = useMemo(() => getPipelineStages(pipeline), [pipeline]);
+  const stageIds = stages.map(stage => stage.id).join(',');
+
+  useEffect(() => {
+    if (!organizationId) return;
+
+    let cancelled = false;
+    setState(prev => ({ ...prev, loading: true, error: null }));
+
+    api.get(`stage-definitions?organizationId=${encodeURIComponent(organizationId)}&stageIds=${encodeURIComponent(stageIds)}`)
+      .then(({ data }) => {
+        if (cancelled) return;
+        if (!data?.success) throw new Error(data?.error || 'Failed to load stage definitions');
+        setState({ rows: data.definitions || [], defaults: data.defaults || {}, loading: false, error: null });
+        setDrafts({});
+      })
+      .catch((err) => {
+        console.error('[PipelineCustomizer] Failed to load stage definitions:', err);
+        if (!cancelled) setState(prev => ({ ...prev, loading: false, error: err.message || 'Failed to load stage definitions' }));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [organizationId, stageIds, version]);
+
+  const rowsByStage = useMemo(
+    () => new Map(state.rows.map(row => [row.stage_id, row])),
+    [state.rows]
+  );
+
+  const getDraft = (stageId) => drafts[stageId] || toDraft(rowsByStage.get(stageId));
+
+  const updateDraft = (stageId, field, value) => {
+    setDrafts(prev => ({ ...prev, [stageId]: { ...getDraft(stageId), [field]: value } }));
+  };
 
-export const PipelineCustomizer = ({ organizationId }) => {
-  // DISABLED FOR V1 - Pipeline customization coming in future release
-  /* const { 
-    stages, 
-    loading, 
-    industry, 
-    template,
-    updateCustomStages, 
-    resetToTemplate 
-  } = usePipelineStages(organizationId); */
+  const runAction = async (stageId, action, successMessage) => {
+    setSavingStage(stageId);
+    try {
+      await action();
+      invalidateStageDefinitions(organizationId);
+      setVersion(v => v + 1);
+      if (successMessage) addNotification(successMessage, 'success');
+    } catch (err) {
+      console.error('[PipelineCustomizer] Action failed:', err);
+      addNotification(err.message || 'Something went wrong', 'error');
+    } finally {
+      setSavingStage(null);
+    }
+  };
+
+  const expectSuccess = (result, fallback) => {
+    if (!result?.success) throw new Error(result?.error || fallback);
+    return result;
+  };
+
+  const handleSave = (stage) => {
+    const draft = getDraft(stage.id);
+    runAction(stage.id, async () => {
+      const { data: result } = await api.put('stage-definitions', {
+        organizationId,
+        stageId: stage.id,
+        label: draft.label.trim() || null,
+        color: draft.color || null,
+        winProbability: draft.winProbability === '' ? null : Number(draft.winProbability) / 100,
+        stagnationDays: draft.stagnationDays === '' ? null : Number(draft.stagnationDays),
+        followupGapDays: draft.followupGapDays === '' ? null : Number(draft.followupGapDays),
+        outcome: draft.outcome || null,
+        requiredFields: draft.requiredFields ? draft.requiredFields.split(',') : [],
+        checklist: toChecklistInput(draft.checklist, rowsByStage.get(stage.id)?.checklist)
+      });
+      expectSuccess(result, 'Failed to save stage');
+    }, `Saved "${draft.label.trim() || stage.name}"`);
+  };
+
+  const handleReset = (stage) => runAction(stage.id, async () => {
+    const { data: result } = await api.delete(
+      `stage-definitions?organizationId=${encodeURIComponent(organizationId)}&stageId=${encodeURIComponent(stage.id)}`
+    );
+    expectSuccess(result, 'Failed to reset stage');
+  }, `Reset "${stage.name}" to defaults`);
+
+  if (state.loading && state.rows.length === 0 && Object.keys(state.defaults).length === 0) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader2 className="w-6 h-6 animate-spin text-teal-400" />
+      </div>
+    );
+  }
+
+  if (state.error) {
+    return <p className="text-sm text-red-400 text-center py-6">{state.error}</p>;
+  }
+
+  const savedPipelines = pipelines.filter(p => p.id);
+
+  const requirementOptions = [
+    ...Object.entries(REQUIREMENT_FIELDS).map(([key, field]) => ({ key, label: field.label })),
+    ...customFieldDefs.map(field => ({ key: `${CUSTOM_FIELD_PREFIX}${field.key}`, label: field.label }))
+  ];
+
+  const toggleRequiredField = (stageId, key) => {
+    const current = getDraft(stageId).requiredFields.split(',').filter(Boolean);
+    const next = current.includes(key) ? current.filter(k => k !== key) : [...current, key];
+    updateDraft(stageId, 'requiredFields', next.join(','));
+  };
 
   return (
-    <div className="p-8 text-center">
-      <p className="text-[#6B7280] dark:text-[#9CA3AF]">
-        Pipeline customization coming soon!
-      </p>
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <p className="text-sm text-gray-300">
+          Tune how each stage behaves in forecasts, stagnation alerts and follow-up health. Leave a field blank to use the default.
+          Entry requirements block moves into a stage until the deal has them.
+        </p>
+        {savedPipelines.length > 1 && (
+          <select
+            value={pipeline?.id || ''}
+            onChange={(e) => setPipelineId(e.target.value)}
+            className="px-2 py-1 bg-gray-800/50 border border-gray-700 rounded-lg text-xs text-gray-300"
+            aria-label="Pipeline"
+          >
+            {savedPipelines.map(p => (
+              <option key={p.id} value={p.id}>{p.name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      <div className="hidden lg:grid grid-cols-[auto_2fr_1fr_1fr_1fr_1fr_auto] gap-2 px-3 text-[11px] uppercase tracking-wide text-gray-500">
+        <span className="w-8">Color</span>
+        <span>Label</span>
+        <span>Outcome</span>
+        <span>Win %</span>
+        <span>Stale after (days)</span>
+        <span>Follow up every (days)</span>
+        <span className="w-20" />
+      </div>
+
+      <ul className="space-y-2">
+        {stages.map(stage => {
+          const draft = getDraft(stage.id);
+          const defaults = state.defaults[stage.id] || {};
+          const stored = rowsByStage.get(stage.id);
+          const dirty = !isSameDraft(draft, toDraft(stored));
+          const saving = savingStage === stage.id;
+          const disabled = !canEdit || saving;
+          const expanded = expandedStage === stage.id;
+          const requiredKeys = draft.requiredFields.split(',').filter(Boolean);
+          const requirementCount = requiredKeys.length + draft.checklist.split('\n').filter(line => line.trim()).length;
+
+          return (
+            <li
+              key={stage.id}
+              className="p-3 bg-gray-800/30 border border-gray-700/60 rounded-xl"
+            >
+              <div className="grid grid-cols-2 lg:grid-cols-[auto_2fr_1fr_1fr_1fr_1fr_auto] gap-2 items-center">
+                <input
+                  type="color"
+                  value={draft.color || stage.color || '#64748b'}
+                  onChange={(e) => updateDraft(stage.id, 'color', e.target.value)}
+                  disabled={disabled}
+                  className="w-8 h-8 rounded bg-transparent border border-gray-700 cursor-pointer disabled:cursor-default"
+                  aria-label={`Color for ${stage.name}`}
+                />
+                <input
+                  type="text"
+                  value={draft.label}
+                  onChange={(e) => updateDraft(stage.id, 'label', e.target.value)}
+                  disabled={disabled}
+                  placeholder={stage.name}
+                  maxLength={STAGE_DEFINITION_LIMITS.MAX_LABEL_LENGTH}
+                  className={compactInputClass}
+                  aria-label={`Label for ${stage.name}`}
+                />
+                <select
+                  value={draft.outcome}
+                  onChange={(e) => updateDraft(stage.id, 'outcome', e.target.value)}
+                  disabled={disabled}
+                  className={compactInputClass}
+                  aria-label={`Outcome for ${stage.name}`}
+                >
+                  <option value="">Default ({OUTCOME_LABELS[defaults.outcome] || OUTCOME_LABELS.none})</option>
+                  {Object.entries(OUTCOME_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  value={draft.winProbability}
+                  onChange={(e) => updateDraft(stage.id, 'winProbability', e.target.value)}
+                  disabled={disabled}
+                  placeholder={defaults.win_probability !== undefined ? String(Math.round(defaults.win_probability * 100)) : ''}
+                  className={compactInputClass}
+                  aria-label={`Win probability for ${stage.name}`}
+                />
+                <input
+                  type="number"
+                  min="1"
+                  max={STAGE_DEFINITION_LIMITS.MAX_DAYS}
+                  value={draft.stagnationDays}
+                  onChange={(e) => updateDraft(stage.id, 'stagnationDays', e.target.value)}
+                  disabled={disabled}
+                  placeholder={defaults.stagnation_days ? String(defaults.stagnation_days) : ''}
+                  className={compactInputClass}
+                  aria-label={`Stagnation days for ${stage.name}`}
+                />
+                <input
+                  type="number"
+                  min="1"
+                  max={STAGE_DEFINITION_LIMITS.MAX_DAYS}
+                  value={draft.followupGapDays}
+                  onChange={(e) => updateDraft(stage.id, 'followupGapDays', e.target.value)}
+                  disabled={disabled}
+                  placeholder={defaults.followup_gap_days ? String(defaults.followup_gap_days) : ''}
+                  className={compactInputClass}
+                  aria-label={`Follow-up gap for ${stage.name}`}
+                />
+                <div className="flex items-center gap-1 w-20 justify-end">
+                  <button
+                    type="button"
+                    onClick={() => setExpandedStage(expanded ? null : stage.id)}
+                    className={`relative p-1 transition ${expanded ? 'text-teal-300' : 'text-gray-500 hover:text-white'}`}
+                    aria-expanded={expanded}
+                    aria-label={`Entry requirements for ${stage.name}`}
+                  >
+                    <ListChecks className="w-4 h-4" />
+                    {requirementCount > 0 && (
+                      <span className="absolute -top-1 -right-1 min-w-[14px] h-[14px] px-0.5 rounded-full bg-teal-500 text-[9px] leading-[14px] text-white text-center">
+                        {requirementCount}
+                      </span>
+                    )}
+                  </button>
+                  {canEdit && (
+                    <>
+                      <button
+                        type="button"
+                        onClick={() => handleSave(stage)}
+                        disabled={saving || !dirty}
+                        className="p-1 text-teal-400 hover:text-teal-300 transition disabled:opacity-30"
+                        aria-label={`Save ${stage.name}`}
+                      >
+                        {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                      </button>
+                      {stored && (
+                        <button
+                          type="button"
+                          onClick={() => handleReset(stage)}
+                          disabled={saving}
+                          className="p-1 text-gray-500 hover:text-white transition"
+                          aria-label={`Reset ${stage.name} to defaults`}
+                        >
+                          <RotateCcw className="w-4 h-4" />
+                        </button>
+                      )}
+                    </>
+                  )}
+                </div>
+              </div>
+
+              {expanded && (
+                <div className="mt-3 pt-3 border-t border-gray-700/60 grid gap-3 lg:grid-cols-2">
+                  <div>
+                    <p className="text-[11px] uppercase tracking-wide text-gray-500 mb-2">Required to enter</p>
+                    <div className="flex flex-wrap gap-2">
+                      {requirementOptions.map(option => {
+                        const active = requiredKeys.includes(option.key);
+                        return (
+                          <button
+                            key={option.key}
+                            type="button"
+                            onClick={() => toggleRequiredField(stage.id, option.key)}
+                            disabled={disabled || (!active && requiredKeys.length >= STAGE_REQUIREMENT_LIMITS.MAX_REQUIRED_FIELDS)}
+                            aria-pressed={active}
+                            className={`px-3 py-1.5 rounded-lg text-xs font-medium border transition disabled:opacity-60 ${
+                              active
+                                ? 'bg-teal-500/20 border-teal-500/60 text-teal-300'
+                                : 'bg-gray-800/50 border-gray-700 text-gray-400 hover:text-white'
+                            }`}
+                          >
+                            {option.label}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  </div>
+                  <div>
+                    <label htmlFor={`stage-checklist-${stage.id}`} className="block text-[11px] uppercase tracking-wide text-gray-500 mb-2">
+                      Checklist (one item per line)
+                    </label>
+                    <textarea
+                      id={`stage-checklist-${stage.id}`}
+                      value={draft.checklist}
+                      onChange={(e) => updateDraft(stage.id, 'checklist', e.target.value)}
+                      disabled={disabled}
+                      rows={3}
+                      placeholder="Budget confirmed"
+                      className={`${compactInputClass} resize-none`}
+                    />
+                  </div>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
     </div>
   );
 };
+
+export default PipelineCustomizer;
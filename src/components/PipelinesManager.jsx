@@ -0,0 +1,263 @@
+import React, { useState } from 'react';
+import { Loader2, Plus, Trash2, Star, Pencil, Check, X } from 'lucide-react';
+import { api } from '../lib/api-client';
+import { useApp } from './AppShell';
+import { usePipelines } from '../hooks/usePipelines';
+import { PIPELINE_TEMPLATES } from '../config/pipelineTemplates';
+import { PIPELINE_LIMITS } from '../config/orgPipelines';
+
+const compactInputClass = 'w-full px-3 py-2 bg-gray-800/50 border border-gray-700 rounded-lg text-sm text-white placeholder-gray-500 focus:ring-2 focus:ring-teal-500 focus:border-transparent transition';
+
+const CUSTOM_SOURCE = 'custom';
+const EMPTY_DRAFT = { name: '', source: 'default', stages: '' };
+
+const describeStages = (pipeline) => (
+  pipeline.template_id
+    ? `${PIPELINE_TEMPLATES[pipeline.template_id]?.name || pipeline.template_id} template`
+    : `${pipeline.stages?.length || 0} custom stages`
+);
+
+/**
+ * Settings editor for the org's pipelines (Settings → Pipeline).
+ * Read-only for members without pipeline edit rights.
+ */
+export const PipelinesManager = ({ organizationId, fallbackTemplate, canEdit }) => {
+  const { addNotification } = useApp();
+  const { pipelines, loading, error, refresh } = usePipelines(organizationId, fallbackTemplate);
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [editing, setEditing] = useState(null); // { id, name }
+  const [busy, setBusy] = useState(false);
+
+  // The synthetic fallback pipeline (id null) isn't editable
+  const savedPipelines = pipelines.filter(pipeline => pipeline.id);
+  const atLimit = savedPipelines.length >= PIPELINE_LIMITS.MAX_PIPELINES;
+
+  const runAction = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      await action();
+      refresh();
+      if (successMessage) addNotification(successMessage, 'success');
+    } catch (err) {
+      console.error('[PipelinesManager] Action failed:', err);
+      addNotification(err.message || 'Something went wrong', 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const expectSuccess = (result, fallback) => {
+    if (!result?.success) throw new Error(result?.error || fallback);
+    return result;
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    const name = draft.name.trim();
+    runAction(async () => {
+      const payload = draft.source === CUSTOM_SOURCE
+        ? { stages: draft.stages.split(',').map(stage => ({ name: stage.trim() })).filter(stage => stage.name) }
+        : { templateId: draft.source };
+      const { data: result } = await api.post('pipelines', { organizationId, name, ...payload });
+      expectSuccess(result, 'Failed to create pipeline');
+      setDraft(EMPTY_DRAFT);
+    }, `Added "${name}"`);
+  };
+
+  const handleRename = (pipeline) => {
+    const name = editing?.name.trim();
+    if (!name || name === pipeline.name) {
+      setEditing(null);
+      return;
+    }
+    runAction(async () => {
+      const { data: result } = await api.put('pipelines', { organizationId, id: pipeline.id, name });
+      expectSuccess(result, 'Failed to rename pipeline');
+      setEditing(null);
+    });
+  };
+
+  const handleMakeDefault = (pipeline) => runAction(async () => {
+    const { data: result } = await api.put('pipelines', { organizationId, id: pipeline.id, isDefault: true });
+    expectSuccess(result, 'Failed to update default pipeline');
+  }, `"${pipeline.name}" is now the default pipeline`);
+
+  // Template switches remap this pipeline's deals only (migrate-pipeline)
+  const handleSwitchTemplate = (pipeline, templateId) => {
+    if (templateId === pipeline.template_id) return;
+    const templateName = PIPELINE_TEMPLATES[templateId]?.name || templateId;
+    if (!window.confirm(`Switch "${pipeline.name}" to ${templateName}? Deals in this pipeline move to the closest matching stage.`)) return;
+    runAction(async () => {
+      const { data: result } = await api.post('migrate-pipeline', {
+        organization_id: organizationId,
+        template_id: templateId,
+        pipeline_id: pipeline.id
+      });
+      expectSuccess(result, 'Failed to switch template');
+    }, `"${pipeline.name}" now uses ${templateName}`);
+  };
+
+  const handleDelete = (pipeline) => {
+    if (!window.confirm(`Delete "${pipeline.name}"? Its deals move to the default pipeline.`)) return;
+    runAction(async () => {
+      const { data: result } = await api.delete(
+        `pipelines?organizationId=${encodeURIComponent(organizationId)}&id=${encodeURIComponent(pipeline.id)}`
+      );
+      expectSuccess(result, 'Failed to delete pipeline');
+    }, `Deleted "${pipeline.name}"`);
+  };
+
+  if (loading && savedPipelines.length === 0) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader2 className="w-6 h-6 animate-spin text-teal-400" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-400 text-center py-6">{error}</p>;
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-gray-300">
+        Run separate pipelines for different motions (e.g. new business and renewals). Every deal belongs to one pipeline.
+      </p>
+
+      <ul className="space-y-2">
+        {savedPipelines.map(pipeline => (
+          <li key={pipeline.id} className="flex items-center justify-between gap-3 p-3 bg-gray-800/30 border border-gray-700/60 rounded-xl">
+            <div className="min-w-0 flex-1">
+              {editing?.id === pipeline.id ? (
+                <div className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={editing.name}
+                    onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                    onKeyDown={(e) => e.key === 'Enter' && handleRename(pipeline)}
+                    className={compactInputClass}
+                    maxLength={PIPELINE_LIMITS.MAX_NAME_LENGTH}
+                    aria-label="Pipeline name"
+                    autoFocus
+                  />
+                  <button type="button" onClick={() => handleRename(pipeline)} disabled={busy} className="p-1 text-teal-400 hover:text-teal-300" aria-label="Save name">
+                    <Check className="w-4 h-4" />
+                  </button>
+                  <button type="button" onClick={() => setEditing(null)} className="p-1 text-gray-500 hover:text-white" aria-label="Cancel">
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              ) : (
+                <div className="flex items-center gap-2">
+                  <span className="text-white truncate">{pipeline.name}</span>
+                  {pipeline.is_default && (
+                    <span className="px-2 py-0.5 text-[10px] font-medium rounded-full bg-teal-500/20 text-teal-300">Default</span>
+                  )}
+                </div>
+              )}
+              <p className="text-xs text-gray-500 truncate">{describeStages(pipeline)}</p>
+            </div>
+            {canEdit && editing?.id !== pipeline.id && (
+              <div className="flex items-center gap-2 flex-shrink-0">
+                {pipeline.template_id && (
+                  <select
+                    value={pipeline.template_id}
+                    onChange={(e) => handleSwitchTemplate(pipeline, e.target.value)}
+                    disabled={busy}
+                    className="px-2 py-1 bg-gray-800/50 border border-gray-700 rounded-lg text-xs text-gray-300"
+                    aria-label={`Template for ${pipeline.name}`}
+                  >
+                    {Object.values(PIPELINE_TEMPLATES).map(template => (
+                      <option key={template.id} value={template.id}>{template.name}</option>
+                    ))}
+                  </select>
+                )}
+                <button
+                  type="button"
+                  onClick={() => setEditing({ id: pipeline.id, name: pipeline.name })}
+                  disabled={busy}
+                  className="p-1 text-gray-500 hover:text-white transition"
+                  aria-label={`Rename ${pipeline.name}`}
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                {!pipeline.is_default && (
+                  <>
+                    <button
+                      type="button"
+                      onClick={() => handleMakeDefault(pipeline)}
+                      disabled={busy}
+                      className="p-1 text-gray-500 hover:text-amber-400 transition"
+                      aria-label={`Make ${pipeline.name} the default pipeline`}
+                    >
+                      <Star className="w-4 h-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleDelete(pipeline)}
+                      disabled={busy}
+                      className="p-1 text-gray-500 hover:text-red-400 transition"
+                      aria-label={`Delete ${pipeline.name}`}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </>
+                )}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canEdit && !atLimit && (
+        <form onSubmit={handleCreate} className="grid grid-cols-1 sm:grid-cols-[2fr_1fr_auto] gap-2 items-center pt-2 border-t border-gray-800">
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            className={compactInputClass}
+            placeholder="Pipeline name (e.g. Renewals)"
+            maxLength={PIPELINE_LIMITS.MAX_NAME_LENGTH}
+            aria-label="Pipeline name"
+          />
+          <select
+            value={draft.source}
+            onChange={(e) => setDraft({ ...draft, source: e.target.value })}
+            className={compactInputClass}
+            aria-label="Pipeline stages"
+          >
+            {Object.values(PIPELINE_TEMPLATES).map(template => (
+              <option key={template.id} value={template.id}>{template.name}</option>
+            ))}
+            <option value={CUSTOM_SOURCE}>Custom stages…</option>
+          </select>
+          <button
+            type="submit"
+            disabled={busy || !draft.name.trim() || (draft.source === CUSTOM_SOURCE && !draft.stages.trim())}
+            className="flex items-center justify-center gap-1 px-3 py-2 bg-teal-500 hover:bg-teal-600 text-white text-sm rounded-lg transition disabled:opacity-50"
+          >
+            {busy ? <Loader2 className="w-4 h-4 animate-spin" /> : <Plus className="w-4 h-4" />}
+            Add
+          </button>
+          {draft.source === CUSTOM_SOURCE && (
+            <input
+              type="text"
+              value={draft.stages}
+              onChange={(e) => setDraft({ ...draft, stages: e.target.value })}
+              className={`${compactInputClass} sm:col-span-3`}
+              placeholder="Stages, comma separated (e.g. Up for Renewal, Quote Sent, Renewed, Churned)"
+              aria-label="Custom stages"
+            />
+          )}
+        </form>
+      )}
+
+      {canEdit && atLimit && (
+        <p className="text-xs text-gray-500">Organizations can have up to {PIPELINE_LIMITS.MAX_PIPELINES} pipelines.</p>
+      )}
+    </div>
+  );
+};
+
+export default PipelinesManager;
@@ -3,7 +3,7 @@ import {
   ArrowLeft, Crown, Users, Database, Lock, Bell,
   Shield, LogOut, Sparkles, TrendingUp, Zap, Loader2, Bot, CreditCard,
   CheckCircle, CheckCircle2, XCircle, AlertCircle, ExternalLink, GitBranch,
-  RefreshCw, Wrench, EyeOff
+  RefreshCw, Wrench, EyeOff, ListPlus, SlidersHorizontal, Route, Server
 } from 'lucide-react';
 import { useApp } from './AppShell';
 import { supabase, VIEWS } from '../lib/supabase';
@@ -19,6 +19,10 @@ const GeneralSettings = lazy(() => import('./GeneralSettings').then(module => ({
 const NotificationSettings = lazy(() => import('./NotificationSettings').then(module => ({ default: module.NotificationSettings })));
 import { RevenueTargets } from './RevenueTargets';
 import { HiddenStages } from './HiddenStages';
+import { CustomFieldsManager } from './CustomFields';
+import { AssignmentRulesManager } from './AssignmentRules';
+import { PipelinesManager } from './PipelinesManager';
+import { PipelineCustomizer } from './PipelineCustomizer';
 // FIX PHASE 10: Import centralized plan limits
 import { getPlanLimits } from '../config/planLimits';
 import { getPipelineHealth, recoverOrphanedDeals } from '../utils/dealRecovery';
@@ -45,11 +49,14 @@ const GeminiLogo = () => (
   </svg>
 );
 
+const CustomEndpointLogo = () => <Server className="w-full h-full" />;
+
 // AI Provider configuration mapping
 const PROVIDER_CONFIGS = {
   'openai': { Logo: OpenAILogo, color: '#10A37F', displayName: 'ChatGPT' },
   'anthropic': { Logo: ClaudeLogo, color: '#D97757', displayName: 'Claude' },
-  'google': { Logo: GeminiLogo, color: '#4285F4', displayName: 'Gemini' }
+  'google': { Logo: GeminiLogo, color: '#4285F4', displayName: 'Gemini' },
+  'custom': { Logo: CustomEndpointLogo, color: '#94A3B8', displayName: 'Custom endpoint' }
 };
 
 // CRITICAL FIX: UI components must be defined OUTSIDE Settings to prevent React error #310
@@ -1019,6 +1026,44 @@ export const Settings = () => {
             </SettingCard>
           )}
 
+          {/* Org pipelines (editable by owners/admins) */}
+          <SettingCard>
+            <SectionTitle icon={GitBranch}>Pipelines</SectionTitle>
+            <PipelinesManager
+              organizationId={organization?.id}
+              fallbackTemplate={organization?.pipeline_template}
+              canEdit={['owner', 'admin'].includes(userRole)}
+            />
+          </SettingCard>
+
+          {/* Stage definitions - labels, colors, outcomes, probabilities, thresholds */}
+          <SettingCard>
+            <SectionTitle icon={SlidersHorizontal}>Stage Settings</SectionTitle>
+            <PipelineCustomizer
+              organizationId={organization?.id}
+              fallbackTemplate={organization?.pipeline_template}
+              canEdit={['owner', 'admin'].includes(userRole)}
+            />
+          </SettingCard>
+
+          {/* Deal custom fields (editable by owners/admins) */}
+          <SettingCard>
+            <SectionTitle icon={ListPlus}>Custom Fields</SectionTitle>
+            <CustomFieldsManager
+              organizationId={organization?.id}
+              canEdit={['owner', 'admin'].includes(userRole)}
+            />
+          </SettingCard>
+
+          {/* Deal routing rules (editable by owners/admins) */}
+          <SettingCard>
+            <SectionTitle icon={Route}>Assignment Rules</SectionTitle>
+            <AssignmentRulesManager
+              organizationId={organization?.id}
+              canEdit={['owner', 'admin'].includes(userRole)}
+            />
+          </SettingCard>
+
           {/* Hidden Stages Management */}
           <SettingCard>
             <SectionTitle icon={EyeOff}>Hidden Stages</SectionTitle>
@@ -0,0 +1,238 @@
+import React, { useState, useEffect, memo } from 'react';
+import { X, AlertCircle, Loader2, ListChecks } from 'lucide-react';
+import { useFocusTrap } from '../lib/accessibility';
+import { CUSTOM_FIELD_PREFIX } from '../config/stageRequirements';
+import { CustomFieldInput } from './CustomFields';
+
+const inputClass = 'w-full px-4 py-3 bg-gray-800/50 border border-gray-700 rounded-xl text-white placeholder-gray-500 focus:ring-2 focus:ring-teal-500 focus:border-transparent transition';
+
+const INPUT_TYPES = { currency: 'number', date: 'date', email: 'email', phone: 'tel' };
+
+const isFilled = (value) => (
+  Array.isArray(value) ? value.length > 0 : value !== undefined && value !== null && String(value).trim() !== ''
+);
+
+/**
+ * "Complete these to move" prompt for stage-entry requirements.
+ * Opened by KanbanBoard when a drop (or a STAGE_REQUIREMENTS_UNMET response)
+ * hits a stage whose required fields / checklist the deal hasn't met.
+ *
+ * @param {Object} requirements - { stage, fields: [{ key, label, type, options? }], checklist: [{ id, label }] }
+ * @param {Function} onConfirm - (updates) => Promise; updates hold the filled deal
+ *   fields, custom_fields and the ticked checklist item ids
+ */
+export const StageRequirementsModal = memo(({ isOpen, onClose, onConfirm, dealName, stageName, requirements }) => {
+  const [values, setValues] = useState({});
+  const [checked, setChecked] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const focusTrapRef = useFocusTrap(isOpen);
+
+  // Fresh form for each prompt
+  useEffect(() => {
+    setValues({});
+    setChecked([]);
+    setError('');
+  }, [requirements]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleEscape = (e) => {
+      if (e.key === 'Escape' && !saving) {
+        onClose();
+      }
+    };
+
+    document.addEventListener('keydown', handleEscape);
+    return () => document.removeEventListener('keydown', handleEscape);
+  }, [isOpen, saving, onClose]);
+
+  if (!isOpen || !requirements) return null;
+
+  const fields = requirements.fields || [];
+  const checklist = requirements.checklist || [];
+  const complete = fields.every(field => isFilled(values[field.key]))
+    && checklist.every(item => checked.includes(item.id));
+
+  const setValue = (key, value) => setValues(prev => ({ ...prev, [key]: value }));
+
+  const toggleItem = (itemId) => setChecked(prev => (
+    prev.includes(itemId) ? prev.filter(id => id !== itemId) : [...prev, itemId]
+  ));
+
+  const handleSubmit = async () => {
+    if (!complete) return;
+
+    const updates = {};
+    const customFields = {};
+    fields.forEach(field => {
+      const value = values[field.key];
+      if (field.key.startsWith(CUSTOM_FIELD_PREFIX)) {
+        customFields[field.key.slice(CUSTOM_FIELD_PREFIX.length)] = value;
+      } else {
+        updates[field.key] = field.type === 'currency' ? Number(value) : value;
+      }
+    });
+    if (Object.keys(customFields).length > 0) updates.custom_fields = customFields;
+
+    setSaving(true);
+    setError('');
+
+    try {
+      await onConfirm(updates, checked);
+      onClose();
+    } catch (err) {
+      setError(err.message || 'Failed to move deal');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClose = () => {
+    if (!saving) onClose();
+  };
+
+  return (
+    <div
+      className="modal-backdrop fixed inset-0 bg-black/60 backdrop-blur-xl flex items-center justify-center z-[170] md:p-4"
+      role="presentation"
+    >
+      <div
+        ref={focusTrapRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="stage-requirements-modal-title"
+        className="modal-content bg-gradient-to-br from-gray-900 to-black border border-teal-500/30 rounded-none md:rounded-2xl w-full md:max-w-lg h-full md:h-auto overflow-y-auto overflow-x-hidden p-6 shadow-2xl pb-safe"
+        style={{
+          maxHeight: '100dvh',
+          paddingBottom: 'max(env(safe-area-inset-bottom, 20px), 20px)'
+        }}
+      >
+        <div className="flex items-start justify-between mb-6">
+          <div>
+            <h3 id="stage-requirements-modal-title" className="text-2xl font-bold text-white">
+              Complete these to move
+            </h3>
+            <p className="text-sm text-gray-400 mt-1">
+              {dealName} → {stageName}
+            </p>
+          </div>
+          <button
+            onClick={handleClose}
+            disabled={saving}
+            className="text-gray-400 hover:text-white transition disabled:opacity-50 touch-target rounded-lg"
+            aria-label="Close stage requirements"
+          >
+            <X className="w-5 h-5" aria-hidden="true" />
+          </button>
+        </div>
+
+        {fields.length > 0 && (
+          <div className="space-y-4 mb-6">
+            {fields.map(field => {
+              // CustomFieldInput renders its own id (custom-field-<key>)
+              const id = field.key.startsWith(CUSTOM_FIELD_PREFIX)
+                ? `custom-field-${field.key.slice(CUSTOM_FIELD_PREFIX.length)}`
+                : `stage-requirement-${field.key}`;
+              return (
+                <div key={field.key}>
+                  <label htmlFor={id} className="block text-sm font-medium text-white mb-2">
+                    {field.label}
+                  </label>
+                  {field.key.startsWith(CUSTOM_FIELD_PREFIX) ? (
+                    <CustomFieldInput
+                      field={{ ...field, key: field.key.slice(CUSTOM_FIELD_PREFIX.length), options: field.options || [] }}
+                      value={values[field.key]}
+                      onChange={(value) => setValue(field.key, value)}
+                    />
+                  ) : field.type === 'textarea' ? (
+                    <textarea
+                      id={id}
+                      value={values[field.key] ?? ''}
+                      onChange={(e) => setValue(field.key, e.target.value)}
+                      rows={3}
+                      maxLength={5000}
+                      className={`${inputClass} resize-none`}
+                    />
+                  ) : (
+                    <input
+                      id={id}
+                      type={INPUT_TYPES[field.type] || 'text'}
+                      min={field.type === 'currency' ? '0' : undefined}
+                      step={field.type === 'currency' ? '0.01' : undefined}
+                      value={values[field.key] ?? ''}
+                      onChange={(e) => setValue(field.key, e.target.value)}
+                      className={inputClass}
+                    />
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+
+        {checklist.length > 0 && (
+          <fieldset className="space-y-2 mb-6">
+            <legend className="flex items-center gap-2 text-sm font-medium text-white mb-2">
+              <ListChecks className="w-4 h-4 text-teal-400" aria-hidden="true" />
+              Checklist
+            </legend>
+            {checklist.map(item => (
+              <label
+                key={item.id}
+                className="flex items-center gap-3 p-3 min-h-touch rounded-xl border border-gray-700 bg-gray-800/30 text-sm text-white cursor-pointer hover:border-teal-500/30 transition"
+              >
+                <input
+                  type="checkbox"
+                  checked={checked.includes(item.id)}
+                  onChange={() => toggleItem(item.id)}
+                  className="w-4 h-4 accent-teal-500"
+                />
+                {item.label}
+              </label>
+            ))}
+          </fieldset>
+        )}
+
+        {error && (
+          <div
+            role="alert"
+            className="mb-4 p-3 bg-red-500/10 border border-red-500/30 rounded-xl flex items-start gap-2"
+          >
+            <AlertCircle className="w-4 h-4 text-red-400 mt-0.5 flex-shrink-0" />
+            <p className="text-sm text-red-400">{error}</p>
+          </div>
+        )}
+
+        <div className="flex gap-3">
+          <button
+            onClick={handleClose}
+            disabled={saving}
+            className="flex-1 px-4 py-3 min-h-touch border border-gray-700 text-gray-400 hover:text-white rounded-xl hover:bg-gray-800/50 transition disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={saving || !complete}
+            title={!complete ? 'Complete every item first' : `Move ${dealName} to ${stageName}`}
+            className="flex-1 bg-teal-500 hover:bg-teal-600 text-white px-4 py-3 min-h-touch rounded-xl font-semibold transition disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2 shadow-lg shadow-teal-500/20"
+          >
+            {saving ? (
+              <>
+                <Loader2 className="w-4 h-4 animate-spin" />
+                Moving...
+              </>
+            ) : (
+              `Move to ${stageName}`
+            )}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+StageRequirementsModal.displayName = 'StageRequirementsModal';
@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { Users, Loader2, AlertCircle, X } from 'lucide-react';
+import { useApp } from './AppShell';
+import { api } from '../lib/api-client';
+import { INVITE_TOKEN_PARAM } from '../config/teamInvitations';
+
+/**
+ * Invitation accept/decline prompt
+ *
+ * Opened by the link in a team invitation email (/?invite=<token>). The
+ * token is kept in localStorage until answered so it survives sign-up, email
+ * verification in another tab, and OAuth redirects. Once signed in, the
+ * invitee sees the organization and role and can accept (switching to that
+ * workspace and leaving their empty starter one), decline, or decide later.
+ */
+
+const PENDING_INVITE_KEY = 'stageflow_pending_invite';
+
+// Move ?invite=<token> from the URL into storage so it isn't left in history
+const takeInviteTokenFromUrl = () => {
+  try {
+    const url = new URL(window.location.href);
+    const token = url.searchParams.get(INVITE_TOKEN_PARAM);
+    if (token) {
+      localStorage.setItem(PENDING_INVITE_KEY, token);
+      url.searchParams.delete(INVITE_TOKEN_PARAM);
+      window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+    }
+    return localStorage.getItem(PENDING_INVITE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+const forgetInviteToken = () => {
+  try {
+    localStorage.removeItem(PENDING_INVITE_KEY);
+  } catch {
+    // Storage unavailable (private mode) - nothing to clear
+  }
+};
+
+export const TeamInvitationPrompt = () => {
+  const { user, organization, addNotification } = useApp();
+  const [token, setToken] = useState(() => takeInviteTokenFromUrl());
+  const [invitation, setInvitation] = useState(null);
+  const [error, setError] = useState(null);
+  const [pendingAction, setPendingAction] = useState(null);
+  const [dismissed, setDismissed] = useState(false);
+
+  useEffect(() => {
+    // Wait for the workspace to load so the prompt doesn't race the app shell
+    if (!token || !user || !organization) return;
+
+    let cancelled = false;
+    api.get(`team-invitation-respond?token=${encodeURIComponent(token)}`)
+      .then(({ data }) => {
+        if (!cancelled) setInvitation(data.invitation);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        setError(err.userMessage || err.message || 'This invitation could not be loaded');
+        if (err.status === 404) forgetInviteToken();
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token, user, organization]);
+
+  if (!token || !user || dismissed || (!invitation && !error)) return null;
+
+  const close = (forget) => {
+    if (forget) {
+      forgetInviteToken();
+      setToken(null);
+    }
+    setDismissed(true);
+  };
+
+  const respond = async (action) => {
+    setPendingAction(action);
+    try {
+      await api.post('team-invitation-respond', { token, action }, { maxRetries: 0 });
+      forgetInviteToken();
+
+      if (action === 'decline') {
+        addNotification('Invitation declined');
+        close(true);
+        return;
+      }
+
+      // Drop the cached workspace so the app reloads into the organization just joined
+      try {
+        localStorage.removeItem(`stageflow_org_${user.id}`);
+        sessionStorage.removeItem(`stageflow_org_session_${user.id}`);
+      } catch {
+        // Cache is best-effort
+      }
+      window.location.assign('/');
+    } catch (err) {
+      addNotification(err.userMessage || err.message || `Failed to ${action} invitation`, 'error');
+      setPendingAction(null);
+    }
+  };
+
+  const isOpen = invitation?.status === 'pending';
+
+  return (
+    <div className="fixed inset-0 bg-black/95 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-gradient-to-br from-gray-900 to-black border border-teal-500/30 rounded-2xl p-6 sm:p-8 max-w-md w-full shadow-2xl">
+        <div className="flex items-start justify-between mb-4">
+          <div className="w-12 h-12 rounded-xl bg-[#1ABC9C]/10 flex items-center justify-center">
+            <Users className="w-6 h-6 text-[#1ABC9C]" />
+          </div>
+          <button
+            onClick={() => close(Boolean(invitation) && !isOpen)}
+            className="p-2 text-gray-400 hover:text-white rounded-lg transition"
+            aria-label="Close"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        {error ? (
+          <>
+            <h2 className="text-xl font-bold text-white mb-2">Invitation unavailable</h2>
+            <p className="text-sm text-gray-400">{error}</p>
+          </>
+        ) : isOpen ? (
+          <>
+            <h2 className="text-xl font-bold text-white mb-2">Join {invitation.organizationName}</h2>
+            <p className="text-sm text-gray-400 mb-1">
+              You've been invited as <strong className="text-white">{invitation.roleName}</strong>.
+            </p>
+            <p className="text-xs text-gray-500 mb-6">
+              Expires {new Date(invitation.expiresAt).toLocaleDateString()}. Accepting moves you out of your
+              current workspace, which must not have other members or deals yet.
+            </p>
+
+            {!invitation.emailMatches && (
+              <div className="flex items-start gap-2 p-3 mb-6 rounded-lg bg-amber-500/10 border border-amber-500/30 text-sm text-amber-300">
+                <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                <span>
+                  This invitation was sent to <strong>{invitation.email}</strong>. Sign in with that address to accept it.
+                </span>
+              </div>
+            )}
+
+            <div className="flex flex-col sm:flex-row gap-3">
+              <button
+                onClick={() => respond('accept')}
+                disabled={!invitation.emailMatches || Boolean(pendingAction)}
+                className="flex-1 flex items-center justify-center gap-2 px-4 py-2.5 bg-[#1ABC9C] hover:bg-[#16A085] text-white rounded-lg font-medium transition disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {pendingAction === 'accept' && <Loader2 className="w-4 h-4 animate-spin" />}
+                Accept
+              </button>
+              <button
+                onClick={() => respond('decline')}
+                disabled={Boolean(pendingAction)}
+                className="flex-1 flex items-center justify-center gap-2 px-4 py-2.5 border border-gray-700 text-gray-300 hover:bg-gray-800 rounded-lg font-medium transition disabled:opacity-50"
+              >
+                {pendingAction === 'decline' && <Loader2 className="w-4 h-4 animate-spin" />}
+                Decline
+              </button>
+            </div>
+            <button
+              onClick={() => close(false)}
+              className="w-full mt-3 text-sm text-gray-500 hover:text-gray-300 transition"
+            >
+              Decide later
+            </button>
+          </>
+        ) : (
+          <>
+            <h2 className="text-xl font-bold text-white mb-2">Invitation {invitation.status}</h2>
+            <p className="text-sm text-gray-400">
+              {invitation.status === 'expired'
+                ? `Your invitation to ${invitation.organizationName} has expired. Ask the person who invited you to resend it.`
+                : `Your invitation to ${invitation.organizationName} is no longer open.`}
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TeamInvitationPrompt;
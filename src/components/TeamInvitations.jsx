@@ -0,0 +1,247 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, Mail, RefreshCw, X, Copy, UserPlus } from 'lucide-react';
+import { useApp } from './AppShell';
+import { api } from '../lib/api-client';
+import { validateInvitation } from '../config/teamInvitations';
+
+/**
+ * Team invitations (Settings → General)
+ *
+ * Invite form plus the pending-invites list for owners and admins. Roles
+ * offered come from the server (rbac.ts ROLES the inviter may grant), and
+ * the seat line counts members plus pending invitations against the plan.
+ * When an email can't be delivered, the invite link is shown for copying.
+ */
+
+const inputClass = 'w-full px-3 py-2 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-[#1A1A1A] dark:text-[#E0E0E0] placeholder-gray-400 dark:placeholder-gray-500 focus:ring-2 focus:ring-[#1ABC9C] focus:border-transparent transition';
+
+const formatDate = (iso) => iso ? new Date(iso).toLocaleDateString() : '—';
+
+const formatSeats = ({ members, pending, limit }) => {
+  const unlimited = limit === -1 || limit >= 999999;
+  return `${members} ${members === 1 ? 'member' : 'members'} · ${pending} pending · ${unlimited ? 'unlimited seats' : `${limit} ${limit === 1 ? 'seat' : 'seats'}`}`;
+};
+
+export const TeamInvitations = () => {
+  const { organization, addNotification } = useApp();
+  const [invitations, setInvitations] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [seats, setSeats] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState({ email: '', role: 'member' });
+  const [pendingAction, setPendingAction] = useState(null); // 'create' | `${action}:${id}`
+  const [manualLink, setManualLink] = useState(null);
+
+  const loadInvitations = useCallback(async () => {
+    if (!organization?.id) {
+      setLoading(false);
+      return;
+    }
+    try {
+      const { data } = await api.get(`team-invitations?organizationId=${encodeURIComponent(organization.id)}`);
+      setInvitations(data.invitations || []);
+      setRoles(data.roles || []);
+      setSeats(data.seats || null);
+    } catch (error) {
+      console.error('Error loading invitations:', error);
+      addNotification(error.userMessage || error.message || 'Failed to load invitations', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [organization?.id, addNotification]);
+
+  useEffect(() => {
+    loadInvitations();
+  }, [loadInvitations]);
+
+  const afterSend = (data) => {
+    if (data.emailSent) {
+      setManualLink(null);
+      addNotification(`Invitation sent to ${data.invitation.email}`);
+    } else {
+      setManualLink({ email: data.invitation.email, url: data.inviteUrl });
+      addNotification(`Invitation created, but the email to ${data.invitation.email} couldn't be sent. Share the link instead.`, 'warning');
+    }
+  };
+
+  const sendInvitation = async (e) => {
+    e.preventDefault();
+    const errors = validateInvitation(form, roles.map(role => role.id));
+    if (errors.length > 0) {
+      addNotification(errors[0], 'error');
+      return;
+    }
+
+    setPendingAction('create');
+    try {
+      const { data } = await api.post('team-invitations', {
+        organizationId: organization.id,
+        action: 'create',
+        email: form.email.trim(),
+        role: form.role
+      }, { maxRetries: 0 });
+
+      afterSend(data);
+      setForm(prev => ({ ...prev, email: '' }));
+      await loadInvitations();
+    } catch (error) {
+      addNotification(error.userMessage || error.message || 'Failed to send invitation', 'error');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const runAction = async (action, invitation) => {
+    if (action === 'revoke' && !confirm(`Revoke the invitation for ${invitation.email}? The link stops working immediately.`)) return;
+
+    setPendingAction(`${action}:${invitation.id}`);
+    try {
+      const { data } = await api.post('team-invitations', {
+        organizationId: organization.id,
+        action,
+        invitationId: invitation.id
+      }, { maxRetries: 0 });
+
+      if (action === 'resend') {
+        afterSend(data);
+      } else {
+        if (manualLink?.email === invitation.email) setManualLink(null);
+        addNotification('Invitation revoked');
+      }
+      await loadInvitations();
+    } catch (error) {
+      addNotification(error.userMessage || error.message || `Failed to ${action} invitation`, 'error');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(manualLink.url);
+      addNotification('Invite link copied');
+    } catch {
+      addNotification('Copy failed - select the link and copy it manually', 'error');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-[#6B7280] dark:text-[#9CA3AF]">
+        <Loader2 className="w-4 h-4 animate-spin" /> Loading invitations...
+      </div>
+    );
+  }
+
+  const noSeats = seats && seats.available !== null && seats.available < 1;
+
+  return (
+    <div className="space-y-4">
+      <form onSubmit={sendInvitation} className="flex flex-col sm:flex-row gap-2">
+        <input
+          type="email"
+          value={form.email}
+          onChange={(e) => setForm(prev => ({ ...prev, email: e.target.value }))}
+          placeholder="teammate@company.com"
+          maxLength={254}
+          className={inputClass}
+          aria-label="Email address"
+        />
+        <select
+          value={form.role}
+          onChange={(e) => setForm(prev => ({ ...prev, role: e.target.value }))}
+          className={`${inputClass} sm:w-44`}
+          aria-label="Role"
+        >
+          {roles.map(role => (
+            <option key={role.id} value={role.id}>{role.name}</option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={pendingAction === 'create' || noSeats}
+          className="flex items-center justify-center gap-2 px-4 py-2 bg-[#1ABC9C] hover:bg-[#16A085] text-white rounded-lg text-sm font-medium transition whitespace-nowrap disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {pendingAction === 'create' ? <Loader2 className="w-4 h-4 animate-spin" /> : <UserPlus className="w-4 h-4" />}
+          Invite
+        </button>
+      </form>
+
+      {seats && (
+        <p className={`text-xs ${noSeats ? 'text-[#F39C12]' : 'text-[#6B7280] dark:text-[#9CA3AF]'}`}>
+          {formatSeats(seats)}
+          {noSeats && ' - all seats are taken. Upgrade your plan or revoke an invitation to invite more people.'}
+        </p>
+      )}
+
+      {manualLink && (
+        <div className="p-3 rounded-lg border border-[#F39C12]/40 bg-[#F39C12]/10 text-sm">
+          <p className="text-[#1A1A1A] dark:text-[#E0E0E0] mb-2">
+            Share this link with <strong>{manualLink.email}</strong>:
+          </p>
+          <div className="flex gap-2">
+            <input readOnly value={manualLink.url} className={`${inputClass} text-xs font-mono`} onFocus={(e) => e.target.select()} />
+            <button
+              type="button"
+              onClick={copyLink}
+              className="p-2 text-[#1ABC9C] hover:bg-[#1ABC9C]/10 rounded-lg transition"
+              aria-label="Copy invite link"
+            >
+              <Copy className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div>
+        <h4 className="text-sm font-medium text-[#1A1A1A] dark:text-[#E0E0E0] mb-2">Pending invitations</h4>
+        {invitations.length === 0 ? (
+          <p className="text-sm text-[#9CA3AF]">No pending invitations.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {invitations.map(invitation => {
+              const expired = invitation.status === 'expired';
+              const roleName = roles.find(role => role.id === invitation.role)?.name || invitation.role;
+              return (
+                <li key={invitation.id} className="flex items-center justify-between gap-3 py-3">
+                  <div className="flex items-center gap-3 min-w-0">
+                    <Mail className="w-4 h-4 text-[#9CA3AF] flex-shrink-0" />
+                    <div className="min-w-0">
+                      <p className="text-sm text-[#1A1A1A] dark:text-[#E0E0E0] truncate">{invitation.email}</p>
+                      <p className="text-xs text-[#6B7280] dark:text-[#9CA3AF]">
+                        {roleName} · {expired
+                          ? <span className="text-[#F39C12]">Expired {formatDate(invitation.expires_at)}</span>
+                          : `Expires ${formatDate(invitation.expires_at)}`}
+                      </p>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-1 flex-shrink-0">
+                    <button
+                      onClick={() => runAction('resend', invitation)}
+                      disabled={Boolean(pendingAction)}
+                      className="flex items-center gap-1 px-2 py-1.5 text-xs text-[#1ABC9C] hover:bg-[#1ABC9C]/10 rounded-lg transition disabled:opacity-50"
+                      title={expired ? 'Send a fresh link' : 'Resend the invitation email'}
+                    >
+                      <RefreshCw className={`w-3.5 h-3.5 ${pendingAction === `resend:${invitation.id}` ? 'animate-spin' : ''}`} />
+                      Resend
+                    </button>
+                    <button
+                      onClick={() => runAction('revoke', invitation)}
+                      disabled={Boolean(pendingAction)}
+                      className="flex items-center gap-1 px-2 py-1.5 text-xs text-red-500 hover:bg-red-500/10 rounded-lg transition disabled:opacity-50"
+                    >
+                      <X className="w-3.5 h-3.5" />
+                      Revoke
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TeamInvitations;
@@ -0,0 +1,239 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, UserMinus, X, AlertCircle } from 'lucide-react';
+import { useApp } from './AppShell';
+import { api } from '../lib/api-client';
+
+/**
+ * Team members (Settings → General)
+ *
+ * Member list with role changes and removal for owners and admins. What the
+ * caller may do to each member comes from the server (rbac.ts
+ * validateMemberChange), so only the owner sees admin promotions or can
+ * remove admins. Removing someone with open deals asks where those deals go:
+ * another member who can own deals, or round robin.
+ */
+
+const selectClass = 'px-2 py-1.5 bg-white dark:bg-gray-800 border border-gray-300 dark:border-gray-600 rounded-lg text-sm text-[#1A1A1A] dark:text-[#E0E0E0] focus:ring-2 focus:ring-[#1ABC9C] focus:border-transparent transition disabled:opacity-50';
+
+const ROUND_ROBIN = 'round_robin';
+
+const formatDeals = (count) => `${count} open ${count === 1 ? 'deal' : 'deals'}`;
+
+const RemoveMemberDialog = ({ member, recipients, removing, onConfirm, onClose }) => {
+  const [reassignTo, setReassignTo] = useState(ROUND_ROBIN);
+
+  return (
+    <div className="fixed inset-0 bg-black/95 backdrop-blur-sm z-50 flex items-center justify-center p-4">
+      <div className="bg-gradient-to-br from-gray-900 to-black border border-teal-500/30 rounded-2xl p-6 sm:p-8 max-w-md w-full shadow-2xl">
+        <div className="flex items-start justify-between mb-4">
+          <div className="w-12 h-12 rounded-xl bg-red-500/10 flex items-center justify-center">
+            <UserMinus className="w-6 h-6 text-red-400" />
+          </div>
+          <button
+            onClick={onClose}
+            disabled={removing}
+            className="p-2 text-gray-400 hover:text-white rounded-lg transition"
+            aria-label="Close"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <h2 className="text-xl font-bold text-white mb-2">Remove {member.name}?</h2>
+        <p className="text-sm text-gray-400 mb-6">
+          They lose access to this workspace immediately. Their deal history stays in place.
+        </p>
+
+        <label className="block text-sm font-medium text-gray-300 mb-2" htmlFor="reassign-to">
+          Reassign {formatDeals(member.openDeals)} to
+        </label>
+        <select
+          id="reassign-to"
+          value={reassignTo}
+          onChange={(e) => setReassignTo(e.target.value)}
+          className="w-full px-3 py-2 mb-2 bg-gray-800 border border-gray-700 rounded-lg text-white focus:ring-2 focus:ring-[#1ABC9C] focus:border-transparent"
+        >
+          <option value={ROUND_ROBIN}>Round robin across the team</option>
+          {recipients.map(recipient => (
+            <option key={recipient.id} value={recipient.id}>
+              {recipient.name}{recipient.isYou ? ' (you)' : ''} · {formatDeals(recipient.openDeals)}
+            </option>
+          ))}
+        </select>
+        <p className="text-xs text-gray-500 mb-6">
+          {reassignTo === ROUND_ROBIN
+            ? "Deals are spread over the rotation. Any the rotation can't place are assigned to you."
+            : 'All open deals move to this member in one step.'}
+        </p>
+
+        <div className="flex flex-col sm:flex-row gap-3">
+          <button
+            onClick={() => onConfirm(reassignTo)}
+            disabled={removing}
+            className="flex-1 flex items-center justify-center gap-2 px-4 py-2.5 bg-red-600 hover:bg-red-700 text-white rounded-lg font-medium transition disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {removing && <Loader2 className="w-4 h-4 animate-spin" />}
+            Remove member
+          </button>
+          <button
+            onClick={onClose}
+            disabled={removing}
+            className="flex-1 px-4 py-2.5 border border-gray-700 text-gray-300 hover:bg-gray-800 rounded-lg font-medium transition disabled:opacity-50"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export const TeamMembers = () => {
+  const { organization, addNotification } = useApp();
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [pendingAction, setPendingAction] = useState(null); // `${action}:${userId}`
+  const [removing, setRemoving] = useState(null);
+
+  const loadMembers = useCallback(async () => {
+    if (!organization?.id) {
+      setLoading(false);
+      return;
+    }
+    try {
+      const { data } = await api.get(`team-members?organizationId=${encodeURIComponent(organization.id)}`);
+      setMembers(data.members || []);
+    } catch (error) {
+      console.error('Error loading team members:', error);
+      addNotification(error.userMessage || error.message || 'Failed to load team members', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [organization?.id, addNotification]);
+
+  useEffect(() => {
+    loadMembers();
+  }, [loadMembers]);
+
+  const changeRole = async (member, role) => {
+    if (role === member.role) return;
+
+    setPendingAction(`role:${member.id}`);
+    try {
+      const { data } = await api.post('team-members', {
+        organizationId: organization.id,
+        action: 'change_role',
+        userId: member.id,
+        role
+      }, { maxRetries: 0 });
+
+      addNotification(`${member.name} is now ${data.member.roleName}`);
+      await loadMembers();
+    } catch (error) {
+      addNotification(error.userMessage || error.message || 'Failed to change role', 'error');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const removeMember = async (reassignTo) => {
+    const member = removing;
+    setPendingAction(`remove:${member.id}`);
+    try {
+      const { data } = await api.post('team-members', {
+        organizationId: organization.id,
+        action: 'remove',
+        userId: member.id,
+        reassignTo
+      }, { maxRetries: 0 });
+
+      addNotification(data.reassigned > 0
+        ? `${member.name} removed. ${data.reassigned} open ${data.reassigned === 1 ? 'deal' : 'deals'} reassigned.`
+        : `${member.name} removed`);
+      if (data.fallback > 0) {
+        addNotification(`${data.fallback} ${data.fallback === 1 ? 'deal' : 'deals'} couldn't be placed by round robin and were assigned to you`, 'warning');
+      }
+      setRemoving(null);
+      await loadMembers();
+    } catch (error) {
+      addNotification(error.userMessage || error.message || 'Failed to remove member', 'error');
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center gap-2 text-sm text-[#6B7280] dark:text-[#9CA3AF]">
+        <Loader2 className="w-4 h-4 animate-spin" /> Loading team...
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+        {members.map(member => (
+          <li key={member.id} className="flex items-center justify-between gap-3 py-3">
+            <div className="min-w-0">
+              <p className="text-sm text-[#1A1A1A] dark:text-[#E0E0E0] truncate">
+                {member.name}{member.isYou && <span className="text-[#9CA3AF]"> (you)</span>}
+              </p>
+              <p className="text-xs text-[#6B7280] dark:text-[#9CA3AF] truncate">
+                {member.email ? `${member.email} · ` : ''}{formatDeals(member.openDeals)}
+              </p>
+            </div>
+            <div className="flex items-center gap-1 flex-shrink-0">
+              {member.canChangeRole ? (
+                <select
+                  value={member.role}
+                  onChange={(e) => changeRole(member, e.target.value)}
+                  disabled={Boolean(pendingAction)}
+                  className={selectClass}
+                  aria-label={`Role for ${member.name}`}
+                >
+                  {member.roleOptions.map(role => (
+                    <option key={role.id} value={role.id}>{role.name}</option>
+                  ))}
+                </select>
+              ) : (
+                <span className="px-2 py-1.5 text-xs text-[#6B7280] dark:text-[#9CA3AF]">{member.roleName}</span>
+              )}
+              {member.canRemove && (
+                <button
+                  onClick={() => setRemoving(member)}
+                  disabled={Boolean(pendingAction)}
+                  className="p-2 text-red-500 hover:bg-red-500/10 rounded-lg transition disabled:opacity-50"
+                  title="Remove from team"
+                  aria-label={`Remove ${member.name}`}
+                >
+                  {pendingAction === `remove:${member.id}` || pendingAction === `role:${member.id}`
+                    ? <Loader2 className="w-4 h-4 animate-spin" />
+                    : <UserMinus className="w-4 h-4" />}
+                </button>
+              )}
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {members.length <= 1 && (
+        <p className="flex items-center gap-2 mt-2 text-xs text-[#9CA3AF]">
+          <AlertCircle className="w-3.5 h-3.5" /> Invite teammates to manage their roles here.
+        </p>
+      )}
+
+      {removing && (
+        <RemoveMemberDialog
+          member={removing}
+          recipients={members.filter(member => member.id !== removing.id && member.canOwnDeals)}
+          removing={pendingAction === `remove:${removing.id}`}
+          onConfirm={removeMember}
+          onClose={() => setRemoving(null)}
+        />
+      )}
+    </>
+  );
+};
+
+export default TeamMembers;
@@ -0,0 +1,343 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Loader2, RotateCcw, CheckCircle, AlertCircle, X } from 'lucide-react';
+import { api } from '../lib/api-client';
+
+/**
+ * Delivery log for one webhook (Integrations → Webhooks)
+ *
+ * Lists recent attempts from webhook-deliveries with status, latency and
+ * trigger; selecting one shows the request and response bodies. Owners and
+ * admins can replay a single delivery or queue every event in a time range.
+ */
+
+const TRIGGER_LABELS = {
+  event: 'Event',
+  retry: 'Retry',
+  replay: 'Replay',
+  test: 'Test'
+};
+
+const STATUS_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'failed', label: 'Failed' },
+  { id: 'success', label: 'Succeeded' }
+];
+
+const inputClass = 'px-3 py-1.5 border border-gray-700 rounded-lg focus:ring-2 focus:ring-teal-500 focus:border-transparent bg-gray-800/50 text-white text-sm';
+
+const formatTime = (iso) => iso ? new Date(iso).toLocaleString() : '—';
+
+// datetime-local wants local time without seconds or zone
+const toLocalInput = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+const prettyBody = (body) => {
+  if (!body) return '';
+  try {
+    return JSON.stringify(JSON.parse(body), null, 2);
+  } catch {
+    return body;
+  }
+};
+
+const StatusBadge = ({ delivery }) => (
+  <span className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs ${
+    delivery.success ? 'bg-[#27AE60]/10 text-[#27AE60]' : 'bg-red-500/10 text-red-400'
+  }`}>
+    {delivery.success ? <CheckCircle className="w-3 h-3" /> : <AlertCircle className="w-3 h-3" />}
+    {delivery.response_status || (delivery.success ? 'OK' : 'Error')}
+  </span>
+);
+
+export const WebhookDeliveryLog = ({ organizationId, webhook, canManage, addNotification, onWebhookChange }) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [deadLetters, setDeadLetters] = useState([]);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('all');
+  const [selected, setSelected] = useState(null);
+  const [loadingDetail, setLoadingDetail] = useState(false);
+  const [replaying, setReplaying] = useState(false);
+  const [range, setRange] = useState(() => ({
+    from: toLocalInput(new Date(Date.now() - 24 * 60 * 60 * 1000)),
+    to: toLocalInput(new Date()),
+    failedOnly: true
+  }));
+
+  const baseQuery = `webhook-deliveries?organizationId=${encodeURIComponent(organizationId)}&webhookId=${encodeURIComponent(webhook.id)}`;
+
+  const loadDeliveries = useCallback(async (before = null) => {
+    setLoading(true);
+    try {
+      const params = [
+        status !== 'all' ? `status=${status}` : null,
+        before ? `before=${encodeURIComponent(before)}` : null
+      ].filter(Boolean).join('&');
+
+      const { data } = await api.get(params ? `${baseQuery}&${params}` : baseQuery);
+      setDeliveries(prev => before ? [...prev, ...(data.deliveries || [])] : (data.deliveries || []));
+      setDeadLetters(data.deadLetters || []);
+      setHasMore(!!data.hasMore);
+      if (data.webhook) onWebhookChange?.(data.webhook);
+    } catch (error) {
+      console.error('Error loading webhook deliveries:', error);
+      addNotification(error.userMessage || error.message || 'Failed to load deliveries', 'error');
+    } finally {
+      setLoading(false);
+    }
+  }, [baseQuery, status, addNotification, onWebhookChange]);
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [loadDeliveries]);
+
+  const openDelivery = async (delivery) => {
+    if (selected?.id === delivery.id) {
+      setSelected(null);
+      return;
+    }
+    setLoadingDetail(true);
+    setSelected(delivery);
+    try {
+      const { data } = await api.get(`${baseQuery}&deliveryId=${encodeURIComponent(delivery.id)}`);
+      setSelected(data.delivery);
+    } catch (error) {
+      addNotification(error.userMessage || error.message || 'Failed to load delivery', 'error');
+      setSelected(null);
+    } finally {
+      setLoadingDetail(false);
+    }
+  };
+
+  const replayDelivery = async (delivery) => {
+    setReplaying(true);
+    try {
+      const { data } = await api.post('webhook-deliveries', {
+        organizationId,
+        webhookId: webhook.id,
+        action: 'replay',
+        deliveryId: delivery.id
+      }, { maxRetries: 0 });
+
+      addNotification(
+        data.result?.success ? 'Event replayed successfully' : `Replay failed: ${data.result?.error || 'unknown error'}`,
+        data.result?.success ? 'success' : 'error'
+      );
+      setSelected(null);
+      await loadDeliveries();
+    } catch (error) {
+      addNotification(error.userMessage || error.message || 'Replay failed', 'error');
+    } finally {
+      setReplaying(false);
+    }
+  };
+
+  const replayRange = async () => {
+    if (!range.from || !range.to) return;
+    setReplaying(true);
+    try {
+      const { data } = await api.post('webhook-deliveries', {
+        organizationId,
+        webhookId: webhook.id,
+        action: 'replay_range',
+        from: new Date(range.from).toISOString(),
+        to: new Date(range.to).toISOString(),
+        failedOnly: range.failedOnly
+      }, { maxRetries: 0 });
+
+      addNotification(
+        data.queued
+          ? `${data.queued} event${data.queued === 1 ? '' : 's'} queued for replay${data.truncated ? ` (${data.message})` : ''}`
+          : 'No events found in that range',
+        data.queued ? 'success' : 'info'
+      );
+    } catch (error) {
+      addNotification(error.userMessage || error.message || 'Replay failed', 'error');
+    } finally {
+      setReplaying(false);
+    }
+  };
+
+  const isDisabled = !!webhook.disabled_at;
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-800 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex gap-1 p-1 bg-gray-800/50 rounded-lg" role="radiogroup" aria-label="Filter deliveries">
+          {STATUS_FILTERS.map(filter => (
+            <button
+              key={filter.id}
+              role="radio"
+              aria-checked={status === filter.id}
+              onClick={() => setStatus(filter.id)}
+              className={`px-3 py-1 rounded-md text-xs font-medium transition ${
+                status === filter.id ? 'bg-teal-500/20 text-teal-400' : 'text-gray-400 hover:text-white'
+              }`}
+            >
+              {filter.label}
+            </button>
+          ))}
+        </div>
+        {deadLetters.length > 0 && (
+          <span className="text-xs text-amber-400">
+            {deadLetters.length} dead-lettered event{deadLetters.length === 1 ? '' : 's'} (gave up after retries)
+          </span>
+        )}
+      </div>
+
+      {canManage && (
+        <div className="flex flex-wrap items-end gap-3 p-3 bg-gray-800/30 border border-gray-700 rounded-lg">
+          <label className="text-xs text-gray-400">
+            From
+            <input
+              type="datetime-local"
+              value={range.from}
+              onChange={(e) => setRange({ ...range, from: e.target.value })}
+              className={`${inputClass} block mt-1`}
+            />
+          </label>
+          <label className="text-xs text-gray-400">
+            To
+            <input
+              type="datetime-local"
+              value={range.to}
+              onChange={(e) => setRange({ ...range, to: e.target.value })}
+              className={`${inputClass} block mt-1`}
+            />
+          </label>
+          <label className="flex items-center gap-2 text-xs text-gray-300 pb-2">
+            <input
+              type="checkbox"
+              checked={range.failedOnly}
+              onChange={(e) => setRange({ ...range, failedOnly: e.target.checked })}
+              className="rounded text-teal-500 focus:ring-teal-500"
+            />
+            Failed events only
+          </label>
+          <button
+            onClick={replayRange}
+            disabled={replaying || isDisabled || !range.from || !range.to}
+            title={isDisabled ? 'Re-enable the webhook to replay events' : undefined}
+            className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm text-teal-400 border border-teal-500/30 hover:bg-teal-500/10 disabled:opacity-50 disabled:cursor-not-allowed transition"
+          >
+            <RotateCcw className="w-4 h-4" />
+            Replay range
+          </button>
+        </div>
+      )}
+
+      {loading && deliveries.length === 0 ? (
+        <div className="flex justify-center py-6"><Loader2 className="w-6 h-6 animate-spin text-[#1ABC9C]" /></div>
+      ) : deliveries.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-6">No deliveries yet. Send a test event to try the endpoint.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b border-gray-800">
+                <th className="py-2 pr-3 font-medium">Time</th>
+                <th className="py-2 pr-3 font-medium">Event</th>
+                <th className="py-2 pr-3 font-medium">Trigger</th>
+                <th className="py-2 pr-3 font-medium">Status</th>
+                <th className="py-2 font-medium text-right">Latency</th>
+              </tr>
+            </thead>
+            <tbody>
+              {deliveries.map(delivery => (
+                <React.Fragment key={delivery.id}>
+                  <tr
+                    onClick={() => openDelivery(delivery)}
+                    className={`border-b border-gray-800/60 cursor-pointer hover:bg-gray-800/40 ${selected?.id === delivery.id ? 'bg-gray-800/40' : ''}`}
+                  >
+                    <td className="py-2 pr-3 text-gray-400 whitespace-nowrap">{formatTime(delivery.created_at)}</td>
+                    <td className="py-2 pr-3 font-mono text-xs text-white">{delivery.event_type}</td>
+                    <td className="py-2 pr-3 text-gray-400">
+                      {TRIGGER_LABELS[delivery.trigger] || delivery.trigger}
+                      {delivery.attempt > 1 ? ` #${delivery.attempt}` : ''}
+                    </td>
+                    <td className="py-2 pr-3"><StatusBadge delivery={delivery} /></td>
+                    <td className="py-2 text-right text-gray-400">{delivery.latency_ms != null ? `${delivery.latency_ms} ms` : '—'}</td>
+                  </tr>
+                  {selected?.id === delivery.id && (
+                    <tr>
+                      <td colSpan={5} className="py-3">
+                        {loadingDetail ? (
+                          <div className="flex justify-center py-4"><Loader2 className="w-5 h-5 animate-spin text-[#1ABC9C]" /></div>
+                        ) : (
+                          <DeliveryDetail
+                            delivery={selected}
+                            canReplay={canManage && !isDisabled && selected.trigger !== 'test'}
+                            replaying={replaying}
+                            onReplay={() => replayDelivery(selected)}
+                            onClose={() => setSelected(null)}
+                          />
+                        )}
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+          {hasMore && (
+            <button
+              onClick={() => loadDeliveries(deliveries[deliveries.length - 1]?.created_at)}
+              disabled={loading}
+              className="mt-3 w-full py-2 text-sm text-gray-400 hover:text-white disabled:opacity-50 transition"
+            >
+              {loading ? 'Loading…' : 'Load older deliveries'}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const DeliveryDetail = ({ delivery, canReplay, replaying, onReplay, onClose }) => (
+  <div className="space-y-3 p-3 bg-black/40 border border-gray-800 rounded-lg">
+    <div className="flex items-start justify-between gap-3">
+      <div className="text-xs text-gray-400 space-y-1">
+        <div>POST <code className="text-teal-400">{delivery.request_url}</code></div>
+        <div>Event ID <code className="text-gray-300">{delivery.event_id}</code></div>
+        {delivery.error && <div className="text-red-400">{delivery.error}</div>}
+      </div>
+      <div className="flex items-center gap-2">
+        {canReplay && (
+          <button
+            onClick={onReplay}
+            disabled={replaying}
+            className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-sm text-teal-400 border border-teal-500/30 hover:bg-teal-500/10 disabled:opacity-50 transition"
+          >
+            {replaying ? <Loader2 className="w-4 h-4 animate-spin" /> : <RotateCcw className="w-4 h-4" />}
+            Replay
+          </button>
+        )}
+        <button onClick={onClose} className="p-1.5 text-gray-500 hover:text-white" aria-label="Close delivery details">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-3">
+      <div>
+        <p className="text-xs font-medium text-gray-400 mb-1">Request</p>
+        {delivery.request_headers && (
+          <pre className="text-xs text-gray-400 bg-gray-900 rounded p-2 mb-2 overflow-x-auto">
+            {Object.entries(delivery.request_headers).map(([name, value]) => `${name}: ${value}`).join('\n')}
+          </pre>
+        )}
+        <pre className="text-xs text-gray-200 bg-gray-900 rounded p-2 max-h-64 overflow-auto">{prettyBody(delivery.request_body) || '(not sent)'}</pre>
+      </div>
+      <div>
+        <p className="text-xs font-medium text-gray-400 mb-1">
+          Response {delivery.response_status ? `(${delivery.response_status})` : ''}
+        </p>
+        <pre className="text-xs text-gray-200 bg-gray-900 rounded p-2 max-h-64 overflow-auto">{prettyBody(delivery.response_body) || '(no response body)'}</pre>
+      </div>
+    </div>
+  </div>
+);
+
+export default WebhookDeliveryLog;
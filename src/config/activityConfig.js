@@ -0,0 +1,52 @@
+/**
+ * Deal Activity Configuration
+ *
+ * Types and outcomes for logged touches (calls, emails, meetings).
+ * NOTE: Backend has its own copy in ActivitySchema
+ * (netlify/functions/lib/validation.ts) - keep in sync if modifying.
+ *
+ * @module activityConfig
+ */
+
+export const ACTIVITY_TYPES = {
+  CALL: 'call',
+  EMAIL: 'email',
+  MEETING: 'meeting',
+  OTHER: 'other'
+};
+
+export const ACTIVITY_TYPE_LABELS = {
+  [ACTIVITY_TYPES.CALL]: 'Call',
+  [ACTIVITY_TYPES.EMAIL]: 'Email',
+  [ACTIVITY_TYPES.MEETING]: 'Meeting',
+  [ACTIVITY_TYPES.OTHER]: 'Other'
+};
+
+export const ACTIVITY_OUTCOME_LABELS = {
+  connected: 'Connected',
+  left_voicemail: 'Left voicemail',
+  no_answer: 'No answer',
+  sent: 'Sent',
+  replied: 'Replied',
+  bounced: 'Bounced',
+  held: 'Held',
+  no_show: 'No-show',
+  rescheduled: 'Rescheduled',
+  completed: 'Completed'
+};
+
+/**
+ * Outcomes offered per activity type (first entry is the default)
+ */
+export const ACTIVITY_OUTCOMES_BY_TYPE = {
+  [ACTIVITY_TYPES.CALL]: ['connected', 'left_voicemail', 'no_answer'],
+  [ACTIVITY_TYPES.EMAIL]: ['sent', 'replied', 'bounced'],
+  [ACTIVITY_TYPES.MEETING]: ['held', 'no_show', 'rescheduled'],
+  [ACTIVITY_TYPES.OTHER]: ['completed']
+};
+
+/**
+ * Whether a duration field makes sense for this type
+ */
+export const activityHasDuration = (type) =>
+  type === ACTIVITY_TYPES.CALL || type === ACTIVITY_TYPES.MEETING;
@@ -0,0 +1,105 @@
+/**
+ * AI Conversation Threads
+ *
+ * Limits and helpers shared by Mission Control (CustomQueryView and the
+ * thread sidebar) and netlify/functions/lib/ai-threads.ts.
+ *
+ * A thread belongs to one user in one organization. The AI endpoints append
+ * each question and answer to it once the answer succeeds, and read the
+ * recent messages back as conversation history, so a reload or another
+ * device picks up where the user left off. The owner can rename, pin and
+ * delete a thread, and share it read-only with the rest of the organization.
+ *
+ * NO REACT DEPENDENCIES - shared with netlify/functions/lib/ai-threads.ts.
+ *
+ * @module aiThreads
+ */
+
+export const AI_THREAD_LIMITS = {
+  TITLE_MAX_LENGTH: 120,
+  // Titles derived from the first question
+  AUTO_TITLE_LENGTH: 60,
+  MESSAGE_MAX_LENGTH: 20000,
+  // Most recent messages sent to the provider as history (6 exchanges)
+  HISTORY_MESSAGES: 12,
+  LIST_PAGE_SIZE: 50,
+  SEARCH_MAX_RESULTS: 20,
+  SEARCH_MIN_QUERY_LENGTH: 2,
+  SNIPPET_LENGTH: 160
+};
+
+export const AI_THREAD_ROLES = ['user', 'assistant'];
+
+export const DEFAULT_THREAD_TITLE = 'New conversation';
+
+const collapseWhitespace = (text) => String(text ?? '').replace(/\s+/g, ' ').trim();
+
+const truncate = (text, length) =>
+  (text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text);
+
+/**
+ * Title for a thread from its first question
+ * @param {string} message
+ * @returns {string}
+ */
+export const deriveThreadTitle = (message) => {
+  const text = collapseWhitespace(message);
+  return text ? truncate(text, AI_THREAD_LIMITS.AUTO_TITLE_LENGTH) : DEFAULT_THREAD_TITLE;
+};
+
+/**
+ * Validated title, or null when empty
+ * @param {unknown} title
+ * @returns {string|null}
+ */
+export const normalizeThreadTitle = (title) => {
+  const text = collapseWhitespace(typeof title === 'string' ? title : '');
+  return text ? text.slice(0, AI_THREAD_LIMITS.TITLE_MAX_LENGTH) : null;
+};
+
+/**
+ * Stored messages (oldest first) as provider conversation history
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {number} [limit]
+ * @returns {Array<{role: 'user'|'assistant', content: string}>}
+ */
+export const toConversationHistory = (messages = [], limit = AI_THREAD_LIMITS.HISTORY_MESSAGES) =>
+  messages
+    .filter(message => AI_THREAD_ROLES.includes(message.role) && message.content)
+    .slice(-limit)
+    .map(message => ({ role: message.role, content: message.content }));
+
+/**
+ * Excerpt of `content` around the first search term it contains
+ * @param {string} content
+ * @param {string} query
+ * @returns {string}
+ */
+export const buildSearchSnippet = (content, query) => {
+  const text = collapseWhitespace(content);
+  const length = AI_THREAD_LIMITS.SNIPPET_LENGTH;
+  if (text.length <= length) return text;
+
+  const lower = text.toLowerCase();
+  const hit = collapseWhitespace(query).toLowerCase().split(' ')
+    .filter(term => term.length >= AI_THREAD_LIMITS.SEARCH_MIN_QUERY_LENGTH)
+    .map(term => lower.indexOf(term))
+    .filter(index => index >= 0)
+    .sort((a, b) => a - b)[0];
+
+  if (hit === undefined) return truncate(text, length);
+
+  const start = Math.max(0, Math.min(hit - Math.floor(length / 3), text.length - length));
+  const excerpt = text.slice(start, start + length).trim();
+  return `${start > 0 ? '…' : ''}${excerpt}${start + length < text.length ? '…' : ''}`;
+};
+
+export default {
+  AI_THREAD_LIMITS,
+  AI_THREAD_ROLES,
+  DEFAULT_THREAD_TITLE,
+  deriveThreadTitle,
+  normalizeThreadTitle,
+  toConversationHistory,
+  buildSearchSnippet
+};
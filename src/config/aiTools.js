@@ -0,0 +1,159 @@
+/**
+ * AI Assistant Tools
+ *
+ * Tools the assistant can call while answering. Read tools run as soon as
+ * the model asks for them; write tools only produce a proposed action that
+ * the user confirms on a card under the answer (AIMessageRenderer) before it
+ * is applied through the regular deal endpoints.
+ *
+ * `parameters` is the JSON Schema subset every provider accepts (no
+ * additionalProperties, no formats). `permission` is checked against the
+ * user's role (netlify/functions/lib/rbac.ts) both when the action is
+ * proposed and when it is confirmed.
+ *
+ * NO REACT DEPENDENCIES - shared with netlify/functions/lib/ai-tools.ts.
+ *
+ * @module aiTools
+ */
+
+import { ACTIVITY_TYPES } from './activityConfig';
+
+export const AI_TOOL_LIMITS = {
+  // Model turns that may call tools before it has to answer in text
+  MAX_ROUNDS: 3,
+  MAX_CALLS_PER_ROUND: 5,
+  // Write proposals per answer
+  MAX_PROPOSED_ACTIONS: 5,
+  SEARCH_RESULTS: 10,
+  HISTORY_EVENTS: 20,
+  // Tool output sent back to the model
+  RESULT_MAX_CHARS: 6000,
+  ACTIVITY_NOTES_MAX_LENGTH: 2000
+};
+
+// deals.next_step column limit (20241229_deal_next_step.sql)
+export const NEXT_STEP_MAX_LENGTH = 500;
+
+const dealId = {
+  type: 'string',
+  description: 'Deal id (uuid) from search_deals'
+};
+
+export const AI_TOOLS = {
+  search_deals: {
+    kind: 'read',
+    label: 'Search deals',
+    permission: 'read_deals',
+    description: 'Find deals by client name, stage, status, value or owner. Returns at most 10 deals, most recently active first.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'Part of the client / deal name' },
+        stage: { type: 'string', description: 'Stage id, e.g. "quote"' },
+        status: { type: 'string', enum: ['active', 'won', 'lost', 'disqualified'] },
+        min_value: { type: 'number', description: 'Minimum deal value' },
+        assigned_to_me: { type: 'boolean', description: "Only the user's own deals" }
+      }
+    }
+  },
+  get_deal_history: {
+    kind: 'read',
+    label: 'Deal history',
+    permission: 'read_deals',
+    description: 'Recent changes (stage moves, value, owner) and logged activities for one deal, newest first.',
+    parameters: {
+      type: 'object',
+      properties: { deal_id: dealId },
+      required: ['deal_id']
+    }
+  },
+  get_targets: {
+    kind: 'read',
+    label: 'Revenue targets',
+    permission: 'read_deals',
+    description: "The user's monthly, quarterly and annual revenue targets (every member's for owners and admins).",
+    parameters: { type: 'object', properties: {} }
+  },
+  move_deal_stage: {
+    kind: 'write',
+    label: 'Move deal',
+    permission: 'edit_deals',
+    description: 'Propose moving a deal to another stage. The user confirms before it happens.',
+    parameters: {
+      type: 'object',
+      properties: {
+        deal_id: dealId,
+        stage: { type: 'string', description: 'Target stage id' }
+      },
+      required: ['deal_id', 'stage']
+    }
+  },
+  set_next_step: {
+    kind: 'write',
+    label: 'Set next step',
+    permission: 'edit_deals',
+    description: "Propose setting a deal's next step and optional due date. The user confirms before it happens.",
+    parameters: {
+      type: 'object',
+      properties: {
+        deal_id: dealId,
+        next_step: { type: 'string', description: 'What happens next, one short sentence' },
+        due_date: { type: 'string', description: 'Due date as YYYY-MM-DD' }
+      },
+      required: ['deal_id', 'next_step']
+    }
+  },
+  assign_deal: {
+    kind: 'write',
+    label: 'Reassign deal',
+    permission: 'edit_deals',
+    description: 'Propose assigning a deal to a teammate by name or email. The user confirms before it happens.',
+    parameters: {
+      type: 'object',
+      properties: {
+        deal_id: dealId,
+        assignee: { type: 'string', description: "Teammate's name or email" }
+      },
+      required: ['deal_id', 'assignee']
+    }
+  },
+  log_activity: {
+    kind: 'write',
+    label: 'Log activity',
+    permission: 'edit_deals',
+    description: 'Propose logging a call, email, meeting or other touch on a deal. The user confirms before it happens.',
+    parameters: {
+      type: 'object',
+      properties: {
+        deal_id: dealId,
+        type: { type: 'string', enum: Object.values(ACTIVITY_TYPES) },
+        notes: { type: 'string', description: 'What happened' }
+      },
+      required: ['deal_id', 'type']
+    }
+  }
+};
+
+export const AI_TOOL_NAMES = Object.keys(AI_TOOLS);
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+export const isWriteTool = (name) => AI_TOOLS[name]?.kind === 'write';
+
+/**
+ * Card title for a proposed action
+ * @param {string} name
+ * @returns {string}
+ */
+export const getToolLabel = (name) => AI_TOOLS[name]?.label || 'Action';
+
+export default {
+  AI_TOOL_LIMITS,
+  NEXT_STEP_MAX_LENGTH,
+  AI_TOOLS,
+  AI_TOOL_NAMES,
+  isWriteTool,
+  getToolLabel
+};
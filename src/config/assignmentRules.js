@@ -0,0 +1,409 @@
+/**
+ * Deal Assignment Rules
+ *
+ * Rule matching and owner picking shared by the Assignment Rules panel
+ * (Settings → Pipeline) and netlify/functions/lib/deal-assignment.ts.
+ *
+ * Rules are checked in order when a deal is created; the first active rule
+ * whose conditions all match picks the owner from its assignees by weighted
+ * round robin, skipping anyone at their cap of open deals. When everyone is
+ * at capacity the rule's fallback owner gets the deal. A deal no rule
+ * matches keeps its default owner (the creator, the API key owner, the
+ * importer, or the capture endpoint's own assignment).
+ *
+ * Conditions test the deal source, value, stage, email domain or a custom
+ * field - territory fields such as industry or region are custom fields
+ * ('custom:industry').
+ *
+ * NO REACT DEPENDENCIES - shared with netlify/functions/lib/deal-assignment.ts.
+ *
+ * @module assignmentRules
+ */
+
+export const ASSIGNMENT_RULE_LIMITS = {
+  MAX_RULES: 50,
+  MAX_CONDITIONS: 10,
+  MAX_ASSIGNEES: 25,
+  MAX_WEIGHT: 10,
+  MAX_CAP: 10000,
+  // Most recent deals replayed by "simulate"
+  SIMULATE_DEALS: 100
+};
+
+/** Where a new deal came from */
+export const ASSIGNMENT_SOURCES = [
+  { id: 'manual', label: 'Created in the app' },
+  { id: 'api', label: 'REST API' },
+  { id: 'import', label: 'CSV import' },
+  { id: 'capture', label: 'Lead capture' }
+];
+
+export const CONDITION_OPERATORS = {
+  IS: 'is',
+  IS_NOT: 'is_not',
+  IS_ANY_OF: 'is_any_of',
+  CONTAINS: 'contains',
+  AT_LEAST: 'at_least',
+  AT_MOST: 'at_most',
+  BETWEEN: 'between',
+  IS_SET: 'is_set'
+};
+
+export const CONDITION_OPERATOR_LABELS = {
+  [CONDITION_OPERATORS.IS]: 'is',
+  [CONDITION_OPERATORS.IS_NOT]: 'is not',
+  [CONDITION_OPERATORS.IS_ANY_OF]: 'is any of',
+  [CONDITION_OPERATORS.CONTAINS]: 'contains',
+  [CONDITION_OPERATORS.AT_LEAST]: 'is at least',
+  [CONDITION_OPERATORS.AT_MOST]: 'is at most',
+  [CONDITION_OPERATORS.BETWEEN]: 'is between',
+  [CONDITION_OPERATORS.IS_SET]: 'is set'
+};
+
+/** Operators per kind of field */
+export const OPERATORS_BY_KIND = {
+  choice: [CONDITION_OPERATORS.IS, CONDITION_OPERATORS.IS_NOT, CONDITION_OPERATORS.IS_ANY_OF],
+  text: [
+    CONDITION_OPERATORS.IS,
+    CONDITION_OPERATORS.IS_NOT,
+    CONDITION_OPERATORS.IS_ANY_OF,
+    CONDITION_OPERATORS.CONTAINS,
+    CONDITION_OPERATORS.IS_SET
+  ],
+  number: [CONDITION_OPERATORS.AT_LEAST, CONDITION_OPERATORS.AT_MOST, CONDITION_OPERATORS.BETWEEN, CONDITION_OPERATORS.IS_SET]
+};
+
+/** Built-in deal fields; custom fields are 'custom:<key>' */
+export const CONDITION_FIELDS = [
+  { id: 'source', label: 'Source', kind: 'choice' },
+  { id: 'value', label: 'Deal value', kind: 'number' },
+  { id: 'stage', label: 'Stage', kind: 'text' },
+  { id: 'email_domain', label: 'Email domain', kind: 'text' }
+];
+
+/** How an assignment was decided */
+export const ASSIGNMENT_REASONS = {
+  RULE: 'rule',
+  FALLBACK: 'fallback',
+  CAPPED: 'capped',
+  NO_MATCH: 'no_match'
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const CUSTOM_PREFIX = 'custom:';
+const NUMERIC_CUSTOM_TYPES = ['number', 'currency'];
+
+// ============================================================================
+// FIELDS
+// ============================================================================
+
+/**
+ * Field kind for a condition field id, or null when unknown
+ *
+ * @param {string} field - 'value' | 'custom:<key>' | ...
+ * @param {Array} customFields - org custom field definitions ({ key, type })
+ * @returns {'choice'|'text'|'number'|null}
+ */
+export const getConditionKind = (field, customFields = []) => {
+  const builtIn = CONDITION_FIELDS.find(candidate => candidate.id === field);
+  if (builtIn) return builtIn.kind;
+  if (typeof field !== 'string' || !field.startsWith(CUSTOM_PREFIX)) return null;
+
+  const definition = customFields.find(candidate => candidate.key === field.slice(CUSTOM_PREFIX.length));
+  if (!definition) return null;
+  if (NUMERIC_CUSTOM_TYPES.includes(definition.type)) return 'number';
+  return definition.type === 'date' ? null : 'text';
+};
+
+/**
+ * Value of a condition field on a deal
+ *
+ * @param {Object} deal
+ * @param {string} field
+ * @param {{ source?: string }} context
+ */
+export const getDealFieldValue = (deal, field, { source } = {}) => {
+  switch (field) {
+    case 'source':
+      return source || null;
+    case 'email_domain': {
+      const email = typeof deal.email === 'string' ? deal.email : '';
+      return email.includes('@') ? email.split('@').pop().toLowerCase() : null;
+    }
+    case 'value':
+    case 'stage':
+      return deal[field] ?? null;
+    default:
+      if (typeof field === 'string' && field.startsWith(CUSTOM_PREFIX)) {
+        return deal.custom_fields?.[field.slice(CUSTOM_PREFIX.length)] ?? null;
+      }
+      return null;
+  }
+};
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+const normalizeText = (value) => String(value).trim().toLowerCase();
+
+const isEmpty = (value) => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : Number(String(value).replace(/[$,\s]/g, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Does one condition hold for a deal? Text compares case-insensitively; a
+ * multi-select custom field matches when any selected option matches.
+ */
+export const matchesCondition = (deal, condition, context = {}) => {
+  const actual = getDealFieldValue(deal, condition.field, context);
+  const { operator, value } = condition;
+
+  if (operator === CONDITION_OPERATORS.IS_SET) return !isEmpty(actual);
+
+  if ([CONDITION_OPERATORS.AT_LEAST, CONDITION_OPERATORS.AT_MOST, CONDITION_OPERATORS.BETWEEN].includes(operator)) {
+    const number = toNumber(actual);
+    if (number === null) return false;
+    if (operator === CONDITION_OPERATORS.AT_LEAST) return number >= Number(value);
+    if (operator === CONDITION_OPERATORS.AT_MOST) return number <= Number(value);
+    const [min, max] = Array.isArray(value) ? value : [];
+    return (min === null || min === undefined || number >= Number(min))
+      && (max === null || max === undefined || number <= Number(max));
+  }
+
+  const actualValues = (Array.isArray(actual) ? actual : [actual]).filter(item => !isEmpty(item)).map(normalizeText);
+  const expected = (Array.isArray(value) ? value : [value]).filter(item => !isEmpty(item)).map(normalizeText);
+
+  switch (operator) {
+    case CONDITION_OPERATORS.IS:
+    case CONDITION_OPERATORS.IS_ANY_OF:
+      return actualValues.some(item => expected.includes(item));
+    case CONDITION_OPERATORS.IS_NOT:
+      return !actualValues.some(item => expected.includes(item));
+    case CONDITION_OPERATORS.CONTAINS:
+      return expected.length > 0 && actualValues.some(item => item.includes(expected[0]));
+    default:
+      return false;
+  }
+};
+
+/**
+ * All conditions hold (a rule without conditions matches every deal)
+ */
+export const matchesRule = (deal, rule, context = {}) =>
+  (rule.conditions || []).every(condition => matchesCondition(deal, condition, context));
+
+// ============================================================================
+// PICKING
+// ============================================================================
+
+/**
+ * Weighted round robin: the assignee furthest behind their share
+ * (picks so far / weight) goes next, skipping anyone at their cap. Ties go
+ * to the higher weight, then list order.
+ *
+ * @param {Array} assignees - [{ userId, weight, cap }]
+ * @param {Object} rotation - { [userId]: picks so far by this rule }
+ * @param {Object} openDeals - { [userId]: open deal count }
+ * @returns {string|null} userId, or null when everyone is at capacity
+ */
+export const pickWeightedAssignee = (assignees = [], rotation = {}, openDeals = {}) => {
+  let best = null;
+  for (const assignee of assignees) {
+    const weight = Number(assignee.weight) || 0;
+    if (weight <= 0) continue;
+    if (assignee.cap !== null && assignee.cap !== undefined && (openDeals[assignee.userId] || 0) >= assignee.cap) continue;
+
+    const share = (rotation[assignee.userId] || 0) / weight;
+    if (!best || share < best.share || (share === best.share && weight > best.weight)) {
+      best = { userId: assignee.userId, share, weight };
+    }
+  }
+  return best?.userId ?? null;
+};
+
+/**
+ * Owner for one deal from the first matching active rule
+ *
+ * @param {Array} rules - ordered rules
+ * @param {Object} deal
+ * @param {{ source?: string, rotation?: Object, openDeals?: Object, memberIds?: string[]|null }} context
+ *   rotation is { [ruleId]: { [userId]: picks } }; memberIds drops
+ *   assignees and fallbacks who have left the organization
+ * @returns {{ ruleId: string|null, ruleName: string|null, assignedTo: string|null, reason: string }}
+ */
+export const evaluateAssignmentRules = (rules = [], deal, context = {}) => {
+  const { rotation = {}, openDeals = {}, memberIds = null } = context;
+  const isMember = (userId) => Boolean(userId) && (!memberIds || memberIds.includes(userId));
+
+  for (const rule of rules) {
+    if (rule.isActive === false || !matchesRule(deal, rule, context)) continue;
+
+    const assignees = (rule.assignees || []).filter(assignee => isMember(assignee.userId));
+    const assignedTo = pickWeightedAssignee(assignees, rotation[rule.id] || {}, openDeals);
+    if (assignedTo) {
+      return { ruleId: rule.id, ruleName: rule.name, assignedTo, reason: ASSIGNMENT_REASONS.RULE };
+    }
+    if (isMember(rule.fallbackUserId)) {
+      return { ruleId: rule.id, ruleName: rule.name, assignedTo: rule.fallbackUserId, reason: ASSIGNMENT_REASONS.FALLBACK };
+    }
+    return { ruleId: rule.id, ruleName: rule.name, assignedTo: null, reason: ASSIGNMENT_REASONS.CAPPED };
+  }
+
+  return { ruleId: null, ruleName: null, assignedTo: null, reason: ASSIGNMENT_REASONS.NO_MATCH };
+};
+
+/**
+ * Route deals one after another, as if they arrived in this order: each
+ * pick advances the rule's rotation and moves one open deal onto the new
+ * owner's load. Used for real assignment and for the settings preview.
+ *
+ * @param {Array} rules
+ * @param {Array} deals
+ * @param {{ openDeals?: Object, memberIds?: string[]|null, getSource?: Function }} options
+ *   getSource(deal) → source id
+ * @returns {{ results: Array, picks: Object }} results per deal in order;
+ *   picks is { [ruleId]: { [userId]: new picks } } for the rotation state
+ */
+export const runAssignmentRules = (rules = [], deals = [], { openDeals = {}, memberIds = null, getSource = () => null } = {}) => {
+  const rotation = Object.fromEntries(rules.map(rule => [rule.id, { ...(rule.rotation || {}) }]));
+  const load = { ...openDeals };
+  const picks = {};
+
+  const results = deals.map(deal => {
+    const result = evaluateAssignmentRules(rules, deal, { source: getSource(deal), rotation, openDeals: load, memberIds });
+    const { assignedTo } = result;
+
+    // A pick counts towards the rotation even when the deal already had that owner
+    if (assignedTo && result.reason === ASSIGNMENT_REASONS.RULE) {
+      rotation[result.ruleId][assignedTo] = (rotation[result.ruleId][assignedTo] || 0) + 1;
+      picks[result.ruleId] = { ...picks[result.ruleId], [assignedTo]: (picks[result.ruleId]?.[assignedTo] || 0) + 1 };
+    }
+    const countsAsOpen = !deal.status || deal.status === 'active';
+    if (assignedTo && assignedTo !== deal.assigned_to && countsAsOpen) {
+      load[assignedTo] = (load[assignedTo] || 0) + 1;
+      if (deal.assigned_to && load[deal.assigned_to] > 0) load[deal.assigned_to] -= 1;
+    }
+
+    return { dealId: deal.id ?? null, ...result };
+  });
+
+  return { results, picks };
+};
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+const validateCondition = (condition, customFields) => {
+  if (!condition || typeof condition !== 'object') return 'Each condition needs a field, an operator and a value';
+
+  const kind = getConditionKind(condition.field, customFields);
+  if (!kind) return `Unknown condition field: ${condition.field}`;
+  if (!OPERATORS_BY_KIND[kind].includes(condition.operator)) {
+    return `"${CONDITION_OPERATOR_LABELS[condition.operator] || condition.operator}" can't be used with this field`;
+  }
+
+  const { operator, value } = condition;
+  if (operator === CONDITION_OPERATORS.IS_SET) return null;
+  if (operator === CONDITION_OPERATORS.BETWEEN) {
+    const [min, max] = Array.isArray(value) ? value : [];
+    const bounds = [min, max].filter(bound => bound !== null && bound !== undefined && bound !== '');
+    if (bounds.length === 0 || bounds.some(bound => toNumber(bound) === null)) return 'Enter a number range';
+    if (bounds.length === 2 && toNumber(min) > toNumber(max)) return 'The range minimum is above the maximum';
+    return null;
+  }
+  if (kind === 'number') return toNumber(value) === null ? 'Enter a number' : null;
+  if (operator === CONDITION_OPERATORS.IS_ANY_OF) {
+    return Array.isArray(value) && value.some(item => !isEmpty(item)) ? null : 'Enter at least one value';
+  }
+  if (isEmpty(value) || typeof value !== 'string' || value.length > 200) return 'Enter a value (max 200 characters)';
+  if (condition.field === 'source' && !ASSIGNMENT_SOURCES.some(source => source.id === value)) return 'Choose a source';
+  return null;
+};
+
+/**
+ * Validate a rule from the settings panel
+ *
+ * @param {Object} rule - { name, conditions, assignees, fallbackUserId }
+ * @param {Array} customFields - org custom field definitions
+ * @returns {string[]} errors
+ */
+export const validateAssignmentRule = (rule = {}, customFields = []) => {
+  const errors = [];
+  const name = typeof rule.name === 'string' ? rule.name.trim() : '';
+  if (!name) errors.push('Name is required');
+  else if (name.length > 100) errors.push('Name is too long (max 100 characters)');
+
+  const conditions = Array.isArray(rule.conditions) ? rule.conditions : null;
+  if (!conditions) errors.push('conditions must be a list');
+  else if (conditions.length > ASSIGNMENT_RULE_LIMITS.MAX_CONDITIONS) {
+    errors.push(`At most ${ASSIGNMENT_RULE_LIMITS.MAX_CONDITIONS} conditions per rule`);
+  } else {
+    conditions.forEach(condition => {
+      const error = validateCondition(condition, customFields);
+      if (error && !errors.includes(error)) errors.push(error);
+    });
+  }
+
+  const assignees = Array.isArray(rule.assignees) ? rule.assignees : [];
+  if (assignees.length === 0) errors.push('Add at least one assignee');
+  else if (assignees.length > ASSIGNMENT_RULE_LIMITS.MAX_ASSIGNEES) {
+    errors.push(`At most ${ASSIGNMENT_RULE_LIMITS.MAX_ASSIGNEES} assignees per rule`);
+  } else {
+    if (assignees.some(assignee => !UUID_PATTERN.test(assignee?.userId || ''))) errors.push('Choose a member for each assignee');
+    if (new Set(assignees.map(assignee => assignee?.userId)).size !== assignees.length) errors.push('Each member can only be listed once');
+    if (assignees.some(assignee => !Number.isInteger(assignee?.weight) || assignee.weight < 1 || assignee.weight > ASSIGNMENT_RULE_LIMITS.MAX_WEIGHT)) {
+      errors.push(`Weights must be whole numbers from 1 to ${ASSIGNMENT_RULE_LIMITS.MAX_WEIGHT}`);
+    }
+    if (assignees.some(assignee => assignee?.cap !== null && assignee?.cap !== undefined
+      && (!Number.isInteger(assignee.cap) || assignee.cap < 1 || assignee.cap > ASSIGNMENT_RULE_LIMITS.MAX_CAP))) {
+      errors.push(`Caps must be whole numbers from 1 to ${ASSIGNMENT_RULE_LIMITS.MAX_CAP}, or empty for no cap`);
+    }
+  }
+
+  if (rule.fallbackUserId !== null && rule.fallbackUserId !== undefined && !UUID_PATTERN.test(rule.fallbackUserId)) {
+    errors.push('Choose a fallback owner or leave it empty');
+  }
+  return errors;
+};
+
+/**
+ * Plain-language summary of a condition for the rule list
+ */
+export const describeCondition = (condition, customFields = []) => {
+  const field = CONDITION_FIELDS.find(candidate => candidate.id === condition.field)?.label
+    || customFields.find(candidate => `${CUSTOM_PREFIX}${candidate.key}` === condition.field)?.label
+    || condition.field;
+  const operator = CONDITION_OPERATOR_LABELS[condition.operator] || condition.operator;
+  const label = (value) => (condition.field === 'source' ? ASSIGNMENT_SOURCES.find(source => source.id === value)?.label : null) || value;
+
+  if (condition.operator === CONDITION_OPERATORS.IS_SET) return `${field} ${operator}`;
+  if (condition.operator === CONDITION_OPERATORS.BETWEEN) {
+    const [min, max] = Array.isArray(condition.value) ? condition.value : [];
+    return `${field} ${operator} ${min ?? '…'} and ${max ?? '…'}`;
+  }
+  const value = Array.isArray(condition.value) ? condition.value.map(label).join(', ') : label(condition.value);
+  return `${field} ${operator} ${value}`;
+};
+
+export default {
+  ASSIGNMENT_RULE_LIMITS,
+  ASSIGNMENT_SOURCES,
+  CONDITION_OPERATORS,
+  CONDITION_FIELDS,
+  ASSIGNMENT_REASONS,
+  getConditionKind,
+  getDealFieldValue,
+  matchesCondition,
+  matchesRule,
+  pickWeightedAssignee,
+  evaluateAssignmentRules,
+  runAssignmentRules,
+  validateAssignmentRule,
+  describeCondition
+};
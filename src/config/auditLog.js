@@ -0,0 +1,127 @@
+/**
+ * Organization Audit Log
+ *
+ * The actions recorded in the org audit log, shared by the Audit Log panel
+ * (Settings → General) and netlify/functions/lib/audit-log.ts.
+ *
+ * Each entry says who (a user, an API key or the system) did what (an
+ * action such as 'deal.updated') to which entity, with a short summary and
+ * non-secret metadata. Entries are append-only and kept for the plan's
+ * retention window (auditLogRetentionDays in plan-config.ts).
+ *
+ * Add an action here before writing it from a function - the entity type of
+ * an entry comes from its action.
+ *
+ * NO REACT DEPENDENCIES - shared with netlify/functions/lib/audit-log.ts.
+ *
+ * @module auditLog
+ */
+
+export const AUDIT_LOG_LIMITS = {
+  PAGE_SIZE: 50,
+  MAX_PAGE_SIZE: 200,
+  // Rows per export download
+  MAX_EXPORT_ROWS: 10000,
+  SUMMARY_MAX_LENGTH: 200
+};
+
+export const AUDIT_ENTITY_TYPES = [
+  { id: 'deal', label: 'Deals' },
+  { id: 'export', label: 'Exports' },
+  { id: 'organization', label: 'Organization settings' },
+  { id: 'pipeline', label: 'Pipelines' },
+  { id: 'stage', label: 'Stages' },
+  { id: 'custom_field', label: 'Custom fields' },
+  { id: 'assignment_rule', label: 'Assignment rules' },
+  { id: 'ai_provider', label: 'AI providers' },
+  { id: 'api_key', label: 'API keys' },
+  { id: 'webhook', label: 'Webhooks' },
+  { id: 'member', label: 'Team members' },
+  { id: 'session', label: 'Logins' }
+];
+
+export const AUDIT_ACTIONS = [
+  { id: 'deal.created', entityType: 'deal', label: 'Created deal' },
+  { id: 'deal.updated', entityType: 'deal', label: 'Updated deal' },
+  { id: 'deal.deleted', entityType: 'deal', label: 'Deleted deal' },
+  { id: 'deal.assigned', entityType: 'deal', label: 'Reassigned deals' },
+  { id: 'deal.imported', entityType: 'deal', label: 'Imported deals' },
+  { id: 'deals.exported', entityType: 'export', label: 'Exported deals' },
+  { id: 'audit_log.exported', entityType: 'export', label: 'Exported audit log' },
+  { id: 'organization.updated', entityType: 'organization', label: 'Updated organization settings' },
+  { id: 'pipeline.created', entityType: 'pipeline', label: 'Created pipeline' },
+  { id: 'pipeline.updated', entityType: 'pipeline', label: 'Updated pipeline' },
+  { id: 'pipeline.deleted', entityType: 'pipeline', label: 'Deleted pipeline' },
+  { id: 'stages.updated', entityType: 'stage', label: 'Updated stages' },
+  { id: 'custom_field.created', entityType: 'custom_field', label: 'Created custom field' },
+  { id: 'custom_field.updated', entityType: 'custom_field', label: 'Updated custom field' },
+  { id: 'custom_field.deleted', entityType: 'custom_field', label: 'Deleted custom field' },
+  { id: 'assignment_rule.created', entityType: 'assignment_rule', label: 'Created assignment rule' },
+  { id: 'assignment_rule.updated', entityType: 'assignment_rule', label: 'Updated assignment rule' },
+  { id: 'assignment_rule.deleted', entityType: 'assignment_rule', label: 'Deleted assignment rule' },
+  { id: 'ai_provider.added', entityType: 'ai_provider', label: 'Added AI provider' },
+  { id: 'ai_provider.removed', entityType: 'ai_provider', label: 'Removed AI provider' },
+  { id: 'ai_provider.allowlist_updated', entityType: 'ai_provider', label: 'Updated AI endpoint allowlist' },
+  { id: 'api_key.created', entityType: 'api_key', label: 'Created API key' },
+  { id: 'api_key.revoked', entityType: 'api_key', label: 'Revoked API key' },
+  { id: 'webhook.created', entityType: 'webhook', label: 'Created webhook' },
+  { id: 'webhook.deleted', entityType: 'webhook', label: 'Deleted webhook' },
+  { id: 'webhook.secret_rotated', entityType: 'webhook', label: 'Rotated webhook secret' },
+  { id: 'member.role_changed', entityType: 'member', label: 'Changed member role' },
+  { id: 'member.removed', entityType: 'member', label: 'Removed member' },
+  { id: 'user.login', entityType: 'session', label: 'Logged in' }
+];
+
+export const AUDIT_ACTOR_TYPES = {
+  USER: 'user',
+  API_KEY: 'api_key',
+  SYSTEM: 'system',
+  LEAD_CAPTURE: 'lead_capture'
+};
+
+const ACTIONS_BY_ID = Object.fromEntries(AUDIT_ACTIONS.map(action => [action.id, action]));
+
+/**
+ * Action definition, or undefined for an unknown action
+ *
+ * @param {string} actionId
+ */
+export const getAuditAction = (actionId) => ACTIONS_BY_ID[actionId];
+
+/**
+ * Display label for an action ("Updated deal"); unknown actions show their id
+ *
+ * @param {string} actionId
+ * @returns {string}
+ */
+export const getAuditActionLabel = (actionId) => ACTIONS_BY_ID[actionId]?.label || actionId;
+
+/**
+ * Display label for an entity type
+ *
+ * @param {string} entityType
+ * @returns {string}
+ */
+export const getAuditEntityLabel = (entityType) =>
+  AUDIT_ENTITY_TYPES.find(type => type.id === entityType)?.label || entityType;
+
+/**
+ * Earliest timestamp still inside a retention window
+ *
+ * @param {number} retentionDays
+ * @param {Date} [now]
+ * @returns {string} ISO timestamp
+ */
+export const getAuditRetentionCutoff = (retentionDays, now = new Date()) =>
+  new Date(now.getTime() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+
+export default {
+  AUDIT_LOG_LIMITS,
+  AUDIT_ENTITY_TYPES,
+  AUDIT_ACTIONS,
+  AUDIT_ACTOR_TYPES,
+  getAuditAction,
+  getAuditActionLabel,
+  getAuditEntityLabel,
+  getAuditRetentionCutoff
+};
@@ -0,0 +1,241 @@
+/**
+ * Deal Custom Field Configuration
+ *
+ * Field types, value coercion and per-pipeline-template default fields for
+ * org-defined deal custom fields (stored in deals.custom_fields, keyed by
+ * field key). Pure JS with no React imports so the backend can share it
+ * (netlify/functions/lib/custom-fields.ts).
+ *
+ * @module customFieldConfig
+ */
+
+export const CUSTOM_FIELD_TYPES = {
+  TEXT: 'text',
+  NUMBER: 'number',
+  CURRENCY: 'currency',
+  DATE: 'date',
+  SELECT: 'select',
+  MULTI_SELECT: 'multi_select',
+  URL: 'url'
+};
+
+export const CUSTOM_FIELD_TYPE_LABELS = {
+  [CUSTOM_FIELD_TYPES.TEXT]: 'Text',
+  [CUSTOM_FIELD_TYPES.NUMBER]: 'Number',
+  [CUSTOM_FIELD_TYPES.CURRENCY]: 'Currency',
+  [CUSTOM_FIELD_TYPES.DATE]: 'Date',
+  [CUSTOM_FIELD_TYPES.SELECT]: 'Select',
+  [CUSTOM_FIELD_TYPES.MULTI_SELECT]: 'Multi-select',
+  [CUSTOM_FIELD_TYPES.URL]: 'URL'
+};
+
+export const CUSTOM_FIELD_LIMITS = {
+  MAX_FIELDS: 50,
+  MAX_TEXT_LENGTH: 1000,
+  MAX_OPTIONS: 100,
+  MAX_OPTION_LENGTH: 100
+};
+
+/** Field keys are stable snake_case identifiers (label can change) */
+export const CUSTOM_FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+/**
+ * Default fields offered per pipeline template (see PIPELINE_TEMPLATES[*].customFields).
+ * `defaultValue` is applied to new deals that don't set the field.
+ */
+export const TEMPLATE_CUSTOM_FIELDS = {
+  vc_pe: [
+    { key: 'check_size', label: 'Check Size', type: CUSTOM_FIELD_TYPES.CURRENCY, required: false },
+    { key: 'round', label: 'Round', type: CUSTOM_FIELD_TYPES.SELECT, required: false, options: ['Pre-seed', 'Seed', 'Series A', 'Series B', 'Series C+', 'Growth'] },
+    { key: 'sector', label: 'Sector', type: CUSTOM_FIELD_TYPES.MULTI_SELECT, required: false, options: ['Fintech', 'Healthcare', 'SaaS', 'Consumer', 'Climate', 'Deep Tech'] },
+    { key: 'lead_investor', label: 'Lead Investor', type: CUSTOM_FIELD_TYPES.TEXT, required: false },
+    { key: 'data_room_url', label: 'Data Room', type: CUSTOM_FIELD_TYPES.URL, required: false }
+  ],
+  real_estate: [
+    { key: 'property_address', label: 'Property Address', type: CUSTOM_FIELD_TYPES.TEXT, required: false },
+    { key: 'mls_number', label: 'MLS #', type: CUSTOM_FIELD_TYPES.TEXT, required: false },
+    { key: 'property_type', label: 'Property Type', type: CUSTOM_FIELD_TYPES.SELECT, required: false, options: ['Single Family', 'Condo', 'Townhouse', 'Multi-Family', 'Land', 'Commercial'], defaultValue: 'Single Family' },
+    { key: 'listing_price', label: 'Listing Price', type: CUSTOM_FIELD_TYPES.CURRENCY, required: false },
+    { key: 'closing_date', label: 'Closing Date', type: CUSTOM_FIELD_TYPES.DATE, required: false }
+  ],
+  healthcare: [
+    { key: 'facility_type', label: 'Facility Type', type: CUSTOM_FIELD_TYPES.SELECT, required: false, options: ['Hospital', 'Clinic', 'Practice', 'Lab', 'Pharmacy'] },
+    { key: 'bed_count', label: 'Bed Count', type: CUSTOM_FIELD_TYPES.NUMBER, required: false }
+  ],
+  saas: [
+    { key: 'seats', label: 'Seats', type: CUSTOM_FIELD_TYPES.NUMBER, required: false },
+    { key: 'contract_term', label: 'Contract Term', type: CUSTOM_FIELD_TYPES.SELECT, required: false, options: ['Monthly', 'Annual', 'Multi-year'], defaultValue: 'Annual' },
+    { key: 'renewal_date', label: 'Renewal Date', type: CUSTOM_FIELD_TYPES.DATE, required: false }
+  ],
+  professional_services: [
+    { key: 'engagement_type', label: 'Engagement Type', type: CUSTOM_FIELD_TYPES.SELECT, required: false, options: ['Fixed Fee', 'Time & Materials', 'Retainer'] }
+  ],
+  default: []
+};
+
+/**
+ * Default field definitions for a pipeline template id
+ */
+export const getTemplateCustomFields = (templateId) =>
+  TEMPLATE_CUSTOM_FIELDS[templateId] || TEMPLATE_CUSTOM_FIELDS.default;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const isEmptyValue = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Coerce one raw value to the field's stored representation.
+ *
+ * Numeric strings are accepted for number/currency ("$1,200" → 1200).
+ * `fromText` additionally accepts loose text for dates ("3/14/2025") and
+ * "a; b" lists for multi-select (CSV cells). Options match
+ * case-insensitively and are stored with the defined casing.
+ *
+ * @returns {{ value: any, error: string | null }} value is null for empty input
+ */
+export const coerceCustomFieldValue = (field, raw, { fromText = false } = {}) => {
+  if (isEmptyValue(raw)) return { value: null, error: null };
+
+  const label = field.label || field.key;
+  const options = Array.isArray(field.options) ? field.options : [];
+  const findOption = (candidate) =>
+    options.find(option => option.toLowerCase() === String(candidate).trim().toLowerCase());
+
+  switch (field.type) {
+    case CUSTOM_FIELD_TYPES.TEXT: {
+      const text = String(raw).trim();
+      if (text.length > CUSTOM_FIELD_LIMITS.MAX_TEXT_LENGTH) {
+        return { value: null, error: `${label} must be at most ${CUSTOM_FIELD_LIMITS.MAX_TEXT_LENGTH} characters` };
+      }
+      return { value: text || null, error: null };
+    }
+
+    case CUSTOM_FIELD_TYPES.NUMBER:
+    case CUSTOM_FIELD_TYPES.CURRENCY: {
+      const number = typeof raw === 'string' ? Number(raw.replace(/[$€£,\s]/g, '')) : raw;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { value: null, error: `${label} must be a number` };
+      }
+      return {
+        value: field.type === CUSTOM_FIELD_TYPES.CURRENCY ? Math.round(number * 100) / 100 : number,
+        error: null
+      };
+    }
+
+    case CUSTOM_FIELD_TYPES.DATE: {
+      const text = String(raw).trim();
+      const candidate = DATE_PATTERN.test(text) ? text : (fromText ? toIsoDate(text) : null);
+      if (!candidate || Number.isNaN(Date.parse(`${candidate}T00:00:00Z`))) {
+        return { value: null, error: `${label} must be a date (YYYY-MM-DD)` };
+      }
+      return { value: candidate, error: null };
+    }
+
+    case CUSTOM_FIELD_TYPES.SELECT: {
+      const match = findOption(raw);
+      if (!match) return { value: null, error: `${label} must be one of: ${options.join(', ')}` };
+      return { value: match, error: null };
+    }
+
+    case CUSTOM_FIELD_TYPES.MULTI_SELECT: {
+      const items = Array.isArray(raw)
+        ? raw
+        : (fromText ? String(raw).split(/[;|]/) : null);
+      if (!items) return { value: null, error: `${label} must be a list` };
+
+      const values = [];
+      for (const item of items) {
+        if (isEmptyValue(item) || String(item).trim() === '') continue;
+        const match = findOption(item);
+        if (!match) return { value: null, error: `${label}: "${item}" is not an option` };
+        if (!values.includes(match)) values.push(match);
+      }
+      return { value: values.length > 0 ? values : null, error: null };
+    }
+
+    case CUSTOM_FIELD_TYPES.URL: {
+      const text = String(raw).trim();
+      try {
+        const url = new URL(text);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error('protocol');
+        return { value: url.toString(), error: null };
+      } catch {
+        return { value: null, error: `${label} must be an http(s) URL` };
+      }
+    }
+
+    default:
+      return { value: null, error: `${label} has an unknown type` };
+  }
+};
+
+// Accept common spreadsheet date formats in text input ("3/14/2025", "Mar 14 2025")
+const toIsoDate = (text) => {
+  const parsed = new Date(text);
+  if (Number.isNaN(parsed.getTime())) return null;
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+};
+
+/**
+ * Display string for a stored value
+ */
+export const formatCustomFieldValue = (field, value) => {
+  if (isEmptyValue(value)) return '—';
+  switch (field.type) {
+    case CUSTOM_FIELD_TYPES.CURRENCY:
+      return `$${Number(value).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+    case CUSTOM_FIELD_TYPES.NUMBER:
+      return Number(value).toLocaleString();
+    case CUSTOM_FIELD_TYPES.DATE:
+      return new Date(`${value}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    case CUSTOM_FIELD_TYPES.MULTI_SELECT:
+      return Array.isArray(value) ? value.join(', ') : String(value);
+    default:
+      return String(value);
+  }
+};
+
+/**
+ * Whether a deal matches a custom field filter.
+ * Select/multi-select match an exact option, number/currency/date compare
+ * against { min, max }, text/url do a case-insensitive contains.
+ */
+export const matchesCustomFieldFilter = (deal, field, filter) => {
+  if (!filter) return true;
+  const hasRange = !isEmptyValue(filter.min) || !isEmptyValue(filter.max);
+  if (isEmptyValue(filter.value) && !hasRange) return true;
+
+  const value = deal?.custom_fields?.[field.key];
+  if (isEmptyValue(value)) return false;
+
+  switch (field.type) {
+    case CUSTOM_FIELD_TYPES.SELECT:
+      return value === filter.value;
+    case CUSTOM_FIELD_TYPES.MULTI_SELECT:
+      return Array.isArray(value) && value.includes(filter.value);
+    case CUSTOM_FIELD_TYPES.NUMBER:
+    case CUSTOM_FIELD_TYPES.CURRENCY:
+    case CUSTOM_FIELD_TYPES.DATE: {
+      // ISO dates compare correctly as strings
+      const toComparable = (v) => (field.type === CUSTOM_FIELD_TYPES.DATE ? String(v) : Number(v));
+      if (!isEmptyValue(filter.min) && toComparable(value) < toComparable(filter.min)) return false;
+      if (!isEmptyValue(filter.max) && toComparable(value) > toComparable(filter.max)) return false;
+      return true;
+    }
+    default:
+      return String(value).toLowerCase().includes(String(filter.value).toLowerCase());
+  }
+};
+
+export default {
+  CUSTOM_FIELD_TYPES,
+  CUSTOM_FIELD_TYPE_LABELS,
+  CUSTOM_FIELD_LIMITS,
+  TEMPLATE_CUSTOM_FIELDS,
+  getTemplateCustomFields,
+  coerceCustomFieldValue,
+  formatCustomFieldValue,
+  matchesCustomFieldFilter
+};
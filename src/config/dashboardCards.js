@@ -31,7 +31,7 @@ export const DASHBOARD_CARDS = {
     isAvailable: ({ hasAIProvider, aiDashboardManuallyOff }) => !hasAIProvider || aiDashboardManuallyOff,
 
     // Props to pass to component
-    getProps: ({ deals, currentUser }) => ({ deals, currentUser })
+    getProps: ({ deals, currentUser, pipelines, activePipelineId, stageDefinitions }) => ({ deals, currentUser, pipelines, activePipelineId, stageDefinitions })
   },
 
   revenue_targets: {
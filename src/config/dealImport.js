@@ -0,0 +1,436 @@
+/**
+ * Deal Import
+ *
+ * Rules shared by the CSV/XLSX import UI (Integrations → CSV Import) and
+ * import-deals-csv / import-deals-background: file parsing, column and stage
+ * mapping, row validation and duplicate planning.
+ *
+ * A row goes through:
+ * 1. mapImportRow     - source columns → deal fields via `mapping`
+ *                       ({ client: 'Company Name', 'custom:round': 'Round' }),
+ *                       stage values via `stageMapping` ({ 'Proposal': 'proposal_sent' })
+ * 2. planImportRow    - duplicate check by email or client name against
+ *                       existing deals → create / update / skip
+ *
+ * Stages are checked against the stage ids of the pipeline being imported
+ * into (the UI resolves them from the org's pipeline) - not a fixed list.
+ *
+ * NO REACT DEPENDENCIES - shared with netlify/functions/lib/deal-import.ts.
+ *
+ * @module dealImport
+ */
+
+export const IMPORT_LIMITS = {
+  MAX_FILE_SIZE: 10 * 1024 * 1024,
+  MAX_ROWS: 50000,
+  // Larger imports run as a background job
+  SYNC_MAX_ROWS: 500,
+  // Rows per dry run / per job upload request
+  CHUNK_ROWS: 1000,
+  BATCH_SIZE: 100,
+  PREVIEW_ROWS: 50,
+  MAX_STORED_ERRORS: 1000
+};
+
+export const DUPLICATE_STRATEGIES = ['skip', 'update', 'create'];
+export const DEDUPE_KEYS = ['email', 'client'];
+
+export const IMPORT_STATUSES = ['active', 'won', 'lost', 'disqualified'];
+
+export const CUSTOM_FIELD_MAPPING_PREFIX = 'custom:';
+
+// Deal fields a column can map to; aliases drive the automatic mapping
+export const IMPORT_FIELDS = [
+  { key: 'client', label: 'Client Name', required: true, aliases: ['client', 'client name', 'company', 'company name', 'account', 'organization', 'name', 'deal', 'deal name'] },
+  { key: 'email', label: 'Email', aliases: ['email', 'email address', 'contact email', 'e-mail'] },
+  { key: 'phone', label: 'Phone', aliases: ['phone', 'phone number', 'contact phone', 'mobile', 'telephone'] },
+  { key: 'value', label: 'Deal Value', aliases: ['value', 'deal value', 'amount', 'deal amount', 'revenue', 'price'] },
+  { key: 'stage', label: 'Stage', aliases: ['stage', 'deal stage', 'pipeline stage', 'status stage'] },
+  { key: 'status', label: 'Status', aliases: ['status', 'deal status', 'outcome'] },
+  { key: 'expected_close_date', label: 'Expected Close Date', aliases: ['expected close date', 'close date', 'expected close', 'closing date'] },
+  { key: 'notes', label: 'Notes', aliases: ['notes', 'note', 'description', 'comments'] }
+];
+
+const STAGE_ID_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const PHONE_PATTERN = /^[\d\s\-+().]+$/;
+
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[_\-.]+/g, ' ').replace(/\s+/g, ' ').trim();
+
+const cell = (row, column) => {
+  if (!column) return '';
+  const value = row?.[column];
+  return value === undefined || value === null ? '' : String(value).trim();
+};
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, newlines inside quotes,
+ * CRLF, BOM). Blank lines are skipped.
+ *
+ * @param {string} text
+ * @returns {{ headers: string[], rows: Object[] }} rows keyed by header
+ */
+export const parseCSV = (text) => {
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  record.push(field);
+  records.push(record);
+
+  const nonEmpty = records.filter(values => values.some(value => value.trim() !== ''));
+  return toRowObjects(nonEmpty);
+};
+
+/**
+ * First record is the header row; later records become objects keyed by
+ * header. Blank headers get a "Column N" name so they can still be mapped.
+ *
+ * @param {Array<Array<string>>} records
+ */
+export const toRowObjects = (records = []) => {
+  if (records.length === 0) return { headers: [], rows: [] };
+
+  const seen = new Map();
+  const headers = records[0].map((header, index) => {
+    const base = String(header ?? '').trim() || `Column ${index + 1}`;
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count === 0 ? base : `${base} (${count + 1})`;
+  });
+
+  const rows = records.slice(1).map(values => headers.reduce((row, header, index) => {
+    row[header] = values[index] === undefined || values[index] === null ? '' : String(values[index]);
+    return row;
+  }, {}));
+
+  return { headers, rows };
+};
+
+// ============================================================================
+// MAPPING
+// ============================================================================
+
+/**
+ * Suggest a column for each deal field (and custom field) from header names
+ *
+ * @param {string[]} headers
+ * @param {Array} customFields - org custom field definitions ({ key, label })
+ * @returns {Object} { [fieldKey]: header }
+ */
+export const guessColumnMapping = (headers = [], customFields = []) => {
+  const byName = new Map(headers.map(header => [normalizeHeader(header), header]));
+  const mapping = {};
+  const used = new Set();
+
+  const claim = (target, candidates) => {
+    const header = candidates.map(name => byName.get(normalizeHeader(name))).find(h => h && !used.has(h));
+    if (header) {
+      mapping[target] = header;
+      used.add(header);
+    }
+  };
+
+  IMPORT_FIELDS.forEach(field => claim(field.key, field.aliases));
+  customFields.forEach(field => claim(`${CUSTOM_FIELD_MAPPING_PREFIX}${field.key}`, [field.label, field.key]));
+
+  return mapping;
+};
+
+/**
+ * "Proposal Sent" → "proposal_sent"
+ */
+export const normalizeStageValue = (value) => String(value || '')
+  .toLowerCase()
+  .trim()
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^[^a-z]+/, '')
+  .replace(/_+$/, '')
+  .slice(0, 50);
+
+/**
+ * Match each distinct stage value in the file to one of the pipeline's stages
+ * by id or name. Unmatched values map to null - the user picks one (or the
+ * rows fail validation).
+ *
+ * @param {string[]} values - raw stage cells
+ * @param {Array<{id: string, name: string}>} stages - pipeline stages
+ * @returns {Object} { [rawValue]: stageId | null }
+ */
+export const buildStageMapping = (values = [], stages = []) => {
+  const mapping = {};
+  values.forEach(raw => {
+    const value = String(raw || '').trim();
+    if (!value || Object.prototype.hasOwnProperty.call(mapping, value)) return;
+    const normalized = normalizeStageValue(value);
+    const stage = stages.find(s => s.id === normalized)
+      || stages.find(s => normalizeStageValue(s.name) === normalized);
+    mapping[value] = stage ? stage.id : null;
+  });
+  return mapping;
+};
+
+/**
+ * Raw custom field cells from a row, keyed by field key (coerced server-side)
+ */
+export const extractCustomFields = (row, mapping = {}) => {
+  const customFields = {};
+  Object.entries(mapping).forEach(([target, column]) => {
+    if (!target.startsWith(CUSTOM_FIELD_MAPPING_PREFIX) || !column) return;
+    const value = cell(row, column);
+    if (value) customFields[target.slice(CUSTOM_FIELD_MAPPING_PREFIX.length)] = value;
+  });
+  return customFields;
+};
+
+// "$50,000.00" → 50000; "1.234,5" isn't supported (ambiguous)
+const parseAmount = (value) => {
+  const cleaned = value.replace(/[^0-9.-]/g, '');
+  return cleaned === '' ? NaN : Number(cleaned);
+};
+
+// ISO dates pass through; other formats go through Date parsing → YYYY-MM-DD
+const parseDate = (value) => {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) return null;
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Map and validate one source row.
+ *
+ * @param {Object} row - source row keyed by column
+ * @param {Object} options
+ * @param {Object} options.mapping - { [fieldKey]: column }
+ * @param {Object} [options.stageMapping] - { [rawStage]: stageId }
+ * @param {string[]} [options.stageIds] - valid stage ids; empty accepts any snake_case id
+ * @param {string|null} [options.defaultStage] - stage for rows without one (null leaves it unset)
+ * @returns {{ deal: Object, errors: string[] }} deal holds only fields present in the row
+ */
+export const mapImportRow = (row, { mapping = {}, stageMapping = {}, stageIds = [], defaultStage = 'lead' } = {}) => {
+  const errors = [];
+  const deal = {};
+
+  const client = cell(row, mapping.client);
+  if (!client) {
+    errors.push('Client name is required');
+  } else if (client.length > 255) {
+    errors.push('Client name is too long (max 255 characters)');
+  } else {
+    deal.client = client;
+  }
+
+  const email = cell(row, mapping.email);
+  if (email) {
+    if (EMAIL_PATTERN.test(email)) deal.email = email;
+    else errors.push('Invalid email format');
+  }
+
+  const phone = cell(row, mapping.phone);
+  if (phone) {
+    if (PHONE_PATTERN.test(phone) && phone.replace(/\D/g, '').length >= 7) deal.phone = phone;
+    else errors.push('Invalid phone format');
+  }
+
+  const value = cell(row, mapping.value);
+  if (value) {
+    const amount = parseAmount(value);
+    if (Number.isFinite(amount) && amount >= 0) deal.value = amount;
+    else errors.push('Deal value must be a positive number');
+  }
+
+  const rawStage = cell(row, mapping.stage);
+  if (rawStage) {
+    const normalized = normalizeStageValue(rawStage);
+    const mapped = stageMapping[rawStage]
+      || (stageIds.length > 0 ? (stageIds.includes(normalized) ? normalized : null) : (STAGE_ID_PATTERN.test(normalized) ? normalized : null));
+    if (mapped) deal.stage = mapped;
+    else errors.push(`Unknown stage "${rawStage}" - map it to a pipeline stage`);
+  } else if (defaultStage) {
+    deal.stage = defaultStage;
+  }
+
+  const status = cell(row, mapping.status).toLowerCase();
+  if (status) {
+    if (IMPORT_STATUSES.includes(status)) deal.status = status;
+    else errors.push(`Invalid status. Must be one of: ${IMPORT_STATUSES.join(', ')}`);
+  }
+
+  const closeDate = cell(row, mapping.expected_close_date);
+  if (closeDate) {
+    const parsed = parseDate(closeDate);
+    if (parsed) deal.expected_close_date = parsed;
+    else errors.push('Invalid expected close date');
+  }
+
+  const notes = cell(row, mapping.notes);
+  if (notes) {
+    if (notes.length <= 5000) deal.notes = notes;
+    else errors.push('Notes are too long (max 5000 characters)');
+  }
+
+  const customFields = extractCustomFields(row, mapping);
+  if (Object.keys(customFields).length > 0) deal.custom_fields = customFields;
+
+  return { deal, errors };
+};
+
+// ============================================================================
+// DUPLICATES
+// ============================================================================
+
+/**
+ * Key a deal is matched on for duplicate detection, or null when the field is empty
+ * @param {Object} deal
+ * @param {'email'|'client'} dedupeBy
+ */
+export const getDuplicateKey = (deal, dedupeBy) => {
+  const value = dedupeBy === 'email' ? deal?.email : dedupeBy === 'client' ? deal?.client : null;
+  if (!value) return null;
+  return String(value).toLowerCase().replace(/\s+/g, ' ').trim() || null;
+};
+
+/**
+ * Decide what happens to a valid row.
+ *
+ * `index` maps duplicate keys to { dealId, row? } - existing deals, plus rows
+ * already planned from this file (`row` set). It is updated as rows are
+ * planned, so a key repeated within the file is skipped as a duplicate of the
+ * first row rather than creating two deals.
+ *
+ * @param {Object} deal - mapped deal
+ * @param {number} rowNumber - 1-based data row number
+ * @param {Map} index
+ * @param {{ duplicateStrategy: string, dedupeBy: string }} options
+ * @returns {{ action: 'create'|'update'|'skip', dealId?: string, reason?: string }}
+ */
+export const planImportRow = (deal, rowNumber, index, { duplicateStrategy = 'skip', dedupeBy = 'email' } = {}) => {
+  if (duplicateStrategy === 'create') return { action: 'create' };
+
+  const key = getDuplicateKey(deal, dedupeBy);
+  if (!key) return { action: 'create' };
+
+  const match = index.get(key);
+  if (!match) {
+    index.set(key, { dealId: null, row: rowNumber });
+    return { action: 'create' };
+  }
+  if (match.row) {
+    return { action: 'skip', reason: `Duplicate of row ${match.row}` };
+  }
+  if (duplicateStrategy === 'update') {
+    return { action: 'update', dealId: match.dealId };
+  }
+  return { action: 'skip', dealId: match.dealId, reason: `Matches an existing deal by ${dedupeBy === 'email' ? 'email' : 'client name'}` };
+};
+
+/**
+ * Validate import options from the UI
+ * @returns {string[]} errors
+ */
+export const validateImportOptions = (options = {}) => {
+  const errors = [];
+  if (!options.mapping || typeof options.mapping !== 'object' || !options.mapping.client) {
+    errors.push('Map a column to Client Name');
+  }
+  if (options.duplicateStrategy && !DUPLICATE_STRATEGIES.includes(options.duplicateStrategy)) {
+    errors.push(`duplicateStrategy must be one of ${DUPLICATE_STRATEGIES.join(', ')}`);
+  }
+  if (options.dedupeBy && !DEDUPE_KEYS.includes(options.dedupeBy)) {
+    errors.push(`dedupeBy must be one of ${DEDUPE_KEYS.join(', ')}`);
+  }
+  if (options.stageIds && (!Array.isArray(options.stageIds) || !options.stageIds.every(id => STAGE_ID_PATTERN.test(id)))) {
+    errors.push('stageIds must be a list of stage ids');
+  }
+  if (options.stageMapping && Object.values(options.stageMapping).some(id => id && !STAGE_ID_PATTERN.test(id))) {
+    errors.push('stageMapping values must be stage ids');
+  }
+  return errors;
+};
+
+// ============================================================================
+// ERROR REPORT
+// ============================================================================
+
+const csvCell = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Downloadable error report: row number, result (failed / skipped), reasons,
+ * then the original columns when the source rows are available.
+ *
+ * @param {Array<{row: number, errors: string[], skipped?: boolean}>} errors
+ * @param {Object[]} [rows] - source rows (index = row number - 1)
+ * @param {string[]} [headers]
+ * @returns {string} CSV text
+ */
+export const buildErrorReportCSV = (errors = [], rows = [], headers = []) => {
+  const lines = [['Row', 'Result', 'Errors', ...headers].map(csvCell).join(',')];
+  errors.forEach(error => {
+    const source = rows[error.row - 1] || {};
+    const result = error.skipped ? 'skipped' : 'failed';
+    lines.push([error.row, result, (error.errors || []).join('; '), ...headers.map(h => source[h])].map(csvCell).join(','));
+  });
+  return lines.join('\n');
+};
+
+export default {
+  IMPORT_LIMITS,
+  DUPLICATE_STRATEGIES,
+  DEDUPE_KEYS,
+  IMPORT_FIELDS,
+  IMPORT_STATUSES,
+  CUSTOM_FIELD_MAPPING_PREFIX,
+  parseCSV,
+  toRowObjects,
+  guessColumnMapping,
+  normalizeStageValue,
+  buildStageMapping,
+  extractCustomFields,
+  mapImportRow,
+  getDuplicateKey,
+  planImportRow,
+  validateImportOptions,
+  buildErrorReportCSV
+};
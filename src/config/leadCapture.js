@@ -0,0 +1,143 @@
+/**
+ * Inbound Lead Capture
+ *
+ * Rules shared by the lead capture settings (Integrations → Lead Capture) and
+ * netlify/functions/lead-capture.mts: payload flattening, field mapping and
+ * endpoint validation.
+ *
+ * A website form or ad platform posts JSON or form data to the endpoint's
+ * secret URL (/api/v1/capture/<token>). The payload is flattened to dotted
+ * paths ({ contact: { email } } → 'contact.email') and mapped to deal fields
+ * with the same mapping shape and validation as the CSV import
+ * ({ client: 'company', email: 'contact.email', 'custom:source': 'utm_source' }).
+ * Every capture lands in the endpoint's stage.
+ *
+ * NO REACT DEPENDENCIES - shared with netlify/functions/lib/lead-capture.ts.
+ *
+ * @module leadCapture
+ */
+
+import { mapImportRow, guessColumnMapping } from './dealImport';
+
+export const LEAD_CAPTURE_PATH = '/api/v1/capture';
+
+export const LEAD_CAPTURE_LIMITS = {
+  MAX_BODY_BYTES: 64 * 1024,
+  // Nesting below this depth is ignored when flattening
+  MAX_DEPTH: 5,
+  MAX_ENDPOINTS_PER_ORG: 20
+};
+
+export const ASSIGNMENT_MODES = [
+  { id: 'round_robin', label: 'Round robin across the team' },
+  { id: 'fixed', label: 'Always assign to one member' }
+];
+
+export const CAPTURE_STATUSES = ['created', 'rejected', 'throttled', 'error'];
+
+const STAGE_ID_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// ============================================================================
+// PAYLOAD
+// ============================================================================
+
+/**
+ * Flatten a posted payload to { 'dotted.path': value }. Arrays of scalars
+ * are joined with ", " (multi-select form fields); arrays of objects are
+ * indexed ('items.0.name').
+ *
+ * @param {Object} payload
+ * @returns {Object}
+ */
+export const flattenPayload = (payload) => {
+  const flat = {};
+
+  const visit = (value, path, depth) => {
+    if (value === null || value === undefined) return;
+    if (Array.isArray(value)) {
+      if (value.every(item => item === null || typeof item !== 'object')) {
+        flat[path] = value.filter(item => item !== null && item !== undefined).join(', ');
+      } else if (depth < LEAD_CAPTURE_LIMITS.MAX_DEPTH) {
+        value.forEach((item, index) => visit(item, `${path}.${index}`, depth + 1));
+      }
+      return;
+    }
+    if (typeof value === 'object') {
+      if (depth >= LEAD_CAPTURE_LIMITS.MAX_DEPTH) return;
+      Object.entries(value).forEach(([key, child]) => visit(child, path ? `${path}.${key}` : key, depth + 1));
+      return;
+    }
+    flat[path] = String(value);
+  };
+
+  if (payload && typeof payload === 'object') visit(payload, '', 0);
+  return flat;
+};
+
+// ============================================================================
+// MAPPING
+// ============================================================================
+
+/**
+ * Suggest a mapping from the paths of a sample payload (e.g. the last capture)
+ *
+ * @param {Object} payload - raw payload
+ * @param {Array} customFields - org custom field definitions ({ key, label })
+ * @returns {Object} { [fieldKey]: path }
+ */
+export const guessCaptureMapping = (payload, customFields = []) => {
+  const { stage, status, ...mapping } = guessColumnMapping(Object.keys(flattenPayload(payload)), customFields);
+  return mapping;
+};
+
+/**
+ * Map and validate one captured payload into a new deal in `stage`.
+ * Mapped stage and status paths are ignored - the endpoint decides the
+ * stage, and the status follows from it.
+ *
+ * @param {Object} payload - raw payload
+ * @param {{ mapping: Object, stage: string }} endpoint
+ * @returns {{ deal: Object, errors: string[] }}
+ */
+export const mapCapturedLead = (payload, { mapping = {}, stage } = {}) => {
+  const { stage: ignoredStage, status: ignoredStatus, ...fieldMapping } = mapping || {};
+  return mapImportRow(flattenPayload(payload), {
+    mapping: fieldMapping,
+    defaultStage: stage || 'lead'
+  });
+};
+
+/**
+ * Validate endpoint settings from the UI
+ * @returns {string[]} errors
+ */
+export const validateCaptureEndpoint = (endpoint = {}) => {
+  const errors = [];
+  const name = typeof endpoint.name === 'string' ? endpoint.name.trim() : '';
+  if (!name) errors.push('Name is required');
+  else if (name.length > 100) errors.push('Name is too long (max 100 characters)');
+
+  const mapping = endpoint.fieldMapping;
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping) || !mapping.client) {
+    errors.push('Map a payload field to Client Name');
+  } else if (Object.values(mapping).some(path => typeof path !== 'string' || path.length > 200)) {
+    errors.push('Field mapping values must be payload paths');
+  }
+
+  if (!STAGE_ID_PATTERN.test(endpoint.stage || '')) errors.push('Choose a stage');
+
+  if (!ASSIGNMENT_MODES.some(mode => mode.id === endpoint.assignmentMode)) {
+    errors.push(`assignmentMode must be one of ${ASSIGNMENT_MODES.map(mode => mode.id).join(', ')}`);
+  } else if (endpoint.assignmentMode === 'fixed' && !UUID_PATTERN.test(endpoint.assignTo || '')) {
+    errors.push('Choose the member new leads are assigned to');
+  }
+  return errors;
+};
+
+/**
+ * Public URL a form posts to
+ * @param {string} origin - e.g. window.location.origin
+ * @param {string} token
+ */
+export const buildCaptureUrl = (origin, token) => `${String(origin || '').replace(/\/+$/, '')}${LEAD_CAPTURE_PATH}/${token}`;
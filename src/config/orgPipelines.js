@@ -0,0 +1,101 @@
+/**
+ * Organization Pipelines
+ *
+ * An organization can run several named pipelines side by side (e.g. New
+ * Business, Renewals, Partnerships). Each pipeline is built from a
+ * pipeline template or a custom stage list, and every deal belongs to one
+ * pipeline via deals.pipeline_id.
+ *
+ * Deals with a null pipeline_id (created before multiple pipelines existed)
+ * belong to the org's default pipeline.
+ *
+ * NO REACT DEPENDENCIES - shared with netlify/functions/lib/pipelines.ts and
+ * revenue rollups. Stage lists with icons live in pipelineTemplates.js
+ * (getPipelineStages).
+ *
+ * @module orgPipelines
+ */
+
+export const PIPELINE_LIMITS = {
+  MAX_PIPELINES: 10,
+  MAX_STAGES: 30,
+  MAX_NAME_LENGTH: 80
+};
+
+// NOTE: keep in sync with PIPELINE_TEMPLATES keys in pipelineTemplates.js
+export const PIPELINE_TEMPLATE_IDS = ['default', 'healthcare', 'vc_pe', 'real_estate', 'professional_services', 'saas'];
+
+// Same format as deal stages (invariant-validator isValidStageFormat)
+const STAGE_ID_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * The org's default pipeline (falls back to the first one)
+ */
+export const getDefaultPipeline = (pipelines = []) =>
+  pipelines.find(pipeline => pipeline.is_default) || pipelines[0] || null;
+
+/**
+ * Pipeline id a deal belongs to - unassigned deals belong to the default pipeline
+ */
+export const getDealPipelineId = (deal, pipelines = []) =>
+  deal?.pipeline_id || getDefaultPipeline(pipelines)?.id || null;
+
+/**
+ * Deals in one pipeline; a null/undefined pipelineId means all pipelines
+ */
+export const filterDealsByPipeline = (deals = [], pipelineId, pipelines = []) => {
+  if (!pipelineId) return deals;
+  return deals.filter(deal => getDealPipelineId(deal, pipelines) === pipelineId);
+};
+
+/**
+ * Validate a custom stage list ([{ id, name, color? }]).
+ * Stage ids are derived from names when omitted.
+ *
+ * @returns {{ stages: Array<{id: string, name: string, color: string|null}>, errors: string[] }}
+ */
+export const validatePipelineStages = (input) => {
+  const errors = [];
+  if (!Array.isArray(input) || input.length === 0) {
+    return { stages: [], errors: ['A pipeline needs at least one stage'] };
+  }
+  if (input.length > PIPELINE_LIMITS.MAX_STAGES) {
+    return { stages: [], errors: [`A pipeline can have at most ${PIPELINE_LIMITS.MAX_STAGES} stages`] };
+  }
+
+  const seen = new Set();
+  const stages = [];
+  input.forEach((raw, index) => {
+    const name = typeof raw?.name === 'string' ? raw.name.trim() : '';
+    const id = typeof raw?.id === 'string' && raw.id
+      ? raw.id
+      : name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^[^a-z]+|_+$/g, '');
+
+    if (!name || name.length > PIPELINE_LIMITS.MAX_NAME_LENGTH) {
+      errors.push(`Stage ${index + 1}: name is required (max ${PIPELINE_LIMITS.MAX_NAME_LENGTH} characters)`);
+      return;
+    }
+    if (!STAGE_ID_PATTERN.test(id)) {
+      errors.push(`Stage "${name}": id must be lowercase snake_case`);
+      return;
+    }
+    if (seen.has(id)) {
+      errors.push(`Stage "${name}": duplicate stage id "${id}"`);
+      return;
+    }
+    seen.add(id);
+    stages.push({ id, name, color: COLOR_PATTERN.test(raw?.color || '') ? raw.color : null });
+  });
+
+  return { stages, errors };
+};
+
+export default {
+  PIPELINE_LIMITS,
+  PIPELINE_TEMPLATE_IDS,
+  getDefaultPipeline,
+  getDealPipelineId,
+  filterDealsByPipeline,
+  validatePipelineStages
+};
@@ -194,8 +194,11 @@ export const STAGE_BASE_CONFIDENCE = {
 // ============================================================================
 // HELPER: Get threshold for a stage (with default fallback)
 // ============================================================================
-export function getStagnationThreshold(stage) {
-  return STAGNATION_THRESHOLDS[stage] || STAGNATION_THRESHOLDS.default;
+// An org's stored stagnation_days (stage_definitions) wins over the table.
+export function getStagnationThreshold(stage, stageDefinitions) {
+  return stageDefinitions?.[stage]?.stagnation_days
+    || STAGNATION_THRESHOLDS[stage]
+    || STAGNATION_THRESHOLDS.default;
 }
 
 // ============================================================================
@@ -22,6 +22,8 @@ import {
   Rocket,
   Activity
 } from 'lucide-react';
+import { getTemplateCustomFields } from './customFieldConfig';
+import { getStoredOutcome } from './stageDefinitions';
 // Stage status mappings (inlined to avoid bundling issues with shared/ directory)
 // NOTE: Backend has its own copy in shared/stageStatusMap.ts - keep in sync if modifying
 const WON_STAGES = new Set([
@@ -45,7 +47,9 @@ const LOST_STAGES = new Set([
  * Pipeline Templates for StageFlow CRM
  *
  * Each template represents an industry-specific sales pipeline
- * with stages tailored to that industry's workflow
+ * with stages tailored to that industry's workflow. `customFields` are the
+ * default deal custom fields offered when an org applies the template
+ * (see config/customFieldConfig.js).
  */
 
 export const PIPELINE_TEMPLATES = {
@@ -67,7 +71,8 @@ export const PIPELINE_TEMPLATES = {
       { id: 'payment_received', name: 'Payment Received', icon: DollarSign, color: '#27AE60' },
       { id: 'client_onboarding', name: 'Client Onboarding / Support', icon: Package, color: '#8B5CF6' },
       { id: 'renewal_upsell', name: 'Renewal / Upsell Opportunity', icon: RefreshCw, color: '#3A86FF' }
-    ]
+    ],
+    customFields: getTemplateCustomFields('healthcare')
   },
 
   vc_pe: {
@@ -84,7 +89,8 @@ export const PIPELINE_TEMPLATES = {
       { id: 'capital_call_sent', name: 'Capital Call Sent', icon: Send, color: '#1ABC9C' },
       { id: 'capital_received', name: 'Capital Received', icon: DollarSign, color: '#27AE60' },
       { id: 'portfolio_mgmt', name: 'Portfolio Management / Reporting', icon: TrendingUp, color: '#8B5CF6' }
-    ]
+    ],
+    customFields: getTemplateCustomFields('vc_pe')
   },
 
   real_estate: {
@@ -101,7 +107,8 @@ export const PIPELINE_TEMPLATES = {
       { id: 'closing_statement_sent', name: 'Closing Statement Sent', icon: Send, color: '#1ABC9C' },
       { id: 'escrow_completed', name: 'Payment / Escrow Completed', icon: DollarSign, color: '#27AE60' },
       { id: 'client_followup', name: 'Client Follow-Up / Referral', icon: RefreshCw, color: '#8B5CF6' }
-    ]
+    ],
+    customFields: getTemplateCustomFields('real_estate')
   },
 
   professional_services: {
@@ -123,7 +130,8 @@ export const PIPELINE_TEMPLATES = {
       { id: 'payment_received', name: 'Payment Received', icon: DollarSign, color: '#27AE60' },
       { id: 'client_onboarding', name: 'Client Onboarding / Support', icon: Package, color: '#8B5CF6' },
       { id: 'renewal_upsell', name: 'Renewal / Upsell Opportunity', icon: RefreshCw, color: '#3A86FF' }
-    ]
+    ],
+    customFields: getTemplateCustomFields('professional_services')
   },
 
   saas: {
@@ -141,7 +149,8 @@ export const PIPELINE_TEMPLATES = {
       { id: 'onboarding', name: 'Onboarding', icon: Package, color: '#1ABC9C' },
       { id: 'adoption', name: 'Adoption', icon: Activity, color: '#8B5CF6' },
       { id: 'renewal', name: 'Renewal', icon: RefreshCw, color: '#3A86FF' }
-    ]
+    ],
+    customFields: getTemplateCustomFields('saas')
   },
 
   // Default/StageFlow universal pipeline for SMB founders
@@ -162,7 +171,8 @@ export const PIPELINE_TEMPLATES = {
       { id: 'payment_received', name: 'Payment Received', icon: DollarSign, color: '#27AE60' },
       { id: 'customer_onboarded', name: 'Onboarding/Delivery', icon: Package, color: '#8B5CF6' },
       { id: 'retention', name: 'Retention / Renewal', icon: RefreshCw, color: '#3A86FF' }
-    ]
+    ],
+    customFields: getTemplateCustomFields('default')
   }
 };
 
@@ -531,6 +541,37 @@ export const mapStage = (currentStage, toPipelineId) => {
   return mapping[currentStage] || currentStage;
 };
 
+// Colors cycled for custom pipeline stages that don't pick one
+const CUSTOM_STAGE_COLORS = ['#3A86FF', '#1ABC9C', '#8B5CF6', '#F39C12', '#27AE60', '#E74C3C'];
+
+/**
+ * Board-ready stages for an org pipeline (pipelines table row).
+ * Template pipelines use the template's stages; custom pipelines use their
+ * own stage list. Same shape as usePipelineStages.
+ * @param {Object} pipeline - { template_id, stages }
+ * @returns {Array} [{ id, name, icon_name, color, stage_order }]
+ */
+export const getPipelineStages = (pipeline) => {
+  if (!pipeline?.template_id && Array.isArray(pipeline?.stages) && pipeline.stages.length > 0) {
+    return pipeline.stages.map((stage, index) => ({
+      id: stage.id,
+      name: stage.name,
+      icon_name: 'TrendingUp',
+      color: stage.color || CUSTOM_STAGE_COLORS[index % CUSTOM_STAGE_COLORS.length],
+      stage_order: index
+    }));
+  }
+
+  const template = PIPELINE_TEMPLATES[pipeline?.template_id] || PIPELINE_TEMPLATES.default;
+  return template.stages.map((stage, index) => ({
+    id: stage.id,
+    name: stage.name,
+    icon_name: stage.icon.name || 'Users',
+    color: stage.color,
+    stage_order: index
+  }));
+};
+
 // FIX C9: Centralized stage status definitions (shared with backend)
 export const STAGE_STATUS_MAP = {
   WON_STAGES,
@@ -540,9 +581,13 @@ export const STAGE_STATUS_MAP = {
 /**
  * Get the appropriate status for a given stage
  * @param {string} stageId - The stage ID
+ * @param {Object} [definitions] - Org stage definitions (useStageDefinitions); a stored outcome wins
  * @returns {string} - 'won', 'lost', or 'active'
  */
-export const getStatusForStage = (stageId) => {
+export const getStatusForStage = (stageId, definitions) => {
+  const outcome = getStoredOutcome(stageId, definitions);
+  if (outcome === 'won' || outcome === 'lost') return outcome;
+  if (outcome === 'none') return 'active';
   if (WON_STAGES.has(stageId)) return 'won';
   if (LOST_STAGES.has(stageId)) return 'lost';
   return 'active';
@@ -551,11 +596,11 @@ export const getStatusForStage = (stageId) => {
 /**
  * Check if a stage is a "won" stage
  */
-export const isWonStage = (stageId) => STAGE_STATUS_MAP.WON_STAGES.has(stageId);
+export const isWonStage = (stageId, definitions) => getStatusForStage(stageId, definitions) === 'won';
 
 /**
  * Check if a stage is a "lost" stage
  */
-export const isLostStage = (stageId) => STAGE_STATUS_MAP.LOST_STAGES.has(stageId);
+export const isLostStage = (stageId, definitions) => getStatusForStage(stageId, definitions) === 'lost';
 
 export default PIPELINE_TEMPLATES;
@@ -9,6 +9,7 @@ export const PLAN_LIMITS = {
     deals: 100,
     users: 1,
     aiRequests: 100,
+    auditLogDays: 30,
     name: 'Free',
     displayName: 'Free Plan'
   },
@@ -16,6 +17,7 @@ export const PLAN_LIMITS = {
     deals: 999999, // Unlimited
     users: 5,
     aiRequests: 1000,
+    auditLogDays: 90,
     name: 'Startup',
     displayName: 'Startup Plan'
   },
@@ -23,6 +25,7 @@ export const PLAN_LIMITS = {
     deals: 999999, // Unlimited
     users: 20,
     aiRequests: 5000,
+    auditLogDays: 365,
     name: 'Growth',
     displayName: 'Growth Plan'
   },
@@ -30,6 +33,7 @@ export const PLAN_LIMITS = {
     deals: 999999, // Unlimited
     users: 999999, // Unlimited
     aiRequests: -1, // Unlimited
+    auditLogDays: 730,
     name: 'Pro',
     displayName: 'Pro Plan'
   }
@@ -47,7 +51,7 @@ export const getPlanLimits = (planTier = 'free') => {
 /**
  * Check if a plan has a specific feature limit
  * @param {string} planTier - Plan tier
- * @param {string} feature - Feature name: 'deals', 'users', 'aiRequests'
+ * @param {string} feature - Feature name: 'deals', 'users', 'aiRequests', 'auditLogDays'
  * @returns {number} Feature limit
  */
 export const getFeatureLimit = (planTier, feature) => {
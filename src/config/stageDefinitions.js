@@ -0,0 +1,170 @@
+/**
+ * Stage Definitions
+ *
+ * Per-organization overrides for how a stage behaves: its label, color, win
+ * probability, stagnation threshold, follow-up gap and terminal outcome.
+ * Stored one row per (organization, stage id) in stage_definitions and edited
+ * in Settings → Pipeline (PipelineCustomizer).
+ *
+ * A definitions map is keyed by stage id:
+ *   { proposal_sent: { label, color, win_probability, stagnation_days, followup_gap_days, outcome } }
+ * Every field is nullable - null means "use the built-in default", which
+ * still lives next to its consumer:
+ * - outcome            → shared/stageStatusMap.ts, pipelineTemplates.js (getStatusForStage)
+ * - win_probability    → netlify/functions/lib/revenue-engine.ts (STAGE_WIN_PROBABILITY)
+ * - stagnation_days    → pipelineConfig.js (STAGNATION_THRESHOLDS)
+ * - followup_gap_days  → netlify/functions/lib/revops-metrics.ts (STAGE_FOLLOWUP_RULES)
+ *
+ * Each of those accepts an optional definitions map and checks it first.
+ *
+ * required_fields / checklist are stage-entry requirements - see
+ * stageRequirements.js (validated separately by validateStageRequirements).
+ *
+ * NO REACT DEPENDENCIES - shared with netlify/functions/lib/stage-definitions.ts.
+ *
+ * @module stageDefinitions
+ */
+
+export const STAGE_OUTCOMES = ['won', 'lost', 'none'];
+
+export const STAGE_DEFINITION_LIMITS = {
+  MAX_LABEL_LENGTH: 80,
+  MAX_DAYS: 365
+};
+
+export const STAGE_DEFINITION_FIELDS = [
+  'label',
+  'color',
+  'win_probability',
+  'stagnation_days',
+  'followup_gap_days',
+  'outcome',
+  'required_fields',
+  'checklist'
+];
+
+// Same format as deal stages (invariant-validator isValidStageFormat)
+const STAGE_ID_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const parseDays = (value, field, errors) => {
+  if (isBlank(value)) return null;
+  const days = Number(value);
+  if (!Number.isInteger(days) || days < 1 || days > STAGE_DEFINITION_LIMITS.MAX_DAYS) {
+    errors.push(`${field} must be a whole number between 1 and ${STAGE_DEFINITION_LIMITS.MAX_DAYS}`);
+    return null;
+  }
+  return days;
+};
+
+/**
+ * Validate a stage definition from the settings editor.
+ * Accepts camelCase input; returns the snake_case row fields. Blank fields
+ * become null (built-in default).
+ *
+ * @param {Object} input - { stageId, label?, color?, winProbability? (0-1), stagnationDays?, followupGapDays?, outcome? }
+ * @returns {{ definition: Object|null, errors: string[] }}
+ */
+export const validateStageDefinition = (input) => {
+  const errors = [];
+  const stageId = typeof input?.stageId === 'string' ? input.stageId : '';
+  if (!STAGE_ID_PATTERN.test(stageId)) {
+    return { definition: null, errors: ['stageId must be lowercase snake_case'] };
+  }
+
+  let label = null;
+  if (!isBlank(input.label)) {
+    label = typeof input.label === 'string' ? input.label.trim() : '';
+    if (!label || label.length > STAGE_DEFINITION_LIMITS.MAX_LABEL_LENGTH) {
+      errors.push(`label must be 1-${STAGE_DEFINITION_LIMITS.MAX_LABEL_LENGTH} characters`);
+    }
+  }
+
+  let color = null;
+  if (!isBlank(input.color)) {
+    if (COLOR_PATTERN.test(input.color)) {
+      color = input.color;
+    } else {
+      errors.push('color must be a hex color like #1ABC9C');
+    }
+  }
+
+  let winProbability = null;
+  if (!isBlank(input.winProbability)) {
+    winProbability = Number(input.winProbability);
+    if (!Number.isFinite(winProbability) || winProbability < 0 || winProbability > 1) {
+      errors.push('winProbability must be between 0 and 1');
+      winProbability = null;
+    }
+  }
+
+  let outcome = null;
+  if (!isBlank(input.outcome)) {
+    if (STAGE_OUTCOMES.includes(input.outcome)) {
+      outcome = input.outcome;
+    } else {
+      errors.push(`outcome must be one of ${STAGE_OUTCOMES.join(', ')}`);
+    }
+  }
+
+  const definition = {
+    stage_id: stageId,
+    label,
+    color,
+    win_probability: winProbability,
+    stagnation_days: parseDays(input.stagnationDays, 'stagnationDays', errors),
+    followup_gap_days: parseDays(input.followupGapDays, 'followupGapDays', errors),
+    outcome
+  };
+
+  return { definition: errors.length > 0 ? null : definition, errors };
+};
+
+/**
+ * Build a definitions map (keyed by stage id) from stage_definitions rows
+ */
+export const toStageDefinitionMap = (rows = []) => {
+  const map = {};
+  (rows || []).forEach(row => {
+    if (!row?.stage_id) return;
+    map[row.stage_id] = STAGE_DEFINITION_FIELDS.reduce((definition, field) => {
+      definition[field] = row[field] ?? null;
+      return definition;
+    }, {});
+  });
+  return map;
+};
+
+/**
+ * Stored terminal outcome for a stage, or null when the org hasn't set one
+ * @returns {'won'|'lost'|'none'|null}
+ */
+export const getStoredOutcome = (stageId, definitions) => definitions?.[stageId]?.outcome ?? null;
+
+/**
+ * Apply stored labels/colors to board-ready stages ({ id, name, color, ... })
+ */
+export const applyStageDefinitions = (stages = [], definitions) => {
+  if (!definitions || Object.keys(definitions).length === 0) return stages;
+  return stages.map(stage => {
+    const definition = definitions[stage.id];
+    if (!definition) return stage;
+    return {
+      ...stage,
+      name: definition.label ?? stage.name,
+      color: definition.color ?? stage.color
+    };
+  });
+};
+
+export default {
+  STAGE_OUTCOMES,
+  STAGE_DEFINITION_LIMITS,
+  STAGE_DEFINITION_FIELDS,
+  validateStageDefinition,
+  toStageDefinitionMap,
+  getStoredOutcome,
+  applyStageDefinitions
+};
@@ -0,0 +1,188 @@
+/**
+ * Stage Entry Requirements
+ *
+ * Exit criteria an org sets per stage (stage_definitions.required_fields and
+ * .checklist): a deal can only move INTO the stage once the required fields
+ * are filled and every checklist item is ticked. Ticked items are stored on
+ * the deal in deals.stage_checklist ({ [stageId]: [itemId, ...] }).
+ *
+ * Required field keys are deal columns from REQUIREMENT_FIELDS or org custom
+ * fields as `custom:<key>`.
+ *
+ * Enforced server-side by update-deal and api-deals (STAGE_REQUIREMENTS_UNMET);
+ * KanbanBoard checks first so it can prompt before the optimistic move.
+ *
+ * NO REACT DEPENDENCIES - shared with netlify/functions (update-deal, api-deals).
+ *
+ * @module stageRequirements
+ */
+
+export const STAGE_REQUIREMENTS_UNMET = 'STAGE_REQUIREMENTS_UNMET';
+
+// Deal columns that can be required; type drives the prompt input
+export const REQUIREMENT_FIELDS = {
+  value: { label: 'Deal value', type: 'currency' },
+  expected_close_date: { label: 'Expected close date', type: 'date' },
+  email: { label: 'Email', type: 'email' },
+  phone: { label: 'Phone', type: 'phone' },
+  notes: { label: 'Notes', type: 'textarea' }
+};
+
+export const CUSTOM_FIELD_PREFIX = 'custom:';
+
+export const STAGE_REQUIREMENT_LIMITS = {
+  MAX_REQUIRED_FIELDS: 10,
+  MAX_CHECKLIST_ITEMS: 10,
+  MAX_ITEM_LENGTH: 120
+};
+
+const CUSTOM_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+
+const isRequirementFieldKey = (key) => (
+  Object.prototype.hasOwnProperty.call(REQUIREMENT_FIELDS, key)
+  || (typeof key === 'string'
+    && key.startsWith(CUSTOM_FIELD_PREFIX)
+    && CUSTOM_KEY_PATTERN.test(key.slice(CUSTOM_FIELD_PREFIX.length)))
+);
+
+const toItemId = (label) => label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 50);
+
+/**
+ * Validate requirement settings from the stage editor.
+ * Empty lists come back as null (no requirement).
+ *
+ * @param {string[]} requiredFields - REQUIREMENT_FIELDS keys or `custom:<key>`
+ * @param {Array<string|{id?: string, label: string}>} checklist
+ * @returns {{ required_fields: string[]|null, checklist: Array<{id: string, label: string}>|null, errors: string[] }}
+ */
+export const validateStageRequirements = (requiredFields, checklist) => {
+  const errors = [];
+
+  let fields = null;
+  if (requiredFields !== undefined && requiredFields !== null) {
+    if (!Array.isArray(requiredFields)) {
+      errors.push('requiredFields must be a list');
+    } else if (requiredFields.length > STAGE_REQUIREMENT_LIMITS.MAX_REQUIRED_FIELDS) {
+      errors.push(`A stage can require at most ${STAGE_REQUIREMENT_LIMITS.MAX_REQUIRED_FIELDS} fields`);
+    } else {
+      const invalid = requiredFields.filter(key => !isRequirementFieldKey(key));
+      if (invalid.length > 0) {
+        errors.push(`Unknown required field: ${invalid.join(', ')}`);
+      } else if (requiredFields.length > 0) {
+        fields = [...new Set(requiredFields)];
+      }
+    }
+  }
+
+  let items = null;
+  if (checklist !== undefined && checklist !== null) {
+    if (!Array.isArray(checklist)) {
+      errors.push('checklist must be a list');
+    } else if (checklist.length > STAGE_REQUIREMENT_LIMITS.MAX_CHECKLIST_ITEMS) {
+      errors.push(`A stage can have at most ${STAGE_REQUIREMENT_LIMITS.MAX_CHECKLIST_ITEMS} checklist items`);
+    } else {
+      const seen = new Set();
+      items = [];
+      checklist.forEach((raw, index) => {
+        const label = (typeof raw === 'string' ? raw : raw?.label || '').trim();
+        if (!label || label.length > STAGE_REQUIREMENT_LIMITS.MAX_ITEM_LENGTH) {
+          errors.push(`Checklist item ${index + 1}: label is required (max ${STAGE_REQUIREMENT_LIMITS.MAX_ITEM_LENGTH} characters)`);
+          return;
+        }
+        const id = (typeof raw === 'object' && raw?.id) || toItemId(label);
+        if (!CUSTOM_KEY_PATTERN.test(id) || seen.has(id)) {
+          errors.push(`Checklist item "${label}": duplicate or invalid item`);
+          return;
+        }
+        seen.add(id);
+        items.push({ id, label });
+      });
+      if (items.length === 0) items = null;
+    }
+  }
+
+  return { required_fields: fields, checklist: items, errors };
+};
+
+/**
+ * Merge ticked checklist items from an update ({ [stageId]: itemIds }) over
+ * the deal's stored ones. Returns null when the update isn't a valid map.
+ */
+export const mergeStageChecklist = (existing, update) => {
+  if (!update || typeof update !== 'object' || Array.isArray(update)) return null;
+  const merged = { ...(existing || {}) };
+  for (const [stageId, itemIds] of Object.entries(update)) {
+    if (!CUSTOM_KEY_PATTERN.test(stageId) || !Array.isArray(itemIds)) return null;
+    if (!itemIds.every(id => typeof id === 'string' && CUSTOM_KEY_PATTERN.test(id))) return null;
+    merged[stageId] = [...new Set(itemIds)].slice(0, STAGE_REQUIREMENT_LIMITS.MAX_CHECKLIST_ITEMS);
+  }
+  return merged;
+};
+
+const isBlankValue = (value) => (
+  value === undefined
+  || value === null
+  || (typeof value === 'string' && value.trim() === '')
+  || (Array.isArray(value) && value.length === 0)
+);
+
+/**
+ * Describe a required field key for prompts
+ * @param {string} key
+ * @param {Array} customFieldDefs - [{ key, label, type, options }]
+ * @returns {{ key: string, label: string, type: string, options?: string[] }}
+ */
+export const describeRequirementField = (key, customFieldDefs = []) => {
+  if (key.startsWith(CUSTOM_FIELD_PREFIX)) {
+    const fieldKey = key.slice(CUSTOM_FIELD_PREFIX.length);
+    const field = (customFieldDefs || []).find(def => def.key === fieldKey);
+    return {
+      key,
+      label: field?.label || fieldKey,
+      type: field?.type || 'text',
+      ...(field?.options?.length ? { options: field.options } : {})
+    };
+  }
+  return { key, ...(REQUIREMENT_FIELDS[key] || { label: key, type: 'text' }) };
+};
+
+/**
+ * Requirements a deal has not met for entering a stage.
+ *
+ * @param {Object} deal - Deal as it would be after the move (stored values merged with the update)
+ * @param {string} stageId - Target stage
+ * @param {Object} definitions - Org stage definitions map
+ * @param {Array} customFieldDefs - For labels/types of `custom:` fields
+ * @returns {{ stage: string, fields: Array, checklist: Array<{id, label}> } | null} null when the move is allowed
+ */
+export const getUnmetStageRequirements = (deal, stageId, definitions, customFieldDefs = []) => {
+  const definition = definitions?.[stageId];
+  if (!definition) return null;
+
+  const fields = (definition.required_fields || [])
+    .filter(key => {
+      if (key.startsWith(CUSTOM_FIELD_PREFIX)) {
+        return isBlankValue(deal?.custom_fields?.[key.slice(CUSTOM_FIELD_PREFIX.length)]);
+      }
+      if (key === 'value') return !(Number(deal?.value) > 0);
+      return isBlankValue(deal?.[key]);
+    })
+    .map(key => describeRequirementField(key, customFieldDefs));
+
+  const ticked = new Set(deal?.stage_checklist?.[stageId] || []);
+  const checklist = (definition.checklist || []).filter(item => !ticked.has(item.id));
+
+  if (fields.length === 0 && checklist.length === 0) return null;
+  return { stage: stageId, fields, checklist };
+};
+
+export default {
+  STAGE_REQUIREMENTS_UNMET,
+  REQUIREMENT_FIELDS,
+  CUSTOM_FIELD_PREFIX,
+  STAGE_REQUIREMENT_LIMITS,
+  validateStageRequirements,
+  mergeStageChecklist,
+  describeRequirementField,
+  getUnmetStageRequirements
+};
@@ -0,0 +1,99 @@
+/**
+ * Team Invitations
+ *
+ * Rules shared by the pending-invites list (Settings → General) and
+ * netlify/functions/team-invitations.mts: expiry, seat counting and
+ * invite validation.
+ *
+ * An invitation is created with a role and emailed as a tokenized link
+ * (/?invite=<token>). It stays pending until the invitee accepts or
+ * declines, an admin revokes it, or it expires. Expiry is not written back
+ * to the row - a pending invitation past expires_at is reported as
+ * 'expired' and no longer holds a seat.
+ *
+ * NO REACT DEPENDENCIES - shared with netlify/functions/lib/team-invitations.ts.
+ *
+ * @module teamInvitations
+ */
+
+export const INVITE_TOKEN_PARAM = 'invite';
+
+export const INVITATION_LIMITS = {
+  EXPIRY_DAYS: 7,
+  // Minimum gap between resends of the same invitation
+  RESEND_COOLDOWN_MS: 60 * 1000,
+  MAX_RESENDS: 5
+};
+
+export const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'revoked', 'expired'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+// Plans store "unlimited" as a large sentinel (999999) or -1
+const isUnlimited = (limit) => limit === -1 || limit >= 999999;
+
+/**
+ * Lowercased, trimmed email used for matching invitations to accounts.
+ *
+ * @param {string} email
+ * @returns {string}
+ */
+export const normalizeInviteEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Expiry timestamp for an invitation sent at `from`.
+ *
+ * @param {Date} [from]
+ * @returns {string} ISO timestamp
+ */
+export const getInvitationExpiry = (from = new Date()) =>
+  new Date(from.getTime() + INVITATION_LIMITS.EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+/**
+ * Effective status: a pending invitation past expires_at is 'expired'.
+ *
+ * @param {{ status: string, expires_at: string }} invitation
+ * @param {Date} [now]
+ * @returns {string}
+ */
+export const getInvitationStatus = (invitation, now = new Date()) => {
+  if (invitation.status !== 'pending') return invitation.status;
+  return Date.parse(invitation.expires_at) <= now.getTime() ? 'expired' : 'pending';
+};
+
+/**
+ * Validate a new invitation. `roles` are the role ids the inviter may grant.
+ *
+ * @param {{ email?: string, role?: string }} input
+ * @param {string[]} roles
+ * @returns {string[]} error messages (empty when valid)
+ */
+export const validateInvitation = ({ email, role } = {}, roles = []) => {
+  const errors = [];
+  if (!EMAIL_PATTERN.test(normalizeInviteEmail(email))) errors.push('Enter a valid email address');
+  if (!roles.includes(role)) errors.push('Choose a role you are allowed to grant');
+  return errors;
+};
+
+/**
+ * Seats left on the plan. Members and pending (unexpired) invitations both
+ * hold a seat.
+ *
+ * @param {{ members: number, pending: number, limit: number }} usage
+ * @returns {number} Infinity for unlimited plans
+ */
+export const getSeatsAvailable = ({ members, pending, limit }) => {
+  if (isUnlimited(limit)) return Infinity;
+  return Math.max(0, limit - members - pending);
+};
+
+export default {
+  INVITE_TOKEN_PARAM,
+  INVITATION_LIMITS,
+  INVITATION_STATUSES,
+  normalizeInviteEmail,
+  getInvitationExpiry,
+  getInvitationStatus,
+  validateInvitation,
+  getSeatsAvailable
+};
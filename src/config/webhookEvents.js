@@ -0,0 +1,253 @@
+/**
+ * Webhook Event Catalog
+ *
+ * Every event a webhook can subscribe to, with a description, an example
+ * payload and a JSON schema. create-webhook validates subscriptions against
+ * this list, the Webhooks tab renders it, "Send test event" delivers the
+ * example, and webhook-event-schemas publishes the schemas.
+ *
+ * Every delivery is wrapped in a versioned envelope (see
+ * netlify/functions/lib/webhook-events.ts):
+ *
+ *   {
+ *     id, type, api_version, occurred_at, organization_id,
+ *     actor: { type: 'user' | 'api_key' | 'system', id },
+ *     data: { object, changes? }   // changes: { field: { before, after } }
+ *   }
+ *
+ * Bump WEBHOOK_API_VERSION when a payload changes incompatibly.
+ *
+ * NO REACT DEPENDENCIES - shared with netlify/functions (create-webhook,
+ * lib/webhook-dlq.ts, lib/webhook-events.ts).
+ *
+ * @module webhookEvents
+ */
+
+export const WEBHOOK_API_VERSION = '2024-12-23';
+
+export const WEBHOOK_TEST_EVENT = 'webhook.test';
+
+const EXAMPLE_DEAL = {
+  id: '00000000-0000-4000-8000-000000000000',
+  client: 'Acme Corp',
+  email: 'buyer@acme.example',
+  value: 25000,
+  stage: 'proposal_sent',
+  status: 'active',
+  assigned_to: null,
+  created: '2025-01-01T09:00:00.000Z',
+  last_activity: '2025-01-02T15:30:00.000Z'
+};
+
+const EXAMPLE_TARGET = {
+  scope: 'organization',
+  organization_id: '00000000-0000-4000-8000-000000000001',
+  user_id: null,
+  annual_target: 1200000,
+  quarterly_target: 300000,
+  monthly_target: 100000
+};
+
+const EXAMPLE_MEMBER = {
+  user_id: '00000000-0000-4000-8000-000000000002',
+  organization_id: '00000000-0000-4000-8000-000000000001',
+  email: 'new.rep@acme.example',
+  role: 'member',
+  joined_at: '2025-01-03T10:00:00.000Z'
+};
+
+export const WEBHOOK_EVENTS = [
+  { type: 'deal.created', resource: 'deal', label: 'Deal created', description: 'A deal was added manually, by import or through the API' },
+  { type: 'deal.updated', resource: 'deal', label: 'Deal updated', description: 'Any deal field changed' },
+  { type: 'deal.deleted', resource: 'deleted_deal', label: 'Deal deleted', description: 'A deal was deleted' },
+  { type: 'deal.stage_changed', resource: 'deal', label: 'Stage changed', description: 'A deal moved to another stage' },
+  { type: 'deal.won', resource: 'deal', label: 'Deal won', description: 'A deal was marked as won' },
+  { type: 'deal.lost', resource: 'deal', label: 'Deal lost', description: 'A deal was marked as lost' },
+  { type: 'deal.disqualified', resource: 'deal', label: 'Deal disqualified', description: 'A deal was disqualified' },
+  { type: 'deal.assigned', resource: 'deal', label: 'Deal assigned', description: 'A deal was assigned or reassigned to a team member' },
+  { type: 'deal.invoice_sent', resource: 'deal', label: 'Invoice sent', description: 'A won deal moved to the invoice stage' },
+  { type: 'deal.payment_received', resource: 'deal', label: 'Payment received', description: 'Payment was recorded for a deal' },
+  { type: 'deal.onboarding_started', resource: 'deal', label: 'Onboarding started', description: 'A customer deal entered onboarding' },
+  { type: 'deal.retention_phase', resource: 'deal', label: 'Retention phase', description: 'A customer deal entered retention' },
+  { type: 'target.updated', resource: 'target', label: 'Target updated', description: 'An organization or member revenue target changed' },
+  { type: 'member.joined', resource: 'member', label: 'Member joined', description: 'Someone joined the organization' }
+];
+
+export const WEBHOOK_EVENT_TYPES = WEBHOOK_EVENTS.map(event => event.type);
+
+/**
+ * Stage ids whose entry fires an extra event (stage ids from pipelineTemplates)
+ */
+export const STAGE_ENTRY_EVENTS = {
+  invoice_sent: 'deal.invoice_sent',
+  payment_received: 'deal.payment_received',
+  onboarding: 'deal.onboarding_started',
+  retention: 'deal.retention_phase'
+};
+
+/**
+ * Deal status whose entry fires an outcome event
+ */
+export const STATUS_ENTRY_EVENTS = {
+  won: 'deal.won',
+  lost: 'deal.lost',
+  disqualified: 'deal.disqualified'
+};
+
+// ============================================================================
+// JSON SCHEMAS
+// ============================================================================
+
+const nullable = (type) => ({ type: [type, 'null'] });
+
+const DATE_TIME = { type: 'string', format: 'date-time' };
+
+const UUID = { type: 'string', format: 'uuid' };
+
+// Deals carry custom fields and may gain columns; only the stable core is required
+const RESOURCE_SCHEMAS = {
+  deal: {
+    type: 'object',
+    required: ['id', 'stage', 'status'],
+    properties: {
+      id: UUID,
+      client: nullable('string'),
+      email: nullable('string'),
+      phone: nullable('string'),
+      value: nullable('number'),
+      stage: { type: 'string' },
+      status: { type: 'string', enum: ['active', 'won', 'lost', 'disqualified'] },
+      pipeline_id: { type: ['string', 'null'], format: 'uuid' },
+      assigned_to: { type: ['string', 'null'], format: 'uuid' },
+      assigned_by: { type: ['string', 'null'], format: 'uuid' },
+      created: DATE_TIME,
+      last_activity: { type: ['string', 'null'], format: 'date-time' },
+      custom_fields: { type: ['object', 'null'] }
+    },
+    additionalProperties: true
+  },
+  deleted_deal: {
+    type: 'object',
+    required: ['id', 'deleted_at'],
+    properties: {
+      id: UUID,
+      deleted_at: DATE_TIME,
+      soft_delete: { type: 'boolean' }
+    },
+    additionalProperties: true
+  },
+  target: {
+    type: 'object',
+    required: ['scope', 'organization_id'],
+    properties: {
+      scope: { type: 'string', enum: ['organization', 'user'] },
+      organization_id: UUID,
+      user_id: { type: ['string', 'null'], format: 'uuid' },
+      annual_target: nullable('number'),
+      quarterly_target: nullable('number'),
+      monthly_target: nullable('number')
+    },
+    additionalProperties: true
+  },
+  member: {
+    type: 'object',
+    required: ['user_id', 'organization_id', 'role'],
+    properties: {
+      user_id: UUID,
+      organization_id: UUID,
+      email: nullable('string'),
+      role: { type: 'string' },
+      joined_at: DATE_TIME
+    },
+    additionalProperties: true
+  }
+};
+
+const EXAMPLE_OBJECTS = {
+  deal: EXAMPLE_DEAL,
+  deleted_deal: { id: EXAMPLE_DEAL.id, deleted_at: '2025-01-04T12:00:00.000Z', soft_delete: true },
+  target: EXAMPLE_TARGET,
+  member: EXAMPLE_MEMBER
+};
+
+const CHANGES_SCHEMA = {
+  type: 'object',
+  description: 'Changed fields with their value before and after the change',
+  additionalProperties: {
+    type: 'object',
+    required: ['before', 'after'],
+    properties: { before: {}, after: {} }
+  }
+};
+
+/**
+ * JSON schema (draft 2020-12) for one event's envelope, or null if unknown
+ */
+export const buildEventSchema = (type) => {
+  const event = WEBHOOK_EVENTS.find(e => e.type === type);
+  if (!event) return null;
+
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: `https://stageflow.app/schemas/webhooks/${WEBHOOK_API_VERSION}/${type}.json`,
+    title: event.label,
+    description: event.description,
+    type: 'object',
+    required: ['id', 'type', 'api_version', 'occurred_at', 'organization_id', 'actor', 'data'],
+    properties: {
+      id: { ...UUID, description: 'Event id; the same across retries and replays' },
+      type: { const: type },
+      api_version: { const: WEBHOOK_API_VERSION },
+      occurred_at: DATE_TIME,
+      organization_id: UUID,
+      actor: {
+        type: 'object',
+        required: ['type', 'id'],
+        properties: {
+          type: { type: 'string', enum: ['user', 'api_key', 'system'] },
+          id: { type: ['string', 'null'], description: 'User id, or the API key creator for api_key' }
+        }
+      },
+      data: {
+        type: 'object',
+        required: ['object'],
+        properties: {
+          object: RESOURCE_SCHEMAS[event.resource],
+          changes: CHANGES_SCHEMA
+        }
+      }
+    },
+    additionalProperties: false
+  };
+};
+
+/**
+ * Example envelope for an event type; used by "Send test event"
+ */
+export const buildExamplePayload = (type = WEBHOOK_TEST_EVENT) => {
+  const event = WEBHOOK_EVENTS.find(e => e.type === type);
+  const object = event ? EXAMPLE_OBJECTS[event.resource] : EXAMPLE_DEAL;
+
+  return {
+    id: '00000000-0000-4000-8000-0000000000ff',
+    type,
+    api_version: WEBHOOK_API_VERSION,
+    occurred_at: '2025-01-02T15:30:00.000Z',
+    organization_id: EXAMPLE_TARGET.organization_id,
+    actor: { type: 'user', id: EXAMPLE_MEMBER.user_id },
+    data: type === WEBHOOK_TEST_EVENT
+      ? { message: 'This is a test event from StageFlow', object: { ...object } }
+      : { object: { ...object } }
+  };
+};
+
+export default {
+  WEBHOOK_API_VERSION,
+  WEBHOOK_EVENTS,
+  WEBHOOK_EVENT_TYPES,
+  WEBHOOK_TEST_EVENT,
+  STAGE_ENTRY_EVENTS,
+  STATUS_ENTRY_EVENTS,
+  buildEventSchema,
+  buildExamplePayload
+};
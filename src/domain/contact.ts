@@ -0,0 +1,74 @@
+/**
+ * CONTACT DOMAIN SPINE
+ *
+ * Types for the Contact and Company entities linked many-to-many to deals.
+ * Deal.client/email/phone remain the denormalized copy of the primary contact.
+ *
+ * Dedup rules are enforced server-side (netlify/functions/lib/contacts.ts):
+ * contacts match on lowercased email, companies on domain.
+ *
+ * @module domain/contact
+ */
+
+// =============================================================================
+// TYPES
+// =============================================================================
+
+export interface Company {
+  id: string;
+  organization_id: string;
+  name: string;
+  /** Lowercase hostname without www. (null for companies without a website) */
+  domain: string | null;
+  created_at?: string | null;
+}
+
+export interface Contact {
+  id: string;
+  organization_id: string;
+  company_id: string | null;
+  name: string;
+  email: string | null;
+  phone: string | null;
+  title: string | null;
+  created_at?: string | null;
+  /** Set when loaded through a deal link */
+  is_primary?: boolean;
+  /** Joined company for search results */
+  company?: Pick<Company, 'id' | 'name' | 'domain'> | null;
+}
+
+/** Contacts and companies linked to one deal (deal-parties endpoint) */
+export interface DealParties {
+  contacts: Contact[];
+  companies: Company[];
+}
+
+/** Deal rollup shown in the company view (companies?id=) */
+export interface CompanyRollup {
+  dealCount: number;
+  openCount: number;
+  openValue: number;
+  wonCount: number;
+  wonValue: number;
+  lostCount: number;
+  disqualifiedCount: number;
+  byStage: Record<string, number>;
+  firstDealAt: string | null;
+  lastActivityAt: string | null;
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+/**
+ * Display label for a contact: "Name (email)" or whichever part exists.
+ */
+export function getContactLabel(contact: Pick<Contact, 'name' | 'email'> | null | undefined): string {
+  if (!contact) return '';
+  if (contact.name && contact.email && contact.name !== contact.email) {
+    return `${contact.name} (${contact.email})`;
+  }
+  return contact.name || contact.email || '';
+}
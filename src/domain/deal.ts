@@ -39,6 +39,8 @@ export interface Deal {
   phone?: string | null;
   notes?: string | null;
   source?: string | null;
+  /** Org custom field values keyed by field key (see config/customFieldConfig.js) */
+  custom_fields?: Record<string, unknown> | null;
   // Lost outcome fields
   lost_reason?: string | null;
   lost_reason_notes?: string | null;
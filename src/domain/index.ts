@@ -30,6 +30,15 @@ export {
   clearOutcomeFields,
 } from './deal';
 
+// Contact/company domain
+export {
+  type Contact,
+  type Company,
+  type DealParties,
+  type CompanyRollup,
+  getContactLabel,
+} from './contact';
+
 // Stage labels domain
 export {
   getStageDisplayName,
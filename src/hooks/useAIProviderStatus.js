@@ -201,7 +201,6 @@ export function useAIProviderStatus(user, organization, options = {}) {
             credentials: 'include',
             body: JSON.stringify({
               message: '__health_check__',
-              deals: [],
               healthCheckOnly: true
             })
           });
@@ -0,0 +1,85 @@
+import { useState, useEffect, useCallback } from 'react';
+import { api } from '../lib/api-client';
+
+/**
+ * Org custom field definitions (custom-fields endpoint)
+ *
+ * Definitions are fetched once per organization and shared by every consumer
+ * (DealDetailsModal, NewDealModal, Dashboard filters, CSV import). Call
+ * `refresh()` after editing definitions; all mounted consumers update.
+ *
+ * @param {string} organizationId
+ * @returns {Object} { fields, templateFields, loading, error, refresh }
+ */
+
+// organizationId → Promise<{ fields, templateFields }>
+const cache = new Map();
+const listeners = new Set();
+
+const fetchDefinitions = (organizationId) => {
+  if (!cache.has(organizationId)) {
+    const request = api
+      .get(`custom-fields?organizationId=${encodeURIComponent(organizationId)}`)
+      .then(({ data }) => ({
+        fields: data?.fields || [],
+        templateFields: data?.templateFields || []
+      }))
+      .catch((err) => {
+        // Don't cache failures - the next mount retries
+        cache.delete(organizationId);
+        throw err;
+      });
+    cache.set(organizationId, request);
+  }
+  return cache.get(organizationId);
+};
+
+/**
+ * Drop cached definitions for an org and notify mounted hooks
+ */
+export function invalidateCustomFields(organizationId) {
+  cache.delete(organizationId);
+  listeners.forEach(listener => listener(organizationId));
+}
+
+export function useCustomFields(organizationId) {
+  const [state, setState] = useState({ fields: [], templateFields: [], loading: !!organizationId, error: null });
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    const listener = (changedOrgId) => {
+      if (changedOrgId === organizationId) setVersion(v => v + 1);
+    };
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }, [organizationId]);
+
+  useEffect(() => {
+    if (!organizationId) {
+      setState({ fields: [], templateFields: [], loading: false, error: null });
+      return;
+    }
+
+    let cancelled = false;
+    setState(prev => ({ ...prev, loading: true, error: null }));
+
+    fetchDefinitions(organizationId)
+      .then((result) => {
+        if (!cancelled) setState({ ...result, loading: false, error: null });
+      })
+      .catch((err) => {
+        console.error('[useCustomFields] Failed to load custom fields:', err);
+        if (!cancelled) setState(prev => ({ ...prev, loading: false, error: err.message || 'Failed to load custom fields' }));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [organizationId, version]);
+
+  const refresh = useCallback(() => invalidateCustomFields(organizationId), [organizationId]);
+
+  return { ...state, refresh };
+}
+
+export default useCustomFields;
@@ -2,7 +2,9 @@ import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
 import { supabase } from '../lib/supabase';
 import { parseSupabaseError, retryOperation, ERROR_CODES } from '../lib/error-handler';
 import { getStatusForStage } from '../config/pipelineTemplates';
+import { STAGE_REQUIREMENTS_UNMET } from '../config/stageRequirements';
 import { useRealTimeDeals } from './useRealTimeDeals';
+import { useStageDefinitions } from './useStageDefinitions';
 import { requestDeduplicator } from '../lib/request-deduplicator';
 import { cacheDeals, getCachedDeals } from '../lib/indexeddb-cache'; // NEXT-LEVEL: 50MB IndexedDB cache
 import { dealsMemoryCache } from '../lib/memory-cache'; // OPT-4: In-memory cache (<1ms reads)
@@ -165,6 +167,9 @@ const getInitialDealsFromCache = (orgId) => {
 };
 
 export const useDealManagement = (user, organization, addNotification) => {
+  // Org stage definitions - a stored stage outcome drives status auto-sync
+  const { definitions: stageDefinitions } = useStageDefinitions(organization?.id);
+
   // PHASE B FIX: Initialize deals from memory cache to prevent empty state flash
   // Memory cache is synchronous, so deals are immediately available if cached
   const [deals, setDeals] = useState(() => getInitialDealsFromCache(organization?.id));
@@ -237,14 +242,16 @@ export const useDealManagement = (user, organization, addNotification) => {
           // Process based on command type
           if (command.type === OFFLINE_COMMAND_TYPES.UPDATE_DEAL) {
             const { dealId, updates } = command.payload;
-            const finalUpdates = { ...updates, last_activity: new Date().toISOString() };
+            // last_activity comes from when the edit was queued (not sync time) so the
+            // request body is identical on every replay of the same Idempotency-Key
+            const finalUpdates = { ...updates, last_activity: new Date(command.createdAt).toISOString() };
 
             // P0 FIX 2025-12-08: Use api.deal for invariant-validated responses
             const { data: updateResult } = await api.deal('update-deal', {
               dealId,
               updates: finalUpdates,
               organizationId: organization.id
-            });
+            }, { idempotencyKey: command.idempotencyKey });
 
             // Phase 7: Check for conflict (deal was modified while offline)
             if (updateResult.code === 'CONFLICT' || updateResult.code === 'VERSION_CONFLICT') {
@@ -277,7 +284,7 @@ export const useDealManagement = (user, organization, addNotification) => {
             const { data: createResult } = await api.deal('create-deal', {
               dealData: deal,
               organizationId: organization.id
-            });
+            }, { idempotencyKey: command.idempotencyKey });
 
             if (!createResult.success && createResult.error) {
               throw new Error(createResult.error);
@@ -857,7 +864,7 @@ export const useDealManagement = (user, organization, addNotification) => {
       // CRITICAL FIX: Auto-set status based on stage using centralized logic
       // This ensures won/lost stages automatically get correct status
       if (finalUpdates.stage) {
-        const newStatus = getStatusForStage(finalUpdates.stage);
+        const newStatus = getStatusForStage(finalUpdates.stage, stageDefinitions);
         if (newStatus !== deal.status) {
           finalUpdates.status = newStatus;
         }
@@ -1019,7 +1026,16 @@ export const useDealManagement = (user, organization, addNotification) => {
         }
       }
 
-      addNotification(userMessage, 'error');
+      // Unmet stage-entry requirements aren't a failure toast - KanbanBoard listens
+      // for this event and prompts for the missing fields/checklist instead
+      const stageRequirements = errorCode === STAGE_REQUIREMENTS_UNMET ? error.data?.requirements : null;
+      if (stageRequirements) {
+        window.dispatchEvent(new CustomEvent('stage-requirements-unmet', {
+          detail: { dealId, updates, requirements: stageRequirements }
+        }));
+      } else {
+        addNotification(userMessage, 'error');
+      }
 
       // CRITICAL FIX: Only rollback if we have originalDeal captured
       // This prevents crash if error occurred before originalDeal was assigned
@@ -1048,7 +1064,7 @@ export const useDealManagement = (user, organization, addNotification) => {
     }
     return success;
     }); // End deduplication wrapper
-  }, [user, organization, addNotification, isDragLocked]); // H6-C: Added isDragLocked to deps
+  }, [user, organization, addNotification, isDragLocked, stageDefinitions]); // H6-C: Added isDragLocked to deps
 
   // PROCESS BATCHED UPDATES - v1.7.98: True FIFO ordering with Array queue
   // Processes updates in exact order received, with mutex to prevent concurrent processing
@@ -0,0 +1,141 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { api } from '../lib/api-client';
+import { getDefaultPipeline } from '../config/orgPipelines';
+
+/**
+ * Org pipelines (pipelines endpoint) plus the user's active pipeline
+ *
+ * Pipelines are fetched once per organization and shared by every consumer
+ * (Dashboard, KanbanBoard switcher, DashboardStats, PipelinesManager). Call
+ * `refresh()` after editing pipelines; all mounted consumers update.
+ *
+ * The active pipeline is remembered per org in localStorage. Until pipelines
+ * load (or if the endpoint fails) a synthetic default pipeline built from
+ * organizations.pipeline_template is returned so the board keeps working.
+ *
+ * @param {string} organizationId
+ * @param {string} fallbackTemplate - organizations.pipeline_template
+ * @returns {Object} { pipelines, activePipeline, activePipelineId, setActivePipelineId, loading, error, refresh }
+ */
+
+// organizationId → Promise<pipelines[]>
+const cache = new Map();
+const listeners = new Set();
+
+const ACTIVE_KEY = (organizationId) => `active_pipeline_${organizationId}`;
+
+const fetchPipelines = (organizationId) => {
+  if (!cache.has(organizationId)) {
+    const request = api
+      .get(`pipelines?organizationId=${encodeURIComponent(organizationId)}`)
+      .then(({ data }) => data?.pipelines || [])
+      .catch((err) => {
+        // Don't cache failures - the next mount retries
+        cache.delete(organizationId);
+        throw err;
+      });
+    cache.set(organizationId, request);
+  }
+  return cache.get(organizationId);
+};
+
+/**
+ * Drop cached pipelines for an org and notify mounted hooks
+ */
+export function invalidatePipelines(organizationId) {
+  cache.delete(organizationId);
+  listeners.forEach(listener => listener(organizationId));
+}
+
+export function usePipelines(organizationId, fallbackTemplate = 'default') {
+  const [state, setState] = useState({ pipelines: [], loading: !!organizationId, error: null });
+  const [version, setVersion] = useState(0);
+  const [activePipelineId, setActiveId] = useState(() => {
+    if (!organizationId) return null;
+    try {
+      return localStorage.getItem(ACTIVE_KEY(organizationId));
+    } catch {
+      return null;
+    }
+  });
+
+  useEffect(() => {
+    const listener = (changedOrgId) => {
+      if (changedOrgId === organizationId) setVersion(v => v + 1);
+    };
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }, [organizationId]);
+
+  useEffect(() => {
+    if (!organizationId) {
+      setState({ pipelines: [], loading: false, error: null });
+      return;
+    }
+
+    let cancelled = false;
+    setState(prev => ({ ...prev, loading: true, error: null }));
+
+    fetchPipelines(organizationId)
+      .then((pipelines) => {
+        if (!cancelled) setState({ pipelines, loading: false, error: null });
+      })
+      .catch((err) => {
+        console.error('[usePipelines] Failed to load pipelines:', err);
+        if (!cancelled) setState(prev => ({ ...prev, loading: false, error: err.message || 'Failed to load pipelines' }));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [organizationId, version]);
+
+  // Re-read the remembered pipeline when switching orgs
+  useEffect(() => {
+    if (!organizationId) return;
+    try {
+      setActiveId(localStorage.getItem(ACTIVE_KEY(organizationId)));
+    } catch {
+      setActiveId(null);
+    }
+  }, [organizationId]);
+
+  const pipelines = useMemo(() => {
+    if (state.pipelines.length > 0) return state.pipelines;
+    // Synthetic default so deals (pipeline_id null) still render before/without the endpoint
+    return [{ id: null, name: 'Sales Pipeline', template_id: fallbackTemplate || 'default', stages: null, is_default: true }];
+  }, [state.pipelines, fallbackTemplate]);
+
+  const activePipeline = useMemo(
+    () => pipelines.find(pipeline => pipeline.id && pipeline.id === activePipelineId) || getDefaultPipeline(pipelines),
+    [pipelines, activePipelineId]
+  );
+
+  const setActivePipelineId = useCallback((pipelineId) => {
+    setActiveId(pipelineId);
+    if (!organizationId) return;
+    try {
+      if (pipelineId) {
+        localStorage.setItem(ACTIVE_KEY(organizationId), pipelineId);
+      } else {
+        localStorage.removeItem(ACTIVE_KEY(organizationId));
+      }
+    } catch {
+      // Storage unavailable (private mode) - selection just isn't remembered
+    }
+  }, [organizationId]);
+
+  const refresh = useCallback(() => invalidatePipelines(organizationId), [organizationId]);
+
+  return {
+    pipelines,
+    activePipeline,
+    activePipelineId: activePipeline?.id ?? null,
+    setActivePipelineId,
+    loading: state.loading,
+    error: state.error,
+    refresh
+  };
+}
+
+export default usePipelines;
@@ -0,0 +1,95 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { api } from '../lib/api-client';
+import { toStageDefinitionMap } from '../config/stageDefinitions';
+
+/**
+ * Org stage definitions (stage-definitions endpoint)
+ *
+ * Definitions are fetched once per organization and shared by every consumer
+ * (Dashboard stage labels/colors, KanbanBoard outcomes and stagnation,
+ * DealDetailsModal status sync, PipelineCustomizer). Call `refresh()` after
+ * editing definitions; all mounted consumers update.
+ *
+ * `definitions` is a map keyed by stage id - pass it to getStatusForStage,
+ * isWonStage, calculateDealConfidence, etc. An empty map means built-in defaults.
+ *
+ * @param {string} organizationId
+ * @returns {Object} { definitions, loading, error, refresh }
+ */
+
+// organizationId → Promise<rows[]>
+const cache = new Map();
+const listeners = new Set();
+
+const fetchDefinitions = (organizationId) => {
+  if (!cache.has(organizationId)) {
+    const request = api
+      .get(`stage-definitions?organizationId=${encodeURIComponent(organizationId)}`)
+      .then(({ data }) => data?.definitions || [])
+      .catch((err) => {
+        // Don't cache failures - the next mount retries
+        cache.delete(organizationId);
+        throw err;
+      });
+    cache.set(organizationId, request);
+  }
+  return cache.get(organizationId);
+};
+
+/**
+ * Drop cached definitions for an org and notify mounted hooks
+ */
+export function invalidateStageDefinitions(organizationId) {
+  cache.delete(organizationId);
+  listeners.forEach(listener => listener(organizationId));
+}
+
+export function useStageDefinitions(organizationId) {
+  const [state, setState] = useState({ rows: [], loading: !!organizationId, error: null });
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    const listener = (changedOrgId) => {
+      if (changedOrgId === organizationId) setVersion(v => v + 1);
+    };
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }, [organizationId]);
+
+  useEffect(() => {
+    if (!organizationId) {
+      setState({ rows: [], loading: false, error: null });
+      return;
+    }
+
+    let cancelled = false;
+    setState(prev => ({ ...prev, loading: true, error: null }));
+
+    fetchDefinitions(organizationId)
+      .then((rows) => {
+        if (!cancelled) setState({ rows, loading: false, error: null });
+      })
+      .catch((err) => {
+        // Built-in stage defaults keep working without the endpoint
+        console.error('[useStageDefinitions] Failed to load stage definitions:', err);
+        if (!cancelled) setState(prev => ({ ...prev, loading: false, error: err.message || 'Failed to load stage definitions' }));
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [organizationId, version]);
+
+  const definitions = useMemo(() => toStageDefinitionMap(state.rows), [state.rows]);
+
+  const refresh = useCallback(() => invalidateStageDefinitions(organizationId), [organizationId]);
+
+  return {
+    definitions,
+    loading: state.loading,
+    error: state.error,
+    refresh
+  };
+}
+
+export default useStageDefinitions;
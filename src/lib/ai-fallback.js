@@ -81,19 +81,19 @@ export async function fetchConnectedProviders(organizationId) {
  *
  * @param {Object} options - Request options
  * @param {string} options.message - The user's message/query
- * @param {Array} options.deals - Deal data to provide context
- * @param {Array} options.conversationHistory - Previous messages
  * @param {string} options.providerType - The provider_type to use (e.g., 'openai', 'anthropic', 'google')
  * @param {Array} options.aiSignals - Optional AI signals for personalization
+ * @param {string} options.threadId - Persisted thread; the server reads its history and appends the answer (optional)
+ * @param {string} options.displayMessage - Question text stored in the thread when it differs from the prompt (optional)
  * @returns {Promise<Object>} The AI response
  */
 async function makeAIRequest(options) {
   const {
     message,
-    deals = [],
-    conversationHistory = [],
     providerType,
-    aiSignals = []
+    aiSignals = [],
+    threadId = null,
+    displayMessage = null
   } = options;
 
   // FIX 2025-12-03: Inject Authorization header for reliable auth
@@ -109,12 +109,12 @@ async function makeAIRequest(options) {
     method: 'POST',
     headers,
     credentials: 'include', // Keep cookies as fallback
+    // Deals, targets and stage history are loaded server-side for the user's org
     body: JSON.stringify({
       message,
-      deals,
-      conversationHistory,
       preferredProvider: providerType,
-      aiSignals
+      aiSignals,
+      ...(threadId && { threadId, displayMessage })
     })
   });
 
@@ -214,14 +214,14 @@ function inferTaskType(message, quickActionId = null) {
  *
  * @param {Object} options - Query options
  * @param {string} options.message - The user's message/query
- * @param {Array} options.deals - Deal data for context
- * @param {Array} options.conversationHistory - Previous conversation messages
  * @param {string} options.primaryProvider - The user's preferred provider_type
  * @param {string} options.organizationId - The organization ID
  * @param {Array} options.connectedProviders - Pre-fetched list of connected providers (optional)
  * @param {Array} options.aiSignals - AI signals for personalization (optional)
  * @param {string} options.taskType - Explicit task type override (optional)
  * @param {string} options.quickActionId - Quick action identifier for task inference (optional)
+ * @param {string} options.threadId - Persisted thread to continue (optional)
+ * @param {string} options.displayMessage - Question text stored in the thread (optional)
  * @returns {Promise<Object>} Response object with:
  *   - response: The AI response text
  *   - provider: Display name of the provider that responded
@@ -230,19 +230,20 @@ function inferTaskType(message, quickActionId = null) {
  *   - fallbackOccurred: Boolean indicating if fallback was needed
  *   - taskType: The inferred or explicit task type used for routing
  *   - chartData, chartType, chartTitle: Optional chart data
+ *   - proposedActions: Optional deal changes awaiting confirmation (AIActionCard)
  *   - performanceContext: Optional performance metrics
  */
 export async function runAIQueryWithFallback(options) {
   const {
     message,
-    deals = [],
-    conversationHistory = [],
     primaryProvider,
     organizationId,
     connectedProviders: preloadedProviders,
     aiSignals = [],
     taskType: explicitTaskType = null,
-    quickActionId = null
+    quickActionId = null,
+    threadId = null,
+    displayMessage = null
   } = options;
 
   // Get connected providers (use preloaded if available)
@@ -278,10 +279,10 @@ export async function runAIQueryWithFallback(options) {
 
       const result = await makeAIRequest({
         message,
-        deals,
-        conversationHistory,
         providerType,
-        aiSignals
+        aiSignals,
+        threadId,
+        displayMessage
       });
 
       // FIX 2025-12-11: Check for explicit backend failure (ok: false)
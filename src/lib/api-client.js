@@ -37,6 +37,9 @@
  *
  * // Payment request (20s timeout, 1 retry max for safety)
  * const { data } = await api.payment('/checkout', { plan: 'pro' });
+ *
+ * // Deal mutation (Idempotency-Key sent automatically; pass one to reuse it across replays)
+ * const { data } = await api.deal('update-deal', payload, { idempotencyKey: command.idempotencyKey });
  * ```
  */
 
@@ -54,6 +57,7 @@ import {
 } from './sentry';
 // P0 FIX 2025-12-08: Invariant validation to prevent false success responses
 import { normalizeDealResponse, isValidSuccessResponse } from './invariants';
+import { generateIdempotencyKey } from './crypto-utils';
 
 /**
  * Default timeout values for different operation types
@@ -449,6 +453,8 @@ export class APIClient {
     enhancedError.url = url;
     enhancedError.status = error.status;
     enhancedError.code = error.code || 'UNKNOWN_ERROR';
+    // Parsed error body - structured errors (e.g. STAGE_REQUIREMENTS_UNMET) carry details
+    enhancedError.data = error.data;
     enhancedError.isEnhanced = true;
 
     // Add user-friendly message
@@ -577,13 +583,26 @@ export class APIClient {
    * - If success: true, deal object MUST be present and valid
    * - If success: false, error and code MUST be present
    *
+   * Every call carries an Idempotency-Key header. fetchWithRetry re-sends the
+   * same headers, so a retry after a timeout replays the stored server response
+   * instead of creating a duplicate deal. Callers that replay the same logical
+   * mutation later (offline queue) pass their persisted key via options.idempotencyKey.
+   *
    * @param {string} endpoint - API endpoint (e.g., 'update-deal', 'create-deal')
    * @param {object} data - Request payload
    * @param {object} options - Request options
+   * @param {string} [options.idempotencyKey] - Reuse a specific key (defaults to a new one per call)
    * @returns {Promise<{data: object, response: Response, correlationId: string}>}
    */
   async dealRequest(endpoint, data, options = {}) {
-    const result = await this.post(endpoint, data, options);
+    const { idempotencyKey, ...requestOptions } = options;
+    const result = await this.post(endpoint, data, {
+      ...requestOptions,
+      headers: {
+        ...requestOptions.headers,
+        'Idempotency-Key': idempotencyKey || generateIdempotencyKey(),
+      },
+    });
 
     // P0 FIX: Validate response using invariant module
     // This ensures we NEVER return success: true without a valid deal
@@ -43,3 +43,19 @@ export function generateApiKey() {
   
   return `sk_${randomPart}`;
 }
+
+/**
+ * Generate a unique Idempotency-Key for a deal mutation
+ * The same key must be re-sent on every retry/replay of that mutation so the
+ * server returns the original response instead of applying it twice.
+ * @returns {string} - UUID v4 (or equivalent random hex id)
+ */
+export function generateIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+
+  const array = new Uint8Array(16);
+  crypto.getRandomValues(array);
+  return `idem_${Array.from(array, b => b.toString(16).padStart(2, '0')).join('')}`;
+}
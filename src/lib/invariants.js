@@ -153,7 +153,7 @@ export const AI_RESPONSE_REQUIRED_FIELDS = ['response'];
 /**
  * Valid AI provider types
  */
-export const VALID_AI_PROVIDERS = new Set(['openai', 'anthropic', 'google']);
+export const VALID_AI_PROVIDERS = new Set(['openai', 'anthropic', 'google', 'custom']);
 
 /**
  * Custom error class for invariant violations
@@ -633,7 +633,7 @@ export function validateAIResponse(response, context = 'unknown') {
   // Validate provider if present
   if (response.provider && !VALID_AI_PROVIDERS.has(response.provider.toLowerCase())) {
     // Map display names to provider types
-    const providerMap = { 'chatgpt': 'openai', 'claude': 'anthropic', 'gemini': 'google' };
+    const providerMap = { 'chatgpt': 'openai', 'claude': 'anthropic', 'gemini': 'google', 'custom endpoint': 'custom' };
     const normalized = providerMap[response.provider.toLowerCase()];
     if (!normalized && !VALID_AI_PROVIDERS.has(response.provider.toLowerCase())) {
       console.warn(`[Invariant] Unknown AI provider "${response.provider}" in ${context}`);
@@ -22,6 +22,7 @@
 import { indexedDBCache, STORES } from './indexeddb-cache';
 import { logger } from './logger';
 import { trackEvent, addBreadcrumb } from './sentry';
+import { generateIdempotencyKey } from './crypto-utils';
 
 // Command types for offline queue
 export const OFFLINE_COMMAND_TYPES = {
@@ -54,6 +55,7 @@ function generateCommandId() {
  * @param {Object} command.payload - Command-specific data (dealId, updates, etc.)
  * @param {string} command.organizationId - Organization context
  * @param {string} [command.localId] - Temporary ID for optimistic UI (for creates)
+ * @param {string} [command.idempotencyKey] - Key sent with every sync attempt (generated if omitted)
  * @returns {Promise<string>} - Command ID
  */
 export async function enqueueCommand(command) {
@@ -65,6 +67,9 @@ export async function enqueueCommand(command) {
       payload: command.payload,
       organizationId: command.organizationId,
       localId: command.localId || null, // For tracking optimistic creates
+      // Sent as Idempotency-Key on every sync attempt so a replay after a lost
+      // response doesn't apply the mutation twice on the server
+      idempotencyKey: command.idempotencyKey || generateIdempotencyKey(),
       status: COMMAND_STATUS.PENDING,
       createdAt: Date.now(),
       attempts: 0,
@@ -47,6 +47,12 @@ export class RetryHandler {
       return true;
     }
 
+    // The original request with the same Idempotency-Key is still running server-side.
+    // Safe to retry: the repeat either waits its turn or replays the stored response.
+    if (error.code === 'IDEMPOTENCY_IN_PROGRESS') {
+      return true;
+    }
+
     // Check HTTP status codes (specific retryable errors only)
     // FIX 2025-12-06: Do NOT retry generic 500 errors - they may be structural failures
     // that will never succeed. Only retry transient server errors (502, 503, 504)
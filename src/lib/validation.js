@@ -3,6 +3,12 @@
  * Provides secure validation for webhooks, URLs, and data integrity
  */
 
+import { coerceCustomFieldValue } from '../config/customFieldConfig';
+import { mapImportRow, extractCustomFields, CUSTOM_FIELD_MAPPING_PREFIX } from '../config/dealImport';
+
+/** CSV mapping keys for custom fields are `custom:<field key>` */
+export { CUSTOM_FIELD_MAPPING_PREFIX };
+
 /**
  * Validates a webhook URL
  * @param {string} url - The URL to validate
@@ -52,64 +58,28 @@ export const validateWebhookUrl = (url) => {
 
 /**
  * Validates CSV row data for deal import
+ * Stages are checked against `importOptions.stageIds` (the target pipeline's
+ * stages) after `importOptions.stageMapping` - see src/config/dealImport.js.
  * @param {Object} row - CSV row data
  * @param {Object} mapping - Field mapping configuration
+ * @param {Array} [customFields] - Org custom field definitions (useCustomFields)
+ * @param {Object} [importOptions] - { stageMapping, stageIds, defaultStage }
  * @returns {{valid: boolean, errors: string[]}} Validation result
  */
-export const validateDealRow = (row, mapping) => {
-  const errors = [];
-
-  // Client name is required
-  if (!mapping.client || !row[mapping.client]?.trim()) {
-    errors.push('Client name is required');
-  }
-
-  // Email validation (if provided)
-  if (mapping.email && row[mapping.email]) {
-    const email = row[mapping.email].trim();
-    // FIX C8: Better email validation - require 2+ char TLD
-const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
-    if (!emailRegex.test(email)) {
-      errors.push('Invalid email format');
-    }
-  }
-
-  // Phone validation (if provided)
-  if (mapping.phone && row[mapping.phone]) {
-    const phone = row[mapping.phone].trim();
-    // Basic phone validation (allows various formats)
-    const phoneRegex = /^[\d\s\-\+\(\)]+$/;
-    if (!phoneRegex.test(phone) || phone.length < 7) {
-      errors.push('Invalid phone format');
-    }
-  }
-
-  // Value validation (if provided)
-  if (mapping.value && row[mapping.value]) {
-    const value = parseFloat(row[mapping.value]);
-    if (isNaN(value) || value < 0) {
-      errors.push('Deal value must be a positive number');
+export const validateDealRow = (row, mapping, customFields = [], importOptions = {}) => {
+  const { errors } = mapImportRow(row, { ...importOptions, mapping });
+
+  // Custom fields (same coercion import-deals-csv applies server-side)
+  customFields.forEach(field => {
+    const column = mapping[`${CUSTOM_FIELD_MAPPING_PREFIX}${field.key}`];
+    const raw = column ? row[column]?.trim() : '';
+    if (!raw) {
+      if (field.required && field.defaultValue == null) errors.push(`${field.label} is required`);
+      return;
     }
-  }
-
-  // Stage validation (if provided)
-  if (mapping.stage && row[mapping.stage]) {
-    const validStages = ['lead', 'quote', 'approval', 'invoice', 'onboarding', 'delivery', 'retention'];
-    const stage = row[mapping.stage].toLowerCase().trim();
-    if (!validStages.includes(stage)) {
-      errors.push(`Invalid stage. Must be one of: ${validStages.join(', ')}`);
-    }
-  }
-
-  // Status validation (if provided)
-  // PHASE 4: Added 'disqualified' to valid statuses
-  if (mapping.status && row[mapping.status]) {
-    const validStatuses = ['active', 'won', 'lost', 'disqualified'];
-    const status = row[mapping.status].toLowerCase().trim();
-    if (!validStatuses.includes(status)) {
-      errors.push(`Invalid status. Must be one of: ${validStatuses.join(', ')}`);
-    }
-  }
+    const { error } = coerceCustomFieldValue(field, raw, { fromText: true });
+    if (error) errors.push(error);
+  });
 
   return {
     valid: errors.length === 0,
@@ -123,20 +93,31 @@ const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
  * @param {Object} mapping - Field mapping
  * @param {string} userId - User ID
  * @param {string} orgId - Organization ID
+ * @param {Object} [importOptions] - { stageMapping, stageIds, defaultStage }
  * @returns {Object} Sanitized deal object
  */
-export const sanitizeDealFromCSV = (row, mapping, userId, orgId) => {
+export const sanitizeDealFromCSV = (row, mapping, userId, orgId, importOptions = {}) => {
+  const { deal } = mapImportRow(row, { ...importOptions, mapping });
   return {
     organization_id: orgId,
     user_id: userId,
-    client: row[mapping.client]?.trim() || 'Unknown',
-    email: mapping.email && row[mapping.email]?.trim() || null,
-    phone: mapping.phone && row[mapping.phone]?.trim() || null,
-    value: mapping.value ? (parseFloat(row[mapping.value]) || 0) : 0,
-    stage: mapping.stage ? row[mapping.stage]?.toLowerCase().trim() : 'lead',
-    status: mapping.status ? row[mapping.status]?.toLowerCase().trim() : 'active',
-    notes: mapping.notes ? row[mapping.notes]?.trim() || '' : '',
+    client: deal.client || 'Unknown',
+    email: deal.email || null,
+    phone: deal.phone || null,
+    value: deal.value || 0,
+    stage: deal.stage || 'lead',
+    status: deal.status || 'active',
+    notes: deal.notes || '',
+    custom_fields: deal.custom_fields || {},
     created: new Date().toISOString(),
     last_activity: new Date().toISOString()
   };
 };
+
+/**
+ * Raw custom field cells from a CSV row, keyed by field key (coerced server-side)
+ * @param {Object} row - CSV row
+ * @param {Object} mapping - Field mapping (custom:<key> → column)
+ * @returns {Object} { [fieldKey]: string }
+ */
+export const extractCustomFieldsFromCSV = (row, mapping) => extractCustomFields(row, mapping);
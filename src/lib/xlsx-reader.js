@@ -0,0 +1,183 @@
+/**
+ * Minimal XLSX reader for the deal import
+ *
+ * Reads the first worksheet of an .xlsx file into the same
+ * { headers, rows } shape parseCSV returns (src/config/dealImport.js).
+ * Handles shared/inline strings, booleans, numbers and date-formatted cells
+ * (converted to YYYY-MM-DD). Formulas use their cached value.
+ *
+ * Unzips with the browser's DecompressionStream, so no spreadsheet library
+ * ships in the bundle.
+ */
+import { toRowObjects } from '../config/dealImport';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// Built-in number formats that display dates
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+export const isXLSXFile = (file) => /\.xlsx$/i.test(file?.name || '')
+  || file?.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// ============================================================================
+// ZIP
+// ============================================================================
+
+const readZipEntries = (buffer) => {
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not a valid .xlsx file');
+
+  const entries = new Map();
+  const decoder = new TextDecoder();
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) throw new Error('Corrupt .xlsx file');
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    entries.set(name, { method, compressedSize, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+const readZipFile = async (buffer, entries, name) => {
+  const entry = entries.get(name);
+  if (!entry) return null;
+
+  const view = new DataView(buffer);
+  if (view.getUint32(entry.localOffset, true) !== LOCAL_SIGNATURE) throw new Error('Corrupt .xlsx file');
+  const start = entry.localOffset + 30
+    + view.getUint16(entry.localOffset + 26, true)
+    + view.getUint16(entry.localOffset + 28, true);
+  const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+  if (entry.method === 0) return new TextDecoder().decode(data);
+  if (entry.method !== 8) throw new Error('Unsupported .xlsx compression');
+
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+};
+
+// ============================================================================
+// XML
+// ============================================================================
+
+const parseXML = (text) => new DOMParser().parseFromString(text, 'application/xml');
+const byTag = (node, name) => Array.from(node.getElementsByTagNameNS('*', name));
+
+// Concatenated <t> text of a string item, skipping phonetic runs
+const stringItemText = (node) => byTag(node, 't')
+  .filter(t => t.parentNode?.localName !== 'rPh')
+  .map(t => t.textContent)
+  .join('');
+
+const columnIndex = (ref) => {
+  const letters = /^[A-Z]+/i.exec(ref || '')?.[0]?.toUpperCase() || '';
+  return letters.split('').reduce((index, letter) => index * 26 + (letter.charCodeAt(0) - 64), 0) - 1;
+};
+
+const isDateFormatCode = (code) => {
+  const stripped = String(code || '').replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+  return /[dmy]/i.test(stripped) && !/^[#0.,%\s]*$/.test(stripped);
+};
+
+// Excel serial day (1900 date system) → YYYY-MM-DD
+const serialToDate = (serial) => new Date(Math.round((serial - 25569) * 86400000)).toISOString().slice(0, 10);
+
+const loadDateStyles = (stylesXML) => {
+  if (!stylesXML) return [];
+  const doc = parseXML(stylesXML);
+  const customFormats = new Map(byTag(doc, 'numFmt').map(fmt => [
+    Number(fmt.getAttribute('numFmtId')),
+    fmt.getAttribute('formatCode')
+  ]));
+  const cellXfs = byTag(doc, 'cellXfs')[0];
+  if (!cellXfs) return [];
+  return Array.from(cellXfs.children).map(xf => {
+    const id = Number(xf.getAttribute('numFmtId'));
+    return DATE_FORMAT_IDS.has(id) || (customFormats.has(id) && isDateFormatCode(customFormats.get(id)));
+  });
+};
+
+const resolveFirstSheetPath = (workbookXML, relsXML) => {
+  const fallback = 'xl/worksheets/sheet1.xml';
+  if (!workbookXML || !relsXML) return fallback;
+
+  const sheet = byTag(parseXML(workbookXML), 'sheet')[0];
+  const relId = sheet?.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id')
+    || sheet?.getAttribute('r:id');
+  const rel = byTag(parseXML(relsXML), 'Relationship').find(r => r.getAttribute('Id') === relId);
+  const target = rel?.getAttribute('Target');
+  if (!target) return fallback;
+  return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+};
+
+// ============================================================================
+// READER
+// ============================================================================
+
+/**
+ * Read the first worksheet of an .xlsx file
+ *
+ * @param {File|Blob|ArrayBuffer} source
+ * @returns {Promise<{ headers: string[], rows: Object[] }>}
+ */
+export const readXLSX = async (source) => {
+  const buffer = source instanceof ArrayBuffer ? source : await source.arrayBuffer();
+  const entries = readZipEntries(buffer);
+
+  const [workbookXML, relsXML, sharedXML, stylesXML] = await Promise.all([
+    readZipFile(buffer, entries, 'xl/workbook.xml'),
+    readZipFile(buffer, entries, 'xl/_rels/workbook.xml.rels'),
+    readZipFile(buffer, entries, 'xl/sharedStrings.xml'),
+    readZipFile(buffer, entries, 'xl/styles.xml'),
+  ]);
+
+  const sheetXML = await readZipFile(buffer, entries, resolveFirstSheetPath(workbookXML, relsXML));
+  if (!sheetXML) throw new Error('The workbook has no worksheet');
+
+  const sharedStrings = sharedXML ? byTag(parseXML(sharedXML), 'si').map(stringItemText) : [];
+  const dateStyles = loadDateStyles(stylesXML);
+
+  const records = byTag(parseXML(sheetXML), 'row').map(rowNode => {
+    const values = [];
+    byTag(rowNode, 'c').forEach((cellNode, position) => {
+      const ref = cellNode.getAttribute('r');
+      const index = ref ? columnIndex(ref) : position;
+      const type = cellNode.getAttribute('t');
+      const raw = byTag(cellNode, 'v')[0]?.textContent ?? '';
+
+      let value;
+      if (type === 's') value = sharedStrings[Number(raw)] ?? '';
+      else if (type === 'inlineStr') value = byTag(cellNode, 'is').map(stringItemText).join('');
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (type === 'str' || type === 'e') value = raw;
+      else if (raw !== '' && dateStyles[Number(cellNode.getAttribute('s') || 0)]) value = serialToDate(Number(raw));
+      else value = raw;
+
+      values[index] = value;
+    });
+    return Array.from(values, value => value ?? '');
+  }).filter(values => values.some(value => String(value).trim() !== ''));
+
+  return toRowObjects(records);
+};
+
+export default { readXLSX, isXLSXFile };
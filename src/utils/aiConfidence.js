@@ -16,7 +16,8 @@
 // This ensures frontend and backend use identical values
 import {
   STAGNATION_THRESHOLDS,
-  STAGE_BASE_CONFIDENCE
+  STAGE_BASE_CONFIDENCE,
+  getStagnationThreshold
 } from '../config/pipelineConfig';
 
 // Re-export for backwards compatibility with existing imports
@@ -97,9 +98,10 @@ export const buildUserPerformanceProfiles = (deals) => {
  * @param {Object} deal - The deal to score
  * @param {Map} userPerformance - User performance profiles
  * @param {Number} globalWinRate - Organization-wide win rate (fallback)
+ * @param {Object} [stageDefinitions] - Org stage definitions (stored stagnation thresholds)
  * @returns {Number} Confidence score (0-100)
  */
-export const calculateDealConfidence = (deal, userPerformance = new Map(), globalWinRate = 0.3) => {
+export const calculateDealConfidence = (deal, userPerformance = new Map(), globalWinRate = 0.3, stageDefinitions) => {
   // CRITICAL FIX: Validate inputs
   if (!deal) return 30; // Default confidence for invalid deal
   if (!userPerformance || typeof userPerformance.get !== 'function') {
@@ -169,7 +171,7 @@ export const calculateDealConfidence = (deal, userPerformance = new Map(), globa
     console.warn(`Deal ${deal.id} is ${dealAge} days old (>5 years), capping penalties`);
   }
 
-  const stagnationThreshold = STAGNATION_THRESHOLDS[deal.stage] || STAGNATION_THRESHOLDS.default;
+  const stagnationThreshold = getStagnationThreshold(deal.stage, stageDefinitions);
 
   // Calculate all potential penalties separately, then apply MAXIMUM (not stacking)
   let stagnationPenalty = 0;
@@ -232,14 +234,17 @@ export const getConfidenceColor = (confidence) => {
 };
 
 /**
- * Check if a deal is stagnant (sitting too long in current stage)
+ * Check if a deal is stagnant (sitting too long in current stage without a touch)
+ * Idle time runs from the most recent logged activity (last_touch_at), or from
+ * creation when nothing has been logged. Edits don't count as touches.
  * @param {Object} deal - The deal to check
- * @returns {Object} { isStagnant: boolean, daysOver: number, threshold: number, dealAge: number }
+ * @param {Object} [stageDefinitions] - Org stage definitions (stored stagnation thresholds)
+ * @returns {Object} { isStagnant: boolean, daysOver: number, threshold: number, dealAge: number, daysIdle: number }
  */
-export const checkDealStagnation = (deal) => {
+export const checkDealStagnation = (deal, stageDefinitions) => {
   // Null safety check
   if (!deal) {
-    return { isStagnant: false, daysOver: 0, threshold: 14, dealAge: 0 };
+    return { isStagnant: false, daysOver: 0, threshold: 14, dealAge: 0, daysIdle: 0 };
   }
 
   const now = new Date();
@@ -247,28 +252,33 @@ export const checkDealStagnation = (deal) => {
 
   // Validate creation date exists
   if (!createdDate) {
-    return { isStagnant: false, daysOver: 0, threshold: 14, dealAge: 0 };
+    return { isStagnant: false, daysOver: 0, threshold: 14, dealAge: 0, daysIdle: 0 };
   }
 
   const createdTimestamp = new Date(createdDate).getTime();
   if (isNaN(createdTimestamp)) {
-    return { isStagnant: false, daysOver: 0, threshold: 14, dealAge: 0 };
+    return { isStagnant: false, daysOver: 0, threshold: 14, dealAge: 0, daysIdle: 0 };
   }
 
   const dealAge = Math.floor((now.getTime() - createdTimestamp) / (1000 * 60 * 60 * 24));
 
   // Handle negative ages (future dates)
   if (dealAge < 0) {
-    return { isStagnant: false, daysOver: 0, threshold: 14, dealAge: 0 };
+    return { isStagnant: false, daysOver: 0, threshold: 14, dealAge: 0, daysIdle: 0 };
   }
 
-  const threshold = STAGNATION_THRESHOLDS[deal.stage] || STAGNATION_THRESHOLDS.default;
-  const daysOver = Math.max(0, dealAge - threshold);
+  const touchTimestamp = deal.last_touch_at ? new Date(deal.last_touch_at).getTime() : NaN;
+  const idleSince = isNaN(touchTimestamp) ? createdTimestamp : Math.max(createdTimestamp, touchTimestamp);
+  const daysIdle = Math.max(0, Math.floor((now.getTime() - idleSince) / (1000 * 60 * 60 * 24)));
+
+  const threshold = getStagnationThreshold(deal.stage, stageDefinitions);
+  const daysOver = Math.max(0, daysIdle - threshold);
 
   return {
-    isStagnant: dealAge > threshold,
+    isStagnant: daysIdle > threshold,
     daysOver,
     threshold,
-    dealAge
+    dealAge,
+    daysIdle
   };
 };
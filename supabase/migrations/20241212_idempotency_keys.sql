@@ -0,0 +1,56 @@
+-- Idempotency Keys for Deal Mutations
+-- Migration: 20241212_idempotency_keys.sql
+--
+-- Stores the response of each deal-mutating request sent with an
+-- Idempotency-Key header so that replays from the offline queue or client
+-- retries return the original response instead of creating duplicates.
+--
+-- Used by: create-deal, update-deal, import-deals-csv, api-deals (POST/PUT)
+-- See netlify/functions/lib/idempotency.ts
+
+create table if not exists public.idempotency_keys (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  idempotency_key text not null,
+  endpoint text not null, -- e.g. 'create-deal', 'api-deals:POST'
+  request_hash text not null, -- sha256 of the canonical JSON body
+
+  status text not null default 'in_progress' check (status in ('in_progress', 'completed')),
+  response_status integer,
+  response_body jsonb,
+
+  locked_at timestamptz not null default now(),
+  created_at timestamptz not null default now(),
+  completed_at timestamptz,
+  expires_at timestamptz not null default (now() + interval '24 hours'),
+
+  unique (organization_id, endpoint, idempotency_key)
+);
+
+-- Index for cleanup of expired keys
+create index if not exists idx_idempotency_keys_expires_at
+  on public.idempotency_keys (expires_at);
+
+-- RLS: Service role only (Netlify Functions manage this table)
+alter table public.idempotency_keys enable row level security;
+
+-- No RLS policies = only service_role can access
+
+-- Cleanup helper: delete expired keys (call from a scheduled job or manually)
+create or replace function public.cleanup_expired_idempotency_keys()
+returns integer
+language sql
+security definer
+set search_path = public
+as $$
+  with deleted as (
+    delete from public.idempotency_keys
+    where expires_at < now()
+    returning 1
+  )
+  select count(*)::integer from deleted;
+$$;
+
+comment on table public.idempotency_keys is 'Stored responses for Idempotency-Key headers on deal mutations. Managed by Netlify Functions using service_role.';
+comment on column public.idempotency_keys.request_hash is 'SHA-256 of the canonical request body; a key reused with a different body is rejected';
+comment on column public.idempotency_keys.locked_at is 'When the in_progress claim was taken; claims older than 60s are considered abandoned';
@@ -0,0 +1,22 @@
+-- Scoped API Keys
+-- Migration: 20241213_api_key_scopes.sql
+--
+-- API keys now carry RBAC permission scopes (read_deals, create_deals, ...)
+-- in `permissions` instead of only read/write/admin, plus an optional
+-- per-key hourly rate limit. Legacy values keep working: they are expanded
+-- to scope sets in netlify/functions/lib/api-key-auth.ts.
+--
+-- Used by: api-keys-create, api-keys-list, api-deals
+
+alter table public.api_keys
+  add column if not exists permissions text[] not null default array['read_deals'],
+  add column if not exists usage_count integer not null default 0,
+  add column if not exists rate_limit_per_hour integer
+    check (rate_limit_per_hour is null or rate_limit_per_hour between 1 and 10000);
+
+-- Key lookup by hash runs on every API request
+create index if not exists idx_api_keys_key_hash
+  on public.api_keys (key_hash);
+
+comment on column public.api_keys.permissions is 'Scopes from rbac.ts PERMISSIONS (read_deals, create_deals, edit_deals, delete_deals, view_analytics, export_data) or legacy read/write/admin';
+comment on column public.api_keys.rate_limit_per_hour is 'Optional per-key request limit per hour, counted in rate_limits under bucket api_key:{id}. NULL = org default only';
@@ -0,0 +1,34 @@
+-- Deal Change History
+-- Migration: 20241214_deal_change_history.sql
+--
+-- Field-level audit trail behind the History tab in DealDetailsModal.
+-- Each row holds the previous and new values of the tracked fields that
+-- changed in one write (stage, status, value, assigned_to, notes, outcome).
+-- deal_stage_history is unchanged and still written for stage analytics.
+--
+-- Written by: create-deal, update-deal, api-deals, assign-deals
+-- Read by: get-deal-history
+-- See netlify/functions/lib/deal-history.ts
+
+create table if not exists public.deal_change_history (
+  id uuid primary key default gen_random_uuid(),
+  deal_id uuid not null references public.deals(id) on delete cascade,
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  changed_by uuid references auth.users(id) on delete set null, -- null = system / API
+  source text not null check (source in ('create', 'update', 'api', 'assign', 'import')),
+  previous_values jsonb not null default '{}'::jsonb,
+  new_values jsonb not null default '{}'::jsonb,
+  changed_at timestamptz not null default now()
+);
+
+create index if not exists idx_deal_change_history_deal
+  on public.deal_change_history (deal_id, changed_at desc);
+
+-- RLS: Service role only (Netlify Functions manage this table)
+alter table public.deal_change_history enable row level security;
+
+-- No RLS policies = only service_role can access
+
+comment on table public.deal_change_history is 'Append-only field-level audit trail for deals. Managed by Netlify Functions using service_role.';
+comment on column public.deal_change_history.previous_values is 'Tracked fields as they were before the change (only fields that changed)';
+comment on column public.deal_change_history.new_values is 'Tracked fields after the change (only fields that changed)';
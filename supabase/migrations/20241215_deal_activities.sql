@@ -0,0 +1,48 @@
+-- Deal Activities
+-- Migration: 20241215_deal_activities.sql
+--
+-- Individual touches (calls, emails, meetings) logged against a deal.
+-- Logging an activity bumps deals.last_activity and deals.last_touch_at;
+-- last_touch_at only moves on real touches (not edits), so follow-up health
+-- (revops-metrics getDealFollowupStatus) and stagnation checks use it first.
+--
+-- Written/read by: deal-activities
+-- Types/outcomes must match ActivitySchema in netlify/functions/lib/validation.ts
+
+create table if not exists public.deal_activities (
+  id uuid primary key default gen_random_uuid(),
+  deal_id uuid not null references public.deals(id) on delete cascade,
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  user_id uuid references auth.users(id) on delete set null,
+
+  type text not null check (type in ('call', 'email', 'meeting', 'other')),
+  occurred_at timestamptz not null default now(),
+  duration_minutes integer check (duration_minutes is null or duration_minutes between 0 and 1440),
+  outcome text check (outcome is null or outcome in (
+    'connected', 'left_voicemail', 'no_answer',
+    'sent', 'replied', 'bounced',
+    'held', 'no_show', 'rescheduled',
+    'completed'
+  )),
+  body text check (body is null or char_length(body) <= 10000),
+
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_deal_activities_deal
+  on public.deal_activities (deal_id, occurred_at desc);
+
+create index if not exists idx_deal_activities_org
+  on public.deal_activities (organization_id, occurred_at desc);
+
+-- Most recent logged touch (null until the first activity is logged)
+alter table public.deals
+  add column if not exists last_touch_at timestamptz;
+
+-- RLS: Service role only (Netlify Functions manage this table)
+alter table public.deal_activities enable row level security;
+
+-- No RLS policies = only service_role can access
+
+comment on table public.deal_activities is 'Calls, emails and meetings logged against deals. Managed by Netlify Functions using service_role.';
+comment on column public.deals.last_touch_at is 'occurred_at of the most recent logged activity; unlike last_activity it is not bumped by edits';
@@ -0,0 +1,120 @@
+-- Contacts and Companies
+-- Migration: 20241216_contacts_companies.sql
+--
+-- People and accounts as their own entities, linked many-to-many to deals so
+-- the same customer isn't duplicated across deals and renewals can be tied to
+-- the original account. deals.client/email/phone stay as the denormalized
+-- display copy of the primary contact.
+--
+-- Dedup keys (per organization):
+-- - contacts: lower(email)
+-- - companies: domain (lowercase, no www.), only for non-freemail domains
+--
+-- Used by: contacts, companies, create-deal
+-- See netlify/functions/lib/contacts.ts
+
+create table if not exists public.companies (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  name text not null check (char_length(name) between 1 and 200),
+  domain text check (domain is null or domain = lower(domain)),
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists idx_companies_org_domain
+  on public.companies (organization_id, domain)
+  where domain is not null;
+
+create index if not exists idx_companies_org_name
+  on public.companies (organization_id, lower(name));
+
+create table if not exists public.contacts (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  company_id uuid references public.companies(id) on delete set null,
+  name text not null check (char_length(name) between 1 and 200),
+  email text,
+  phone text,
+  title text,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists idx_contacts_org_email
+  on public.contacts (organization_id, lower(email))
+  where email is not null;
+
+create index if not exists idx_contacts_org_name
+  on public.contacts (organization_id, lower(name));
+
+create index if not exists idx_contacts_company
+  on public.contacts (company_id);
+
+-- Deal <-> contact links (one primary contact per deal)
+create table if not exists public.deal_contacts (
+  deal_id uuid not null references public.deals(id) on delete cascade,
+  contact_id uuid not null references public.contacts(id) on delete cascade,
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  is_primary boolean not null default false,
+  created_at timestamptz not null default now(),
+  primary key (deal_id, contact_id)
+);
+
+create unique index if not exists idx_deal_contacts_primary
+  on public.deal_contacts (deal_id)
+  where is_primary;
+
+create index if not exists idx_deal_contacts_contact
+  on public.deal_contacts (contact_id);
+
+-- Deal <-> company links
+create table if not exists public.deal_companies (
+  deal_id uuid not null references public.deals(id) on delete cascade,
+  company_id uuid not null references public.companies(id) on delete cascade,
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  primary key (deal_id, company_id)
+);
+
+create index if not exists idx_deal_companies_company
+  on public.deal_companies (company_id);
+
+-- RLS: Service role only (Netlify Functions manage these tables)
+alter table public.companies enable row level security;
+alter table public.contacts enable row level security;
+alter table public.deal_contacts enable row level security;
+alter table public.deal_companies enable row level security;
+
+-- No RLS policies = only service_role can access
+
+-- Backfill: one contact per distinct email already on deals, linked as primary
+insert into public.contacts (organization_id, name, email, phone, created_at)
+select distinct on (d.organization_id, lower(d.email))
+  d.organization_id,
+  coalesce(nullif(trim(d.client), ''), d.email),
+  lower(d.email),
+  d.phone,
+  coalesce(d.created::timestamptz, now())
+from public.deals d
+where d.email is not null
+  and d.email <> ''
+  and d.deleted_at is null
+order by d.organization_id, lower(d.email), d.created desc
+on conflict do nothing;
+
+insert into public.deal_contacts (deal_id, contact_id, organization_id, is_primary)
+select d.id, c.id, d.organization_id, true
+from public.deals d
+join public.contacts c
+  on c.organization_id = d.organization_id
+ and lower(c.email) = lower(d.email)
+where d.deleted_at is null
+on conflict do nothing;
+
+comment on table public.companies is 'Customer accounts. Deduplicated per organization on domain. Managed by Netlify Functions using service_role.';
+comment on table public.contacts is 'Customer people. Deduplicated per organization on lower(email). Managed by Netlify Functions using service_role.';
+comment on table public.deal_contacts is 'Many-to-many deal/contact links; is_primary marks the contact mirrored into deals.client/email/phone';
+comment on table public.deal_companies is 'Many-to-many deal/company links; the company view rolls up deals through this table';
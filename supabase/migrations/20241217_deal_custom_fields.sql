@@ -0,0 +1,53 @@
+-- Deal Custom Fields
+-- Migration: 20241217_deal_custom_fields.sql
+--
+-- Org-defined deal fields (text, number, currency, date, select,
+-- multi-select, url). Definitions live in deal_custom_fields; values live
+-- on the deal in deals.custom_fields keyed by field key, so the deals query
+-- (select '*') picks them up without joins.
+--
+-- Keys and types are immutable once created (stored values depend on them);
+-- removing a field archives it and leaves existing values in place.
+--
+-- Written/read by: custom-fields, create-deal, update-deal, import-deals-csv
+-- Types/limits must match src/config/customFieldConfig.js
+-- See netlify/functions/lib/custom-fields.ts
+
+create table if not exists public.deal_custom_fields (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+
+  key text not null check (key ~ '^[a-z][a-z0-9_]{0,49}$'),
+  label text not null check (char_length(label) between 1 and 100),
+  type text not null check (type in ('text', 'number', 'currency', 'date', 'select', 'multi_select', 'url')),
+  required boolean not null default false,
+  options jsonb not null default '[]'::jsonb,
+  default_value jsonb,
+  position integer not null default 0,
+
+  archived_at timestamptz,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  unique (organization_id, key)
+);
+
+create index if not exists idx_deal_custom_fields_org
+  on public.deal_custom_fields (organization_id, position)
+  where archived_at is null;
+
+alter table public.deals
+  add column if not exists custom_fields jsonb not null default '{}'::jsonb;
+
+-- Containment filters (custom_fields @> '{"round":"Seed"}')
+create index if not exists idx_deals_custom_fields
+  on public.deals using gin (custom_fields jsonb_path_ops);
+
+-- RLS: Service role only (Netlify Functions manage this table)
+alter table public.deal_custom_fields enable row level security;
+
+-- No RLS policies = only service_role can access
+
+comment on table public.deal_custom_fields is 'Org-defined deal custom field definitions. Managed by Netlify Functions using service_role.';
+comment on column public.deals.custom_fields is 'Custom field values keyed by deal_custom_fields.key, validated server-side against the definitions';
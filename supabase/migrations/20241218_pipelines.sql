@@ -0,0 +1,72 @@
+-- Multiple Pipelines per Organization
+-- Migration: 20241218_pipelines.sql
+--
+-- Named pipelines an organization runs side by side (new business, renewals,
+-- partnerships...). A pipeline uses a pipeline template (template_id) or a
+-- custom stage list (stages: [{ id, name, color }]). Deals belong to one
+-- pipeline via deals.pipeline_id; null means the org's default pipeline.
+--
+-- organizations.pipeline_template keeps mirroring the default pipeline's
+-- template so existing readers (usePipelineStages, migrate-pipeline) keep working.
+--
+-- Written/read by: pipelines, create-deal, update-deal, migrate-pipeline
+-- See src/config/orgPipelines.js and netlify/functions/lib/pipelines.ts
+
+create table if not exists public.pipelines (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+
+  name text not null check (char_length(name) between 1 and 80),
+  template_id text check (template_id is null or template_id in (
+    'default', 'healthcare', 'vc_pe', 'real_estate', 'professional_services', 'saas'
+  )),
+  stages jsonb,
+  is_default boolean not null default false,
+  position integer not null default 0,
+
+  archived_at timestamptz,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  -- Exactly one source of stages
+  check ((template_id is null) <> (stages is null))
+);
+
+create index if not exists idx_pipelines_org
+  on public.pipelines (organization_id, position)
+  where archived_at is null;
+
+-- One default pipeline per organization
+create unique index if not exists idx_pipelines_one_default
+  on public.pipelines (organization_id)
+  where is_default and archived_at is null;
+
+alter table public.deals
+  add column if not exists pipeline_id uuid references public.pipelines(id) on delete set null;
+
+create index if not exists idx_deals_pipeline
+  on public.deals (organization_id, pipeline_id);
+
+-- Backfill: every existing org gets a default pipeline from its current template
+insert into public.pipelines (organization_id, name, template_id, is_default)
+select o.id, 'Sales Pipeline', coalesce(o.pipeline_template, 'default'), true
+from public.organizations o
+where not exists (
+  select 1 from public.pipelines p where p.organization_id = o.id and p.is_default
+);
+
+update public.deals d
+set pipeline_id = p.id
+from public.pipelines p
+where p.organization_id = d.organization_id
+  and p.is_default
+  and d.pipeline_id is null;
+
+-- RLS: Service role only (Netlify Functions manage this table)
+alter table public.pipelines enable row level security;
+
+-- No RLS policies = only service_role can access
+
+comment on table public.pipelines is 'Named deal pipelines per organization (template or custom stages). Managed by Netlify Functions using service_role.';
+comment on column public.deals.pipeline_id is 'Pipeline the deal belongs to; null means the organization''s default pipeline';
@@ -0,0 +1,40 @@
+-- Stage Definitions per Organization
+-- Migration: 20241219_stage_definitions.sql
+--
+-- One row per (organization, stage id) overriding how that stage behaves:
+-- label, color, win probability, stagnation threshold, follow-up gap and
+-- terminal outcome. Null columns fall back to the built-in defaults, so a row
+-- only needs the fields the org actually changed. Stage ids aren't scoped to
+-- a pipeline - a stage shared by two pipelines behaves the same in both.
+--
+-- Written/read by: stage-definitions, update-deal (status auto-sync),
+-- ai-revenue-health (win probability), check-stagnation, ai-assistant
+-- See src/config/stageDefinitions.js and netlify/functions/lib/stage-definitions.ts
+
+create table if not exists public.stage_definitions (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  stage_id text not null check (stage_id ~ '^[a-z][a-z0-9_]{0,49}$'),
+
+  label text check (label is null or char_length(label) between 1 and 80),
+  color text check (color is null or color ~ '^#[0-9a-fA-F]{6}$'),
+  win_probability numeric(4, 3) check (win_probability is null or win_probability between 0 and 1),
+  stagnation_days integer check (stagnation_days is null or stagnation_days between 1 and 365),
+  followup_gap_days integer check (followup_gap_days is null or followup_gap_days between 1 and 365),
+  outcome text check (outcome is null or outcome in ('won', 'lost', 'none')),
+
+  updated_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+
+  unique (organization_id, stage_id)
+);
+
+-- RLS: Service role only (Netlify Functions manage this table)
+alter table public.stage_definitions enable row level security;
+
+-- No RLS policies = only service_role can access
+
+comment on table public.stage_definitions is 'Per-organization stage overrides (label, color, win probability, stagnation, follow-up gap, outcome). Managed by Netlify Functions using service_role.';
+comment on column public.stage_definitions.win_probability is 'Probability of winning from this stage, 0-1; null uses the revenue engine default';
+comment on column public.stage_definitions.outcome is 'won/lost mark the stage terminal (deal status auto-sync); none forces active; null uses the built-in stage map';
@@ -0,0 +1,26 @@
+-- Stage Entry Requirements
+-- Migration: 20241220_stage_requirements.sql
+--
+-- Exit criteria per stage: fields a deal must have and checklist items that
+-- must be ticked before it can move into the stage. Configured on the stage's
+-- stage_definitions row; ticked items are kept on the deal per stage, so a
+-- deal that bounces back keeps its progress.
+--
+-- expected_close_date is already read by forecasts (ai-revenue-health,
+-- useAnalyticsQuery) and becomes requirable here, so make sure it exists.
+--
+-- Written/read by: stage-definitions (settings), update-deal and api-deals
+-- (enforced on stage moves, STAGE_REQUIREMENTS_UNMET)
+-- See src/config/stageRequirements.js
+
+alter table public.stage_definitions
+  add column if not exists required_fields text[],
+  add column if not exists checklist jsonb check (checklist is null or jsonb_typeof(checklist) = 'array');
+
+alter table public.deals
+  add column if not exists expected_close_date date,
+  add column if not exists stage_checklist jsonb not null default '{}'::jsonb;
+
+comment on column public.stage_definitions.required_fields is 'Deal fields required to enter the stage: deal columns (value, expected_close_date, email, phone, notes) or custom:<key>';
+comment on column public.stage_definitions.checklist is 'Checklist items ([{id, label}]) that must be ticked to enter the stage';
+comment on column public.deals.stage_checklist is 'Ticked stage checklist items keyed by stage id ({"proposal_sent": ["budget_confirmed"]})';
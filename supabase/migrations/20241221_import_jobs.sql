@@ -0,0 +1,72 @@
+-- Deal Import Jobs
+-- Migration: 20241221_import_jobs.sql
+--
+-- Large CSV/XLSX imports run as a background job instead of one request.
+-- The browser uploads the source rows in chunks (import_job_rows, status
+-- 'uploading'), then queues the job; the worker processes rows in batches and
+-- advances processed_rows after each one, so a job that runs out of time
+-- (status 'paused') or crashes resumes where it stopped.
+--
+-- Deals created by a job carry import_job_id/import_row: a resumed batch
+-- skips rows that were already inserted, and duplicates within the file are
+-- told apart from deals that existed before the import.
+--
+-- Written/read by: import-jobs (create, upload, status), import-deals-background (worker)
+-- See src/config/dealImport.js and netlify/functions/lib/deal-import.ts
+
+create table if not exists public.import_jobs (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  created_by uuid references auth.users(id) on delete set null,
+
+  status text not null default 'uploading'
+    check (status in ('uploading', 'queued', 'running', 'paused', 'completed', 'failed', 'cancelled')),
+  file_name text check (file_name is null or char_length(file_name) <= 255),
+
+  -- { mapping, stageMapping, stageIds, defaultStage, pipelineId, duplicateStrategy, dedupeBy }
+  options jsonb not null default '{}'::jsonb,
+
+  total_rows integer not null default 0,
+  processed_rows integer not null default 0,
+  created_count integer not null default 0,
+  updated_count integer not null default 0,
+  skipped_count integer not null default 0,
+  failed_count integer not null default 0,
+  -- [{ row, errors: [...] }], capped at 1000 entries
+  errors jsonb not null default '[]'::jsonb,
+  last_error text,
+
+  started_at timestamptz,
+  completed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists idx_import_jobs_org_created
+  on public.import_jobs (organization_id, created_at desc);
+
+-- Source rows keyed by column header; row_number is the 1-based data row in the file
+create table if not exists public.import_job_rows (
+  job_id uuid not null references public.import_jobs(id) on delete cascade,
+  row_number integer not null check (row_number > 0),
+  data jsonb not null,
+  primary key (job_id, row_number)
+);
+
+alter table public.deals
+  add column if not exists import_job_id uuid references public.import_jobs(id) on delete set null,
+  add column if not exists import_row integer;
+
+create index if not exists idx_deals_import_job
+  on public.deals (import_job_id, import_row)
+  where import_job_id is not null;
+
+-- RLS: Service role only (Netlify Functions manage this table)
+alter table public.import_jobs enable row level security;
+alter table public.import_job_rows enable row level security;
+
+-- No RLS policies = only service_role can access
+
+comment on table public.import_jobs is 'Background deal imports (CSV/XLSX) with progress and per-row errors. Managed by Netlify Functions using service_role.';
+comment on column public.import_jobs.processed_rows is 'Rows handled so far; the worker resumes from here';
+comment on column public.deals.import_job_id is 'Import job that created the deal (null for deals created any other way)';
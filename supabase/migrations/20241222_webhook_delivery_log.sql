@@ -0,0 +1,78 @@
+-- Webhook Delivery Log
+-- Migration: 20241222_webhook_delivery_log.sql
+--
+-- Every delivery attempt (first try, retry, manual replay, test event) is
+-- recorded in webhook_deliveries with the request and response bodies, the
+-- response status and latency, so the Webhooks tab can show what was sent
+-- and what came back. event_id groups the attempts for one event.
+--
+-- webhooks.consecutive_failures counts failed attempts since the last
+-- success; at the configured threshold the webhook is disabled
+-- (disabled_at/disabled_reason) and the org owners are notified. Disabled
+-- webhooks keep is_active = true (is_active = false is a deleted webhook)
+-- and can be re-enabled from the UI.
+--
+-- Written/read by: lib/webhook-dlq.ts (process-webhook-queue), webhook-deliveries
+-- See src/config/webhookEvents.js
+
+create table if not exists public.webhook_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  webhook_id uuid not null,
+  created_at timestamptz not null default now()
+);
+
+alter table public.webhook_deliveries
+  add column if not exists organization_id uuid references public.organizations(id) on delete cascade,
+  add column if not exists event_id uuid,
+  add column if not exists event_type text,
+  add column if not exists payload jsonb,
+  add column if not exists trigger text not null default 'event'
+    check (trigger in ('event', 'retry', 'replay', 'test')),
+  add column if not exists attempt integer not null default 1,
+  add column if not exists dlq_id uuid,
+  add column if not exists success boolean not null default false,
+  add column if not exists request_url text,
+  add column if not exists request_headers jsonb,
+  add column if not exists request_body text,
+  add column if not exists response_status integer,
+  add column if not exists response_body text,
+  add column if not exists latency_ms integer,
+  add column if not exists error text,
+  add column if not exists delivered_at timestamptz,
+  add column if not exists created_at timestamptz not null default now();
+
+create index if not exists webhook_deliveries_webhook_created_idx
+  on public.webhook_deliveries (webhook_id, created_at desc);
+
+create index if not exists webhook_deliveries_event_idx
+  on public.webhook_deliveries (event_id);
+
+alter table if exists public.webhooks
+  add column if not exists consecutive_failures integer not null default 0,
+  add column if not exists disabled_at timestamptz,
+  add column if not exists disabled_reason text,
+  add column if not exists last_delivery_at timestamptz,
+  add column if not exists last_success_at timestamptz;
+
+-- Replays go through the retry queue; they keep the original event_id
+alter table if exists public.webhook_dlq
+  add column if not exists event_id uuid,
+  add column if not exists trigger text not null default 'event';
+
+alter table public.webhook_deliveries enable row level security;
+-- No RLS policies = only service_role can access
+
+insert into public.notification_categories (code, name, description, is_critical, default_enabled)
+values (
+  'WEBHOOK_DISABLED',
+  'Webhook disabled',
+  'When a webhook is turned off after repeated delivery failures',
+  true,
+  true
+)
+on conflict (code) do nothing;
+
+comment on column public.webhook_deliveries.event_id is 'Groups attempts for one event (the webhook_dlq row id for queued events)';
+comment on column public.webhook_deliveries.trigger is 'event = first attempt, retry = backoff retry, replay = manual replay, test = "Send test event"';
+comment on column public.webhooks.consecutive_failures is 'Failed attempts since the last success; the webhook is disabled at WEBHOOK_DISABLE_AFTER_FAILURES';
+comment on column public.webhooks.disabled_at is 'Set when deliveries are paused after repeated failures; cleared on re-enable';
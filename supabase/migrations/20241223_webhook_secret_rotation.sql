@@ -0,0 +1,18 @@
+-- Webhook Secret Rotation
+-- Migration: 20241223_webhook_secret_rotation.sql
+--
+-- Rotating a webhook's secret moves the current secret to previous_secret
+-- with an expiry. Until previous_secret_expires_at, deliveries carry a v1
+-- signature for each secret (X-Webhook-Signature: t=…,v1=…,v1=…) so
+-- receivers can switch to the new secret without dropping events.
+--
+-- Written/read by: rotate-webhook-secret, lib/webhook-dlq.ts
+-- See netlify/functions/lib/webhook-signature.ts
+
+alter table if exists public.webhooks
+  add column if not exists previous_secret text,
+  add column if not exists previous_secret_expires_at timestamptz,
+  add column if not exists secret_rotated_at timestamptz;
+
+comment on column public.webhooks.previous_secret is 'Secret replaced by the last rotation; still signs deliveries until previous_secret_expires_at';
+comment on column public.webhooks.previous_secret_expires_at is 'End of the rotation overlap window';
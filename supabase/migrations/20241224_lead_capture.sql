@@ -0,0 +1,72 @@
+-- Inbound Lead Capture
+-- Migration: 20241224_lead_capture.sql
+--
+-- Each organization can create capture endpoints: a secret URL
+-- (/api/v1/capture/<token>) that website forms and ad platforms post leads
+-- to. field_mapping turns the posted JSON or form fields into deal fields;
+-- the deal lands in `stage` of `pipeline_id` and is assigned round-robin or
+-- to `assign_to`.
+--
+-- Every post is written to lead_capture_log (created, rejected by
+-- validation, throttled, or failed) so the Lead Capture tab can show what
+-- arrived and why a lead didn't become a deal.
+--
+-- Written/read by: lead-capture (public endpoint), lead-capture-endpoints (settings)
+-- See src/config/leadCapture.js and netlify/functions/lib/lead-capture.ts
+
+create table if not exists public.lead_capture_endpoints (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  name text not null check (char_length(name) between 1 and 100),
+  token text not null unique,
+
+  -- { [dealField | 'custom:<key>']: 'dotted.payload.path' }
+  field_mapping jsonb not null default '{}'::jsonb,
+  stage text not null,
+  pipeline_id uuid references public.pipelines(id) on delete set null,
+  assignment_mode text not null default 'round_robin'
+    check (assignment_mode in ('round_robin', 'fixed')),
+  assign_to uuid references auth.users(id) on delete set null,
+
+  is_active boolean not null default true,
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  last_capture_at timestamptz
+);
+
+create index if not exists idx_lead_capture_endpoints_org
+  on public.lead_capture_endpoints (organization_id, created_at);
+
+create table if not exists public.lead_capture_log (
+  id uuid primary key default gen_random_uuid(),
+  endpoint_id uuid not null references public.lead_capture_endpoints(id) on delete cascade,
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  status text not null check (status in ('created', 'rejected', 'throttled', 'error')),
+  deal_id uuid references public.deals(id) on delete set null,
+  errors jsonb,
+  -- Raw payload, truncated to 10000 characters
+  payload text,
+  ip text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_lead_capture_log_endpoint_created
+  on public.lead_capture_log (endpoint_id, created_at desc);
+
+-- Captured deals are recorded in the change history with source 'capture'
+alter table if exists public.deal_change_history
+  drop constraint if exists deal_change_history_source_check;
+alter table if exists public.deal_change_history
+  add constraint deal_change_history_source_check
+  check (source in ('create', 'update', 'api', 'assign', 'import', 'capture'));
+
+-- RLS: Service role only (Netlify Functions manage these tables)
+alter table public.lead_capture_endpoints enable row level security;
+alter table public.lead_capture_log enable row level security;
+
+-- No RLS policies = only service_role can access
+
+comment on table public.lead_capture_endpoints is 'Inbound lead capture URLs per organization. The token is the only credential - treat it as a secret.';
+comment on column public.lead_capture_endpoints.field_mapping is 'Deal field → dotted path in the posted payload (same shape as the CSV import mapping)';
+comment on table public.lead_capture_log is 'One row per post to a capture endpoint, including rejected and throttled ones';
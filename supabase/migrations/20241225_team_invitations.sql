@@ -0,0 +1,53 @@
+-- Team Invitations
+-- Migration: 20241225_team_invitations.sql
+--
+-- Owners and admins invite people by email with a role. The invitee gets a
+-- tokenized link (/?invite=<token>); signing in with the invited address and
+-- accepting adds a team_members row in that role. Only the SHA-256 hash of
+-- the token is stored - the raw token exists only in the email.
+--
+-- Invitations expire after 7 days. Resending issues a new token (the old
+-- link stops working) and restarts the expiry. Pending, unexpired
+-- invitations count against the plan's seat limit (maxUsers) together with
+-- existing members, so an org can't over-invite past its plan.
+--
+-- Written/read by: team-invitations (settings), team-invitation-respond (invitee)
+-- See src/config/teamInvitations.js and netlify/functions/lib/team-invitations.ts
+
+create table if not exists public.team_invitations (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  email text not null check (char_length(email) between 3 and 254),
+  role text not null check (role in ('admin', 'member', 'viewer')),
+  token_hash text not null unique,
+
+  status text not null default 'pending'
+    check (status in ('pending', 'accepted', 'declined', 'revoked')),
+  expires_at timestamptz not null,
+
+  invited_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  resent_at timestamptz,
+  resend_count integer not null default 0,
+
+  responded_at timestamptz,
+  accepted_by uuid references auth.users(id) on delete set null,
+  revoked_by uuid references auth.users(id) on delete set null
+);
+
+-- One open invitation per address per organization
+create unique index if not exists idx_team_invitations_pending_email
+  on public.team_invitations (organization_id, lower(email))
+  where status = 'pending';
+
+create index if not exists idx_team_invitations_org_created
+  on public.team_invitations (organization_id, created_at desc);
+
+-- RLS: Service role only (Netlify Functions manage this table)
+alter table public.team_invitations enable row level security;
+
+-- No RLS policies = only service_role can access
+
+comment on table public.team_invitations is 'Email invitations to join an organization. Expired invitations keep status pending; expires_at decides.';
+comment on column public.team_invitations.token_hash is 'SHA-256 hex of the invitation token sent by email. The raw token is never stored.';
+comment on column public.team_invitations.role is 'Role granted on accept (owner and api_only cannot be invited)';
@@ -0,0 +1,68 @@
+-- Deal Assignment Rules
+-- Migration: 20241226_assignment_rules.sql
+--
+-- Ordered routing rules per organization. When a deal is created (in the
+-- app, through the REST API, by CSV import or by lead capture) the first
+-- active rule whose conditions match picks the owner from its assignees by
+-- weighted round robin, skipping anyone at their cap of open deals, and
+-- falls back to fallback_user_id when everyone is full. Deals no rule
+-- matches keep their default owner.
+--
+-- rotation holds how many deals the rule has given each assignee so far;
+-- it is reset when the assignee list changes.
+--
+-- Written/read by: assignment-rules (settings), create-deal, api-deals,
+-- import-deals-csv / import-deals-background, lead-capture
+-- See src/config/assignmentRules.js and netlify/functions/lib/assignment-rules.ts
+
+create table if not exists public.assignment_rules (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  name text not null check (char_length(name) between 1 and 100),
+  position integer not null default 0,
+  is_active boolean not null default true,
+
+  -- [{ field: 'source' | 'value' | 'stage' | 'email_domain' | 'custom:<key>', operator, value }]
+  conditions jsonb not null default '[]'::jsonb,
+  -- [{ userId, weight, cap }]
+  assignees jsonb not null default '[]'::jsonb,
+  fallback_user_id uuid references auth.users(id) on delete set null,
+  -- { [userId]: deals assigned by this rule }
+  rotation jsonb not null default '{}'::jsonb,
+
+  created_by uuid references auth.users(id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists idx_assignment_rules_org_position
+  on public.assignment_rules (organization_id, position);
+
+-- Add picks to a rule's rotation without losing concurrent ones
+create or replace function public.bump_assignment_rule_rotation(p_rule_id uuid, p_counts jsonb)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  update public.assignment_rules r
+  set rotation = r.rotation || (
+    select coalesce(
+      jsonb_object_agg(d.key, coalesce((r.rotation ->> d.key)::integer, 0) + (d.value #>> '{}')::integer),
+      '{}'::jsonb
+    )
+    from jsonb_each(p_counts) d
+  )
+  where r.id = p_rule_id;
+$$;
+
+revoke execute on function public.bump_assignment_rule_rotation(uuid, jsonb) from public, anon, authenticated;
+
+-- RLS: Service role only (Netlify Functions manage this table)
+alter table public.assignment_rules enable row level security;
+
+-- No RLS policies = only service_role can access
+
+comment on table public.assignment_rules is 'Ordered deal routing rules per organization, evaluated when deals are created';
+comment on column public.assignment_rules.assignees is 'Weighted round robin pool: [{ userId, weight (1-10), cap (max open deals, null = none) }]';
+comment on column public.assignment_rules.rotation is 'Deals given to each assignee by this rule; the next pick is whoever is furthest behind picks/weight';
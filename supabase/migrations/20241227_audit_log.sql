@@ -0,0 +1,112 @@
+-- Organization Audit Log
+-- Migration: 20241227_audit_log.sql
+--
+-- Who did what in an organization: deal writes, exports, settings and
+-- pipeline changes, AI provider and API key changes, webhook changes, role
+-- changes and logins. One row per action, written by the Netlify function
+-- that performed it.
+--
+-- The log is append-only: rows can't be updated, and can only be deleted by
+-- purge_audit_log(), which drops entries older than the organization's plan
+-- retention (auditLogRetentionDays in netlify/functions/lib/plan-config.ts).
+-- Deleting an organization still cascades (the trigger lets that through).
+--
+-- Written by: create-deal, update-deal, delete-deal, api-deals, assign-deals,
+-- import-deals-csv, import-deals-background, export-deals, update-organization,
+-- pipelines, stage-definitions, custom-fields, assignment-rules, save-ai-provider, remove-ai-provider,
+-- api-keys-create, api-keys-revoke, create-webhook, delete-webhook,
+-- rotate-webhook-secret, team-members, auth-login
+-- Read by: audit-log (Settings → General), cleanup-audit-log (daily purge)
+-- See src/config/auditLog.js and netlify/functions/lib/audit-log.ts
+
+create table if not exists public.audit_log (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+
+  actor_type text not null check (actor_type in ('user', 'api_key', 'system', 'lead_capture')),
+  -- Acting user; for api_key the key's creator; for lead_capture the capture
+  -- endpoint. Kept after the user is deleted.
+  actor_id uuid,
+  actor_email text,
+
+  action text not null check (char_length(action) between 1 and 64),
+  entity_type text not null check (char_length(entity_type) between 1 and 64),
+  entity_id text,
+  summary text check (summary is null or char_length(summary) <= 200),
+  metadata jsonb not null default '{}'::jsonb,
+
+  ip_address text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_audit_log_org_created
+  on public.audit_log (organization_id, created_at desc, id desc);
+
+create index if not exists idx_audit_log_org_actor
+  on public.audit_log (organization_id, actor_id, created_at desc);
+
+create index if not exists idx_audit_log_org_entity
+  on public.audit_log (organization_id, entity_type, entity_id, created_at desc);
+
+-- Append-only: no updates, and deletes only from purge_audit_log()
+create or replace function public.audit_log_append_only()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'DELETE' and current_setting('app.audit_log_purge', true) = 'on' then
+    return old;
+  end if;
+  -- Cascade from a deleted organization (the parent row is already gone)
+  if tg_op = 'DELETE' and not exists (
+    select 1 from public.organizations where id = old.organization_id
+  ) then
+    return old;
+  end if;
+  raise exception 'audit_log is append-only';
+end;
+$$;
+
+drop trigger if exists audit_log_append_only on public.audit_log;
+create trigger audit_log_append_only
+  before update or delete on public.audit_log
+  for each row execute function public.audit_log_append_only();
+
+-- Drop entries past each organization's retention.
+-- p_retention_days: { [plan]: days }; unknown plans use the 'free' entry.
+create or replace function public.purge_audit_log(p_retention_days jsonb)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  deleted integer;
+begin
+  perform set_config('app.audit_log_purge', 'on', true);
+
+  delete from public.audit_log a
+  using public.organizations o
+  where a.organization_id = o.id
+    and a.created_at < now() - make_interval(days => coalesce(
+      (p_retention_days ->> o.plan)::integer,
+      (p_retention_days ->> 'free')::integer
+    ));
+  get diagnostics deleted = row_count;
+
+  perform set_config('app.audit_log_purge', 'off', true);
+  return deleted;
+end;
+$$;
+
+revoke execute on function public.purge_audit_log(jsonb) from public, anon, authenticated;
+
+-- RLS: Service role only (Netlify Functions manage this table)
+alter table public.audit_log enable row level security;
+
+-- No RLS policies = only service_role can access
+
+comment on table public.audit_log is 'Append-only record of who did what in an organization, kept for the plan retention window';
+comment on column public.audit_log.action is 'Action id from src/config/auditLog.js, e.g. deal.updated';
+comment on column public.audit_log.metadata is 'Non-secret details (changed field names, counts, roles); secrets are redacted before insert';
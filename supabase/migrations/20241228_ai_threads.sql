@@ -0,0 +1,93 @@
+-- AI Conversation Threads
+-- Migration: 20241228_ai_threads.sql
+--
+-- Mission Control conversations stored server-side, one thread per
+-- conversation, owned by a user in an organization. ai-assistant and
+-- ai-assistant-stream append the question and answer once the answer
+-- succeeds and read the recent messages back as conversation history, so
+-- history survives reloads and device switches.
+--
+-- The owner can rename, pin and delete a thread; shared threads are
+-- readable (not writable) by every member of the organization.
+--
+-- Written by: ai-threads, ai-assistant, ai-assistant-stream
+-- Read by: ai-threads (sidebar, search, shared view), ai-assistant, ai-assistant-stream
+-- See src/config/aiThreads.js and netlify/functions/lib/ai-threads.ts
+
+create table if not exists public.ai_threads (
+  id uuid primary key default gen_random_uuid(),
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  title text not null check (char_length(title) between 1 and 120),
+  -- false until the owner renames it; the first question names it otherwise
+  title_is_custom boolean not null default false,
+  pinned boolean not null default false,
+  shared boolean not null default false,
+  message_count integer not null default 0,
+  last_message_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Sidebar: a user's threads, pinned first, most recent next
+create index if not exists idx_ai_threads_user
+  on public.ai_threads (organization_id, user_id, pinned desc, updated_at desc);
+
+-- Threads shared with the organization
+create index if not exists idx_ai_threads_shared
+  on public.ai_threads (organization_id, updated_at desc)
+  where shared;
+
+create table if not exists public.ai_thread_messages (
+  id uuid primary key default gen_random_uuid(),
+  thread_id uuid not null references public.ai_threads(id) on delete cascade,
+  organization_id uuid not null references public.organizations(id) on delete cascade,
+  role text not null check (role in ('user', 'assistant')),
+  content text not null check (char_length(content) <= 20000),
+  -- Display name of the answering provider (ChatGPT, Claude, ...)
+  provider text,
+  -- Chart and structured Plan My Day payloads shown with the answer
+  metadata jsonb not null default '{}'::jsonb,
+  search_vector tsvector generated always as (to_tsvector('english', content)) stored,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idx_ai_thread_messages_thread
+  on public.ai_thread_messages (thread_id, created_at);
+
+create index if not exists idx_ai_thread_messages_search
+  on public.ai_thread_messages using gin (search_vector);
+
+-- Count an appended question and answer in one statement, so concurrent
+-- exchanges on a thread (two tabs) both count, and name the thread only when
+-- this is its first exchange and the owner hasn't renamed it
+create or replace function public.record_ai_thread_exchange(
+  p_thread_id uuid,
+  p_title text,
+  p_message_at timestamptz
+)
+returns void
+language sql
+as $$
+  update public.ai_threads
+  set message_count = message_count + 2,
+      last_message_at = p_message_at,
+      updated_at = p_message_at,
+      title = case
+        when not title_is_custom and message_count = 0 and p_title is not null then p_title
+        else title
+      end
+  where id = p_thread_id;
+$$;
+
+revoke execute on function public.record_ai_thread_exchange(uuid, text, timestamptz) from public, anon, authenticated;
+
+-- RLS: Service role only (Netlify Functions manage these tables)
+alter table public.ai_threads enable row level security;
+alter table public.ai_thread_messages enable row level security;
+
+-- No RLS policies = only service_role can access
+
+comment on table public.ai_threads is 'Mission Control conversation threads, private to their owner unless shared read-only with the organization';
+comment on column public.ai_threads.shared is 'When true every member of the organization can read (not continue) the thread';
+comment on table public.ai_thread_messages is 'Questions and answers in an AI thread, oldest first; search_vector backs thread search';
@@ -0,0 +1,19 @@
+-- Deal Next Step
+-- Migration: 20241229_deal_next_step.sql
+--
+-- A short free-text "what happens next" on each deal with an optional due
+-- date. Edited in DealDetailsModal and proposed by the AI assistant's
+-- set_next_step tool (applied through update-deal once the user confirms).
+-- Changes to next_step are recorded in deal_change_history.
+--
+-- Written by: update-deal (DealDetailsModal, ai-actions)
+-- Read by: ai-assistant (search_deals tool), DealDetailsModal
+-- See src/config/aiTools.js and netlify/functions/lib/ai-tools.ts
+
+alter table public.deals
+  add column if not exists next_step text
+    check (next_step is null or char_length(next_step) <= 500),
+  add column if not exists next_step_due date;
+
+comment on column public.deals.next_step is 'Short description of the next action on the deal (max 500 chars)';
+comment on column public.deals.next_step_due is 'Optional due date for next_step';
@@ -0,0 +1,25 @@
+-- Custom AI Endpoints
+-- Migration: 20241230_custom_ai_endpoints.sql
+--
+-- Lets an organization send AI traffic to its own OpenAI-compatible gateway
+-- (vLLM, Ollama, Azure OpenAI, an internal proxy) as an ai_providers row
+-- with provider_type 'custom'. The base URL must be https and its host on
+-- the organization's AI endpoint allowlist, which owners and admins manage.
+-- Removing a host deactivates the custom providers that use it.
+--
+-- Written by: save-ai-provider, ai-endpoint-allowlist (AISettings)
+-- Read by: provider-registry, ai-orchestrator (via lib/ai-provider-adapters.ts)
+-- See netlify/functions/lib/ssrf-protection.ts (validateAIEndpointURL)
+
+alter table public.ai_providers
+  add column if not exists base_url text
+    check (base_url is null or (base_url like 'https://%' and char_length(base_url) <= 500)),
+  add column if not exists custom_headers_encrypted text;
+
+comment on column public.ai_providers.base_url is 'Custom endpoints only: OpenAI-compatible base URL, e.g. https://llm.example.com/v1';
+comment on column public.ai_providers.custom_headers_encrypted is 'Custom endpoints only: encrypted JSON object of extra request headers';
+
+alter table public.organizations
+  add column if not exists ai_endpoint_allowlist text[] not null default '{}';
+
+comment on column public.organizations.ai_endpoint_allowlist is 'Hostnames custom AI endpoints may use (a host also allows its subdomains)';
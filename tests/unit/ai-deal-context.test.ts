@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+  loadDealContext,
+  selectRelevantDeals,
+  formatDealLine
+} from '../../netlify/functions/lib/ai-deal-context';
+
+const ORG = '11111111-1111-4111-8111-111111111111';
+const USER = '22222222-2222-4222-8222-222222222222';
+const TEAMMATE = '33333333-3333-4333-8333-333333333333';
+const NOW = new Date('2026-10-18T12:00:00Z');
+
+const daysAgo = (days: number) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const deal = (id: string, overrides: Record<string, any> = {}) => ({
+  id,
+  client: `Client ${id}`,
+  value: 1000,
+  stage: 'lead',
+  status: 'active',
+  assigned_to: TEAMMATE,
+  last_activity: daysAgo(3),
+  ...overrides
+});
+
+// Every query on `table` resolves to tables[table]; calls are recorded
+const fakeSupabase = (tables: Record<string, any> = {}) => {
+  const calls: Array<[string, ...any[]]> = [];
+  const client = {
+    from: (table: string) => {
+      calls.push(['from', table]);
+      const resolved = { data: tables[table] ?? null, error: null };
+      const chain: any = {};
+      for (const method of ['select', 'eq', 'is', 'in', 'gte', 'order', 'limit']) {
+        chain[method] = (...args: any[]) => {
+          calls.push([method, ...args]);
+          return chain;
+        };
+      }
+      chain.then = (resolve: any, reject: any) => Promise.resolve(resolved).then(resolve, reject);
+      return chain;
+    },
+  };
+  return { client, calls };
+};
+
+describe('selectRelevantDeals', () => {
+  it('puts deals named in the question first', () => {
+    const deals = [deal('a', { value: 90000 }), deal('b', { client: 'Acme Corp' }), deal('c')];
+    const { selected } = selectRelevantDeals(deals, 'What should I do next with Acme Corp?', { userId: USER, now: NOW });
+    expect(selected[0].id).toBe('b');
+  });
+
+  it('prefers open deals of the user over closed ones', () => {
+    const deals = [deal('won', { status: 'won' }), deal('mine', { assigned_to: USER })];
+    const { selected } = selectRelevantDeals(deals, 'How am I doing?', { userId: USER, now: NOW });
+    expect(selected.map(d => d.id)).toEqual(['mine', 'won']);
+  });
+
+  it('stops at the token budget', () => {
+    const deals = Array.from({ length: 30 }, (_, i) => deal(`d${i}`));
+    const { selected, lines } = selectRelevantDeals(deals, 'pipeline', { userId: USER, now: NOW, tokenBudget: 50 });
+    expect(selected.length).toBeGreaterThan(0);
+    expect(selected.length).toBeLessThan(30);
+    expect(lines.join('\n').length).toBeLessThanOrEqual(50 * 4);
+  });
+});
+
+describe('formatDealLine', () => {
+  it('describes the deal in one line', () => {
+    const line = formatDealLine(
+      deal('a', { client: 'Acme', value: 5000, stage: 'quote', assigned_to: USER, last_activity: daysAgo(12), next_step: 'Send quote', next_step_due: '2026-11-02' }),
+      NOW,
+      new Map([[USER, 'Sam Lee']])
+    );
+    expect(line).toBe('- Acme | $5,000 | quote | active | owner: Sam Lee | idle 12d | next: Send quote (due 2026-11-02)');
+  });
+});
+
+describe('loadDealContext', () => {
+  it('loads org deals, stage moves and own targets for members', async () => {
+    const { client, calls } = fakeSupabase({
+      deals: [deal('a', { client: 'Acme' }), deal('b')],
+      team_members: [{ user_id: USER }],
+      user_profiles: [{ id: USER, email: 'sam@acme.test', full_name: 'Sam Lee' }],
+      deal_stage_history: [{ deal_id: 'a', previous_stage: 'lead', new_stage: 'quote', changed_at: daysAgo(2) }],
+      user_targets: [{ user_id: USER, monthly_target: 10000, quarterly_target: 30000, annual_target: 120000, is_active: true }],
+    });
+
+    const context = await loadDealContext(client, { organizationId: ORG, userId: USER, role: 'member', question: 'Acme?', now: NOW });
+
+    expect(context.deals).toHaveLength(2);
+    expect(context.selected[0].client).toBe('Acme');
+    expect(context.prompt).toContain('DEALS (2):');
+    expect(context.prompt).toContain('- Acme: lead → quote');
+    expect(context.prompt).toContain('- You: $10,000 monthly, $30,000 quarterly, $120,000 annual');
+    expect(calls).toContainEqual(['eq', 'organization_id', ORG]);
+    expect(calls).toContainEqual(['is', 'deleted_at', null]);
+    expect(calls).toContainEqual(['eq', 'user_id', USER]);
+  });
+
+  it("doesn't narrow targets to the user for admins", async () => {
+    const { client, calls } = fakeSupabase({ deals: [], user_targets: [] });
+    await loadDealContext(client, { organizationId: ORG, userId: USER, role: 'admin', question: '', now: NOW });
+    expect(calls).not.toContainEqual(['eq', 'user_id', USER]);
+  });
+
+  it('returns an empty context for roles that cannot read deals', async () => {
+    const { client, calls } = fakeSupabase({ deals: [deal('a')] });
+    const context = await loadDealContext(client, { organizationId: ORG, userId: USER, role: 'unknown', question: '', now: NOW });
+    expect(context).toEqual({ deals: [], selected: [], prompt: '' });
+    expect(calls).toEqual([]);
+  });
+});
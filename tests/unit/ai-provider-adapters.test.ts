@@ -0,0 +1,262 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  PROVIDER_ADAPTERS,
+  getProviderAdapter,
+  toChatMessages,
+  providerConfig,
+  normalizeCustomHeaders,
+  ProviderAPIError,
+} from '../../netlify/functions/lib/ai-provider-adapters';
+import { ALLOWED_PROVIDERS } from '../../netlify/functions/lib/provider-registry';
+import { encrypt } from '../../netlify/functions/lib/encryption';
+
+const jsonResponse = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+// Server-sent events split at arbitrary points, like a real network stream
+const sseResponse = (events: unknown[], chunkSize = 17) => {
+  const text = events.map(event => `data: ${JSON.stringify(event)}\n\n`).join('');
+  const bytes = new TextEncoder().encode(text);
+  return new Response(new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i += chunkSize) controller.enqueue(bytes.slice(i, i + chunkSize));
+      controller.close();
+    },
+  }));
+};
+
+// The unit config runs tests concurrently; the suites below swap the global
+// fetch, so they are declared sequential
+const mockFetch = (...responses: Response[]) => {
+  const fetchMock = vi.fn(async () => responses.shift()!);
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+};
+
+const requestBody = (fetchMock: any, call = 0) => JSON.parse(fetchMock.mock.calls[call][1].body);
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe.sequential('registry', () => {
+  it('has an adapter for every allowed provider', () => {
+    for (const type of ALLOWED_PROVIDERS) {
+      expect(getProviderAdapter(type)?.type).toBe(type);
+    }
+    expect(getProviderAdapter('mistral')).toBeNull();
+    expect(Object.keys(PROVIDER_ADAPTERS)).toHaveLength(ALLOWED_PROVIDERS.length);
+  });
+});
+
+describe.sequential('complete', () => {
+  it('sends the system prompt first to OpenAI and reads usage', async () => {
+    const fetchMock = mockFetch(jsonResponse({
+      choices: [{ message: { content: '{"ok":true}' } }],
+      usage: { prompt_tokens: 12, completion_tokens: 3 },
+    }));
+
+    const result = await PROVIDER_ADAPTERS.openai.complete(
+      { apiKey: 'sk-test' },
+      { system: 'Be brief', messages: [{ role: 'user', content: 'Hi' }], json: true }
+    );
+
+    expect(result.text).toBe('{"ok":true}');
+    expect(result.usage).toEqual({ inputTokens: 12, outputTokens: 3 });
+    const body = requestBody(fetchMock);
+    expect(body.messages[0]).toEqual({ role: 'system', content: 'Be brief' });
+    expect(body.model).toBe(PROVIDER_ADAPTERS.openai.defaultModel);
+    expect(body.response_format).toEqual({ type: 'json_object' });
+    expect(fetchMock.mock.calls[0][1].headers.Authorization).toBe('Bearer sk-test');
+  });
+
+  it('joins Anthropic text blocks and passes tool fields through', async () => {
+    const fetchMock = mockFetch(jsonResponse({
+      content: [{ type: 'text', text: 'Looking ' }, { type: 'tool_use', id: 't1', name: 'x', input: {} }, { type: 'text', text: 'now' }],
+    }));
+
+    const result = await PROVIDER_ADAPTERS.anthropic.complete(
+      { apiKey: 'key', model: 'claude-test' },
+      { system: 'Sys', messages: [{ role: 'user', content: 'Hi' }], extra: { tools: [] } }
+    );
+
+    expect(result.text).toBe('Looking now');
+    expect(requestBody(fetchMock)).toMatchObject({ model: 'claude-test', system: 'Sys', tools: [] });
+  });
+
+  it('maps chat turns to Gemini contents and keeps native turns', async () => {
+    const fetchMock = mockFetch(jsonResponse({ candidates: [{ content: { parts: [{ text: 'Hello' }] } }] }));
+    const nativeTurn = { role: 'user', parts: [{ functionResponse: { name: 'x', response: {} } }] };
+
+    await PROVIDER_ADAPTERS.google.complete(
+      { apiKey: 'key' },
+      { system: 'Sys', messages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Yo' }, nativeTurn] }
+    );
+
+    const body = requestBody(fetchMock);
+    expect(body.systemInstruction).toEqual({ parts: [{ text: 'Sys' }] });
+    expect(body.contents).toEqual([
+      { role: 'user', parts: [{ text: 'Hi' }] },
+      { role: 'model', parts: [{ text: 'Yo' }] },
+      nativeTurn,
+    ]);
+  });
+
+  it('throws ProviderAPIError with the status on failure', async () => {
+    mockFetch(jsonResponse({ error: 'overloaded' }, 529));
+
+    const error = await PROVIDER_ADAPTERS.anthropic
+      .complete({ apiKey: 'key' }, { messages: [{ role: 'user', content: 'Hi' }] })
+      .catch(e => e);
+
+    expect(error).toBeInstanceOf(ProviderAPIError);
+    expect(error.status).toBe(529);
+    expect(error.message).toMatch(/^Anthropic API error: 529 - /);
+  });
+
+  it('rejects empty answers unless allowed', async () => {
+    mockFetch(jsonResponse({ choices: [{ message: { content: null } }] }), jsonResponse({ choices: [{ message: { content: null } }] }));
+    const request = { messages: [{ role: 'user', content: 'Hi' }] };
+
+    await expect(PROVIDER_ADAPTERS.openai.complete({ apiKey: 'k' }, request)).rejects.toThrow('invalid response structure');
+    await expect(PROVIDER_ADAPTERS.openai.complete({ apiKey: 'k' }, { ...request, allowEmptyText: true }))
+      .resolves.toMatchObject({ text: '' });
+  });
+});
+
+describe.sequential('stream', () => {
+  it('streams Gemini deltas from streamGenerateContent', async () => {
+    const fetchMock = mockFetch(sseResponse([
+      { candidates: [{ content: { parts: [{ text: 'Focus on ' }] } }] },
+      { candidates: [{ content: { parts: [{ text: 'Acme today.' }] } }] },
+    ]));
+    const deltas: string[] = [];
+
+    const text = await PROVIDER_ADAPTERS.google.stream({ apiKey: 'key', model: 'gemini-test' }, { messages: [{ role: 'user', content: 'Plan?' }] }, delta => deltas.push(delta));
+
+    expect(text).toBe('Focus on Acme today.');
+    expect(deltas).toEqual(['Focus on ', 'Acme today.']);
+    expect(fetchMock.mock.calls[0][0]).toContain('/models/gemini-test:streamGenerateContent?alt=sse');
+  });
+
+  it('reads OpenAI and Anthropic event formats', async () => {
+    mockFetch(
+      sseResponse([{ choices: [{ delta: { content: 'a' } }] }, { choices: [{ delta: {} }] }, { choices: [{ delta: { content: 'b' } }] }]),
+      sseResponse([{ type: 'message_start' }, { type: 'content_block_delta', delta: { text: 'c' } }])
+    );
+    const request = { messages: [{ role: 'user', content: 'Hi' }] };
+
+    expect(await PROVIDER_ADAPTERS.openai.stream({ apiKey: 'k' }, request, () => {})).toBe('ab');
+    expect(await PROVIDER_ADAPTERS.anthropic.stream({ apiKey: 'k' }, request, () => {})).toBe('c');
+  });
+});
+
+describe.sequential('listModels and validateKey', () => {
+  it('lists Gemini models that can generate content', async () => {
+    mockFetch(jsonResponse({ models: [
+      { name: 'models/gemini-2.0-flash', supportedGenerationMethods: ['generateContent'] },
+      { name: 'models/text-embedding-004', supportedGenerationMethods: ['embedContent'] },
+    ] }));
+
+    expect(await PROVIDER_ADAPTERS.google.listModels({ apiKey: 'key' })).toEqual(['gemini-2.0-flash']);
+  });
+
+  it('treats 401 as invalid and rate limits as valid', async () => {
+    mockFetch(jsonResponse({}, 401), jsonResponse({}, 429), jsonResponse({ data: [{ id: 'gpt-4o' }] }));
+
+    expect(await PROVIDER_ADAPTERS.openai.validateKey({ apiKey: 'bad' }))
+      .toEqual({ valid: false, status: 401, error: 'API key is invalid or unauthorized' });
+    expect(await PROVIDER_ADAPTERS.openai.validateKey({ apiKey: 'busy' })).toMatchObject({ valid: true });
+    expect(await PROVIDER_ADAPTERS.openai.validateKey({ apiKey: 'good' })).toEqual({ valid: true });
+  });
+});
+
+describe.sequential('custom endpoint', () => {
+  const request = { messages: [{ role: 'user', content: 'Hi' }] };
+
+  it('calls chat completions under the base URL with the configured headers', async () => {
+    const fetchMock = mockFetch(jsonResponse({ choices: [{ message: { content: 'Hello' } }] }));
+
+    const result = await PROVIDER_ADAPTERS.custom.complete(
+      { apiKey: '', model: 'llama-3.1-70b', baseUrl: 'https://llm.example.com/openai/deployments/chat/?api-version=2024-06-01', headers: { 'api-key': 'azure-key' } },
+      request
+    );
+
+    expect(result.text).toBe('Hello');
+    expect(fetchMock.mock.calls[0][0]).toBe('https://llm.example.com/openai/deployments/chat/chat/completions?api-version=2024-06-01');
+    const headers = fetchMock.mock.calls[0][1].headers;
+    expect(headers['api-key']).toBe('azure-key');
+    expect(headers.Authorization).toBeUndefined();
+    expect(requestBody(fetchMock).model).toBe('llama-3.1-70b');
+  });
+
+  it('refuses private and plain http endpoints without calling them', async () => {
+    const fetchMock = mockFetch();
+
+    for (const baseUrl of ['https://169.254.169.254/v1', 'https://localhost/v1', 'http://llm.example.com/v1']) {
+      await expect(PROVIDER_ADAPTERS.custom.complete({ apiKey: 'k', model: 'm', baseUrl }, request)).rejects.toThrow('Custom endpoint URL');
+    }
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('does not follow redirects from the endpoint', async () => {
+    const redirect = () => new Response(null, { status: 302, headers: { Location: 'http://169.254.169.254/latest/meta-data/' } });
+    const fetchMock = mockFetch(redirect(), redirect());
+    const config = { apiKey: 'k', model: 'm', baseUrl: 'https://llm.example.com/v1' };
+
+    await expect(PROVIDER_ADAPTERS.custom.complete(config, request))
+      .rejects.toMatchObject({ name: 'ProviderAPIError', status: 302 });
+    await expect(PROVIDER_ADAPTERS.custom.stream(config, request, () => {}))
+      .rejects.toMatchObject({ name: 'ProviderAPIError', status: 302 });
+
+    expect(fetchMock).toHaveBeenCalledTimes(2);
+    expect(fetchMock.mock.calls.map((call: any) => call[1].redirect)).toEqual(['manual', 'manual']);
+  });
+
+  it('validates with a one-token completion instead of the model list', async () => {
+    const fetchMock = mockFetch(jsonResponse({ error: 'bad key' }, 401));
+
+    expect(await PROVIDER_ADAPTERS.custom.validateKey({ apiKey: 'k', model: 'm', baseUrl: 'https://llm.example.com/v1' }))
+      .toMatchObject({ valid: false, status: 401 });
+    expect(fetchMock.mock.calls[0][0]).toBe('https://llm.example.com/v1/chat/completions');
+    expect(requestBody(fetchMock).max_tokens).toBe(1);
+  });
+
+  it('checks header names and values', () => {
+    expect(normalizeCustomHeaders({ ' api-key ': ' secret ' })).toEqual({ headers: { 'api-key': 'secret' } });
+    expect(normalizeCustomHeaders(undefined)).toEqual({ headers: {} });
+    expect(normalizeCustomHeaders({ Host: 'evil.test' }).error).toMatch(/can't be set/);
+    expect(normalizeCustomHeaders({ 'X-Test': 'a\r\nInjected: b' }).error).toMatch(/Invalid value/);
+    expect(normalizeCustomHeaders(['api-key']).error).toBeDefined();
+  });
+
+  it('builds the config from a provider row', () => {
+    vi.stubEnv('ENCRYPTION_KEY', 'a'.repeat(64));
+    const row = {
+      provider_type: 'custom',
+      model: 'm',
+      base_url: 'https://llm.example.com/v1',
+      custom_headers_encrypted: encrypt(JSON.stringify({ 'api-key': 'secret' })),
+    };
+
+    expect(providerConfig(row, '')).toEqual({ apiKey: '', model: 'm', baseUrl: 'https://llm.example.com/v1', headers: { 'api-key': 'secret' } });
+    expect(providerConfig({ ...row, provider_type: 'openai' }, 'sk-x')).toEqual({ apiKey: 'sk-x', model: 'm' });
+    vi.unstubAllEnvs();
+  });
+});
+
+describe.sequential('toChatMessages', () => {
+  it('keeps user and assistant turns with text and appends the question', () => {
+    const history = [
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: '' },
+      { role: 'system', content: 'ignored' },
+      { role: 'assistant', content: 'Hello', provider: 'ChatGPT' },
+    ];
+    expect(toChatMessages(history, 'Next?')).toEqual([
+      { role: 'user', content: 'Hi' },
+      { role: 'assistant', content: 'Hello' },
+      { role: 'user', content: 'Next?' },
+    ]);
+  });
+});
@@ -0,0 +1,204 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  loadThread,
+  loadThreadMessages,
+  appendThreadExchange,
+  searchThreads,
+  toAIThread,
+} from '../../netlify/functions/lib/ai-threads';
+import {
+  AI_THREAD_LIMITS,
+  DEFAULT_THREAD_TITLE,
+  deriveThreadTitle,
+  normalizeThreadTitle,
+  toConversationHistory,
+  buildSearchSnippet,
+} from '../../src/config/aiThreads';
+
+const ORG = '11111111-1111-4111-8111-111111111111';
+const OWNER = '22222222-2222-4222-8222-222222222222';
+const TEAMMATE = '33333333-3333-4333-8333-333333333333';
+const THREAD_ID = '44444444-4444-4444-8444-444444444444';
+
+const threadRow = (overrides: Record<string, any> = {}) => ({
+  id: THREAD_ID,
+  organization_id: ORG,
+  user_id: OWNER,
+  title: DEFAULT_THREAD_TITLE,
+  title_is_custom: false,
+  pinned: false,
+  shared: false,
+  message_count: 0,
+  last_message_at: null,
+  created_at: '2026-10-01T10:00:00Z',
+  updated_at: '2026-10-01T10:00:00Z',
+  ...overrides,
+});
+
+// Records every call on a query chain; awaiting the chain (or maybeSingle)
+// resolves to `result`
+const fakeSupabase = (result: { data?: any; error?: any } = {}) => {
+  const calls: Array<[string, ...any[]]> = [];
+  const chain: any = {};
+  for (const method of ['select', 'eq', 'neq', 'or', 'order', 'limit', 'textSearch', 'insert', 'update']) {
+    chain[method] = (...args: any[]) => {
+      calls.push([method, ...args]);
+      return chain;
+    };
+  }
+  const resolved = { data: result.data ?? null, error: result.error ?? null };
+  chain.maybeSingle = () => Promise.resolve(resolved);
+  chain.then = (resolve: any, reject: any) => Promise.resolve(resolved).then(resolve, reject);
+  return {
+    client: {
+      from: (table: string) => (calls.push(['from', table]), chain),
+      rpc: (fn: string, args: any) => (calls.push(['rpc', fn, args]), Promise.resolve(resolved)),
+    },
+    calls,
+  };
+};
+
+describe('thread titles', () => {
+  it('names a thread after its first question', () => {
+    expect(deriveThreadTitle('  What deals   close\nthis week? ')).toBe('What deals close this week?');
+    const long = deriveThreadTitle('x'.repeat(200));
+    expect(long).toHaveLength(AI_THREAD_LIMITS.AUTO_TITLE_LENGTH);
+    expect(long.endsWith('…')).toBe(true);
+    expect(deriveThreadTitle('   ')).toBe(DEFAULT_THREAD_TITLE);
+  });
+
+  it('rejects empty titles and caps long ones', () => {
+    expect(normalizeThreadTitle('  Q4 forecast ')).toBe('Q4 forecast');
+    expect(normalizeThreadTitle('   ')).toBeNull();
+    expect(normalizeThreadTitle(42)).toBeNull();
+    expect(normalizeThreadTitle('y'.repeat(500))).toHaveLength(AI_THREAD_LIMITS.TITLE_MAX_LENGTH);
+  });
+});
+
+describe('toConversationHistory', () => {
+  it('keeps the most recent messages with role and content only', () => {
+    const messages = Array.from({ length: 20 }, (_, index) => ({
+      id: `${index}`,
+      role: index % 2 ? 'assistant' : 'user',
+      content: `message ${index}`,
+      metadata: { chartData: [1] },
+    }));
+    const history = toConversationHistory(messages);
+    expect(history).toHaveLength(AI_THREAD_LIMITS.HISTORY_MESSAGES);
+    expect(history[0]).toEqual({ role: 'user', content: 'message 8' });
+    expect(history.at(-1)).toEqual({ role: 'assistant', content: 'message 19' });
+  });
+});
+
+describe('buildSearchSnippet', () => {
+  it('centres the excerpt on the first matching term', () => {
+    const content = `${'lorem ipsum '.repeat(40)}Acme renewal is at risk. ${'dolor sit '.repeat(40)}`;
+    const snippet = buildSearchSnippet(content, 'acme');
+    expect(snippet).toContain('Acme renewal');
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(snippet.endsWith('…')).toBe(true);
+  });
+
+  it('returns short content unchanged', () => {
+    expect(buildSearchSnippet('Pipeline is healthy', 'pipeline')).toBe('Pipeline is healthy');
+  });
+});
+
+describe('loadThread', () => {
+  it('gives the owner write access', async () => {
+    const { client } = fakeSupabase({ data: threadRow() });
+    const access = await loadThread(client, THREAD_ID, { organizationId: ORG, userId: OWNER });
+    expect(access?.readOnly).toBe(false);
+    expect(access?.thread.ownerId).toBe(OWNER);
+  });
+
+  it('shows shared threads to teammates read-only and hides private ones', async () => {
+    const shared = fakeSupabase({ data: threadRow({ shared: true }) });
+    expect(await loadThread(shared.client, THREAD_ID, { organizationId: ORG, userId: TEAMMATE }))
+      .toMatchObject({ readOnly: true });
+
+    const { client } = fakeSupabase({ data: threadRow() });
+    expect(await loadThread(client, THREAD_ID, { organizationId: ORG, userId: TEAMMATE })).toBeNull();
+  });
+
+  it('is scoped to the organization', async () => {
+    const { client, calls } = fakeSupabase({ data: null });
+    expect(await loadThread(client, THREAD_ID, { organizationId: ORG, userId: OWNER })).toBeNull();
+    expect(calls).toContainEqual(['eq', 'organization_id', ORG]);
+  });
+});
+
+describe('loadThreadMessages', () => {
+  it('returns the most recent messages oldest first when limited', async () => {
+    const { client, calls } = fakeSupabase({
+      data: [
+        { id: 'b', role: 'assistant', content: 'newer', created_at: '2026-10-01T10:00:01Z' },
+        { id: 'a', role: 'user', content: 'older', created_at: '2026-10-01T10:00:00Z' },
+      ],
+    });
+    const messages = await loadThreadMessages(client, THREAD_ID, { limit: 2 });
+    expect(messages.map(message => message.id)).toEqual(['a', 'b']);
+    expect(calls).toContainEqual(['order', 'created_at', { ascending: false }]);
+  });
+});
+
+describe('appendThreadExchange', () => {
+  it('stores the question before the answer and titles an untitled thread', async () => {
+    const { client, calls } = fakeSupabase();
+    await appendThreadExchange(client, toAIThread(threadRow()), {
+      question: 'Which deals are stalled?',
+      answer: 'Three deals have not moved in 30 days.',
+      provider: 'ChatGPT',
+      metadata: { chartType: 'stalled' },
+    });
+
+    const [, rows] = calls.find(([method]) => method === 'insert')!;
+    expect(rows.map((row: any) => row.role)).toEqual(['user', 'assistant']);
+    expect(rows[0].created_at < rows[1].created_at).toBe(true);
+    expect(rows[1]).toMatchObject({ provider: 'ChatGPT', metadata: { chartType: 'stalled' } });
+
+    const [, fn, args] = calls.find(([method]) => method === 'rpc')!;
+    expect(fn).toBe('record_ai_thread_exchange');
+    expect(args).toEqual({ p_thread_id: THREAD_ID, p_title: 'Which deals are stalled?', p_message_at: rows[1].created_at });
+  });
+
+  it('counts in the database instead of from the loaded thread', async () => {
+    // A thread loaded before another tab's exchange was saved
+    const { client, calls } = fakeSupabase();
+    await appendThreadExchange(client, toAIThread(threadRow({ message_count: 0 })), { question: 'Hi', answer: 'Hello' });
+
+    expect(calls.some(([method]) => method === 'update')).toBe(false);
+    const [, , args] = calls.find(([method]) => method === 'rpc')!;
+    expect(args).not.toHaveProperty('message_count');
+    expect(args.p_title).toBe('Hi');
+  });
+
+  it('never throws when the write fails', async () => {
+    const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { client, calls } = fakeSupabase({ error: { message: 'down' } });
+    await expect(appendThreadExchange(client, toAIThread(threadRow()), { question: 'q', answer: 'a' }))
+      .resolves.toBeUndefined();
+    expect(calls.some(([method]) => method === 'rpc')).toBe(false);
+
+    const throwing = { from: () => { throw new Error('offline'); } };
+    await expect(appendThreadExchange(throwing, toAIThread(threadRow()), { question: 'q', answer: 'a' }))
+      .resolves.toBeUndefined();
+    spy.mockRestore();
+  });
+});
+
+describe('searchThreads', () => {
+  it('searches own and shared threads and flags teammates’ results', async () => {
+    const { client, calls } = fakeSupabase({
+      data: [
+        { id: 'm1', role: 'assistant', content: 'Acme is at risk', created_at: '2026-10-02T10:00:00Z', thread: { id: 't1', title: 'Risks', user_id: OWNER, shared: false } },
+        { id: 'm2', role: 'user', content: 'Acme renewal?', created_at: '2026-10-01T10:00:00Z', thread: { id: 't2', title: 'Renewals', user_id: TEAMMATE, shared: true } },
+      ],
+    });
+    const results = await searchThreads(client, { organizationId: ORG, userId: OWNER }, 'acme');
+
+    expect(calls).toContainEqual(['or', `user_id.eq.${OWNER},shared.eq.true`, { referencedTable: 'ai_threads' }]);
+    expect(calls).toContainEqual(['textSearch', 'search_vector', 'acme', { type: 'websearch', config: 'english' }]);
+    expect(results.map(result => [result.threadId, result.shared])).toEqual([['t1', false], ['t2', true]]);
+  });
+});
@@ -0,0 +1,226 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TOOL_CODECS,
+  getAvailableTools,
+  runToolLoop,
+  proposeAction,
+  matchMember,
+} from '../../netlify/functions/lib/ai-tools';
+import { AI_TOOL_LIMITS } from '../../src/config/aiTools';
+
+const ORG = '11111111-1111-4111-8111-111111111111';
+const USER = '22222222-2222-4222-8222-222222222222';
+const TEAMMATE = '33333333-3333-4333-8333-333333333333';
+const DEAL_ID = '44444444-4444-4444-8444-444444444444';
+
+const DEAL = { id: DEAL_ID, client: 'Acme', stage: 'lead', assigned_to: USER };
+
+// Every query on `table` resolves to tables[table]; calls are recorded
+const fakeSupabase = (tables: Record<string, any> = {}) => {
+  const calls: Array<[string, ...any[]]> = [];
+  const client = {
+    from: (table: string) => {
+      calls.push(['from', table]);
+      const resolved = { data: tables[table] ?? null, error: null };
+      const chain: any = {};
+      for (const method of ['select', 'eq', 'is', 'in', 'ilike', 'gte', 'lte', 'order', 'limit', 'update', 'insert']) {
+        chain[method] = (...args: any[]) => {
+          calls.push([method, ...args]);
+          return chain;
+        };
+      }
+      chain.maybeSingle = () => Promise.resolve({ ...resolved, data: Array.isArray(resolved.data) ? resolved.data[0] ?? null : resolved.data });
+      chain.then = (resolve: any, reject: any) => Promise.resolve(resolved).then(resolve, reject);
+      return chain;
+    },
+  };
+  return { client, calls };
+};
+
+const toolContext = (role: string, tables: Record<string, any> = {}) => {
+  const { client, calls } = fakeSupabase(tables);
+  return {
+    context: { supabase: client, organizationId: ORG, userId: USER, role, request: new Request('https://app.test/.netlify/functions/ai-assistant') },
+    calls,
+  };
+};
+
+const openaiToolCall = (name: string, args: Record<string, unknown>, id = 'call_1') => ({
+  choices: [{ message: { role: 'assistant', content: null, tool_calls: [{ id, type: 'function', function: { name, arguments: JSON.stringify(args) } }] } }],
+});
+const openaiText = (content: string) => ({ choices: [{ message: { role: 'assistant', content } }] });
+
+describe('getAvailableTools', () => {
+  it('offers write tools only to roles that can edit deals', () => {
+    const viewer = getAvailableTools('viewer').map(tool => tool.name);
+    expect(viewer).toEqual(['search_deals', 'get_deal_history', 'get_targets']);
+    expect(getAvailableTools('member').map(tool => tool.name)).toContain('move_deal_stage');
+  });
+});
+
+describe('codecs', () => {
+  const tools = getAvailableTools('member');
+
+  it('maps OpenAI tool calls and results', () => {
+    expect(TOOL_CODECS.openai.requestFields(tools, true)).toMatchObject({ tool_choice: 'none' });
+    const data = openaiToolCall('search_deals', { query: 'acme' });
+    expect(TOOL_CODECS.openai.readCalls(data, 0)).toEqual([{ id: 'call_1', name: 'search_deals', args: { query: 'acme' } }]);
+
+    const messages: any[] = [];
+    TOOL_CODECS.openai.appendResults(messages, data, [{ id: 'call_1', name: 'search_deals', content: '{}' }]);
+    expect(messages[1]).toEqual({ role: 'tool', tool_call_id: 'call_1', content: '{}' });
+  });
+
+  it('maps Anthropic tool_use blocks to tool_result turns', () => {
+    const fields: any = TOOL_CODECS.anthropic.requestFields(tools, false);
+    expect(fields.tools[0]).toHaveProperty('input_schema');
+    expect(fields.tool_choice).toEqual({ type: 'auto' });
+
+    const data = { content: [{ type: 'text', text: 'Looking' }, { type: 'tool_use', id: 'tu_1', name: 'get_targets', input: {} }] };
+    expect(TOOL_CODECS.anthropic.readCalls(data, 0)).toEqual([{ id: 'tu_1', name: 'get_targets', args: {} }]);
+
+    const messages: any[] = [];
+    TOOL_CODECS.anthropic.appendResults(messages, data, [{ id: 'tu_1', name: 'get_targets', content: '{"targets":[]}' }]);
+    expect(messages[1].content[0]).toEqual({ type: 'tool_result', tool_use_id: 'tu_1', content: '{"targets":[]}' });
+  });
+
+  it('omits empty Gemini schemas and names its calls', () => {
+    const fields: any = TOOL_CODECS.google.requestFields(tools, false);
+    const targets = fields.tools[0].functionDeclarations.find((tool: any) => tool.name === 'get_targets');
+    expect(targets).not.toHaveProperty('parameters');
+
+    const data = { candidates: [{ content: { role: 'model', parts: [{ functionCall: { name: 'search_deals', args: { stage: 'quote' } } }] } }] };
+    expect(TOOL_CODECS.google.readCalls(data, 1)).toEqual([{ id: 'search_deals-1-0', name: 'search_deals', args: { stage: 'quote' } }]);
+  });
+});
+
+describe('runToolLoop', () => {
+  it('runs read tools scoped to the organization and asks again', async () => {
+    const { context, calls } = toolContext('member', { deals: [{ ...DEAL, value: 5000 }], team_members: [], user_profiles: [] });
+    const responses = [openaiToolCall('search_deals', { query: 'acme' }), openaiText('Acme is in lead.')];
+    const sent: any[][] = [];
+
+    const { data, proposedActions } = await runToolLoop({
+      providerType: 'openai',
+      messages: [{ role: 'user', content: 'Where is Acme?' }],
+      send: async (messages) => {
+        sent.push([...messages]);
+        return responses.shift();
+      },
+      context,
+    });
+
+    expect(data.choices[0].message.content).toBe('Acme is in lead.');
+    expect(proposedActions).toEqual([]);
+    expect(calls).toContainEqual(['eq', 'organization_id', ORG]);
+    expect(calls).toContainEqual(['ilike', 'client', '%acme%']);
+    const toolMessage = sent[1].find(message => message.role === 'tool');
+    expect(JSON.parse(toolMessage.content).deals[0]).toMatchObject({ client: 'Acme', value: 5000 });
+  });
+
+  it('turns write calls into proposals without changing anything', async () => {
+    const { context, calls } = toolContext('member', { deals: DEAL, stage_definitions: [] });
+    const responses = [openaiToolCall('move_deal_stage', { deal_id: DEAL_ID, stage: 'quote' }), openaiText('Ready to move Acme.')];
+    const sent: any[][] = [];
+
+    const { proposedActions } = await runToolLoop({
+      providerType: 'openai',
+      messages: [],
+      send: async (messages) => {
+        sent.push([...messages]);
+        return responses.shift();
+      },
+      context,
+    });
+
+    expect(proposedActions).toHaveLength(1);
+    expect(proposedActions[0]).toMatchObject({
+      tool: 'move_deal_stage',
+      args: { deal_id: DEAL_ID, stage: 'quote' },
+      summary: 'Move Acme from lead to quote',
+      dealName: 'Acme',
+    });
+    expect(JSON.parse(sent[1].at(-1).content)).toMatchObject({ status: 'awaiting_confirmation' });
+    expect(calls.some(([method]) => method === 'update' || method === 'insert')).toBe(false);
+  });
+
+  it('refuses write calls for viewers', async () => {
+    const { context } = toolContext('viewer', { deals: DEAL });
+    const responses = [openaiToolCall('assign_deal', { deal_id: DEAL_ID, assignee: 'Sam' }), openaiText('You cannot do that.')];
+    const sent: any[][] = [];
+
+    const { proposedActions } = await runToolLoop({
+      providerType: 'openai',
+      messages: [],
+      send: async (messages) => {
+        sent.push([...messages]);
+        return responses.shift();
+      },
+      context,
+    });
+
+    expect(proposedActions).toEqual([]);
+    expect(JSON.parse(sent[1].at(-1).content).error).toMatch(/can't change deals/);
+  });
+
+  it('forces a text answer after the last tool round', async () => {
+    const { context } = toolContext('member', { deals: [], team_members: [] });
+    const toolFields: any[] = [];
+
+    await runToolLoop({
+      providerType: 'openai',
+      messages: [],
+      send: async (_messages, fields) => {
+        toolFields.push(fields);
+        return toolFields.length <= AI_TOOL_LIMITS.MAX_ROUNDS ? openaiToolCall('search_deals', {}, `call_${toolFields.length}`) : openaiText('Done');
+      },
+      context,
+    });
+
+    expect(toolFields).toHaveLength(AI_TOOL_LIMITS.MAX_ROUNDS + 1);
+    expect(toolFields.at(-1).tool_choice).toBe('none');
+  });
+});
+
+describe('proposeAction', () => {
+  it('resolves the assignee and rejects no-op reassignments', async () => {
+    const members = { deals: DEAL, team_members: [{ user_id: USER }, { user_id: TEAMMATE }], user_profiles: [
+      { id: USER, email: 'me@acme.test', full_name: 'Alex Doe' },
+      { id: TEAMMATE, email: 'sam@acme.test', full_name: 'Sam Lee' },
+    ] };
+
+    const { context } = toolContext('member', members);
+    const proposal = await proposeAction('assign_deal', { deal_id: DEAL_ID, assignee: 'sam' }, context);
+    expect(proposal).toMatchObject({ action: { args: { deal_id: DEAL_ID, assignee: TEAMMATE }, summary: 'Assign Acme to Sam Lee' } });
+
+    const again = await proposeAction('assign_deal', { deal_id: DEAL_ID, assignee: 'me@acme.test' }, context);
+    expect(again).toMatchObject({ code: 'INVALID_INPUT' });
+  });
+
+  it('validates next steps and deal access', async () => {
+    const { context } = toolContext('member', { deals: DEAL });
+    expect(await proposeAction('set_next_step', { deal_id: DEAL_ID, next_step: 'x'.repeat(501) }, context))
+      .toMatchObject({ code: 'INVALID_INPUT' });
+    expect(await proposeAction('set_next_step', { deal_id: DEAL_ID, next_step: 'Send quote', due_date: '2026-13' }, context))
+      .toMatchObject({ code: 'INVALID_INPUT' });
+    expect(await proposeAction('set_next_step', { deal_id: DEAL_ID, next_step: ' Send quote ', due_date: '2026-11-02' }, context))
+      .toMatchObject({ action: { args: { next_step: 'Send quote', due_date: '2026-11-02' }, summary: 'Set the next step for Acme: "Send quote" (due 2026-11-02)' } });
+
+    const missing = toolContext('member', { deals: null });
+    expect(await proposeAction('log_activity', { deal_id: DEAL_ID, type: 'call' }, missing.context)).toMatchObject({ code: 'NOT_FOUND' });
+  });
+});
+
+describe('matchMember', () => {
+  const members = [
+    { id: USER, name: 'Sam Lee', email: 'sam@acme.test' },
+    { id: TEAMMATE, name: 'Samira Khan', email: 'samira@acme.test' },
+  ];
+
+  it('prefers exact matches and reports ambiguity', () => {
+    expect(matchMember(members, 'Sam Lee')).toEqual({ member: members[0] });
+    expect(matchMember(members, 'samira@acme.test')).toEqual({ member: members[1] });
+    expect(matchMember(members, 'sam')).toMatchObject({ error: expect.stringContaining('several teammates') });
+    expect(matchMember(members, 'jo')).toMatchObject({ error: expect.stringContaining('No teammate') });
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect } from 'vitest';
+import {
+  expandApiKeyPermissions,
+  isValidApiKeyPermissionList,
+  requirePermission,
+  InsufficientPermissionsError,
+  API_KEY_SCOPES,
+  type ApiKeyContext,
+} from '../../netlify/functions/lib/api-key-auth';
+
+const keyWith = (permissions: string[]): ApiKeyContext => ({
+  userId: 'user-1',
+  orgId: 'org-1',
+  permissions,
+  keyId: 'key-1',
+  keyName: 'Test key',
+  rateLimitPerHour: null,
+});
+
+describe('API key scopes', () => {
+  it('expands legacy read/write/admin values', () => {
+    expect(expandApiKeyPermissions(['read'])).toEqual(['read_deals', 'view_analytics']);
+    expect(expandApiKeyPermissions(['write'])).toEqual(['create_deals', 'edit_deals', 'delete_deals']);
+    expect(expandApiKeyPermissions(['admin'])).toEqual([...API_KEY_SCOPES]);
+  });
+
+  it('ignores permissions that are not grantable to keys', () => {
+    expect(expandApiKeyPermissions(['read_deals', 'manage_billing'])).toEqual(['read_deals']);
+    expect(expandApiKeyPermissions(['toString', '__proto__', 'read_deals'])).toEqual(['read_deals']);
+  });
+
+  it('validates requested permission lists', () => {
+    expect(isValidApiKeyPermissionList(['read_deals', 'write'])).toBe(true);
+    expect(isValidApiKeyPermissionList([])).toBe(false);
+    expect(isValidApiKeyPermissionList(['delete_organization'])).toBe(false);
+    for (const inherited of ['toString', 'constructor', '__proto__', 'hasOwnProperty']) {
+      expect(isValidApiKeyPermissionList([inherited])).toBe(false);
+    }
+  });
+
+  it('rejects a read-only key on write operations', () => {
+    const readOnly = keyWith(['read_deals']);
+    expect(() => requirePermission(readOnly, 'read_deals')).not.toThrow();
+    expect(() => requirePermission(readOnly, 'create_deals')).toThrow(InsufficientPermissionsError);
+  });
+});
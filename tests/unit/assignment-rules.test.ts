@@ -0,0 +1,196 @@
+import { describe, it, expect } from 'vitest';
+import {
+  matchesCondition,
+  pickWeightedAssignee,
+  evaluateAssignmentRules,
+  runAssignmentRules,
+  validateAssignmentRule,
+  describeCondition,
+} from '../../src/config/assignmentRules';
+import { assignDealsByRules } from '../../netlify/functions/lib/deal-assignment';
+
+const ANA = '11111111-1111-4111-8111-111111111111';
+const BEN = '22222222-2222-4222-8222-222222222222';
+const CARA = '33333333-3333-4333-8333-333333333333';
+
+const CUSTOM_FIELDS = [
+  { key: 'region', label: 'Region', type: 'select' },
+  { key: 'industry', label: 'Industry', type: 'multi_select' },
+  { key: 'seats', label: 'Seats', type: 'number' },
+];
+
+const rule = (overrides: Record<string, any> = {}) => ({
+  id: 'rule-1',
+  name: 'Enterprise West',
+  isActive: true,
+  conditions: [],
+  assignees: [{ userId: ANA, weight: 1, cap: null }],
+  fallbackUserId: null,
+  rotation: {},
+  ...overrides,
+});
+
+// Chainable query stub: configured rules and members, recorded deal updates and rpc calls
+const fakeSupabase = ({ rules = [] as any[], members = [ANA, BEN, CARA] } = {}) => {
+  const updates: Array<{ value: any; ids: string[] }> = [];
+  const rpcs: any[] = [];
+
+  const table = (name: string) => {
+    let update: any = null;
+    let ids: string[] = [];
+    const query: any = {
+      update: (value: any) => {
+        update = value;
+        return query;
+      },
+      in: (column: string, values: string[]) => {
+        if (column === 'id') ids = values;
+        return query;
+      },
+      insert: () => query,
+      then: (resolve: any) => {
+        if (name === 'assignment_rules') return resolve({ data: rules, error: null });
+        if (name === 'team_members') return resolve({ data: members.map(user_id => ({ user_id })), error: null });
+        if (name === 'deals' && update) {
+          updates.push({ value: update, ids });
+          return resolve({ data: ids.map(id => ({ id, ...update })), error: null });
+        }
+        return resolve({ data: [], count: 0, error: null });
+      },
+    };
+    ['select', 'eq', 'is', 'gt', 'order', 'overlaps', 'limit'].forEach(method => { query[method] = () => query; });
+    return query;
+  };
+
+  return {
+    client: { from: table, rpc: async (fn: string, args: any) => { rpcs.push({ fn, args }); return { data: null, error: null }; } },
+    updates,
+    rpcs,
+  };
+};
+
+describe('Assignment rules', () => {
+  it('matches source, value bands, email domain and custom territory fields', () => {
+    const deal = { value: 50000, email: 'Ops@Acme.com', custom_fields: { region: 'West', industry: ['SaaS', 'Fintech'], seats: '120' } };
+
+    expect(matchesCondition(deal, { field: 'source', operator: 'is', value: 'capture' }, { source: 'capture' })).toBe(true);
+    expect(matchesCondition(deal, { field: 'source', operator: 'is_not', value: 'capture' }, { source: 'import' })).toBe(true);
+    expect(matchesCondition(deal, { field: 'value', operator: 'between', value: [10000, 100000] })).toBe(true);
+    expect(matchesCondition(deal, { field: 'value', operator: 'at_least', value: 100000 })).toBe(false);
+    expect(matchesCondition(deal, { field: 'email_domain', operator: 'is', value: 'acme.com' })).toBe(true);
+    expect(matchesCondition(deal, { field: 'custom:region', operator: 'is_any_of', value: ['west', 'north'] })).toBe(true);
+    expect(matchesCondition(deal, { field: 'custom:industry', operator: 'is', value: 'fintech' })).toBe(true);
+    expect(matchesCondition(deal, { field: 'custom:seats', operator: 'at_least', value: 100 })).toBe(true);
+    expect(matchesCondition({ custom_fields: {} }, { field: 'custom:region', operator: 'is_set' })).toBe(false);
+  });
+
+  it('rotates by weight', () => {
+    const assignees = [{ userId: ANA, weight: 2, cap: null }, { userId: BEN, weight: 1, cap: null }];
+    const deals = Array.from({ length: 6 }, (_, i) => ({ id: `deal-${i}` }));
+
+    const { results, picks } = runAssignmentRules([rule({ assignees })], deals);
+
+    expect(results.map(result => result.assignedTo)).toEqual([ANA, BEN, ANA, ANA, BEN, ANA]);
+    expect(picks).toEqual({ 'rule-1': { [ANA]: 4, [BEN]: 2 } });
+  });
+
+  it('skips reps at their cap and falls back when everyone is full', () => {
+    const assignees = [{ userId: ANA, weight: 1, cap: 2 }, { userId: BEN, weight: 1, cap: 5 }];
+    expect(pickWeightedAssignee(assignees, {}, { [ANA]: 2, [BEN]: 1 })).toBe(BEN);
+    expect(pickWeightedAssignee(assignees, {}, { [ANA]: 2, [BEN]: 5 })).toBeNull();
+
+    const full = { openDeals: { [ANA]: 2, [BEN]: 5 } };
+    expect(evaluateAssignmentRules([rule({ assignees, fallbackUserId: CARA })], {}, full))
+      .toMatchObject({ assignedTo: CARA, reason: 'fallback' });
+    expect(evaluateAssignmentRules([rule({ assignees })], {}, full))
+      .toMatchObject({ assignedTo: null, reason: 'capped' });
+  });
+
+  it('uses the first matching active rule and ignores former members', () => {
+    const rules = [
+      rule({ id: 'paused', isActive: false, assignees: [{ userId: CARA, weight: 1, cap: null }] }),
+      rule({ id: 'big', conditions: [{ field: 'value', operator: 'at_least', value: 10000 }], assignees: [{ userId: BEN, weight: 1, cap: null }] }),
+      rule({ id: 'rest', assignees: [{ userId: CARA, weight: 1, cap: null }, { userId: ANA, weight: 1, cap: null }] }),
+    ];
+
+    expect(evaluateAssignmentRules(rules, { value: 20000 }).ruleId).toBe('big');
+    expect(evaluateAssignmentRules(rules, { value: 500 }, { memberIds: [ANA, BEN] }))
+      .toMatchObject({ ruleId: 'rest', assignedTo: ANA });
+    expect(evaluateAssignmentRules([], { value: 500 }).reason).toBe('no_match');
+  });
+
+  it('validates rules from the settings panel', () => {
+    expect(validateAssignmentRule({
+      name: 'West',
+      conditions: [{ field: 'custom:region', operator: 'is', value: 'West' }],
+      assignees: [{ userId: ANA, weight: 3, cap: 20 }],
+      fallbackUserId: BEN,
+    }, CUSTOM_FIELDS)).toEqual([]);
+
+    expect(validateAssignmentRule({
+      name: '',
+      conditions: [{ field: 'custom:unknown', operator: 'is', value: 'x' }],
+      assignees: [{ userId: ANA, weight: 0, cap: null }, { userId: ANA, weight: 1, cap: 0 }],
+    }, CUSTOM_FIELDS)).toEqual([
+      'Name is required',
+      'Unknown condition field: custom:unknown',
+      'Each member can only be listed once',
+      'Weights must be whole numbers from 1 to 10',
+      'Caps must be whole numbers from 1 to 10000, or empty for no cap',
+    ]);
+
+    expect(describeCondition({ field: 'source', operator: 'is_any_of', value: ['api', 'capture'] }))
+      .toBe('Source is any of REST API, Lead capture');
+  });
+});
+
+describe('assignDealsByRules', () => {
+  it('moves deals a rule assigns elsewhere, one update per new owner, and advances the rotation', async () => {
+    const { client, updates, rpcs } = fakeSupabase({
+      rules: [{
+        id: 'rule-1',
+        name: 'Captured leads',
+        position: 0,
+        is_active: true,
+        conditions: [{ field: 'source', operator: 'is', value: 'import' }],
+        assignees: [{ userId: ANA, weight: 1 }, { userId: BEN, weight: 1 }],
+        rotation: {},
+      }],
+    });
+    const deals = ['deal-1', 'deal-2', 'deal-3'].map(id => ({ id, assigned_to: ANA, status: 'active' }));
+
+    const { deals: routed, ruleAssigned } = await assignDealsByRules(client, {
+      organizationId: 'org-1',
+      deals,
+      source: 'import',
+      changedBy: CARA,
+      actor: { type: 'user', id: CARA },
+    });
+
+    // deal-1 and deal-3 stay with Ana; only deal-2 moves
+    expect(updates).toHaveLength(1);
+    expect(updates[0]).toMatchObject({ ids: ['deal-2'], value: { assigned_to: BEN, assigned_by: CARA } });
+    expect(routed.map(deal => deal.assigned_to)).toEqual([ANA, BEN, ANA]);
+    expect([...ruleAssigned]).toEqual(['deal-1', 'deal-2', 'deal-3']);
+    expect(rpcs).toEqual([{ fn: 'bump_assignment_rule_rotation', args: { p_rule_id: 'rule-1', p_counts: { [ANA]: 2, [BEN]: 1 } } }]);
+  });
+
+  it('leaves deals alone when no rule matches', async () => {
+    const { client, updates } = fakeSupabase({
+      rules: [{ id: 'rule-1', name: 'API', is_active: true, conditions: [{ field: 'source', operator: 'is', value: 'api' }], assignees: [{ userId: BEN, weight: 1 }] }],
+    });
+    const deals = [{ id: 'deal-1', assigned_to: ANA }];
+
+    const result = await assignDealsByRules(client, {
+      organizationId: 'org-1',
+      deals,
+      source: 'manual',
+      changedBy: ANA,
+      actor: { type: 'user', id: ANA },
+    });
+
+    expect(result.deals).toBe(deals);
+    expect(result.ruleAssigned.size).toBe(0);
+    expect(updates).toHaveLength(0);
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  toAuditRow,
+  logAuditEvent,
+  encodeAuditCursor,
+  decodeAuditCursor,
+  queryAuditLog,
+  buildAuditLogCsv,
+  toAuditEntry,
+} from '../../netlify/functions/lib/audit-log';
+import { redactSecrets } from '../../netlify/functions/lib/log-sanitizer';
+import { hasPermission, canViewAuditLog, PERMISSIONS } from '../../netlify/functions/lib/rbac';
+import { getPlanConfig } from '../../netlify/functions/lib/plan-config';
+import { getAuditActionLabel, getAuditRetentionCutoff } from '../../src/config/auditLog';
+
+const ORG = '11111111-1111-4111-8111-111111111111';
+const USER = '22222222-2222-4222-8222-222222222222';
+const ENTRY_ID = '33333333-3333-4333-8333-333333333333';
+
+const event = (overrides: Record<string, any> = {}) => ({
+  organizationId: ORG,
+  actor: { type: 'user' as const, id: USER, email: 'ana@example.com' },
+  action: 'deal.updated',
+  entityId: 'deal-1',
+  summary: 'Acme renewal',
+  ...overrides,
+});
+
+// Records the filters a query chain applies and returns the given rows
+const fakeSupabase = (rows: any[] = []) => {
+  const calls: Array<[string, ...any[]]> = [];
+  const inserts: any[] = [];
+  const chain: any = {};
+  for (const method of ['select', 'eq', 'gte', 'lte', 'or', 'order']) {
+    chain[method] = (...args: any[]) => {
+      calls.push([method, ...args]);
+      return chain;
+    };
+  }
+  chain.limit = (count: number) => {
+    calls.push(['limit', count]);
+    return Promise.resolve({ data: rows.slice(0, count), error: null });
+  };
+  chain.insert = (values: any[]) => {
+    inserts.push(...values);
+    return Promise.resolve({ error: null });
+  };
+  return { client: { from: () => chain }, calls, inserts };
+};
+
+const row = (index: number) => ({
+  id: `${index}`.padStart(8, '0') + '-3333-4333-8333-333333333333',
+  created_at: `2026-10-0${9 - index}T10:00:00.123456+00:00`,
+  actor_type: 'user',
+  actor_id: USER,
+  actor_email: 'ana@example.com',
+  action: 'deal.created',
+  entity_type: 'deal',
+  entity_id: `deal-${index}`,
+  summary: `Deal ${index}`,
+  metadata: {},
+  ip_address: null,
+  user_agent: null,
+});
+
+describe('toAuditRow', () => {
+  it('derives the entity type from the action', () => {
+    expect(toAuditRow(event())).toMatchObject({
+      organization_id: ORG,
+      actor_type: 'user',
+      actor_id: USER,
+      action: 'deal.updated',
+      entity_type: 'deal',
+      entity_id: 'deal-1',
+      summary: 'Acme renewal',
+    });
+    expect(toAuditRow(event({ action: 'api_key.revoked' }))?.entity_type).toBe('api_key');
+  });
+
+  it('returns null for actions missing from the config', () => {
+    expect(toAuditRow(event({ action: 'deal.teleported' }))).toBeNull();
+  });
+
+  it('redacts secret-looking metadata and truncates the summary', () => {
+    const auditRow = toAuditRow(event({
+      summary: 'x'.repeat(300),
+      metadata: { fields: ['value'], webhook_secret: 'whsec_1', nested: { apiKey: 'sk_1', count: 2 } },
+    }));
+    expect(auditRow?.summary).toHaveLength(200);
+    expect(auditRow?.metadata).toEqual({
+      fields: ['value'],
+      webhook_secret: '[REDACTED]',
+      nested: { apiKey: '[REDACTED]', count: 2 },
+    });
+  });
+
+  it('captures the IP address and user agent from the request', () => {
+    const request = new Request('https://example.com/x', {
+      headers: { 'x-forwarded-for': '203.0.113.7', 'user-agent': 'vitest' },
+    });
+    expect(toAuditRow(event({ request }))).toMatchObject({ ip_address: '203.0.113.7', user_agent: 'vitest' });
+  });
+});
+
+describe('logAuditEvent', () => {
+  it('skips unknown actions without throwing', async () => {
+    const { client, inserts } = fakeSupabase();
+    const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    await logAuditEvent(client, event({ action: 'nope' }));
+    await logAuditEvent(client, event());
+    expect(inserts).toHaveLength(1);
+    spy.mockRestore();
+  });
+
+  it('never throws when the insert fails', async () => {
+    const client = { from: () => ({ insert: () => { throw new Error('down'); } }) };
+    const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+    await expect(logAuditEvent(client, event())).resolves.toBeUndefined();
+    spy.mockRestore();
+  });
+});
+
+describe('redactSecrets', () => {
+  it('drops nesting past the depth limit', () => {
+    expect(redactSecrets({ a: { b: { c: 1 } } }, 2)).toEqual({ a: { b: '[TRUNCATED]' } });
+  });
+});
+
+describe('audit cursors', () => {
+  it('round-trips timestamps with microseconds', () => {
+    const position = { createdAt: '2026-10-08T10:00:00.123456+00:00', id: ENTRY_ID };
+    expect(decodeAuditCursor(encodeAuditCursor(position))).toEqual(position);
+  });
+
+  it('rejects cursors that were not encoded by the server', () => {
+    const forged = Buffer.from(`2026-10-08T10:00:00Z|${ENTRY_ID}),id.gt.(0`).toString('base64url');
+    expect(decodeAuditCursor(forged)).toBeNull();
+    expect(decodeAuditCursor('not-a-cursor')).toBeNull();
+    expect(decodeAuditCursor(null)).toBeNull();
+  });
+});
+
+describe('queryAuditLog', () => {
+  it('pages newest first and returns a cursor when more rows exist', async () => {
+    const { client, calls } = fakeSupabase([row(1), row(2), row(3)]);
+    const { entries, nextCursor } = await queryAuditLog(client, ORG, {}, { retentionDays: 30, limit: 2 });
+
+    expect(entries.map(entry => entry.summary)).toEqual(['Deal 1', 'Deal 2']);
+    expect(decodeAuditCursor(nextCursor)).toEqual({ createdAt: row(2).created_at, id: row(2).id });
+    expect(calls).toContainEqual(['limit', 3]);
+  });
+
+  it('never reads past the retention window', async () => {
+    const { client, calls } = fakeSupabase();
+    await queryAuditLog(client, ORG, { from: '2000-01-01T00:00:00.000Z', actorId: USER }, { retentionDays: 30 });
+
+    const [, , from] = calls.find(([method]) => method === 'gte')!;
+    expect(from > '2000-01-01T00:00:00.000Z').toBe(true);
+    expect(Date.parse(from)).toBeCloseTo(Date.parse(getAuditRetentionCutoff(30)), -4);
+    expect(calls).toContainEqual(['eq', 'actor_id', USER]);
+  });
+
+  it('applies a valid cursor as a keyset filter', async () => {
+    const { client, calls } = fakeSupabase();
+    const cursor = encodeAuditCursor({ createdAt: row(2).created_at, id: row(2).id });
+    await queryAuditLog(client, ORG, {}, { retentionDays: 30, cursor });
+
+    expect(calls).toContainEqual([
+      'or',
+      `created_at.lt.${row(2).created_at},and(created_at.eq.${row(2).created_at},id.lt.${row(2).id})`,
+    ]);
+  });
+});
+
+describe('buildAuditLogCsv', () => {
+  it('writes a header and one row per entry with actor names', () => {
+    const entry = toAuditEntry({ ...row(1), summary: 'Acme, Inc', metadata: { fields: ['value'] } });
+    const lines = buildAuditLogCsv([entry], { [USER]: 'Ana' }).replace(/^\uFEFF/, '').trim().split('\r\n');
+
+    expect(lines[0]).toMatch(/^Time \(UTC\),Actor,/);
+    expect(lines[1]).toContain(',Ana,user,');
+    expect(lines[1]).toContain(`,${getAuditActionLabel('deal.created')},`);
+    expect(lines[1]).toContain('"Acme, Inc"');
+    expect(lines[1]).toContain('"{""fields"":[""value""]}"');
+  });
+});
+
+describe('audit log access and retention', () => {
+  it('is limited to owners and admins', () => {
+    expect(hasPermission('owner', PERMISSIONS.VIEW_AUDIT_LOG)).toBe(true);
+    expect(canViewAuditLog('admin')).toBe(true);
+    expect(canViewAuditLog('member')).toBe(false);
+    expect(canViewAuditLog('viewer')).toBe(false);
+  });
+
+  it('keeps more history on higher plans', () => {
+    const days = ['free', 'startup', 'growth', 'pro'].map(plan => getPlanConfig(plan).auditLogRetentionDays);
+    expect(days).toEqual([...days].sort((a, b) => a - b));
+    expect(new Set(days).size).toBe(days.length);
+  });
+});
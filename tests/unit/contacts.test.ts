@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeDomain,
+  getCompanyDomainFromEmail,
+  findOrCreateContact,
+  summarizeCompanyDeals,
+} from '../../netlify/functions/lib/contacts';
+
+/**
+ * Minimal stand-in for the supabase query builder: select returns the given
+ * existing row and insert records what would have been written.
+ */
+const supabaseWithContact = (existing: Record<string, unknown> | null) => {
+  const inserted: any[] = [];
+  const filters: Array<[string, unknown]> = [];
+  const builder: any = {
+    select: () => builder,
+    eq: (column: string, value: unknown) => { filters.push([column, value]); return builder; },
+    update: () => builder,
+    insert: (row: any) => { inserted.push(row); return builder; },
+    maybeSingle: async () => ({ data: existing, error: null }),
+    single: async () => ({ data: { id: 'new-contact', ...inserted[inserted.length - 1] }, error: null }),
+  };
+  return { supabase: { from: () => builder }, inserted, filters };
+};
+
+describe('Contacts and companies', () => {
+  it('normalizes domains and ignores freemail addresses', () => {
+    expect(normalizeDomain('https://www.Acme.com/pricing')).toBe('acme.com');
+    expect(normalizeDomain('not a domain')).toBeNull();
+    expect(getCompanyDomainFromEmail('Jane@Sub.Acme.io')).toBe('sub.acme.io');
+    expect(getCompanyDomainFromEmail('jane@gmail.com')).toBeNull();
+    expect(getCompanyDomainFromEmail('')).toBeNull();
+  });
+
+  it('returns the existing contact for the same email instead of inserting', async () => {
+    const existing = { id: 'c-1', name: 'Jane', email: 'jane@acme.com', phone: '555', title: 'CFO', company_id: 'co-1' };
+    const { supabase, inserted, filters } = supabaseWithContact(existing);
+
+    const result = await findOrCreateContact(supabase, 'org-1', 'user-1', { name: 'Jane D', email: ' JANE@acme.com ' });
+
+    expect(result).toEqual({ record: existing, deduplicated: true });
+    expect(filters).toContainEqual(['email', 'jane@acme.com']);
+    expect(inserted).toHaveLength(0);
+  });
+
+  it('creates a contact with a lowercased email when none matches', async () => {
+    const { supabase, inserted } = supabaseWithContact(null);
+
+    const result = await findOrCreateContact(supabase, 'org-1', 'user-1', { name: 'Sam', email: 'Sam@Beta.com' });
+
+    expect(result.deduplicated).toBe(false);
+    expect(inserted[0]).toMatchObject({ organization_id: 'org-1', name: 'Sam', email: 'sam@beta.com', created_by: 'user-1' });
+  });
+
+  it('rolls up company deals by status and stage', () => {
+    const rollup = summarizeCompanyDeals([
+      { stage: 'deal_won', status: 'won', value: 10000, created: '2024-01-10T00:00:00Z' },
+      { stage: 'renewal', status: 'active', value: 12000, created: '2025-01-05T00:00:00Z', last_touch_at: '2025-02-01T00:00:00Z' },
+      { stage: 'deal_lost', status: 'lost', value: 5000, created: '2024-06-01T00:00:00Z' },
+      { stage: 'renewal', status: 'active', value: 999, deleted_at: '2025-01-01T00:00:00Z' },
+    ]);
+
+    expect(rollup).toMatchObject({
+      dealCount: 3,
+      openCount: 1,
+      openValue: 12000,
+      wonCount: 1,
+      wonValue: 10000,
+      lostCount: 1,
+      byStage: { deal_won: 1, renewal: 1, deal_lost: 1 },
+      firstDealAt: '2024-01-10T00:00:00Z',
+      lastActivityAt: '2025-02-01T00:00:00Z',
+    });
+  });
+});
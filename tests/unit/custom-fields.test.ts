@@ -0,0 +1,96 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateCustomFieldValues,
+  validateCustomFieldDefinition,
+  type CustomFieldDefinition,
+} from '../../netlify/functions/lib/custom-fields';
+import {
+  coerceCustomFieldValue,
+  matchesCustomFieldFilter,
+  getTemplateCustomFields,
+} from '../../src/config/customFieldConfig';
+
+const field = (overrides: Partial<CustomFieldDefinition>): CustomFieldDefinition => ({
+  key: 'field',
+  label: 'Field',
+  type: 'text',
+  required: false,
+  options: [],
+  defaultValue: null,
+  ...overrides,
+});
+
+const ROUND = field({ key: 'round', label: 'Round', type: 'select', options: ['Seed', 'Series A'], required: true });
+const SECTOR = field({ key: 'sector', label: 'Sector', type: 'multi_select', options: ['Fintech', 'SaaS'] });
+const CHECK = field({ key: 'check_size', label: 'Check Size', type: 'currency' });
+const TERM = field({ key: 'contract_term', label: 'Contract Term', type: 'select', options: ['Monthly', 'Annual'], defaultValue: 'Annual' });
+
+describe('Deal custom fields', () => {
+  describe('coerceCustomFieldValue', () => {
+    it('coerces numbers, options and CSV text', () => {
+      expect(coerceCustomFieldValue(CHECK, '$1,250.505').value).toBe(1250.51);
+      expect(coerceCustomFieldValue(ROUND, 'series a').value).toBe('Series A');
+      expect(coerceCustomFieldValue(SECTOR, 'saas; fintech', { fromText: true }).value).toEqual(['SaaS', 'Fintech']);
+      expect(coerceCustomFieldValue(field({ type: 'date' }), '2025-03-14').value).toBe('2025-03-14');
+    });
+
+    it('rejects values that do not fit the type', () => {
+      expect(coerceCustomFieldValue(CHECK, 'lots').error).toMatch(/number/);
+      expect(coerceCustomFieldValue(ROUND, 'Series Z').error).toMatch(/one of/);
+      expect(coerceCustomFieldValue(SECTOR, 'SaaS').error).toMatch(/list/);
+      expect(coerceCustomFieldValue(field({ type: 'url' }), 'javascript:alert(1)').error).toMatch(/URL/);
+    });
+  });
+
+  describe('validateCustomFieldValues', () => {
+    it('applies defaults and enforces required fields on create', () => {
+      const { values, errors } = validateCustomFieldValues([ROUND, TERM], {}, { mode: 'create' });
+      expect(values).toEqual({ contract_term: 'Annual' });
+      expect(errors).toEqual([{ field: 'round', code: 'REQUIRED', message: 'Round is required' }]);
+    });
+
+    it('rejects unknown keys', () => {
+      const { errors } = validateCustomFieldValues([CHECK], { check_size: 10, nope: 1 });
+      expect(errors.map(e => e.code)).toEqual(['UNKNOWN_FIELD']);
+    });
+
+    it('merges provided keys over stored values on update', () => {
+      const { values, errors } = validateCustomFieldValues(
+        [ROUND, CHECK],
+        { check_size: '500' },
+        { mode: 'update', existing: { round: 'Seed', archived_key: 'kept' } }
+      );
+      expect(errors).toEqual([]);
+      expect(values).toEqual({ round: 'Seed', check_size: 500, archived_key: 'kept' });
+    });
+
+    it('does not let an update clear a required field', () => {
+      const { errors } = validateCustomFieldValues([ROUND], { round: null }, { mode: 'update', existing: { round: 'Seed' } });
+      expect(errors[0].code).toBe('REQUIRED');
+    });
+  });
+
+  describe('validateCustomFieldDefinition', () => {
+    it('requires options for select fields and a valid default', () => {
+      expect(validateCustomFieldDefinition({ key: 'tier', label: 'Tier', type: 'select' }).errors[0]).toMatch(/option/);
+      expect(validateCustomFieldDefinition({
+        key: 'tier', label: 'Tier', type: 'select', options: ['Gold'], defaultValue: 'Silver',
+      }).errors[0]).toMatch(/defaultValue/);
+      expect(validateCustomFieldDefinition({ key: 'Bad Key', label: 'x', type: 'text' }).errors[0]).toMatch(/key/);
+    });
+  });
+
+  it('matches dashboard filters per type', () => {
+    const deal = { custom_fields: { round: 'Seed', sector: ['SaaS'], check_size: 250000 } };
+    expect(matchesCustomFieldFilter(deal, ROUND, { value: 'Seed' })).toBe(true);
+    expect(matchesCustomFieldFilter(deal, SECTOR, { value: 'Fintech' })).toBe(false);
+    expect(matchesCustomFieldFilter(deal, CHECK, { min: '100000', max: '' })).toBe(true);
+    expect(matchesCustomFieldFilter({ custom_fields: {} }, CHECK, { min: '1' })).toBe(false);
+    expect(matchesCustomFieldFilter(deal, CHECK, {})).toBe(true);
+  });
+
+  it('provides template defaults with a fallback', () => {
+    expect(getTemplateCustomFields('vc_pe').map(f => f.key)).toContain('check_size');
+    expect(getTemplateCustomFields('unknown')).toEqual([]);
+  });
+});
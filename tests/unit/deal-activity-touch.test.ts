@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { getDealFollowupStatus } from '../../netlify/functions/lib/revops-metrics';
+import { checkDealStagnation } from '../../src/utils/aiConfidence';
+
+const NOW = new Date('2025-06-30T12:00:00.000Z');
+const daysAgo = (days: number, from: Date = new Date()) =>
+  new Date(from.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('Logged activities drive follow-up and stagnation', () => {
+  it('follow-up status uses the last touch rather than the last edit', () => {
+    const deal = {
+      id: 'deal-1',
+      stage: 'proposal_sent',
+      last_activity: daysAgo(1, NOW), // edited yesterday
+      last_touch_at: daysAgo(12, NOW), // last real touch 12 days ago
+    };
+
+    const status = getDealFollowupStatus(deal, NOW);
+    expect(status.daysSinceActivity).toBe(12);
+    expect(status.status).toBe('red');
+  });
+
+  it('falls back to last_activity when no activity has been logged', () => {
+    const status = getDealFollowupStatus({ id: 'deal-2', stage: 'proposal_sent', last_activity: daysAgo(2, NOW) }, NOW);
+    expect(status.daysSinceActivity).toBe(2);
+    expect(status.status).toBe('green');
+  });
+
+  it('a recent touch resets stagnation for an old deal', () => {
+    const untouched = checkDealStagnation({ stage: 'lead_captured', created: daysAgo(60) });
+    const touched = checkDealStagnation({ stage: 'lead_captured', created: daysAgo(60), last_touch_at: daysAgo(1) });
+
+    expect(untouched.isStagnant).toBe(true);
+    expect(touched.isStagnant).toBe(false);
+    expect(touched.dealAge).toBe(60);
+    expect(touched.daysIdle).toBe(1);
+  });
+});
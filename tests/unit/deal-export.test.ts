@@ -0,0 +1,160 @@
+import { describe, it, expect } from 'vitest';
+import { inflateRawSync } from 'node:zlib';
+import {
+  parseExportRequest,
+  toExportRecord,
+  buildExportColumns,
+  writeExport,
+  csvCell,
+  type ExportContext,
+  type ExportRecord,
+} from '../../netlify/functions/lib/deal-export';
+import { crc32 } from '../../netlify/functions/lib/xlsx-writer';
+
+const DEAL_ID = '11111111-1111-4111-8111-111111111111';
+const USER_ID = '22222222-2222-4222-8222-222222222222';
+
+const buildContext = (): ExportContext => ({
+  supabase: null,
+  organizationId: 'org-1',
+  customFields: [
+    { key: 'round', label: 'Round', type: 'select', required: false, options: ['Seed'], defaultValue: null },
+    { key: 'sector', label: 'Sector', type: 'multi_select', required: false, options: [], defaultValue: null },
+  ],
+  stageNames: new Map([['lead_captured', 'Lead Captured'], ['deal_lost', 'Lost']]),
+  pipelineNames: new Map([['pipe-1', 'Enterprise']]),
+  defaultPipelineName: 'Sales',
+  userNames: new Map([[USER_ID, 'Ada Lovelace']]),
+});
+
+const DEAL = {
+  id: DEAL_ID,
+  client: '=HYPERLINK("x")',
+  email: 'ada@acme.com',
+  phone: '+1 555 0100',
+  value: 5000,
+  stage: 'deal_lost',
+  status: 'lost',
+  pipeline_id: null,
+  assigned_to: USER_ID,
+  created: '2025-01-01T00:00:00Z',
+  outcome_reason_category: 'price',
+  outcome_notes: 'Too expensive, for now',
+  outcome_recorded_at: '2025-01-05T00:00:00Z',
+  custom_fields: { round: 'Seed', sector: ['SaaS', 'Fintech'] },
+};
+
+const HISTORY = [
+  { previous_stage: null, new_stage: 'lead_captured', changed_at: '2025-01-01T00:00:00Z', changed_by: USER_ID },
+  { previous_stage: 'lead_captured', new_stage: 'deal_lost', changed_at: '2025-01-05T00:00:00Z', changed_by: null },
+];
+
+async function* pagesOf(records: ExportRecord[]) {
+  yield records;
+}
+
+const collect = async (chunks: AsyncIterable<Uint8Array>) => {
+  const parts: Uint8Array[] = [];
+  for await (const chunk of chunks) parts.push(chunk);
+  return Buffer.concat(parts);
+};
+
+// Read entries back through the central directory
+const unzip = (zip: Buffer) => {
+  const eocd = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = zip.readUInt16LE(eocd + 10);
+  let offset = zip.readUInt32LE(eocd + 16);
+  const files = new Map<string, string>();
+
+  for (let i = 0; i < count; i++) {
+    const crc = zip.readUInt32LE(offset + 16);
+    const compressedSize = zip.readUInt32LE(offset + 20);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const localOffset = zip.readUInt32LE(offset + 42);
+    const name = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const start = localOffset + 30 + zip.readUInt16LE(localOffset + 26) + zip.readUInt16LE(localOffset + 28);
+    const data = inflateRawSync(zip.subarray(start, start + compressedSize));
+
+    expect(crc32(data)).toBe(crc);
+    files.set(name, data.toString('utf8'));
+    offset += 46 + nameLength;
+  }
+  return files;
+};
+
+describe('Deal export', () => {
+  it('validates format, scope and view deal ids', () => {
+    expect(parseExportRequest({}).request).toMatchObject({ format: 'csv', scope: 'all', dealIds: [] });
+    expect(parseExportRequest({ format: 'pdf' }).error).toMatch(/format must be one of/);
+    expect(parseExportRequest({ scope: 'view' }).error).toMatch(/dealIds is required/);
+    expect(parseExportRequest({ scope: 'view', dealIds: ['nope'] }).error).toMatch(/UUIDs/);
+    expect(parseExportRequest({ scope: 'view', dealIds: [DEAL_ID, DEAL_ID], stageNames: { a: ' A ', b: 3 } }).request)
+      .toMatchObject({ dealIds: [DEAL_ID], stageNames: { a: 'A' } });
+  });
+
+  it('builds records with names, outcome fields and stage history', () => {
+    const record = toExportRecord(DEAL, HISTORY, buildContext());
+
+    expect(record.pipeline).toEqual({ id: null, name: 'Sales' });
+    expect(record.stage).toEqual({ id: 'deal_lost', name: 'Lost' });
+    expect(record.assignee).toEqual({ id: USER_ID, name: 'Ada Lovelace' });
+    expect(record.stage_entered_at).toBe('2025-01-05T00:00:00Z');
+    expect(record.outcome).toMatchObject({ reason_category: 'price', recorded_at: '2025-01-05T00:00:00Z' });
+    expect(record.stage_history).toEqual([
+      { from: null, to: 'Lead Captured', changed_at: '2025-01-01T00:00:00Z', changed_by: 'Ada Lovelace' },
+      { from: 'Lead Captured', to: 'Lost', changed_at: '2025-01-05T00:00:00Z', changed_by: null },
+    ]);
+    expect(toExportRecord({ ...DEAL, stage: 'proposal_sent' }, [], buildContext()).stage.name).toBe('Proposal Sent');
+  });
+
+  it('neutralizes spreadsheet formulas in CSV cells', () => {
+    expect(csvCell('=SUM(A1)')).toBe("'=SUM(A1)");
+    expect(csvCell('@cmd')).toBe("'@cmd");
+    expect(csvCell('+1 555 0100')).toBe('+1 555 0100');
+    expect(csvCell(-42)).toBe('-42');
+    expect(csvCell('a "b", c')).toBe('"a ""b"", c"');
+  });
+
+  it('writes CSV with a header row and custom field columns', async () => {
+    const ctx = buildContext();
+    const columns = buildExportColumns(ctx.customFields);
+    const csv = (await collect(writeExport('csv', pagesOf([toExportRecord(DEAL, HISTORY, ctx)]), columns))).toString('utf8');
+    const [header, row] = csv.replace(/^\uFEFF/, '').split('\r\n');
+
+    expect(header.split(',').slice(-2)).toEqual(['Round', 'Sector']);
+    expect(row).toContain(`${DEAL_ID},"'=HYPERLINK(""x"")",ada@acme.com,+1 555 0100,5000,Sales,Lost,lost,Ada Lovelace`);
+    expect(row).toContain('"Too expensive, for now"');
+    expect(row.endsWith(',Seed,SaaS; Fintech')).toBe(true);
+  });
+
+  it('writes a JSON array, including when empty', async () => {
+    const ctx = buildContext();
+    const output = await collect(writeExport('json', pagesOf([toExportRecord(DEAL, HISTORY, ctx)]), []));
+    const [record] = JSON.parse(output.toString('utf8'));
+
+    expect(record.custom_fields).toEqual(DEAL.custom_fields);
+    expect(record.stage_history).toHaveLength(2);
+    expect(JSON.parse((await collect(writeExport('json', pagesOf([]), []))).toString('utf8'))).toEqual([]);
+  });
+
+  it('writes an XLSX workbook with inline strings and numeric cells', async () => {
+    const ctx = buildContext();
+    const columns = buildExportColumns(ctx.customFields);
+    const files = unzip(await collect(writeExport('xlsx', pagesOf([toExportRecord(DEAL, HISTORY, ctx)]), columns)));
+
+    expect([...files.keys()]).toEqual([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'xl/workbook.xml',
+      'xl/_rels/workbook.xml.rels',
+      'xl/worksheets/sheet1.xml',
+    ]);
+    expect(files.get('xl/workbook.xml')).toContain('<sheet name="Deals"');
+
+    const sheet = files.get('xl/worksheets/sheet1.xml')!;
+    expect(sheet).toContain('<row r="1"><c t="inlineStr"><is><t xml:space="preserve">Deal ID</t></is></c>');
+    expect(sheet).toContain('<c t="inlineStr"><is><t xml:space="preserve">=HYPERLINK(&quot;x&quot;)</t></is></c>');
+    expect(sheet).toContain('<c><v>5000</v></c>');
+    expect(sheet).toMatch(/<\/row><\/sheetData><\/worksheet>$/);
+  });
+});
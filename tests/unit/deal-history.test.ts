@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { buildChangeSnapshots } from '../../netlify/functions/lib/deal-history';
+
+describe('Deal change history', () => {
+  it('records only tracked fields that changed', () => {
+    const before = { stage: 'lead_captured', value: '1000', notes: 'Intro call', client: 'Acme' };
+    const after = { stage: 'proposal_sent', value: 1000, notes: 'Intro call', client: 'Acme Inc' };
+
+    expect(buildChangeSnapshots(before, after)).toEqual({
+      previous: { stage: 'lead_captured' },
+      next: { stage: 'proposal_sent' },
+    });
+  });
+
+  it('returns null when nothing tracked changed', () => {
+    expect(buildChangeSnapshots({ notes: '' }, { notes: null })).toBeNull();
+  });
+
+  it('compares partial snapshots field by field', () => {
+    const result = buildChangeSnapshots({ assigned_to: null }, { assigned_to: 'user-2', stage: 'lead_captured' });
+    expect(result).toEqual({ previous: { assigned_to: null }, next: { assigned_to: 'user-2' } });
+  });
+
+  it('records set fields for a new deal', () => {
+    const result = buildChangeSnapshots(null, { stage: 'lead_captured', value: 500, assigned_to: null });
+    expect(result?.next).toEqual({ stage: 'lead_captured', value: 500 });
+  });
+});
@@ -0,0 +1,158 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseCSV,
+  guessColumnMapping,
+  buildStageMapping,
+  mapImportRow,
+  planImportRow,
+  buildErrorReportCSV,
+} from '../../src/config/dealImport';
+import { evaluateImportRows, type ImportContext } from '../../netlify/functions/lib/deal-import';
+
+const STAGES = [
+  { id: 'lead_captured', name: 'Lead Captured' },
+  { id: 'proposal_sent', name: 'Proposal Sent' },
+  { id: 'deal_won', name: 'Deal Won' },
+];
+const STAGE_IDS = STAGES.map(stage => stage.id);
+
+const buildContext = (overrides: Partial<ImportContext> = {}): ImportContext => ({
+  supabase: null,
+  organizationId: 'org-1',
+  userId: 'user-1',
+  jobId: null,
+  options: {
+    mapping: { client: 'Company', email: 'Email', stage: 'Stage', 'custom:round': 'Round' },
+    stageMapping: { Won: 'deal_won' },
+    stageIds: STAGE_IDS,
+    defaultStage: 'lead_captured',
+    duplicateStrategy: 'update',
+    dedupeBy: 'email',
+  },
+  customFieldDefinitions: [
+    { key: 'round', label: 'Round', type: 'select', required: false, options: ['Seed', 'Series A'], defaultValue: null },
+  ],
+  stageDefinitions: {},
+  index: new Map([['ada@acme.com', { dealId: 'deal-1', row: null }]]),
+  ...overrides,
+});
+
+describe('Deal import', () => {
+  describe('parseCSV', () => {
+    it('handles quotes, escaped quotes, embedded newlines, CRLF and a BOM', () => {
+      const { headers, rows } = parseCSV('\uFEFFName,Notes\r\n"Acme, Inc","Said ""hi""\nthen left"\r\n\r\nGlobex,\n');
+      expect(headers).toEqual(['Name', 'Notes']);
+      expect(rows).toEqual([
+        { Name: 'Acme, Inc', Notes: 'Said "hi"\nthen left' },
+        { Name: 'Globex', Notes: '' },
+      ]);
+    });
+
+    it('names blank and repeated headers so every column can be mapped', () => {
+      expect(parseCSV('Email,,Email\na,b,c').headers).toEqual(['Email', 'Column 2', 'Email (2)']);
+    });
+  });
+
+  it('guesses column mappings from header names and custom field labels', () => {
+    const mapping = guessColumnMapping(
+      ['Company Name', 'E-mail', 'Amount', 'Deal Stage', 'Funding Round'],
+      [{ key: 'round', label: 'Funding Round' }]
+    );
+    expect(mapping).toEqual({
+      client: 'Company Name',
+      email: 'E-mail',
+      value: 'Amount',
+      stage: 'Deal Stage',
+      'custom:round': 'Funding Round',
+    });
+  });
+
+  it('matches stage values to pipeline stages by id or name', () => {
+    expect(buildStageMapping(['Proposal Sent', 'lead_captured', 'Quote', ''], STAGES)).toEqual({
+      'Proposal Sent': 'proposal_sent',
+      lead_captured: 'lead_captured',
+      Quote: null,
+    });
+  });
+
+  describe('mapImportRow', () => {
+    const mapping = { client: 'Company', value: 'Amount', stage: 'Stage', expected_close_date: 'Close' };
+
+    it('maps stages from any pipeline template and coerces values', () => {
+      const { deal, errors } = mapImportRow(
+        { Company: ' Acme ', Amount: '$50,000.00', Stage: 'Proposal Sent', Close: '2025-03-31' },
+        { mapping, stageIds: STAGE_IDS }
+      );
+      expect(errors).toEqual([]);
+      expect(deal).toEqual({ client: 'Acme', value: 50000, stage: 'proposal_sent', expected_close_date: '2025-03-31' });
+    });
+
+    it('rejects stages outside the target pipeline unless mapped, and uses the default stage', () => {
+      const row = { Company: 'Acme', Stage: 'Quote' };
+      expect(mapImportRow(row, { mapping, stageIds: STAGE_IDS }).errors[0]).toMatch(/Unknown stage "Quote"/);
+      expect(mapImportRow(row, { mapping, stageIds: STAGE_IDS, stageMapping: { Quote: 'proposal_sent' } }).deal.stage)
+        .toBe('proposal_sent');
+      expect(mapImportRow({ Company: 'Acme' }, { mapping, defaultStage: 'lead_captured' }).deal.stage).toBe('lead_captured');
+      expect(mapImportRow({ Company: '', Amount: '-5' }, { mapping }).errors).toEqual([
+        'Client name is required',
+        'Deal value must be a positive number',
+      ]);
+    });
+  });
+
+  it('plans existing matches and in-file repeats by duplicate key', () => {
+    const index = new Map([['ada@acme.com', { dealId: 'deal-1', row: null }]]);
+    const options = { duplicateStrategy: 'skip', dedupeBy: 'email' };
+
+    expect(planImportRow({ email: 'ADA@acme.com' }, 1, index, options)).toMatchObject({ action: 'skip', dealId: 'deal-1' });
+    expect(planImportRow({ email: 'ada@acme.com' }, 2, index, { ...options, duplicateStrategy: 'update' }))
+      .toEqual({ action: 'update', dealId: 'deal-1' });
+    expect(planImportRow({ email: 'bob@acme.com' }, 3, index, options)).toEqual({ action: 'create' });
+    expect(planImportRow({ email: 'bob@acme.com' }, 4, index, options)).toEqual({ action: 'skip', reason: 'Duplicate of row 3' });
+    expect(planImportRow({ email: 'bob@acme.com' }, 5, index, { ...options, duplicateStrategy: 'create' })).toEqual({ action: 'create' });
+  });
+
+  describe('evaluateImportRows', () => {
+    it('creates with the default stage, updates without one, and derives status from the stage', () => {
+      const results = evaluateImportRows([
+        { row: 1, data: { Company: 'Acme', Email: 'ada@acme.com', Round: 'Seed' } },
+        { row: 2, data: { Company: 'Globex', Email: 'hank@globex.com', Stage: 'Won' } },
+        { row: 3, data: { Company: 'Initech', Email: 'bill@initech.com' } },
+      ], buildContext());
+
+      expect(results[0]).toEqual({
+        row: 1,
+        action: 'update',
+        dealId: 'deal-1',
+        deal: { client: 'Acme', email: 'ada@acme.com', custom_fields: { round: 'Seed' } },
+      });
+      expect(results[1]).toMatchObject({ action: 'create', deal: { stage: 'deal_won', status: 'won', custom_fields: {} } });
+      expect(results[2]).toMatchObject({ action: 'create', deal: { stage: 'lead_captured', status: 'active' } });
+    });
+
+    it('reports custom field errors without blocking a later row with the same key', () => {
+      const ctx = buildContext();
+      const results = evaluateImportRows([
+        { row: 1, data: { Company: 'Globex', Email: 'hank@globex.com', Round: 'Series Z' } },
+        { row: 2, data: { Company: 'Globex', Email: 'hank@globex.com', Round: 'Series A' } },
+      ], ctx);
+
+      expect(results[0].action).toBe('error');
+      expect(results[0].errors?.[0]).toMatch(/Round/);
+      expect(results[1].action).toBe('create');
+    });
+  });
+
+  it('builds an error report with the source columns', () => {
+    const csv = buildErrorReportCSV(
+      [{ row: 2, errors: ['Invalid email format', 'Bad value'] }, { row: 3, errors: ['Duplicate of row 1'], skipped: true }],
+      [{ Name: 'A' }, { Name: 'B, Inc' }, { Name: 'C' }],
+      ['Name']
+    );
+    expect(csv.split('\n')).toEqual([
+      'Row,Result,Errors,Name',
+      '2,failed,Invalid email format; Bad value,"B, Inc"',
+      '3,skipped,Duplicate of row 1,C',
+    ]);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseDealPath,
+  parseDealQuery,
+  parseFields,
+  encodeCursor,
+  decodeCursor,
+  projectFields,
+  applyDealFilters,
+  buildLinkHeader,
+  DealQueryError,
+  DEFAULT_PAGE_SIZE,
+} from '../../netlify/functions/lib/deal-query';
+
+const DEAL_ID = '3f1c2b4a-9d8e-4f7a-b6c5-1a2b3c4d5e6f';
+
+describe('Deal API v1 query parsing', () => {
+  describe('parseDealPath', () => {
+    it('parses legacy and v1 collection paths without a deal id', () => {
+      expect(parseDealPath('/api/deals')).toEqual({ version: 'legacy', dealId: null });
+      expect(parseDealPath('/api/v1/deals/')).toEqual({ version: 'v1', dealId: null });
+    });
+
+    it('extracts the deal id', () => {
+      expect(parseDealPath(`/api/deals/${DEAL_ID}`)).toEqual({ version: 'legacy', dealId: DEAL_ID });
+      expect(parseDealPath(`/api/v1/deals/${DEAL_ID}`)).toEqual({ version: 'v1', dealId: DEAL_ID });
+    });
+  });
+
+  describe('parseDealQuery', () => {
+    it('applies defaults when no params are given', () => {
+      const query = parseDealQuery(new URLSearchParams());
+      expect(query.limit).toBe(DEFAULT_PAGE_SIZE);
+      expect(query.cursor).toBeNull();
+      expect(query.select).toBe('*');
+    });
+
+    it('parses list, range and date filters', () => {
+      const query = parseDealQuery(new URLSearchParams(
+        'stage=lead_captured,proposal_sent&status=active&assigned_to=unassigned&min_value=100&updated_since=2025-01-01'
+      ));
+      expect(query.filters.stage).toEqual(['lead_captured', 'proposal_sent']);
+      expect(query.filters.status).toEqual(['active']);
+      expect(query.filters.assignedTo).toBeNull();
+      expect(query.filters.minValue).toBe(100);
+      expect(query.filters.updatedSince).toBe('2025-01-01T00:00:00.000Z');
+    });
+
+    it('rejects statuses outside DealSchema', () => {
+      expect(() => parseDealQuery(new URLSearchParams('status=pending'))).toThrow(DealQueryError);
+    });
+
+    it('rejects out-of-range limits', () => {
+      expect(() => parseDealQuery(new URLSearchParams('limit=0'))).toThrow(/limit/);
+      expect(() => parseDealQuery(new URLSearchParams('limit=201'))).toThrow(/limit/);
+    });
+
+    it('rejects an inverted value range', () => {
+      expect(() => parseDealQuery(new URLSearchParams('min_value=10&max_value=5'))).toThrow(/min_value/);
+    });
+
+    it('collects cf.<key> custom field filters', () => {
+      const query = parseDealQuery(new URLSearchParams('cf.round=Seed&cf.Bad-Key=x&cf.seats='));
+      expect(query.filters.customFields).toEqual({ round: 'Seed' });
+    });
+  });
+
+  describe('cursors', () => {
+    it('round-trips a cursor', () => {
+      const cursor = { created: '2025-06-01T12:00:00.000Z', id: DEAL_ID };
+      expect(decodeCursor(encodeCursor(cursor))).toEqual(cursor);
+    });
+
+    it('rejects a tampered cursor', () => {
+      expect(() => decodeCursor('not-a-cursor')).toThrow(DealQueryError);
+    });
+  });
+
+  describe('sparse fieldsets', () => {
+    it('always selects id and created for pagination', () => {
+      expect(parseFields('client,value').select).toBe('id,created,client,value');
+    });
+
+    it('rejects unknown fields', () => {
+      expect(() => parseFields('client,password')).toThrow(/password/);
+    });
+
+    it('only accepts real deal columns', () => {
+      expect(parseFields('expected_close_date').select).toBe('id,created,expected_close_date');
+      expect(() => parseFields('expected_close')).toThrow(/expected_close/);
+    });
+
+    it('drops implicit columns from the response', () => {
+      const rows = [{ id: DEAL_ID, created: '2025-01-01', client: 'Acme' }];
+      expect(projectFields(rows, ['client'])).toEqual([{ id: DEAL_ID, client: 'Acme' }]);
+    });
+  });
+
+  describe('applyDealFilters', () => {
+    const recordCalls = () => {
+      const calls: unknown[][] = [];
+      const builder: any = new Proxy({}, {
+        get: (_target, method: string) => (...args: unknown[]) => {
+          calls.push([method, ...args]);
+          return builder;
+        },
+      });
+      return { builder, calls };
+    };
+
+    it('matches email and client exactly, escaping LIKE wildcards', () => {
+      const { builder, calls } = recordCalls();
+      applyDealFilters(builder, { email: 'a_b@example.com', client: '100%\\' });
+      expect(calls).toEqual([
+        ['ilike', 'email', 'a\\_b@example.com'],
+        ['ilike', 'client', '100\\%\\\\'],
+      ]);
+    });
+  });
+
+  describe('buildLinkHeader', () => {
+    it('includes next only when there is another page', () => {
+      const url = 'https://example.com/api/v1/deals?limit=10&cursor=abc';
+      expect(buildLinkHeader(url, null)).toBe('<https://example.com/api/v1/deals?limit=10>; rel="first"');
+      expect(buildLinkHeader(url, 'xyz')).toContain('cursor=xyz>; rel="next"');
+    });
+  });
+});
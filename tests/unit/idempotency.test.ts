@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getIdempotencyKey,
+  hashRequestBody,
+  beginIdempotentRequest,
+  IdempotencyError,
+} from '../../netlify/functions/lib/idempotency';
+
+const requestWithKey = (key?: string) =>
+  new Request('https://example.com/.netlify/functions/create-deal', {
+    method: 'POST',
+    headers: key ? { 'Idempotency-Key': key } : {},
+  });
+
+/**
+ * Minimal stand-in for the supabase query builder: insert always hits the
+ * unique constraint and select returns the given stored row.
+ */
+const supabaseWithExistingRow = (row: Record<string, unknown>) => {
+  const builder: any = {
+    insert: () => builder,
+    select: () => builder,
+    eq: () => builder,
+    single: async () => ({ data: null, error: { code: '23505' } }),
+    maybeSingle: async () => ({ data: row, error: null }),
+  };
+  return { from: () => builder };
+};
+
+describe('Idempotency keys', () => {
+  it('accepts UUIDs and rejects malformed keys', () => {
+    expect(getIdempotencyKey(requestWithKey('0d6b1c9e-2f1a-4a7e-9a55-5b7c7e3b1f20'))).toBe('0d6b1c9e-2f1a-4a7e-9a55-5b7c7e3b1f20');
+    expect(getIdempotencyKey(requestWithKey())).toBeNull();
+    expect(() => getIdempotencyKey(requestWithKey('short'))).toThrow(IdempotencyError);
+  });
+
+  it('hashes bodies independently of key order', () => {
+    expect(hashRequestBody({ a: 1, b: { c: 2, d: 3 } })).toBe(hashRequestBody({ b: { d: 3, c: 2 }, a: 1 }));
+    expect(hashRequestBody({ a: 1 })).not.toBe(hashRequestBody({ a: 2 }));
+  });
+
+  it('is a no-op when no key is sent', async () => {
+    const result = await beginIdempotentRequest({}, requestWithKey(), { scope: 'org', endpoint: 'create-deal', body: {} });
+    expect(result).toEqual({ record: null, replay: null });
+  });
+
+  it('replays a completed response for the same body', async () => {
+    const body = { dealData: { client: 'Acme' }, organizationId: 'org' };
+    const supabase = supabaseWithExistingRow({
+      id: 'row-1',
+      request_hash: hashRequestBody(body),
+      status: 'completed',
+      response_status: 200,
+      response_body: { success: true, deal: { id: 'deal-1' } },
+      locked_at: new Date().toISOString(),
+      expires_at: new Date(Date.now() + 60_000).toISOString(),
+    });
+
+    const { replay } = await beginIdempotentRequest(supabase, requestWithKey('key-12345678'), {
+      scope: 'org', endpoint: 'create-deal', body,
+    });
+
+    expect(replay?.status).toBe(200);
+    expect(replay?.headers.get('Idempotent-Replayed')).toBe('true');
+    expect(await replay?.json()).toEqual({ success: true, deal: { id: 'deal-1' } });
+  });
+
+  it('rejects a key reused with a different body', async () => {
+    const supabase = supabaseWithExistingRow({
+      id: 'row-1',
+      request_hash: hashRequestBody({ other: true }),
+      status: 'completed',
+      locked_at: new Date().toISOString(),
+      expires_at: new Date(Date.now() + 60_000).toISOString(),
+    });
+
+    const { replay } = await beginIdempotentRequest(supabase, requestWithKey('key-12345678'), {
+      scope: 'org', endpoint: 'create-deal', body: { client: 'Acme' },
+    });
+
+    expect(replay?.status).toBe(422);
+    expect((await replay?.json()).code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+});
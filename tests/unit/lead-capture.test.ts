@@ -0,0 +1,175 @@
+import { describe, it, expect } from 'vitest';
+import {
+  flattenPayload,
+  mapCapturedLead,
+  guessCaptureMapping,
+  validateCaptureEndpoint,
+} from '../../src/config/leadCapture';
+import {
+  readCapturePayload,
+  captureLead,
+  captureThrottleBuckets,
+  CapturePayloadError,
+  type CaptureEndpoint,
+} from '../../netlify/functions/lib/lead-capture';
+
+const ENDPOINT: CaptureEndpoint = {
+  id: 'endpoint-1',
+  organization_id: 'org-1',
+  name: 'Website form',
+  field_mapping: { client: 'company', email: 'contact.email', value: 'budget', stage: 'stage', status: 'status' },
+  stage: 'lead_captured',
+  pipeline_id: 'pipeline-1',
+  assignment_mode: 'round_robin',
+  assign_to: null,
+  created_by: 'owner-1',
+  is_active: true,
+};
+
+const post = (body: string, contentType?: string) => new Request('https://app.test/api/v1/capture/lc_x', {
+  method: 'POST',
+  body,
+  headers: contentType ? { 'content-type': contentType } : {},
+});
+
+// Chainable query stub: inserts are recorded, round-robin assigns user-2
+const fakeSupabase = () => {
+  const inserts: Record<string, any[]> = {};
+  const rpcCalls: any[] = [];
+  let created: any = null;
+  let assignedTo: string | null = null;
+
+  const table = (name: string) => {
+    const query: any = {
+      insert: (value: any) => {
+        (inserts[name] ||= []).push(value);
+        if (name === 'deals') created = { id: 'deal-1', ...value };
+        return query;
+      },
+      single: async () => ({ data: name === 'deals' ? { ...created, assigned_to: assignedTo ?? created.assigned_to } : null, error: null }),
+      maybeSingle: async () => ({ data: name === 'deals' ? { assigned_to: created?.assigned_to ?? null } : null, error: null }),
+      then: (resolve: any) => resolve({ data: [], error: null }),
+    };
+    ['select', 'eq', 'is', 'in', 'order', 'overlaps', 'limit'].forEach(method => { query[method] = () => query; });
+    return query;
+  };
+
+  const client = {
+    from: table,
+    rpc: async (fn: string, args: any) => {
+      rpcCalls.push({ fn, args });
+      assignedTo = 'user-2';
+      return { data: 'user-2', error: null };
+    },
+  };
+  return { client, inserts, rpcCalls };
+};
+
+describe('Lead capture', () => {
+  it('flattens nested payloads to dotted paths', () => {
+    expect(flattenPayload({
+      name: 'Ada',
+      contact: { email: 'ada@acme.com', phones: ['555 0100', '555 0101'] },
+      items: [{ sku: 'a' }],
+      empty: null,
+      consent: true,
+    })).toEqual({
+      name: 'Ada',
+      'contact.email': 'ada@acme.com',
+      'contact.phones': '555 0100, 555 0101',
+      'items.0.sku': 'a',
+      consent: 'true',
+    });
+  });
+
+  it('maps a payload into the endpoint stage, ignoring mapped stage and status', () => {
+    const { deal, errors } = mapCapturedLead(
+      { company: 'Acme', contact: { email: 'ada@acme.com' }, budget: '$5,000', stage: 'deal_won', status: 'won' },
+      { mapping: ENDPOINT.field_mapping, stage: 'lead_captured' }
+    );
+    expect(errors).toEqual([]);
+    expect(deal).toEqual({ client: 'Acme', email: 'ada@acme.com', value: 5000, stage: 'lead_captured' });
+
+    expect(mapCapturedLead({ contact: { email: 'nope' } }, { mapping: ENDPOINT.field_mapping, stage: 'lead_captured' }).errors)
+      .toEqual(['Client name is required', 'Invalid email format']);
+  });
+
+  it('suggests a mapping from a sample payload', () => {
+    expect(guessCaptureMapping({ company: 'Acme', contact: { email: 'a@b.co' }, stage: 'x' })).toEqual({
+      client: 'company',
+      email: 'contact.email',
+    });
+  });
+
+  it('validates endpoint settings', () => {
+    expect(validateCaptureEndpoint({ name: 'Form', fieldMapping: { client: 'company' }, stage: 'lead', assignmentMode: 'round_robin' })).toEqual([]);
+    expect(validateCaptureEndpoint({ name: ' ', fieldMapping: {}, stage: 'Lead!', assignmentMode: 'fixed' })).toEqual([
+      'Name is required',
+      'Map a payload field to Client Name',
+      'Choose a stage',
+      'Choose the member new leads are assigned to',
+    ]);
+  });
+
+  it('reads JSON, form-encoded and multipart bodies', async () => {
+    expect(await readCapturePayload(post('{"company":"Acme"}', 'application/json'))).toEqual({ company: 'Acme' });
+    expect(await readCapturePayload(post('{"company":"Acme"}'))).toEqual({ company: 'Acme' });
+    expect(await readCapturePayload(post('company=Acme&tags=a&tags=b', 'application/x-www-form-urlencoded')))
+      .toEqual({ company: 'Acme', tags: ['a', 'b'] });
+
+    const form = new FormData();
+    form.append('company', 'Acme');
+    const multipart = new Request('https://app.test/api/v1/capture/lc_x', { method: 'POST', body: form });
+    expect(await readCapturePayload(multipart)).toEqual({ company: 'Acme' });
+  });
+
+  it('rejects malformed, unsupported and oversized bodies', async () => {
+    await expect(readCapturePayload(post('{nope', 'application/json'))).rejects.toMatchObject({ statusCode: 400 });
+    await expect(readCapturePayload(post('[1]', 'application/json'))).rejects.toBeInstanceOf(CapturePayloadError);
+    await expect(readCapturePayload(post('<lead/>', 'application/xml'))).rejects.toMatchObject({ statusCode: 415 });
+    await expect(readCapturePayload(post(`{"notes":"${'x'.repeat(70000)}"}`, 'application/json')))
+      .rejects.toMatchObject({ statusCode: 413 });
+  });
+
+  it('creates the deal in the endpoint stage and assigns it round robin', async () => {
+    const { client, inserts, rpcCalls } = fakeSupabase();
+
+    const result = await captureLead(client, ENDPOINT, { company: 'Acme', contact: { email: 'ada@acme.com' } });
+
+    expect(result.status).toBe('created');
+    expect(inserts.deals[0]).toMatchObject({
+      organization_id: 'org-1',
+      client: 'Acme',
+      stage: 'lead_captured',
+      status: 'active',
+      pipeline_id: 'pipeline-1',
+      assigned_to: 'owner-1',
+    });
+    expect(rpcCalls).toEqual([{ fn: 'assign_deal_round_robin', args: { p_deal_id: 'deal-1', p_organization_id: 'org-1' } }]);
+    expect(result.deal?.assigned_to).toBe('user-2');
+    expect(inserts.audit_log?.[0]).toEqual([expect.objectContaining({
+      actor_type: 'lead_capture',
+      actor_id: 'endpoint-1',
+      action: 'deal.created',
+      entity_id: 'deal-1',
+      summary: 'Acme',
+    })]);
+  });
+
+  it('keeps fixed assignment and rejects invalid leads without writing', async () => {
+    const fixed = fakeSupabase();
+    await captureLead(fixed.client, { ...ENDPOINT, assignment_mode: 'fixed', assign_to: 'user-3' }, { company: 'Acme' });
+    expect(fixed.inserts.deals[0].assigned_to).toBe('user-3');
+    expect(fixed.rpcCalls).toEqual([]);
+
+    const rejected = fakeSupabase();
+    expect(await captureLead(rejected.client, ENDPOINT, { email: 'x' })).toMatchObject({ status: 'rejected' });
+    expect(rejected.inserts.deals).toBeUndefined();
+  });
+
+  it('throttles each endpoint under its own bucket', () => {
+    const buckets = captureThrottleBuckets('endpoint-1');
+    expect(buckets.map(bucket => bucket.bucket)).toEqual(['lead_capture.endpoint-1', 'lead_capture.endpoint-1']);
+    expect(buckets.map(bucket => bucket.windowSeconds)).toEqual([60, 86400]);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getDefaultPipeline,
+  getDealPipelineId,
+  filterDealsByPipeline,
+  validatePipelineStages,
+} from '../../src/config/orgPipelines';
+import { computeRevenueProjectionsByPipeline } from '../../netlify/functions/lib/revenue-engine';
+
+const SALES = { id: 'p-sales', name: 'Sales', is_default: true };
+const RENEWALS = { id: 'p-renewals', name: 'Renewals', is_default: false };
+const PIPELINES = [RENEWALS, SALES];
+
+describe('Organization pipelines', () => {
+  describe('deal membership', () => {
+    it('treats deals without a pipeline as part of the default pipeline', () => {
+      expect(getDefaultPipeline(PIPELINES)).toBe(SALES);
+      expect(getDealPipelineId({ pipeline_id: null }, PIPELINES)).toBe('p-sales');
+      expect(getDealPipelineId({ pipeline_id: 'p-renewals' }, PIPELINES)).toBe('p-renewals');
+      expect(getDefaultPipeline([])).toBeNull();
+    });
+
+    it('filters deals to one pipeline, or returns all without a pipeline id', () => {
+      const deals = [
+        { id: 'a', pipeline_id: null },
+        { id: 'b', pipeline_id: 'p-sales' },
+        { id: 'c', pipeline_id: 'p-renewals' },
+      ];
+      expect(filterDealsByPipeline(deals, 'p-sales', PIPELINES).map(d => d.id)).toEqual(['a', 'b']);
+      expect(filterDealsByPipeline(deals, 'p-renewals', PIPELINES).map(d => d.id)).toEqual(['c']);
+      expect(filterDealsByPipeline(deals, null, PIPELINES)).toHaveLength(3);
+    });
+  });
+
+  describe('validatePipelineStages', () => {
+    it('derives snake_case ids from names and keeps valid colors', () => {
+      const { stages, errors } = validatePipelineStages([
+        { name: 'Up for Renewal', color: '#3A86FF' },
+        { name: 'Renewed', color: 'teal' },
+      ]);
+      expect(errors).toEqual([]);
+      expect(stages).toEqual([
+        { id: 'up_for_renewal', name: 'Up for Renewal', color: '#3A86FF' },
+        { id: 'renewed', name: 'Renewed', color: null },
+      ]);
+    });
+
+    it('rejects empty lists, duplicate ids and invalid ids', () => {
+      expect(validatePipelineStages([]).errors[0]).toMatch(/at least one stage/);
+      expect(validatePipelineStages([{ name: 'Won' }, { name: 'won' }]).errors[0]).toMatch(/duplicate/);
+      expect(validatePipelineStages([{ id: 'Bad-Id', name: 'Bad' }]).errors[0]).toMatch(/snake_case/);
+    });
+  });
+
+  describe('computeRevenueProjectionsByPipeline', () => {
+    const now = new Date('2025-06-15T12:00:00Z');
+    const deals = [
+      { id: '1', value: 1000, stage: 'deal_won', status: 'won', last_activity: '2025-06-10T00:00:00Z', pipeline_id: null },
+      { id: '2', value: 500, stage: 'deal_won', status: 'won', last_activity: '2025-06-11T00:00:00Z', pipeline_id: 'p-renewals' },
+      { id: '3', value: 2000, stage: 'deal_won', status: 'won', last_activity: '2025-06-12T00:00:00Z', pipeline_id: 'archived' },
+    ];
+
+    it('rolls up all pipelines and splits per pipeline', () => {
+      const { all, by_pipeline } = computeRevenueProjectionsByPipeline(deals, { month_goal: 10000 }, PIPELINES, now);
+      const sales = by_pipeline.find(p => p.pipeline_id === 'p-sales')!;
+      const renewals = by_pipeline.find(p => p.pipeline_id === 'p-renewals')!;
+
+      // Unknown pipeline ids count toward the default pipeline
+      expect(sales.deal_count).toBe(2);
+      expect(renewals.deal_count).toBe(1);
+      expect(sales.projection.month_closed + renewals.projection.month_closed).toBe(all.month_closed);
+      // Goals are org-wide, so only the rollup is measured against them
+      expect(all.month_goal).toBe(10000);
+      expect(sales.projection.month_goal).toBeNull();
+    });
+
+    it('returns only the rollup when the org has no pipelines', () => {
+      const { all, by_pipeline } = computeRevenueProjectionsByPipeline(deals, {}, [], now);
+      expect(by_pipeline).toEqual([]);
+      expect(all.month_closed).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateStageDefinition,
+  toStageDefinitionMap,
+  applyStageDefinitions,
+} from '../../src/config/stageDefinitions';
+import { getStatusForStage } from '../../shared/stageStatusMap';
+import {
+  getStatusForStage as feGetStatusForStage,
+  isWonStage,
+} from '../../src/config/pipelineTemplates';
+import { getStagnationThreshold } from '../../src/config/pipelineConfig';
+import { getWinProbability, computeRevenueProjections } from '../../netlify/functions/lib/revenue-engine';
+import { getStageRules, getDealFollowupStatus } from '../../netlify/functions/lib/revops-metrics';
+
+const DEFINITIONS = toStageDefinitionMap([
+  { stage_id: 'invoice_sent', outcome: 'none', win_probability: 0.9 },
+  { stage_id: 'churned', outcome: 'lost' },
+  { stage_id: 'proposal_sent', label: 'Quote Out', color: '#123456', stagnation_days: 3, followup_gap_days: 2 },
+]);
+
+describe('Stage definitions', () => {
+  describe('validateStageDefinition', () => {
+    it('maps editor input to row fields, blanks meaning default', () => {
+      const { definition, errors } = validateStageDefinition({
+        stageId: 'proposal_sent',
+        label: '  Quote Out ',
+        winProbability: 0.55,
+        stagnationDays: '10',
+        followupGapDays: '',
+        outcome: 'none',
+      });
+      expect(errors).toEqual([]);
+      expect(definition).toEqual({
+        stage_id: 'proposal_sent',
+        label: 'Quote Out',
+        color: null,
+        win_probability: 0.55,
+        stagnation_days: 10,
+        followup_gap_days: null,
+        outcome: 'none',
+      });
+    });
+
+    it('rejects out-of-range values', () => {
+      expect(validateStageDefinition({ stageId: 'Bad-Id' }).errors[0]).toMatch(/snake_case/);
+      const { definition, errors } = validateStageDefinition({
+        stageId: 'lead',
+        color: 'teal',
+        winProbability: 1.5,
+        stagnationDays: 0,
+        outcome: 'maybe',
+      });
+      expect(definition).toBeNull();
+      expect(errors).toHaveLength(4);
+    });
+  });
+
+  describe('outcome', () => {
+    it('stored outcomes override the built-in sets on both sides', () => {
+      // invoice_sent is a built-in won stage
+      expect(getStatusForStage('invoice_sent')).toBe('won');
+      expect(getStatusForStage('invoice_sent', DEFINITIONS)).toBe('active');
+      expect(feGetStatusForStage('invoice_sent', DEFINITIONS)).toBe('active');
+      expect(getStatusForStage('churned', DEFINITIONS)).toBe('lost');
+      expect(feGetStatusForStage('churned', DEFINITIONS)).toBe('lost');
+      expect(isWonStage('invoice_sent', DEFINITIONS)).toBe(false);
+      expect(isWonStage('deal_won', DEFINITIONS)).toBe(true);
+    });
+  });
+
+  describe('thresholds and probabilities', () => {
+    it('prefers stored values and falls back to the built-in tables', () => {
+      expect(getStagnationThreshold('proposal_sent', DEFINITIONS)).toBe(3);
+      expect(getStagnationThreshold('proposal_sent')).toBeGreaterThan(3);
+
+      expect(getWinProbability('invoice_sent', null, DEFINITIONS)).toBe(0.9);
+      expect(getWinProbability('invoice_sent', null)).toBe(0.85);
+      // A deal's own confidence still wins
+      expect(getWinProbability('invoice_sent', 40, DEFINITIONS)).toBe(0.4);
+
+      expect(getStageRules('proposal_sent', DEFINITIONS)).toEqual({ maxGapDays: 2, warningMultiplier: 1.5 });
+      expect(getStageRules('proposal_sent').maxGapDays).toBe(7);
+    });
+
+    it('feeds stored values into follow-up health and revenue projections', () => {
+      const now = new Date('2025-06-15T12:00:00Z');
+      const deal = { id: 'd1', client: 'Acme', value: 1000, stage: 'proposal_sent', status: 'active', last_touch_at: '2025-06-11T12:00:00Z' };
+      expect(getDealFollowupStatus(deal, now).isOverdue).toBe(false);
+      expect(getDealFollowupStatus(deal, now, DEFINITIONS).isOverdue).toBe(true);
+
+      const invoiceDeal = { id: 'd2', value: 1000, stage: 'invoice_sent', status: 'active', expected_close_date: '2025-06-20' };
+      expect(computeRevenueProjections([invoiceDeal], {}, now).month_pipeline).toBe(850);
+      expect(computeRevenueProjections([invoiceDeal], {}, now, DEFINITIONS).month_pipeline).toBe(900);
+    });
+  });
+
+  it('applies stored labels and colors to board stages', () => {
+    const stages = [
+      { id: 'proposal_sent', name: 'Proposal Sent', color: '#3A86FF' },
+      { id: 'lead', name: 'Lead', color: '#1ABC9C' },
+    ];
+    expect(applyStageDefinitions(stages, DEFINITIONS)).toEqual([
+      { id: 'proposal_sent', name: 'Quote Out', color: '#123456' },
+      { id: 'lead', name: 'Lead', color: '#1ABC9C' },
+    ]);
+    expect(applyStageDefinitions(stages, {})).toBe(stages);
+  });
+});
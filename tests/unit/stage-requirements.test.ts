@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateStageRequirements,
+  mergeStageChecklist,
+  getUnmetStageRequirements,
+} from '../../src/config/stageRequirements';
+import { toStageDefinitionMap } from '../../src/config/stageDefinitions';
+
+const DEFINITIONS = toStageDefinitionMap([
+  {
+    stage_id: 'proposal_sent',
+    required_fields: ['value', 'custom:decision_maker'],
+    checklist: [{ id: 'budget_confirmed', label: 'Budget confirmed' }],
+  },
+  { stage_id: 'contract_signed', required_fields: ['expected_close_date'] },
+  { stage_id: 'lead', label: 'New Lead' },
+]);
+
+const CUSTOM_FIELDS = [{ key: 'decision_maker', label: 'Decision Maker', type: 'text', options: [] }];
+
+describe('Stage requirements', () => {
+  describe('validateStageRequirements', () => {
+    it('normalizes fields and derives checklist ids from labels', () => {
+      const result = validateStageRequirements(
+        ['value', 'custom:decision_maker', 'value'],
+        ['  Budget confirmed ', { id: 'legal_ok', label: 'Legal reviewed' }]
+      );
+      expect(result.errors).toEqual([]);
+      expect(result.required_fields).toEqual(['value', 'custom:decision_maker']);
+      expect(result.checklist).toEqual([
+        { id: 'budget_confirmed', label: 'Budget confirmed' },
+        { id: 'legal_ok', label: 'Legal reviewed' },
+      ]);
+    });
+
+    it('stores empty lists as null and rejects unknown fields and duplicates', () => {
+      expect(validateStageRequirements([], [])).toEqual({ required_fields: null, checklist: null, errors: [] });
+      expect(validateStageRequirements(['client'], null).errors[0]).toMatch(/Unknown required field: client/);
+      expect(validateStageRequirements(null, ['Budget', 'budget']).errors).toHaveLength(1);
+    });
+  });
+
+  describe('getUnmetStageRequirements', () => {
+    it('lists missing fields with labels and unticked checklist items', () => {
+      const deal = { value: 0, custom_fields: {}, stage_checklist: {} };
+      expect(getUnmetStageRequirements(deal, 'proposal_sent', DEFINITIONS, CUSTOM_FIELDS)).toEqual({
+        stage: 'proposal_sent',
+        fields: [
+          { key: 'value', label: 'Deal value', type: 'currency' },
+          { key: 'custom:decision_maker', label: 'Decision Maker', type: 'text' },
+        ],
+        checklist: [{ id: 'budget_confirmed', label: 'Budget confirmed' }],
+      });
+    });
+
+    it('allows the move once requirements are met or when none are set', () => {
+      const deal = {
+        value: 5000,
+        custom_fields: { decision_maker: 'Dana' },
+        stage_checklist: { proposal_sent: ['budget_confirmed'] },
+      };
+      expect(getUnmetStageRequirements(deal, 'proposal_sent', DEFINITIONS)).toBeNull();
+      expect(getUnmetStageRequirements({}, 'lead', DEFINITIONS)).toBeNull();
+      expect(getUnmetStageRequirements({}, 'qualified', DEFINITIONS)).toBeNull();
+      expect(getUnmetStageRequirements({ expected_close_date: '' }, 'contract_signed', DEFINITIONS)?.fields[0].key)
+        .toBe('expected_close_date');
+    });
+  });
+
+  it('merges ticked checklist items per stage', () => {
+    const existing = { qualified: ['intro_call'] };
+    expect(mergeStageChecklist(existing, { proposal_sent: ['budget_confirmed', 'budget_confirmed'] })).toEqual({
+      qualified: ['intro_call'],
+      proposal_sent: ['budget_confirmed'],
+    });
+    expect(mergeStageChecklist(existing, ['budget_confirmed'])).toBeNull();
+    expect(mergeStageChecklist(existing, { proposal_sent: 'budget_confirmed' })).toBeNull();
+  });
+});
@@ -0,0 +1,215 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getInvitationStatus,
+  getInvitationExpiry,
+  getSeatsAvailable,
+  validateInvitation,
+  normalizeInviteEmail,
+} from '../../src/config/teamInvitations';
+import {
+  getInvitableRoles,
+  generateInvitationToken,
+  hashInvitationToken,
+  buildInvitationUrl,
+  getSeatUsage,
+  acceptInvitation,
+  type TeamInvitation,
+} from '../../netlify/functions/lib/team-invitations';
+
+const INVITATION: TeamInvitation = {
+  id: 'invite-1',
+  organization_id: 'org-1',
+  email: 'ada@acme.com',
+  role: 'member',
+  status: 'pending',
+  expires_at: '2099-01-01T00:00:00.000Z',
+  invited_by: 'owner-1',
+  created_at: '2025-01-01T00:00:00.000Z',
+  resent_at: null,
+  resend_count: 0,
+};
+
+// Chainable query stub: counts per table, the user's memberships, whether
+// the invitation can still be claimed, recorded inserts, updates and deletes
+const fakeSupabase = ({
+  counts = {},
+  member = null,
+  memberships = [],
+  organization = null,
+  claimed = { id: 'invite-1' },
+  insertError = null,
+}: {
+  counts?: Record<string, number>;
+  member?: any;
+  memberships?: any[];
+  organization?: any;
+  claimed?: any;
+  insertError?: any;
+} = {}) => {
+  const inserts: Record<string, any[]> = {};
+  const updates: Record<string, any[]> = {};
+  const deletes: string[] = [];
+
+  const table = (name: string) => {
+    let inserting = false;
+    const query: any = {
+      insert: (value: any) => {
+        (inserts[name] ||= []).push(value);
+        inserting = true;
+        return query;
+      },
+      update: (value: any) => {
+        (updates[name] ||= []).push(value);
+        return query;
+      },
+      delete: () => {
+        deletes.push(name);
+        return query;
+      },
+      maybeSingle: async () => ({
+        data: { team_members: member, organizations: organization, team_invitations: claimed }[name] ?? null,
+        error: null,
+      }),
+      then: (resolve: any) => resolve({
+        data: name === 'team_members' ? memberships : [],
+        count: counts[name] ?? 0,
+        error: inserting ? insertError : null,
+      }),
+    };
+    ['select', 'eq', 'gt', 'in', 'order', 'overlaps', 'limit'].forEach(method => { query[method] = () => query; });
+    return query;
+  };
+
+  return { client: { from: table }, inserts, updates, deletes };
+};
+
+describe('Team invitations', () => {
+  it('reports pending invitations past their expiry as expired', () => {
+    const now = new Date('2025-01-10T00:00:00.000Z');
+    expect(getInvitationStatus({ status: 'pending', expires_at: '2025-01-11T00:00:00.000Z' }, now)).toBe('pending');
+    expect(getInvitationStatus({ status: 'pending', expires_at: '2025-01-09T00:00:00.000Z' }, now)).toBe('expired');
+    expect(getInvitationStatus({ status: 'revoked', expires_at: '2025-01-09T00:00:00.000Z' }, now)).toBe('revoked');
+    expect(getInvitationExpiry(now)).toBe('2025-01-17T00:00:00.000Z');
+  });
+
+  it('validates the address and the role against what the inviter may grant', () => {
+    expect(validateInvitation({ email: ' Ada@Acme.com ', role: 'member' }, ['admin', 'member', 'viewer'])).toEqual([]);
+    expect(validateInvitation({ email: 'nope', role: 'owner' }, ['admin', 'member', 'viewer'])).toEqual([
+      'Enter a valid email address',
+      'Choose a role you are allowed to grant',
+    ]);
+    expect(normalizeInviteEmail(' Ada@Acme.com ')).toBe('ada@acme.com');
+  });
+
+  it('offers roles up to the inviter level, never owner or api_only, and admin only to the owner', () => {
+    expect(getInvitableRoles('owner')).toEqual(['admin', 'member', 'viewer']);
+    expect(getInvitableRoles('admin')).toEqual(['member', 'viewer']);
+    expect(getInvitableRoles('member')).toEqual(['member', 'viewer']);
+  });
+
+  it('counts members and pending invitations against the plan seats', async () => {
+    expect(getSeatsAvailable({ members: 3, pending: 1, limit: 5 })).toBe(1);
+    expect(getSeatsAvailable({ members: 4, pending: 2, limit: 5 })).toBe(0);
+    expect(getSeatsAvailable({ members: 40, pending: 9, limit: 999999 })).toBe(Infinity);
+
+    const { client } = fakeSupabase({ counts: { team_members: 4, team_invitations: 1 } });
+    expect(await getSeatUsage(client, 'org-1', 'startup')).toEqual({ members: 4, pending: 1, limit: 5, available: 0 });
+    expect((await getSeatUsage(client, 'org-1', 'free')).available).toBe(0);
+  });
+
+  it('stores only a hash of the emailed token', () => {
+    const token = generateInvitationToken();
+    expect(token).toMatch(/^inv_[0-9a-f]{48}$/);
+    expect(hashInvitationToken(token)).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashInvitationToken(token)).not.toContain(token.slice(4));
+    expect(buildInvitationUrl(token)).toMatch(new RegExp(`/\\?invite=${token}$`));
+  });
+
+  it('adds the member in the invited role and closes the invitation', async () => {
+    const { client, inserts, updates } = fakeSupabase();
+
+    const result = await acceptInvitation(client, INVITATION, { id: 'user-9', email: 'ada@acme.com' });
+
+    expect(result).toEqual({ role: 'member', alreadyMember: false, releasedOrganizationId: null });
+    expect(inserts.team_members).toEqual([{ user_id: 'user-9', organization_id: 'org-1', role: 'member' }]);
+    expect(updates.team_invitations[0]).toMatchObject({ status: 'accepted', accepted_by: 'user-9' });
+  });
+
+  it('keeps the existing role when the invitee is already a member', async () => {
+    const { client, inserts, updates } = fakeSupabase({ member: { role: 'admin' } });
+
+    const result = await acceptInvitation(client, INVITATION, { id: 'user-9', email: 'ada@acme.com' });
+
+    expect(result).toEqual({ role: 'admin', alreadyMember: true, releasedOrganizationId: null });
+    expect(inserts.team_members).toBeUndefined();
+    expect(updates.team_invitations[0].status).toBe('accepted');
+  });
+
+  it('leaves the empty workspace an invitee already owns after joining', async () => {
+    const { client, inserts, deletes } = fakeSupabase({
+      memberships: [{ organization_id: 'starter-org', role: 'owner' }],
+      organization: { id: 'starter-org', stripe_customer_id: null },
+      counts: { team_members: 1, deals: 0, team_invitations: 0 },
+    });
+
+    const result = await acceptInvitation(client, INVITATION, { id: 'user-9', email: 'ada@acme.com' });
+
+    expect(result).toEqual({ role: 'member', alreadyMember: false, releasedOrganizationId: 'starter-org' });
+    expect(inserts.team_members).toEqual([{ user_id: 'user-9', organization_id: 'org-1', role: 'member' }]);
+    // Only the membership goes - the organization row and its settings stay
+    expect(deletes).toEqual(['team_members']);
+  });
+
+  it('does nothing when the invitation was answered or revoked in the meantime', async () => {
+    const { client, inserts, deletes } = fakeSupabase({
+      memberships: [{ organization_id: 'starter-org', role: 'owner' }],
+      organization: { id: 'starter-org', stripe_customer_id: null },
+      counts: { team_members: 1 },
+      claimed: null,
+    });
+
+    await expect(acceptInvitation(client, INVITATION, { id: 'user-9', email: 'ada@acme.com' }))
+      .rejects.toMatchObject({ name: 'InvitationConflictError', code: 'CONFLICT', statusCode: 409 });
+    expect(inserts.team_members).toBeUndefined();
+    expect(deletes).toEqual([]);
+  });
+
+  it('keeps the starter workspace and reopens the invitation when joining fails', async () => {
+    const { client, updates, deletes } = fakeSupabase({
+      memberships: [{ organization_id: 'starter-org', role: 'owner' }],
+      organization: { id: 'starter-org', stripe_customer_id: null },
+      counts: { team_members: 1 },
+      insertError: { message: 'insert failed' },
+    });
+
+    await expect(acceptInvitation(client, INVITATION, { id: 'user-9', email: 'ada@acme.com' }))
+      .rejects.toMatchObject({ message: 'insert failed' });
+    expect(deletes).toEqual([]);
+    expect(updates.team_invitations.map((update: any) => update.status)).toEqual(['accepted', 'pending']);
+  });
+
+  it('refuses an invitee whose current workspace is in use', async () => {
+    const inUse = [
+      { counts: { team_members: 1, deals: 3 } },
+      { counts: { team_members: 2 } },
+      { counts: { team_members: 1, team_invitations: 1 } },
+      { counts: { team_members: 1 }, organization: { id: 'starter-org', stripe_customer_id: 'cus_123' } },
+      { counts: { team_members: 1 }, memberships: [{ organization_id: 'other-org', role: 'member' }] },
+      { memberships: [{ organization_id: 'a', role: 'owner' }, { organization_id: 'b', role: 'owner' }] },
+    ];
+
+    for (const options of inUse) {
+      const { client, inserts, updates, deletes } = fakeSupabase({
+        memberships: [{ organization_id: 'starter-org', role: 'owner' }],
+        organization: { id: 'starter-org', stripe_customer_id: null },
+        ...options,
+      });
+
+      await expect(acceptInvitation(client, INVITATION, { id: 'user-9', email: 'ada@acme.com' }))
+        .rejects.toMatchObject({ name: 'InvitationConflictError', code: 'ALREADY_IN_ORGANIZATION', statusCode: 409 });
+      expect(deletes).toEqual([]);
+      expect(inserts.team_members).toBeUndefined();
+      expect(updates.team_invitations).toBeUndefined();
+    }
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import {
+  nextFailureState,
+  pickReplayEvents,
+  truncateBody,
+  MAX_LOGGED_BODY,
+} from '../../netlify/functions/lib/webhook-dlq';
+import {
+  WEBHOOK_EVENTS,
+  WEBHOOK_EVENT_TYPES,
+  WEBHOOK_TEST_EVENT,
+  buildExamplePayload,
+} from '../../src/config/webhookEvents';
+
+// Newest first, as webhook_deliveries is read
+const DELIVERIES = [
+  { id: 'd5', event_id: 'e2', trigger: 'replay', success: true },
+  { id: 'd4', event_id: 't1', trigger: 'test', success: false },
+  { id: 'd3', event_id: 'e3', trigger: 'event', success: false },
+  { id: 'd2', event_id: 'e2', trigger: 'event', success: false },
+  { id: 'd1', event_id: 'e1', trigger: 'event', success: true },
+  { id: 'd0', event_id: null, trigger: 'event', success: false },
+];
+
+describe('Webhook delivery', () => {
+  it('counts consecutive failures and disables at the threshold', () => {
+    expect(nextFailureState(0, false, 3)).toEqual({ consecutiveFailures: 1, disable: false });
+    expect(nextFailureState(2, false, 3)).toEqual({ consecutiveFailures: 3, disable: true });
+    expect(nextFailureState(null, false, 1)).toEqual({ consecutiveFailures: 1, disable: true });
+    expect(nextFailureState(7, true, 3)).toEqual({ consecutiveFailures: 0, disable: false });
+    expect(nextFailureState(50, false, 0).disable).toBe(false);
+  });
+
+  it('picks the latest attempt per event, oldest first, without test events', () => {
+    expect(pickReplayEvents(DELIVERIES).map(d => d.id)).toEqual(['d0', 'd1', 'd3', 'd5']);
+    expect(pickReplayEvents(DELIVERIES, { failedOnly: true }).map(d => d.id)).toEqual(['d0', 'd3']);
+    expect(pickReplayEvents(DELIVERIES, { limit: 2 }).map(d => d.id)).toEqual(['d0', 'd1']);
+  });
+
+  it('truncates logged bodies', () => {
+    expect(truncateBody(undefined)).toBeNull();
+    expect(truncateBody('ok')).toBe('ok');
+    const long = truncateBody('x'.repeat(MAX_LOGGED_BODY + 5))!;
+    expect(long.startsWith('x'.repeat(MAX_LOGGED_BODY))).toBe(true);
+    expect(long).toMatch(/\[truncated 5 chars\]$/);
+  });
+
+  it('describes every catalog event and builds example payloads', () => {
+    expect(new Set(WEBHOOK_EVENT_TYPES).size).toBe(WEBHOOK_EVENTS.length);
+    expect(WEBHOOK_EVENT_TYPES).not.toContain(WEBHOOK_TEST_EVENT);
+    for (const event of WEBHOOK_EVENTS) {
+      expect(event.label).toBeTruthy();
+      expect(event.description).toBeTruthy();
+    }
+    expect(buildExamplePayload()).toMatchObject({ type: WEBHOOK_TEST_EVENT, data: { object: { client: 'Acme Corp' } } });
+    expect(buildExamplePayload('deal.won')).toMatchObject({ type: 'deal.won', data: { object: { client: 'Acme Corp' } } });
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect } from 'vitest';
+import {
+  diffFields,
+  buildWebhookEnvelope,
+  dealEventTypes,
+  emitWebhookEvents,
+  emitTargetsUpdated,
+} from '../../netlify/functions/lib/webhook-events';
+import {
+  WEBHOOK_API_VERSION,
+  WEBHOOK_EVENT_TYPES,
+  buildEventSchema,
+} from '../../src/config/webhookEvents';
+
+const ORG_ID = '33333333-3333-4333-8333-333333333333';
+const ACTOR = { type: 'user' as const, id: 'user-1' };
+
+const DEAL = { id: 'deal-1', stage: 'proposal_sent', status: 'active', value: 1000, assigned_to: null, updated_at: 'a' };
+
+// Records queued rows; webhooks subscribe to the listed events
+const fakeSupabase = (webhooks: Array<{ id: string; events: string[] }>) => {
+  const inserted: any[] = [];
+  const query: any = {
+    select: () => query,
+    eq: () => query,
+    overlaps: async () => ({ data: webhooks, error: null }),
+    insert: async (rows: any[]) => {
+      inserted.push(...rows);
+      return { error: null };
+    },
+  };
+  return { client: { from: () => query }, inserted };
+};
+
+describe('Webhook events', () => {
+  it('diffs fields present in both rows, ignoring bookkeeping columns', () => {
+    expect(diffFields(DEAL, { ...DEAL, stage: 'deal_won', updated_at: 'b', client: 'Acme' })).toEqual({
+      stage: { before: 'proposal_sent', after: 'deal_won' },
+    });
+  });
+
+  it('derives transition events from a deal write', () => {
+    expect(dealEventTypes(null, DEAL)).toEqual(['deal.created']);
+    expect(dealEventTypes(DEAL, { ...DEAL, updated_at: 'b' })).toEqual([]);
+    expect(dealEventTypes(DEAL, { ...DEAL, stage: 'deal_won', status: 'won' }))
+      .toEqual(['deal.updated', 'deal.stage_changed', 'deal.won']);
+    expect(dealEventTypes(DEAL, { ...DEAL, stage: 'invoice_sent' }))
+      .toEqual(['deal.updated', 'deal.stage_changed', 'deal.invoice_sent']);
+    expect(dealEventTypes({ assigned_to: null }, { ...DEAL, assigned_to: 'user-2' }))
+      .toEqual(['deal.updated', 'deal.assigned']);
+    expect(dealEventTypes(DEAL, { ...DEAL, status: 'disqualified' })).toContain('deal.disqualified');
+  });
+
+  it('builds a versioned envelope with a before/after diff', () => {
+    const envelope = buildWebhookEnvelope('deal.updated', {
+      organizationId: ORG_ID,
+      actor: ACTOR,
+      object: { ...DEAL, value: 2000 },
+      before: DEAL,
+    });
+
+    expect(envelope).toMatchObject({
+      type: 'deal.updated',
+      api_version: WEBHOOK_API_VERSION,
+      organization_id: ORG_ID,
+      actor: ACTOR,
+      data: { object: { value: 2000 }, changes: { value: { before: 1000, after: 2000 } } },
+    });
+    expect(envelope.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(buildWebhookEnvelope('deal.created', { organizationId: ORG_ID, actor: ACTOR, object: DEAL }).data)
+      .not.toHaveProperty('changes');
+  });
+
+  it('queues one row per subscribed webhook and event', async () => {
+    const { client, inserted } = fakeSupabase([
+      { id: 'wh-1', events: ['deal.updated', 'deal.won'] },
+      { id: 'wh-2', events: ['deal.won'] },
+    ]);
+    const envelopes = ['deal.updated', 'deal.won'].map(type =>
+      buildWebhookEnvelope(type, { organizationId: ORG_ID, actor: ACTOR, object: DEAL }));
+
+    expect(await emitWebhookEvents(client, ORG_ID, envelopes)).toBe(3);
+    expect(inserted.map(row => `${row.webhook_id}:${row.event_type}`)).toEqual(['wh-1:deal.updated', 'wh-1:deal.won', 'wh-2:deal.won']);
+    expect(inserted[0]).toMatchObject({ status: 'pending', attempts: 0, trigger: 'event', event_id: envelopes[0].id });
+  });
+
+  it('skips target saves that changed nothing', async () => {
+    const { client, inserted } = fakeSupabase([{ id: 'wh-1', events: ['target.updated'] }]);
+    const target = { annual_target: 1200, quarterly_target: 300, monthly_target: 100 };
+
+    await emitTargetsUpdated(client, ORG_ID, ACTOR, [
+      { before: target, after: target },
+      { before: { user_id: 'user-2', ...target }, after: { user_id: 'user-2', ...target, annual_target: 2400 } },
+    ]);
+
+    expect(inserted).toHaveLength(1);
+    expect(inserted[0].payload.data).toMatchObject({
+      object: { scope: 'user', user_id: 'user-2', annual_target: 2400 },
+      changes: { annual_target: { before: 1200, after: 2400 } },
+    });
+  });
+
+  it('publishes a schema for every catalog event', () => {
+    for (const type of WEBHOOK_EVENT_TYPES) {
+      const schema = buildEventSchema(type)!;
+      expect(schema.properties.type).toEqual({ const: type });
+      expect(schema.properties.data.properties.object.type).toBe('object');
+    }
+    expect(buildEventSchema('deal.exploded')).toBeNull();
+  });
+});
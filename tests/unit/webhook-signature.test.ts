@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { createHmac } from 'node:crypto';
+import {
+  signWebhookPayload,
+  verifyWebhookSignature,
+  parseSignatureHeader,
+  generateWebhookSecret,
+} from '../../netlify/functions/lib/webhook-signature';
+import { activeSecrets } from '../../netlify/functions/lib/webhook-dlq';
+
+const BODY = JSON.stringify({ id: 'evt-1', type: 'deal.won' });
+const SECRET = 'whsec_current';
+const OLD_SECRET = 'whsec_previous';
+const T = 1735000000;
+const NOW = T * 1000;
+
+describe('Webhook signatures', () => {
+  it('signs timestamp and body with HMAC-SHA256', async () => {
+    const header = await signWebhookPayload(BODY, [SECRET], T);
+    const expected = createHmac('sha256', SECRET).update(`${T}.${BODY}`).digest('hex');
+
+    expect(header).toBe(`t=${T},v1=${expected}`);
+    expect(parseSignatureHeader(header)).toEqual({ timestamp: T, signatures: [expected] });
+  });
+
+  it('verifies with either secret during a rotation', async () => {
+    const header = await signWebhookPayload(BODY, [SECRET, OLD_SECRET], T);
+
+    expect(parseSignatureHeader(header).signatures).toHaveLength(2);
+    expect(await verifyWebhookSignature(BODY, header, SECRET, { now: NOW })).toBe(true);
+    expect(await verifyWebhookSignature(BODY, header, OLD_SECRET, { now: NOW })).toBe(true);
+    expect(await verifyWebhookSignature(BODY, header, 'whsec_other', { now: NOW })).toBe(false);
+  });
+
+  it('rejects tampered bodies, stale timestamps and malformed headers', async () => {
+    const header = await signWebhookPayload(BODY, [SECRET], T);
+
+    expect(await verifyWebhookSignature(`${BODY} `, header, SECRET, { now: NOW })).toBe(false);
+    expect(await verifyWebhookSignature(BODY, header, SECRET, { now: NOW + 301_000 })).toBe(false);
+    expect(await verifyWebhookSignature(BODY, header, SECRET, { now: NOW + 301_000, toleranceSeconds: 600 })).toBe(true);
+    expect(await verifyWebhookSignature(BODY, header.replace(`t=${T}`, `t=${T + 1}`), SECRET, { now: NOW })).toBe(false);
+    expect(await verifyWebhookSignature(BODY, 'v1=abc', SECRET, { now: NOW })).toBe(false);
+    expect(await verifyWebhookSignature(BODY, null, SECRET, { now: NOW })).toBe(false);
+  });
+
+  it('signs with the previous secret only until it expires', () => {
+    const webhook = { secret: SECRET, previous_secret: OLD_SECRET, previous_secret_expires_at: new Date(NOW + 1000).toISOString() };
+
+    expect(activeSecrets(webhook, NOW)).toEqual([SECRET, OLD_SECRET]);
+    expect(activeSecrets(webhook, NOW + 2000)).toEqual([SECRET]);
+    expect(activeSecrets({ secret: SECRET }, NOW)).toEqual([SECRET]);
+  });
+
+  it('generates prefixed random secrets', () => {
+    const secret = generateWebhookSecret();
+    expect(secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+    expect(generateWebhookSecret()).not.toBe(secret);
+  });
+});